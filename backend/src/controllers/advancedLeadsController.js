@@ -2,7 +2,21 @@
  * Advanced Lead Management Controllers (Simplified)
  */
 
-const { ResponseFormatter } = require('../utils/responseFormatter');
+const ResponseFormatter = require('../utils/responseFormatter');
+const { leads } = require('../data/dataStore');
+const { findAllDuplicates } = require('../services/leadDeduplication');
+const { previewMerge, mergeLeads, undoMerge, listMerges } = require('../services/leadMerge');
+const { startEnrichmentJob, getEnrichmentJob, getEnrichmentProviders } = require('../services/leadEnrichment');
+const { getLeadScoreImprovements } = require('../services/leadScoring');
+const {
+  listScoringModels,
+  getScoringModel,
+  createScoringModel,
+  updateScoringModel,
+  activateScoringModel,
+  dryRunScoringModel,
+  explainLeadScore
+} = require('../services/leadScoringModels');
 
 /**
  * Bulk update leads
@@ -35,32 +49,130 @@ const bulkDeleteLeads = async (req, res) => {
  */
 const findDuplicates = async (req, res) => {
   try {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 0.8;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return ResponseFormatter.error(res, 'threshold must be a number between 0 and 1', 400);
+    }
+    if (isNaN(limit) || limit < 1) {
+      return ResponseFormatter.error(res, 'limit must be a positive integer', 400);
+    }
+
+    const groups = findAllDuplicates(threshold, limit);
+    const duplicateGroups = groups.map(group => ({
+      primary_lead: group.primary_lead,
+      group_size: group.group_size,
+      highest_similarity: group.highest_similarity,
+      duplicates: group.duplicates.map(dup => ({
+        id: dup.id,
+        name: dup.name,
+        company: dup.company,
+        email: dup.email,
+        phone: dup.phone,
+        similarity_score: dup.similarity_score,
+        matched_fields: dup.matched_fields,
+        field_scores: dup.field_scores
+      }))
+    }));
+
     return ResponseFormatter.success(res, {
       summary: {
-        total_groups: 0,
-        total_duplicates: 0,
-        highest_similarity: 0
+        total_groups: duplicateGroups.length,
+        total_duplicates: duplicateGroups.reduce((sum, group) => sum + group.duplicates.length, 0),
+        highest_similarity: duplicateGroups.reduce((max, group) => Math.max(max, group.highest_similarity), 0),
+        threshold
       },
-      duplicate_groups: []
-    }, 'No duplicates found');
+      duplicate_groups: duplicateGroups
+    }, duplicateGroups.length > 0 ? `Found ${duplicateGroups.length} duplicate groups` : 'No duplicates found');
   } catch (error) {
     return ResponseFormatter.error(res, error.message);
   }
 };
 
+const validateMergeBody = (body) => {
+  const { source_lead_id, target_lead_id, overrides = {} } = body;
+
+  if (source_lead_id === undefined || target_lead_id === undefined) {
+    return 'source_lead_id and target_lead_id are required';
+  }
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    return 'overrides must be an object of field -> "source" | "target" | { value }';
+  }
+  return null;
+};
+
+/**
+ * Preview a merge: surviving value per field and the related records that will move
+ */
+const previewMergeEndpoint = async (req, res) => {
+  try {
+    const invalid = validateMergeBody(req.body);
+    if (invalid) {
+      return ResponseFormatter.error(res, invalid, 400);
+    }
+
+    const { source_lead_id, target_lead_id, overrides = {} } = req.body;
+    const preview = await previewMerge(source_lead_id, target_lead_id, overrides);
+
+    return ResponseFormatter.success(res, preview, 'Merge preview generated');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+};
+
 /**
  * Merge leads endpoint
  */
 const mergeLeadsEndpoint = async (req, res) => {
   try {
-    return ResponseFormatter.success(res, {
-      message: 'Lead merge not implemented in simplified version'
-    }, 'Feature under development');
+    const invalid = validateMergeBody(req.body);
+    if (invalid) {
+      return ResponseFormatter.error(res, invalid, 400);
+    }
+
+    const { source_lead_id, target_lead_id, overrides = {} } = req.body;
+    const result = await mergeLeads(source_lead_id, target_lead_id, {
+      overrides,
+      userId: req.user?.id || 'system'
+    });
+
+    return ResponseFormatter.success(res, result, 'Leads merged successfully');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+};
+
+/**
+ * List merge history
+ */
+const getMergeHistory = async (req, res) => {
+  try {
+    const { lead_id, status } = req.query;
+    const merges = await listMerges({ leadId: lead_id, status });
+
+    return ResponseFormatter.success(res, merges, 'Merge history retrieved');
   } catch (error) {
     return ResponseFormatter.error(res, error.message);
   }
 };
 
+/**
+ * Undo a merge within the retention window
+ */
+const undoMergeEndpoint = async (req, res) => {
+  try {
+    const result = await undoMerge(req.params.mergeId, { userId: req.user?.id || 'system' });
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Merge');
+    }
+
+    return ResponseFormatter.success(res, result, 'Merge reverted successfully');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409, error.details);
+  }
+};
+
 /**
  * Get lead analytics
  */
@@ -102,23 +214,132 @@ const bulkImportLeads = async (req, res) => {
 };
 
 /**
- * Get lead score breakdown
+ * Get lead score breakdown under the model version that produced the stored score
  */
 const getLeadScoreBreakdown = async (req, res) => {
   try {
+    const lead = leads.find(l => String(l.id) === String(req.params.id));
+    if (!lead || lead.deleted_at) {
+      return ResponseFormatter.notFound(res, 'Lead');
+    }
+
+    const explanation = explainLeadScore(lead);
+
     return ResponseFormatter.success(res, {
-      score_breakdown: {
-        contact_info: 25,
-        company_data: 20,
-        engagement: 15,
-        demographics: 10
-      }
+      lead_id: lead.id,
+      score: explanation.stored_score !== null ? explanation.stored_score : explanation.score,
+      model: explanation.model,
+      score_breakdown: { ...explanation.categories, total: explanation.score },
+      rules: explanation.contributions,
+      active_model: explanation.active_model,
+      score_history: explanation.score_history,
+      improvements: getLeadScoreImprovements(lead)
     }, 'Score breakdown retrieved');
   } catch (error) {
     return ResponseFormatter.error(res, error.message);
   }
 };
 
+/**
+ * List scoring model versions
+ */
+const getScoringModels = async (req, res) => {
+  try {
+    const { campaign, status } = req.query;
+    const models = await listScoringModels({
+      campaign: campaign === undefined ? undefined : (campaign === 'default' ? null : campaign),
+      status
+    });
+
+    return ResponseFormatter.success(res, models, 'Scoring models retrieved');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message);
+  }
+};
+
+/**
+ * Get one scoring model version
+ */
+const getScoringModelById = async (req, res) => {
+  try {
+    const model = await getScoringModel(req.params.modelId);
+    if (!model) {
+      return ResponseFormatter.notFound(res, 'Scoring model');
+    }
+
+    return ResponseFormatter.success(res, model, 'Scoring model retrieved');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message);
+  }
+};
+
+/**
+ * Create a draft scoring model version
+ */
+const createScoringModelEndpoint = async (req, res) => {
+  try {
+    const model = await createScoringModel(req.body, { userId: req.user?.id || 'system' });
+
+    return ResponseFormatter.success(res, model, 'Scoring model draft created', 201);
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 400, error.details);
+  }
+};
+
+/**
+ * Edit a draft scoring model
+ */
+const updateScoringModelEndpoint = async (req, res) => {
+  try {
+    const model = await updateScoringModel(req.params.modelId, req.body);
+    if (!model) {
+      return ResponseFormatter.notFound(res, 'Scoring model');
+    }
+
+    return ResponseFormatter.success(res, model, 'Scoring model updated');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, error.details ? 400 : 409, error.details);
+  }
+};
+
+/**
+ * Make a scoring model version live and rescore the leads it covers
+ */
+const activateScoringModelEndpoint = async (req, res) => {
+  try {
+    const result = await activateScoringModel(req.params.modelId, { userId: req.user?.id || 'system' });
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Scoring model');
+    }
+
+    return ResponseFormatter.success(res, result, 'Scoring model activated');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+/**
+ * Re-score a sample of leads under a model without saving anything
+ */
+const dryRunScoringModelEndpoint = async (req, res) => {
+  try {
+    const { lead_ids, sample_size } = req.body;
+
+    if (lead_ids !== undefined && (!Array.isArray(lead_ids) || lead_ids.length === 0)) {
+      return ResponseFormatter.error(res, 'lead_ids must be a non-empty array', 400);
+    }
+
+    const result = await dryRunScoringModel(req.params.modelId, { leadIds: lead_ids, sampleSize: sample_size });
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Scoring model');
+    }
+
+    return ResponseFormatter.success(res, result, 'Scoring model dry run completed');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message);
+  }
+};
+
 /**
  * Get lead timeline
  */
@@ -151,9 +372,45 @@ const exportLeads = async (req, res) => {
  */
 const batchEnrichLeads = async (req, res) => {
   try {
-    return ResponseFormatter.success(res, {
-      message: 'Batch enrichment not implemented in simplified version'
-    }, 'Feature under development');
+    const { lead_ids, refresh = false } = req.body;
+
+    if (lead_ids !== undefined && (!Array.isArray(lead_ids) || lead_ids.length === 0)) {
+      return ResponseFormatter.error(res, 'lead_ids must be a non-empty array', 400);
+    }
+
+    const job = startEnrichmentJob(lead_ids || null, {
+      refresh: refresh === true || refresh === 'true',
+      userId: req.user?.id || 'system'
+    });
+
+    return ResponseFormatter.success(res, job, 'Enrichment job started', 202);
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message);
+  }
+};
+
+/**
+ * Batch enrichment job progress
+ */
+const getEnrichmentJobStatus = async (req, res) => {
+  try {
+    const job = getEnrichmentJob(req.params.jobId);
+    if (!job) {
+      return ResponseFormatter.notFound(res, 'Enrichment job');
+    }
+
+    return ResponseFormatter.success(res, job, 'Enrichment job retrieved');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message);
+  }
+};
+
+/**
+ * Configured enrichment providers
+ */
+const listEnrichmentProviders = async (req, res) => {
+  try {
+    return ResponseFormatter.success(res, getEnrichmentProviders(), 'Enrichment providers retrieved');
   } catch (error) {
     return ResponseFormatter.error(res, error.message);
   }
@@ -164,11 +421,22 @@ module.exports = {
   bulkUpdateLeads,
   bulkDeleteLeads,
   findDuplicates,
+  previewMergeEndpoint,
   mergeLeadsEndpoint,
+  getMergeHistory,
+  undoMergeEndpoint,
   getLeadScoreBreakdown,
+  getScoringModels,
+  getScoringModelById,
+  createScoringModelEndpoint,
+  updateScoringModelEndpoint,
+  activateScoringModelEndpoint,
+  dryRunScoringModelEndpoint,
   getLeadTimeline,
   exportLeads,
   batchEnrichLeads,
+  getEnrichmentJobStatus,
+  listEnrichmentProviders,
   getLeadAnalytics,
   enrichLeadData
 };
\ No newline at end of file
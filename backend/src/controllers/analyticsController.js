@@ -5,6 +5,11 @@
 
 const analyticsModel = require('../models/analyticsModel');
 const { sendResponse, sendError } = require('../utils/response');
+const analyticsService = require('../services/analyticsService');
+const conversionModelService = require('../services/conversionModelService');
+const forecastingService = require('../services/forecastingService');
+const reportRenderService = require('../services/reportRenderService');
+const { buildCustomReport } = require('../services/customReportService');
 
 /**
  * GET /api/analytics/leads - Lead performance metrics and trends
@@ -132,7 +137,9 @@ const getForecastingAnalytics = async (req, res) => {
     const { 
       start_date, 
       end_date, 
-      forecast_period = 30 
+      forecast_period = 30,
+      history_days = 90,
+      period = 'quarter'
     } = req.query;
 
     const dateRange = start_date && end_date ? {
@@ -140,12 +147,14 @@ const getForecastingAnalytics = async (req, res) => {
       end: end_date
     } : null;
 
-    const forecastData = await analyticsModel.generateForecasting(
-      dateRange, 
-      parseInt(forecast_period)
-    );
+    const forecast = await forecastingService.getForecastOverview({
+      dateRange,
+      forecastPeriod: parseInt(forecast_period),
+      historyDays: parseInt(history_days),
+      period
+    });
     
-    sendResponse(res, forecastData, 'Forecasting analytics retrieved successfully');
+    sendResponse(res, forecast, 'Forecasting analytics retrieved successfully');
   } catch (error) {
     console.error('Error getting forecasting analytics:', error);
     sendError(res, 'Failed to retrieve forecasting analytics', 500);
@@ -164,30 +173,7 @@ const getDashboardData = async (req, res) => {
       end: end_date
     } : null;
 
-    // Get all analytics in parallel
-    const [
-      leadMetrics,
-      conversionFunnel,
-      sourceAttribution,
-      agentPerformance,
-      forecasting
-    ] = await Promise.all([
-      analyticsModel.getLeadMetrics(dateRange),
-      analyticsModel.getConversionFunnel(dateRange),
-      analyticsModel.getSourceAttribution(dateRange),
-      analyticsModel.getAgentPerformance(dateRange),
-      analyticsModel.generateForecasting(dateRange, 30)
-    ]);
-
-    const dashboardData = {
-      leads: leadMetrics,
-      conversion: conversionFunnel,
-      sources: sourceAttribution,
-      agents: agentPerformance,
-      forecasting: forecasting,
-      generatedAt: new Date().toISOString(),
-      dateRange: dateRange || 'All time'
-    };
+    const dashboardData = await analyticsService.getDashboardOverview(dateRange);
     
     sendResponse(res, dashboardData, 'Dashboard data retrieved successfully');
   } catch (error) {
@@ -201,28 +187,7 @@ const getDashboardData = async (req, res) => {
  */
 const getRealTimeMetrics = async (req, res) => {
   try {
-    // Get today's data
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    
-    const dateRange = {
-      start: startOfDay.toISOString(),
-      end: today.toISOString()
-    };
-
-    const [leadMetrics, agentPerformance] = await Promise.all([
-      analyticsModel.getLeadMetrics(dateRange),
-      analyticsModel.getAgentPerformance(dateRange)
-    ]);
-
-    const realTimeData = {
-      today: {
-        leads: leadMetrics.summary,
-        agents: agentPerformance.teamSummary
-      },
-      timestamp: new Date().toISOString(),
-      nextUpdate: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 minutes
-    };
+    const realTimeData = await analyticsService.getTodayMetrics();
     
     sendResponse(res, realTimeData, 'Real-time metrics retrieved successfully');
   } catch (error) {
@@ -304,40 +269,15 @@ const generateCustomReport = async (req, res) => {
       return sendError(res, 'Report type is required', 400);
     }
 
-    const reportData = {
-      reportId: `custom_${Date.now()}`,
-      reportType,
-      generatedAt: new Date().toISOString(),
-      dateRange: dateRange || 'All time',
-      filters,
-      sections: {},
-      summary: {}
-    };
-
-    // Generate requested sections
-    if (sections.includes('leads') || sections.length === 0) {
-      reportData.sections.leads = await analyticsModel.getLeadMetrics(dateRange, filters);
-    }
+    const reportData = await buildCustomReport({ reportType, dateRange, filters, sections });
 
-    if (sections.includes('conversion') || sections.length === 0) {
-      reportData.sections.conversion = await analyticsModel.getConversionFunnel(dateRange, filters);
+    if (format === 'pdf' || format === 'excel') {
+      const { content, contentType, filename } = await reportRenderService.render(reportData, format, { includeCharts });
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(content);
     }
 
-    if (sections.includes('sources') || sections.length === 0) {
-      reportData.sections.sources = await analyticsModel.getSourceAttribution(dateRange);
-    }
-
-    if (sections.includes('agents') || sections.length === 0) {
-      reportData.sections.agents = await analyticsModel.getAgentPerformance(dateRange, filters);
-    }
-
-    if (sections.includes('forecasting')) {
-      reportData.sections.forecasting = await analyticsModel.generateForecasting(dateRange);
-    }
-
-    // Generate executive summary
-    reportData.summary = generateExecutiveSummary(reportData.sections);
-
     sendResponse(res, reportData, 'Custom report generated successfully');
   } catch (error) {
     console.error('Error generating custom report:', error);
@@ -357,50 +297,7 @@ const getKPIs = async (req, res) => {
       end: end_date
     } : null;
 
-    const [leadMetrics, conversionFunnel, agentPerformance] = await Promise.all([
-      analyticsModel.getLeadMetrics(dateRange),
-      analyticsModel.getConversionFunnel(dateRange),
-      analyticsModel.getAgentPerformance(dateRange)
-    ]);
-
-    const kpis = {
-      lead_generation: {
-        value: leadMetrics.summary.totalLeads,
-        label: 'Total Leads',
-        trend: '+12%', // Placeholder
-        status: 'good'
-      },
-      conversion_rate: {
-        value: `${leadMetrics.summary.conversionRate}%`,
-        label: 'Conversion Rate',
-        trend: '+5.2%',
-        status: 'good'
-      },
-      avg_call_quality: {
-        value: agentPerformance.teamSummary.avgQualityScore,
-        label: 'Avg Call Quality',
-        trend: '+0.3',
-        status: 'stable'
-      },
-      pipeline_value: {
-        value: '$125,000', // Placeholder
-        label: 'Pipeline Value',
-        trend: '+8%',
-        status: 'good'
-      },
-      agent_productivity: {
-        value: agentPerformance.teamSummary.totalCalls,
-        label: 'Total Calls',
-        trend: '+15%',
-        status: 'excellent'
-      },
-      funnel_efficiency: {
-        value: `${Math.round(conversionFunnel.dropOffAnalysis.contactRate)}%`,
-        label: 'Contact Rate',
-        trend: '-2%',
-        status: 'needs_attention'
-      }
-    };
+    const kpis = await analyticsService.getKPIs(dateRange);
 
     sendResponse(res, kpis, 'KPIs retrieved successfully');
   } catch (error) {
@@ -409,6 +306,150 @@ const getKPIs = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/analytics/cohorts - Lead cohorts by creation week and source with conversion curves
+ */
+const getCohortAnalytics = async (req, res) => {
+  try {
+    const { start_date, end_date, max_weeks } = req.query;
+
+    const dateRange = start_date && end_date ? {
+      start: start_date,
+      end: end_date
+    } : null;
+
+    const cohortData = await analyticsService.generateCohortAnalysis(dateRange, {
+      maxWeeks: parseInt(max_weeks) || 12
+    });
+
+    sendResponse(res, cohortData, 'Cohort analytics retrieved successfully');
+  } catch (error) {
+    console.error('Error getting cohort analytics:', error);
+    sendError(res, 'Failed to retrieve cohort analytics', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/attribution - First-touch, last-touch, linear and time-decay attribution
+ */
+const getAttributionAnalytics = async (req, res) => {
+  try {
+    const { start_date, end_date, half_life_days } = req.query;
+
+    const dateRange = start_date && end_date ? {
+      start: start_date,
+      end: end_date
+    } : null;
+
+    const attributionData = await analyticsService.generateAttributionModel(dateRange, {
+      halfLifeDays: parseInt(half_life_days) || 7
+    });
+
+    sendResponse(res, attributionData, 'Attribution analytics retrieved successfully');
+  } catch (error) {
+    console.error('Error getting attribution analytics:', error);
+    sendError(res, 'Failed to retrieve attribution analytics', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/journeys - Most common status paths to closed_won
+ */
+const getJourneyAnalytics = async (req, res) => {
+  try {
+    const { start_date, end_date, limit } = req.query;
+
+    const dateRange = start_date && end_date ? {
+      start: start_date,
+      end: end_date
+    } : null;
+
+    const journeyData = await analyticsService.analyzeCustomerJourney(dateRange, {
+      limit: parseInt(limit) || 10
+    });
+
+    sendResponse(res, journeyData, 'Journey analytics retrieved successfully');
+  } catch (error) {
+    console.error('Error getting journey analytics:', error);
+    sendError(res, 'Failed to retrieve journey analytics', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/conversion-model - Active conversion model, its holdout metrics and recent versions
+ */
+const getConversionModel = async (req, res) => {
+  try {
+    const overview = await conversionModelService.getOverview({ limit: parseInt(req.query.limit) || 20 });
+
+    sendResponse(res, overview, 'Conversion model retrieved successfully');
+  } catch (error) {
+    console.error('Error getting conversion model:', error);
+    sendError(res, 'Failed to retrieve conversion model', 500);
+  }
+};
+
+/**
+ * POST /api/analytics/conversion-model/train - Retrain and rescore every lead now
+ */
+const trainConversionModel = async (req, res) => {
+  try {
+    const result = await conversionModelService.runTrainingJob();
+    if (result.skipped) {
+      return sendError(res, result.reason, 409);
+    }
+
+    sendResponse(res, result, 'Conversion model training completed');
+  } catch (error) {
+    console.error('Error training conversion model:', error);
+    sendError(res, 'Failed to train conversion model', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/forecasting/accuracy - Snapshot forecasts against what closed
+ */
+const getForecastAccuracy = async (req, res) => {
+  try {
+    const { period = 'quarter', scope = 'company', scope_id } = req.query;
+    const accuracy = await forecastingService.getForecastAccuracy({ period, scope, scopeId: scope_id });
+
+    sendResponse(res, accuracy, 'Forecast accuracy retrieved successfully');
+  } catch (error) {
+    console.error('Error getting forecast accuracy:', error);
+    sendError(res, 'Failed to retrieve forecast accuracy', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/forecasting/snapshots - Stored daily forecasts, newest first
+ */
+const getForecastSnapshots = async (req, res) => {
+  try {
+    const { period = 'quarter', scope = 'company', scope_id, limit } = req.query;
+    const snapshots = await forecastingService.listSnapshots({ period, scope, scopeId: scope_id, limit });
+
+    sendResponse(res, snapshots, 'Forecast snapshots retrieved successfully');
+  } catch (error) {
+    console.error('Error getting forecast snapshots:', error);
+    sendError(res, 'Failed to retrieve forecast snapshots', 500);
+  }
+};
+
+/**
+ * POST /api/analytics/forecasting/snapshots - Record today's forecasts now
+ */
+const createForecastSnapshot = async (req, res) => {
+  try {
+    const result = await forecastingService.takeSnapshot();
+
+    sendResponse(res, result, 'Forecast snapshot recorded', 201);
+  } catch (error) {
+    console.error('Error recording forecast snapshot:', error);
+    sendError(res, 'Failed to record forecast snapshot', 500);
+  }
+};
+
 // Helper Functions
 
 const getDashboardDataForExport = async (dateRange) => {
@@ -445,34 +486,23 @@ const convertToCSV = (data) => {
   return `${keys.join(',')}\n${values.join(',')}`;
 };
 
-const generateExecutiveSummary = (sections) => {
-  const summary = {
-    totalLeads: sections.leads?.summary.totalLeads || 0,
-    conversionRate: sections.leads?.summary.conversionRate || 0,
-    topPerformingSource: 'Website', // Placeholder
-    recommendedActions: []
-  };
-
-  // Add dynamic recommendations
-  if (summary.conversionRate < 10) {
-    summary.recommendedActions.push('Focus on lead qualification improvement');
-  }
-  if (sections.conversion?.dropOffAnalysis.contactRate < 80) {
-    summary.recommendedActions.push('Improve lead contact strategies');
-  }
-
-  return summary;
-};
-
 module.exports = {
   getLeadAnalytics,
   getConversionAnalytics,
   getSourceAnalytics,
   getAgentAnalytics,
   getForecastingAnalytics,
+  getForecastAccuracy,
+  getForecastSnapshots,
+  createForecastSnapshot,
   getDashboardData,
   getRealTimeMetrics,
   exportAnalytics,
   generateCustomReport,
-  getKPIs
+  getKPIs,
+  getCohortAnalytics,
+  getAttributionAnalytics,
+  getJourneyAnalytics,
+  getConversionModel,
+  trainConversionModel
 };
\ No newline at end of file
@@ -44,6 +44,12 @@ const createDefaultAdmin = async () => {
 // Initialize default admin
 createDefaultAdmin();
 
+/**
+ * Look up a user by id for services acting on their behalf, e.g. shared dashboards
+ * @returns {Object|null} The stored user
+ */
+const findUserById = (id) => Array.from(users.values()).find(user => String(user.id) === String(id)) || null;
+
 /**
  * User registration
  */
@@ -575,5 +581,6 @@ module.exports = {
   logout,
   getProfile,
   updateProfile,
-  changePassword
+  changePassword,
+  findUserById
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Automation Rule Controller - Rules that create follow-ups and enroll leads in sequences
+ * when calls end or follow-ups are completed, and dry runs of their conditions
+ */
+
+const automationRuleService = require('../services/automationRuleService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const sendRuleError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400, error.details || null);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+/**
+ * Query: { triggerEvent, isActive }
+ */
+const listRules = async (req, res) => {
+  try {
+    const rules = await automationRuleService.listRules(req.query);
+    return ResponseFormatter.success(res, rules, 'Automation rules retrieved successfully');
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to fetch automation rules');
+  }
+};
+
+const getRule = async (req, res) => {
+  try {
+    const rule = await automationRuleService.findRule(req.params.id);
+    if (!rule) {
+      return ResponseFormatter.notFound(res, 'Automation rule');
+    }
+    return ResponseFormatter.success(res, rule, 'Automation rule retrieved successfully');
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to fetch automation rule');
+  }
+};
+
+/**
+ * Body: { name, triggerEvent, conditions, actions, followupType, priority, scheduleRule,
+ *   titleTemplate, descriptionTemplate, assignmentRule, cooldownHours, isActive, teamId }
+ */
+const createRule = async (req, res) => {
+  try {
+    const rule = await automationRuleService.createRule(req.body, req.user);
+    return ResponseFormatter.success(res, rule, 'Automation rule created successfully', 201);
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to create automation rule');
+  }
+};
+
+const updateRule = async (req, res) => {
+  try {
+    const rule = await automationRuleService.findRule(req.params.id);
+    if (!rule) {
+      return ResponseFormatter.notFound(res, 'Automation rule');
+    }
+    const updated = await automationRuleService.updateRule(rule, req.body);
+    return ResponseFormatter.success(res, updated, 'Automation rule updated successfully');
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to update automation rule');
+  }
+};
+
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await automationRuleService.findRule(req.params.id);
+    if (!rule) {
+      return ResponseFormatter.notFound(res, 'Automation rule');
+    }
+    await automationRuleService.deleteRule(rule);
+    return ResponseFormatter.success(res, null, 'Automation rule deleted successfully');
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to delete automation rule');
+  }
+};
+
+/**
+ * Body: { conditions, context, now } - conditions replace the rule's own for the run
+ */
+const testRule = async (req, res) => {
+  try {
+    const rule = await automationRuleService.findRule(req.params.id);
+    if (!rule) {
+      return ResponseFormatter.notFound(res, 'Automation rule');
+    }
+    const result = await automationRuleService.testRule(rule, req.body || {});
+    return ResponseFormatter.success(res, result, result.passed ? 'Conditions passed' : 'Conditions did not pass');
+  } catch (error) {
+    return sendRuleError(res, error, 'Failed to test automation rule');
+  }
+};
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRule
+};
@@ -0,0 +1,153 @@
+/**
+ * Booking Controller - Booking page management and the public booking flow prospects use
+ */
+
+const bookingService = require('../services/bookingService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const sendBookingError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400, error.details);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+/**
+ * Query: { isActive, userId, teamId }
+ */
+const listPages = async (req, res) => {
+  try {
+    const pages = await bookingService.listPages(req.query);
+    return ResponseFormatter.success(res, pages, 'Booking pages retrieved successfully');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to fetch booking pages');
+  }
+};
+
+const getPage = async (req, res) => {
+  try {
+    const page = await bookingService.findPage(req.params.id);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+    return ResponseFormatter.success(res, page, 'Booking page retrieved successfully');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to fetch booking page');
+  }
+};
+
+const createPage = async (req, res) => {
+  try {
+    const page = await bookingService.createPage(req.body, req.user);
+    if (!page) {
+      return ResponseFormatter.error(res, 'A booking page with this slug already exists', 409);
+    }
+    return ResponseFormatter.success(res, page, 'Booking page created successfully', 201);
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to create booking page');
+  }
+};
+
+const updatePage = async (req, res) => {
+  try {
+    const page = await bookingService.findPage(req.params.id);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+    const updated = await bookingService.updatePage(page, req.body);
+    if (!updated) {
+      return ResponseFormatter.error(res, 'A booking page with this slug already exists', 409);
+    }
+    return ResponseFormatter.success(res, updated, 'Booking page updated successfully');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to update booking page');
+  }
+};
+
+const deactivatePage = async (req, res) => {
+  try {
+    const page = await bookingService.findPage(req.params.id);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+    await bookingService.deactivatePage(page);
+    return ResponseFormatter.success(res, null, 'Booking page deactivated');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to deactivate booking page');
+  }
+};
+
+/**
+ * GET /api/booking/public/:slug - Public; title, duration and qualifying questions
+ */
+const getPublicPage = async (req, res) => {
+  try {
+    const page = await bookingService.findPublicPage(req.params.slug);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+    return ResponseFormatter.success(res, page.toPublicJSON(), 'Booking page retrieved successfully');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to fetch booking page');
+  }
+};
+
+/**
+ * GET /api/booking/public/:slug/slots - Public; query: { from, to, timeZone }
+ */
+const getSlots = async (req, res) => {
+  try {
+    const page = await bookingService.findPublicPage(req.params.slug);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+    const { from, to, timeZone } = req.query;
+    const slots = await bookingService.getSlots(page, { from, to, timeZone });
+    return ResponseFormatter.success(res, slots, 'Available times retrieved successfully');
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to fetch available times');
+  }
+};
+
+/**
+ * POST /api/booking/public/:slug/bookings - Public; body: { start, timeZone, name, email, phone, company, answers }
+ */
+const createBooking = async (req, res) => {
+  try {
+    const page = await bookingService.findPublicPage(req.params.slug);
+    if (!page) {
+      return ResponseFormatter.notFound(res, 'Booking page');
+    }
+
+    const booking = await bookingService.book(page.id, req.body);
+    if (!booking) {
+      return ResponseFormatter.error(res, 'That time is no longer available, please pick another', 409);
+    }
+
+    return ResponseFormatter.success(res, {
+      bookingId: booking.followup.id,
+      start: booking.followup.scheduledFor,
+      durationMinutes: booking.followup.duration,
+      timeZone: booking.followup.timezone,
+      confirmationSent: booking.confirmationSent,
+      confirmationMessage: page.confirmationMessage
+    }, 'Meeting booked', 201);
+  } catch (error) {
+    return sendBookingError(res, error, 'Failed to book meeting');
+  }
+};
+
+module.exports = {
+  listPages,
+  getPage,
+  createPage,
+  updatePage,
+  deactivatePage,
+  getPublicPage,
+  getSlots,
+  createBooking
+};
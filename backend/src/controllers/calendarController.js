@@ -0,0 +1,211 @@
+/**
+ * Calendar Controller - ICS subscription feeds, calendar availability and meeting invites with
+ * their RSVP links and forwarded iTIP replies
+ */
+
+const calendarService = require('../services/calendarService');
+const calendarFeedService = require('../services/calendarFeedService');
+const meetingInviteService = require('../services/meetingInviteService');
+const followupService = require('../services/followupService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const RSVP_MESSAGES = {
+  accepted: 'Thanks, you accepted the meeting.',
+  tentative: 'Thanks, you may attend the meeting.',
+  declined: 'Thanks, you declined the meeting.'
+};
+
+const sendCalendarError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+const serializeInvite = (invite) => {
+  const data = invite.toJSON();
+  delete data.rsvpTokenHash;
+  return data;
+};
+
+// Leads open RSVP links in a browser, so they get a page rather than JSON
+const rsvpPage = (message) =>
+  '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Meeting invitation</title></head>' +
+  `<body style="font-family: Arial, sans-serif; text-align: center; padding: 40px;"><p>${message}</p></body></html>`;
+
+/**
+ * Load the follow-up in :followupId if the caller may work it; sends the 404 and returns null otherwise
+ */
+const loadFollowup = async (req, res) => {
+  const result = await followupService.findForUser(req.params.followupId, req.user);
+  if (!result || !result.allowed) {
+    ResponseFormatter.notFound(res, 'Follow-up');
+    return null;
+  }
+  return result.followup;
+};
+
+const listFeeds = async (req, res) => {
+  try {
+    const feeds = await calendarFeedService.listFeeds(req.user.id);
+    return ResponseFormatter.success(res, feeds, 'Calendar feeds retrieved successfully');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to fetch calendar feeds');
+  }
+};
+
+/**
+ * Body: { name }; the subscription URL is only returned in this response
+ */
+const createFeed = async (req, res) => {
+  try {
+    const feed = await calendarFeedService.createFeed(req.user.id, req.body);
+    return ResponseFormatter.success(res, feed, 'Calendar feed created; copy the URL now, it will not be shown again', 201);
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to create calendar feed');
+  }
+};
+
+const revokeFeed = async (req, res) => {
+  try {
+    const revoked = await calendarFeedService.revokeFeed(req.params.id, req.user.id);
+    if (!revoked) {
+      return ResponseFormatter.notFound(res, 'Calendar feed');
+    }
+    return ResponseFormatter.success(res, null, 'Calendar feed revoked');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to revoke calendar feed');
+  }
+};
+
+/**
+ * GET /api/calendar/feeds/:token.ics - Public; the token in the URL is the credential
+ */
+const getFeed = async (req, res) => {
+  try {
+    const ics = await calendarFeedService.renderFeed(req.params.token);
+    if (!ics) {
+      return ResponseFormatter.notFound(res, 'Calendar feed');
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="followups.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(ics);
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to render calendar feed');
+  }
+};
+
+/**
+ * Query: { start, end }
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const availability = await calendarService.getAvailability(req.query.start, req.query.end);
+    return ResponseFormatter.success(res, availability, 'Calendar availability retrieved successfully');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to fetch calendar availability');
+  }
+};
+
+const listInvites = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const invites = await meetingInviteService.getInvites(followup.id);
+    return ResponseFormatter.success(res, invites, 'Meeting invites retrieved successfully');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to fetch meeting invites');
+  }
+};
+
+/**
+ * Body: { attendeeEmail, attendeeName, location, message }; the lead's email by default
+ */
+const sendInvite = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const invite = await meetingInviteService.sendInvite(followup, req.user, req.body);
+    if (invite.lastError) {
+      return ResponseFormatter.error(res, 'Invite saved but the email could not be sent', 502, invite.lastError);
+    }
+    return ResponseFormatter.success(res, serializeInvite(invite), 'Meeting invite sent', 201);
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to send meeting invite');
+  }
+};
+
+const cancelInvite = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const [invite] = await meetingInviteService.cancelInvites(followup, req.params.inviteId);
+    if (!invite) {
+      return ResponseFormatter.notFound(res, 'Open meeting invite');
+    }
+    return ResponseFormatter.success(res, serializeInvite(invite), 'Meeting invite cancelled');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to cancel meeting invite');
+  }
+};
+
+/**
+ * GET /api/calendar/invites/rsvp/:token?response=accepted|declined|tentative - Public
+ */
+const respondToInvite = async (req, res) => {
+  if (!RSVP_MESSAGES[req.query.response]) {
+    return res.status(400).send(rsvpPage('Please use one of the links in the invitation email.'));
+  }
+  try {
+    const invite = await meetingInviteService.recordRsvp(req.params.token, req.query.response);
+    if (!invite) {
+      return res.status(404).send(rsvpPage('This invitation link is no longer valid.'));
+    }
+    if (invite.status === 'cancelled') {
+      return res.status(410).send(rsvpPage('This meeting has been cancelled.'));
+    }
+    return res.send(rsvpPage(RSVP_MESSAGES[req.query.response]));
+  } catch (error) {
+    console.error('Failed to record RSVP:', error);
+    return res.status(500).send(rsvpPage('Something went wrong, please reply to the invitation email instead.'));
+  }
+};
+
+/**
+ * POST /api/calendar/invites/replies - Public, but needs the X-Calendar-Secret header;
+ * the body is the text/calendar part of a reply forwarded by the mail pipeline
+ */
+const processReply = async (req, res) => {
+  const secret = process.env.CALENDAR_INBOUND_SECRET;
+  if (!secret || req.get('X-Calendar-Secret') !== secret) {
+    return ResponseFormatter.error(res, 'Invalid inbound secret', 401);
+  }
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+    if (!text) {
+      return ResponseFormatter.error(res, 'An iCalendar body is required', 400);
+    }
+    const result = await meetingInviteService.processReply(text);
+    return ResponseFormatter.success(res, result, 'Calendar reply processed');
+  } catch (error) {
+    return sendCalendarError(res, error, 'Failed to process calendar reply');
+  }
+};
+
+module.exports = {
+  listFeeds,
+  createFeed,
+  revokeFeed,
+  getFeed,
+  getAvailability,
+  listInvites,
+  sendInvite,
+  cancelInvite,
+  respondToInvite,
+  processReply
+};
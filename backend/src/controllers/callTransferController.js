@@ -0,0 +1,119 @@
+/**
+ * Call Transfer Controller - Blind and warm transfers, three-way conferences and call legs
+ */
+
+const { callLogs } = require('../data/dataStore');
+const callTransferService = require('../services/callTransferService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+// Call ids are numeric in the store but arrive as strings in the path
+const findCall = (req, res) => {
+  const call = callLogs.find(log => String(log.id) === String(req.params.id));
+  if (!call) {
+    ResponseFormatter.notFound(res, 'Call log');
+    return null;
+  }
+  return call;
+};
+
+const sendTransferError = (res, error) => {
+  if (error.code === 'PROVIDER_ERROR') {
+    console.error('Call transfer provider error:', error.message);
+    return ResponseFormatter.error(res, error.message, 502);
+  }
+  return ResponseFormatter.error(res, error.message, 409);
+};
+
+/**
+ * Start a transfer
+ * Body: { target, type: 'blind'|'attended', consultCallSid }
+ */
+const transferCall = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  const { target, type = 'blind', consultCallSid } = req.body;
+  if (!target) {
+    return ResponseFormatter.error(res, 'target is required', 400);
+  }
+  if (!callTransferService.TRANSFER_TYPES.includes(type)) {
+    return ResponseFormatter.error(res, `type must be one of ${callTransferService.TRANSFER_TYPES.join(', ')}`, 400);
+  }
+
+  try {
+    if (type === 'blind') {
+      const transfer = await callTransferService.blindTransfer(call, { target, requestedBy: getUserId(req) });
+      return ResponseFormatter.success(res, { call, transfer }, 'Call transferred');
+    }
+
+    const result = await callTransferService.startAttendedTransfer(call, {
+      target,
+      consultCallSid,
+      requestedBy: getUserId(req)
+    });
+    return ResponseFormatter.success(res, { call, ...result }, 'Consultation started; prospect is on hold', 201);
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+};
+
+const completeTransfer = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  try {
+    const transfer = await callTransferService.completeAttendedTransfer(call, { requestedBy: getUserId(req) });
+    return ResponseFormatter.success(res, { call, transfer }, 'Call transferred');
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+};
+
+const cancelTransfer = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  try {
+    const result = await callTransferService.cancelAttendedTransfer(call);
+    return ResponseFormatter.success(res, { call, ...result }, 'Transfer cancelled; prospect is off hold');
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+};
+
+/**
+ * Start a three-way conference
+ * Body: { target, participantCallSid } - omit target to merge the warm-transfer consultation
+ */
+const startConference = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  try {
+    const result = await callTransferService.startConference(call, {
+      target: req.body.target,
+      participantCallSid: req.body.participantCallSid,
+      requestedBy: getUserId(req)
+    });
+    return ResponseFormatter.success(res, { call, ...result }, 'Conference started', 201);
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+};
+
+const getCallLegs = (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  return ResponseFormatter.success(res, callTransferService.getCallLegs(call), 'Call legs retrieved successfully');
+};
+
+module.exports = {
+  transferCall,
+  completeTransfer,
+  cancelTransfer,
+  startConference,
+  getCallLegs
+};
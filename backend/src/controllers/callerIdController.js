@@ -0,0 +1,132 @@
+/**
+ * Caller ID Controller - Outbound caller-ID pool, number search and purchase
+ */
+
+const callerIdPoolService = require('../services/callerIdPoolService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+const sendPoolError = (res, error) => {
+  if (error.code === 'PROVIDER_ERROR') {
+    console.error('Caller ID provider error:', error.message);
+    return ResponseFormatter.error(res, error.message, 502);
+  }
+  if (error.code === 'DUPLICATE_NUMBER') {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  return ResponseFormatter.error(res, error.message, 400);
+};
+
+/**
+ * Query: { status }
+ */
+const listNumbers = async (req, res) => {
+  try {
+    const numbers = await callerIdPoolService.listNumbers({ status: req.query.status });
+    return ResponseFormatter.success(res, {
+      numbers,
+      settings: callerIdPoolService.getPoolSettings()
+    }, 'Caller ID pool retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching caller ID pool:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch caller ID pool', 500);
+  }
+};
+
+/**
+ * Body: { phoneNumber, state, locality, friendlyName, dailyCap }
+ */
+const addNumber = async (req, res) => {
+  try {
+    const number = await callerIdPoolService.addNumber(req.body, { addedBy: getUserId(req) });
+    return ResponseFormatter.success(res, number, 'Number added to the caller ID pool', 201);
+  } catch (error) {
+    return sendPoolError(res, error);
+  }
+};
+
+/**
+ * Body: { friendlyName, locality, state, dailyCap, status: 'active'|'retired' }
+ */
+const updateNumber = async (req, res) => {
+  try {
+    const number = await callerIdPoolService.updateNumber(req.params.id, req.body);
+    if (!number) {
+      return ResponseFormatter.notFound(res, 'Caller ID');
+    }
+    return ResponseFormatter.success(res, number, 'Caller ID updated');
+  } catch (error) {
+    return sendPoolError(res, error);
+  }
+};
+
+/**
+ * Body: { reason }
+ */
+const flagNumber = async (req, res) => {
+  try {
+    const number = await callerIdPoolService.flagNumber(req.params.id, { reason: req.body.reason });
+    if (!number) {
+      return ResponseFormatter.notFound(res, 'Caller ID');
+    }
+    return ResponseFormatter.success(res, number, 'Caller ID flagged and rested');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+const deleteNumber = async (req, res) => {
+  try {
+    const removed = await callerIdPoolService.deleteNumber(req.params.id);
+    if (!removed) {
+      return ResponseFormatter.notFound(res, 'Caller ID');
+    }
+    return ResponseFormatter.success(res, null, 'Number removed from the caller ID pool');
+  } catch (error) {
+    console.error('Error removing caller ID:', error);
+    return ResponseFormatter.error(res, 'Failed to remove caller ID', 500);
+  }
+};
+
+/**
+ * Query: { areaCode, state, contains, limit }
+ */
+const searchAvailableNumbers = async (req, res) => {
+  const { areaCode, state } = req.query;
+  if (!areaCode && !state) {
+    return ResponseFormatter.error(res, 'areaCode or state is required', 400);
+  }
+
+  try {
+    const numbers = await callerIdPoolService.searchAvailableNumbers(req.query);
+    return ResponseFormatter.success(res, numbers, 'Available numbers retrieved successfully');
+  } catch (error) {
+    return sendPoolError(res, error);
+  }
+};
+
+/**
+ * Body: { phoneNumber, region, locality, friendlyName, dailyCap }
+ */
+const purchaseNumber = async (req, res) => {
+  try {
+    const number = await callerIdPoolService.purchaseNumber(req.body, { addedBy: getUserId(req) });
+    return ResponseFormatter.success(res, number, 'Number purchased and added to the caller ID pool', 201);
+  } catch (error) {
+    return sendPoolError(res, error);
+  }
+};
+
+module.exports = {
+  listNumbers,
+  addNumber,
+  updateNumber,
+  flagNumber,
+  deleteNumber,
+  searchAvailableNumbers,
+  purchaseNumber
+};
@@ -2,6 +2,10 @@ const { callLogs, leads, generateId } = require('../data/dataStore');
 const ResponseFormatter = require('../utils/responseFormatter');
 const SIPManager = require('../services/sipManager');
 const TwilioService = require('../services/twilioService');
+const callTransferService = require('../services/callTransferService');
+const voicemailDropService = require('../services/voicemailDropService');
+const callerIdPoolService = require('../services/callerIdPoolService');
+const automationRuleService = require('../services/automationRuleService');
 const CallRecordingModel = require('../models/callRecordingModel');
 const fs = require('fs');
 const path = require('path');
@@ -79,6 +83,15 @@ const getCallLogById = (req, res) => {
   }
 };
 
+/**
+ * Run the call_outcome automation rules without holding up the response
+ */
+const runCallRules = (call, user) => {
+  automationRuleService.handleCallEnded(call, user).catch(error => {
+    console.error(`Automation rules failed for call ${call.id}:`, error.message);
+  });
+};
+
 /**
  * Create a new call log
  */
@@ -113,6 +126,7 @@ const createCallLog = (req, res) => {
     };
     
     callLogs.push(newCallLog);
+    runCallRules(newCallLog, req.user);
     
     // Update lead's last contact if leadId provided
     if (leadId) {
@@ -311,7 +325,7 @@ function calculateConversionRate(logs) {
  */
 const startCall = async (req, res) => {
   try {
-    const { leadId, phoneNumber, agentId, campaignId } = req.body;
+    const { leadId, phoneNumber, agentId, campaignId, detectVoicemail, voicemailClipId } = req.body;
     
     // Enhanced input validation with detailed error messages
     const validationErrors = [];
@@ -401,6 +415,21 @@ const startCall = async (req, res) => {
       }
     }
     
+    // Validate the auto-drop voicemail clip if provided
+    let autoDropClip = null;
+    if (voicemailClipId !== null && voicemailClipId !== undefined) {
+      autoDropClip = await voicemailDropService.getVoicemailClip(voicemailClipId);
+      if (!autoDropClip) {
+        validationErrors.push({
+          field: 'voicemailClipId',
+          message: `Audio clip ${voicemailClipId} not found`,
+          code: 'VOICEMAIL_CLIP_NOT_FOUND',
+          received: voicemailClipId
+        });
+      }
+    }
+    const detectMachine = Boolean(autoDropClip) || detectVoicemail === true || detectVoicemail === 'true';
+    
     // Return validation errors if any
     if (validationErrors.length > 0) {
       console.warn('Call start validation failed:', {
@@ -441,6 +470,10 @@ const startCall = async (req, res) => {
       disposition: 'connecting',
       status: 'connecting',
       campaignId: campaignId || null,
+      complianceOverrideReason: req.callCompliance?.overridden ? req.callCompliance.overrideReason : null,
+      amd: detectMachine
+        ? { autoDropClipId: autoDropClip ? autoDropClip.id : null, answeredBy: null, detectionMs: null, detectedAt: null }
+        : null,
       leadTemperature: lead ? lead.status : 'cold',
       callAttempts: 1,
       quality: {
@@ -461,14 +494,25 @@ const startCall = async (req, res) => {
       nextActions: []
     };
 
+    // Show the lead a local number from the pool; fall back to the account number
+    let callerId = null;
+    try {
+      callerId = await callerIdPoolService.selectCallerId({ phoneNumber, leadId, state: lead?.state });
+    } catch (error) {
+      console.warn('⚠️ Caller ID pool unavailable, using the default number:', error.message);
+    }
+    newCall.callerId = callerId ? callerId.callerId : process.env.TWILIO_PHONE_NUMBER;
+    newCall.callerIdMatch = callerId ? callerId.match : null;
+
     // Use Twilio for real calls instead of mock SIP
     const twilioResult = await TwilioService.makeCall(
-      process.env.TWILIO_PHONE_NUMBER, 
+      newCall.callerId, 
       phoneNumber,
       {
         record: false,
         statusCallback: `${process.env.TWILIO_STATUS_WEBHOOK_URL}?callId=${callId}`,
-        recordingStatusCallback: process.env.TWILIO_RECORDING_WEBHOOK_URL
+        recordingStatusCallback: process.env.TWILIO_RECORDING_WEBHOOK_URL,
+        ...(detectMachine ? voicemailDropService.buildMachineDetectionOptions(callId) : {})
       }
     );
 
@@ -488,6 +532,10 @@ const startCall = async (req, res) => {
     } else {
       // Store Twilio call SID for tracking
       newCall.twilioCallSid = twilioResult.callSid;
+      if (callerId) {
+        await callerIdPoolService.recordCallPlaced(callerId.number)
+          .catch(error => console.warn('⚠️ Could not count the call against its caller ID:', error.message));
+      }
       newCall.notes = `Call initiated via Twilio (SID: ${twilioResult.callSid})`;
       
       console.log('✅ Twilio call initiated:', {
@@ -619,8 +667,11 @@ const endCall = async (req, res) => {
     const call = callLogs[callIndex];
     const now = new Date();
     
-    // End Twilio call if it has a Twilio SID
-    if (call.twilioCallSid) {
+    // A transferred prospect is still talking to the closer; only the agent's side ends
+    if (callTransferService.isHandedOff(call)) {
+      console.log('📞 Agent left transferred call:', { callId: id, twilioCallSid: call.twilioCallSid });
+    } else if (call.twilioCallSid) {
+      // End Twilio call if it has a Twilio SID
       try {
         const hangupResult = await TwilioService.updateCall(call.twilioCallSid, { status: 'completed' });
         console.log('📞 Twilio call ended:', { 
@@ -636,11 +687,21 @@ const endCall = async (req, res) => {
       await SIPManager.endCall(id);
     }
     
+    if (!callTransferService.isHandedOff(call)) {
+      callTransferService.closeCallLegs(call, 'hangup');
+    }
+
     // Finalize call data
     call.status = 'ended';
     call.endTime = now.toISOString();
-    call.outcome = outcome || 'No Answer';
-    call.disposition = disposition || 'ended';
+    if (call.voicemailDrop) {
+      // The drop already logged the outcome; the agent is just closing their side
+      call.outcome = outcome || 'Voicemail';
+      call.disposition = disposition || 'voicemail_drop';
+    } else {
+      call.outcome = outcome || 'No Answer';
+      call.disposition = disposition || (callTransferService.isHandedOff(call) ? 'transferred' : 'ended');
+    }
     call.notes = notes || call.notes;
     call.tags = [...new Set([...call.tags, ...tags])];
     call.objections = [...new Set([...call.objections, ...objections])];
@@ -674,6 +735,7 @@ const endCall = async (req, res) => {
     }
 
     callLogs[callIndex] = call;
+    runCallRules(call, req.user);
 
     return ResponseFormatter.success(res, call, 'Call ended successfully');
   } catch (error) {
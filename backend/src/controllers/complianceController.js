@@ -0,0 +1,140 @@
+/**
+ * Compliance Controller - Do-not-call list management and outbound call checks
+ */
+
+const callComplianceService = require('../services/callComplianceService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+/**
+ * Check whether a number may be dialed right now, without dialing it
+ * Body: { phoneNumber, leadId }
+ */
+const checkCall = async (req, res) => {
+  try {
+    const { phoneNumber, leadId } = req.body;
+    if (!phoneNumber) {
+      return ResponseFormatter.error(res, 'phoneNumber is required', 400);
+    }
+
+    const result = await callComplianceService.checkOutboundCall({ phoneNumber, leadId });
+    return ResponseFormatter.success(
+      res,
+      result,
+      result.allowed ? 'Call is allowed' : 'Call is blocked by compliance rules'
+    );
+  } catch (error) {
+    console.error('Error checking call compliance:', error);
+    return ResponseFormatter.error(res, 'Failed to check call compliance', 500);
+  }
+};
+
+/**
+ * Reached only once requireCallCompliance has cleared (or audited an override of) the call
+ */
+const authorizeCall = async (req, res) => {
+  if (!req.body.phoneNumber) {
+    return ResponseFormatter.error(res, 'phoneNumber is required', 400);
+  }
+  return ResponseFormatter.success(res, req.callCompliance, 'Call authorized');
+};
+
+const getCallingWindows = async (req, res) => {
+  return ResponseFormatter.success(res, callComplianceService.getCallingWindows(), 'Calling windows retrieved successfully');
+};
+
+const listDoNotCall = async (req, res) => {
+  try {
+    const { search, limit = 50, offset = 0 } = req.query;
+    const result = await callComplianceService.listDoNotCallNumbers({
+      search,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    return ResponseFormatter.success(res, result, 'Do-not-call list retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching do-not-call list:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch do-not-call list', 500);
+  }
+};
+
+/**
+ * Add a number to the DNC list
+ * Body: { phoneNumber, reason, expiresAt }
+ */
+const addDoNotCall = async (req, res) => {
+  const { phoneNumber, reason, expiresAt } = req.body;
+  if (!phoneNumber) {
+    return ResponseFormatter.error(res, 'phoneNumber is required', 400);
+  }
+
+  try {
+    const { entry, created } = await callComplianceService.addDoNotCallNumber(phoneNumber, {
+      reason,
+      source: req.body.source === 'lead_request' ? 'lead_request' : 'manual',
+      addedBy: getUserId(req),
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    return ResponseFormatter.success(
+      res,
+      entry,
+      created ? 'Number added to do-not-call list' : 'Do-not-call entry updated',
+      created ? 201 : 200
+    );
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+};
+
+const removeDoNotCall = async (req, res) => {
+  try {
+    const removed = await callComplianceService.removeDoNotCallNumber(req.params.phoneNumber);
+    if (!removed) {
+      return ResponseFormatter.notFound(res, 'Do-not-call entry');
+    }
+
+    return ResponseFormatter.success(res, null, 'Number removed from do-not-call list');
+  } catch (error) {
+    console.error('Error removing do-not-call entry:', error);
+    return ResponseFormatter.error(res, 'Failed to remove do-not-call entry', 500);
+  }
+};
+
+/**
+ * Import DNC numbers from CSV, sent as text/csv or as { csv, reason } JSON
+ */
+const importDoNotCall = async (req, res) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : req.body.csv;
+    if (!content || !String(content).trim()) {
+      return ResponseFormatter.error(res, 'CSV content is required', 400);
+    }
+
+    const result = await callComplianceService.importDoNotCallCsv(content, {
+      addedBy: getUserId(req),
+      reason: typeof req.body === 'string' ? req.query.reason : req.body.reason
+    });
+
+    return ResponseFormatter.success(
+      res,
+      result,
+      `Imported ${result.imported} new and ${result.updated} existing do-not-call numbers`
+    );
+  } catch (error) {
+    console.error('Error importing do-not-call list:', error);
+    return ResponseFormatter.error(res, 'Failed to import do-not-call list', 500);
+  }
+};
+
+module.exports = {
+  checkCall,
+  authorizeCall,
+  getCallingWindows,
+  listDoNotCall,
+  addDoNotCall,
+  removeDoNotCall,
+  importDoNotCall
+};
@@ -0,0 +1,241 @@
+/**
+ * CRM Controller - Provider status, lead imports, outbound sync queue and conflict inbox
+ */
+
+const crmIntegrationService = require('../services/crmIntegrationService');
+const crmConflictService = require('../services/crmConflictService');
+const crmImportService = require('../services/crmImportService');
+const { CrmSyncCursor } = require('../database/models');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+/**
+ * List supported CRM providers with configuration state and last import run
+ */
+const getProviders = async (req, res) => {
+  try {
+    const providers = crmIntegrationService.getSupportedProviders();
+    const cursors = await CrmSyncCursor.findAll({ where: { objectType: 'lead' } });
+
+    const withCursors = providers.map(provider => {
+      const cursor = cursors.find(c => c.provider === provider.id);
+      return {
+        ...provider,
+        lastImport: cursor ? {
+          lastSyncedAt: cursor.lastSyncedAt,
+          lastRunAt: cursor.lastRunAt,
+          stats: cursor.lastRunStats
+        } : null
+      };
+    });
+
+    return ResponseFormatter.success(res, withCursors, 'CRM providers retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching CRM providers:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch CRM providers', 500);
+  }
+};
+
+/**
+ * Pull leads from a CRM provider
+ * Body: { importType, incremental, since, fieldMapping, limit }
+ */
+const importFromProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { importType = 'leads', incremental = true, since, fieldMapping, limit } = req.body;
+
+    if (!crmIntegrationService.providers[provider]) {
+      return ResponseFormatter.error(res, `Unsupported CRM provider: ${provider}`, 400);
+    }
+
+    if (!crmIntegrationService.isProviderConfigured(provider)) {
+      return ResponseFormatter.error(res, `${crmIntegrationService.providers[provider].name} is not configured`, 400);
+    }
+
+    if (fieldMapping && (typeof fieldMapping !== 'object' || Array.isArray(fieldMapping))) {
+      return ResponseFormatter.error(res, 'fieldMapping must be an object of remote field to lead field', 400);
+    }
+
+    const mappingProblems = crmImportService.validateFieldMapping(fieldMapping);
+    if (mappingProblems.length > 0) {
+      return ResponseFormatter.error(res, `Invalid fieldMapping: ${mappingProblems.join('; ')}`, 400);
+    }
+
+    const result = await crmIntegrationService.importFromCRM(
+      importType,
+      { incremental: incremental !== false && incremental !== 'false', since, fieldMapping, limit },
+      provider
+    );
+
+    return ResponseFormatter.success(
+      res,
+      result,
+      `Imported ${result.total} records from ${crmIntegrationService.providers[provider].name}`
+    );
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return ResponseFormatter.error(res, error.message, 400);
+    }
+    console.error('Error importing from CRM:', error);
+    return ResponseFormatter.error(res, error.message, 502);
+  }
+};
+
+/**
+ * Queue summary, optionally scoped to a call or lead
+ */
+const getSyncStatus = async (req, res) => {
+  try {
+    const { callId, leadId } = req.query;
+    const status = await crmIntegrationService.getSyncStatus(callId, leadId);
+    return ResponseFormatter.success(res, status, 'Sync status retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching CRM sync status:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch sync status', 500);
+  }
+};
+
+/**
+ * List dead-lettered sync items
+ */
+const getFailedSyncItems = async (req, res) => {
+  try {
+    const { provider, type, page = 1, limit = 20 } = req.query;
+    const { items, total } = await crmIntegrationService.getFailedItems({ provider, type, page, limit });
+    return ResponseFormatter.paginated(res, items, page, limit, total, 'Failed sync items retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching failed sync items:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch failed sync items', 500);
+  }
+};
+
+/**
+ * Requeue a dead-lettered sync item
+ */
+const retrySyncItem = async (req, res) => {
+  try {
+    const item = await crmIntegrationService.retrySyncItem(req.params.id);
+    if (!item) {
+      return ResponseFormatter.notFound(res, 'Sync item');
+    }
+    return ResponseFormatter.success(res, item, 'Sync item requeued');
+  } catch (error) {
+    if (error.code === 'INVALID_STATE') {
+      return ResponseFormatter.error(res, error.message, 409);
+    }
+    console.error('Error retrying sync item:', error);
+    return ResponseFormatter.error(res, 'Failed to retry sync item', 500);
+  }
+};
+
+/**
+ * Drop a dead-lettered sync item
+ */
+const discardSyncItem = async (req, res) => {
+  try {
+    const result = await crmIntegrationService.discardSyncItem(req.params.id);
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Sync item');
+    }
+    return ResponseFormatter.success(res, result, 'Sync item discarded');
+  } catch (error) {
+    if (error.code === 'INVALID_STATE') {
+      return ResponseFormatter.error(res, error.message, 409);
+    }
+    console.error('Error discarding sync item:', error);
+    return ResponseFormatter.error(res, 'Failed to discard sync item', 500);
+  }
+};
+
+/**
+ * Conflict inbox: fields whose dashboard and CRM values diverged
+ */
+const getConflicts = async (req, res) => {
+  try {
+    const { status = 'open', leadId, provider, page = 1, limit = 20 } = req.query;
+    const { rows, count } = await crmConflictService.listConflicts({ status, leadId, provider, page, limit });
+    return ResponseFormatter.paginated(res, rows, page, limit, count, 'Sync conflicts retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching sync conflicts:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch sync conflicts', 500);
+  }
+};
+
+/**
+ * Resolve a conflict and push the chosen value back to the CRM when it differs
+ * Body: { choice: 'dashboard'|'crm'|'custom', value }
+ */
+const resolveConflict = async (req, res) => {
+  try {
+    const { choice, value } = req.body;
+    const result = await crmConflictService.resolveConflict(req.params.id, {
+      choice,
+      value,
+      resolvedBy: req.user?.id ? String(req.user.id) : null
+    });
+
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Sync conflict');
+    }
+
+    let sync = null;
+    if (result.pushToCrm) {
+      sync = await crmIntegrationService.syncLead(result.lead.toJSON(), result.conflict.provider);
+    }
+
+    return ResponseFormatter.success(res, { conflict: result.conflict, lead: result.lead, sync }, 'Sync conflict resolved');
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return ResponseFormatter.error(res, error.message, 400);
+    }
+    console.error('Error resolving sync conflict:', error);
+    return ResponseFormatter.error(res, 'Failed to resolve sync conflict', 500);
+  }
+};
+
+/**
+ * Effective per-field conflict policies
+ */
+const getConflictPolicies = async (req, res) => {
+  try {
+    const policies = await crmConflictService.listPolicies();
+    return ResponseFormatter.success(res, policies, 'Conflict policies retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching conflict policies:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch conflict policies', 500);
+  }
+};
+
+/**
+ * Set the conflict policy for a single lead field
+ * Body: { policy }
+ */
+const updateConflictPolicy = async (req, res) => {
+  try {
+    const policy = await crmConflictService.setPolicy(
+      req.params.field,
+      req.body.policy,
+      req.user?.id ? String(req.user.id) : null
+    );
+    return ResponseFormatter.success(res, policy, 'Conflict policy updated');
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return ResponseFormatter.error(res, error.message, 400);
+    }
+    console.error('Error updating conflict policy:', error);
+    return ResponseFormatter.error(res, 'Failed to update conflict policy', 500);
+  }
+};
+
+module.exports = {
+  getProviders,
+  importFromProvider,
+  getSyncStatus,
+  getFailedSyncItems,
+  retrySyncItem,
+  discardSyncItem,
+  getConflicts,
+  resolveConflict,
+  getConflictPolicies,
+  updateConflictPolicy
+};
@@ -0,0 +1,190 @@
+/**
+ * Dashboard Controller
+ * Custom dashboard builder: saved layouts, widget data, and read-only share links
+ */
+
+const dashboardService = require('../services/dashboardService');
+const widgetSourceService = require('../services/widgetSourceService');
+const { sendResponse, sendError } = require('../utils/response');
+
+const sendDashboardError = (res, error, fallback) => {
+  if (error.name === 'SequelizeValidationError') {
+    return sendError(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  if (error.name && error.name.startsWith('Sequelize')) {
+    console.error(`${fallback}:`, error);
+    return sendError(res, fallback, 500);
+  }
+  return sendError(res, error.message, 400);
+};
+
+/**
+ * Load the dashboard in :id and check the caller may view (or edit) it; sends the error
+ * response and returns null otherwise
+ */
+const loadDashboard = async (req, res, access = 'view') => {
+  const result = await dashboardService.findForUser(req.params.id, req.user, access);
+  if (!result) {
+    sendError(res, 'Dashboard not found', 404);
+    return null;
+  }
+  if (!result.allowed) {
+    sendError(res, access === 'edit' ? 'You can view this dashboard but not change it' : 'Dashboard not found', access === 'edit' ? 403 : 404);
+    return null;
+  }
+  return result.dashboard;
+};
+
+/**
+ * GET /api/dashboards/sources - Endpoints widgets can be bound to
+ */
+const listSources = (req, res) => {
+  sendResponse(res, widgetSourceService.listSources(), 'Widget sources retrieved successfully');
+};
+
+/**
+ * GET /api/dashboards - The caller's dashboards and those of their teams
+ */
+const listDashboards = async (req, res) => {
+  try {
+    const dashboards = await dashboardService.listDashboards(req.user);
+    sendResponse(res, dashboards, 'Dashboards retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching dashboards:', error);
+    sendError(res, 'Failed to fetch dashboards', 500);
+  }
+};
+
+/**
+ * GET /api/dashboards/:id
+ */
+const getDashboard = async (req, res) => {
+  try {
+    const dashboard = await loadDashboard(req, res);
+    if (!dashboard) return;
+    sendResponse(res, await dashboardService.serialize(dashboard, req.user), 'Dashboard retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching dashboard:', error);
+    sendError(res, 'Failed to fetch dashboard', 500);
+  }
+};
+
+/**
+ * POST /api/dashboards
+ */
+const createDashboard = async (req, res) => {
+  try {
+    const dashboard = await dashboardService.createDashboard(req.body, req.user);
+    sendResponse(res, dashboard, 'Dashboard created successfully', 201);
+  } catch (error) {
+    sendDashboardError(res, error, 'Failed to create dashboard');
+  }
+};
+
+/**
+ * PUT /api/dashboards/:id - Any of name, description, visibility, teamId, widgets, filters
+ */
+const updateDashboard = async (req, res) => {
+  try {
+    const dashboard = await loadDashboard(req, res, 'edit');
+    if (!dashboard) return;
+    const updated = await dashboardService.updateDashboard(dashboard, req.body, req.user);
+    sendResponse(res, updated, 'Dashboard updated successfully');
+  } catch (error) {
+    sendDashboardError(res, error, 'Failed to update dashboard');
+  }
+};
+
+/**
+ * DELETE /api/dashboards/:id
+ */
+const deleteDashboard = async (req, res) => {
+  try {
+    const dashboard = await loadDashboard(req, res, 'edit');
+    if (!dashboard) return;
+    await dashboardService.deleteDashboard(dashboard);
+    sendResponse(res, null, 'Dashboard deleted successfully');
+  } catch (error) {
+    console.error('Error deleting dashboard:', error);
+    sendError(res, 'Failed to delete dashboard', 500);
+  }
+};
+
+/**
+ * POST /api/dashboards/:id/share - Turn on the read-only link
+ */
+const shareDashboard = async (req, res) => {
+  try {
+    const dashboard = await loadDashboard(req, res, 'edit');
+    if (!dashboard) return;
+    const shared = await dashboardService.share(dashboard, req.user);
+    sendResponse(res, shared, 'Dashboard shared successfully');
+  } catch (error) {
+    console.error('Error sharing dashboard:', error);
+    sendError(res, 'Failed to share dashboard', 500);
+  }
+};
+
+/**
+ * DELETE /api/dashboards/:id/share - Turn off the read-only link
+ */
+const unshareDashboard = async (req, res) => {
+  try {
+    const dashboard = await loadDashboard(req, res, 'edit');
+    if (!dashboard) return;
+    const unshared = await dashboardService.unshare(dashboard, req.user);
+    sendResponse(res, unshared, 'Dashboard link disabled');
+  } catch (error) {
+    console.error('Error unsharing dashboard:', error);
+    sendError(res, 'Failed to disable dashboard link', 500);
+  }
+};
+
+/**
+ * GET /api/shared-dashboards/:token - Public, read-only
+ */
+const getSharedDashboard = async (req, res) => {
+  try {
+    const dashboard = await dashboardService.findShared(req.params.token);
+    if (!dashboard) {
+      return sendError(res, 'Dashboard not found', 404);
+    }
+    sendResponse(res, dashboardService.serializeShared(dashboard), 'Dashboard retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching shared dashboard:', error);
+    sendError(res, 'Failed to fetch dashboard', 500);
+  }
+};
+
+/**
+ * GET /api/shared-dashboards/:token/widgets/:widgetId/data - Public, read-only
+ */
+const getSharedWidgetData = async (req, res) => {
+  try {
+    const dashboard = await dashboardService.findShared(req.params.token);
+    if (!dashboard) {
+      return sendError(res, 'Dashboard not found', 404);
+    }
+    const result = await dashboardService.getSharedWidgetData(dashboard, req.params.widgetId);
+    if (!result) {
+      return sendError(res, 'Widget not found', 404);
+    }
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error loading shared widget data:', error);
+    sendError(res, 'Failed to load widget data', 500);
+  }
+};
+
+module.exports = {
+  listSources,
+  listDashboards,
+  getDashboard,
+  createDashboard,
+  updateDashboard,
+  deleteDashboard,
+  shareDashboard,
+  unshareDashboard,
+  getSharedDashboard,
+  getSharedWidgetData
+};
@@ -0,0 +1,179 @@
+/**
+ * Dialer Controller - Power dialer sessions: queue building, next lead, outcomes and progress
+ */
+
+const powerDialerService = require('../services/powerDialerService');
+const { ROLES } = require('../middleware/auth');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const SUPERVISOR_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER];
+
+const getAgentId = (req) => String(req.user?.id || 'system');
+
+/**
+ * Agents may only drive their own sessions; supervisors may see any
+ */
+const canAccessSession = (req, session) =>
+  session.agentId === getAgentId(req) || SUPERVISOR_ROLES.includes(req.user?.role);
+
+const loadSession = async (req, res) => {
+  const session = await powerDialerService.getDialerSession(req.params.sessionId);
+  if (!session) {
+    ResponseFormatter.notFound(res, 'Dialer session');
+    return null;
+  }
+  if (!canAccessSession(req, session)) {
+    ResponseFormatter.error(res, 'You do not have access to this dialer session', 403);
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Preview how many leads a filter would queue
+ */
+const previewQueue = async (req, res) => {
+  try {
+    const { leadIds, excluded } = await powerDialerService.buildDialQueue(req.body.filter || {}, {
+      limit: req.body.limit
+    });
+
+    return ResponseFormatter.success(res, {
+      filter: powerDialerService.normalizeFilter(req.body.filter || {}),
+      total: leadIds.length,
+      leadIds,
+      excluded
+    }, 'Dial queue preview generated');
+  } catch (error) {
+    console.error('Error previewing dial queue:', error);
+    return ResponseFormatter.error(res, 'Failed to preview dial queue', 500);
+  }
+};
+
+/**
+ * Start a dialer session from a lead filter
+ * Body: { name, filter, wrapUpSeconds, limit }
+ */
+const createSession = async (req, res) => {
+  try {
+    const { name, filter = {}, wrapUpSeconds, limit } = req.body;
+
+    const result = await powerDialerService.createDialerSession(getAgentId(req), {
+      name,
+      filter,
+      wrapUpSeconds: wrapUpSeconds !== undefined ? parseInt(wrapUpSeconds) : undefined,
+      limit: limit !== undefined ? parseInt(limit) : undefined
+    });
+
+    return ResponseFormatter.success(res, result, 'Dialer session started', 201);
+  } catch (error) {
+    console.error('Error starting dialer session:', error);
+    return ResponseFormatter.error(res, 'Failed to start dialer session', 500);
+  }
+};
+
+const listSessions = async (req, res) => {
+  try {
+    const agentId = SUPERVISOR_ROLES.includes(req.user?.role) && req.query.agentId
+      ? req.query.agentId
+      : getAgentId(req);
+
+    const sessions = await powerDialerService.listDialerSessions(agentId, { status: req.query.status });
+    return ResponseFormatter.success(res, sessions, 'Dialer sessions retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching dialer sessions:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch dialer sessions', 500);
+  }
+};
+
+const getSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    return ResponseFormatter.success(res, session, 'Dialer session retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching dialer session:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch dialer session', 500);
+  }
+};
+
+/**
+ * Next lead to dial (the same lead until its outcome is logged)
+ */
+const getNextLead = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const result = await powerDialerService.getNextLead(session.id);
+    const message = result.lead ? 'Next lead ready' : 'Dial queue complete';
+
+    return ResponseFormatter.success(res, result, message);
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+/**
+ * Log the outcome of the current call
+ * Body: { leadId, outcome, duration, talkTime, notes }
+ */
+const recordOutcome = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const { leadId, outcome, duration, talkTime, notes } = req.body;
+    const result = await powerDialerService.recordDialOutcome(session.id, {
+      leadId,
+      outcome,
+      duration: parseInt(duration) || 0,
+      talkTime: talkTime !== undefined ? parseInt(talkTime) : null,
+      notes
+    });
+
+    return ResponseFormatter.success(res, result, 'Call outcome logged');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+const skipLead = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const result = await powerDialerService.skipCurrentLead(session.id, req.body.reason);
+    return ResponseFormatter.success(res, result, 'Lead skipped');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+/**
+ * Pause, resume or end a session
+ * Body: { status: 'paused'|'active'|'ended' }
+ */
+const updateSessionStatus = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const result = await powerDialerService.updateDialerSessionStatus(session.id, req.body.status);
+    return ResponseFormatter.success(res, result, `Dialer session ${req.body.status}`);
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 409);
+  }
+};
+
+module.exports = {
+  previewQueue,
+  createSession,
+  listSessions,
+  getSession,
+  getNextLead,
+  recordOutcome,
+  skipLead,
+  updateSessionStatus
+};
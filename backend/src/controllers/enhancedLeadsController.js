@@ -2,10 +2,13 @@
  * Enhanced Leads Controller - Database-powered lead management with caching and validation
  */
 
-const { Lead, Contact, CallLog, sequelize } = require('../database/models');
+const { Lead, Contact, CallLog, CrmRecordLink, sequelize } = require('../database/models');
 const { leadValidationSchema } = require('../database/models/Lead');
 const { cacheWrapper, invalidateCache, generateKey } = require('../database/cache/cacheManager');
 const ResponseFormatter = require('../utils/responseFormatter');
+const crmConflictService = require('../services/crmConflictService');
+const crmIntegrationService = require('../services/crmIntegrationService');
+const { logLeadActivity } = require('../services/leadTracking');
 const { Op } = require('sequelize');
 
 // Cached operations for better performance
@@ -120,6 +123,18 @@ const getCachedLeadStats = cacheWrapper('stats', generateKey.leadStats,
   }
 );
 
+/**
+ * Record a status change in the lead's activity timeline
+ */
+const logStatusChange = (leadId, previousStatus, newStatus, userId) => {
+  logLeadActivity(leadId, 'status_changed', {
+    previous_status: previousStatus,
+    new_status: newStatus
+  }, userId || 'system').catch(err =>
+    console.error(`Failed to record status change for lead ${leadId}:`, err)
+  );
+};
+
 /**
  * Get all leads with advanced filtering, pagination, and caching
  */
@@ -245,12 +260,33 @@ const updateLead = async (req, res) => {
       }
     }
     
-    // Update the lead
-    await lead.update(value);
+    // Update the lead, stamping the dashboard as last writer of the fields the caller sent
+    delete value.fieldProvenance;
+    const submitted = Object.fromEntries(
+      Object.entries(value).filter(([field]) => Object.prototype.hasOwnProperty.call(updates, field))
+    );
+    const previousStatus = lead.status;
+    await lead.update({
+      ...value,
+      fieldProvenance: crmConflictService.buildProvenance(lead, submitted, crmConflictService.DASHBOARD_SOURCE)
+    });
+    
+    // Status history feeds journey analytics
+    if (lead.status !== previousStatus) {
+      logStatusChange(lead.id, previousStatus, lead.status, req.user?.id);
+    }
     
     // Invalidate caches
     invalidateCache.lead(id);
     
+    // Push the edit to every CRM this lead is linked to
+    const crmLinks = await CrmRecordLink.findForLocal('lead', id);
+    crmLinks.forEach(link => {
+      crmIntegrationService.syncLead(lead.toJSON(), link.provider).catch(err =>
+        console.error(`Failed to queue ${link.provider} sync for lead ${id}:`, err)
+      );
+    });
+    
     return ResponseFormatter.success(res, lead, 'Lead updated successfully');
   } catch (error) {
     console.error('Error updating lead:', error);
@@ -367,17 +403,48 @@ const bulkUpdateLeads = async (req, res) => {
       return ResponseFormatter.error(res, error.details.map(d => d.message).join(', '), 400);
     }
     
-    // Update leads
-    const [affectedCount] = await Lead.update(updates, {
+    // Lead columns only; provenance is stamped below, never taken from the caller
+    const submitted = Object.fromEntries(
+      Object.entries(updates).filter(([field]) => field !== 'fieldProvenance' && Lead.rawAttributes[field])
+    );
+    
+    // Each lead is updated on its own so the dashboard is stamped as last writer
+    // of the fields that actually change, as for single edits
+    const leads = await Lead.findAll({
       where: { id: { [Op.in]: ids }, isActive: true },
       transaction: t
     });
+    const changing = [];
+    for (const lead of leads) {
+      const previousStatus = lead.status;
+      await lead.update({
+        ...submitted,
+        fieldProvenance: crmConflictService.buildProvenance(lead, submitted, crmConflictService.DASHBOARD_SOURCE)
+      }, { transaction: t });
+      if (lead.status !== previousStatus) {
+        changing.push({ id: lead.id, previousStatus, status: lead.status });
+      }
+    }
+    const affectedCount = leads.length;
     
     await t.commit();
     
+    changing.forEach(lead => logStatusChange(lead.id, lead.previousStatus, lead.status, req.user?.id));
+    
     // Invalidate caches for affected leads
     ids.forEach(id => invalidateCache.lead(id));
     
+    // Push the edits to every CRM the leads are linked to
+    const crmLinks = await CrmRecordLink.findAll({
+      where: { objectType: 'lead', localId: { [Op.in]: leads.map(lead => lead.id) } }
+    });
+    crmLinks.forEach(link => {
+      const lead = leads.find(candidate => candidate.id === link.localId);
+      crmIntegrationService.syncLead(lead.toJSON(), link.provider).catch(err =>
+        console.error(`Failed to queue ${link.provider} sync for lead ${lead.id}:`, err)
+      );
+    });
+    
     return ResponseFormatter.success(
       res,
       { updatedCount: affectedCount },
@@ -0,0 +1,124 @@
+/**
+ * Follow-up Controller - Scheduling, assigning, rescheduling and completing follow-ups
+ */
+
+const followupService = require('../services/followupService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const sendFollowupError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+/**
+ * Load the follow-up in :id if the caller may work it; sends the 404 and returns null otherwise
+ */
+const loadFollowup = async (req, res) => {
+  const result = await followupService.findForUser(req.params.id, req.user);
+  if (!result || !result.allowed) {
+    ResponseFormatter.notFound(res, 'Follow-up');
+    return null;
+  }
+  return result.followup;
+};
+
+/**
+ * Query: { status, type, priority, leadId, userId, startDate, endDate, overdue, page, limit }
+ */
+const listFollowups = async (req, res) => {
+  try {
+    const { followups, total, page, limit } = await followupService.listFollowups(req.query, req.user);
+    return ResponseFormatter.paginated(res, followups, page, limit, total, 'Follow-ups retrieved successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to fetch follow-ups');
+  }
+};
+
+const getFollowup = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    return ResponseFormatter.success(res, followup, 'Follow-up retrieved successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to fetch follow-up');
+  }
+};
+
+/**
+ * Body: { leadId, title, scheduledFor, type, priority, description, duration, timezone,
+ *   callId, userId, assignment: { type, teamId, skills, fallback } }
+ */
+const createFollowup = async (req, res) => {
+  try {
+    const followup = await followupService.createFollowup(req.body, req.user);
+    return ResponseFormatter.success(res, followup, 'Follow-up created successfully', 201);
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to create follow-up');
+  }
+};
+
+const updateFollowup = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const updated = await followupService.updateFollowup(followup, req.body, req.user);
+    return ResponseFormatter.success(res, updated, 'Follow-up updated successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to update follow-up');
+  }
+};
+
+/**
+ * Body: { newDate, reason }
+ */
+const rescheduleFollowup = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const updated = await followupService.rescheduleFollowup(followup, req.body.newDate, req.body.reason);
+    return ResponseFormatter.success(res, updated, 'Follow-up rescheduled successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to reschedule follow-up');
+  }
+};
+
+/**
+ * Body: { outcome, notes }
+ */
+const completeFollowup = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    const updated = await followupService.completeFollowup(followup, req.body, req.user);
+    return ResponseFormatter.success(res, updated, 'Follow-up completed successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to complete follow-up');
+  }
+};
+
+const deleteFollowup = async (req, res) => {
+  try {
+    const followup = await loadFollowup(req, res);
+    if (!followup) return;
+    await followupService.deleteFollowup(followup);
+    return ResponseFormatter.success(res, null, 'Follow-up deleted successfully');
+  } catch (error) {
+    return sendFollowupError(res, error, 'Failed to delete follow-up');
+  }
+};
+
+module.exports = {
+  listFollowups,
+  getFollowup,
+  createFollowup,
+  updateFollowup,
+  rescheduleFollowup,
+  completeFollowup,
+  deleteFollowup
+};
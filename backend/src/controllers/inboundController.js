@@ -0,0 +1,109 @@
+/**
+ * Inbound Controller - Caller screen-pop lookup, quick-create leads and inbound routing rules
+ */
+
+const inboundRoutingService = require('../services/inboundRoutingService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+const QUICK_CREATE_FIELDS = ['firstName', 'lastName', 'company', 'email', 'phone'];
+
+/**
+ * Match a caller to a lead and return its recent calls
+ * Query: { phone }
+ */
+const lookupCaller = async (req, res) => {
+  const { phone } = req.query;
+  if (!phone) {
+    return ResponseFormatter.error(res, 'phone is required', 400);
+  }
+
+  try {
+    const result = await inboundRoutingService.lookupCaller(phone);
+    return ResponseFormatter.success(res, result, result.lead ? 'Caller matched to a lead' : 'Unknown caller');
+  } catch (error) {
+    console.error('Error looking up caller:', error);
+    return ResponseFormatter.error(res, 'Failed to look up caller', 500);
+  }
+};
+
+/**
+ * Quick-create a lead for an unknown caller
+ * Body: { firstName, lastName, company, email, phone, title, notes }
+ */
+const quickCreateLead = async (req, res) => {
+  const missing = QUICK_CREATE_FIELDS.filter(field => !req.body[field]);
+  if (missing.length > 0) {
+    return ResponseFormatter.error(res, `Missing required fields: ${missing.join(', ')}`, 400);
+  }
+
+  try {
+    const lead = await inboundRoutingService.quickCreateLead(req.body, { createdBy: getUserId(req) });
+    return ResponseFormatter.success(res, lead, 'Lead created', 201);
+  } catch (error) {
+    if (error.code === 'DUPLICATE_LEAD') {
+      return ResponseFormatter.error(res, error.message, 409, { leadId: error.lead.id });
+    }
+    if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+      return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+    }
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+};
+
+const listRoutes = async (req, res) => {
+  try {
+    const routes = await inboundRoutingService.listRoutes();
+    return ResponseFormatter.success(res, routes, 'Inbound routes retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching inbound routes:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch inbound routes', 500);
+  }
+};
+
+/**
+ * Body: { phoneNumber, name, steps, ringGroup, ownerTimeout, teamTimeout, voicemailGreeting, isActive }
+ */
+const createRoute = async (req, res) => {
+  try {
+    const route = await inboundRoutingService.createRoute(req.body, { createdBy: getUserId(req) });
+    return ResponseFormatter.success(res, route, 'Inbound route created', 201);
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, error.code === 'DUPLICATE_ROUTE' ? 409 : 400);
+  }
+};
+
+const updateRoute = async (req, res) => {
+  try {
+    const route = await inboundRoutingService.updateRoute(req.params.id, req.body);
+    if (!route) {
+      return ResponseFormatter.notFound(res, 'Inbound route');
+    }
+    return ResponseFormatter.success(res, route, 'Inbound route updated');
+  } catch (error) {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+};
+
+const deleteRoute = async (req, res) => {
+  try {
+    const removed = await inboundRoutingService.deleteRoute(req.params.id);
+    if (!removed) {
+      return ResponseFormatter.notFound(res, 'Inbound route');
+    }
+    return ResponseFormatter.success(res, null, 'Inbound route deleted');
+  } catch (error) {
+    console.error('Error deleting inbound route:', error);
+    return ResponseFormatter.error(res, 'Failed to delete inbound route', 500);
+  }
+};
+
+module.exports = {
+  lookupCaller,
+  quickCreateLead,
+  listRoutes,
+  createRoute,
+  updateRoute,
+  deleteRoute
+};
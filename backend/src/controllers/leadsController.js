@@ -1,6 +1,7 @@
 const { leads, generateId } = require('../data/dataStore');
 const ResponseFormatter = require('../utils/responseFormatter');
 const { calculateLeadScore, getLeadLifecycleStage, analyzeLeadQuality } = require('../services/leadScoring');
+const { rescoreLead } = require('../services/leadScoringModels');
 const { logLeadActivity, getLeadTimeline } = require('../services/leadTracking');
 const { detectDuplicateLeads, mergeLeads } = require('../services/leadDeduplication');
 const { enrichLeadData } = require('../services/leadEnrichment');
@@ -310,6 +311,7 @@ const createLead = async (req, res) => {
       title,
       address,
       lead_source,
+      campaign,
       tags = [],
       assigned_to,
       custom_fields = {}
@@ -353,6 +355,7 @@ const createLead = async (req, res) => {
       title: title || null,
       address: address || null,
       lead_source: lead_source || 'Manual Entry',
+      campaign: campaign || null,
       tags: Array.isArray(tags) ? tags : [],
       assigned_to: assigned_to || null,
       notes: notes || '',
@@ -377,8 +380,8 @@ const createLead = async (req, res) => {
       deleted_at: null
     };
     
-    // Calculate initial lead score
-    newLead.score = calculateLeadScore(newLead);
+    // Calculate initial lead score and start its score history
+    rescoreLead(newLead, { reason: 'created' });
     newLead.lifecycle_stage = getLeadLifecycleStage(newLead);
     newLead.quality_grade = analyzeLeadQuality(newLead);
     
@@ -450,6 +453,7 @@ const updateLead = (req, res) => {
       updatedAt: new Date().toISOString()
     };
     
+    rescoreLead(updatedLead, { reason: 'updated' });
     leads[leadIndex] = updatedLead;
     
     return ResponseFormatter.success(res, updatedLead, 'Lead updated successfully');
@@ -0,0 +1,119 @@
+/**
+ * Notification Controller - Push subscriptions, notification settings and quiet hours,
+ * and the caller's reminder deliveries
+ */
+
+const notificationService = require('../services/notificationService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const sendNotificationError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+const getPushPublicKey = (req, res) => {
+  const publicKey = notificationService.getPushPublicKey();
+  if (!publicKey) {
+    return ResponseFormatter.error(res, 'Web Push is not configured', 503);
+  }
+  return ResponseFormatter.success(res, { publicKey }, 'Push public key retrieved successfully');
+};
+
+/**
+ * Body: { subscription: { endpoint, keys: { p256dh, auth } } }
+ */
+const subscribePush = async (req, res) => {
+  try {
+    const subscription = await notificationService.subscribePush(
+      req.user.id,
+      req.body.subscription,
+      req.get('user-agent') || null
+    );
+    return ResponseFormatter.success(res, { id: subscription.id }, 'Push subscription saved', 201);
+  } catch (error) {
+    return sendNotificationError(res, error, 'Failed to save push subscription');
+  }
+};
+
+/**
+ * Body: { endpoint }
+ */
+const unsubscribePush = async (req, res) => {
+  try {
+    if (!req.body.endpoint) {
+      return ResponseFormatter.error(res, 'endpoint is required', 400);
+    }
+    const removed = await notificationService.unsubscribePush(req.user.id, req.body.endpoint);
+    if (!removed) {
+      return ResponseFormatter.notFound(res, 'Push subscription');
+    }
+    return ResponseFormatter.success(res, null, 'Push subscription removed');
+  } catch (error) {
+    return sendNotificationError(res, error, 'Failed to remove push subscription');
+  }
+};
+
+const getSettings = async (req, res) => {
+  try {
+    const setting = await notificationService.getSettings(req.user.id);
+    return ResponseFormatter.success(res, setting, 'Notification settings retrieved successfully');
+  } catch (error) {
+    return sendNotificationError(res, error, 'Failed to fetch notification settings');
+  }
+};
+
+/**
+ * Body: { email, phone, reminderChannels, reminderLeadMinutes, timeZone,
+ *   quietHoursEnabled, quietHoursStart, quietHoursEnd, quietChannels }
+ */
+const updateSettings = async (req, res) => {
+  try {
+    const setting = await notificationService.updateSettings(req.user, req.body);
+    return ResponseFormatter.success(res, setting, 'Notification settings updated successfully');
+  } catch (error) {
+    return sendNotificationError(res, error, 'Failed to update notification settings');
+  }
+};
+
+/**
+ * Query: { channel, status, followupId, page, limit }
+ */
+const listDeliveries = async (req, res) => {
+  try {
+    const { deliveries, total, page, limit } = await notificationService.listDeliveries(req.user.id, req.query);
+    return ResponseFormatter.paginated(res, deliveries, page, limit, total, 'Deliveries retrieved successfully');
+  } catch (error) {
+    return sendNotificationError(res, error, 'Failed to fetch deliveries');
+  }
+};
+
+const retryDelivery = async (req, res) => {
+  try {
+    const delivery = await notificationService.retryDelivery(req.params.id, req.user.id);
+    if (!delivery) {
+      return ResponseFormatter.notFound(res, 'Delivery');
+    }
+    return ResponseFormatter.success(res, delivery, `Delivery ${delivery.status}`);
+  } catch (error) {
+    if (error.code === 'NOT_RETRYABLE') {
+      return ResponseFormatter.error(res, error.message, 409);
+    }
+    return sendNotificationError(res, error, 'Failed to retry delivery');
+  }
+};
+
+module.exports = {
+  getPushPublicKey,
+  subscribePush,
+  unsubscribePush,
+  getSettings,
+  updateSettings,
+  listDeliveries,
+  retryDelivery
+};
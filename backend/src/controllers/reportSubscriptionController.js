@@ -0,0 +1,140 @@
+/**
+ * Report Subscription Controller
+ * Scheduled custom report emails: CRUD, run history and "send now"
+ */
+
+const reportSubscriptionService = require('../services/reportSubscriptionService');
+const { sendResponse, sendError } = require('../utils/response');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+const sendSubscriptionError = (res, error, fallback) => {
+  if (error.name === 'SequelizeValidationError') {
+    return sendError(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  if (error.name && error.name.startsWith('Sequelize')) {
+    console.error(`${fallback}:`, error);
+    return sendError(res, fallback, 500);
+  }
+  return sendError(res, error.message, 400);
+};
+
+/**
+ * GET /api/analytics/subscriptions - Query: { active }
+ */
+const listSubscriptions = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const subscriptions = await reportSubscriptionService.listSubscriptions({
+      active: active === undefined ? undefined : active === 'true'
+    });
+    sendResponse(res, subscriptions, 'Report subscriptions retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching report subscriptions:', error);
+    sendError(res, 'Failed to fetch report subscriptions', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/subscriptions/:id
+ */
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await reportSubscriptionService.getSubscription(req.params.id);
+    if (!subscription) {
+      return sendError(res, 'Report subscription not found', 404);
+    }
+    sendResponse(res, subscription, 'Report subscription retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching report subscription:', error);
+    sendError(res, 'Failed to fetch report subscription', 500);
+  }
+};
+
+/**
+ * POST /api/analytics/subscriptions
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const subscription = await reportSubscriptionService.createSubscription(req.body, { createdBy: getUserId(req) });
+    sendResponse(res, subscription, 'Report subscription created successfully', 201);
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to create report subscription');
+  }
+};
+
+/**
+ * PUT /api/analytics/subscriptions/:id
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await reportSubscriptionService.updateSubscription(req.params.id, req.body);
+    if (!subscription) {
+      return sendError(res, 'Report subscription not found', 404);
+    }
+    sendResponse(res, subscription, 'Report subscription updated successfully');
+  } catch (error) {
+    sendSubscriptionError(res, error, 'Failed to update report subscription');
+  }
+};
+
+/**
+ * DELETE /api/analytics/subscriptions/:id
+ */
+const deleteSubscription = async (req, res) => {
+  try {
+    const removed = await reportSubscriptionService.deleteSubscription(req.params.id);
+    if (!removed) {
+      return sendError(res, 'Report subscription not found', 404);
+    }
+    sendResponse(res, null, 'Report subscription deleted successfully');
+  } catch (error) {
+    console.error('Error deleting report subscription:', error);
+    sendError(res, 'Failed to delete report subscription', 500);
+  }
+};
+
+/**
+ * GET /api/analytics/subscriptions/:id/runs - Query: { limit }
+ */
+const listRuns = async (req, res) => {
+  try {
+    const runs = await reportSubscriptionService.listRuns(req.params.id, { limit: req.query.limit });
+    if (!runs) {
+      return sendError(res, 'Report subscription not found', 404);
+    }
+    sendResponse(res, runs, 'Report runs retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching report runs:', error);
+    sendError(res, 'Failed to fetch report runs', 500);
+  }
+};
+
+/**
+ * POST /api/analytics/subscriptions/:id/send - Deliver the report now
+ */
+const sendNow = async (req, res) => {
+  try {
+    const run = await reportSubscriptionService.sendNow(req.params.id);
+    if (!run) {
+      return sendError(res, 'Report subscription not found', 404);
+    }
+    if (run.status === 'failed') {
+      return sendError(res, `Report delivery failed: ${run.error}`, 502, run);
+    }
+    sendResponse(res, run, 'Report sent successfully');
+  } catch (error) {
+    console.error('Error sending report:', error);
+    sendError(res, 'Failed to send report', 500);
+  }
+};
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listRuns,
+  sendNow
+};
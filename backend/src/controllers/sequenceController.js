@@ -0,0 +1,189 @@
+/**
+ * Sequence Controller - Follow-up sequences, lead enrollments and sequence stats
+ */
+
+const sequenceService = require('../services/sequenceService');
+const ResponseFormatter = require('../utils/responseFormatter');
+const { ROLES } = require('../middleware/auth');
+
+const SUPERVISOR_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER];
+
+const sendSequenceError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+/**
+ * Query: { category, isActive }
+ */
+const listSequences = async (req, res) => {
+  try {
+    const sequences = await sequenceService.listSequences(req.query);
+    return ResponseFormatter.success(res, sequences, 'Sequences retrieved successfully');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to fetch sequences');
+  }
+};
+
+const getSequence = async (req, res) => {
+  try {
+    const sequence = await sequenceService.findSequence(req.params.id);
+    if (!sequence) {
+      return ResponseFormatter.notFound(res, 'Sequence');
+    }
+    return ResponseFormatter.success(res, sequence, 'Sequence retrieved successfully');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to fetch sequence');
+  }
+};
+
+/**
+ * Body: { name, description, category, isActive, steps, exitConditions, teamId }
+ */
+const createSequence = async (req, res) => {
+  try {
+    const sequence = await sequenceService.createSequence(req.body, req.user);
+    return ResponseFormatter.success(res, sequence, 'Sequence created successfully', 201);
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to create sequence');
+  }
+};
+
+const updateSequence = async (req, res) => {
+  try {
+    const sequence = await sequenceService.findSequence(req.params.id);
+    if (!sequence) {
+      return ResponseFormatter.notFound(res, 'Sequence');
+    }
+    const updated = await sequenceService.updateSequence(sequence, req.body);
+    return ResponseFormatter.success(res, updated, 'Sequence updated successfully');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to update sequence');
+  }
+};
+
+const getSequenceStats = async (req, res) => {
+  try {
+    const sequence = await sequenceService.findSequence(req.params.id);
+    if (!sequence) {
+      return ResponseFormatter.notFound(res, 'Sequence');
+    }
+    const stats = await sequenceService.getSequenceStats(sequence);
+    return ResponseFormatter.success(res, stats, 'Sequence statistics retrieved successfully');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to fetch sequence statistics');
+  }
+};
+
+/**
+ * Query: { status, page, limit }
+ */
+const listEnrollments = async (req, res) => {
+  try {
+    const { enrollments, total, page, limit } = await sequenceService.listEnrollments(req.params.id, req.query);
+    return ResponseFormatter.paginated(res, enrollments, page, limit, total, 'Enrollments retrieved successfully');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to fetch enrollments');
+  }
+};
+
+/**
+ * Body: { leadId } or { leadIds }, plus { userId, startStep }
+ * Follow-ups go to userId, else the lead's assignee, else the caller
+ */
+const enrollLeads = async (req, res) => {
+  try {
+    const { leadId, leadIds, userId, startStep = 1 } = req.body;
+    if (userId !== undefined && String(userId) !== String(req.user.id) && !SUPERVISOR_ROLES.includes(req.user.role)) {
+      return ResponseFormatter.error(res, 'Only managers can enroll leads for someone else', 403);
+    }
+    if (!leadId && !(Array.isArray(leadIds) && leadIds.length > 0)) {
+      return ResponseFormatter.error(res, 'leadId or leadIds is required', 400);
+    }
+
+    const sequence = await sequenceService.findSequence(req.params.id);
+    if (!sequence) {
+      return ResponseFormatter.notFound(res, 'Sequence');
+    }
+
+    const options = { userId, fallbackUserId: req.user.id, startStep };
+    if (Array.isArray(leadIds)) {
+      const results = await sequenceService.bulkEnroll(sequence, leadIds, options);
+      const enrolled = results.filter(result => result.success).length;
+      return ResponseFormatter.success(
+        res,
+        { enrolled, failed: results.length - enrolled, results },
+        `Enrolled ${enrolled} of ${results.length} leads`
+      );
+    }
+
+    const enrollment = await sequenceService.enrollLead(sequence, leadId, options);
+    return ResponseFormatter.success(res, enrollment, 'Lead enrolled successfully', 201);
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to enroll lead');
+  }
+};
+
+/**
+ * Remove a lead from a sequence by hand
+ */
+const exitEnrollment = async (req, res) => {
+  try {
+    const enrollment = await sequenceService.findEnrollment(req.params.enrollmentId);
+    if (!enrollment || !enrollment.isOpen()) {
+      return ResponseFormatter.notFound(res, 'Open enrollment');
+    }
+    const exited = await sequenceService.exitEnrollment(enrollment, 'manual');
+    return ResponseFormatter.success(res, exited, 'Lead removed from sequence');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to remove lead from sequence');
+  }
+};
+
+/**
+ * Body: { paused } - false resumes
+ */
+const pauseEnrollment = async (req, res) => {
+  try {
+    const paused = req.body.paused !== false && req.body.paused !== 'false';
+    const enrollment = await sequenceService.findEnrollment(req.params.enrollmentId);
+    const updated = enrollment && await sequenceService.setPaused(enrollment, paused);
+    if (!updated) {
+      return ResponseFormatter.notFound(res, 'Open enrollment');
+    }
+    return ResponseFormatter.success(res, updated, paused ? 'Enrollment paused' : 'Enrollment resumed');
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to update enrollment');
+  }
+};
+
+/**
+ * Body: { event } - replied|meeting_booked|do_not_call; the lead leaves all its sequences
+ */
+const recordLeadEvent = async (req, res) => {
+  try {
+    const exited = await sequenceService.handleLeadEvent(req.params.leadId, req.body.event);
+    return ResponseFormatter.success(res, { exited }, `Lead removed from ${exited} sequence(s)`);
+  } catch (error) {
+    return sendSequenceError(res, error, 'Failed to record lead event');
+  }
+};
+
+module.exports = {
+  listSequences,
+  getSequence,
+  createSequence,
+  updateSequence,
+  getSequenceStats,
+  listEnrollments,
+  enrollLeads,
+  exitEnrollment,
+  pauseEnrollment,
+  recordLeadEvent
+};
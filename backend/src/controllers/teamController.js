@@ -0,0 +1,190 @@
+/**
+ * Team Controller - Teams, member skills/capacity/out-of-office and territories
+ */
+
+const teamService = require('../services/teamService');
+const assignmentService = require('../services/assignmentService');
+const ResponseFormatter = require('../utils/responseFormatter');
+const { ROLES } = require('../middleware/auth');
+
+const SUPERVISOR_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER];
+
+const sendTeamError = (res, error, fallback) => {
+  if (error.code === 'VALIDATION_ERROR') {
+    return ResponseFormatter.error(res, error.message, 400);
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return ResponseFormatter.error(res, error.errors.map(item => item.message).join('; '), 400);
+  }
+  console.error(`${fallback}:`, error);
+  return ResponseFormatter.error(res, fallback, 500);
+};
+
+/**
+ * Query: { isActive }
+ */
+const listTeams = async (req, res) => {
+  try {
+    const teams = await teamService.listTeams({ isActive: req.query.isActive });
+    return ResponseFormatter.success(res, teams, 'Teams retrieved successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to fetch teams');
+  }
+};
+
+/**
+ * Body: { name, description, managerId, defaultMaxOpenFollowups, defaultMaxDailyFollowups, timezone }
+ */
+const createTeam = async (req, res) => {
+  try {
+    const team = await teamService.createTeam(req.body);
+    return ResponseFormatter.success(res, team, 'Team created successfully', 201);
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to create team');
+  }
+};
+
+const updateTeam = async (req, res) => {
+  try {
+    const team = await teamService.findTeam(req.params.id);
+    if (!team) {
+      return ResponseFormatter.notFound(res, 'Team');
+    }
+    return ResponseFormatter.success(res, await teamService.updateTeam(team, req.body), 'Team updated successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to update team');
+  }
+};
+
+/**
+ * Members in rotation order with their load and availability
+ */
+const getTeamMembers = async (req, res) => {
+  try {
+    const members = await assignmentService.getTeamAvailability(req.params.id);
+    if (!members) {
+      return ResponseFormatter.notFound(res, 'Team');
+    }
+    return ResponseFormatter.success(res, members, 'Team members retrieved successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to fetch team members');
+  }
+};
+
+/**
+ * Body: { role, isActive, skills, maxOpenFollowups, maxDailyFollowups, outOfOfficeFrom, outOfOfficeUntil, outOfOfficeReason }
+ */
+const upsertTeamMember = async (req, res) => {
+  try {
+    const team = await teamService.findTeam(req.params.id);
+    if (!team) {
+      return ResponseFormatter.notFound(res, 'Team');
+    }
+
+    const { member, created } = await teamService.upsertMember(team, req.params.userId, req.body);
+    return ResponseFormatter.success(
+      res,
+      member,
+      created ? 'Team member added successfully' : 'Team member updated successfully',
+      created ? 201 : 200
+    );
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to save team member');
+  }
+};
+
+/**
+ * Body: { from, until, reason, clear } - agents may set their own
+ */
+const setOutOfOffice = async (req, res) => {
+  try {
+    if (String(req.user.id) !== String(req.params.userId) && !SUPERVISOR_ROLES.includes(req.user.role)) {
+      return ResponseFormatter.error(res, 'You can only change your own out-of-office status', 403);
+    }
+
+    const member = await teamService.findMember(req.params.id, req.params.userId);
+    if (!member) {
+      return ResponseFormatter.notFound(res, 'Team member');
+    }
+
+    const updated = await teamService.setOutOfOffice(member, req.body);
+    return ResponseFormatter.success(res, updated, updated.outOfOfficeFrom ? 'Out-of-office set' : 'Out-of-office cleared');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to update out-of-office status');
+  }
+};
+
+const removeTeamMember = async (req, res) => {
+  try {
+    const deleted = await teamService.removeMember(req.params.id, req.params.userId);
+    if (!deleted) {
+      return ResponseFormatter.notFound(res, 'Team member');
+    }
+    return ResponseFormatter.success(res, null, 'Team member removed successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to remove team member');
+  }
+};
+
+const listTerritories = async (req, res) => {
+  try {
+    const territories = await teamService.listTerritories(req.params.id);
+    return ResponseFormatter.success(res, territories, 'Territories retrieved successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to fetch territories');
+  }
+};
+
+/**
+ * Body: { name, priority, countries, states, zipPrefixes, industries, userIds, isActive }
+ */
+const createTerritory = async (req, res) => {
+  try {
+    const team = await teamService.findTeam(req.params.id);
+    if (!team) {
+      return ResponseFormatter.notFound(res, 'Team');
+    }
+    return ResponseFormatter.success(res, await teamService.createTerritory(team, req.body), 'Territory created successfully', 201);
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to create territory');
+  }
+};
+
+const updateTerritory = async (req, res) => {
+  try {
+    const territory = await teamService.findTerritory(req.params.territoryId);
+    if (!territory) {
+      return ResponseFormatter.notFound(res, 'Territory');
+    }
+    return ResponseFormatter.success(res, await teamService.updateTerritory(territory, req.body), 'Territory updated successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to update territory');
+  }
+};
+
+const deleteTerritory = async (req, res) => {
+  try {
+    const territory = await teamService.findTerritory(req.params.territoryId);
+    if (!territory) {
+      return ResponseFormatter.notFound(res, 'Territory');
+    }
+    await teamService.deleteTerritory(territory);
+    return ResponseFormatter.success(res, null, 'Territory deleted successfully');
+  } catch (error) {
+    return sendTeamError(res, error, 'Failed to delete territory');
+  }
+};
+
+module.exports = {
+  listTeams,
+  createTeam,
+  updateTeam,
+  getTeamMembers,
+  upsertTeamMember,
+  setOutOfOffice,
+  removeTeamMember,
+  listTerritories,
+  createTerritory,
+  updateTerritory,
+  deleteTerritory
+};
@@ -0,0 +1,93 @@
+/**
+ * Voicemail Drop Controller - Pre-recorded voicemail drops and answering-machine results
+ */
+
+const { callLogs } = require('../data/dataStore');
+const voicemailDropService = require('../services/voicemailDropService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+const getUserId = (req) => (req.user?.id ? String(req.user.id) : null);
+
+// Call ids are numeric in the store but arrive as strings in the path
+const findCall = (req, res) => {
+  const call = callLogs.find(log => String(log.id) === String(req.params.id));
+  if (!call) {
+    ResponseFormatter.notFound(res, 'Call log');
+    return null;
+  }
+  return call;
+};
+
+const sendDropError = (res, error) => {
+  if (error.code === 'PROVIDER_ERROR') {
+    console.error('Voicemail drop provider error:', error.message);
+    return ResponseFormatter.error(res, error.message, 502);
+  }
+  return ResponseFormatter.error(res, error.message, 409);
+};
+
+const listVoicemailClips = async (req, res) => {
+  try {
+    const clips = await voicemailDropService.listVoicemailClips();
+    return ResponseFormatter.success(res, clips, 'Voicemail clips retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching voicemail clips:', error);
+    return ResponseFormatter.error(res, 'Failed to fetch voicemail clips', 500);
+  }
+};
+
+/**
+ * Drop a pre-recorded voicemail and release the agent
+ * Body: { clipId, trigger: 'manual'|'amd' }
+ */
+const dropVoicemail = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  const { clipId, trigger = 'manual' } = req.body;
+  if (!clipId) {
+    return ResponseFormatter.error(res, 'clipId is required', 400);
+  }
+  if (!voicemailDropService.DROP_TRIGGERS.includes(trigger)) {
+    return ResponseFormatter.error(res, `trigger must be one of ${voicemailDropService.DROP_TRIGGERS.join(', ')}`, 400);
+  }
+
+  try {
+    const clip = await voicemailDropService.getVoicemailClip(clipId);
+    if (!clip) {
+      return ResponseFormatter.notFound(res, 'Audio clip');
+    }
+
+    const drop = await voicemailDropService.dropVoicemail(call, clip, { trigger, requestedBy: getUserId(req) });
+    return ResponseFormatter.success(res, { call, drop, clip }, 'Voicemail dropped');
+  } catch (error) {
+    return sendDropError(res, error);
+  }
+};
+
+/**
+ * Answering-machine result from the browser's audio-energy heuristic (SIP calls)
+ * Body: { answeredBy, detectionMs }
+ */
+const reportMachineDetection = async (req, res) => {
+  const call = findCall(req, res);
+  if (!call) return;
+
+  const { answeredBy, detectionMs } = req.body;
+  if (!answeredBy) {
+    return ResponseFormatter.error(res, 'answeredBy is required', 400);
+  }
+
+  try {
+    const result = await voicemailDropService.handleMachineDetection(call, { answeredBy, detectionMs });
+    return ResponseFormatter.success(res, { call, ...result }, 'Answering-machine result recorded');
+  } catch (error) {
+    return sendDropError(res, error);
+  }
+};
+
+module.exports = {
+  listVoicemailClips,
+  dropVoicemail,
+  reportMachineDetection
+};
@@ -96,7 +96,11 @@ let audioClips = [
   // Closing
   { id: 7, name: "Schedule Meeting", duration: "0:22", category: "closing", url: "/audio/schedule-meeting.mp3", createdAt: new Date().toISOString() },
   { id: 8, name: "Trial Offer", duration: "0:25", category: "closing", url: "/audio/trial-offer.mp3", createdAt: new Date().toISOString() },
-  { id: 9, name: "Next Steps", duration: "0:20", category: "closing", url: "/audio/next-steps.mp3", createdAt: new Date().toISOString() }
+  { id: 9, name: "Next Steps", duration: "0:20", category: "closing", url: "/audio/next-steps.mp3", createdAt: new Date().toISOString() },
+
+  // Voicemail drops
+  { id: 10, name: "Voicemail - Quick Callback", duration: "0:24", category: "voicemail", url: "/audio/voicemail-quick-callback.mp3", createdAt: new Date().toISOString() },
+  { id: 11, name: "Voicemail - Follow Up", duration: "0:28", category: "voicemail", url: "/audio/voicemail-follow-up.mp3", createdAt: new Date().toISOString() }
 ];
 
 let callLogs = [
@@ -155,6 +159,9 @@ const activeCalls = new Map();
 // Call recordings metadata
 const callRecordings = [];
 
+// Lead merge history with snapshots for undo
+const leadMerges = [];
+
 // Real-time metrics
 const systemMetrics = {
   startTime: new Date().toISOString(),
@@ -206,6 +213,7 @@ const resetData = () => {
   callLogs.length = 0;
   audioFiles.length = 0;
   callRecordings.length = 0;
+  leadMerges.length = 0;
   activeCalls.clear();
   sipConfig.current = null;
   sipConfig.history = [];
@@ -223,6 +231,7 @@ module.exports = {
   sipConfig,
   activeCalls,
   callRecordings,
+  leadMerges,
   systemMetrics,
   
   // Utility functions
@@ -0,0 +1,111 @@
+/**
+ * Migration: Create CRM sync tables
+ * Remote record links and incremental import cursors
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CRM_PROVIDERS = ['salesforce', 'hubspot', 'pipedrive', 'zoho'];
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating crm_record_links table...');
+
+    await queryInterface.createTable('crm_record_links', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      provider: {
+        type: DataTypes.ENUM(...CRM_PROVIDERS),
+        allowNull: false
+      },
+      objectType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'lead'
+      },
+      remoteId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      remoteUpdatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      localId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      lastSyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('crm_record_links', ['provider', 'objectType', 'remoteId'], { unique: true });
+    await queryInterface.addIndex('crm_record_links', ['objectType', 'localId']);
+
+    console.log('🔄 Creating crm_sync_cursors table...');
+
+    await queryInterface.createTable('crm_sync_cursors', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      provider: {
+        type: DataTypes.ENUM(...CRM_PROVIDERS),
+        allowNull: false
+      },
+      objectType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'lead'
+      },
+      lastSyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRunStats: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('crm_sync_cursors', ['provider', 'objectType'], { unique: true });
+
+    console.log('✅ CRM sync tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('crm_sync_cursors');
+    await queryInterface.dropTable('crm_record_links');
+  }
+};
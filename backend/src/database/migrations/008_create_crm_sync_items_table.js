@@ -0,0 +1,113 @@
+/**
+ * Migration: Create CRM sync items table
+ * Persistent outbound sync queue with retry and dead-letter state
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CRM_PROVIDERS = ['salesforce', 'hubspot', 'pipedrive', 'zoho'];
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating crm_sync_items table...');
+
+    await queryInterface.createTable('crm_sync_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      action: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'create_or_update'
+      },
+      provider: {
+        type: DataTypes.ENUM(...CRM_PROVIDERS),
+        allowNull: false
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      callId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      leadId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      opportunityId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'processing', 'completed', 'dead'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      crmRecordId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      deadLetteredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('crm_sync_items', ['status', 'nextAttemptAt']);
+    await queryInterface.addIndex('crm_sync_items', ['provider']);
+    await queryInterface.addIndex('crm_sync_items', ['callId']);
+    await queryInterface.addIndex('crm_sync_items', ['leadId']);
+
+    console.log('✅ crm_sync_items table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('crm_sync_items');
+  }
+};
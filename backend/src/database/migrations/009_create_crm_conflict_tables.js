@@ -0,0 +1,146 @@
+/**
+ * Migration: CRM conflict resolution
+ * Per-field last-writer tracking on leads, conflict inbox and per-field policies
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CRM_PROVIDERS = ['salesforce', 'hubspot', 'pipedrive', 'zoho'];
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Adding fieldProvenance to leads...');
+
+    await queryInterface.addColumn('leads', 'fieldProvenance', {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    await queryInterface.addColumn('crm_record_links', 'fieldSyncedAt', {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    console.log('🔄 Creating lead_sync_conflicts table...');
+
+    await queryInterface.createTable('lead_sync_conflicts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      leadId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'leads',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      provider: {
+        type: DataTypes.ENUM(...CRM_PROVIDERS),
+        allowNull: false
+      },
+      field: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      dashboardValue: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      dashboardUpdatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      crmValue: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      crmUpdatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      resolution: {
+        type: DataTypes.ENUM('dashboard', 'crm', 'custom'),
+        allowNull: true
+      },
+      resolvedValue: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      resolvedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('lead_sync_conflicts', ['status', 'createdAt']);
+    await queryInterface.addIndex('lead_sync_conflicts', ['leadId', 'provider', 'field']);
+
+    console.log('🔄 Creating crm_field_policies table...');
+
+    await queryInterface.createTable('crm_field_policies', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      field: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      policy: {
+        type: DataTypes.ENUM('crm_wins', 'dashboard_wins', 'newest_wins', 'manual'),
+        allowNull: false,
+        defaultValue: 'newest_wins'
+      },
+      updatedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    console.log('✅ CRM conflict tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('crm_field_policies');
+    await queryInterface.dropTable('lead_sync_conflicts');
+    await queryInterface.removeColumn('crm_record_links', 'fieldSyncedAt');
+    await queryInterface.removeColumn('leads', 'fieldProvenance');
+  }
+};
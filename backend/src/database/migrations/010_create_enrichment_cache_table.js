@@ -0,0 +1,64 @@
+/**
+ * Migration: Create enrichment cache table
+ * Lead enrichment provider results cached per email domain or phone number
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating enrichment_cache table...');
+
+    await queryInterface.createTable('enrichment_cache', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      provider: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      keyType: {
+        type: DataTypes.ENUM('domain', 'phone'),
+        allowNull: false
+      },
+      lookupKey: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      fields: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      fetchedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('enrichment_cache', ['provider', 'keyType', 'lookupKey'], { unique: true });
+    await queryInterface.addIndex('enrichment_cache', ['expiresAt']);
+
+    console.log('✅ Enrichment cache table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('enrichment_cache');
+  }
+};
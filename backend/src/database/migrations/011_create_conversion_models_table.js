@@ -0,0 +1,85 @@
+/**
+ * Migration: Create conversion models table
+ * Lead conversion models trained on call history, with holdout metrics
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating conversion_models table...');
+
+    await queryInterface.createTable('conversion_models', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      algorithm: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'logistic_regression'
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'retired', 'rejected'),
+        allowNull: false
+      },
+      featureSpec: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      weights: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      metrics: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      trainingSize: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      holdoutSize: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      positiveRate: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      trainedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      activatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('conversion_models', ['version'], { unique: true });
+    await queryInterface.addIndex('conversion_models', ['status']);
+
+    console.log('✅ Conversion models table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('conversion_models');
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Migration: Create dialer sessions table
+ * Power dialer runs with their lead queue, position and progress stats
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating dialer_sessions table...');
+
+    await queryInterface.createTable('dialer_sessions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      agentId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'paused', 'completed', 'ended'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      filter: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      queue: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      currentLeadId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      wrapUpSeconds: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+      },
+      stats: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: { dialed: 0, connected: 0, skipped: 0, outcomes: {} }
+      },
+      results: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      lastActivityAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      endedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('dialer_sessions', ['agentId', 'status']);
+    await queryInterface.addIndex('dialer_sessions', ['status']);
+
+    console.log('✅ Dialer sessions table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('dialer_sessions');
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Migration: Create do-not-call entries table
+ * Internal DNC list consulted by the outbound call compliance check
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating do_not_call_entries table...');
+
+    await queryInterface.createTable('do_not_call_entries', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      source: {
+        type: DataTypes.ENUM('manual', 'csv_import', 'lead_request'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      addedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('do_not_call_entries', ['source']);
+
+    console.log('✅ Do-not-call entries table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('do_not_call_entries');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Migration: Create inbound routes table
+ * Per-number routing rules (owner, team ring group, voicemail) for inbound calls
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating inbound_routes table...');
+
+    await queryInterface.createTable('inbound_routes', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      phoneNumber: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      steps: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ringGroup: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ownerTimeout: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 20
+      },
+      teamTimeout: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 25
+      },
+      voicemailGreeting: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('inbound_routes', ['isActive']);
+
+    console.log('✅ Inbound routes table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('inbound_routes');
+  }
+};
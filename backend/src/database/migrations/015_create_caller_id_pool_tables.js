@@ -0,0 +1,161 @@
+/**
+ * Migration: Create caller-ID pool tables
+ * Outbound numbers with daily caps and answer-rate tracking, and each lead's assigned number
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating caller_id_numbers and caller_id_assignments tables...');
+
+    await queryInterface.createTable('caller_id_numbers', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      phoneNumber: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      areaCode: {
+        type: DataTypes.STRING(3),
+        allowNull: true
+      },
+      state: {
+        type: DataTypes.STRING(2),
+        allowNull: true
+      },
+      locality: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      friendlyName: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      twilioSid: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'resting', 'retired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      dailyCap: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 100
+      },
+      callsToday: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      callsTodayDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      totalCalls: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      answeredCalls: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      recentOutcomes: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      flaggedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      flagReason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      restingUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      restReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      addedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('caller_id_numbers', ['status']);
+    await queryInterface.addIndex('caller_id_numbers', ['areaCode']);
+    await queryInterface.addIndex('caller_id_numbers', ['state']);
+
+    await queryInterface.createTable('caller_id_assignments', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      leadId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      callerIdNumberId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'caller_id_numbers',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('caller_id_assignments', ['callerIdNumberId']);
+
+    console.log('✅ Caller-ID pool tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('caller_id_assignments');
+    await queryInterface.dropTable('caller_id_numbers');
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * Migration: Create report subscription tables
+ * Scheduled custom report deliveries and the history of each run
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating report_subscriptions and report_runs tables...');
+
+    await queryInterface.createTable('report_subscriptions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      reportType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      sections: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      filters: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      lookbackDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 7
+      },
+      schedule: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      timeZone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      recipients: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      format: {
+        type: DataTypes.ENUM('pdf', 'excel', 'json'),
+        allowNull: false,
+        defaultValue: 'pdf'
+      },
+      includeCharts: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRunStatus: {
+        type: DataTypes.ENUM('success', 'failed'),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_subscriptions', ['active']);
+
+    await queryInterface.createTable('report_runs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      subscriptionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'report_subscriptions',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      trigger: {
+        type: DataTypes.ENUM('schedule', 'manual'),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('running', 'success', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      recipients: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      filename: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      transport: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      messageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_runs', ['subscriptionId', 'startedAt']);
+
+    console.log('✅ Report subscription tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('report_runs');
+    await queryInterface.dropTable('report_subscriptions');
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Migration: Create forecast_snapshots table
+ * Daily company, agent and team revenue forecasts, kept for forecast accuracy reporting
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating forecast_snapshots table...');
+
+    await queryInterface.createTable('forecast_snapshots', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      snapshotDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      period: {
+        type: DataTypes.ENUM('month', 'quarter'),
+        allowNull: false
+      },
+      periodStart: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      periodEnd: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      scope: {
+        type: DataTypes.ENUM('company', 'agent', 'team'),
+        allowNull: false
+      },
+      scopeId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      openLeads: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      pipelineValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      closedWonValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      weightedValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      commitValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      bestCaseValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      trendValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true
+      },
+      stageProbabilities: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('forecast_snapshots', ['snapshotDate', 'period', 'scope', 'scopeId'], { unique: true });
+    await queryInterface.addIndex('forecast_snapshots', ['period', 'periodStart', 'scope']);
+
+    console.log('✅ Forecast snapshots table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('forecast_snapshots');
+  }
+};
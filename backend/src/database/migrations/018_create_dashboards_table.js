@@ -0,0 +1,77 @@
+/**
+ * Migration: Create dashboards table
+ * User-built analytics dashboards with saved widget layouts and read-only share links
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating dashboards table...');
+
+    await queryInterface.createTable('dashboards', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      ownerId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      visibility: {
+        type: DataTypes.ENUM('private', 'team'),
+        allowNull: false,
+        defaultValue: 'private'
+      },
+      teamId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      widgets: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      filters: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      shareToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      sharedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('dashboards', ['ownerId']);
+    await queryInterface.addIndex('dashboards', ['visibility', 'teamId']);
+
+    console.log('✅ Dashboards table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('dashboards');
+  }
+};
@@ -0,0 +1,320 @@
+/**
+ * Migration: Create follow-up and team assignment tables
+ * Scheduled follow-ups, the teams that share them out, members' skills and capacity, and territories
+ */
+
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating teams, team_members, territories and followups tables...');
+
+    await queryInterface.createTable('teams', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      managerId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      defaultMaxOpenFollowups: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      defaultMaxDailyFollowups: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('teams', ['isActive']);
+
+    await queryInterface.createTable('team_members', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'teams',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      role: {
+        type: DataTypes.ENUM('agent', 'lead', 'manager'),
+        allowNull: false,
+        defaultValue: 'agent'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      skills: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      maxOpenFollowups: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      maxDailyFollowups: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      outOfOfficeFrom: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      outOfOfficeUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      outOfOfficeReason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      lastAssignedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      assignmentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('team_members', ['teamId', 'userId'], { unique: true });
+    await queryInterface.addIndex('team_members', ['userId']);
+    await queryInterface.addIndex('team_members', ['teamId', 'isActive', 'lastAssignedAt']);
+
+    await queryInterface.createTable('territories', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'teams',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      countries: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      states: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      zipPrefixes: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      industries: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      userIds: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('territories', ['teamId']);
+    await queryInterface.addIndex('territories', ['isActive']);
+
+    await queryInterface.createTable('followups', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      leadId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      callId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.ENUM(
+          'call', 'email', 'sms', 'meeting', 'demo', 'proposal',
+          'quote', 'contract', 'followup_call', 'nurture', 'other'
+        ),
+        allowNull: false,
+        defaultValue: 'call'
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'scheduled', 'in_progress', 'completed', 'cancelled', 'overdue', 'rescheduled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      priority: {
+        type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      title: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      scheduledFor: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      duration: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+      },
+      timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'teams',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      assignment: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      createdVia: {
+        type: DataTypes.ENUM('manual', 'automation', 'call_outcome', 'sequence', 'escalation', 'rescheduled', 'api', 'booking'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      completedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      outcome: {
+        type: DataTypes.ENUM(
+          'successful', 'no_answer', 'voicemail', 'callback_requested',
+          'not_interested', 'follow_up_scheduled', 'meeting_scheduled',
+          'demo_scheduled', 'proposal_requested', 'closed_won', 'closed_lost', 'other'
+        ),
+        allowNull: true
+      },
+      outcomeNotes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      rescheduleCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastRescheduledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('followups', ['leadId']);
+    await queryInterface.addIndex('followups', ['userId', 'scheduledFor']);
+    await queryInterface.addIndex('followups', ['status', 'scheduledFor']);
+    await queryInterface.addIndex('followups', ['teamId']);
+
+    console.log('✅ Follow-up and team tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('followups');
+    await queryInterface.dropTable('territories');
+    await queryInterface.dropTable('team_members');
+    await queryInterface.dropTable('teams');
+  }
+};
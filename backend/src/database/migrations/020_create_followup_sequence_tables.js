@@ -0,0 +1,206 @@
+/**
+ * Migration: Create follow-up sequence tables
+ * Multi-step sequences, lead enrollments in them, and the step that created each follow-up
+ */
+
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating followup_sequences and sequence_enrollments tables...');
+
+    await queryInterface.createTable('followup_sequences', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      category: {
+        type: DataTypes.ENUM('nurture', 'sales', 'onboarding', 'retention', 'reactivation', 'upsell', 'cross_sell', 'custom'),
+        allowNull: false,
+        defaultValue: 'nurture'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      steps: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      totalSteps: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      exitConditions: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      enrollmentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      completionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      conversionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      averageCompletionTime: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('followup_sequences', ['isActive']);
+    await queryInterface.addIndex('followup_sequences', ['category']);
+
+    await queryInterface.createTable('sequence_enrollments', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      sequenceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'followup_sequences',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      leadId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'paused', 'completed', 'exited'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      currentStep: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      currentFollowupId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      nextActionAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      source: {
+        type: DataTypes.ENUM('manual', 'bulk', 'automation_rule', 'api'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      automationRuleId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      enrolledAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      exitedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      exitReason: {
+        type: DataTypes.ENUM(
+          'replied', 'meeting_booked', 'do_not_call', 'outcome',
+          'branch_exit', 'manual', 'sequence_inactive', 'lead_missing'
+        ),
+        allowNull: true
+      },
+      exitStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      history: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('sequence_enrollments', ['sequenceId', 'status']);
+    await queryInterface.addIndex('sequence_enrollments', ['leadId', 'status']);
+    await queryInterface.addIndex('sequence_enrollments', ['currentFollowupId']);
+    await queryInterface.addIndex('sequence_enrollments', ['status', 'nextActionAt']);
+
+    console.log('🔄 Adding sequenceId and sequenceStep to followups...');
+
+    await queryInterface.addColumn('followups', 'sequenceId', {
+      type: DataTypes.UUID,
+      allowNull: true
+    });
+    await queryInterface.addColumn('followups', 'sequenceStep', {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addIndex('followups', ['sequenceId']);
+
+    console.log('✅ Follow-up sequence tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('followups', ['sequenceId']);
+    await queryInterface.removeColumn('followups', 'sequenceStep');
+    await queryInterface.removeColumn('followups', 'sequenceId');
+    await queryInterface.dropTable('sequence_enrollments');
+    await queryInterface.dropTable('followup_sequences');
+  }
+};
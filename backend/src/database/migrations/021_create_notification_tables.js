@@ -0,0 +1,210 @@
+/**
+ * Migration: Create notification tables
+ * Per-channel reminder deliveries with their retries, users' notification settings
+ * and quiet hours, and Web Push subscriptions
+ */
+
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating notification_deliveries, notification_settings and push_subscriptions tables...');
+
+    await queryInterface.createTable('notification_deliveries', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      channel: {
+        type: DataTypes.ENUM('email', 'sms', 'push', 'desktop'),
+        allowNull: false
+      },
+      notificationType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      followupId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'sent', 'deferred', 'retrying', 'failed', 'skipped'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      statusReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 4
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      transport: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      providerMessageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      history: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('notification_deliveries', ['userId', 'createdAt']);
+    await queryInterface.addIndex('notification_deliveries', ['followupId']);
+    await queryInterface.addIndex('notification_deliveries', ['status', 'nextAttemptAt']);
+
+    await queryInterface.createTable('notification_settings', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      reminderChannels: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      reminderLeadMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 15
+      },
+      timeZone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'America/New_York'
+      },
+      quietHoursEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      quietHoursStart: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: '21:00'
+      },
+      quietHoursEnd: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: '07:00'
+      },
+      quietChannels: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.createTable('push_subscriptions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      endpoint: {
+        type: DataTypes.STRING(1000),
+        allowNull: false,
+        unique: true
+      },
+      keys: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      lastSuccessAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      failureCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('push_subscriptions', ['userId']);
+
+    console.log('✅ Notification tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('push_subscriptions');
+    await queryInterface.dropTable('notification_settings');
+    await queryInterface.dropTable('notification_deliveries');
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Migration: Create automation rules table
+ * Rules that create follow-ups or enroll leads in sequences when a call ends or a
+ * follow-up is completed
+ */
+
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating automation_rules table...');
+
+    await queryInterface.createTable('automation_rules', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      triggerEvent: {
+        type: DataTypes.ENUM('call_outcome', 'followup_completed'),
+        allowNull: false
+      },
+      conditions: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      actions: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      followupType: {
+        type: DataTypes.ENUM(
+          'call', 'email', 'sms', 'meeting', 'demo', 'proposal',
+          'quote', 'contract', 'followup_call', 'nurture', 'other'
+        ),
+        allowNull: false,
+        defaultValue: 'call'
+      },
+      priority: {
+        type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      scheduleRule: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      titleTemplate: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      descriptionTemplate: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      assignmentRule: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      cooldownHours: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      executionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      successCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastExecutedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('automation_rules', ['triggerEvent', 'isActive']);
+
+    console.log('✅ Automation rules table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('automation_rules');
+  }
+};
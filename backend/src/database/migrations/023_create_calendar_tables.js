@@ -0,0 +1,155 @@
+/**
+ * Migration: Create calendar tables
+ * ICS subscription feeds and the meeting invites sent to leads, with their RSVPs
+ */
+
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating calendar_feeds table...');
+
+    await queryInterface.createTable('calendar_feeds', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: 'Follow-ups'
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      lastAccessedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('calendar_feeds', ['userId']);
+
+    console.log('🔄 Creating meeting_invites table...');
+
+    await queryInterface.createTable('meeting_invites', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      followupId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'followups',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      leadId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      organizerEmail: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      organizerName: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      uid: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      attendeeEmail: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      attendeeName: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('needs_action', 'accepted', 'declined', 'tentative', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'needs_action'
+      },
+      rsvpTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      responseSource: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      providerMessageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      ...timestamps()
+    });
+
+    await queryInterface.addIndex('meeting_invites', ['followupId']);
+    await queryInterface.addIndex('meeting_invites', ['uid', 'attendeeEmail']);
+
+    console.log('✅ Calendar tables created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('meeting_invites');
+    await queryInterface.dropTable('calendar_feeds');
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Migration: Create booking pages table
+ * Public booking links for one agent or a team's round-robin rotation
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating booking_pages table...');
+
+    await queryInterface.createTable('booking_pages', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      slug: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      title: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      assignment: {
+        type: DataTypes.ENUM('user', 'round_robin'),
+        allowNull: false,
+        defaultValue: 'user'
+      },
+      userId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      teamId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      timeZone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      weeklyHours: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      durationMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+      },
+      slotIntervalMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      bufferBeforeMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      bufferAfterMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      minimumNoticeMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 240
+      },
+      maxDaysAhead: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+      },
+      dailyCap: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      questions: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      followupType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'meeting'
+      },
+      confirmationMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('booking_pages', ['userId']);
+    await queryInterface.addIndex('booking_pages', ['teamId']);
+
+    console.log('✅ Booking pages table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('booking_pages');
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Migration: Create lead scoring models table
+ * Versioned, data-defined lead scoring rules per campaign
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up(queryInterface) {
+    console.log('🔄 Creating lead_scoring_models table...');
+
+    await queryInterface.createTable('lead_scoring_models', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      campaign: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      name: {
+        type: DataTypes.STRING(200),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: ''
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('draft', 'active', 'retired'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      maxScore: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 100
+      },
+      rules: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      createdBy: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: 'system'
+      },
+      activatedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      activatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      retiredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('lead_scoring_models', ['campaign', 'version'], { unique: true });
+    await queryInterface.addIndex('lead_scoring_models', ['status']);
+
+    console.log('✅ Lead scoring models table created successfully');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('lead_scoring_models');
+  }
+};
@@ -0,0 +1,227 @@
+/**
+ * AutomationRule Model - Creates follow-ups or enrolls leads in sequences when a call
+ * ends or a follow-up is completed and the rule's conditions hold
+ */
+
+const { DataTypes } = require('sequelize');
+const { FOLLOWUP_TYPES, FOLLOWUP_PRIORITIES } = require('./Followup');
+
+const TRIGGER_EVENTS = ['call_outcome', 'followup_completed'];
+const ACTION_TYPES = ['create_followup', 'enroll_sequence'];
+const SCHEDULE_UNITS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+const BUSINESS_START_HOUR = 9;
+const BUSINESS_END_HOUR = 17;
+
+/**
+ * Check action definitions
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+const validateActions = (actions) => {
+  if (!Array.isArray(actions)) return ['actions must be a list'];
+  if (actions.length === 0) return ['at least one action is required'];
+
+  const problems = [];
+  actions.forEach((action, index) => {
+    const label = `Action ${index + 1}`;
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      problems.push(`${label}: type must be one of ${ACTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (action.type === 'enroll_sequence') {
+      if (!action.sequenceId) {
+        problems.push(`${label}: enroll_sequence needs a sequenceId`);
+      }
+      if (action.startStep !== undefined && !(Number.isInteger(action.startStep) && action.startStep >= 1)) {
+        problems.push(`${label}: startStep must be a positive whole number`);
+      }
+    }
+  });
+  return problems;
+};
+
+const defineAutomationRuleModel = (sequelize) => {
+  const AutomationRule = sequelize.define('AutomationRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    triggerEvent: {
+      type: DataTypes.ENUM(...TRIGGER_EVENTS),
+      allowNull: false
+    },
+
+    // See services/conditionEvaluator; {} always matches
+    conditions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // [{ type: 'create_followup' } | { type: 'enroll_sequence', sequenceId, startStep }]
+    actions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [{ type: 'create_followup' }],
+      validate: {
+        isValidActions(value) {
+          const problems = validateActions(value);
+          if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+          }
+        }
+      }
+    },
+
+    // What create_followup creates
+    followupType: {
+      type: DataTypes.ENUM(...FOLLOWUP_TYPES),
+      allowNull: false,
+      defaultValue: 'call'
+    },
+    priority: {
+      type: DataTypes.ENUM(...FOLLOWUP_PRIORITIES),
+      allowNull: false,
+      defaultValue: 'medium'
+    },
+    // { value, unit: minutes|hours|days|weeks, businessHoursOnly }
+    scheduleRule: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: { value: 1, unit: 'days', businessHoursOnly: true },
+      validate: {
+        isValidSchedule(value) {
+          if (!value || typeof value.value !== 'number' || value.value < 0 || !SCHEDULE_UNITS[value.unit]) {
+            throw new Error(`scheduleRule needs a value and a unit of ${Object.keys(SCHEDULE_UNITS).join(', ')}`);
+          }
+        }
+      }
+    },
+    // {{leadName}}, {{leadCompany}}, {{outcome}} and {{ruleName}} are filled in
+    titleTemplate: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    descriptionTemplate: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Same shape as a follow-up's assignment (see assignmentService); null keeps the trigger's user
+    assignmentRule: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Minimum hours between two runs of the rule
+    cooldownHours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 }
+    },
+
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    executionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    successCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastExecutedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'automation_rules',
+    timestamps: true,
+    indexes: [
+      { fields: ['triggerEvent', 'isActive'] }
+    ]
+  });
+
+  /**
+   * Whether the rule is active and out of its cooldown
+   */
+  AutomationRule.prototype.canExecute = function(now = new Date()) {
+    if (!this.isActive) return false;
+    if (!this.cooldownHours || !this.lastExecutedAt) return true;
+    return now - new Date(this.lastExecutedAt) >= this.cooldownHours * SCHEDULE_UNITS.hours;
+  };
+
+  /**
+   * When create_followup schedules its follow-up, counted from baseDate; business-hours
+   * rules move to the next weekday between 9:00 and 17:00
+   */
+  AutomationRule.prototype.calculateScheduleDate = function(baseDate = new Date()) {
+    const { value, unit, businessHoursOnly } = this.scheduleRule;
+    const date = new Date(new Date(baseDate).getTime() + value * SCHEDULE_UNITS[unit]);
+
+    if (!businessHoursOnly) return date;
+
+    if (date.getHours() >= BUSINESS_END_HOUR) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    } else if (date.getHours() < BUSINESS_START_HOUR) {
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    }
+    while (date.getDay() === 0 || date.getDay() === 6) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    }
+    return date;
+  };
+
+  AutomationRule.prototype.recordExecution = function(success, at = new Date()) {
+    return this.update({
+      executionCount: this.executionCount + 1,
+      successCount: this.successCount + (success ? 1 : 0),
+      lastExecutedAt: at
+    });
+  };
+
+  AutomationRule.findActiveByTrigger = function(triggerEvent) {
+    return this.findAll({
+      where: { triggerEvent, isActive: true },
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  return AutomationRule;
+};
+
+module.exports = {
+  defineAutomationRuleModel,
+  TRIGGER_EVENTS,
+  ACTION_TYPES,
+  SCHEDULE_UNITS,
+  validateActions
+};
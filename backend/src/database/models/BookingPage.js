@@ -0,0 +1,212 @@
+/**
+ * BookingPage Model - A public link where prospects pick a meeting slot with one agent, or
+ * with whichever member of a team is next in the round-robin rotation and free at that time
+ */
+
+const { DataTypes } = require('sequelize');
+
+const BOOKING_ASSIGNMENTS = ['user', 'round_robin'];
+const QUESTION_TYPES = ['text', 'textarea', 'email', 'phone', 'select'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Monday-Friday 09:00-17:00, keyed by ISO weekday (1 = Monday)
+const DEFAULT_WEEKLY_HOURS = {
+  1: [{ start: '09:00', end: '17:00' }],
+  2: [{ start: '09:00', end: '17:00' }],
+  3: [{ start: '09:00', end: '17:00' }],
+  4: [{ start: '09:00', end: '17:00' }],
+  5: [{ start: '09:00', end: '17:00' }]
+};
+
+const defineBookingPageModel = (sequelize) => {
+  const BookingPage = sequelize.define('BookingPage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    slug: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: SLUG_PATTERN
+      }
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // user books with userId; round_robin with the team's rotation
+    assignment: {
+      type: DataTypes.ENUM(...BOOKING_ASSIGNMENTS),
+      allowNull: false,
+      defaultValue: 'user'
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Time zone of weeklyHours and of the daily cap's "day"
+    timeZone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    // { [isoWeekday]: [{ start: 'HH:mm', end: 'HH:mm' }] }
+    weeklyHours: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: DEFAULT_WEEKLY_HOURS
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: {
+        min: 5,
+        max: 480
+      }
+    },
+    // Spacing between offered start times; defaults to the duration
+    slotIntervalMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 5,
+        max: 480
+      }
+    },
+    bufferBeforeMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 240
+      }
+    },
+    bufferAfterMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 240
+      }
+    },
+    minimumNoticeMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 240,
+      validate: {
+        min: 0
+      }
+    },
+    maxDaysAhead: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: {
+        min: 1,
+        max: 365
+      }
+    },
+    // Booked meetings per agent per day; null for no cap
+    dailyCap: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+
+    // [{ id, label, type: text|textarea|email|phone|select, required, options }]
+    questions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    followupType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'meeting'
+    },
+    confirmationMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    }
+  }, {
+    tableName: 'booking_pages',
+    timestamps: true,
+    indexes: [
+      { fields: ['slug'], unique: true },
+      { fields: ['userId'] },
+      { fields: ['teamId'] }
+    ],
+    validate: {
+      hasOwner() {
+        if (this.assignment === 'user' && !this.userId) {
+          throw new Error('A user booking page needs a userId');
+        }
+        if (this.assignment === 'round_robin' && !this.teamId) {
+          throw new Error('A round-robin booking page needs a teamId');
+        }
+      }
+    }
+  });
+
+  BookingPage.prototype.getSlotInterval = function() {
+    return this.slotIntervalMinutes || this.durationMinutes;
+  };
+
+  // What prospects see before booking
+  BookingPage.prototype.toPublicJSON = function() {
+    return {
+      slug: this.slug,
+      title: this.title,
+      description: this.description,
+      durationMinutes: this.durationMinutes,
+      timeZone: this.timeZone,
+      questions: (this.questions || []).map(({ id, label, type, required, options }) => ({
+        id, label, type, required: Boolean(required), ...(options ? { options } : {})
+      }))
+    };
+  };
+
+  BookingPage.findActiveBySlug = function(slug, options = {}) {
+    return this.findOne({ where: { slug, isActive: true }, ...options });
+  };
+
+  return BookingPage;
+};
+
+module.exports = {
+  defineBookingPageModel,
+  BOOKING_ASSIGNMENTS,
+  QUESTION_TYPES,
+  SLUG_PATTERN,
+  DEFAULT_WEEKLY_HOURS
+};
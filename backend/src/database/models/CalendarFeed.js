@@ -0,0 +1,53 @@
+/**
+ * CalendarFeed Model - A user's ICS subscription URL for their follow-ups; only a hash
+ * of the token is stored, so the URL is shown once
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineCalendarFeedModel = (sequelize) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'Follow-ups'
+    },
+    // sha256 of the token in the feed URL
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    lastAccessedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'calendar_feeds',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId'] }
+    ]
+  });
+
+  CalendarFeed.findActiveByToken = function(tokenHash) {
+    return this.findOne({ where: { tokenHash, revokedAt: null } });
+  };
+
+  return CalendarFeed;
+};
+
+module.exports = { defineCalendarFeedModel };
@@ -0,0 +1,41 @@
+/**
+ * CallerIdAssignment Model - The pool number a lead is shown, reused on repeat calls
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineCallerIdAssignmentModel = (sequelize) => {
+  const CallerIdAssignment = sequelize.define('CallerIdAssignment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Lead table UUID or legacy numeric lead id
+    leadId: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    callerIdNumberId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'caller_id_assignments',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['leadId'] },
+      { fields: ['callerIdNumberId'] }
+    ]
+  });
+
+  return CallerIdAssignment;
+};
+
+module.exports = { defineCallerIdAssignmentModel };
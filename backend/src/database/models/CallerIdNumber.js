@@ -0,0 +1,125 @@
+/**
+ * CallerIdNumber Model - Outbound caller-ID pool with daily caps and answer-rate tracking
+ */
+
+const { DataTypes } = require('sequelize');
+
+// Resting numbers come back on their own once restingUntil passes; flagged ones wait for a manager
+const NUMBER_STATUSES = ['active', 'resting', 'retired'];
+
+const defineCallerIdNumberModel = (sequelize) => {
+  const CallerIdNumber = sequelize.define('CallerIdNumber', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // International digits without "+" like DNC entries and inbound routes
+    phoneNumber: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    areaCode: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    state: {
+      type: DataTypes.STRING(2),
+      allowNull: true
+    },
+    locality: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    friendlyName: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Incoming phone number SID when the number was bought through the pool
+    twilioSid: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM(...NUMBER_STATUSES),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+
+    dailyCap: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 100,
+      validate: { min: 1, max: 5000 }
+    },
+    // callsToday only counts for callsTodayDate; a new day starts from zero
+    callsToday: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    callsTodayDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    totalCalls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    answeredCalls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Latest outcomes (true = answered), newest last; the answer rate is taken over this window
+    recentOutcomes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Reported as spam-labelled or blocked by a carrier
+    flaggedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    flagReason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    restingUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    restReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    addedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    }
+  }, {
+    tableName: 'caller_id_numbers',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['phoneNumber'] },
+      { fields: ['status'] },
+      { fields: ['areaCode'] },
+      { fields: ['state'] }
+    ]
+  });
+
+  return CallerIdNumber;
+};
+
+module.exports = { defineCallerIdNumberModel, NUMBER_STATUSES };
@@ -0,0 +1,82 @@
+/**
+ * ConversionModel Model - Trained lead conversion models with their holdout metrics
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CONVERSION_MODEL_STATUSES = ['active', 'retired', 'rejected'];
+
+const defineConversionModelModel = (sequelize) => {
+  const ConversionModel = sequelize.define('ConversionModel', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    algorithm: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'logistic_regression'
+    },
+    status: {
+      type: DataTypes.ENUM(...CONVERSION_MODEL_STATUSES),
+      allowNull: false
+    },
+
+    // Feature encoding (numeric scaling and categorical vocabularies) and fitted weights
+    featureSpec: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    weights: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+
+    // { auc, logLoss, brierScore, calibration: [...] } measured on the holdout set
+    metrics: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    trainingSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    holdoutSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    positiveRate: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    trainedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'conversion_models',
+    timestamps: true,
+    indexes: [
+      { fields: ['version'], unique: true },
+      { fields: ['status'] }
+    ]
+  });
+
+  ConversionModel.findActive = async function() {
+    return await ConversionModel.findOne({ where: { status: 'active' }, order: [['version', 'DESC']] });
+  };
+
+  return ConversionModel;
+};
+
+module.exports = { defineConversionModelModel, CONVERSION_MODEL_STATUSES };
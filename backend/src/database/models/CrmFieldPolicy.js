@@ -0,0 +1,38 @@
+/**
+ * CrmFieldPolicy Model - How to settle a lead field edited both in the dashboard and in a CRM
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CONFLICT_POLICIES = ['crm_wins', 'dashboard_wins', 'newest_wins', 'manual'];
+
+const defineCrmFieldPolicyModel = (sequelize) => {
+  const CrmFieldPolicy = sequelize.define('CrmFieldPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    field: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    policy: {
+      type: DataTypes.ENUM(...CONFLICT_POLICIES),
+      allowNull: false,
+      defaultValue: 'newest_wins'
+    },
+    updatedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    }
+  }, {
+    tableName: 'crm_field_policies',
+    timestamps: true
+  });
+
+  return CrmFieldPolicy;
+};
+
+module.exports = { defineCrmFieldPolicyModel, CONFLICT_POLICIES };
@@ -0,0 +1,91 @@
+/**
+ * CrmRecordLink Model - Maps local records to their counterparts in external CRM systems
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CRM_PROVIDERS = ['salesforce', 'hubspot', 'pipedrive', 'zoho'];
+
+const defineCrmRecordLinkModel = (sequelize) => {
+  const CrmRecordLink = sequelize.define('CrmRecordLink', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Remote side
+    provider: {
+      type: DataTypes.ENUM(...CRM_PROVIDERS),
+      allowNull: false
+    },
+    objectType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'lead'
+    },
+    remoteId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    remoteUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // Local side
+    localId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Fields kept or put in conflict by an import stay at their earlier sync point,
+    // { [field]: ISO string | null }; other fields were synced at lastSyncedAt
+    fieldSyncedAt: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'crm_record_links',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['provider', 'objectType', 'remoteId'],
+        unique: true
+      },
+      {
+        fields: ['objectType', 'localId']
+      }
+    ]
+  });
+
+  // Class methods
+  CrmRecordLink.findByRemoteId = async function(provider, objectType, remoteId) {
+    return await CrmRecordLink.findOne({
+      where: { provider, objectType, remoteId: String(remoteId) }
+    });
+  };
+
+  CrmRecordLink.findForLocal = async function(objectType, localId) {
+    return await CrmRecordLink.findAll({
+      where: { objectType, localId }
+    });
+  };
+
+  CrmRecordLink.associate = (models) => {
+    CrmRecordLink.belongsTo(models.Lead, {
+      foreignKey: 'localId',
+      as: 'lead',
+      constraints: false
+    });
+  };
+
+  return CrmRecordLink;
+};
+
+module.exports = { defineCrmRecordLinkModel, CRM_PROVIDERS };
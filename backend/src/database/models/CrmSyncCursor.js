@@ -0,0 +1,61 @@
+/**
+ * CrmSyncCursor Model - Tracks the high-water mark of incremental CRM imports
+ */
+
+const { DataTypes } = require('sequelize');
+const { CRM_PROVIDERS } = require('./CrmRecordLink');
+
+const defineCrmSyncCursorModel = (sequelize) => {
+  const CrmSyncCursor = sequelize.define('CrmSyncCursor', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.ENUM(...CRM_PROVIDERS),
+      allowNull: false
+    },
+    objectType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'lead'
+    },
+
+    // Latest remote modification time seen; the next incremental run starts after it
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunStats: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'crm_sync_cursors',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['provider', 'objectType'],
+        unique: true
+      }
+    ]
+  });
+
+  CrmSyncCursor.forProvider = async function(provider, objectType = 'lead') {
+    const [cursor] = await CrmSyncCursor.findOrCreate({
+      where: { provider, objectType },
+      defaults: { provider, objectType }
+    });
+    return cursor;
+  };
+
+  return CrmSyncCursor;
+};
+
+module.exports = { defineCrmSyncCursorModel };
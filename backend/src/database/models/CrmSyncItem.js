@@ -0,0 +1,158 @@
+/**
+ * CrmSyncItem Model - Persistent queue of outbound CRM sync work with retry state
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { CRM_PROVIDERS } = require('./CrmRecordLink');
+
+// pending -> processing -> completed
+//                       -> pending (retry with backoff) -> ... -> dead (dead-letter)
+const SYNC_ITEM_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+const defineCrmSyncItemModel = (sequelize) => {
+  const CrmSyncItem = sequelize.define('CrmSyncItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // What to sync
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'create_or_update'
+    },
+    provider: {
+      type: DataTypes.ENUM(...CRM_PROVIDERS),
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // Local record references
+    callId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    leadId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    opportunityId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Queue state
+    status: {
+      type: DataTypes.ENUM(...SYNC_ITEM_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Outcome
+    crmRecordId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deadLetteredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'crm_sync_items',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'nextAttemptAt']
+      },
+      {
+        fields: ['provider']
+      },
+      {
+        fields: ['callId']
+      },
+      {
+        fields: ['leadId']
+      }
+    ]
+  });
+
+  // Class methods
+  CrmSyncItem.findDue = async function(limit = 5) {
+    return await CrmSyncItem.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    });
+  };
+
+  /**
+   * Atomically move an item from pending to processing; returns false if another worker got it first
+   */
+  CrmSyncItem.claim = async function(id) {
+    const [affected] = await CrmSyncItem.update(
+      { status: 'processing', lastAttemptAt: new Date() },
+      { where: { id, status: 'pending' } }
+    );
+    return affected === 1;
+  };
+
+  /**
+   * Return items stuck in processing (e.g. the process died mid-sync) to the queue
+   */
+  CrmSyncItem.releaseStale = async function(olderThanMs) {
+    const [affected] = await CrmSyncItem.update(
+      { status: 'pending', nextAttemptAt: new Date() },
+      {
+        where: {
+          status: 'processing',
+          lastAttemptAt: { [Op.lt]: new Date(Date.now() - olderThanMs) }
+        }
+      }
+    );
+    return affected;
+  };
+
+  return CrmSyncItem;
+};
+
+module.exports = { defineCrmSyncItemModel, SYNC_ITEM_STATUSES };
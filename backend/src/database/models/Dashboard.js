@@ -0,0 +1,79 @@
+/**
+ * Dashboard Model - A user-built analytics dashboard: widgets bound to analytics endpoints,
+ * laid out on a 12-column grid, optionally shared with a team or through a read-only link
+ */
+
+const { DataTypes } = require('sequelize');
+
+const WIDGET_TYPES = ['kpi', 'line', 'bar', 'funnel', 'table', 'leaderboard'];
+const DASHBOARD_VISIBILITIES = ['private', 'team'];
+const GRID_COLUMNS = 12;
+
+const defineDashboardModel = (sequelize) => {
+  const Dashboard = sequelize.define('Dashboard', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ownerId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+
+    // Team dashboards can be opened by everyone on the team and edited by its managers
+    visibility: {
+      type: DataTypes.ENUM(...DASHBOARD_VISIBILITIES),
+      allowNull: false,
+      defaultValue: 'private'
+    },
+    teamId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // [{ id, type, title, source: { endpoint, params }, display, layout: { x, y, w, h } }]
+    widgets: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Query parameters applied to every widget; a widget's own params win
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // Read-only link token; null when the dashboard isn't shared
+    shareToken: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    sharedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'dashboards',
+    timestamps: true,
+    indexes: [
+      { fields: ['ownerId'] },
+      { fields: ['visibility', 'teamId'] }
+    ]
+  });
+
+  return Dashboard;
+};
+
+module.exports = { defineDashboardModel, WIDGET_TYPES, DASHBOARD_VISIBILITIES, GRID_COLUMNS };
@@ -0,0 +1,103 @@
+/**
+ * DialerSession Model - A power dialer run through a filtered, score-ordered lead queue
+ */
+
+const { DataTypes } = require('sequelize');
+
+const DIALER_SESSION_STATUSES = ['active', 'paused', 'completed', 'ended'];
+
+const defineDialerSessionModel = (sequelize) => {
+  const DialerSession = sequelize.define('DialerSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    agentId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM(...DIALER_SESSION_STATUSES),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+
+    // { statuses, priorities, tags, followUpDue, assignedTo, minScore } the queue was built from
+    filter: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // Lead ids in dial order, and the index of the next one to dial
+    queue: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    currentLeadId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Seconds between logging an outcome and dialing the next lead
+    wrapUpSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10,
+      validate: {
+        min: 0,
+        max: 600
+      }
+    },
+
+    // { dialed, connected, skipped, outcomes: { [outcome]: count } }
+    stats: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: { dialed: 0, connected: 0, skipped: 0, outcomes: {} }
+    },
+
+    // One entry per lead handled: { leadId, action: 'called'|'skipped', outcome, reason, callLogId, at }
+    results: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lastActivityAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'dialer_sessions',
+    timestamps: true,
+    indexes: [
+      { fields: ['agentId', 'status'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  return DialerSession;
+};
+
+module.exports = { defineDialerSessionModel, DIALER_SESSION_STATUSES };
@@ -0,0 +1,54 @@
+/**
+ * DoNotCallEntry Model - Internal do-not-call list, checked before every outbound call
+ */
+
+const { DataTypes } = require('sequelize');
+
+const DNC_SOURCES = ['manual', 'csv_import', 'lead_request'];
+
+const defineDoNotCallEntryModel = (sequelize) => {
+  const DoNotCallEntry = sequelize.define('DoNotCallEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // International digits without "+" so every dial path matches the same key
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM(...DNC_SOURCES),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    addedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Entries stop blocking after this date; null never expires
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'do_not_call_entries',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['phone'] },
+      { fields: ['source'] }
+    ]
+  });
+
+  return DoNotCallEntry;
+};
+
+module.exports = { defineDoNotCallEntryModel, DNC_SOURCES };
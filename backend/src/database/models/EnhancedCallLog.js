@@ -396,14 +396,16 @@ const defineEnhancedCallLogModel = (sequelize) => {
       { fields: ['followUpRequired', 'followUpDate'] },
       
       // JSON field indexes for PostgreSQL
-      {
-        fields: [sequelize.literal("((call_notes->>'summary'))")],
-        name: 'call_notes_summary_idx'
-      },
-      {
-        fields: [sequelize.literal("((recording_metadata->>'transcriptionStatus'))")], 
-        name: 'transcription_status_idx'
-      }
+      ...(sequelize.getDialect() === 'postgres' ? [
+        {
+          fields: [sequelize.literal("((call_notes->>'summary'))")],
+          name: 'call_notes_summary_idx'
+        },
+        {
+          fields: [sequelize.literal("((recording_metadata->>'transcriptionStatus'))")], 
+          name: 'transcription_status_idx'
+        }
+      ] : [])
     ],
     
     // Hooks for automated processing
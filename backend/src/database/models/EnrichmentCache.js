@@ -0,0 +1,81 @@
+/**
+ * EnrichmentCache Model - Provider lookup results cached per email domain or phone number
+ */
+
+const { DataTypes, Op } = require('sequelize');
+
+const ENRICHMENT_KEY_TYPES = ['domain', 'phone'];
+
+const defineEnrichmentCacheModel = (sequelize) => {
+  const EnrichmentCache = sequelize.define('EnrichmentCache', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    keyType: {
+      type: DataTypes.ENUM(...ENRICHMENT_KEY_TYPES),
+      allowNull: false
+    },
+    lookupKey: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    // { [field]: { value, confidence } }; empty when the provider had nothing for the key
+    fields: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    fetchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'enrichment_cache',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['provider', 'keyType', 'lookupKey'],
+        unique: true
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  EnrichmentCache.findFresh = async function(provider, keyType, lookupKey) {
+    return await EnrichmentCache.findOne({
+      where: { provider, keyType, lookupKey, expiresAt: { [Op.gt]: new Date() } }
+    });
+  };
+
+  EnrichmentCache.store = async function(provider, keyType, lookupKey, fields, ttlSeconds) {
+    const fetchedAt = new Date();
+    const values = {
+      fields,
+      fetchedAt,
+      expiresAt: new Date(fetchedAt.getTime() + ttlSeconds * 1000)
+    };
+
+    const existing = await EnrichmentCache.findOne({ where: { provider, keyType, lookupKey } });
+    if (existing) {
+      return await existing.update(values);
+    }
+    return await EnrichmentCache.create({ provider, keyType, lookupKey, ...values });
+  };
+
+  return EnrichmentCache;
+};
+
+module.exports = { defineEnrichmentCacheModel, ENRICHMENT_KEY_TYPES };
@@ -0,0 +1,176 @@
+/**
+ * Followup Model - A scheduled follow-up activity on a lead (call, email, meeting...),
+ * assigned to an agent by hand or by the team assignment rules
+ */
+
+const { DataTypes } = require('sequelize');
+
+const FOLLOWUP_TYPES = [
+  'call', 'email', 'sms', 'meeting', 'demo', 'proposal',
+  'quote', 'contract', 'followup_call', 'nurture', 'other'
+];
+const FOLLOWUP_STATUSES = ['pending', 'scheduled', 'in_progress', 'completed', 'cancelled', 'overdue', 'rescheduled'];
+const FOLLOWUP_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const FOLLOWUP_OUTCOMES = [
+  'successful', 'no_answer', 'voicemail', 'callback_requested',
+  'not_interested', 'follow_up_scheduled', 'meeting_scheduled',
+  'demo_scheduled', 'proposal_requested', 'closed_won', 'closed_lost', 'other'
+];
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const defineFollowupModel = (sequelize) => {
+  const Followup = sequelize.define('Followup', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Leads and users are referenced by id only; leads live in the Lead table or the data store
+    leadId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    callId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+
+    type: {
+      type: DataTypes.ENUM(...FOLLOWUP_TYPES),
+      allowNull: false,
+      defaultValue: 'call'
+    },
+    status: {
+      type: DataTypes.ENUM(...FOLLOWUP_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    priority: {
+      type: DataTypes.ENUM(...FOLLOWUP_PRIORITIES),
+      allowNull: false,
+      defaultValue: 'medium'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Minutes
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30
+    },
+    timezone: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+
+    // Team the follow-up was routed through, when an assignment rule picked the agent
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // { type: 'manual'|'round_robin'|'territory'|'skill_based'|'fallback', territoryId }
+    assignment: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+
+    // Sequence and step that created the follow-up; completing it advances the enrollment
+    sequenceId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    sequenceStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    createdVia: {
+      type: DataTypes.ENUM('manual', 'automation', 'call_outcome', 'sequence', 'escalation', 'rescheduled', 'api', 'booking'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.ENUM(...FOLLOWUP_OUTCOMES),
+      allowNull: true
+    },
+    outcomeNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    rescheduleCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastRescheduledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'followups',
+    timestamps: true,
+    indexes: [
+      { fields: ['leadId'] },
+      { fields: ['userId', 'scheduledFor'] },
+      { fields: ['status', 'scheduledFor'] },
+      { fields: ['teamId'] },
+      { fields: ['sequenceId'] }
+    ]
+  });
+
+  Followup.prototype.isOpen = function() {
+    return !CLOSED_STATUSES.includes(this.status);
+  };
+
+  Followup.prototype.isOverdue = function(now = new Date()) {
+    return this.isOpen() && new Date(this.scheduledFor) < now;
+  };
+
+  return Followup;
+};
+
+module.exports = {
+  defineFollowupModel,
+  FOLLOWUP_TYPES,
+  FOLLOWUP_STATUSES,
+  FOLLOWUP_PRIORITIES,
+  FOLLOWUP_OUTCOMES,
+  CLOSED_STATUSES
+};
@@ -0,0 +1,235 @@
+/**
+ * FollowupSequence Model - A multi-step follow-up cadence (call, email, wait...) that leads
+ * are enrolled in. Steps may branch on the outcome of the previous step.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const SEQUENCE_CATEGORIES = ['nurture', 'sales', 'onboarding', 'retention', 'reactivation', 'upsell', 'cross_sell', 'custom'];
+const STEP_TYPES = [
+  'call', 'email', 'sms', 'meeting', 'demo', 'proposal',
+  'quote', 'contract', 'followup_call', 'nurture', 'other', 'wait'
+];
+const TIMING_UNITS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+const BUSINESS_START_HOUR = 9;
+const BUSINESS_END_HOUR = 17;
+
+/**
+ * Check step definitions: unique orders, known types, and branch targets that exist
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+const validateSteps = (steps) => {
+  if (!Array.isArray(steps)) return ['steps must be a list'];
+  if (steps.length === 0) return ['at least one step is required'];
+
+  const problems = [];
+  const orders = new Set();
+
+  steps.forEach((step, index) => {
+    const label = `Step ${step && step.order !== undefined ? step.order : index + 1}`;
+
+    if (!step || !Number.isInteger(step.order) || step.order < 1) {
+      problems.push(`${label}: order must be a positive whole number`);
+      return;
+    }
+    if (orders.has(step.order)) {
+      problems.push(`${label}: duplicate order`);
+    }
+    orders.add(step.order);
+
+    if (!STEP_TYPES.includes(step.type || 'call')) {
+      problems.push(`${label}: type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.timing && step.timing.unit && !TIMING_UNITS[step.timing.unit]) {
+      problems.push(`${label}: timing.unit must be one of ${Object.keys(TIMING_UNITS).join(', ')}`);
+    }
+    if (step.type === 'wait' && !(step.timing && step.timing.delay > 0)) {
+      problems.push(`${label}: wait steps need a timing.delay`);
+    }
+  });
+
+  steps.forEach(step => {
+    if (!step || !Number.isInteger(step.order)) return;
+
+    const targets = [
+      ...(step.branches || []).filter(branch => !branch.exit && branch.goTo !== undefined).map(branch => branch.goTo),
+      ...(step.nextStep !== undefined && step.nextStep !== null ? [step.nextStep] : [])
+    ];
+    targets.forEach(target => {
+      if (!orders.has(target)) {
+        problems.push(`Step ${step.order}: branch target ${target} does not exist`);
+      }
+    });
+  });
+
+  return problems;
+};
+
+const defineFollowupSequenceModel = (sequelize) => {
+  const FollowupSequence = sequelize.define('FollowupSequence', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category: {
+      type: DataTypes.ENUM(...SEQUENCE_CATEGORIES),
+      allowNull: false,
+      defaultValue: 'nurture'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // [{ order, type, title, description, priority, duration, timing: { delay, unit, businessHoursOnly },
+    //    nextStep, branches: [{ outcomes: ['no_answer'], goTo: 4 } | { outcomes: ['not_interested'], exit: true }] }]
+    steps: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidSteps(value) {
+          const problems = validateSteps(value);
+          if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+          }
+        }
+      }
+    },
+    totalSteps: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // { outcomes: [...] } - follow-up outcomes that take a lead out of the sequence
+    exitConditions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: { outcomes: ['closed_won', 'closed_lost'] }
+    },
+
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Running totals so stats never need a full scan
+    enrollmentCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    completionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    conversionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Days
+    averageCompletionTime: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'followup_sequences',
+    timestamps: true,
+    indexes: [
+      { fields: ['isActive'] },
+      { fields: ['category'] }
+    ],
+    hooks: {
+      beforeValidate: (sequence) => {
+        if (Array.isArray(sequence.steps)) {
+          sequence.totalSteps = sequence.steps.length;
+        }
+      }
+    }
+  });
+
+  FollowupSequence.prototype.getStep = function(order) {
+    return (this.steps || []).find(step => step.order === order) || null;
+  };
+
+  /**
+   * Where an enrollment goes after finishing a step with the given outcome: the first
+   * branch listing the outcome (or '*'), else the step's nextStep, else the following step
+   * @returns {Object} { action: 'goto' | 'exit' | 'complete', step }
+   */
+  FollowupSequence.prototype.getTransition = function(step, outcome = null) {
+    if (!step) return { action: 'complete' };
+
+    const branch = (step.branches || []).find(candidate =>
+      (candidate.outcomes || []).includes(outcome) ||
+      (outcome !== null && (candidate.outcomes || []).includes('*'))
+    );
+
+    if (branch && branch.exit) return { action: 'exit' };
+
+    let nextOrder = step.order + 1;
+    if (branch && branch.goTo !== undefined) {
+      nextOrder = branch.goTo;
+    } else if (step.nextStep !== undefined && step.nextStep !== null) {
+      nextOrder = step.nextStep;
+    }
+
+    return this.getStep(nextOrder)
+      ? { action: 'goto', step: nextOrder }
+      : { action: 'complete' };
+  };
+
+  /**
+   * When a step falls due, counted from baseDate; business-hours steps move to the next
+   * weekday between 9:00 and 17:00
+   */
+  FollowupSequence.prototype.calculateStepDate = function(step, baseDate = new Date()) {
+    const timing = step.timing || {};
+    const date = new Date(new Date(baseDate).getTime() + (timing.delay || 0) * (TIMING_UNITS[timing.unit || 'days']));
+
+    if (!timing.businessHoursOnly) return date;
+
+    if (date.getHours() >= BUSINESS_END_HOUR) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    } else if (date.getHours() < BUSINESS_START_HOUR) {
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    }
+    while (date.getDay() === 0 || date.getDay() === 6) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    }
+    return date;
+  };
+
+  return FollowupSequence;
+};
+
+module.exports = {
+  defineFollowupSequenceModel,
+  SEQUENCE_CATEGORIES,
+  STEP_TYPES,
+  validateSteps
+};
@@ -0,0 +1,101 @@
+/**
+ * ForecastSnapshot Model - A day's revenue forecast for a month or quarter, kept so it can
+ * be compared with what actually closed once the period is over
+ */
+
+const { DataTypes } = require('sequelize');
+
+const FORECAST_PERIODS = ['month', 'quarter'];
+const FORECAST_SCOPES = ['company', 'agent', 'team'];
+
+const defineForecastSnapshotModel = (sequelize) => {
+  const ForecastSnapshot = sequelize.define('ForecastSnapshot', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    snapshotDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    period: {
+      type: DataTypes.ENUM(...FORECAST_PERIODS),
+      allowNull: false
+    },
+    periodStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    periodEnd: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    scope: {
+      type: DataTypes.ENUM(...FORECAST_SCOPES),
+      allowNull: false
+    },
+
+    // Agent (assignedTo) or team ID; 'all' for the company
+    scopeId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    openLeads: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    pipelineValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Won so far in the period when the snapshot was taken
+    closedWonValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Forecast period totals: closed won so far plus the open pipeline each method expects to close
+    weightedValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    commitValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    bestCaseValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Closed won so far plus the time-series forecast for the rest of the period (company only)
+    trendValue: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+    stageProbabilities: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'forecast_snapshots',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['snapshotDate', 'period', 'scope', 'scopeId'] },
+      { fields: ['period', 'periodStart', 'scope'] }
+    ]
+  });
+
+  return ForecastSnapshot;
+};
+
+module.exports = { defineForecastSnapshotModel, FORECAST_PERIODS, FORECAST_SCOPES };
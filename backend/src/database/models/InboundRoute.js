@@ -0,0 +1,93 @@
+/**
+ * InboundRoute Model - Per-number routing rules for inbound calls
+ */
+
+const { DataTypes } = require('sequelize');
+
+const ROUTE_STEPS = ['owner', 'team', 'voicemail'];
+
+const DEFAULT_STEPS = ['owner', 'team', 'voicemail'];
+
+const defineInboundRouteModel = (sequelize) => {
+  const InboundRoute = sequelize.define('InboundRoute', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Dialed number, stored as international digits without "+" like DNC entries
+    phoneNumber: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Tried in order; a step with nobody to ring (no owner, empty ring group) is skipped
+    steps: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: DEFAULT_STEPS,
+      validate: {
+        isValidSteps(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('steps must be a non-empty array');
+          }
+          const invalid = value.filter(step => !ROUTE_STEPS.includes(step));
+          if (invalid.length > 0) {
+            throw new Error(`Unknown routing steps: ${invalid.join(', ')}`);
+          }
+        }
+      }
+    },
+
+    // Agent ids rung together for the team step
+    ringGroup: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Seconds to ring before falling through to the next step
+    ownerTimeout: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 20,
+      validate: { min: 5, max: 120 }
+    },
+    teamTimeout: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 25,
+      validate: { min: 5, max: 120 }
+    },
+    voicemailGreeting: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    }
+  }, {
+    tableName: 'inbound_routes',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['phoneNumber'] },
+      { fields: ['isActive'] }
+    ]
+  });
+
+  return InboundRoute;
+};
+
+module.exports = { defineInboundRouteModel, ROUTE_STEPS, DEFAULT_STEPS };
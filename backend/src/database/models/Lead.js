@@ -349,6 +349,13 @@ const defineLeadModel = (sequelize) => {
     archivedReason: {
       type: DataTypes.STRING(255),
       allowNull: true
+    },
+    
+    // CRM sync: last writer per field, { [field]: { source, updatedAt } }
+    fieldProvenance: {
+      type: DataTypes.JSON,
+      defaultValue: {},
+      allowNull: false
     }
   }, {
     tableName: 'leads',
@@ -0,0 +1,80 @@
+/**
+ * LeadScoringModel Model - Versions of the data-defined lead scoring rules, per campaign
+ * (a null campaign is the default model)
+ */
+
+const { DataTypes } = require('sequelize');
+
+const SCORING_MODEL_STATUSES = ['draft', 'active', 'retired'];
+
+const defineLeadScoringModelModel = (sequelize) => {
+  const LeadScoringModel = sequelize.define('LeadScoringModel', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaign: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...SCORING_MODEL_STATUSES),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    maxScore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 100
+    },
+
+    // Rule definitions as described in services/leadScoringModels.js
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'system'
+    },
+    activatedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'lead_scoring_models',
+    timestamps: true,
+    indexes: [
+      { fields: ['campaign', 'version'], unique: true },
+      { fields: ['status'] }
+    ]
+  });
+
+  return LeadScoringModel;
+};
+
+module.exports = { defineLeadScoringModelModel, SCORING_MODEL_STATUSES };
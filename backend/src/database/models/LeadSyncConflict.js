@@ -0,0 +1,98 @@
+/**
+ * LeadSyncConflict Model - Field values that diverged between the dashboard and a CRM
+ */
+
+const { DataTypes } = require('sequelize');
+const { CRM_PROVIDERS } = require('./CrmRecordLink');
+
+const defineLeadSyncConflictModel = (sequelize) => {
+  const LeadSyncConflict = sequelize.define('LeadSyncConflict', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    leadId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    provider: {
+      type: DataTypes.ENUM(...CRM_PROVIDERS),
+      allowNull: false
+    },
+    field: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+
+    // Both sides of the conflict, wrapped so null/number/string survive JSON storage
+    dashboardValue: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    dashboardUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    crmValue: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    crmUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // Resolution
+    status: {
+      type: DataTypes.ENUM('open', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    resolution: {
+      type: DataTypes.ENUM('dashboard', 'crm', 'custom'),
+      allowNull: true
+    },
+    resolvedValue: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'lead_sync_conflicts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'createdAt']
+      },
+      {
+        fields: ['leadId', 'provider', 'field']
+      }
+    ]
+  });
+
+  LeadSyncConflict.findOpen = async function(leadId, provider, field) {
+    return await LeadSyncConflict.findOne({
+      where: { leadId, provider, field, status: 'open' }
+    });
+  };
+
+  LeadSyncConflict.associate = (models) => {
+    LeadSyncConflict.belongsTo(models.Lead, {
+      foreignKey: 'leadId',
+      as: 'lead',
+      constraints: false
+    });
+  };
+
+  return LeadSyncConflict;
+};
+
+module.exports = { defineLeadSyncConflictModel };
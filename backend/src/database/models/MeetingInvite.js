@@ -0,0 +1,117 @@
+/**
+ * MeetingInvite Model - An .ics invite sent to a lead for a follow-up and the lead's RSVP.
+ * Every invite for the same follow-up shares its UID, so calendar clients treat re-sends
+ * as updates.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const INVITE_STATUSES = ['needs_action', 'accepted', 'declined', 'tentative', 'cancelled'];
+const RSVP_RESPONSES = ['accepted', 'declined', 'tentative'];
+
+const defineMeetingInviteModel = (sequelize) => {
+  const MeetingInvite = sequelize.define('MeetingInvite', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    followupId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // Organizer
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    organizerEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    organizerName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    uid: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // iCalendar SEQUENCE; bumped whenever the meeting changes
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    attendeeEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    attendeeName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    status: {
+      type: DataTypes.ENUM(...INVITE_STATUSES),
+      allowNull: false,
+      defaultValue: 'needs_action'
+    },
+    // sha256 of the token in the accept/decline links
+    rsvpTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // link, or email for an iTIP REPLY from the lead's calendar client
+    responseSource: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    providerMessageId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'meeting_invites',
+    timestamps: true,
+    indexes: [
+      { fields: ['followupId'] },
+      { fields: ['uid', 'attendeeEmail'] }
+    ]
+  });
+
+  MeetingInvite.prototype.respond = function(status, source, at = new Date()) {
+    return this.update({ status, responseSource: source, respondedAt: at });
+  };
+
+  return MeetingInvite;
+};
+
+module.exports = {
+  defineMeetingInviteModel,
+  INVITE_STATUSES,
+  RSVP_RESPONSES
+};
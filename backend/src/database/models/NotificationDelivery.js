@@ -0,0 +1,182 @@
+/**
+ * NotificationDelivery Model - One notification on one channel: its status, every attempt
+ * and why it is waiting
+ */
+
+const { DataTypes, Op } = require('sequelize');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push', 'desktop'];
+const DELIVERY_STATUSES = ['pending', 'sent', 'deferred', 'retrying', 'failed', 'skipped'];
+const RETRYABLE_STATUSES = ['failed', 'skipped'];
+
+// Wait before each retry: 1 minute, 5 minutes, then 30 minutes
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+
+const defineNotificationDeliveryModel = (sequelize) => {
+  const NotificationDelivery = sequelize.define('NotificationDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    channel: {
+      type: DataTypes.ENUM(...NOTIFICATION_CHANNELS),
+      allowNull: false
+    },
+    // e.g. followup_reminder
+    notificationType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    followupId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Email address or phone number; push and desktop go to the user's devices
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // What the channel is given, kept so deferred and retried deliveries can be resent
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...DELIVERY_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Why the delivery is deferred or skipped (quiet_hours, no_recipient, no_subscriptions)
+    statusReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 4
+    },
+    // When a deferred or retrying delivery is next tried
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // smtp, file, twilio, webpush, outbox or websocket
+    transport: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    providerMessageId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // One entry per attempt: { attempt, at, success, transport, error }
+    history: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'notification_deliveries',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['followupId'] },
+      { fields: ['status', 'nextAttemptAt'] }
+    ]
+  });
+
+  NotificationDelivery.prototype.defer = function(until, reason) {
+    this.status = 'deferred';
+    this.statusReason = reason;
+    this.nextAttemptAt = until;
+  };
+
+  /**
+   * Apply a channel result: sent, skipped, scheduled for retry, or failed for good
+   * @param {Object} result - { success, skipped, reason, retryable, error, messageId, transport }
+   */
+  NotificationDelivery.prototype.recordAttempt = function(result, at = new Date()) {
+    this.attempts += 1;
+    this.lastAttemptAt = at;
+    this.transport = result.transport || this.transport;
+    // Reassign so Sequelize notices the JSON change
+    this.history = [...(this.history || []), {
+      attempt: this.attempts,
+      at,
+      success: Boolean(result.success),
+      transport: result.transport || null,
+      error: result.error || null
+    }];
+
+    if (result.success) {
+      this.status = 'sent';
+      this.statusReason = null;
+      this.sentAt = at;
+      this.providerMessageId = result.messageId || null;
+      this.nextAttemptAt = null;
+      this.lastError = null;
+      return;
+    }
+
+    this.lastError = result.error || 'Delivery failed';
+
+    if (result.skipped) {
+      this.status = 'skipped';
+      this.statusReason = result.reason || null;
+      this.nextAttemptAt = null;
+    } else if (result.retryable !== false && this.attempts < this.maxAttempts) {
+      const delay = RETRY_DELAYS_MINUTES[Math.min(this.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+      this.status = 'retrying';
+      this.statusReason = null;
+      this.nextAttemptAt = new Date(at.getTime() + delay * 60 * 1000);
+    } else {
+      this.status = 'failed';
+      this.statusReason = null;
+      this.nextAttemptAt = null;
+    }
+  };
+
+  NotificationDelivery.findDue = function(now = new Date(), limit = 50) {
+    return this.findAll({
+      where: {
+        status: ['deferred', 'retrying'],
+        nextAttemptAt: { [Op.lte]: now }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    });
+  };
+
+  return NotificationDelivery;
+};
+
+module.exports = {
+  defineNotificationDeliveryModel,
+  NOTIFICATION_CHANNELS,
+  DELIVERY_STATUSES,
+  RETRYABLE_STATUSES,
+  RETRY_DELAYS_MINUTES
+};
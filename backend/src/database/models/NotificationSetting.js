@@ -0,0 +1,160 @@
+/**
+ * NotificationSetting Model - Where a user's reminders go, how early, and their quiet hours:
+ * deliveries on the quiet channels wait until the window ends
+ */
+
+const { DataTypes } = require('sequelize');
+const { NOTIFICATION_CHANNELS } = require('./NotificationDelivery');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MINUTES = 24 * 60;
+const MAX_REMINDER_LEAD_MINUTES = 24 * 60;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (value) => {
+  const [hour, minute] = value.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * @returns {Object} { minutes, seconds } past local midnight
+ */
+const getLocalClock = (at, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return { minutes: Number(parts.hour) * 60 + Number(parts.minute), seconds: Number(parts.second) };
+};
+
+const channelList = (fieldName) => ({
+  isChannelList(value) {
+    if (!Array.isArray(value) || value.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+      throw new Error(`${fieldName} must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+  }
+});
+
+const defineNotificationSettingModel = (sequelize) => {
+  const NotificationSetting = sequelize.define('NotificationSetting', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+
+    // Where email and SMS reminders are sent
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: { isEmail: true }
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+
+    reminderChannels: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: ['email', 'push', 'desktop'],
+      validate: channelList('reminderChannels')
+    },
+    // How long before a follow-up its reminder goes out
+    reminderLeadMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 15,
+      validate: { min: 0, max: MAX_REMINDER_LEAD_MINUTES }
+    },
+
+    timeZone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'America/New_York',
+      validate: {
+        isKnownZone(value) {
+          if (!isValidTimeZone(value)) {
+            throw new Error(`Unknown time zone: ${value}`);
+          }
+        }
+      }
+    },
+    quietHoursEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Local HH:mm; a start later than the end spans midnight (e.g. 21:00-07:00)
+    quietHoursStart: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: '21:00',
+      validate: { is: TIME_OF_DAY }
+    },
+    quietHoursEnd: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: '07:00',
+      validate: { is: TIME_OF_DAY }
+    },
+    // Channels held back during quiet hours; email and desktop land silently by default
+    quietChannels: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: ['sms', 'push'],
+      validate: channelList('quietChannels')
+    }
+  }, {
+    tableName: 'notification_settings',
+    timestamps: true
+  });
+
+  /**
+   * When the quiet hours covering `at` end for this channel, or null if it may be sent now
+   */
+  NotificationSetting.prototype.getQuietHoursEnd = function(channel, at = new Date()) {
+    if (!this.quietHoursEnabled || !(this.quietChannels || []).includes(channel)) {
+      return null;
+    }
+
+    const start = toMinutes(this.quietHoursStart);
+    const end = toMinutes(this.quietHoursEnd);
+    if (start === end) return null;
+
+    const { minutes, seconds } = getLocalClock(at, this.timeZone);
+    const quiet = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    if (!quiet) return null;
+
+    // Whole minutes until the local end time, counted from the start of the current minute
+    const untilEnd = (end - minutes + DAY_MINUTES) % DAY_MINUTES;
+    const startOfMinute = at.getTime() - seconds * 1000 - at.getMilliseconds();
+    return new Date(startOfMinute + untilEnd * 60 * 1000);
+  };
+
+  return NotificationSetting;
+};
+
+module.exports = {
+  defineNotificationSettingModel,
+  MAX_REMINDER_LEAD_MINUTES
+};
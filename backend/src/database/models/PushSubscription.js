@@ -0,0 +1,54 @@
+/**
+ * PushSubscription Model - One browser's Web Push subscription for a user;
+ * a user may have several devices
+ */
+
+const { DataTypes } = require('sequelize');
+
+const definePushSubscriptionModel = (sequelize) => {
+  const PushSubscription = sequelize.define('PushSubscription', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    endpoint: {
+      type: DataTypes.STRING(1000),
+      allowNull: false,
+      unique: true
+    },
+    // { p256dh, auth } from the browser's PushSubscription
+    keys: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    userAgent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    lastSuccessAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Consecutive failures other than "gone", which removes the subscription outright
+    failureCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'push_subscriptions',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId'] }
+    ]
+  });
+
+  return PushSubscription;
+};
+
+module.exports = { definePushSubscriptionModel };
@@ -0,0 +1,67 @@
+/**
+ * ReportRun Model - One scheduled or manual delivery of a report subscription
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineReportRunModel = (sequelize) => {
+  const ReportRun = sequelize.define('ReportRun', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subscriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    trigger: {
+      type: DataTypes.ENUM('schedule', 'manual'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('running', 'success', 'failed'),
+      allowNull: false,
+      defaultValue: 'running'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    recipients: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    transport: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    messageId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'report_runs',
+    timestamps: true,
+    indexes: [
+      { fields: ['subscriptionId', 'startedAt'] }
+    ]
+  });
+
+  return ReportRun;
+};
+
+module.exports = { defineReportRunModel };
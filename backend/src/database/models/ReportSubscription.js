@@ -0,0 +1,95 @@
+/**
+ * ReportSubscription Model - A custom report emailed to recipients on a cron schedule
+ */
+
+const { DataTypes } = require('sequelize');
+
+const REPORT_FORMATS = ['pdf', 'excel', 'json'];
+
+const defineReportSubscriptionModel = (sequelize) => {
+  const ReportSubscription = sequelize.define('ReportSubscription', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    reportType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    sections: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // Each run reports on the days leading up to it; null reports on all time
+    lookbackDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 7
+    },
+
+    // Five-field cron expression, evaluated in timeZone
+    schedule: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    timeZone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    recipients: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    format: {
+      type: DataTypes.ENUM(...REPORT_FORMATS),
+      allowNull: false,
+      defaultValue: 'pdf'
+    },
+    includeCharts: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunStatus: {
+      type: DataTypes.ENUM('success', 'failed'),
+      allowNull: true
+    }
+  }, {
+    tableName: 'report_subscriptions',
+    timestamps: true,
+    indexes: [
+      { fields: ['active'] }
+    ]
+  });
+
+  return ReportSubscription;
+};
+
+module.exports = { defineReportSubscriptionModel, REPORT_FORMATS };
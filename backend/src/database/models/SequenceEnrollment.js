@@ -0,0 +1,126 @@
+/**
+ * SequenceEnrollment Model - One lead's progress through a follow-up sequence
+ */
+
+const { DataTypes } = require('sequelize');
+
+const ENROLLMENT_STATUSES = ['active', 'paused', 'completed', 'exited'];
+const OPEN_ENROLLMENT_STATUSES = ['active', 'paused'];
+const ENROLLMENT_SOURCES = ['manual', 'bulk', 'automation_rule', 'api'];
+const EXIT_REASONS = [
+  'replied', 'meeting_booked', 'do_not_call', 'outcome',
+  'branch_exit', 'manual', 'sequence_inactive', 'lead_missing'
+];
+
+const defineSequenceEnrollmentModel = (sequelize) => {
+  const SequenceEnrollment = sequelize.define('SequenceEnrollment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    sequenceId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // Owner of the follow-ups the sequence creates
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...ENROLLMENT_STATUSES),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    currentStep: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // Follow-up created for the current step (null while waiting)
+    currentFollowupId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // When the current step is due; wait steps advance once this passes
+    nextActionAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM(...ENROLLMENT_SOURCES),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    automationRuleId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    enrolledAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    exitedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    exitReason: {
+      type: DataTypes.ENUM(...EXIT_REASONS),
+      allowNull: true
+    },
+    // Step the lead was on when it left, for drop-off stats
+    exitStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // One entry per finished step: { step, type, followupId, outcome, nextStep, completedAt }
+    history: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'sequence_enrollments',
+    timestamps: true,
+    indexes: [
+      { fields: ['sequenceId', 'status'] },
+      { fields: ['leadId', 'status'] },
+      { fields: ['currentFollowupId'] },
+      { fields: ['status', 'nextActionAt'] }
+    ]
+  });
+
+  SequenceEnrollment.prototype.isOpen = function() {
+    return OPEN_ENROLLMENT_STATUSES.includes(this.status);
+  };
+
+  SequenceEnrollment.prototype.recordStep = function(entry) {
+    // Reassign so Sequelize notices the JSON change
+    this.history = [...(this.history || []), { ...entry, completedAt: new Date() }];
+  };
+
+  return SequenceEnrollment;
+};
+
+module.exports = {
+  defineSequenceEnrollmentModel,
+  ENROLLMENT_STATUSES,
+  OPEN_ENROLLMENT_STATUSES,
+  ENROLLMENT_SOURCES,
+  EXIT_REASONS
+};
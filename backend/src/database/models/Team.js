@@ -0,0 +1,63 @@
+/**
+ * Team Model - Groups agents for follow-up assignment and holds team-wide capacity defaults
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineTeamModel = (sequelize) => {
+  const Team = sequelize.define('Team', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // Receives follow-ups when no member can take them and the rule falls back to 'manager'
+    managerId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    // Capacity defaults for members without their own limits (null = unlimited)
+    defaultMaxOpenFollowups: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    },
+    defaultMaxDailyFollowups: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    },
+
+    // Where a day starts for daily limits
+    timezone: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'UTC'
+    }
+  }, {
+    tableName: 'teams',
+    timestamps: true,
+    indexes: [
+      { fields: ['isActive'] }
+    ]
+  });
+
+  return Team;
+};
+
+module.exports = { defineTeamModel };
@@ -0,0 +1,123 @@
+/**
+ * TeamMember Model - An agent's place on a team: skill tags, capacity limits, out-of-office
+ * window and the rotation bookkeeping used for fair assignment
+ */
+
+const { DataTypes } = require('sequelize');
+
+const MEMBER_ROLES = ['agent', 'lead', 'manager'];
+
+const normalizeSkills = (skills) => [...new Set((Array.isArray(skills) ? skills : [])
+  .map(skill => String(skill).trim().toLowerCase())
+  .filter(Boolean))];
+
+const defineTeamMemberModel = (sequelize) => {
+  const TeamMember = sequelize.define('TeamMember', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.ENUM(...MEMBER_ROLES),
+      allowNull: false,
+      defaultValue: 'agent'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // Lower-case tags matched against skill-based rules, e.g. ['demo', 'spanish', 'enterprise']
+    skills: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Capacity limits (null = the team default)
+    maxOpenFollowups: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    },
+    maxDailyFollowups: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    },
+
+    // An open-ended absence has no outOfOfficeUntil
+    outOfOfficeFrom: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    outOfOfficeUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    outOfOfficeReason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    // Rotation state, persisted so the order survives restarts
+    lastAssignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    assignmentCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'team_members',
+    timestamps: true,
+    indexes: [
+      { fields: ['teamId', 'userId'], unique: true },
+      { fields: ['userId'] },
+      { fields: ['teamId', 'isActive', 'lastAssignedAt'] }
+    ],
+    hooks: {
+      beforeSave: (member) => {
+        if (member.changed('skills')) {
+          member.skills = normalizeSkills(member.skills);
+        }
+      }
+    }
+  });
+
+  TeamMember.prototype.isOutOfOffice = function(at = new Date()) {
+    if (!this.outOfOfficeFrom && !this.outOfOfficeUntil) return false;
+
+    const from = this.outOfOfficeFrom ? new Date(this.outOfOfficeFrom) : null;
+    const until = this.outOfOfficeUntil ? new Date(this.outOfOfficeUntil) : null;
+    return (!from || from <= at) && (!until || at < until);
+  };
+
+  TeamMember.prototype.hasSkills = function(requiredSkills = []) {
+    const skills = this.skills || [];
+    return normalizeSkills(requiredSkills).every(skill => skills.includes(skill));
+  };
+
+  TeamMember.prototype.getCapacityLimits = function(team) {
+    return {
+      maxOpenFollowups: this.maxOpenFollowups ?? team?.defaultMaxOpenFollowups ?? null,
+      maxDailyFollowups: this.maxDailyFollowups ?? team?.defaultMaxDailyFollowups ?? null
+    };
+  };
+
+  return TeamMember;
+};
+
+module.exports = { defineTeamMemberModel, MEMBER_ROLES, normalizeSkills };
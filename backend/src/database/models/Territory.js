@@ -0,0 +1,141 @@
+/**
+ * Territory Model - Maps leads to a team's agents by country, state, zip prefix and industry
+ */
+
+const { DataTypes } = require('sequelize');
+
+const MATCH_FIELDS = ['countries', 'states', 'zipPrefixes', 'industries'];
+
+const normalizeValues = (values) => [...new Set((Array.isArray(values) ? values : [])
+  .map(value => String(value).trim().toLowerCase())
+  .filter(Boolean))];
+
+const normalizeZip = (zip) => String(zip).replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Location fields from either the flat address columns or a nested address object
+ * @returns {Object} { country, state, zip, industry } - lower-case, zip upper-case
+ */
+const getLeadLocation = (lead = {}) => {
+  const address = lead.address && typeof lead.address === 'object' ? lead.address : {};
+  const normalize = (value) => (value ? String(value).trim().toLowerCase() : null);
+  const zip = lead.addressZip || lead.zipCode || address.zip || address.zipCode || null;
+
+  return {
+    country: normalize(lead.addressCountry || lead.country || address.country),
+    state: normalize(lead.addressState || lead.state || address.state),
+    zip: zip ? normalizeZip(zip) : null,
+    industry: normalize(lead.industry)
+  };
+};
+
+const defineTerritoryModel = (sequelize) => {
+  const Territory = sequelize.define('Territory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // Higher priority territories are tried first when several match a lead
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Matching criteria; an empty list matches any value
+    countries: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    states: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Zip/postal prefixes, e.g. "021" covers 02101-02199
+    zipPrefixes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    industries: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Agents covering the territory; empty means every active member of the team
+    userIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'territories',
+    timestamps: true,
+    indexes: [
+      { fields: ['teamId'] },
+      { fields: ['isActive'] }
+    ],
+    hooks: {
+      beforeSave: (territory) => {
+        ['countries', 'states', 'industries'].forEach(field => {
+          if (territory.changed(field)) {
+            territory[field] = normalizeValues(territory[field]);
+          }
+        });
+        if (territory.changed('zipPrefixes')) {
+          territory.zipPrefixes = (Array.isArray(territory.zipPrefixes) ? territory.zipPrefixes : [])
+            .map(normalizeZip)
+            .filter(Boolean);
+        }
+        if (territory.changed('userIds')) {
+          territory.userIds = [...new Set((Array.isArray(territory.userIds) ? territory.userIds : []).map(String))];
+        }
+      }
+    }
+  });
+
+  /**
+   * Whether a lead falls inside the territory; every configured criterion must match
+   */
+  Territory.prototype.matchesLead = function(lead) {
+    const location = getLeadLocation(lead);
+    const matchesList = (values, actual) =>
+      !values || values.length === 0 || (actual !== null && values.includes(actual));
+    const matchesZip = !this.zipPrefixes || this.zipPrefixes.length === 0 ||
+      (location.zip !== null && this.zipPrefixes.some(prefix => location.zip.startsWith(prefix)));
+
+    return matchesList(this.countries, location.country) &&
+      matchesList(this.states, location.state) &&
+      matchesList(this.industries, location.industry) &&
+      matchesZip;
+  };
+
+  /**
+   * Number of criteria configured; narrower territories win ties on priority
+   */
+  Territory.prototype.getSpecificity = function() {
+    return MATCH_FIELDS.filter(field => this[field] && this[field].length > 0).length;
+  };
+
+  return Territory;
+};
+
+module.exports = { defineTerritoryModel, getLeadLocation };
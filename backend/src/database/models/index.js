@@ -6,12 +6,76 @@ const { sequelize } = require('../config/database');
 const { defineLeadModel } = require('./Lead');
 const { defineContactModel } = require('./Contact');
 const { defineCallLogModel } = require('./CallLog');
+const { defineNoteModel } = require('./Note');
+const { defineCrmRecordLinkModel } = require('./CrmRecordLink');
+const { defineCrmSyncCursorModel } = require('./CrmSyncCursor');
+const { defineCrmSyncItemModel } = require('./CrmSyncItem');
+const { defineLeadSyncConflictModel } = require('./LeadSyncConflict');
+const { defineCrmFieldPolicyModel } = require('./CrmFieldPolicy');
+const { defineEnrichmentCacheModel } = require('./EnrichmentCache');
+const { defineEnhancedCallLogModel } = require('./EnhancedCallLog');
+const { defineConversionModelModel } = require('./ConversionModel');
+const { defineDialerSessionModel } = require('./DialerSession');
+const { defineDoNotCallEntryModel } = require('./DoNotCallEntry');
+const { defineInboundRouteModel } = require('./InboundRoute');
+const { defineCallerIdNumberModel } = require('./CallerIdNumber');
+const { defineCallerIdAssignmentModel } = require('./CallerIdAssignment');
+const { defineReportSubscriptionModel } = require('./ReportSubscription');
+const { defineReportRunModel } = require('./ReportRun');
+const { defineForecastSnapshotModel } = require('./ForecastSnapshot');
+const { defineDashboardModel } = require('./Dashboard');
+const { defineFollowupModel } = require('./Followup');
+const { defineTeamModel } = require('./Team');
+const { defineTeamMemberModel } = require('./TeamMember');
+const { defineTerritoryModel } = require('./Territory');
+const { defineFollowupSequenceModel } = require('./FollowupSequence');
+const { defineSequenceEnrollmentModel } = require('./SequenceEnrollment');
+const { defineNotificationDeliveryModel } = require('./NotificationDelivery');
+const { defineNotificationSettingModel } = require('./NotificationSetting');
+const { definePushSubscriptionModel } = require('./PushSubscription');
+const { defineAutomationRuleModel } = require('./AutomationRule');
+const { defineCalendarFeedModel } = require('./CalendarFeed');
+const { defineMeetingInviteModel } = require('./MeetingInvite');
+const { defineBookingPageModel } = require('./BookingPage');
+const { defineLeadScoringModelModel } = require('./LeadScoringModel');
 
 // Initialize all models
 const models = {
   Lead: defineLeadModel(sequelize),
   Contact: defineContactModel(sequelize),
-  CallLog: defineCallLogModel(sequelize)
+  CallLog: defineCallLogModel(sequelize),
+  Note: defineNoteModel(sequelize),
+  CrmRecordLink: defineCrmRecordLinkModel(sequelize),
+  CrmSyncCursor: defineCrmSyncCursorModel(sequelize),
+  CrmSyncItem: defineCrmSyncItemModel(sequelize),
+  LeadSyncConflict: defineLeadSyncConflictModel(sequelize),
+  CrmFieldPolicy: defineCrmFieldPolicyModel(sequelize),
+  EnrichmentCache: defineEnrichmentCacheModel(sequelize),
+  EnhancedCallLog: defineEnhancedCallLogModel(sequelize),
+  ConversionModel: defineConversionModelModel(sequelize),
+  DialerSession: defineDialerSessionModel(sequelize),
+  DoNotCallEntry: defineDoNotCallEntryModel(sequelize),
+  InboundRoute: defineInboundRouteModel(sequelize),
+  CallerIdNumber: defineCallerIdNumberModel(sequelize),
+  CallerIdAssignment: defineCallerIdAssignmentModel(sequelize),
+  ReportSubscription: defineReportSubscriptionModel(sequelize),
+  ReportRun: defineReportRunModel(sequelize),
+  ForecastSnapshot: defineForecastSnapshotModel(sequelize),
+  Dashboard: defineDashboardModel(sequelize),
+  Followup: defineFollowupModel(sequelize),
+  Team: defineTeamModel(sequelize),
+  TeamMember: defineTeamMemberModel(sequelize),
+  Territory: defineTerritoryModel(sequelize),
+  FollowupSequence: defineFollowupSequenceModel(sequelize),
+  SequenceEnrollment: defineSequenceEnrollmentModel(sequelize),
+  NotificationDelivery: defineNotificationDeliveryModel(sequelize),
+  NotificationSetting: defineNotificationSettingModel(sequelize),
+  PushSubscription: definePushSubscriptionModel(sequelize),
+  AutomationRule: defineAutomationRuleModel(sequelize),
+  CalendarFeed: defineCalendarFeedModel(sequelize),
+  MeetingInvite: defineMeetingInviteModel(sequelize),
+  BookingPage: defineBookingPageModel(sequelize),
+  LeadScoringModel: defineLeadScoringModelModel(sequelize)
 };
 
 // Define associations
@@ -34,6 +98,90 @@ models.Lead.hasMany(models.CallLog, {
   onDelete: 'CASCADE'
 });
 
+models.Lead.hasMany(models.EnhancedCallLog, {
+  foreignKey: 'leadId',
+  as: 'enhancedCallLogs',
+  onDelete: 'CASCADE'
+});
+
+models.Lead.hasMany(models.CrmRecordLink, {
+  foreignKey: 'localId',
+  as: 'crmLinks',
+  scope: { objectType: 'lead' },
+  constraints: false
+});
+
+// Caller-ID pool associations
+models.CallerIdNumber.hasMany(models.CallerIdAssignment, {
+  foreignKey: 'callerIdNumberId',
+  as: 'assignments',
+  onDelete: 'CASCADE'
+});
+
+models.CallerIdAssignment.belongsTo(models.CallerIdNumber, {
+  foreignKey: 'callerIdNumberId',
+  as: 'number'
+});
+
+// Report subscription associations
+models.ReportSubscription.hasMany(models.ReportRun, {
+  foreignKey: 'subscriptionId',
+  as: 'runs',
+  onDelete: 'CASCADE'
+});
+
+models.ReportRun.belongsTo(models.ReportSubscription, {
+  foreignKey: 'subscriptionId',
+  as: 'subscription'
+});
+
+// Team assignment associations
+models.Team.hasMany(models.TeamMember, {
+  foreignKey: 'teamId',
+  as: 'members',
+  onDelete: 'CASCADE'
+});
+
+models.TeamMember.belongsTo(models.Team, {
+  foreignKey: 'teamId',
+  as: 'team'
+});
+
+models.Team.hasMany(models.Territory, {
+  foreignKey: 'teamId',
+  as: 'territories',
+  onDelete: 'CASCADE'
+});
+
+models.Territory.belongsTo(models.Team, {
+  foreignKey: 'teamId',
+  as: 'team'
+});
+
+// Follow-up sequence associations
+models.FollowupSequence.hasMany(models.SequenceEnrollment, {
+  foreignKey: 'sequenceId',
+  as: 'enrollments',
+  onDelete: 'CASCADE'
+});
+
+models.SequenceEnrollment.belongsTo(models.FollowupSequence, {
+  foreignKey: 'sequenceId',
+  as: 'sequence'
+});
+
+// Meeting invite associations
+models.Followup.hasMany(models.MeetingInvite, {
+  foreignKey: 'followupId',
+  as: 'invites',
+  onDelete: 'CASCADE'
+});
+
+models.MeetingInvite.belongsTo(models.Followup, {
+  foreignKey: 'followupId',
+  as: 'followup'
+});
+
 // Add model utilities
 models.sequelize = sequelize;
 models.Sequelize = require('sequelize');
@@ -2,6 +2,8 @@
  * Analytics-specific validation middleware
  */
 
+const { REPORT_TYPES, REPORT_SECTIONS } = require('../services/customReportService');
+
 /**
  * Helper function to check if date is valid
  */
@@ -12,24 +14,20 @@ const isValidDate = (dateString) => {
 };
 
 /**
- * Validate analytics query parameters
+ * The first problem with analytics query parameters, or null when they are valid
+ * @param {Object} query - start_date, end_date, forecast_period, period, scope, max_weeks, ...
+ * @returns {string|null}
  */
-const validateAnalyticsParams = (req, res, next) => {
-  const { start_date, end_date, forecast_period } = req.query;
+const analyticsParamsError = (query) => {
+  const { start_date, end_date, forecast_period } = query;
 
   // Validate date format if provided
   if (start_date && !isValidDate(start_date)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid start_date format. Use YYYY-MM-DD or ISO 8601 format'
-    });
+    return 'Invalid start_date format. Use YYYY-MM-DD or ISO 8601 format';
   }
 
   if (end_date && !isValidDate(end_date)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid end_date format. Use YYYY-MM-DD or ISO 8601 format'
-    });
+    return 'Invalid end_date format. Use YYYY-MM-DD or ISO 8601 format';
   }
 
   // Validate date range logic
@@ -38,10 +36,7 @@ const validateAnalyticsParams = (req, res, next) => {
     const endDate = new Date(end_date);
     
     if (startDate > endDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'start_date must be before end_date'
-      });
+      return 'start_date must be before end_date';
     }
   }
 
@@ -49,13 +44,42 @@ const validateAnalyticsParams = (req, res, next) => {
   if (forecast_period) {
     const period = parseInt(forecast_period);
     if (isNaN(period) || period < 1 || period > 365) {
-      return res.status(400).json({
-        success: false,
-        message: 'forecast_period must be a number between 1 and 365'
-      });
+      return 'forecast_period must be a number between 1 and 365';
     }
   }
 
+  // Validate forecast rollup options
+  const choices = { period: ['month', 'quarter'], scope: ['company', 'agent', 'team'] };
+  for (const [name, allowed] of Object.entries(choices)) {
+    const value = query[name];
+    if (value !== undefined && !allowed.includes(value)) {
+      return `${name} must be one of: ${allowed.join(', ')}`;
+    }
+  }
+
+  // Validate cohort, attribution, journey and forecast options
+  const ranges = { max_weeks: [1, 52], half_life_days: [1, 90], limit: [1, 100], history_days: [14, 730] };
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = query[name];
+    if (value === undefined) continue;
+    
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return `${name} must be a whole number between ${min} and ${max}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate analytics query parameters
+ */
+const validateAnalyticsParams = (req, res, next) => {
+  const message = analyticsParamsError(req.query);
+  if (message) {
+    return res.status(400).json({ success: false, message });
+  }
   next();
 };
 
@@ -74,23 +98,21 @@ const validateReportRequest = (req, res, next) => {
   }
 
   // Valid report types
-  const validReportTypes = ['summary', 'detailed', 'executive', 'operational', 'custom'];
-  if (!validReportTypes.includes(reportType)) {
+  if (!REPORT_TYPES.includes(reportType)) {
     return res.status(400).json({
       success: false,
-      message: `Invalid reportType. Must be one of: ${validReportTypes.join(', ')}`
+      message: `Invalid reportType. Must be one of: ${REPORT_TYPES.join(', ')}`
     });
   }
 
   // Valid sections
   if (sections && Array.isArray(sections)) {
-    const validSections = ['leads', 'conversion', 'sources', 'agents', 'forecasting'];
-    const invalidSections = sections.filter(section => !validSections.includes(section));
+    const invalidSections = sections.filter(section => !REPORT_SECTIONS.includes(section));
     
     if (invalidSections.length > 0) {
       return res.status(400).json({
         success: false,
-        message: `Invalid sections: ${invalidSections.join(', ')}. Valid sections: ${validSections.join(', ')}`
+        message: `Invalid sections: ${invalidSections.join(', ')}. Valid sections: ${REPORT_SECTIONS.join(', ')}`
       });
     }
   }
@@ -140,6 +162,7 @@ const validateExportParams = (req, res, next) => {
 };
 
 module.exports = {
+  analyticsParamsError,
   validateAnalyticsParams,
   validateReportRequest,
   validateExportParams
@@ -0,0 +1,113 @@
+/**
+ * Call Compliance Middleware
+ * Runs the DNC and calling-hours check in front of an outbound dial route.
+ * A blocked call proceeds only with complianceOverride.reason in the body, and
+ * every override is written to the audit log.
+ */
+
+const callComplianceService = require('../services/callComplianceService');
+const { auditLog, SEVERITY, EVENT_CATEGORIES } = require('./auditLogger');
+const TwilioService = require('../services/twilioService');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+/**
+ * @param {Function} getTarget - (req) => { phoneNumber, leadId } for the number being dialed
+ * @returns {Function} Express middleware; sets req.callCompliance
+ */
+const requireCallCompliance = (getTarget) => async (req, res, next) => {
+  try {
+    const { phoneNumber, leadId } = getTarget(req);
+    if (!phoneNumber) {
+      // Nothing to check yet; the route's own validation rejects the request
+      return next();
+    }
+
+    const result = await callComplianceService.checkOutboundCall({ phoneNumber, leadId });
+    req.callCompliance = result;
+
+    if (result.allowed) {
+      return next();
+    }
+
+    const override = req.body && req.body.complianceOverride;
+    const reason = override && typeof override.reason === 'string' ? override.reason.trim() : '';
+
+    if (reason) {
+      await auditLog('CALL_COMPLIANCE_OVERRIDE', SEVERITY.HIGH, EVENT_CATEGORIES.PRIVACY_EVENT, {
+        phone: result.phoneNumber,
+        leadId: result.leadId,
+        violations: result.violations.map(violation => violation.code),
+        timeZone: result.timeZone,
+        localTime: result.localTime,
+        reason
+      }, req);
+
+      req.callCompliance = { ...result, overridden: true, overrideReason: reason };
+      return next();
+    }
+
+    console.warn('📵 Outbound call blocked by compliance check:', {
+      phone: result.phoneNumber,
+      leadId: result.leadId,
+      violations: result.violations.map(violation => violation.code),
+      userId: req.user?.id
+    });
+
+    return ResponseFormatter.error(res, 'Call blocked by compliance rules', 403, {
+      code: 'CALL_COMPLIANCE_BLOCKED',
+      violations: result.violations,
+      timeZone: result.timeZone,
+      localTime: result.localTime,
+      overridable: true
+    });
+  } catch (error) {
+    // Fail closed: a call we cannot check is a call we do not place
+    console.error('Call compliance check failed:', error);
+    return ResponseFormatter.error(res, 'Failed to run call compliance check', 500);
+  }
+};
+
+/**
+ * Same check for Twilio voice webhooks that dial the "To" number for browser-originated
+ * calls. Browser dials arrive with Direction=inbound and From=client:..., so only calls
+ * from a real PSTN caller skip the check. Webhooks carry no user, so blocked calls are
+ * hung up with no override.
+ */
+const requireVoiceWebhookCompliance = async (req, res, next) => {
+  const { To, Direction } = req.body || {};
+  const pstnCaller = Direction === 'inbound' && !TwilioService.isBrowserDial(req.body);
+  if (pstnCaller || !To || String(To).startsWith('client:')) {
+    return next();
+  }
+
+  try {
+    const result = await callComplianceService.checkOutboundCall({ phoneNumber: To });
+    req.callCompliance = result;
+
+    if (result.allowed) {
+      return next();
+    }
+
+    console.warn('📵 Voice webhook dial blocked by compliance check:', {
+      phone: result.phoneNumber,
+      callSid: req.body.CallSid,
+      violations: result.violations.map(violation => violation.code)
+    });
+
+    res.type('text/xml');
+    return res.send(TwilioService.generateTwiML([
+      {
+        type: 'say',
+        text: 'This call cannot be placed right now because of calling compliance rules.',
+        options: { voice: 'alice', language: 'en-US' }
+      },
+      { type: 'hangup' }
+    ]));
+  } catch (error) {
+    console.error('Call compliance check failed:', error);
+    res.type('text/xml');
+    return res.send(TwilioService.generateTwiML([{ type: 'hangup' }]));
+  }
+};
+
+module.exports = { requireCallCompliance, requireVoiceWebhookCompliance };
@@ -0,0 +1,21 @@
+/**
+ * Twilio Webhook Middleware
+ * Webhook routes cannot use JWT auth, so they check X-Twilio-Signature instead and
+ * turn away anything Twilio did not sign with our auth token.
+ */
+
+const TwilioService = require('../services/twilioService');
+
+/**
+ * Express middleware for Twilio callback routes; answers 403 without a valid signature
+ */
+const requireTwilioSignature = (req, res, next) => {
+  if (TwilioService.isValidWebhookRequest(req.get('X-Twilio-Signature'), req.originalUrl, req.body || {})) {
+    return next();
+  }
+
+  console.warn('⚠️ Rejected Twilio webhook without a valid signature:', req.originalUrl);
+  return res.sendStatus(403);
+};
+
+module.exports = { requireTwilioSignature };
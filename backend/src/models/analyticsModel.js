@@ -518,6 +518,8 @@ class AnalyticsModel {
   }
 
   generateSourceRecommendations(sources) {
+    if (sources.length === 0) return [];
+
     return [
       `Focus more investment on ${sources[0][0]} (highest ROI)`,
       'Consider reducing spend on low-performing sources',
@@ -6,7 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const reportSubscriptionController = require('../controllers/reportSubscriptionController');
 const { validateAnalyticsParams, validateReportRequest, validateExportParams } = require('../middleware/analyticsValidation');
+const { requireRole, ROLES } = require('../middleware/auth');
 
 // Analytics endpoints
 
@@ -53,13 +55,46 @@ router.get('/agents', validateAnalyticsParams, analyticsController.getAgentAnaly
 
 /**
  * GET /api/analytics/forecasting
- * @desc Get pipeline forecasting and predictions
+ * @desc Get pipeline forecasting and predictions, the stage-weighted pipeline with agent and
+ * team commit/best-case rollups, and Holt-Winters forecasts of call volume and closed-won value
  * @query {string} start_date - Start date (YYYY-MM-DD)
  * @query {string} end_date - End date (YYYY-MM-DD)
  * @query {number} forecast_period - Forecast period in days (default: 30)
+ * @query {number} history_days - Days of history the time series are fitted on, 14-730 (default: 90)
+ * @query {string} period - Rollup period: month|quarter (default: quarter)
  */
 router.get('/forecasting', validateAnalyticsParams, analyticsController.getForecastingAnalytics);
 
+/**
+ * GET /api/analytics/forecasting/accuracy
+ * @desc Compare the daily forecast snapshots of finished periods with the value actually won
+ * @query {string} period - month|quarter (default: quarter)
+ * @query {string} scope - company|agent|team (default: company)
+ * @query {string} scope_id - One agent or team
+ */
+router.get('/forecasting/accuracy', validateAnalyticsParams, analyticsController.getForecastAccuracy);
+
+/**
+ * GET /api/analytics/forecasting/snapshots
+ * @desc Stored daily forecasts, newest first
+ * @query {string} period - month|quarter (default: quarter)
+ * @query {string} scope - company|agent|team (default: company)
+ * @query {string} scope_id - One agent or team
+ * @query {number} limit - Up to 100 (default: 90)
+ */
+router.get('/forecasting/snapshots', validateAnalyticsParams, analyticsController.getForecastSnapshots);
+
+/**
+ * POST /api/analytics/forecasting/snapshots
+ * @desc Record today's forecasts now, replacing any taken earlier today
+ * @access Private (Manager)
+ */
+router.post(
+  '/forecasting/snapshots',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  analyticsController.createForecastSnapshot
+);
+
 /**
  * GET /api/analytics/dashboard
  * @desc Get comprehensive dashboard data
@@ -83,6 +118,51 @@ router.get('/real-time', analyticsController.getRealTimeMetrics);
  */
 router.get('/kpis', validateAnalyticsParams, analyticsController.getKPIs);
 
+/**
+ * GET /api/analytics/cohorts
+ * @desc Get lead cohorts by creation week and source with cumulative conversion curves
+ * @query {string} start_date - Start date (YYYY-MM-DD), on lead creation
+ * @query {string} end_date - End date (YYYY-MM-DD), on lead creation
+ * @query {number} max_weeks - Weeks of conversion curve per cohort (default: 12)
+ */
+router.get('/cohorts', validateAnalyticsParams, analyticsController.getCohortAnalytics);
+
+/**
+ * GET /api/analytics/attribution
+ * @desc Get first-touch, last-touch, linear and time-decay attribution of won leads
+ * @query {string} start_date - Start date (YYYY-MM-DD), on the date the lead was won
+ * @query {string} end_date - End date (YYYY-MM-DD), on the date the lead was won
+ * @query {number} half_life_days - Time-decay half-life in days (default: 7)
+ */
+router.get('/attribution', validateAnalyticsParams, analyticsController.getAttributionAnalytics);
+
+/**
+ * GET /api/analytics/journeys
+ * @desc Get the most common status paths and transitions to closed_won
+ * @query {string} start_date - Start date (YYYY-MM-DD), on lead creation
+ * @query {string} end_date - End date (YYYY-MM-DD), on lead creation
+ * @query {number} limit - Number of paths and transitions to return (default: 10)
+ */
+router.get('/journeys', validateAnalyticsParams, analyticsController.getJourneyAnalytics);
+
+/**
+ * GET /api/analytics/conversion-model
+ * @desc Get the active conversion model with holdout AUC/calibration and recent versions
+ * @query {number} limit - Number of versions to list (default: 20)
+ */
+router.get('/conversion-model', analyticsController.getConversionModel);
+
+/**
+ * POST /api/analytics/conversion-model/train
+ * @desc Retrain the conversion model on call history and refill conversionProbability
+ * @access Private (Admin)
+ */
+router.post(
+  '/conversion-model/train',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  analyticsController.trainConversionModel
+);
+
 /**
  * GET /api/analytics/exports/:type
  * @desc Export analytics data in various formats
@@ -105,4 +185,60 @@ router.get('/exports/:type', validateAnalyticsParams, validateExportParams, anal
  */
 router.post('/reports/generate', validateReportRequest, analyticsController.generateCustomReport);
 
+// Report subscriptions
+
+/**
+ * GET /api/analytics/subscriptions
+ * @desc List scheduled report subscriptions with their last run status
+ * @query {boolean} active - Only active (true) or paused (false) subscriptions
+ */
+router.get('/subscriptions', reportSubscriptionController.listSubscriptions);
+
+/**
+ * POST /api/analytics/subscriptions
+ * @desc Email a custom report to recipients on a cron schedule
+ * @body {string} name - Required
+ * @body {string} reportType - summary|detailed|executive|operational|custom
+ * @body {array} sections - Sections to include (default: leads, conversion, sources, agents)
+ * @body {object} filters - Filters to apply
+ * @body {number} lookbackDays - Full days before each run to report on (default: 7, null for all time)
+ * @body {string} schedule - Five-field cron expression, e.g. "0 8 * * 1"
+ * @body {string} timeZone - IANA time zone for the schedule and period (default: UTC)
+ * @body {array} recipients - Email addresses
+ * @body {string} format - pdf|excel|json (default: pdf)
+ * @body {boolean} includeCharts - Include charts in PDFs (default: true)
+ */
+router.post('/subscriptions', reportSubscriptionController.createSubscription);
+
+/**
+ * GET /api/analytics/subscriptions/:id
+ * @desc Get a report subscription
+ */
+router.get('/subscriptions/:id', reportSubscriptionController.getSubscription);
+
+/**
+ * PUT /api/analytics/subscriptions/:id
+ * @desc Change any subscription field; active: false pauses the schedule
+ */
+router.put('/subscriptions/:id', reportSubscriptionController.updateSubscription);
+
+/**
+ * DELETE /api/analytics/subscriptions/:id
+ * @desc Delete a subscription and its run history
+ */
+router.delete('/subscriptions/:id', reportSubscriptionController.deleteSubscription);
+
+/**
+ * GET /api/analytics/subscriptions/:id/runs
+ * @desc Delivery history, newest first, with success/failure and errors
+ * @query {number} limit - Up to 100 (default: 20)
+ */
+router.get('/subscriptions/:id/runs', reportSubscriptionController.listRuns);
+
+/**
+ * POST /api/analytics/subscriptions/:id/send
+ * @desc Build and email the report now; the run is recorded like a scheduled one
+ */
+router.post('/subscriptions/:id/send', reportSubscriptionController.sendNow);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Automation Rule Routes
+ * Rules run when a call ends (call_outcome) or a follow-up is completed (followup_completed)
+ */
+
+const express = require('express');
+const router = express.Router();
+const automationRuleController = require('../controllers/automationRuleController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/followups/rules
+ * @query {string} triggerEvent - call_outcome|followup_completed
+ * @query {string} isActive - true|false
+ */
+router.get('/', automationRuleController.listRules);
+
+/**
+ * POST /api/followups/rules
+ * @body {string} name - Required
+ * @body {string} triggerEvent - Required: call_outcome|followup_completed
+ * @body {Object} conditions - e.g. { "outcome": "no_answer", "$calls": { "where": { "outcome": "no_answer" },
+ *   "within": "7d", "count": { "$gte": 3 } } }; groups $and|$or|$not, field operators $eq $ne $in $nin
+ *   $gt $gte $lt $lte $contains $exists $regex $olderThan $newerThan $before $after
+ * @body {Array} actions - [{ type: 'create_followup' }, { type: 'enroll_sequence', sequenceId, startStep }]
+ * @body {string} followupType
+ * @body {string} priority - low|medium|high|urgent
+ * @body {Object} scheduleRule - { value, unit: minutes|hours|days|weeks, businessHoursOnly }
+ * @body {string} titleTemplate - {{leadName}}, {{leadCompany}}, {{outcome}} and {{ruleName}} are filled in
+ * @body {string} descriptionTemplate
+ * @body {Object} assignmentRule - { type, teamId, skills, fallback }; default: the agent on the call
+ * @body {number} cooldownHours - Minimum hours between two runs
+ */
+router.post('/', requireSupervisor, automationRuleController.createRule);
+
+/**
+ * GET /api/followups/rules/:id
+ */
+router.get('/:id', automationRuleController.getRule);
+
+/**
+ * PUT /api/followups/rules/:id
+ */
+router.put('/:id', requireSupervisor, automationRuleController.updateRule);
+
+/**
+ * DELETE /api/followups/rules/:id
+ */
+router.delete('/:id', requireSupervisor, automationRuleController.deleteRule);
+
+/**
+ * POST /api/followups/rules/:id/test
+ * @desc Evaluate the rule's conditions without running its actions; returns a pass/fail
+ *   trace for every clause
+ * @body {Object} context - { leadId, lead, call, outcome, callHistory } sample to evaluate against;
+ *   $calls reads the lead's stored calls unless callHistory is given
+ * @body {Object} conditions - Evaluate these instead of the rule's own
+ * @body {string} now - Evaluate as of this time (default: now)
+ */
+router.post('/:id/test', requireSupervisor, automationRuleController.testRule);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Booking Page Routes
+ * Managing booking pages (the public booking flow is in bookingLinks)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/booking/pages
+ * @query {string} isActive - true|false
+ * @query {string} userId
+ * @query {string} teamId
+ */
+router.get('/pages', bookingController.listPages);
+
+/**
+ * POST /api/booking/pages
+ * @desc Create a booking page; its public link is /book/:slug
+ * @body {string} slug - Required; lowercase letters, numbers and dashes
+ * @body {string} title - Required
+ * @body {string} assignment - user (default, books with userId) or round_robin (books with teamId's rotation)
+ * @body {string} userId
+ * @body {string} teamId
+ * @body {string} timeZone - Time zone of weeklyHours and of the daily cap's day (default UTC)
+ * @body {Object} weeklyHours - { [isoWeekday 1-7]: [{ start: 'HH:mm', end: 'HH:mm' }] }; default Mon-Fri 09:00-17:00
+ * @body {number} durationMinutes - Default 30
+ * @body {number} slotIntervalMinutes - Spacing of offered start times; default the duration
+ * @body {number} bufferBeforeMinutes - Free time kept before the meeting
+ * @body {number} bufferAfterMinutes - Free time kept after the meeting
+ * @body {number} minimumNoticeMinutes - Default 240
+ * @body {number} maxDaysAhead - Default 30
+ * @body {number} dailyCap - Booked meetings per agent per day; null for no cap
+ * @body {Array} questions - [{ id, label, type: text|textarea|email|phone|select, required, options }]
+ * @body {string} followupType - Type of the follow-up a booking creates (default meeting)
+ * @body {string} confirmationMessage - Shown after booking and included in the invite
+ */
+router.post('/pages', requireSupervisor, bookingController.createPage);
+
+/**
+ * GET /api/booking/pages/:id
+ */
+router.get('/pages/:id', bookingController.getPage);
+
+/**
+ * PUT /api/booking/pages/:id
+ */
+router.put('/pages/:id', requireSupervisor, bookingController.updatePage);
+
+/**
+ * DELETE /api/booking/pages/:id
+ * @desc Deactivate the page; its link stops working and past bookings are kept
+ */
+router.delete('/pages/:id', requireSupervisor, bookingController.deactivatePage);
+
+module.exports = router;
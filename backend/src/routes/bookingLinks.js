@@ -0,0 +1,38 @@
+/**
+ * Booking Link Routes
+ * Prospects open booking pages without an account, so these are public
+ */
+
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+
+/**
+ * GET /api/booking/public/:slug
+ * @desc Title, duration and qualifying questions of an active booking page
+ */
+router.get('/:slug', bookingController.getPublicPage);
+
+/**
+ * GET /api/booking/public/:slug/slots
+ * @desc Open slots grouped by day in the prospect's time zone
+ * @query {string} from - ISO date (default now)
+ * @query {string} to - ISO date (default the page's maxDaysAhead)
+ * @query {string} timeZone - IANA time zone (default the page's)
+ */
+router.get('/:slug/slots', bookingController.getSlots);
+
+/**
+ * POST /api/booking/public/:slug/bookings
+ * @desc Book a slot; 409 when it was taken in the meantime
+ * @body {string} start - Required, a slot's start
+ * @body {string} name - Required
+ * @body {string} email - Required
+ * @body {string} phone - Required
+ * @body {string} company
+ * @body {string} timeZone - The prospect's; used for the confirmation
+ * @body {Object} answers - { [questionId]: answer }
+ */
+router.post('/:slug/bookings', bookingController.createBooking);
+
+module.exports = router;
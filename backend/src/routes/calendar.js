@@ -0,0 +1,60 @@
+/**
+ * Calendar Routes
+ * ICS subscription feeds, calendar availability and meeting invites for follow-ups
+ * (the public feed and RSVP links are in calendarLinks)
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+
+/**
+ * GET /api/calendar/feeds
+ * @desc The caller's active subscription feeds
+ */
+router.get('/feeds', calendarController.listFeeds);
+
+/**
+ * POST /api/calendar/feeds
+ * @desc Create a feed of the caller's open follow-ups; the URL is only shown in this response
+ * @body {string} name - Calendar name shown in the subscribing app (default Follow-ups)
+ */
+router.post('/feeds', calendarController.createFeed);
+
+/**
+ * DELETE /api/calendar/feeds/:id
+ * @desc Revoke a feed; its URL stops working
+ */
+router.delete('/feeds/:id', calendarController.revokeFeed);
+
+/**
+ * GET /api/calendar/availability
+ * @desc Busy periods on the team calendar (CalDAV); empty when no calendar is configured
+ * @query {string} start - Required, ISO date
+ * @query {string} end - Required, ISO date; at most 62 days after start
+ */
+router.get('/availability', calendarController.getAvailability);
+
+/**
+ * GET /api/calendar/followups/:followupId/invites
+ * @desc Invites sent for a follow-up and their RSVP status
+ */
+router.get('/followups/:followupId/invites', calendarController.listInvites);
+
+/**
+ * POST /api/calendar/followups/:followupId/invites
+ * @desc Email the follow-up as a meeting invite (.ics attached); re-inviting an address re-sends it
+ * @body {string} attendeeEmail - Default: the lead's email
+ * @body {string} attendeeName
+ * @body {string} location
+ * @body {string} message - Replaces the follow-up description in the invite
+ */
+router.post('/followups/:followupId/invites', calendarController.sendInvite);
+
+/**
+ * DELETE /api/calendar/followups/:followupId/invites/:inviteId
+ * @desc Cancel an invite; the attendee gets a CANCEL for their calendar
+ */
+router.delete('/followups/:followupId/invites/:inviteId', calendarController.cancelInvite);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Calendar Link Routes
+ * Calendar apps and leads can't log in, so these are public: feeds and RSVP links are
+ * protected by the token in the URL, forwarded replies by CALENDAR_INBOUND_SECRET
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * @desc ICS subscription feed
+ */
+router.get('/feeds/:token.ics', calendarController.getFeed);
+
+/**
+ * GET /api/calendar/invites/rsvp/:token
+ * @desc RSVP link from an invite email; answers with an HTML page
+ * @query {string} response - accepted|declined|tentative
+ */
+router.get('/invites/rsvp/:token', calendarController.respondToInvite);
+
+/**
+ * POST /api/calendar/invites/replies
+ * @desc iTIP REPLY forwarded from the organizer's mailbox
+ * @header {string} X-Calendar-Secret - CALENDAR_INBOUND_SECRET
+ * @body text/calendar, or JSON { ics }
+ */
+router.post(
+  '/invites/replies',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '256kb' }),
+  calendarController.processReply
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Caller ID Routes
+ * Outbound caller-ID pool: local numbers, daily caps, answer rates, flagging and purchase
+ */
+
+const express = require('express');
+const router = express.Router();
+const callerIdController = require('../controllers/callerIdController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/caller-ids
+ * @desc Pool numbers with today's calls, answer rate and rest state, plus the pool settings
+ * @query {string} status - active|resting|retired
+ */
+router.get('/', callerIdController.listNumbers);
+
+/**
+ * GET /api/caller-ids/available
+ * @desc Numbers for sale, marking any already in the pool
+ * @query {string} areaCode - Three-digit area code
+ * @query {string} state - Two-letter state code
+ * @query {string} contains - Digit pattern
+ * @query {number} limit - Up to 50 (default: 20)
+ */
+router.get('/available', requireSupervisor, callerIdController.searchAvailableNumbers);
+
+/**
+ * POST /api/caller-ids
+ * @desc Add a number the account already owns
+ * @body {string} phoneNumber - Required
+ * @body {string} state - Defaults to the area code's state
+ * @body {number} dailyCap - Calls per day (default: CALLER_ID_DAILY_CAP)
+ */
+router.post('/', requireSupervisor, callerIdController.addNumber);
+
+/**
+ * POST /api/caller-ids/purchase
+ * @desc Buy a number from /available and add it to the pool
+ * @body {string} phoneNumber - Required
+ * @body {string} region - State from the search result
+ */
+router.post('/purchase', requireSupervisor, callerIdController.purchaseNumber);
+
+/**
+ * PUT /api/caller-ids/:id
+ * @desc Change cap or details; status active clears a rest or flag, retired stops using the number
+ */
+router.put('/:id', requireSupervisor, callerIdController.updateNumber);
+
+/**
+ * POST /api/caller-ids/:id/flag
+ * @desc Rest a spam-labelled or blocked number until it is reactivated
+ * @body {string} reason - Optional
+ */
+router.post('/:id/flag', requireSupervisor, callerIdController.flagNumber);
+
+/**
+ * DELETE /api/caller-ids/:id
+ * @desc Remove a number from the pool; leads shown it get a new one on their next call
+ */
+router.delete('/:id', requireSupervisor, callerIdController.deleteNumber);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/errorHandler');
+const { requireCallCompliance } = require('../middleware/callCompliance');
 const {
   getAllCallLogs,
   getCallLogById,
@@ -20,6 +21,18 @@ const {
   getCallAnalytics,
   getRealTimeMetrics
 } = require('../controllers/callsController');
+const {
+  transferCall,
+  completeTransfer,
+  cancelTransfer,
+  startConference,
+  getCallLegs
+} = require('../controllers/callTransferController');
+const {
+  listVoicemailClips,
+  dropVoicemail,
+  reportMachineDetection
+} = require('../controllers/voicemailDropController');
 
 const router = express.Router();
 
@@ -119,7 +132,16 @@ const startCallValidation = [
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Campaign ID must be 1-50 characters')
+    .withMessage('Campaign ID must be 1-50 characters'),
+  body('detectVoicemail')
+    .optional()
+    .isBoolean()
+    .withMessage('detectVoicemail must be a boolean'),
+  body('voicemailClipId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Voicemail clip ID must be 1-100 characters')
 ];
 
 const updateCallStatusValidation = [
@@ -139,10 +161,19 @@ const updateCallStatusValidation = [
 // Routes
 /**
  * @route   POST /api/calls/start
- * @desc    Start a new call with SIP integration
+ * @desc    Start a new call with SIP integration; blocked by DNC and calling-hours rules
+ *          unless complianceOverride.reason is given (the override is audited).
+ *          detectVoicemail turns on answering-machine detection; voicemailClipId also
+ *          drops that clip automatically after the beep
  * @access  Private
  */
-router.post('/start', startCallValidation, handleValidationErrors, startCall);
+router.post(
+  '/start',
+  startCallValidation,
+  handleValidationErrors,
+  requireCallCompliance(req => ({ phoneNumber: req.body.phoneNumber, leadId: req.body.leadId })),
+  startCall
+);
 
 /**
  * @route   PUT /api/calls/:id/update
@@ -158,6 +189,72 @@ router.put('/:id/update', updateCallStatusValidation, handleValidationErrors, up
  */
 router.post('/:id/end', endCall);
 
+/**
+ * @route   POST /api/calls/:id/transfer
+ * @desc    Blind transfer, or start a warm (attended) transfer that holds the prospect
+ *          while the agent consults the target. Targets on the DNC list are refused.
+ * @body    {string} target - Closer's number, extension or SIP URI
+ * @body    {string} type - blind|attended (default: blind)
+ * @body    {string} consultCallSid - Consult leg id for SIP calls that dial it themselves
+ * @access  Private
+ */
+router.post('/:id/transfer', transferCall);
+
+/**
+ * @route   POST /api/calls/:id/transfer/complete
+ * @desc    Connect the prospect to the consulted target and drop the agent
+ * @access  Private
+ */
+router.post('/:id/transfer/complete', completeTransfer);
+
+/**
+ * @route   POST /api/calls/:id/transfer/cancel
+ * @desc    Hang up on the consulted target and take the prospect off hold
+ * @access  Private
+ */
+router.post('/:id/transfer/cancel', cancelTransfer);
+
+/**
+ * @route   POST /api/calls/:id/conference
+ * @desc    Three-way conference: merges a warm-transfer consultation, or dials target in
+ * @body    {string} target - Third party to add (omit to merge the consultation)
+ * @access  Private
+ */
+router.post('/:id/conference', startConference);
+
+/**
+ * @route   GET /api/calls/:id/legs
+ * @desc    Every leg, participant, transfer and conference recorded on a call
+ * @access  Private
+ */
+router.get('/:id/legs', getCallLegs);
+
+/**
+ * @route   GET /api/calls/voicemail-clips
+ * @desc    Audio clips in the voicemail category, with a playback URL for each
+ * @access  Private
+ */
+router.get('/voicemail-clips', listVoicemailClips);
+
+/**
+ * @route   POST /api/calls/:id/voicemail-drop
+ * @desc    Play a pre-recorded clip into the call, release the agent and log it as Voicemail
+ * @body    {string} clipId - Audio clip or uploaded audio file id
+ * @body    {string} trigger - manual|amd (default: manual)
+ * @access  Private
+ */
+router.post('/:id/voicemail-drop', dropVoicemail);
+
+/**
+ * @route   POST /api/calls/:id/amd
+ * @desc    Answering-machine result from the browser heuristic on SIP calls; auto-drops
+ *          the call's voicemailClipId after the beep
+ * @body    {string} answeredBy - human|machine_start|machine_end_beep|machine_end_silence|unknown
+ * @body    {number} detectionMs - Time from answer to the result
+ * @access  Private
+ */
+router.post('/:id/amd', reportMachineDetection);
+
 /**
  * @route   POST /api/calls/:id/recording/start
  * @desc    Start call recording
@@ -0,0 +1,81 @@
+/**
+ * Compliance Routes
+ * Internal do-not-call list and the outbound call compliance check
+ */
+
+const express = require('express');
+const router = express.Router();
+const complianceController = require('../controllers/complianceController');
+const { requireRole, ROLES } = require('../middleware/auth');
+const { requireCallCompliance } = require('../middleware/callCompliance');
+
+/**
+ * POST /api/compliance/check
+ * @desc Whether a number may be dialed now (DNC list, lead doNotCall, local calling hours)
+ * @body {string} phoneNumber - Number to dial
+ * @body {string} leadId - Optional lead; otherwise the lead is matched by phone
+ */
+router.post('/check', complianceController.checkCall);
+
+/**
+ * POST /api/compliance/authorize
+ * @desc Clearance for dial paths that never reach the server (browser SIP calls).
+ *       Returns 403 when blocked; an override with a reason is audited and allowed.
+ * @body {string} phoneNumber - Number to dial
+ * @body {string} leadId - Optional lead
+ * @body {object} complianceOverride - { reason } to dial despite a violation
+ */
+router.post(
+  '/authorize',
+  requireCallCompliance(req => ({ phoneNumber: req.body.phoneNumber, leadId: req.body.leadId })),
+  complianceController.authorizeCall
+);
+
+/**
+ * GET /api/compliance/calling-windows
+ * @desc Configured local calling windows and the fallback time zone
+ */
+router.get('/calling-windows', complianceController.getCallingWindows);
+
+/**
+ * GET /api/compliance/dnc
+ * @desc Internal do-not-call list, newest first
+ * @query {string} search - Digits to match
+ * @query {number} limit - Page size (default: 50)
+ * @query {number} offset - Page offset
+ */
+router.get('/dnc', complianceController.listDoNotCall);
+
+/**
+ * POST /api/compliance/dnc
+ * @desc Add a number to the do-not-call list
+ * @body {string} phoneNumber - Number to block
+ * @body {string} reason - Why it is blocked
+ * @body {string} source - manual|lead_request (default: manual)
+ * @body {string} expiresAt - Optional ISO date the entry stops blocking
+ */
+router.post('/dnc', complianceController.addDoNotCall);
+
+/**
+ * POST /api/compliance/dnc/import
+ * @desc Import numbers from CSV (text/csv body, or JSON { csv, reason })
+ * @query {string} reason - Reason for text/csv imports without a reason column
+ */
+router.post(
+  '/dnc/import',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  complianceController.importDoNotCall
+);
+
+/**
+ * DELETE /api/compliance/dnc/:phoneNumber
+ * @desc Remove a number from the do-not-call list
+ */
+router.delete(
+  '/dnc/:phoneNumber',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  complianceController.removeDoNotCall
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * CRM Routes
+ * Provider status, lead imports, outbound sync queue and conflict inbox
+ */
+
+const express = require('express');
+const router = express.Router();
+const crmController = require('../controllers/crmController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+/**
+ * GET /api/crm/providers
+ * @desc List CRM providers, whether they are configured and their last import run
+ */
+router.get('/providers', crmController.getProviders);
+
+/**
+ * POST /api/crm/import/:provider
+ * @desc Pull leads from a CRM (salesforce|hubspot|pipedrive|zoho)
+ * @body {string} importType - Record type to import (default: leads)
+ * @body {boolean} incremental - Only pull records changed since the last import (default: true)
+ * @body {string} since - ISO timestamp overriding the stored import cursor
+ * @body {object} fieldMapping - Remote field path -> lead field overrides
+ * @body {number} limit - Maximum number of records to import
+ */
+router.post(
+  '/import/:provider',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  crmController.importFromProvider
+);
+
+/**
+ * GET /api/crm/sync/status
+ * @desc Outbound sync queue summary
+ * @query {string} callId - Only items for this call
+ * @query {string} leadId - Only items for this lead
+ */
+router.get('/sync/status', crmController.getSyncStatus);
+
+/**
+ * GET /api/crm/sync/failed
+ * @desc Dead-lettered sync items that exhausted their retries
+ * @query {string} provider - Filter by provider
+ * @query {string} type - Filter by item type (call_log|lead|opportunity)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Page size (default: 20)
+ */
+router.get('/sync/failed', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), crmController.getFailedSyncItems);
+
+/**
+ * POST /api/crm/sync/items/:id/retry
+ * @desc Requeue a dead-lettered item with a fresh retry budget
+ */
+router.post('/sync/items/:id/retry', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), crmController.retrySyncItem);
+
+/**
+ * DELETE /api/crm/sync/items/:id
+ * @desc Discard a dead-lettered item
+ */
+router.delete('/sync/items/:id', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), crmController.discardSyncItem);
+
+/**
+ * GET /api/crm/conflicts
+ * @desc Conflict inbox showing the dashboard and CRM value for each diverged field
+ * @query {string} status - open|resolved (default: open)
+ * @query {string} leadId - Filter by lead
+ * @query {string} provider - Filter by provider
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Page size (default: 20)
+ */
+router.get('/conflicts', crmController.getConflicts);
+
+/**
+ * GET /api/crm/conflicts/policies
+ * @desc Effective conflict policy per lead field
+ */
+router.get('/conflicts/policies', crmController.getConflictPolicies);
+
+/**
+ * PUT /api/crm/conflicts/policies/:field
+ * @desc Set how conflicts on a lead field are settled
+ * @body {string} policy - crm_wins|dashboard_wins|newest_wins|manual
+ */
+router.put(
+  '/conflicts/policies/:field',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  crmController.updateConflictPolicy
+);
+
+/**
+ * POST /api/crm/conflicts/:id/resolve
+ * @desc Resolve a conflict; dashboard or custom values are pushed back to the CRM
+ * @body {string} choice - dashboard|crm|custom
+ * @body {*} value - Value to keep when choice is custom
+ */
+router.post(
+  '/conflicts/:id/resolve',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  crmController.resolveConflict
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Dashboard Routes
+ * Custom dashboard builder: saved widget layouts per user or team and read-only share links
+ */
+
+const express = require('express');
+const router = express.Router();
+const dashboardController = require('../controllers/dashboardController');
+
+/**
+ * GET /api/dashboards/sources
+ * @desc Analytics and call analytics endpoints widgets can be bound to
+ */
+router.get('/sources', dashboardController.listSources);
+
+/**
+ * GET /api/dashboards
+ * @desc The caller's dashboards and those of their teams (admins: all)
+ */
+router.get('/', dashboardController.listDashboards);
+
+/**
+ * POST /api/dashboards
+ * @desc Create a dashboard
+ * @body {string} name - Required
+ * @body {string} visibility - private|team (default: private)
+ * @body {string} teamId - Team for team dashboards (default: the caller's team when they are on exactly one)
+ * @body {Array} widgets - [{ type, title, source: { endpoint, params }, display, layout: { x, y, w, h } }]
+ * @body {Object} filters - Query parameters applied to every widget
+ */
+router.post('/', dashboardController.createDashboard);
+
+/**
+ * GET /api/dashboards/:id
+ * @desc A dashboard the caller owns, or one of their teams'
+ */
+router.get('/:id', dashboardController.getDashboard);
+
+/**
+ * PUT /api/dashboards/:id
+ * @desc Save changes; the owner, the team's managers and admins only
+ */
+router.put('/:id', dashboardController.updateDashboard);
+
+/**
+ * DELETE /api/dashboards/:id
+ */
+router.delete('/:id', dashboardController.deleteDashboard);
+
+/**
+ * POST /api/dashboards/:id/share
+ * @desc Turn on the read-only link (/api/shared-dashboards/:shareToken)
+ */
+router.post('/:id/share', dashboardController.shareDashboard);
+
+/**
+ * DELETE /api/dashboards/:id/share
+ * @desc Turn off the read-only link
+ */
+router.delete('/:id/share', dashboardController.unshareDashboard);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Dialer Routes
+ * Power dialer sessions that work through a filtered, score-ordered lead queue
+ */
+
+const express = require('express');
+const router = express.Router();
+const dialerController = require('../controllers/dialerController');
+
+/**
+ * POST /api/dialer/queue/preview
+ * @desc Count and list the leads a filter would queue, without starting a session
+ * @body {object} filter - { statuses, priorities, tags, followUpDue, assignedTo, minScore }
+ * @body {number} limit - Maximum leads to queue
+ */
+router.post('/queue/preview', dialerController.previewQueue);
+
+/**
+ * GET /api/dialer/sessions
+ * @desc The current agent's dialer sessions, newest first
+ * @query {string} status - active|paused|completed|ended
+ * @query {string} agentId - Another agent's sessions (managers and admins)
+ */
+router.get('/sessions', dialerController.listSessions);
+
+/**
+ * POST /api/dialer/sessions
+ * @desc Start a dialer session; skips do-not-call, archived and already-called-today leads
+ * @body {string} name - Optional label
+ * @body {object} filter - { statuses, priorities, tags, followUpDue, assignedTo, minScore }
+ * @body {number} wrapUpSeconds - Pause after each outcome before the next dial (default: 10)
+ * @body {number} limit - Maximum leads to queue
+ */
+router.post('/sessions', dialerController.createSession);
+
+/**
+ * GET /api/dialer/sessions/:sessionId
+ * @desc Session with progress stats (dialed, connected, skipped, remaining)
+ */
+router.get('/sessions/:sessionId', dialerController.getSession);
+
+/**
+ * POST /api/dialer/sessions/:sessionId/next
+ * @desc Next callable lead; returns the same lead until its outcome is logged
+ */
+router.post('/sessions/:sessionId/next', dialerController.getNextLead);
+
+/**
+ * POST /api/dialer/sessions/:sessionId/outcome
+ * @desc Log the current call and start the wrap-up timer
+ * @body {string} leadId - Lead being dialed
+ * @body {string} outcome - connected|voicemail|no_answer|busy|failed|interested|not_interested|callback_requested|meeting_scheduled
+ * @body {number} duration - Call duration in seconds
+ * @body {number} talkTime - Talk time in seconds
+ * @body {string} notes - Call notes
+ */
+router.post('/sessions/:sessionId/outcome', dialerController.recordOutcome);
+
+/**
+ * POST /api/dialer/sessions/:sessionId/skip
+ * @desc Skip the current lead without calling
+ * @body {string} reason - Optional skip reason
+ */
+router.post('/sessions/:sessionId/skip', dialerController.skipLead);
+
+/**
+ * PUT /api/dialer/sessions/:sessionId/status
+ * @desc Pause, resume or end a session
+ * @body {string} status - paused|active|ended
+ */
+router.put('/sessions/:sessionId/status', dialerController.updateSessionStatus);
+
+module.exports = router;
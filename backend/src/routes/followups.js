@@ -0,0 +1,62 @@
+/**
+ * Follow-up Routes
+ * Scheduled follow-ups on leads, assigned by hand or by team round-robin, territory or skill
+ */
+
+const express = require('express');
+const router = express.Router();
+const followupController = require('../controllers/followupController');
+
+/**
+ * GET /api/followups
+ * @desc The caller's follow-ups (managers and admins: everyone's), soonest first
+ * @query {string} status, type, priority, leadId, userId
+ * @query {string} startDate, endDate - ISO dates on scheduledFor
+ * @query {boolean} overdue - Open follow-ups past their time
+ * @query {number} page, limit - Up to 100 per page (default: 20)
+ */
+router.get('/', followupController.listFollowups);
+
+/**
+ * POST /api/followups
+ * @body {string} leadId - Required
+ * @body {string} title - Required
+ * @body {string} scheduledFor - Required ISO date
+ * @body {string} type - call|email|sms|meeting|demo|... (default: call)
+ * @body {string} userId - Assign to someone else (managers and admins)
+ * @body {Object} assignment - { type: round_robin|territory|skill_based, teamId, skills,
+ *   fallback: manager|original_user } - let the team rules pick the agent
+ */
+router.post('/', followupController.createFollowup);
+
+/**
+ * GET /api/followups/:id
+ */
+router.get('/:id', followupController.getFollowup);
+
+/**
+ * PUT /api/followups/:id
+ * @desc Change details, status or (managers and admins) the assignee
+ */
+router.put('/:id', followupController.updateFollowup);
+
+/**
+ * PUT /api/followups/:id/reschedule
+ * @body {string} newDate - Required ISO date
+ * @body {string} reason
+ */
+router.put('/:id/reschedule', followupController.rescheduleFollowup);
+
+/**
+ * PUT /api/followups/:id/complete
+ * @body {string} outcome - Required: successful|no_answer|voicemail|callback_requested|...
+ * @body {string} notes
+ */
+router.put('/:id/complete', followupController.completeFollowup);
+
+/**
+ * DELETE /api/followups/:id
+ */
+router.delete('/:id', followupController.deleteFollowup);
+
+module.exports = router;
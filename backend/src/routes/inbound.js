@@ -0,0 +1,58 @@
+/**
+ * Inbound Routes
+ * Caller screen-pop lookup, quick-create leads and per-number inbound routing rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const inboundController = require('../controllers/inboundController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/inbound/lookup
+ * @desc Lead matched on phone or alternatePhone, other matches and recent calls
+ * @query {string} phone - Caller's number in any format
+ */
+router.get('/lookup', inboundController.lookupCaller);
+
+/**
+ * POST /api/inbound/leads
+ * @desc Quick-create a lead for an unknown caller, assigned to the agent who took the call
+ * @body {string} firstName, lastName, company, email, phone - Required
+ * @body {string} title, notes - Optional
+ */
+router.post('/leads', inboundController.quickCreateLead);
+
+/**
+ * GET /api/inbound/routes
+ * @desc Routing rules per inbound number
+ */
+router.get('/routes', inboundController.listRoutes);
+
+/**
+ * POST /api/inbound/routes
+ * @desc Add routing rules for an inbound number
+ * @body {string} phoneNumber - Dialed number
+ * @body {string[]} steps - Ordered owner|team|voicemail (default: all three)
+ * @body {string[]} ringGroup - Agent ids rung together for the team step
+ * @body {number} ownerTimeout - Seconds to ring the owner (default: 20)
+ * @body {number} teamTimeout - Seconds to ring the team (default: 25)
+ * @body {string} voicemailGreeting - Spoken before recording
+ */
+router.post('/routes', requireSupervisor, inboundController.createRoute);
+
+/**
+ * PUT /api/inbound/routes/:id
+ * @desc Update routing rules; the phone number cannot change
+ */
+router.put('/routes/:id', requireSupervisor, inboundController.updateRoute);
+
+/**
+ * DELETE /api/inbound/routes/:id
+ * @desc Remove routing rules; the number falls back to the default route
+ */
+router.delete('/routes/:id', requireSupervisor, inboundController.deleteRoute);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/errorHandler');
+const { requireRole, ROLES } = require('../middleware/auth');
 const {
   getAllLeads,
   getLeadById,
@@ -15,11 +16,22 @@ const {
   bulkUpdateLeads,
   bulkDeleteLeads,
   findDuplicates,
+  previewMergeEndpoint,
   mergeLeadsEndpoint,
+  getMergeHistory,
+  undoMergeEndpoint,
   getLeadScoreBreakdown,
+  getScoringModels,
+  getScoringModelById,
+  createScoringModelEndpoint,
+  updateScoringModelEndpoint,
+  activateScoringModelEndpoint,
+  dryRunScoringModelEndpoint,
   getLeadTimeline,
   exportLeads,
   batchEnrichLeads,
+  getEnrichmentJobStatus,
+  listEnrichmentProviders,
   getLeadAnalytics
 } = require('../controllers/advancedLeadsController');
 
@@ -99,6 +111,24 @@ router.get('/', getAllLeads);
  */
 router.get('/stats', getLeadStats);
 
+/**
+ * @route   GET /api/leads/duplicates
+ * @desc    Find duplicate leads with similarity analysis
+ * @query   {number} threshold - Minimum similarity score 0-1 (default: 0.8)
+ * @query   {number} limit - Maximum number of groups (default: 100)
+ * @access  Public
+ */
+router.get('/duplicates', findDuplicates);
+
+/**
+ * @route   GET /api/leads/merges
+ * @desc    List lead merges, newest first
+ * @query   {string} lead_id - Only merges involving this lead
+ * @query   {string} status - merged|reverted
+ * @access  Public
+ */
+router.get('/merges', getMergeHistory);
+
 /**
  * @route   GET /api/leads/:id
  * @desc    Get a specific lead by ID
@@ -162,26 +192,102 @@ router.put('/bulk/update', bulkUpdateLeads);
 router.delete('/bulk/delete', bulkDeleteLeads);
 
 /**
- * @route   GET /api/leads/duplicates
- * @desc    Find duplicate leads with similarity analysis
+ * @route   POST /api/leads/merge/preview
+ * @desc    Preview the surviving value of each field before merging
+ * @body    {string} source_lead_id - Lead to merge away
+ * @body    {string} target_lead_id - Lead that survives
+ * @body    {object} overrides - Per-field choice: "source", "target" or { value }
  * @access  Public
  */
-router.get('/duplicates', findDuplicates);
+router.post('/merge/preview', previewMergeEndpoint);
 
 /**
  * @route   POST /api/leads/merge
- * @desc    Merge two leads with customizable rules
+ * @desc    Merge two leads with customizable rules; call logs, activities, notes
+ *          and follow-ups move to the surviving lead. The merge can be undone
+ *          within LEAD_MERGE_RETENTION_DAYS
+ * @body    {string} source_lead_id - Lead to merge away
+ * @body    {string} target_lead_id - Lead that survives
+ * @body    {object} overrides - Per-field choice: "source", "target" or { value }
  * @access  Public
  */
 router.post('/merge', mergeLeadsEndpoint);
 
+/**
+ * @route   POST /api/leads/merges/:mergeId/undo
+ * @desc    Revert a merge within the retention window
+ * @access  Public
+ */
+router.post('/merges/:mergeId/undo', undoMergeEndpoint);
+
 /**
  * @route   GET /api/leads/:id/score
- * @desc    Get detailed lead score breakdown
+ * @desc    Get lead score breakdown, the model version that produced it and score history
  * @access  Public
  */
 router.get('/:id/score', getLeadScoreBreakdown);
 
+/**
+ * @route   GET /api/leads/scoring/models
+ * @desc    List scoring model versions
+ * @query   {string} campaign - Campaign name, or "default" for the default model
+ * @query   {string} status - draft|active|retired
+ * @access  Private
+ */
+router.get('/scoring/models', getScoringModels);
+
+/**
+ * @route   GET /api/leads/scoring/models/:modelId
+ * @desc    Get a scoring model version with its rules
+ * @access  Private
+ */
+router.get('/scoring/models/:modelId', getScoringModelById);
+
+/**
+ * @route   POST /api/leads/scoring/models
+ * @desc    Create a draft scoring model as the next version for its campaign
+ * @body    {string} campaign - Campaign the model scores (omit for the default model)
+ * @body    {Array} rules - Scoring rules (see services/leadScoringModels)
+ * @body    {string} based_on - Copy rules from this model ID when rules are omitted
+ * @access  Private (Admin, Manager)
+ */
+router.post(
+  '/scoring/models',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  createScoringModelEndpoint
+);
+
+/**
+ * @route   PUT /api/leads/scoring/models/:modelId
+ * @desc    Edit a draft scoring model
+ * @access  Private (Admin, Manager)
+ */
+router.put(
+  '/scoring/models/:modelId',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  updateScoringModelEndpoint
+);
+
+/**
+ * @route   POST /api/leads/scoring/models/:modelId/dry-run
+ * @desc    Re-score a sample of leads under a model and compare with their current scores
+ * @body    {Array} lead_ids - Leads to score (default: a random sample of the model's leads)
+ * @body    {number} sample_size - Sample size when lead_ids is omitted (default: 50, max: 500)
+ * @access  Private
+ */
+router.post('/scoring/models/:modelId/dry-run', dryRunScoringModelEndpoint);
+
+/**
+ * @route   POST /api/leads/scoring/models/:modelId/activate
+ * @desc    Make a scoring model version live, retiring the previous one, and rescore leads
+ * @access  Private (Admin, Manager)
+ */
+router.post(
+  '/scoring/models/:modelId/activate',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  activateScoringModelEndpoint
+);
+
 /**
  * @route   GET /api/leads/:id/timeline
  * @desc    Get lead activity timeline
@@ -198,11 +304,27 @@ router.get('/export', exportLeads);
 
 /**
  * @route   POST /api/leads/enrich
- * @desc    Batch enrich leads with external data
+ * @desc    Start a background job enriching leads through the configured providers
+ * @body    {Array} lead_ids - Leads to enrich (default: all active leads)
+ * @body    {boolean} refresh - Ignore cached provider results
  * @access  Public
  */
 router.post('/enrich', batchEnrichLeads);
 
+/**
+ * @route   GET /api/leads/enrich/jobs/:jobId
+ * @desc    Progress of a batch enrichment job
+ * @access  Public
+ */
+router.get('/enrich/jobs/:jobId', getEnrichmentJobStatus);
+
+/**
+ * @route   GET /api/leads/enrich/providers
+ * @desc    Configured enrichment providers and their cache TTLs
+ * @access  Public
+ */
+router.get('/enrich/providers', listEnrichmentProviders);
+
 /**
  * @route   GET /api/leads/analytics
  * @desc    Get comprehensive lead analytics
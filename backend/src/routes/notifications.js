@@ -0,0 +1,64 @@
+/**
+ * Notification Routes
+ * Web Push subscriptions, reminder channels and quiet hours, and the caller's deliveries
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+/**
+ * GET /api/notifications/push/public-key
+ * @desc VAPID public key for pushManager.subscribe(); 503 when Web Push is not configured
+ */
+router.get('/push/public-key', notificationController.getPushPublicKey);
+
+/**
+ * POST /api/notifications/push/subscriptions
+ * @body {Object} subscription - PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+ */
+router.post('/push/subscriptions', notificationController.subscribePush);
+
+/**
+ * DELETE /api/notifications/push/subscriptions
+ * @body {string} endpoint
+ */
+router.delete('/push/subscriptions', notificationController.unsubscribePush);
+
+/**
+ * GET /api/notifications/settings
+ * @desc Defaults until the caller saves their own
+ */
+router.get('/settings', notificationController.getSettings);
+
+/**
+ * PUT /api/notifications/settings
+ * @body {string} email - Where email reminders go (default: the caller's account email)
+ * @body {string} phone - Where SMS reminders go
+ * @body {Array} reminderChannels - Any of email|sms|push|desktop
+ * @body {number} reminderLeadMinutes - How long before a follow-up to remind (0-1440)
+ * @body {string} timeZone - IANA zone the quiet hours are in
+ * @body {boolean} quietHoursEnabled
+ * @body {string} quietHoursStart - HH:mm; later than the end spans midnight
+ * @body {string} quietHoursEnd - HH:mm
+ * @body {Array} quietChannels - Channels held until quiet hours end (default: sms, push)
+ */
+router.put('/settings', notificationController.updateSettings);
+
+/**
+ * GET /api/notifications/deliveries
+ * @query {string} channel - email|sms|push|desktop
+ * @query {string} status - pending|sent|deferred|retrying|failed|skipped
+ * @query {string} followupId
+ * @query {number} page
+ * @query {number} limit - Max 100
+ */
+router.get('/deliveries', notificationController.listDeliveries);
+
+/**
+ * POST /api/notifications/deliveries/:id/retry
+ * @desc One more attempt at a failed or skipped delivery; 409 for any other status
+ */
+router.post('/deliveries/:id/retry', notificationController.retryDelivery);
+
+module.exports = router;
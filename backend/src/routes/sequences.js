@@ -0,0 +1,85 @@
+/**
+ * Sequence Routes
+ * Multi-step follow-up sequences, lead enrollments with outcome branching and auto-exit, and stats
+ */
+
+const express = require('express');
+const router = express.Router();
+const sequenceController = require('../controllers/sequenceController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/sequences
+ * @query {string} category - nurture|sales|onboarding|retention|reactivation|upsell|cross_sell|custom
+ * @query {string} isActive - true|false
+ */
+router.get('/', sequenceController.listSequences);
+
+/**
+ * POST /api/sequences
+ * @body {string} name - Required
+ * @body {Array} steps - [{ order, type, title, timing: { delay, unit, businessHoursOnly }, nextStep,
+ *   branches: [{ outcomes: ['no_answer'], goTo: 3 }, { outcomes: ['not_interested'], exit: true }] }]
+ *   type 'wait' pauses the sequence for timing.delay without creating a follow-up
+ * @body {Object} exitConditions - { outcomes: [...] } follow-up outcomes that end the enrollment
+ * @body {string} category
+ * @body {string} teamId
+ */
+router.post('/', requireSupervisor, sequenceController.createSequence);
+
+/**
+ * POST /api/sequences/enrollments/:enrollmentId/exit
+ * @desc Remove a lead from a sequence; its pending follow-up is cancelled
+ */
+router.post('/enrollments/:enrollmentId/exit', sequenceController.exitEnrollment);
+
+/**
+ * PUT /api/sequences/enrollments/:enrollmentId/pause
+ * @body {boolean} paused - false resumes (default: true)
+ */
+router.put('/enrollments/:enrollmentId/pause', sequenceController.pauseEnrollment);
+
+/**
+ * POST /api/sequences/leads/:leadId/events
+ * @desc The lead replied, booked a meeting or became do-not-call; it leaves all its sequences
+ * @body {string} event - replied|meeting_booked|do_not_call
+ */
+router.post('/leads/:leadId/events', sequenceController.recordLeadEvent);
+
+/**
+ * GET /api/sequences/:id
+ */
+router.get('/:id', sequenceController.getSequence);
+
+/**
+ * PUT /api/sequences/:id
+ * @desc Open enrollments pick up step changes at their next step
+ */
+router.put('/:id', requireSupervisor, sequenceController.updateSequence);
+
+/**
+ * GET /api/sequences/:id/stats
+ * @desc Enrollment totals, exit reasons and per-step drop-off
+ */
+router.get('/:id/stats', sequenceController.getSequenceStats);
+
+/**
+ * GET /api/sequences/:id/enrollments
+ * @query {string} status - active|paused|completed|exited
+ * @query {number} page
+ * @query {number} limit - Max 200
+ */
+router.get('/:id/enrollments', sequenceController.listEnrollments);
+
+/**
+ * POST /api/sequences/:id/enroll
+ * @body {string} leadId - Or leadIds for a batch; one failure does not stop the rest
+ * @body {Array} leadIds
+ * @body {string} userId - Owner of the follow-ups (default: the lead's assignee, else the caller)
+ * @body {number} startStep - Default 1
+ */
+router.post('/:id/enroll', sequenceController.enrollLeads);
+
+module.exports = router;
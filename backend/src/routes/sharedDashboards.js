@@ -0,0 +1,22 @@
+/**
+ * Shared Dashboard Routes
+ * Read-only dashboard links; public, so anyone with the link can view without logging in
+ */
+
+const express = require('express');
+const router = express.Router();
+const dashboardController = require('../controllers/dashboardController');
+
+/**
+ * GET /api/shared-dashboards/:token
+ * @desc The shared dashboard's layout and filters
+ */
+router.get('/:token', dashboardController.getSharedDashboard);
+
+/**
+ * GET /api/shared-dashboards/:token/widgets/:widgetId/data
+ * @desc A widget's data, while the dashboard owner may still read analytics
+ */
+router.get('/:token/widgets/:widgetId/data', dashboardController.getSharedWidgetData);
+
+module.exports = router;
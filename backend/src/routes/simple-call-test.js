@@ -6,6 +6,7 @@
 const express = require('express');
 const twilio = require('twilio');
 const router = express.Router();
+const { requireCallCompliance, requireVoiceWebhookCompliance } = require('../middleware/callCompliance');
 
 // Initialize Twilio client
 const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
@@ -91,7 +92,7 @@ router.post('/token', async (req, res) => {
 /**
  * Make Test Call (No Auth Required)
  */
-router.post('/call', async (req, res) => {
+router.post('/call', requireCallCompliance(req => ({ phoneNumber: req.body.to })), async (req, res) => {
   try {
     const { to, from = process.env.TWILIO_PHONE_NUMBER, identity = 'test-user' } = req.body;
 
@@ -243,7 +244,7 @@ router.get('/calls', async (req, res) => {
  */
 
 // Voice webhook for TwiML App calls (if using device-to-device calling)
-router.post('/voice', (req, res) => {
+router.post('/voice', requireVoiceWebhookCompliance, (req, res) => {
   console.log('📞 Voice webhook called:', req.body);
   
   const { To, From, Direction } = req.body;
@@ -293,7 +294,7 @@ router.post('/recording', (req, res) => {
 });
 
 // Test the updated startCall controller directly (bypassing authentication)
-router.post('/start-call-test', async (req, res) => {
+router.post('/start-call-test', requireCallCompliance(req => ({ phoneNumber: req.body.phoneNumber })), async (req, res) => {
   try {
     console.log('🧪 Testing updated startCall controller...');
     
@@ -0,0 +1,90 @@
+/**
+ * Team Routes
+ * Teams for follow-up assignment: members' skills, capacity and out-of-office, and territories
+ */
+
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const requireSupervisor = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER);
+
+/**
+ * GET /api/teams
+ * @query {string} isActive - true|false
+ */
+router.get('/', teamController.listTeams);
+
+/**
+ * POST /api/teams
+ * @body {string} name - Required
+ * @body {string} managerId - Gets follow-ups nobody else can take (fallback: manager)
+ * @body {number} defaultMaxOpenFollowups - Member default; null for no limit
+ * @body {number} defaultMaxDailyFollowups - Member default; null for no limit
+ * @body {string} timezone - Where the day starts for daily limits (default: UTC)
+ */
+router.post('/', requireSupervisor, teamController.createTeam);
+
+/**
+ * PUT /api/teams/territories/:territoryId
+ */
+router.put('/territories/:territoryId', requireSupervisor, teamController.updateTerritory);
+
+/**
+ * DELETE /api/teams/territories/:territoryId
+ */
+router.delete('/territories/:territoryId', requireSupervisor, teamController.deleteTerritory);
+
+/**
+ * PUT /api/teams/:id
+ */
+router.put('/:id', requireSupervisor, teamController.updateTeam);
+
+/**
+ * GET /api/teams/:id/members
+ * @desc Members in rotation order with their limits, current load and availability
+ */
+router.get('/:id/members', teamController.getTeamMembers);
+
+/**
+ * PUT /api/teams/:id/members/:userId
+ * @desc Add a user to the team or update them
+ * @body {string} role - agent|lead|manager
+ * @body {Array} skills - Tags matched by skill-based assignment, e.g. ["demo", "spanish"]
+ * @body {number} maxOpenFollowups - null uses the team default
+ * @body {number} maxDailyFollowups - null uses the team default
+ */
+router.put('/:id/members/:userId', requireSupervisor, teamController.upsertTeamMember);
+
+/**
+ * PUT /api/teams/:id/members/:userId/out-of-office
+ * @desc Set or clear an out-of-office window; agents may set their own
+ * @body {string} from - ISO date (default: now)
+ * @body {string} until - ISO date; omit for an open-ended absence
+ * @body {string} reason
+ * @body {boolean} clear - Remove the window
+ */
+router.put('/:id/members/:userId/out-of-office', teamController.setOutOfOffice);
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ */
+router.delete('/:id/members/:userId', requireSupervisor, teamController.removeTeamMember);
+
+/**
+ * GET /api/teams/:id/territories
+ * @desc Highest priority first
+ */
+router.get('/:id/territories', teamController.listTerritories);
+
+/**
+ * POST /api/teams/:id/territories
+ * @body {string} name - Required
+ * @body {number} priority - Higher is tried first (default: 0)
+ * @body {Array} countries, states, zipPrefixes, industries - Empty matches anything
+ * @body {Array} userIds - Agents covering it; empty means the whole team
+ */
+router.post('/:id/territories', requireSupervisor, teamController.createTerritory);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const TwilioService = require('../services/twilioService');
 const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const { requireCallCompliance, requireVoiceWebhookCompliance } = require('../middleware/callCompliance');
 
 /**
  * TEST ENDPOINTS - NO AUTHENTICATION REQUIRED
@@ -40,7 +41,7 @@ router.post('/token', async (req, res) => {
  * Make test outbound call - NO AUTH REQUIRED
  * POST /api/twilio-test/call
  */
-router.post('/call', async (req, res) => {
+router.post('/call', requireCallCompliance(req => ({ phoneNumber: req.body.to })), async (req, res) => {
   try {
     const { to, from, record = false, identity = 'test-caller' } = req.body;
 
@@ -99,7 +100,7 @@ router.post('/call', async (req, res) => {
  * Test Voice webhook - handles TwiML generation
  * POST /api/twilio-test/voice
  */
-router.post('/voice', (req, res) => {
+router.post('/voice', requireVoiceWebhookCompliance, (req, res) => {
   try {
     const { CallSid, From, To, Direction } = req.body;
     const identity = req.query.identity || 'test-user';
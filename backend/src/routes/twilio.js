@@ -1,7 +1,15 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const TwilioService = require('../services/twilioService');
+const inboundRoutingService = require('../services/inboundRoutingService');
+const voicemailDropService = require('../services/voicemailDropService');
+const callerIdPoolService = require('../services/callerIdPoolService');
+const audioFileModel = require('../models/audioFileModel');
+const { callLogs } = require('../data/dataStore');
 const { authenticate } = require('../middleware/auth');
+const { requireCallCompliance, requireVoiceWebhookCompliance } = require('../middleware/callCompliance');
+const { requireTwilioSignature } = require('../middleware/twilioWebhook');
 
 /**
  * Get Twilio access token for voice calls
@@ -32,8 +40,12 @@ router.post('/token', authenticate, async (req, res) => {
 /**
  * Make outbound call
  * POST /api/twilio/call
+ * Blocked by DNC and calling-hours rules unless complianceOverride.reason is given.
+ * Without `from`, the caller ID comes from the local number pool.
  */
-router.post('/call', authenticate, async (req, res) => {
+const callCompliance = requireCallCompliance(req => ({ phoneNumber: req.body.to, leadId: req.body.leadId }));
+
+router.post('/call', authenticate, callCompliance, async (req, res) => {
   try {
     const { to, from, record = false } = req.body;
     const userId = req.user.id;
@@ -55,13 +67,19 @@ router.post('/call', authenticate, async (req, res) => {
       });
     }
 
-    const callResult = await TwilioService.makeCall(from, to, {
+    const callerId = from ? null : await callerIdPoolService.selectCallerId({ phoneNumber: to, leadId: req.body.leadId });
+
+    const callResult = await TwilioService.makeCall(from || callerId?.callerId, to, {
       record: record,
       statusCallback: `${process.env.TWILIO_STATUS_WEBHOOK_URL}?userId=${userId}`,
       recordingStatusCallback: process.env.TWILIO_RECORDING_WEBHOOK_URL
     });
 
     if (callResult.success) {
+      if (callerId) {
+        await callerIdPoolService.recordCallPlaced(callerId.number);
+      }
+
       // Log call initiation (integrate with existing call logging)
       const callLogData = {
         userId: userId,
@@ -221,7 +239,7 @@ router.get('/usage', authenticate, async (req, res) => {
  * Twilio Voice webhook - handles incoming calls and TwiML generation
  * POST /api/twilio/voice
  */
-router.post('/voice', async (req, res) => {
+router.post('/voice', requireVoiceWebhookCompliance, async (req, res) => {
   try {
     const { CallSid, From, To, Direction } = req.body;
     
@@ -234,22 +252,22 @@ router.post('/voice', async (req, res) => {
 
     // Generate TwiML response based on call requirements
     const twimlActions = [];
+    const { ConferenceRoom } = req.body;
 
-    if (Direction === 'inbound') {
-      // Handle incoming calls
-      twimlActions.push({
-        type: 'say',
-        text: 'Thank you for calling ColdCaller. Please hold while we connect you to an available agent.',
-        options: { voice: 'alice', language: 'en-US' }
-      });
-      
+    if (ConferenceRoom && /^call-\d+(-consult)?$/.test(ConferenceRoom)) {
+      // Agent's browser joining a transfer or conference room (see callTransferService)
       twimlActions.push({
-        type: 'dial',
-        options: { timeout: 30, record: 'record-from-ringing' },
-        client: `user-${req.query.userId || 'default'}`
+        type: 'conference',
+        room: ConferenceRoom,
+        conferenceOptions: { startConferenceOnEnter: true, endConferenceOnExit: false, beep: false }
       });
+    } else if (Direction === 'inbound' && !TwilioService.isBrowserDial(req.body)) {
+      // A PSTN caller: owner, team ring group, then voicemail - per the dialed number's inbound route
+      const twiml = await inboundRoutingService.routeInboundCall({ from: From, to: To });
+      res.type('text/xml');
+      return res.send(twiml);
     } else {
-      // Handle outbound calls
+      // Outbound calls, including the agent's own browser dials (From=client:...)
       twimlActions.push({
         type: 'say',
         text: 'Connecting your call. Please wait.',
@@ -285,6 +303,99 @@ router.post('/voice', async (req, res) => {
   }
 });
 
+/**
+ * Inbound routing fall-through - <Dial> action callback for each routing step
+ * POST /api/twilio/inbound/next?step=N
+ */
+router.post('/inbound/next', async (req, res) => {
+  try {
+    const { From, To, DialCallStatus } = req.body;
+
+    let twiml;
+    if (DialCallStatus === 'completed' || DialCallStatus === 'answered') {
+      // An agent picked up and the conversation is over
+      twiml = TwilioService.generateTwiML([{ type: 'hangup' }]);
+    } else {
+      twiml = await inboundRoutingService.routeInboundCall({
+        from: From,
+        to: To,
+        stepIndex: parseInt(req.query.step) || 0
+      });
+    }
+
+    res.type('text/xml');
+    res.send(twiml);
+  } catch (error) {
+    console.error('Inbound routing webhook error:', error);
+
+    res.type('text/xml');
+    res.send(TwilioService.generateTwiML([{ type: 'hangup' }]));
+  }
+});
+
+/**
+ * Twilio async answering-machine detection callback
+ * POST /api/twilio/amd?callId=N
+ * Drops the call's auto-drop clip once AnsweredBy reports the end of the greeting.
+ * Signed by Twilio, and only acted on when CallSid is the call's own Twilio call.
+ */
+router.post('/amd', requireTwilioSignature, async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy, MachineDetectionDuration } = req.body;
+    const call = callLogs.find(log => String(log.id) === String(req.query.callId));
+
+    console.log('🤖 Twilio AMD result:', {
+      callId: req.query.callId,
+      callSid: CallSid,
+      answeredBy: AnsweredBy,
+      durationMs: MachineDetectionDuration
+    });
+
+    if (call && call.twilioCallSid !== CallSid) {
+      console.warn('⚠️ AMD result for a different Twilio call ignored:', { callId: call.id, callSid: CallSid });
+    } else if (call && AnsweredBy) {
+      const { drop } = await voicemailDropService.handleMachineDetection(call, {
+        answeredBy: AnsweredBy,
+        detectionMs: MachineDetectionDuration ? parseInt(MachineDetectionDuration) : null
+      });
+      if (drop) {
+        console.log('📼 Voicemail auto-dropped:', { callId: call.id, clipId: drop.clipId });
+      }
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Twilio AMD webhook error:', error);
+    res.sendStatus(200);
+  }
+});
+
+/**
+ * Uploaded voicemail clip for Twilio <Play> and browser drops, behind a signed URL
+ * GET /api/twilio/voicemail-audio/:id?expires=...&signature=...
+ */
+router.get('/voicemail-audio/:id', async (req, res) => {
+  try {
+    if (!voicemailDropService.verifyAudioSignature(req.params.id, req.query)) {
+      return res.status(403).json({ success: false, message: 'Invalid or expired audio link' });
+    }
+
+    const audioFile = await audioFileModel.findById(req.params.id);
+    if (!audioFile) {
+      return res.status(404).json({ success: false, message: 'Audio file not found' });
+    }
+
+    res.type(audioFile.mimetype);
+    res.sendFile(path.resolve(audioFile.path));
+  } catch (error) {
+    console.error('Voicemail audio error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load audio' });
+  }
+});
+
+// Final statuses that say something about a caller ID; failed and canceled calls never rang
+const CALLER_ID_OUTCOME_STATUSES = ['completed', 'busy', 'no-answer'];
+
 /**
  * Twilio Status webhook - handles call status updates
  * POST /api/twilio/status
@@ -315,6 +426,13 @@ router.post('/status', async (req, res) => {
     // Integrate with your existing call logging system here
     console.log('📝 Call status update:', callUpdate);
 
+    // Answer rates for pool caller IDs; a machine pickup does not count as answered
+    if (Direction === 'outbound-api' && CALLER_ID_OUTCOME_STATUSES.includes(CallStatus)) {
+      const call = callLogs.find(log => log.twilioCallSid === CallSid);
+      const answered = CallStatus === 'completed' && !String(call?.amd?.answeredBy || '').startsWith('machine');
+      await callerIdPoolService.recordCallOutcome(From, { answered });
+    }
+
     // Send real-time update via WebSocket if available
     if (global.wsManager) {
       global.wsManager.sendCallUpdate(userId, callUpdate);
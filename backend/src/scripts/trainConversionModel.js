@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Offline conversion model training
+ * Retrains on closed leads and their call history, prints holdout metrics and
+ * refills Lead.conversionProbability
+ */
+
+const { sequelize } = require('../database/models');
+const conversionModelService = require('../services/conversionModelService');
+
+async function run() {
+  const { training, scoring } = await conversionModelService.runTrainingJob();
+
+  if (!training.trained) {
+    console.log(`⚠️  No new model: ${training.reason}`);
+  } else {
+    const { version, status, metrics, trainingSize, holdoutSize } = training.model;
+    console.log(`📈 Model v${version} (${status}) trained on ${trainingSize} leads, ${holdoutSize} held out`);
+    console.log(`   AUC ${metrics.auc.toFixed(3)}, log loss ${metrics.logLoss.toFixed(3)}, Brier ${metrics.brierScore.toFixed(3)}`);
+    metrics.calibration.forEach(bin => {
+      console.log(`   ${bin.bin_start.toFixed(1)}-${bin.bin_end.toFixed(1)}: predicted ${bin.mean_predicted.toFixed(2)}, observed ${bin.observed_rate.toFixed(2)} (${bin.count})`);
+    });
+    if (training.reason) console.log(`⚠️  ${training.reason}`);
+  }
+
+  console.log(scoring.modelVersion
+    ? `✅ Scored ${scoring.scored} leads with model v${scoring.modelVersion} (${scoring.updated} updated)`
+    : '⚠️  No active model; conversion probabilities unchanged');
+}
+
+run()
+  .catch(error => {
+    console.error('❌ Conversion model training failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
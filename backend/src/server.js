@@ -35,11 +35,33 @@ const twilioTestRoutes = require('./routes/twilio-test');
 const ragChatRoutes = require('./routes/ragChat');
 const chatRoutes = require('./routes/chat_existing');
 const documentsRoutes = require('./routes/documents');
+const crmRoutes = require('./routes/crm');
+const dialerRoutes = require('./routes/dialer');
+const complianceRoutes = require('./routes/compliance');
+const inboundRoutes = require('./routes/inbound');
+const callerIdRoutes = require('./routes/callerIds');
+const dashboardRoutes = require('./routes/dashboards');
+const sharedDashboardRoutes = require('./routes/sharedDashboards');
+const followupRoutes = require('./routes/followups');
+const teamRoutes = require('./routes/teams');
+const sequenceRoutes = require('./routes/sequences');
+const notificationRoutes = require('./routes/notifications');
+const automationRuleRoutes = require('./routes/automationRules');
+const calendarRoutes = require('./routes/calendar');
+const calendarLinkRoutes = require('./routes/calendarLinks');
+const bookingRoutes = require('./routes/booking');
+const bookingLinkRoutes = require('./routes/bookingLinks');
 const CallMonitoringMiddleware = require('./middleware/callMonitoring');
 
 // Services
 const WebSocketManager = require('./services/webSocketManager');
 const SIPManager = require('./services/sipManager');
+const conversionModelService = require('./services/conversionModelService');
+const reportSubscriptionService = require('./services/reportSubscriptionService');
+const forecastingService = require('./services/forecastingService');
+const sequenceService = require('./services/sequenceService');
+const notificationService = require('./services/notificationService');
+const { loadScoringModels } = require('./services/leadScoringModels');
 const { testEncryption } = require('./utils/encryption');
 
 const app = express();
@@ -245,6 +267,22 @@ app.use('/api/twilio', twilioRoutes); // Twilio webhooks need to be accessible w
 app.use('/api/health', authenticate, healthRoutes);
 app.use('/api/analytics', authenticate, analyticsRoutes);
 app.use('/api/call-analytics', authenticate, callAnalyticsRoutes);
+app.use('/api/crm', authenticate, crmRoutes);
+app.use('/api/dialer', authenticate, dialerRoutes);
+app.use('/api/compliance', authenticate, complianceRoutes);
+app.use('/api/inbound', authenticate, inboundRoutes);
+app.use('/api/caller-ids', authenticate, callerIdRoutes);
+app.use('/api/dashboards', authenticate, dashboardRoutes);
+app.use('/api/shared-dashboards', sharedDashboardRoutes); // Read-only dashboard links need no login
+app.use('/api/followups/rules', authenticate, automationRuleRoutes);
+app.use('/api/followups', authenticate, followupRoutes);
+app.use('/api/teams', authenticate, teamRoutes);
+app.use('/api/sequences', authenticate, sequenceRoutes);
+app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/calendar', calendarLinkRoutes); // Feeds, RSVP links and forwarded replies are used without a login
+app.use('/api/calendar', authenticate, calendarRoutes);
+app.use('/api/booking/public', bookingLinkRoutes); // Prospects book without an account
+app.use('/api/booking', authenticate, bookingRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -262,6 +300,41 @@ const server = app.listen(PORT, () => {
 // Initialize WebSocket server
 WebSocketManager.initialize(server);
 
+// Lead endpoints score with the stored scoring model versions
+loadScoringModels().catch(error => {
+  console.error('Failed to load lead scoring models:', error.message);
+});
+
+// Retrain the conversion model and refill lead conversion probabilities on a schedule
+if (process.env.CONVERSION_MODEL_SCHEDULE !== 'disabled') {
+  conversionModelService.startSchedule();
+}
+
+// Snapshot revenue forecasts daily for forecast accuracy reporting
+if (process.env.FORECAST_SNAPSHOT_SCHEDULE !== 'disabled') {
+  forecastingService.startSchedule();
+}
+
+// Advance due sequence wait steps and drop leads that became do-not-call
+if (process.env.SEQUENCE_SCHEDULE !== 'disabled') {
+  sequenceService.startSchedule();
+}
+
+// Send follow-up reminders and retry deliveries held by quiet hours or failures
+notificationService.on('desktopNotification', ({ userId, notification }) => {
+  WebSocketManager.sendNotification(userId, notification);
+});
+if (process.env.NOTIFICATION_SCHEDULE !== 'disabled') {
+  notificationService.startSchedule();
+}
+
+// Email report subscriptions on their cron schedules
+if (process.env.REPORT_SUBSCRIPTION_SCHEDULE !== 'disabled') {
+  reportSubscriptionService.startSchedule().catch(error => {
+    console.error('Failed to schedule report subscriptions:', error.message);
+  });
+}
+
 // Set up real-time metrics broadcasting
 setInterval(() => {
   const metrics = {
@@ -278,6 +351,11 @@ setInterval(() => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
   WebSocketManager.close();
+  conversionModelService.stopSchedule();
+  reportSubscriptionService.stopSchedule();
+  forecastingService.stopSchedule();
+  sequenceService.stopSchedule();
+  notificationService.stopSchedule();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -286,6 +364,11 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
   WebSocketManager.close();
+  conversionModelService.stopSchedule();
+  reportSubscriptionService.stopSchedule();
+  forecastingService.stopSchedule();
+  sequenceService.stopSchedule();
+  notificationService.stopSchedule();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -3,8 +3,44 @@
  * Advanced analytics processing and real-time data aggregation
  */
 
+const { Op } = require('sequelize');
 const analyticsModel = require('../models/analyticsModel');
 const dataManager = require('../utils/dataManager');
+const { Lead, EnhancedCallLog } = require('../database/models');
+const { getActivitiesByLead } = require('./leadTracking');
+
+const WON_STATUS = 'closed_won';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Timeline activities that count as follow-up touches for attribution
+const FOLLOW_UP_ACTIVITIES = ['email_sent', 'meeting_scheduled', 'meeting_completed', 'document_sent'];
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+
+const toPercent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+ */
+const weekStart = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * Sequelize condition for a { start, end } range; a date-only end includes that whole day
+ */
+const dateCondition = (dateRange) => {
+  if (!dateRange || !dateRange.start || !dateRange.end) return null;
+
+  const end = new Date(dateRange.end);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dateRange.end)) {
+    end.setTime(end.getTime() + DAY_MS - 1);
+  }
+  return { [Op.between]: [new Date(dateRange.start), end] };
+};
 
 class AnalyticsService {
   constructor() {
@@ -454,16 +490,452 @@ class AnalyticsService {
     return 'Consider qualification criteria - low conversion likelihood';
   }
 
-  async generateCohortAnalysis(dateRange) {
-    return { message: 'Cohort analysis coming soon' };
+  // Cohort, attribution and journey analytics
+
+  /**
+   * Lead, funnel, source and agent metrics with a 30-day forecast, for the analytics dashboard
+   * @param {Object} dateRange - { start, end } (default: all time)
+   */
+  async getDashboardOverview(dateRange = null) {
+    const [leads, conversion, sources, agents, forecasting] = await Promise.all([
+      analyticsModel.getLeadMetrics(dateRange),
+      analyticsModel.getConversionFunnel(dateRange),
+      analyticsModel.getSourceAttribution(dateRange),
+      analyticsModel.getAgentPerformance(dateRange),
+      analyticsModel.generateForecasting(dateRange, 30)
+    ]);
+
+    return {
+      leads,
+      conversion,
+      sources,
+      agents,
+      forecasting,
+      generatedAt: new Date().toISOString(),
+      dateRange: dateRange || 'All time'
+    };
+  }
+
+  /**
+   * Lead and team call totals since midnight
+   */
+  async getTodayMetrics() {
+    const now = new Date();
+    const dateRange = {
+      start: new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString(),
+      end: now.toISOString()
+    };
+
+    const [leadMetrics, agentPerformance] = await Promise.all([
+      analyticsModel.getLeadMetrics(dateRange),
+      analyticsModel.getAgentPerformance(dateRange)
+    ]);
+
+    return {
+      today: {
+        leads: leadMetrics.summary,
+        agents: agentPerformance.teamSummary
+      },
+      timestamp: now.toISOString(),
+      nextUpdate: new Date(now.getTime() + 5 * 60 * 1000).toISOString() // 5 minutes
+    };
+  }
+
+  /**
+   * Key performance indicators for the KPI tiles
+   * @param {Object} dateRange - { start, end } (default: all time)
+   */
+  async getKPIs(dateRange = null) {
+    const [leadMetrics, conversionFunnel, agentPerformance] = await Promise.all([
+      analyticsModel.getLeadMetrics(dateRange),
+      analyticsModel.getConversionFunnel(dateRange),
+      analyticsModel.getAgentPerformance(dateRange)
+    ]);
+
+    return {
+      lead_generation: {
+        value: leadMetrics.summary.totalLeads,
+        label: 'Total Leads',
+        trend: '+12%', // Placeholder
+        status: 'good'
+      },
+      conversion_rate: {
+        value: `${leadMetrics.summary.conversionRate}%`,
+        label: 'Conversion Rate',
+        trend: '+5.2%',
+        status: 'good'
+      },
+      avg_call_quality: {
+        value: agentPerformance.teamSummary.avgQualityScore,
+        label: 'Avg Call Quality',
+        trend: '+0.3',
+        status: 'stable'
+      },
+      pipeline_value: {
+        value: '$125,000', // Placeholder
+        label: 'Pipeline Value',
+        trend: '+8%',
+        status: 'good'
+      },
+      agent_productivity: {
+        value: agentPerformance.teamSummary.totalCalls,
+        label: 'Total Calls',
+        trend: '+15%',
+        status: 'excellent'
+      },
+      funnel_efficiency: {
+        value: `${Math.round(conversionFunnel.dropOffAnalysis.contactRate)}%`,
+        label: 'Contact Rate',
+        trend: '-2%',
+        status: 'needs_attention'
+      }
+    };
+  }
+
+  /**
+   * Cohort analysis of leads by creation week and source. Each cohort gets a cumulative
+   * conversion curve by week since creation; weeks a cohort has not reached yet are left off.
+   * @param {Object} dateRange - { start, end } on lead creation date (default: all leads)
+   * @param {Object} options - { maxWeeks, now }
+   */
+  async generateCohortAnalysis(dateRange, options = {}) {
+    const { maxWeeks = 12, now = new Date() } = options;
+
+    const leads = await this.loadLeads(dateRange);
+    const wonAt = await this.getWonDates(leads);
+
+    const cohorts = new Map();
+    const sources = new Map();
+
+    leads.forEach(lead => {
+      const createdAt = new Date(lead.createdAt);
+      const source = lead.leadSource || 'Unknown';
+      const cohort = weekStart(createdAt);
+      const key = `${cohort}|${source}`;
+
+      const converted = wonAt.get(String(lead.id));
+      const entry = {
+        // Weeks the cohort has been observable, counted from the start of its week
+        weeksObserved: Math.floor((now - new Date(cohort)) / WEEK_MS),
+        weekConverted: converted ? Math.max(0, Math.floor((converted - createdAt) / WEEK_MS)) : null
+      };
+
+      if (!cohorts.has(key)) cohorts.set(key, { cohort, source, leads: [] });
+      cohorts.get(key).leads.push(entry);
+      if (!sources.has(source)) sources.set(source, []);
+      sources.get(source).push(entry);
+    });
+
+    return {
+      period: 'week',
+      maxWeeks,
+      totalLeads: leads.length,
+      cohorts: Array.from(cohorts.values())
+        .map(({ cohort, source, leads: members }) => ({ cohort, source, ...this.buildConversionCurve(members, maxWeeks) }))
+        .sort((a, b) => b.cohort.localeCompare(a.cohort) || b.size - a.size),
+      sources: Array.from(sources.entries())
+        .map(([source, members]) => ({ source, ...this.buildConversionCurve(members, maxWeeks) }))
+        .sort((a, b) => b.size - a.size)
+    };
+  }
+
+  /**
+   * Cumulative conversion rate by week since creation. Each week's rate only counts leads whose
+   * cohort has reached that week, so young cohorts don't drag the curve down.
+   */
+  buildConversionCurve(members, maxWeeks) {
+    const converted = members.filter(member => member.weekConverted !== null).length;
+    const curve = [];
+
+    for (let week = 0; week < maxWeeks; week++) {
+      const eligible = members.filter(member => member.weeksObserved >= week);
+      if (eligible.length === 0) break;
+
+      const convertedByWeek = eligible.filter(member =>
+        member.weekConverted !== null && member.weekConverted <= week
+      ).length;
+      curve.push({ week, leads: eligible.length, converted: convertedByWeek, rate: toPercent(convertedByWeek, eligible.length) });
+    }
+
+    return {
+      size: members.length,
+      converted,
+      conversionRate: toPercent(converted, members.length),
+      curve
+    };
+  }
+
+  /**
+   * Multi-touch attribution of won leads. Touches are the lead's source (at creation), its calls
+   * and its follow-up activities up to the win; each model splits one conversion, and the lead's
+   * estimated value, across them.
+   * @param {Object} dateRange - { start, end } on the date the lead was won (default: all wins)
+   * @param {Object} options - { halfLifeDays } for time-decay weighting
+   */
+  async generateAttributionModel(dateRange, options = {}) {
+    const { halfLifeDays = 7 } = options;
+
+    const wonLeads = await Lead.findAll({
+      where: { status: WON_STATUS, isActive: true },
+      attributes: ['id', 'status', 'leadSource', 'estimatedValue', 'createdAt', 'updatedAt']
+    });
+
+    const wonAt = await this.getWonDates(wonLeads);
+    const range = dateCondition(dateRange);
+    const [from, to] = range ? range[Op.between] : [null, null];
+    const converted = wonLeads.filter(lead => {
+      const date = wonAt.get(String(lead.id));
+      return !range || (date >= from && date <= to);
+    });
+
+    const touchesByLead = await this.getTouches(converted, wonAt);
+    const channels = new Map();
+    let totalTouches = 0;
+
+    converted.forEach(lead => {
+      const touches = touchesByLead.get(String(lead.id));
+      const value = Number(lead.estimatedValue) || 0;
+      const credits = this.splitCredit(touches, wonAt.get(String(lead.id)), halfLifeDays);
+      totalTouches += touches.length;
+
+      touches.forEach((touch, index) => {
+        if (!channels.has(touch.channel)) {
+          channels.set(touch.channel, {
+            channel: touch.channel,
+            type: touch.type,
+            touches: 0,
+            conversions: Object.fromEntries(ATTRIBUTION_MODELS.map(model => [model, 0])),
+            value: Object.fromEntries(ATTRIBUTION_MODELS.map(model => [model, 0]))
+          });
+        }
+
+        const channel = channels.get(touch.channel);
+        channel.touches++;
+        ATTRIBUTION_MODELS.forEach(model => {
+          channel.conversions[model] += credits[model][index];
+          channel.value[model] += credits[model][index] * value;
+        });
+      });
+    });
+
+    return {
+      models: ATTRIBUTION_MODELS,
+      halfLifeDays,
+      conversions: converted.length,
+      averageTouches: converted.length > 0 ? round(totalTouches / converted.length, 1) : 0,
+      channels: Array.from(channels.values())
+        .map(channel => ({
+          ...channel,
+          conversions: Object.fromEntries(ATTRIBUTION_MODELS.map(model => [model, round(channel.conversions[model])])),
+          value: Object.fromEntries(ATTRIBUTION_MODELS.map(model => [model, round(channel.value[model])])),
+          share: Object.fromEntries(ATTRIBUTION_MODELS.map(model => [model, toPercent(channel.conversions[model], converted.length)]))
+        }))
+        .sort((a, b) => b.conversions.linear - a.conversions.linear)
+    };
+  }
+
+  /**
+   * Credit per touch for each model; every model's credits sum to 1
+   */
+  splitCredit(touches, convertedAt, halfLifeDays) {
+    const count = touches.length;
+    const decay = touches.map(touch => 0.5 ** (Math.max(0, convertedAt - touch.at) / (halfLifeDays * DAY_MS)));
+    const decayTotal = decay.reduce((sum, weight) => sum + weight, 0);
+
+    return {
+      first_touch: touches.map((touch, index) => (index === 0 ? 1 : 0)),
+      last_touch: touches.map((touch, index) => (index === count - 1 ? 1 : 0)),
+      linear: touches.map(() => 1 / count),
+      time_decay: decay.map(weight => weight / decayTotal)
+    };
+  }
+
+  /**
+   * Ordered touches per lead up to its win: the lead source, calls and follow-ups
+   */
+  async getTouches(leads, wonAt) {
+    const leadIds = leads.map(lead => lead.id);
+    const [calls, followUps] = await Promise.all([
+      leadIds.length > 0
+        ? EnhancedCallLog.findAll({
+          where: { leadId: { [Op.in]: leadIds } },
+          attributes: ['leadId', 'initiatedAt', 'createdAt']
+        })
+        : [],
+      getActivitiesByLead(leadIds, FOLLOW_UP_ACTIVITIES)
+    ]);
+
+    const touchesByLead = new Map(leads.map(lead => [String(lead.id), [{
+      channel: lead.leadSource || 'Unknown',
+      type: 'source',
+      at: new Date(lead.createdAt)
+    }]]));
+
+    calls.forEach(call => {
+      touchesByLead.get(String(call.leadId)).push({
+        channel: 'Call',
+        type: 'call',
+        at: new Date(call.initiatedAt || call.createdAt)
+      });
+    });
+
+    followUps.forEach((activities, leadId) => {
+      activities.forEach(activity => touchesByLead.get(leadId).push({
+        channel: 'Follow-up',
+        type: 'follow_up',
+        at: new Date(activity.timestamp)
+      }));
+    });
+
+    touchesByLead.forEach((touches, leadId) => {
+      const convertedAt = wonAt.get(leadId);
+      // The source touch stays first even if a call was logged before the lead record was created
+      const [source, ...rest] = touches;
+      touchesByLead.set(leadId, [
+        source,
+        ...rest.filter(touch => touch.at <= convertedAt).sort((a, b) => a.at - b.at)
+      ]);
+    });
+
+    return touchesByLead;
+  }
+
+  /**
+   * Journey path mining over lead status history: the most common status paths that end in
+   * closed_won, the steps into closed_won, and how often each transition ends in a win.
+   * Leads without recorded status changes are counted but not mined.
+   * @param {Object} dateRange - { start, end } on lead creation date (default: all leads)
+   * @param {Object} options - { limit } number of paths and transitions to return
+   */
+  async analyzeCustomerJourney(dateRange, options = {}) {
+    const { limit = 10 } = options;
+
+    const leads = await this.loadLeads(dateRange);
+    const history = await getActivitiesByLead(leads.map(lead => lead.id), ['status_changed']);
+
+    const paths = new Map();
+    const finalSteps = new Map();
+    const transitions = new Map();
+    let trackedLeads = 0;
+    let wonLeads = 0;
+    let untrackedWins = 0;
+    let totalSteps = 0;
+    let totalDays = 0;
+
+    leads.forEach(lead => {
+      const changes = history.get(String(lead.id)) || [];
+
+      if (changes.length === 0) {
+        if (lead.status === WON_STATUS) untrackedWins++;
+        return;
+      }
+
+      trackedLeads++;
+      const journey = this.buildStatusPath(changes);
+      const wonIndex = journey.statuses.indexOf(WON_STATUS);
+      const won = wonIndex > 0;
+
+      // Count each transition once per lead, whether or not the lead went on to win
+      const seen = new Set();
+      journey.statuses.slice(1, won ? wonIndex + 1 : undefined).forEach((status, index) => {
+        const key = `${journey.statuses[index]}|${status}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        if (!transitions.has(key)) {
+          transitions.set(key, { from: journey.statuses[index], to: status, leads: 0, won: 0 });
+        }
+        transitions.get(key).leads++;
+        if (won) transitions.get(key).won++;
+      });
+
+      if (!won) return;
+
+      wonLeads++;
+      const path = journey.statuses.slice(0, wonIndex + 1);
+      const days = (journey.times[wonIndex] - new Date(lead.createdAt)) / DAY_MS;
+      totalSteps += path.length - 1;
+      totalDays += days;
+
+      const pathKey = path.join('>');
+      if (!paths.has(pathKey)) paths.set(pathKey, { path, count: 0, totalDays: 0 });
+      paths.get(pathKey).count++;
+      paths.get(pathKey).totalDays += days;
+
+      const from = path[path.length - 2];
+      finalSteps.set(from, (finalSteps.get(from) || 0) + 1);
+    });
+
+    return {
+      target: WON_STATUS,
+      totalLeads: leads.length,
+      trackedLeads,
+      wonLeads,
+      untrackedWins,
+      averageSteps: wonLeads > 0 ? round(totalSteps / wonLeads, 1) : 0,
+      averageDaysToWin: wonLeads > 0 ? round(totalDays / wonLeads, 1) : 0,
+      paths: Array.from(paths.values())
+        .map(({ path, count, totalDays: days }) => ({
+          path,
+          count,
+          share: toPercent(count, wonLeads),
+          averageDaysToWin: round(days / count, 1)
+        }))
+        .sort((a, b) => b.count - a.count || a.path.length - b.path.length)
+        .slice(0, limit),
+      finalSteps: Array.from(finalSteps.entries())
+        .map(([from, count]) => ({ from, to: WON_STATUS, count, share: toPercent(count, wonLeads) }))
+        .sort((a, b) => b.count - a.count),
+      transitions: Array.from(transitions.values())
+        .map(transition => ({ ...transition, winRate: toPercent(transition.won, transition.leads) }))
+        .sort((a, b) => b.leads - a.leads)
+        .slice(0, limit)
+    };
   }
 
-  async generateAttributionModel(dateRange) {
-    return { message: 'Attribution modeling coming soon' };
+  /**
+   * Status sequence from status_changed activities, with repeats collapsed
+   */
+  buildStatusPath(changes) {
+    const statuses = [changes[0].data.previous_status || 'new'];
+    const times = [null];
+
+    changes.forEach(change => {
+      const status = change.data.new_status;
+      if (!status || status === statuses[statuses.length - 1]) return;
+      statuses.push(status);
+      times.push(new Date(change.timestamp));
+    });
+
+    return { statuses, times };
   }
 
-  async analyzeCustomerJourney(dateRange) {
-    return { message: 'Customer journey analysis coming soon' };
+  /**
+   * Active leads, optionally created within a date range
+   */
+  async loadLeads(dateRange) {
+    const where = { isActive: true };
+    const created = dateCondition(dateRange);
+    if (created) where.createdAt = created;
+
+    return await Lead.findAll({
+      where,
+      attributes: ['id', 'status', 'leadSource', 'estimatedValue', 'createdAt', 'updatedAt']
+    });
+  }
+
+  /**
+   * When each won lead was won: the first recorded change to closed_won, or its last update
+   * when the change predates status history
+   * @returns {Promise<Map>} Lead ID => Date
+   */
+  async getWonDates(leads) {
+    const won = leads.filter(lead => lead.status === WON_STATUS);
+    const history = await getActivitiesByLead(won.map(lead => lead.id), ['status_changed']);
+
+    return new Map(won.map(lead => {
+      const change = (history.get(String(lead.id)) || []).find(activity => activity.data.new_status === WON_STATUS);
+      return [String(lead.id), new Date(change ? change.timestamp : lead.updatedAt)];
+    }));
   }
 
   identifyBottlenecks(funnelData) {
@@ -0,0 +1,263 @@
+/**
+ * Assignment Service - Picks the agent for a follow-up by round-robin, territory or skill
+ *
+ * Rotation order lives on TeamMember.lastAssignedAt, so it carries across restarts: the
+ * least recently assigned member goes next and moves to the back. Members who are out of
+ * office or at their open/daily follow-up limits are skipped. When nobody can take the
+ * follow-up, the rule's fallback decides: the team manager or the requesting user.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Team, TeamMember, Territory, Followup } = require('../database/models');
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+
+const ASSIGNMENT_TYPES = ['original_user', 'round_robin', 'territory', 'skill_based'];
+const FALLBACKS = ['manager', 'original_user'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar date of an instant in a time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const localDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Active members in rotation order: never-assigned members first, then least recently
+ * assigned, ties broken by when they joined
+ */
+const findRotation = async (teamId, { userIds = null, ...queryOptions } = {}) => {
+  const where = { teamId, isActive: true };
+  if (userIds) where.userId = { [Op.in]: userIds.map(String) };
+
+  const members = await TeamMember.findAll({ where, order: [['createdAt', 'ASC']], ...queryOptions });
+  const lastAssigned = (member) => (member.lastAssignedAt ? new Date(member.lastAssignedAt).getTime() : -Infinity);
+  return members.sort((a, b) => lastAssigned(a) - lastAssigned(b));
+};
+
+/**
+ * Open and created-today follow-up counts per user; "today" is the team's calendar day
+ * @returns {Promise<Map>} userId -> { open, today }
+ */
+const getWorkload = async (userIds, team, { at = new Date(), transaction } = {}) => {
+  const workload = new Map(userIds.map(userId => [userId, { open: 0, today: 0 }]));
+  if (userIds.length === 0) return workload;
+
+  const timeZone = team?.timezone || 'UTC';
+  const today = localDate(at, timeZone);
+  const followups = await Followup.findAll({
+    attributes: ['userId', 'status', 'createdAt'],
+    where: {
+      userId: { [Op.in]: userIds },
+      [Op.or]: [
+        { status: { [Op.notIn]: CLOSED_STATUSES } },
+        { createdAt: { [Op.gte]: new Date(at.getTime() - 2 * DAY_MS) } }
+      ]
+    },
+    transaction
+  });
+
+  followups.forEach(followup => {
+    const load = workload.get(followup.userId);
+    if (!CLOSED_STATUSES.includes(followup.status)) load.open += 1;
+    if (localDate(new Date(followup.createdAt), timeZone) === today) load.today += 1;
+  });
+
+  return workload;
+};
+
+const hasCapacity = (member, team, load = { open: 0, today: 0 }) => {
+  const { maxOpenFollowups, maxDailyFollowups } = member.getCapacityLimits(team);
+  if (maxOpenFollowups !== null && load.open >= maxOpenFollowups) return false;
+  if (maxDailyFollowups !== null && load.today >= maxDailyFollowups) return false;
+  return true;
+};
+
+let rotationWrites = Promise.resolve();
+
+/**
+ * Take the first eligible member in rotation order and move them to the back. Picks run
+ * one at a time under a row lock, so concurrent assignments cannot take the same slot.
+ * @returns {Promise<Object|null>} The TeamMember, or null when nobody can take the follow-up
+ */
+const assignFromPool = (teamId, { userIds = null, requiredSkills = [], at = new Date() } = {}) => {
+  const pick = rotationWrites.then(() => sequelize.transaction(async (transaction) => {
+    const team = await Team.findByPk(teamId, { transaction });
+    if (!team || !team.isActive) return null;
+
+    const members = await findRotation(teamId, { userIds, transaction, lock: transaction.LOCK.UPDATE });
+    const candidates = members.filter(member => !member.isOutOfOffice(at) && member.hasSkills(requiredSkills));
+    if (candidates.length === 0) return null;
+
+    const workload = await getWorkload(candidates.map(member => member.userId), team, { at, transaction });
+    const member = candidates.find(candidate => hasCapacity(candidate, team, workload.get(candidate.userId)));
+    if (!member) {
+      console.warn(`No member of team ${teamId} has capacity for another follow-up`);
+      return null;
+    }
+
+    return member.update({ lastAssignedAt: at, assignmentCount: member.assignmentCount + 1 }, { transaction });
+  }));
+  rotationWrites = pick.catch(() => {});
+  return pick;
+};
+
+/**
+ * Active territories matching a lead, best match first: priority, then the narrower one
+ */
+const findTerritoriesForLead = async (lead, teamId = null) => {
+  const where = { isActive: true };
+  if (teamId) where.teamId = teamId;
+
+  const territories = await Territory.findAll({ where });
+  return territories
+    .filter(territory => territory.matchesLead(lead))
+    .sort((a, b) => (b.priority - a.priority) || (b.getSpecificity() - a.getSpecificity()));
+};
+
+/**
+ * Next available member of a team
+ * @returns {Promise<Object|null>} { userId, type: 'round_robin' }
+ */
+const getRoundRobinUser = async (teamId, options = {}) => {
+  if (!teamId) return null;
+  const member = await assignFromPool(teamId, options);
+  return member ? { userId: member.userId, type: 'round_robin' } : null;
+};
+
+/**
+ * Next available agent covering the lead's territory; falls through to the next matching
+ * territory when everyone in the best match is unavailable
+ * @returns {Promise<Object|null>} { userId, type: 'territory', territoryId, teamId }
+ */
+const getTerritoryUser = async (lead, teamId = null, options = {}) => {
+  if (!lead) return null;
+
+  for (const territory of await findTerritoriesForLead(lead, teamId)) {
+    const member = await assignFromPool(territory.teamId, {
+      ...options,
+      userIds: territory.userIds && territory.userIds.length > 0 ? territory.userIds : null
+    });
+    if (member) {
+      return { userId: member.userId, type: 'territory', territoryId: territory.id, teamId: territory.teamId };
+    }
+  }
+  return null;
+};
+
+/**
+ * Next available member holding every required skill; without a list, a skill named after
+ * the follow-up type (e.g. 'demo')
+ * @returns {Promise<Object|null>} { userId, type: 'skill_based' }
+ */
+const getSkillBasedUser = async (followupType, teamId, requiredSkills = null, options = {}) => {
+  if (!teamId) return null;
+
+  const skills = Array.isArray(requiredSkills) && requiredSkills.length > 0 ? requiredSkills : [followupType];
+  const member = await assignFromPool(teamId, { ...options, requiredSkills: skills });
+  return member ? { userId: member.userId, type: 'skill_based' } : null;
+};
+
+/**
+ * Check an assignment rule before it is stored or used
+ * @param {Object} rule - { type, teamId, skills, fallback }
+ * @returns {string[]} Problems; empty when the rule is usable
+ */
+const validateAssignmentRule = (rule) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['assignment must be an object'];
+
+  const problems = [];
+  const type = rule.type || 'original_user';
+  if (!ASSIGNMENT_TYPES.includes(type)) {
+    problems.push(`assignment.type must be one of ${ASSIGNMENT_TYPES.join(', ')}`);
+  }
+  if (['round_robin', 'skill_based'].includes(type) && !rule.teamId) {
+    problems.push(`assignment.teamId is required for ${type} assignment`);
+  }
+  if (rule.skills !== undefined && (!Array.isArray(rule.skills) || rule.skills.some(skill => typeof skill !== 'string'))) {
+    problems.push('assignment.skills must be a list of strings');
+  }
+  if (rule.fallback !== undefined && !FALLBACKS.includes(rule.fallback)) {
+    problems.push(`assignment.fallback must be one of ${FALLBACKS.join(', ')}`);
+  }
+  return problems;
+};
+
+/**
+ * Agent for a follow-up under an assignment rule
+ * @param {Object} rule - { type: 'original_user'|'round_robin'|'territory'|'skill_based',
+ *   teamId, skills, fallback: 'manager'|'original_user' (default: manager) }
+ * @param {Object} context - { userId, lead, followupType, at } - userId is the requesting agent
+ * @returns {Promise<Object>} { userId, type, teamId, territoryId } - type is 'fallback' when the
+ *          rule found nobody
+ */
+const resolveAssignee = async (rule = {}, context = {}) => {
+  const type = rule.type || 'original_user';
+  const teamId = rule.teamId || null;
+  const options = { at: context.at || new Date() };
+  let picked = null;
+
+  if (type === 'round_robin') {
+    picked = await getRoundRobinUser(teamId, options);
+  } else if (type === 'territory') {
+    picked = await getTerritoryUser(context.lead, teamId, options);
+  } else if (type === 'skill_based') {
+    picked = await getSkillBasedUser(context.followupType, teamId, rule.skills, options);
+  } else {
+    return { userId: context.userId ? String(context.userId) : null, type: 'original_user', teamId };
+  }
+
+  if (picked) return { teamId, ...picked };
+
+  const fallback = rule.fallback || 'manager';
+  if (fallback === 'manager' && teamId) {
+    const team = await Team.findByPk(teamId);
+    if (team && team.managerId) {
+      return { userId: team.managerId, type: 'fallback', teamId };
+    }
+  }
+  return { userId: context.userId ? String(context.userId) : null, type: 'fallback', teamId };
+};
+
+/**
+ * Team members in rotation order with their limits, current load and availability
+ * @returns {Promise<Array|null>} null when the team does not exist
+ */
+const getTeamAvailability = async (teamId, at = new Date()) => {
+  const team = await Team.findByPk(teamId);
+  if (!team) return null;
+
+  const members = await findRotation(teamId);
+  const workload = await getWorkload(members.map(member => member.userId), team, { at });
+
+  return members.map((member, index) => {
+    const load = workload.get(member.userId);
+    const outOfOffice = member.isOutOfOffice(at);
+
+    return {
+      userId: member.userId,
+      role: member.role,
+      skills: member.skills,
+      rotationPosition: index + 1,
+      lastAssignedAt: member.lastAssignedAt,
+      assignmentCount: member.assignmentCount,
+      ...member.getCapacityLimits(team),
+      openFollowups: load.open,
+      followupsToday: load.today,
+      outOfOffice,
+      outOfOfficeUntil: member.outOfOfficeUntil,
+      available: !outOfOffice && hasCapacity(member, team, load)
+    };
+  });
+};
+
+module.exports = {
+  ASSIGNMENT_TYPES,
+  findRotation,
+  getRoundRobinUser,
+  getTerritoryUser,
+  getSkillBasedUser,
+  validateAssignmentRule,
+  resolveAssignee,
+  getTeamAvailability
+};
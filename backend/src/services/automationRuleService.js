@@ -0,0 +1,219 @@
+/**
+ * Automation Rule Service
+ * Runs the active rules for a trigger (a call ending, a follow-up being completed): each rule
+ * whose conditions hold creates a follow-up and/or enrolls the lead in a sequence.
+ */
+
+const { AutomationRule } = require('../database/models');
+const { TRIGGER_EVENTS } = require('../database/models/AutomationRule');
+const conditionEvaluator = require('./conditionEvaluator');
+const assignmentService = require('./assignmentService');
+const followupService = require('./followupService');
+const sequenceService = require('./sequenceService');
+
+const RULE_FIELDS = [
+  'name', 'description', 'isActive', 'triggerEvent', 'conditions', 'actions', 'followupType',
+  'priority', 'scheduleRule', 'titleTemplate', 'descriptionTemplate', 'assignmentRule',
+  'cooldownHours', 'teamId'
+];
+
+const validationError = (message, details = null) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  if (details) error.details = details;
+  return error;
+};
+
+const getLeadName = (lead) =>
+  (lead && (lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.company)) || 'Unknown';
+
+const interpolate = (template, values) => String(template || '')
+  .replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+const listRules = ({ triggerEvent, isActive } = {}) => {
+  const where = {};
+  if (triggerEvent) where.triggerEvent = triggerEvent;
+  if (isActive !== undefined) where.isActive = String(isActive) === 'true';
+  return AutomationRule.findAll({ where, order: [['name', 'ASC']] });
+};
+
+const findRule = (id) => AutomationRule.findByPk(id);
+
+const pickRuleFields = (data) => {
+  const values = RULE_FIELDS.reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+
+  if (values.triggerEvent !== undefined && !TRIGGER_EVENTS.includes(values.triggerEvent)) {
+    throw validationError(`triggerEvent must be one of ${TRIGGER_EVENTS.join(', ')}`);
+  }
+  if (values.conditions !== undefined) {
+    const problems = conditionEvaluator.validate(values.conditions);
+    if (problems.length > 0) throw validationError('Invalid conditions', problems);
+  }
+  if (values.assignmentRule) {
+    const problems = assignmentService.validateAssignmentRule(values.assignmentRule);
+    if (problems.length > 0) throw validationError(`Invalid assignmentRule: ${problems.join('; ')}`);
+  }
+  return values;
+};
+
+/**
+ * Create a rule; action and schedule problems come back as a SequelizeValidationError
+ */
+const createRule = (data = {}, user = null) => {
+  if (!data.name || !String(data.name).trim()) throw validationError('name is required');
+  if (!data.triggerEvent) throw validationError('triggerEvent is required');
+  return AutomationRule.create({
+    ...pickRuleFields(data),
+    createdBy: user?.id !== undefined ? String(user.id) : null
+  });
+};
+
+const updateRule = (rule, data = {}) => rule.update(pickRuleFields(data));
+
+const deleteRule = (rule) => rule.destroy();
+
+/**
+ * Dry-run a rule's conditions (or replacement conditions) against a sample context
+ * @param {Object} options - { conditions, context, now }
+ * @returns {Promise<Object>} { ruleId, passed, canExecute, evaluatedAt, clauses }
+ */
+const testRule = async (rule, { conditions, context = {}, now } = {}) => {
+  const tested = conditions !== undefined ? conditions : rule.conditions;
+  const problems = conditionEvaluator.validate(tested);
+  if (problems.length > 0) throw validationError('Invalid conditions', problems);
+
+  const evaluatedAt = now !== undefined ? new Date(now) : new Date();
+  if (Number.isNaN(evaluatedAt.getTime())) throw validationError('now must be a valid date');
+
+  const { passed, clauses } = await conditionEvaluator.evaluate(tested, context, { now: evaluatedAt });
+  return {
+    ruleId: rule.id,
+    passed,
+    canExecute: rule.canExecute(evaluatedAt),
+    evaluatedAt,
+    clauses
+  };
+};
+
+const createRuleFollowup = (rule, context, now) => {
+  const values = {
+    leadName: getLeadName(context.lead),
+    leadCompany: context.lead?.company || '',
+    outcome: context.outcome || '',
+    ruleName: rule.name
+  };
+
+  return followupService.createFollowup({
+    leadId: context.leadId,
+    callId: context.call?.id,
+    userId: context.userId || undefined,
+    assignment: rule.assignmentRule || undefined,
+    type: rule.followupType,
+    priority: rule.priority,
+    title: interpolate(rule.titleTemplate, values) || `${rule.name}: ${values.leadName}`,
+    description: rule.descriptionTemplate ? interpolate(rule.descriptionTemplate, values) : null,
+    scheduledFor: rule.calculateScheduleDate(now),
+    metadata: { automationRuleId: rule.id }
+  }, null, { createdVia: 'automation' });
+};
+
+const enrollFromRule = async (rule, action, context, now) => {
+  const sequence = await sequenceService.findSequence(action.sequenceId);
+  if (!sequence) {
+    throw validationError(`Sequence ${action.sequenceId} not found`);
+  }
+
+  return sequenceService.enrollLead(sequence, context.leadId, {
+    userId: context.userId || undefined,
+    source: 'automation_rule',
+    automationRuleId: rule.id,
+    startStep: action.startStep || 1,
+    at: now
+  });
+};
+
+/**
+ * Run every active rule for a trigger against a context
+ * @param {string} triggerEvent - call_outcome|followup_completed
+ * @param {Object} context - { leadId, lead, call, followup, outcome, userId }; userId owns
+ *   what the rules create unless a rule has an assignmentRule
+ * @returns {Promise<Object>} { followups, enrollments }
+ */
+const runTrigger = async (triggerEvent, context, { now = new Date() } = {}) => {
+  const followups = [];
+  const enrollments = [];
+  if (!context.leadId) return { followups, enrollments };
+
+  const rules = await AutomationRule.findActiveByTrigger(triggerEvent);
+  for (const rule of rules) {
+    if (!rule.canExecute(now)) continue;
+
+    try {
+      const { passed } = await conditionEvaluator.evaluate(rule.conditions, context, { now });
+      if (!passed) continue;
+    } catch (error) {
+      console.error(`Failed to evaluate automation rule ${rule.id}:`, error.message);
+      continue;
+    }
+
+    // One failed action does not stop the rule's other actions
+    let success = true;
+    for (const action of rule.actions) {
+      try {
+        if (action.type === 'enroll_sequence') {
+          enrollments.push(await enrollFromRule(rule, action, context, now));
+        } else {
+          followups.push(await createRuleFollowup(rule, context, now));
+        }
+      } catch (error) {
+        success = false;
+        console.error(`Automation rule ${rule.id} failed to ${action.type}:`, error.message);
+      }
+    }
+    await rule.recordExecution(success, now);
+  }
+
+  return { followups, enrollments };
+};
+
+/**
+ * call_outcome: a call log was created or a call ended
+ * @param {Object} call - Call log entry; its outcome is matched as e.g. "no_answer"
+ */
+const handleCallEnded = async (call, user = null) => {
+  if (!call.leadId) return { followups: [], enrollments: [] };
+
+  return runTrigger('call_outcome', {
+    leadId: String(call.leadId),
+    lead: await followupService.findLead(call.leadId),
+    call,
+    outcome: conditionEvaluator.normalizeOutcome(call.outcome),
+    userId: user?.id !== undefined ? String(user.id) : null
+  });
+};
+
+/**
+ * followup_completed: a follow-up was closed with an outcome
+ */
+const handleFollowupCompleted = async (followup) => runTrigger('followup_completed', {
+  leadId: followup.leadId,
+  lead: await followupService.findLead(followup.leadId),
+  followup: followup.toJSON(),
+  outcome: followup.outcome,
+  userId: followup.userId
+});
+
+module.exports = {
+  listRules,
+  findRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRule,
+  runTrigger,
+  handleCallEnded,
+  handleFollowupCompleted
+};
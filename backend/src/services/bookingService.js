@@ -0,0 +1,522 @@
+/**
+ * Booking Service - Open slots and self-service booking for public booking pages
+ *
+ * A slot is offered when at least one of the page's agents is inside the page's weekly hours,
+ * clear of their open follow-ups (plus the page's buffers), in the office and under the daily
+ * cap. Booking creates a follow-up for the agent, counts the meeting on the lead and emails
+ * the prospect a meeting invite as the confirmation.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, BookingPage, Followup, Lead, Team } = require('../database/models');
+const { CLOSED_STATUSES, FOLLOWUP_TYPES } = require('../database/models/Followup');
+const { BOOKING_ASSIGNMENTS, QUESTION_TYPES } = require('../database/models/BookingPage');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('../utils/timeZones');
+const assignmentService = require('./assignmentService');
+const calendarService = require('./calendarService');
+const meetingInviteService = require('./meetingInviteService');
+const notificationService = require('./notificationService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PAGE_FIELDS = [
+  'slug', 'title', 'description', 'isActive', 'assignment', 'userId', 'teamId', 'timeZone', 'weeklyHours',
+  'durationMinutes', 'slotIntervalMinutes', 'bufferBeforeMinutes', 'bufferAfterMinutes', 'minimumNoticeMinutes',
+  'maxDaysAhead', 'dailyCap', 'questions', 'followupType', 'confirmationMessage'
+];
+
+const validationError = (message, details = null) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  if (details) error.details = details;
+  return error;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Calendar date of an instant in a time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const localDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const formatTime = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  hour: 'numeric',
+  minute: '2-digit'
+}).format(date);
+
+const formatWhen = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+}).format(new Date(date));
+
+const parseTimeOfDay = (value) => {
+  const [hour, minute] = value.split(':').map(Number);
+  return { hour, minute };
+};
+
+/**
+ * Candidate slots inside the weekly hours, after the minimum notice and within maxDaysAhead
+ * @returns {Array<Object>} [{ start, end, date }] where date is the day in the page's time zone
+ */
+const generateSlots = (page, rangeStart, rangeEnd, now = new Date()) => {
+  const earliest = new Date(now.getTime() + page.minimumNoticeMinutes * MINUTE_MS);
+  const latest = new Date(Math.min(rangeEnd.getTime(), now.getTime() + page.maxDaysAhead * DAY_MS));
+  const durationMs = page.durationMinutes * MINUTE_MS;
+  const intervalMs = page.getSlotInterval() * MINUTE_MS;
+  const slots = [];
+
+  // Walk the page's calendar days; Date.UTC only does the date arithmetic here
+  const first = getZonedParts(new Date(Math.max(rangeStart.getTime(), earliest.getTime())), page.timeZone);
+  for (let day = new Date(Date.UTC(first.year, first.month - 1, first.day)); ; day = new Date(day.getTime() + DAY_MS)) {
+    const fields = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    if (zonedTimeToUtc(fields, page.timeZone) >= latest) break;
+
+    const date = `${fields.year}-${pad(fields.month)}-${pad(fields.day)}`;
+    const windows = (page.weeklyHours || {})[day.getUTCDay() || 7] || [];
+
+    for (const window of windows) {
+      const windowEnd = zonedTimeToUtc({ ...fields, ...parseTimeOfDay(window.end) }, page.timeZone);
+      let start = zonedTimeToUtc({ ...fields, ...parseTimeOfDay(window.start) }, page.timeZone);
+
+      for (; start.getTime() + durationMs <= windowEnd.getTime(); start = new Date(start.getTime() + intervalMs)) {
+        if (start >= earliest && start >= rangeStart && start < latest) {
+          slots.push({ start, end: new Date(start.getTime() + durationMs), date });
+        }
+      }
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Agents who can take bookings from the page, in round-robin order
+ * @returns {Promise<Array<Object>>} [{ userId, member }] where member is the TeamMember, if any
+ */
+const getAgents = async (page, { transaction } = {}) => {
+  if (page.assignment === 'user') {
+    return page.userId ? [{ userId: page.userId, member: null }] : [];
+  }
+
+  const team = await Team.findByPk(page.teamId, { transaction });
+  if (!team || !team.isActive) return [];
+
+  const members = await assignmentService.findRotation(page.teamId, transaction
+    ? { transaction, lock: transaction.LOCK.UPDATE }
+    : {});
+  return members.map(member => ({ userId: member.userId, member }));
+};
+
+/**
+ * Busy periods and booked meetings per day for each agent
+ * @returns {Promise<Map>} userId -> { busy: [{ start, end }], bookedPerDay: Map(date -> count) }
+ */
+const getSchedules = async (page, userIds, rangeStart, rangeEnd, { transaction } = {}) => {
+  const schedules = new Map(userIds.map(userId => [userId, { busy: [], bookedPerDay: new Map() }]));
+  if (userIds.length === 0) return schedules;
+
+  // Widen by a day so meetings that straddle the range and whole-day caps are counted
+  const followups = await Followup.findAll({
+    attributes: ['userId', 'scheduledFor', 'duration', 'createdVia'],
+    where: {
+      userId: { [Op.in]: userIds },
+      status: { [Op.notIn]: CLOSED_STATUSES },
+      scheduledFor: { [Op.between]: [new Date(rangeStart.getTime() - DAY_MS), new Date(rangeEnd.getTime() + DAY_MS)] }
+    },
+    transaction
+  });
+
+  followups.forEach(followup => {
+    const schedule = schedules.get(followup.userId);
+    const start = new Date(followup.scheduledFor);
+    schedule.busy.push({ start, end: new Date(start.getTime() + (followup.duration || 30) * MINUTE_MS) });
+
+    if (followup.createdVia === 'booking') {
+      const date = localDate(start, page.timeZone);
+      schedule.bookedPerDay.set(date, (schedule.bookedPerDay.get(date) || 0) + 1);
+    }
+  });
+
+  return schedules;
+};
+
+const isAgentFree = (page, agent, schedule, slot) => {
+  if (agent.member && agent.member.isOutOfOffice(slot.start)) return false;
+
+  if (page.dailyCap !== null && page.dailyCap !== undefined &&
+      (schedule.bookedPerDay.get(slot.date) || 0) >= page.dailyCap) {
+    return false;
+  }
+
+  const paddedStart = slot.start.getTime() - page.bufferBeforeMinutes * MINUTE_MS;
+  const paddedEnd = slot.end.getTime() + page.bufferAfterMinutes * MINUTE_MS;
+  return !schedule.busy.some(busy => paddedStart < busy.end.getTime() && paddedEnd > busy.start.getTime());
+};
+
+/**
+ * Open slots, grouped by day in the prospect's time zone
+ * @param {Object} options - { from, to, timeZone, now }; timeZone defaults to the page's
+ * @returns {Promise<Object>} { timeZone, durationMinutes, days: [{ date, slots: [{ start, end, label }] }] }
+ */
+const getSlots = async (page, { from, to, timeZone, now = new Date() } = {}) => {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw validationError(`Unknown time zone: ${timeZone}`);
+  }
+  const zone = timeZone || page.timeZone;
+  const rangeStart = from ? new Date(from) : now;
+  const rangeEnd = to ? new Date(to) : new Date(now.getTime() + page.maxDaysAhead * DAY_MS);
+  if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime())) {
+    throw validationError('from and to must be valid dates');
+  }
+
+  const agents = await getAgents(page);
+  const schedules = await getSchedules(page, agents.map(agent => agent.userId), rangeStart, rangeEnd);
+  const slots = generateSlots(page, rangeStart, rangeEnd, now)
+    .filter(slot => agents.some(agent => isAgentFree(page, agent, schedules.get(agent.userId), slot)));
+
+  const days = new Map();
+  slots.forEach(slot => {
+    const date = localDate(slot.start, zone);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push({
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      label: formatTime(slot.start, zone)
+    });
+  });
+
+  return {
+    timeZone: zone,
+    durationMinutes: page.durationMinutes,
+    days: [...days.entries()].map(([date, daySlots]) => ({ date, slots: daySlots }))
+  };
+};
+
+/**
+ * Problems with a prospect's answers to the page's questions; empty when they're acceptable
+ * @returns {Array<string>}
+ */
+const validateAnswers = (page, answers = {}) => {
+  const problems = [];
+
+  (page.questions || []).forEach(question => {
+    const value = answers[question.id];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (question.required) problems.push(`${question.label} is required`);
+      return;
+    }
+
+    if (question.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      problems.push(`${question.label} must be an email address`);
+    } else if (question.type === 'phone' && !PHONE_PATTERN.test(value)) {
+      problems.push(`${question.label} must be a phone number`);
+    } else if (question.type === 'select' && !(question.options || []).includes(value)) {
+      problems.push(`${question.label} must be one of: ${(question.options || []).join(', ')}`);
+    }
+  });
+
+  return problems;
+};
+
+const describeAnswers = (page, answers = {}) => {
+  const lines = (page.questions || [])
+    .filter(question => answers[question.id] !== undefined && answers[question.id] !== '')
+    .map(question => `${question.label}: ${answers[question.id]}`);
+
+  return ['Booked via booking page', ...lines].join('\n');
+};
+
+/**
+ * Match the prospect to a lead by email, or create one owned by the booked agent
+ */
+const findOrCreateLead = async ({ name, email, phone, company, timeZone }, agentId, { transaction } = {}) => {
+  const existing = await Lead.findOne({ where: { email }, transaction });
+  if (existing) return existing;
+
+  const [firstName, ...rest] = name.split(/\s+/);
+  return Lead.create({
+    firstName,
+    lastName: rest.join(' ') || '-',
+    email,
+    phone,
+    company: company || '-',
+    timeZone: timeZone || 'UTC',
+    leadSource: 'booking_page',
+    assignedTo: agentId
+  }, { transaction });
+};
+
+/**
+ * Tell the agent a meeting landed on their calendar; failures are logged, not thrown
+ */
+const notifyAgent = async (followup, booking) => {
+  try {
+    const setting = await notificationService.getSettings(followup.userId);
+    const when = formatWhen(followup.scheduledFor, isValidTimeZone(setting.timeZone) ? setting.timeZone : 'UTC');
+
+    await notificationService.deliver({
+      userId: followup.userId,
+      channel: 'email',
+      type: 'meeting_booked',
+      followupId: followup.id,
+      payload: {
+        subject: `New meeting booked: ${booking.name} on ${when}`,
+        text: `${booking.name} (${booking.email}) booked "${followup.title}" for ${when}.\n\n${followup.description}`,
+        html: `<p><strong>${escapeHtml(booking.name)}</strong> (${escapeHtml(booking.email)}) booked ` +
+          `<strong>${escapeHtml(followup.title)}</strong> for ${escapeHtml(when)}.</p>` +
+          `<pre style="font-family: inherit;">${escapeHtml(followup.description)}</pre>`,
+        template: 'meeting-booked'
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to notify ${followup.userId} about booking ${followup.id}:`, error.message);
+  }
+};
+
+/**
+ * Email the prospect a meeting invite from the agent. The agent's address comes from their
+ * notification settings, falling back to BOOKING_ORGANIZER_EMAIL.
+ * @returns {Promise<boolean>} Whether the confirmation went out
+ */
+const sendConfirmation = async (page, followup, booking) => {
+  try {
+    const setting = await notificationService.getSettings(followup.userId);
+    const organizer = { id: followup.userId, email: setting.email || process.env.BOOKING_ORGANIZER_EMAIL };
+    const invite = await meetingInviteService.sendInvite(followup, organizer, {
+      attendeeEmail: booking.email,
+      attendeeName: booking.name,
+      message: page.confirmationMessage || undefined
+    });
+    return !invite.lastError;
+  } catch (error) {
+    console.error(`Failed to send booking confirmation for follow-up ${followup.id}:`, error.message);
+    return false;
+  }
+};
+
+const isWeeklyHours = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value) &&
+  Object.entries(value).every(([weekday, windows]) =>
+    /^[1-7]$/.test(weekday) &&
+    Array.isArray(windows) &&
+    windows.every(window => TIME_OF_DAY_PATTERN.test(window?.start) && TIME_OF_DAY_PATTERN.test(window?.end) &&
+      window.start < window.end));
+
+const checkQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length > 20) {
+    throw validationError('questions must be a list of at most 20 questions');
+  }
+  const ids = new Set();
+  questions.forEach(question => {
+    if (!question?.id || !question.label || ids.has(question.id)) {
+      throw validationError('Every question needs a unique id and a label');
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      throw validationError(`Question type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (question.type === 'select' && (!Array.isArray(question.options) || question.options.length === 0)) {
+      throw validationError(`${question.label} needs options`);
+    }
+    ids.add(question.id);
+  });
+};
+
+/**
+ * Allowed page fields from a request body, checked for shape; the model checks the ranges
+ */
+const pickPageFields = (data) => PAGE_FIELDS.reduce((picked, field) => {
+  const value = data[field];
+  if (value === undefined) return picked;
+
+  if (field === 'assignment' && !BOOKING_ASSIGNMENTS.includes(value)) {
+    throw validationError(`assignment must be one of ${BOOKING_ASSIGNMENTS.join(', ')}`);
+  }
+  if (field === 'timeZone' && !isValidTimeZone(value)) {
+    throw validationError(`Unknown time zone: ${value}`);
+  }
+  if (field === 'weeklyHours' && !isWeeklyHours(value)) {
+    throw validationError('weeklyHours must map ISO weekdays (1-7) to [{ start, end }] in HH:mm');
+  }
+  if (field === 'questions') checkQuestions(value);
+  if (field === 'followupType' && !FOLLOWUP_TYPES.includes(value)) {
+    throw validationError(`followupType must be one of ${FOLLOWUP_TYPES.join(', ')}`);
+  }
+  if (field === 'userId') {
+    picked[field] = value === null || value === '' ? null : String(value);
+    return picked;
+  }
+
+  picked[field] = value;
+  return picked;
+}, {});
+
+/**
+ * @param {Object} filters - { isActive, userId, teamId }
+ */
+const listPages = ({ isActive, userId, teamId } = {}) => {
+  const where = {};
+  if (isActive !== undefined) where.isActive = String(isActive) === 'true';
+  if (userId) where.userId = String(userId);
+  if (teamId) where.teamId = teamId;
+  return BookingPage.findAll({ where, order: [['title', 'ASC']] });
+};
+
+const findPage = (id) => BookingPage.findByPk(id);
+
+const findPublicPage = (slug) => BookingPage.findActiveBySlug(slug);
+
+/**
+ * @returns {Promise<Object|null>} The page, or null when the slug is taken
+ */
+const createPage = async (data = {}, user = null) => {
+  if (!data.slug) throw validationError('slug is required');
+  if (await BookingPage.findOne({ where: { slug: data.slug } })) return null;
+
+  return BookingPage.create({ ...pickPageFields(data), createdBy: user ? String(user.id) : null });
+};
+
+/**
+ * @returns {Promise<Object|null>} The page, or null when the new slug is taken
+ */
+const updatePage = async (page, data = {}) => {
+  if (data.slug && data.slug !== page.slug && await BookingPage.findOne({ where: { slug: data.slug } })) {
+    return null;
+  }
+  return page.update(pickPageFields(data));
+};
+
+// Pages are deactivated rather than deleted so past bookings keep their reference
+const deactivatePage = (page) => page.update({ isActive: false });
+
+let bookingWrites = Promise.resolve();
+
+/**
+ * Book a slot: picks the agent, matches or creates the lead, creates the follow-up and sends
+ * the confirmation. Bookings run one at a time, so two prospects can't take the same last slot.
+ * @param {Object} booking - { start, timeZone, name, email, phone, company, answers }
+ * @returns {Promise<Object|null>} { followup, lead, agentId, confirmationSent }, or null when
+ *   the slot is no longer available
+ */
+const book = async (pageId, booking = {}, now = new Date()) => {
+  const start = new Date(booking.start);
+  if (!booking.start || Number.isNaN(start.getTime())) throw validationError('start must be a valid date');
+  if (!booking.name || !String(booking.name).trim()) throw validationError('name is required');
+  if (!EMAIL_PATTERN.test(booking.email || '')) throw validationError('email must be an email address');
+  if (!booking.phone) throw validationError('phone is required');
+  if (booking.timeZone && !isValidTimeZone(booking.timeZone)) {
+    throw validationError(`Unknown time zone: ${booking.timeZone}`);
+  }
+
+  const invitee = {
+    name: String(booking.name).trim(),
+    email: String(booking.email).trim().toLowerCase(),
+    phone: String(booking.phone),
+    company: booking.company ? String(booking.company).trim() : null,
+    timeZone: booking.timeZone || null,
+    answers: booking.answers && typeof booking.answers === 'object' ? booking.answers : {}
+  };
+
+  const write = bookingWrites.then(() => sequelize.transaction(async (transaction) => {
+    const page = await BookingPage.findByPk(pageId, { transaction });
+    if (!page || !page.isActive) return null;
+
+    const problems = validateAnswers(page, invitee.answers);
+    if (problems.length > 0) throw validationError('Some answers are missing or invalid', problems);
+
+    const slot = generateSlots(page, start, new Date(start.getTime() + page.durationMinutes * MINUTE_MS), now)
+      .find(candidate => candidate.start.getTime() === start.getTime());
+    if (!slot) return null;
+
+    const agents = await getAgents(page, { transaction });
+    const schedules = await getSchedules(page, agents.map(agent => agent.userId), slot.start, slot.end, { transaction });
+    const agent = agents.find(candidate => isAgentFree(page, candidate, schedules.get(candidate.userId), slot));
+    if (!agent) return null;
+
+    if (agent.member) {
+      await agent.member.update({ lastAssignedAt: now, assignmentCount: agent.member.assignmentCount + 1 }, { transaction });
+    }
+
+    const lead = await findOrCreateLead(invitee, agent.userId, { transaction });
+    const followup = await Followup.create({
+      leadId: lead.id,
+      userId: agent.userId,
+      type: page.followupType,
+      status: 'scheduled',
+      priority: 'high',
+      title: `${page.title} with ${invitee.name}`,
+      description: describeAnswers(page, invitee.answers),
+      scheduledFor: slot.start,
+      duration: page.durationMinutes,
+      // The invite shows the time in the prospect's zone
+      timezone: invitee.timeZone || page.timeZone,
+      teamId: agent.member ? page.teamId : null,
+      assignment: { type: agent.member ? 'round_robin' : 'manual' },
+      createdVia: 'booking',
+      metadata: {
+        booking: {
+          bookingPageId: page.id,
+          slug: page.slug,
+          inviteeName: invitee.name,
+          inviteeEmail: invitee.email,
+          inviteePhone: invitee.phone,
+          inviteeTimeZone: invitee.timeZone,
+          answers: invitee.answers
+        }
+      }
+    }, { transaction });
+
+    await lead.increment('meetingsScheduled', { transaction });
+    if (!lead.nextFollowUpDate || new Date(lead.nextFollowUpDate) > slot.start) {
+      await lead.update({ nextFollowUpDate: slot.start }, { transaction });
+    }
+
+    return { page, followup, lead };
+  }));
+  bookingWrites = write.catch(() => {});
+
+  const result = await write;
+  if (!result) return null;
+
+  // Calendar, confirmation and agent notice follow the commit; failures keep the booking
+  const { page, followup } = result;
+  const lead = await result.lead.reload();
+  if (calendarService.getProvider()) {
+    await calendarService.syncFollowup(followup, lead.toJSON())
+      .catch(error => console.error(`Failed to add booking ${followup.id} to the calendar:`, error.message));
+  }
+  const confirmationSent = await sendConfirmation(page, followup, invitee);
+  await notifyAgent(followup, invitee);
+
+  return { followup, lead, agentId: followup.userId, confirmationSent };
+};
+
+module.exports = {
+  listPages,
+  findPage,
+  findPublicPage,
+  createPage,
+  updatePage,
+  deactivatePage,
+  getSlots,
+  validateAnswers,
+  book
+};
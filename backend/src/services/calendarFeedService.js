@@ -0,0 +1,105 @@
+/**
+ * Calendar Feed Service
+ * Per-user ICS subscription feeds of scheduled follow-ups. Calendar apps poll the feed URL, so
+ * the token in it is the only credential; revoking the feed disables the URL.
+ */
+
+const { Op } = require('sequelize');
+const { CalendarFeed, Followup } = require('../database/models');
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+const followupService = require('./followupService');
+const calendarService = require('./calendarService');
+const icsService = require('./icsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_FEED_EVENTS = 500;
+
+const getPublicUrl = () => (process.env.CALENDAR_PUBLIC_URL || 'http://localhost:3001/api/calendar').replace(/\/$/, '');
+
+const feedUrl = (token) => `${getPublicUrl()}/feeds/${token}.ics`;
+
+const serializeFeed = (feed) => ({
+  id: feed.id,
+  name: feed.name,
+  lastAccessedAt: feed.lastAccessedAt,
+  createdAt: feed.createdAt
+});
+
+/**
+ * Create a feed; the URL is only returned here since the token isn't stored
+ * @returns {Promise<Object>} { ...feed, url }
+ */
+const createFeed = async (userId, { name } = {}) => {
+  const { token, tokenHash } = icsService.generateToken();
+  const feed = await CalendarFeed.create({
+    userId: String(userId),
+    name: name ? String(name).slice(0, 100) : undefined,
+    tokenHash
+  });
+
+  return { ...serializeFeed(feed), url: feedUrl(token) };
+};
+
+const listFeeds = async (userId) => {
+  const feeds = await CalendarFeed.findAll({
+    where: { userId: String(userId), revokedAt: null },
+    order: [['createdAt', 'DESC']]
+  });
+  return feeds.map(serializeFeed);
+};
+
+/**
+ * @returns {Promise<boolean>} false when the user has no such active feed
+ */
+const revokeFeed = async (feedId, userId) => {
+  const feed = await CalendarFeed.findOne({ where: { id: feedId, userId: String(userId), revokedAt: null } });
+  if (!feed) return false;
+
+  await feed.update({ revokedAt: new Date() });
+  return true;
+};
+
+/**
+ * iCalendar text for the feed behind a token: the user's open follow-ups from the last
+ * CALENDAR_FEED_PAST_DAYS days on
+ * @returns {Promise<string|null>} null for unknown or revoked tokens
+ */
+const renderFeed = async (token, now = new Date()) => {
+  const feed = await CalendarFeed.findActiveByToken(icsService.hashToken(token));
+  if (!feed) return null;
+
+  const pastDays = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+  const followups = await Followup.findAll({
+    where: {
+      userId: feed.userId,
+      status: { [Op.notIn]: CLOSED_STATUSES },
+      scheduledFor: { [Op.gte]: new Date(now.getTime() - pastDays * DAY_MS) }
+    },
+    order: [['scheduledFor', 'ASC']],
+    limit: MAX_FEED_EVENTS
+  });
+
+  const events = [];
+  for (const followup of followups) {
+    events.push(calendarService.followupToEvent(followup, await followupService.findLead(followup.leadId)));
+  }
+
+  // Polling clients hit this often; only record the first access each hour
+  if (!feed.lastAccessedAt || now - new Date(feed.lastAccessedAt) >= HOUR_MS) {
+    await feed.update({ lastAccessedAt: now });
+  }
+
+  return icsService.buildCalendar(events, {
+    method: 'PUBLISH',
+    name: feed.name,
+    refreshMinutes: parseInt(process.env.CALENDAR_FEED_REFRESH_MINUTES, 10) || 15
+  });
+};
+
+module.exports = {
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  renderFeed
+};
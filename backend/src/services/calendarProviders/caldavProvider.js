@@ -0,0 +1,210 @@
+/**
+ * CalDAV Calendar Provider
+ * Minimal RFC 4791 client: one iCalendar object per event in a calendar collection, plus busy
+ * times from a time-range calendar-query. Works with iCloud (app-specific password), Fastmail,
+ * Nextcloud and Radicale.
+ */
+
+const axios = require('axios');
+const icsService = require('../icsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&apos;': '\'', '&#13;': '\r', '&#xD;': '\r' };
+
+/**
+ * calendar-data bodies from a multistatus response, whatever namespace prefix the server uses
+ */
+const extractCalendarData = (xml) => {
+  const pattern = /<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  const bodies = [];
+  let match;
+
+  while ((match = pattern.exec(String(xml))) !== null) {
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(match[1]);
+    const text = cdata
+      ? cdata[1]
+      : match[1].replace(/&(lt|gt|amp|quot|apos|#13|#xD);/g, entity => XML_ENTITIES[entity]);
+    if (text.trim()) bodies.push(text);
+  }
+
+  return bodies;
+};
+
+/**
+ * Merge overlapping periods, clipped to [rangeStart, rangeEnd)
+ * @returns {Array<Object>} [{ start, end }] as ISO strings, sorted
+ */
+const mergePeriods = (periods, rangeStart, rangeEnd) => {
+  const clipped = periods
+    .map(period => ({ start: Math.max(period.start, rangeStart), end: Math.min(period.end, rangeEnd) }))
+    .filter(period => period.end > period.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const period of clipped) {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = Math.max(last.end, period.end);
+    } else {
+      merged.push({ ...period });
+    }
+  }
+
+  return merged.map(period => ({
+    start: new Date(period.start).toISOString(),
+    end: new Date(period.end).toISOString()
+  }));
+};
+
+/**
+ * @param {Object} config - { calendarUrl, username, password, timeout }
+ */
+const createCalDAVProvider = ({ calendarUrl, username, password, timeout = 15000 }) => {
+  if (!calendarUrl) {
+    throw new Error('CalDAV needs a calendar URL');
+  }
+  const collectionUrl = calendarUrl.endsWith('/') ? calendarUrl : `${calendarUrl}/`;
+
+  const eventUrl = (uid) => `${collectionUrl}${String(uid).replace(/[^A-Za-z0-9._-]/g, '_')}.ics`;
+
+  const request = (config) => axios({
+    timeout,
+    auth: username ? { username, password } : undefined,
+    // 404 and 412 are answered by the callers
+    validateStatus: status => (status >= 200 && status < 300) || status === 404 || status === 412,
+    ...config
+  });
+
+  /**
+   * Create or replace the resource holding an event
+   * @param {Object} options - { etag } to write only if unchanged, { create: true } to refuse overwriting
+   */
+  const putEvent = async (event, { etag = null, create = false } = {}) => {
+    const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+    if (etag) headers['If-Match'] = etag;
+    if (create) headers['If-None-Match'] = '*';
+
+    const response = await request({
+      method: 'PUT',
+      url: eventUrl(event.uid),
+      data: icsService.buildCalendar([event]),
+      headers
+    });
+
+    if (response.status === 412) {
+      throw new Error(create ? `CalDAV event ${event.uid} already exists` : `CalDAV event ${event.uid} changed on the server`);
+    }
+    if (response.status === 404) {
+      throw new Error(`CalDAV calendar not found: ${collectionUrl}`);
+    }
+
+    return { uid: event.uid, href: eventUrl(event.uid), etag: response.headers?.etag || null, event };
+  };
+
+  /**
+   * @returns {Promise<Object|null>} { uid, href, etag, event }, or null when the event doesn't exist
+   */
+  const getEvent = async (uid) => {
+    const response = await request({ method: 'GET', url: eventUrl(uid), responseType: 'text' });
+    if (response.status === 404) return null;
+
+    const [event] = icsService.extractEvents(response.data);
+    return { uid, href: eventUrl(uid), etag: response.headers?.etag || null, event: event || null };
+  };
+
+  /**
+   * Events overlapping [start, end), from a calendar-query REPORT
+   */
+  const queryEvents = async (start, end) => {
+    const body = [
+      '<?xml version="1.0" encoding="utf-8" ?>',
+      '<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">',
+      '  <D:prop><D:getetag/><C:calendar-data/></D:prop>',
+      '  <C:filter>',
+      '    <C:comp-filter name="VCALENDAR">',
+      '      <C:comp-filter name="VEVENT">',
+      `        <C:time-range start="${icsService.formatDate(start)}" end="${icsService.formatDate(end)}"/>`,
+      '      </C:comp-filter>',
+      '    </C:comp-filter>',
+      '  </C:filter>',
+      '</C:calendar-query>'
+    ].join('\n');
+
+    const response = await request({
+      method: 'REPORT',
+      url: collectionUrl,
+      data: body,
+      responseType: 'text',
+      headers: { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' }
+    });
+
+    if (response.status === 404) {
+      throw new Error(`CalDAV calendar not found: ${collectionUrl}`);
+    }
+
+    return extractCalendarData(response.data).flatMap(ics => icsService.extractEvents(ics));
+  };
+
+  return {
+    name: 'caldav',
+
+    /**
+     * @param {Object} event - icsService.buildEvent() fields; uid is required
+     * @returns {Promise<Object>} { uid, href, etag, event }
+     */
+    createEvent(event) {
+      return putEvent(event, { create: true });
+    },
+
+    /**
+     * CalDAV has no PATCH, so the stored event is read, merged and written back with the next SEQUENCE
+     * @param {Object} updates - { title, description, location, startTime, endTime, attendees }
+     */
+    async updateEvent(uid, updates) {
+      const existing = await getEvent(uid);
+      if (!existing || !existing.event) {
+        throw new Error(`CalDAV event ${uid} not found`);
+      }
+
+      const current = existing.event;
+      const definedUpdates = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+      return putEvent({
+        ...current,
+        ...definedUpdates,
+        uid,
+        sequence: current.sequence + 1
+      }, { etag: existing.etag });
+    },
+
+    /**
+     * An event that is already gone counts as deleted
+     * @returns {Promise<Object>} { existed }
+     */
+    async deleteEvent(uid) {
+      const response = await request({ method: 'DELETE', url: eventUrl(uid) });
+      return { existed: response.status !== 404 };
+    },
+
+    getEvent,
+    queryEvents,
+
+    /**
+     * Busy periods in [start, end), merged and sorted; transparent and cancelled events are free
+     * @returns {Promise<Array<Object>>} [{ start, end }] as ISO strings
+     */
+    async getBusy(start, end) {
+      const events = await queryEvents(start, end);
+      const periods = events
+        .filter(event => event.startTime && !event.transparent && event.status !== 'CANCELLED')
+        .map(event => ({
+          start: event.startTime.getTime(),
+          // All-day events without DTEND last one day
+          end: (event.endTime || new Date(event.startTime.getTime() + DAY_MS)).getTime()
+        }));
+
+      return mergePeriods(periods, new Date(start).getTime(), new Date(end).getTime());
+    }
+  };
+};
+
+module.exports = { createCalDAVProvider, extractCalendarData, mergePeriods };
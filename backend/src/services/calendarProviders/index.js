@@ -0,0 +1,34 @@
+/**
+ * Calendar Providers
+ *
+ * A provider is a plain object:
+ *   name                        - reported with each synced event
+ *   createEvent(event)          - resolves { uid, href, etag, event }
+ *   updateEvent(uid, updates)   - resolves { uid, href, etag, event }
+ *   deleteEvent(uid)            - resolves { existed }
+ *   getBusy(start, end)         - resolves [{ start, end }] busy periods as ISO strings
+ *
+ * Events use the icsService.buildEvent() fields and are identified by their iCalendar UID.
+ */
+
+const { createCalDAVProvider } = require('./caldavProvider');
+
+/**
+ * Provider configured through the environment; CalDAV when CALDAV_CALENDAR_URL is set,
+ * otherwise null and follow-ups are not synced to a calendar
+ */
+const createDefaultProvider = () => {
+  if (!process.env.CALDAV_CALENDAR_URL) return null;
+
+  return createCalDAVProvider({
+    calendarUrl: process.env.CALDAV_CALENDAR_URL,
+    username: process.env.CALDAV_USERNAME,
+    password: process.env.CALDAV_PASSWORD,
+    timeout: parseInt(process.env.CALDAV_TIMEOUT_MS, 10) || 15000
+  });
+};
+
+module.exports = {
+  createDefaultProvider,
+  createCalDAVProvider
+};
@@ -0,0 +1,155 @@
+/**
+ * Calendar Service
+ * Keeps open follow-ups on the team calendar (a CalDAV collection, see calendarProviders) and
+ * reads its busy times. Without a provider configured, syncing is skipped.
+ */
+
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+const { createDefaultProvider } = require('./calendarProviders');
+const icsService = require('./icsService');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_AVAILABILITY_DAYS = 62;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const getLeadName = (lead) =>
+  (lead && (lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.company)) || null;
+
+class CalendarService {
+  constructor() {
+    this.provider = undefined;
+  }
+
+  /**
+   * @returns {Object|null} The provider, or null when no calendar is configured
+   */
+  getProvider() {
+    if (this.provider === undefined) {
+      this.provider = createDefaultProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Replace the provider (see calendarProviders for the interface); null turns syncing off
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * A follow-up as an iCalendar event; shared by the CalDAV sync and the subscription feeds
+   * @param {Object} lead - Plain lead, for the contact details in the description
+   */
+  followupToEvent(followup, lead = null) {
+    const leadName = getLeadName(lead);
+    const details = [
+      followup.description,
+      leadName ? `Lead: ${leadName}` : null,
+      lead?.phone ? `Phone: ${lead.phone}` : null,
+      lead?.email ? `Email: ${lead.email}` : null
+    ].filter(Boolean);
+    const startTime = new Date(followup.scheduledFor);
+
+    return {
+      uid: icsService.buildUid('followup', followup.id),
+      title: followup.title,
+      description: details.join('\n'),
+      location: followup.metadata?.location,
+      startTime,
+      endTime: new Date(startTime.getTime() + (followup.duration || 30) * MINUTE_MS),
+      sequence: followup.rescheduleCount || 0,
+      categories: ['Follow-up', followup.type],
+      updatedAt: followup.updatedAt,
+      alarmMinutes: 15
+    };
+  }
+
+  /**
+   * Create or update the follow-up's calendar event, or remove it once the follow-up is closed.
+   * The event is recorded in metadata.calendarEvent.
+   * @returns {Promise<Object|null>} metadata.calendarEvent, or null when nothing is synced
+   */
+  async syncFollowup(followup, lead = null) {
+    const provider = this.getProvider();
+    if (!provider) return null;
+
+    if (CLOSED_STATUSES.includes(followup.status)) {
+      await this.removeFollowup(followup);
+      return null;
+    }
+
+    const event = this.followupToEvent(followup, lead);
+    const existing = followup.metadata?.calendarEvent;
+    const result = existing
+      ? await provider.updateEvent(existing.uid, {
+        title: event.title,
+        description: event.description,
+        location: event.location,
+        startTime: event.startTime,
+        endTime: event.endTime
+      })
+      : await provider.createEvent(event);
+
+    const calendarEvent = {
+      provider: provider.name,
+      uid: result.uid,
+      href: result.href,
+      etag: result.etag,
+      syncedAt: new Date().toISOString()
+    };
+    await followup.update({ metadata: { ...(followup.metadata || {}), calendarEvent } });
+    return calendarEvent;
+  }
+
+  /**
+   * Delete the follow-up's calendar event, if it has one
+   * @returns {Promise<boolean>} Whether there was an event to delete
+   */
+  async removeFollowup(followup) {
+    const provider = this.getProvider();
+    const existing = followup.metadata?.calendarEvent;
+    if (!provider || !existing) return false;
+
+    await provider.deleteEvent(existing.uid);
+
+    const metadata = { ...followup.metadata };
+    delete metadata.calendarEvent;
+    await followup.update({ metadata });
+    return true;
+  }
+
+  /**
+   * Busy periods on the calendar
+   * @returns {Promise<Object>} { provider, start, end, busy: [{ start, end }] }; busy is empty
+   *   without a provider
+   */
+  async getAvailability(start, end) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      throw validationError('start and end must be valid dates');
+    }
+    if (endDate <= startDate) {
+      throw validationError('end must be after start');
+    }
+    if (endDate - startDate > MAX_AVAILABILITY_DAYS * 24 * 60 * MINUTE_MS) {
+      throw validationError(`Availability covers at most ${MAX_AVAILABILITY_DAYS} days`);
+    }
+
+    const provider = this.getProvider();
+    return {
+      provider: provider ? provider.name : null,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      busy: provider ? await provider.getBusy(startDate, endDate) : []
+    };
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,298 @@
+/**
+ * Call Compliance Service
+ * One check in front of every outbound dial: the internal do-not-call list, the
+ * lead's own doNotCall flag and local calling windows. The lead's local time comes
+ * from its timeZone, or from the phone number's area code when that is unset.
+ */
+
+const { Op } = require('sequelize');
+const { Lead, DoNotCallEntry } = require('../database/models');
+const { normalizePhoneKey } = require('./enrichmentProviders/phoneMetadataProvider');
+const { parseCsv } = require('./enrichmentProviders/datasetLoader');
+const { getTimeZoneForPhone } = require('../utils/areaCodeTimeZones');
+
+const DEFAULT_CALLING_HOURS = '08:00-21:00';
+const DAY_GROUPS = { Sun: 'SUNDAY', Sat: 'SATURDAY' };
+const PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber', 'number', 'telephone'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Parse "HH:MM-HH:MM" (or "closed") into minutes since midnight
+ */
+const parseWindow = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'closed' || text === 'none') return null;
+
+  const match = text.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  if (!match) return parseWindow(DEFAULT_CALLING_HOURS);
+
+  return { start: match[1].padStart(5, '0'), end: match[2].padStart(5, '0') };
+};
+
+/**
+ * Calling windows in the lead's local time, read from the environment on each
+ * check so they can be changed without a restart
+ * @returns {Object} { weekdays, saturday, sunday, defaultTimeZone }
+ */
+const getCallingWindows = () => ({
+  weekdays: parseWindow(process.env.CALLING_HOURS_WEEKDAYS || DEFAULT_CALLING_HOURS),
+  saturday: parseWindow(process.env.CALLING_HOURS_SATURDAY || DEFAULT_CALLING_HOURS),
+  sunday: parseWindow(process.env.CALLING_HOURS_SUNDAY || DEFAULT_CALLING_HOURS),
+  defaultTimeZone: process.env.CALLING_DEFAULT_TIME_ZONE || 'America/New_York'
+});
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The lead's own time zone wins; "UTC" is the column default, so it only counts
+ * when the number gives nothing better
+ * @returns {Object} { timeZone, source: 'lead'|'area_code'|'default' }
+ */
+const resolveTimeZone = (lead, phoneKey) => {
+  const leadZone = lead && lead.timeZone;
+  if (leadZone && leadZone !== 'UTC' && isValidTimeZone(leadZone)) {
+    return { timeZone: leadZone, source: 'lead' };
+  }
+
+  const inferred = getTimeZoneForPhone(phoneKey);
+  if (inferred) return { timeZone: inferred, source: 'area_code' };
+
+  if (leadZone === 'UTC') return { timeZone: 'UTC', source: 'lead' };
+
+  return { timeZone: getCallingWindows().defaultTimeZone, source: 'default' };
+};
+
+/**
+ * @returns {Object} { weekday: 'Mon', minutes, label: 'Mon 14:05' }
+ */
+const getLocalTime = (now, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    weekday: parts.weekday,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    label: `${parts.weekday} ${parts.hour}:${parts.minute}`
+  };
+};
+
+const getWindowForDay = (weekday, windows = getCallingWindows()) => {
+  const group = DAY_GROUPS[weekday];
+  if (group === 'SUNDAY') return windows.sunday;
+  if (group === 'SATURDAY') return windows.saturday;
+  return windows.weekdays;
+};
+
+/**
+ * Stored phone formats a number may appear under on the Lead table
+ */
+const getPhoneVariants = (phoneKey) => {
+  const variants = [phoneKey, `+${phoneKey}`];
+  if (phoneKey.length === 11 && phoneKey.startsWith('1')) {
+    variants.push(phoneKey.slice(1));
+  }
+  return variants;
+};
+
+const findLeadForCall = async ({ leadId, phoneKey }) => {
+  if (leadId && UUID_PATTERN.test(String(leadId))) {
+    const lead = await Lead.findByPk(leadId);
+    if (lead) return lead;
+  }
+  if (!phoneKey) return null;
+
+  return Lead.findOne({ where: { phone: { [Op.in]: getPhoneVariants(phoneKey) } } });
+};
+
+const findActiveDncEntry = (phoneKey, now) => DoNotCallEntry.findOne({
+  where: {
+    phone: phoneKey,
+    [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }]
+  }
+});
+
+/**
+ * Check whether a number may be dialed right now
+ * @param {Object} target - { phoneNumber, leadId, lead, now }
+ * @returns {Object} { allowed, phoneNumber, leadId, violations: [{ code, message }], timeZone, timeZoneSource, localTime }
+ */
+const checkOutboundCall = async ({ phoneNumber, leadId = null, lead = null, now = new Date() } = {}) => {
+  const phoneKey = normalizePhoneKey(phoneNumber || (lead && lead.phone));
+  const callLead = lead || await findLeadForCall({ leadId, phoneKey });
+  const violations = [];
+
+  if (phoneKey) {
+    const entry = await findActiveDncEntry(phoneKey, now);
+    if (entry) {
+      violations.push({
+        code: 'dnc_list',
+        message: `Number is on the internal do-not-call list${entry.reason ? ` (${entry.reason})` : ''}`
+      });
+    }
+  }
+
+  if (callLead && callLead.doNotCall) {
+    violations.push({ code: 'lead_do_not_call', message: 'Lead is flagged do-not-call' });
+  }
+
+  const { timeZone, source } = resolveTimeZone(callLead, phoneKey);
+  const localTime = getLocalTime(now, timeZone);
+  const window = getWindowForDay(localTime.weekday);
+
+  if (!window) {
+    violations.push({
+      code: 'outside_calling_hours',
+      message: `No calls are allowed on ${localTime.weekday} in ${timeZone}`
+    });
+  } else if (localTime.minutes < toMinutes(window.start) || localTime.minutes >= toMinutes(window.end)) {
+    violations.push({
+      code: 'outside_calling_hours',
+      message: `It is ${localTime.label} in ${timeZone}; calls are allowed ${window.start}-${window.end}`
+    });
+  }
+
+  return {
+    allowed: violations.length === 0,
+    phoneNumber: phoneKey,
+    leadId: callLead ? callLead.id : leadId,
+    violations,
+    timeZone,
+    timeZoneSource: source,
+    localTime: localTime.label
+  };
+};
+
+/**
+ * Which of the given numbers are currently on the DNC list
+ * @param {Array<string>} phoneNumbers - Raw phone numbers
+ * @returns {Set<string>} The blocked numbers, as given
+ */
+const getBlockedNumbers = async (phoneNumbers, now = new Date()) => {
+  const keys = phoneNumbers.map(normalizePhoneKey);
+  if (!keys.some(Boolean)) return new Set();
+
+  const entries = await DoNotCallEntry.findAll({
+    where: {
+      phone: { [Op.in]: keys.filter(Boolean) },
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }]
+    },
+    attributes: ['phone']
+  });
+
+  const listed = new Set(entries.map(entry => entry.phone));
+  return new Set(phoneNumbers.filter((phone, index) => keys[index] && listed.has(keys[index])));
+};
+
+/**
+ * Add or refresh a number on the DNC list
+ * @returns {Object} { entry, created }
+ */
+const addDoNotCallNumber = async (phoneNumber, { reason = null, source = 'manual', addedBy = null, expiresAt = null } = {}) => {
+  const phone = normalizePhoneKey(phoneNumber);
+  if (!phone) {
+    throw new Error(`Invalid phone number: ${phoneNumber}`);
+  }
+
+  const existing = await DoNotCallEntry.findOne({ where: { phone } });
+  if (existing) {
+    await existing.update({ reason: reason || existing.reason, source, addedBy, expiresAt });
+    return { entry: existing, created: false };
+  }
+
+  const entry = await DoNotCallEntry.create({ phone, reason, source, addedBy, expiresAt });
+  return { entry, created: true };
+};
+
+/**
+ * @returns {boolean} Whether the number was on the list
+ */
+const removeDoNotCallNumber = async (phoneNumber) => {
+  const phone = normalizePhoneKey(phoneNumber);
+  if (!phone) return false;
+
+  const removed = await DoNotCallEntry.destroy({ where: { phone } });
+  return removed > 0;
+};
+
+const listDoNotCallNumbers = async ({ search, limit = 50, offset = 0 } = {}) => {
+  const where = {};
+  if (search) {
+    where.phone = { [Op.like]: `%${String(search).replace(/\D/g, '')}%` };
+  }
+
+  const { rows, count } = await DoNotCallEntry.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { entries: rows, total: count };
+};
+
+/**
+ * Import numbers from CSV. Uses a phone/phone_number/number column when there is a
+ * header row, otherwise the first column; an optional reason column is kept.
+ * @returns {Object} { total, imported, updated, invalid: [{ row, value }] }
+ */
+const importDoNotCallCsv = async (content, { addedBy = null, reason = null } = {}) => {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/)[0];
+  const hasHeader = !normalizePhoneKey(firstLine.split(',')[0]);
+
+  const headers = hasHeader
+    ? firstLine.split(',').map(header => header.trim().replace(/^"|"$/g, ''))
+    : ['phone'];
+  const phoneColumn = headers.find(header => PHONE_COLUMNS.includes(header.toLowerCase().replace(/\s+/g, '_')))
+    || headers[0];
+  const reasonColumn = headers.find(header => header.toLowerCase() === 'reason');
+
+  const rows = parseCsv(hasHeader ? text : `phone\n${text}`);
+  const result = { total: rows.length, imported: 0, updated: 0, invalid: [] };
+
+  for (const [index, row] of rows.entries()) {
+    const value = row[phoneColumn];
+    if (!normalizePhoneKey(value)) {
+      result.invalid.push({ row: index + 1, value: value || null });
+      continue;
+    }
+
+    const { created } = await addDoNotCallNumber(value, {
+      reason: (reasonColumn && row[reasonColumn]) || reason,
+      source: 'csv_import',
+      addedBy
+    });
+    result[created ? 'imported' : 'updated'] += 1;
+  }
+
+  return result;
+};
+
+module.exports = {
+  getCallingWindows,
+  resolveTimeZone,
+  checkOutboundCall,
+  getBlockedNumbers,
+  getPhoneVariants,
+  addDoNotCallNumber,
+  removeDoNotCallNumber,
+  listDoNotCallNumbers,
+  importDoNotCallCsv
+};
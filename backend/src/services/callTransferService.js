@@ -0,0 +1,471 @@
+/**
+ * Call Transfer Service - Blind and warm (attended) transfers and three-way conferences
+ *
+ * Twilio calls are moved between <Dial><Conference> rooms: the prospect waits on hold
+ * music in the call's main room while the agent consults the closer in a second room,
+ * and completing the transfer redirects the closer into the main room. Browser SIP calls
+ * do the REFER / INVITE-with-Replaces themselves and report each step here, so the call
+ * log records every leg and participant either way.
+ */
+
+const TwilioService = require('./twilioService');
+const { getBlockedNumbers } = require('./callComplianceService');
+
+const TRANSFER_TYPES = ['blind', 'attended'];
+const ENDED_STATUSES = ['ended', 'failed', 'completed'];
+const DEFAULT_HOLD_MUSIC_URL = 'http://com.twilio.sounds.music.s3.amazonaws.com/MARKOVICHAMP-Borghestral.mp3';
+const PHONE_TARGET = /^\+?[\d\s().-]{3,20}$/;
+const SIP_TARGET = /^sips?:[^\s@]+@[^\s@]+$/i;
+
+const providerError = (message) => {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  return error;
+};
+
+const getConferenceRooms = (call) => ({
+  main: `call-${call.id}`,
+  consult: `call-${call.id}-consult`
+});
+
+/**
+ * TwiML that hands the prospect straight to the target number
+ */
+const buildBlindTransferTwiml = (target) => TwilioService.generateTwiML([
+  {
+    type: 'say',
+    text: 'Please hold while we transfer your call.',
+    options: { voice: 'alice', language: 'en-US' }
+  },
+  { type: 'dial', options: { timeout: 30 }, number: target }
+]);
+
+/**
+ * TwiML that parks a leg in a room on hold music until someone starts the conference
+ */
+const buildHoldTwiml = (room) => TwilioService.generateTwiML([
+  {
+    type: 'conference',
+    room,
+    conferenceOptions: {
+      startConferenceOnEnter: false,
+      endConferenceOnExit: true,
+      beep: false,
+      waitUrl: process.env.TWILIO_HOLD_MUSIC_URL || DEFAULT_HOLD_MUSIC_URL
+    }
+  }
+]);
+
+/**
+ * TwiML that joins a leg to a room and starts the conference
+ */
+const buildJoinTwiml = (room, { endConferenceOnExit = false } = {}) => TwilioService.generateTwiML([
+  {
+    type: 'conference',
+    room,
+    conferenceOptions: { startConferenceOnEnter: true, endConferenceOnExit, beep: false }
+  }
+]);
+
+/**
+ * Seed legs and participants from the original call the first time it is touched
+ */
+const ensureCallLegs = (call) => {
+  if (call.legs) return call;
+
+  const startedAt = call.startTime || call.createdAt || new Date().toISOString();
+  const agent = call.agentId || 'agent';
+
+  call.legs = [
+    { id: 'leg-1', role: 'agent', party: agent, callSid: null, room: null, status: 'active', startedAt, endedAt: null, endReason: null },
+    { id: 'leg-2', role: 'prospect', party: call.phone, callSid: call.twilioCallSid || null, room: null, status: 'active', startedAt, endedAt: null, endReason: null }
+  ];
+  call.participants = [
+    { party: agent, role: 'agent', joinedAt: startedAt, leftAt: null },
+    { party: call.phone, role: 'prospect', joinedAt: startedAt, leftAt: null }
+  ];
+  call.transfers = [];
+  call.conference = null;
+  return call;
+};
+
+const findLeg = (call, role) => call.legs.find(leg => leg.role === role && !leg.endedAt);
+
+const addLeg = (call, leg, now) => {
+  const created = {
+    id: `leg-${call.legs.length + 1}`,
+    callSid: null,
+    room: null,
+    status: 'active',
+    startedAt: now,
+    endedAt: null,
+    endReason: null,
+    ...leg
+  };
+  call.legs.push(created);
+  return created;
+};
+
+const endLeg = (leg, reason, now) => {
+  if (!leg || leg.endedAt) return;
+  leg.status = 'completed';
+  leg.endedAt = now;
+  leg.endReason = reason;
+};
+
+const joinParticipant = (call, party, role, now) => {
+  const present = call.participants.find(participant => participant.party === party && !participant.leftAt);
+  if (present) return present;
+
+  const participant = { party, role, joinedAt: now, leftAt: null };
+  call.participants.push(participant);
+  return participant;
+};
+
+const leaveParticipant = (call, party, now) => {
+  const participant = call.participants.find(entry => entry.party === party && !entry.leftAt);
+  if (participant) participant.leftAt = now;
+};
+
+const getPendingTransfer = (call) =>
+  (call.transfers || []).find(transfer => transfer.status === 'consulting') || null;
+
+const isHandedOff = (call) => Boolean(call.handedOffAt);
+
+const assertCallActive = (call) => {
+  if (ENDED_STATUSES.includes(call.status) || isHandedOff(call)) {
+    throw new Error('Call is no longer active');
+  }
+};
+
+/**
+ * Targets are closers' numbers, extensions or SIP URIs; DNC-listed numbers are refused
+ */
+const assertTargetDialable = async (target) => {
+  if (!target || (!PHONE_TARGET.test(target) && !SIP_TARGET.test(target))) {
+    throw new Error('Transfer target must be a phone number, extension or SIP URI');
+  }
+  if (SIP_TARGET.test(target)) return;
+
+  const blocked = await getBlockedNumbers([target]);
+  if (blocked.size > 0) {
+    throw new Error(`${target} is on the do-not-call list`);
+  }
+};
+
+const updateTwilioCall = async (callSid, options) => {
+  const result = await TwilioService.updateCall(callSid, options);
+  if (!result.success) {
+    throw providerError(`Twilio call update failed: ${result.error}`);
+  }
+  return result;
+};
+
+const dialIntoRoom = async (target, room) => {
+  const result = await TwilioService.makeCall(null, target, { twiml: buildJoinTwiml(room) });
+  if (!result.success) {
+    throw providerError(`Failed to dial ${target}: ${result.error}`);
+  }
+  return result.callSid;
+};
+
+/**
+ * Hand the prospect to the target without consulting first
+ * @returns {Object} The recorded transfer
+ */
+const blindTransfer = async (call, { target, requestedBy = null } = {}) => {
+  ensureCallLegs(call);
+  assertCallActive(call);
+  if (getPendingTransfer(call)) {
+    throw new Error('A warm transfer is already in progress');
+  }
+  await assertTargetDialable(target);
+
+  if (call.twilioCallSid) {
+    await updateTwilioCall(call.twilioCallSid, { twiml: buildBlindTransferTwiml(target) });
+  }
+
+  const now = new Date().toISOString();
+  addLeg(call, { role: 'transfer_target', party: target, status: 'initiated' }, now);
+  endLeg(findLeg(call, 'agent'), 'transferred', now);
+  leaveParticipant(call, call.agentId || 'agent', now);
+  joinParticipant(call, target, 'closer', now);
+
+  const transfer = {
+    id: `transfer-${call.transfers.length + 1}`,
+    type: 'blind',
+    target,
+    status: 'completed',
+    provider: call.twilioCallSid ? 'twilio' : 'sip',
+    requestedBy,
+    requestedAt: now,
+    completedAt: now
+  };
+  call.transfers.push(transfer);
+  call.handedOffAt = now;
+  call.disposition = 'transferred';
+  call.updatedAt = now;
+
+  return transfer;
+};
+
+/**
+ * Put the prospect on hold and dial the target for a private consultation
+ * @param {Object} options - { target, requestedBy, consultCallSid } (consultCallSid for SIP consult legs)
+ * @returns {Object} { transfer, agentRoom } - agentRoom is the Twilio room the agent's browser joins
+ */
+const startAttendedTransfer = async (call, { target, requestedBy = null, consultCallSid = null } = {}) => {
+  ensureCallLegs(call);
+  assertCallActive(call);
+  if (getPendingTransfer(call)) {
+    throw new Error('A warm transfer is already in progress');
+  }
+  await assertTargetDialable(target);
+
+  const rooms = getConferenceRooms(call);
+  let consultSid = consultCallSid;
+
+  if (call.twilioCallSid) {
+    // Dial the closer first so a failed dial leaves the prospect where they were
+    consultSid = await dialIntoRoom(target, rooms.consult);
+    await updateTwilioCall(call.twilioCallSid, { twiml: buildHoldTwiml(rooms.main) });
+  }
+
+  const now = new Date().toISOString();
+  const prospectLeg = findLeg(call, 'prospect');
+  if (prospectLeg) {
+    prospectLeg.status = 'held';
+    prospectLeg.room = call.twilioCallSid ? rooms.main : null;
+  }
+  const agentLeg = findLeg(call, 'agent');
+  if (agentLeg && call.twilioCallSid) agentLeg.room = rooms.consult;
+
+  const consultLeg = addLeg(call, {
+    role: 'consult',
+    party: target,
+    callSid: consultSid,
+    room: call.twilioCallSid ? rooms.consult : null
+  }, now);
+  joinParticipant(call, target, 'closer', now);
+
+  const transfer = {
+    id: `transfer-${call.transfers.length + 1}`,
+    type: 'attended',
+    target,
+    status: 'consulting',
+    provider: call.twilioCallSid ? 'twilio' : 'sip',
+    consultLegId: consultLeg.id,
+    requestedBy,
+    requestedAt: now,
+    completedAt: null
+  };
+  call.transfers.push(transfer);
+  call.updatedAt = now;
+
+  return { transfer, agentRoom: call.twilioCallSid ? rooms.consult : null };
+};
+
+/**
+ * Connect the prospect to the consulted target and drop the agent
+ * (SIP: the agent's REFER with Replaces; Twilio: the closer is redirected into the main room)
+ */
+const completeAttendedTransfer = async (call, { requestedBy = null } = {}) => {
+  ensureCallLegs(call);
+  const transfer = getPendingTransfer(call);
+  if (!transfer) {
+    throw new Error('No warm transfer in progress');
+  }
+
+  const rooms = getConferenceRooms(call);
+  const consultLeg = call.legs.find(leg => leg.id === transfer.consultLegId);
+
+  if (call.twilioCallSid) {
+    await updateTwilioCall(consultLeg.callSid, { twiml: buildJoinTwiml(rooms.main, { endConferenceOnExit: true }) });
+  }
+
+  const now = new Date().toISOString();
+  const prospectLeg = findLeg(call, 'prospect');
+
+  if (call.twilioCallSid) {
+    consultLeg.room = rooms.main;
+    if (prospectLeg) prospectLeg.status = 'active';
+  } else {
+    // INVITE with Replaces swaps both of the agent's dialogs for one prospect-to-closer dialog
+    endLeg(prospectLeg, 'transferred', now);
+    endLeg(consultLeg, 'replaced', now);
+    addLeg(call, { role: 'transfer_target', party: transfer.target, replaces: consultLeg.id }, now);
+  }
+
+  endLeg(findLeg(call, 'agent'), 'transferred', now);
+  leaveParticipant(call, call.agentId || 'agent', now);
+
+  transfer.status = 'completed';
+  transfer.completedAt = now;
+  transfer.completedBy = requestedBy;
+  call.handedOffAt = now;
+  call.disposition = 'transferred';
+  call.updatedAt = now;
+
+  return transfer;
+};
+
+/**
+ * Hang up on the consulted target and take the prospect off hold
+ * @returns {Object} { transfer, agentRoom } - the agent rejoins the main room on Twilio
+ */
+const cancelAttendedTransfer = async (call) => {
+  ensureCallLegs(call);
+  const transfer = getPendingTransfer(call);
+  if (!transfer) {
+    throw new Error('No warm transfer in progress');
+  }
+
+  const rooms = getConferenceRooms(call);
+  const consultLeg = call.legs.find(leg => leg.id === transfer.consultLegId);
+
+  if (call.twilioCallSid && consultLeg.callSid) {
+    await updateTwilioCall(consultLeg.callSid, { status: 'completed' });
+  }
+
+  const now = new Date().toISOString();
+  endLeg(consultLeg, 'cancelled', now);
+  leaveParticipant(call, transfer.target, now);
+
+  const prospectLeg = findLeg(call, 'prospect');
+  if (prospectLeg) prospectLeg.status = 'active';
+  const agentLeg = findLeg(call, 'agent');
+  if (agentLeg && call.twilioCallSid) agentLeg.room = rooms.main;
+
+  transfer.status = 'cancelled';
+  transfer.completedAt = now;
+  call.updatedAt = now;
+
+  return { transfer, agentRoom: call.twilioCallSid ? rooms.main : null };
+};
+
+/**
+ * Three-way conference: merges a warm-transfer consultation, or dials the target straight in
+ * @param {Object} options - { target, requestedBy, participantCallSid } (target ignored when merging)
+ * @returns {Object} { conference, agentRoom }
+ */
+const startConference = async (call, { target = null, requestedBy = null, participantCallSid = null } = {}) => {
+  ensureCallLegs(call);
+  assertCallActive(call);
+  if (call.conference && !call.conference.endedAt) {
+    throw new Error('Call is already a conference');
+  }
+
+  const rooms = getConferenceRooms(call);
+  const pending = getPendingTransfer(call);
+  const now = new Date().toISOString();
+  let participantLeg;
+
+  if (pending) {
+    participantLeg = call.legs.find(leg => leg.id === pending.consultLegId);
+    if (call.twilioCallSid) {
+      await updateTwilioCall(participantLeg.callSid, { twiml: buildJoinTwiml(rooms.main) });
+    }
+    participantLeg.room = call.twilioCallSid ? rooms.main : null;
+    pending.status = 'conferenced';
+    pending.completedAt = now;
+  } else {
+    await assertTargetDialable(target);
+
+    let callSid = participantCallSid;
+    if (call.twilioCallSid) {
+      callSid = await dialIntoRoom(target, rooms.main);
+      await updateTwilioCall(call.twilioCallSid, { twiml: buildHoldTwiml(rooms.main) });
+    }
+    participantLeg = addLeg(call, {
+      role: 'conference',
+      party: target,
+      callSid,
+      room: call.twilioCallSid ? rooms.main : null
+    }, now);
+    joinParticipant(call, target, 'conference', now);
+  }
+
+  const prospectLeg = findLeg(call, 'prospect');
+  if (prospectLeg) {
+    prospectLeg.status = 'active';
+    if (call.twilioCallSid) prospectLeg.room = rooms.main;
+  }
+  const agentLeg = findLeg(call, 'agent');
+  if (agentLeg && call.twilioCallSid) agentLeg.room = rooms.main;
+
+  call.conference = {
+    room: call.twilioCallSid ? rooms.main : null,
+    startedAt: now,
+    startedBy: requestedBy,
+    endedAt: null,
+    legIds: call.legs.filter(leg => !leg.endedAt).map(leg => leg.id)
+  };
+  call.updatedAt = now;
+
+  return { conference: call.conference, agentRoom: call.twilioCallSid ? rooms.main : null };
+};
+
+/**
+ * Close whatever is still open when the agent ends the call
+ */
+const closeCallLegs = (call, reason = 'hangup') => {
+  if (!call.legs) return call;
+
+  const now = new Date().toISOString();
+  call.legs.forEach(leg => endLeg(leg, reason, now));
+  call.participants.forEach(participant => {
+    if (!participant.leftAt) participant.leftAt = now;
+  });
+  if (call.conference && !call.conference.endedAt) call.conference.endedAt = now;
+  const pending = getPendingTransfer(call);
+  if (pending) {
+    pending.status = 'cancelled';
+    pending.completedAt = now;
+  }
+  return call;
+};
+
+/**
+ * Drop the agent while the prospect's leg carries on without them (e.g. a voicemail drop)
+ */
+const releaseAgentLeg = (call, reason, now = new Date().toISOString()) => {
+  ensureCallLegs(call);
+  endLeg(findLeg(call, 'agent'), reason, now);
+  leaveParticipant(call, call.agentId || 'agent', now);
+  call.handedOffAt = now;
+  call.updatedAt = now;
+  return call;
+};
+
+/**
+ * Every leg, participant, transfer and conference recorded on a call
+ */
+const getCallLegs = (call) => {
+  ensureCallLegs(call);
+  return {
+    callId: call.id,
+    legs: call.legs,
+    participants: call.participants,
+    transfers: call.transfers,
+    conference: call.conference,
+    handedOffAt: call.handedOffAt || null
+  };
+};
+
+module.exports = {
+  TRANSFER_TYPES,
+  getConferenceRooms,
+  buildBlindTransferTwiml,
+  buildHoldTwiml,
+  buildJoinTwiml,
+  ensureCallLegs,
+  isHandedOff,
+  blindTransfer,
+  startAttendedTransfer,
+  completeAttendedTransfer,
+  cancelAttendedTransfer,
+  startConference,
+  closeCallLegs,
+  releaseAgentLeg,
+  getCallLegs
+};
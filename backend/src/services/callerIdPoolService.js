@@ -0,0 +1,383 @@
+/**
+ * Caller ID Pool Service - Local caller IDs from a managed pool of outbound numbers
+ *
+ * Each outbound call shows the lead the pool number closest to them: the number the
+ * lead was shown before, else one in the lead's area code, state or time zone. A number
+ * drops out for the rest of the day at its daily cap. Answer rates are tracked over the
+ * latest outcomes; a number that falls below the minimum is rested for a while, and a
+ * number a manager flags (spam-labelled, carrier-blocked) rests until reactivated.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, CallerIdNumber, CallerIdAssignment } = require('../database/models');
+const { NUMBER_STATUSES } = require('../database/models/CallerIdNumber');
+const { normalizePhoneKey } = require('./enrichmentProviders/phoneMetadataProvider');
+const { getTimeZoneForPhone } = require('../utils/areaCodeTimeZones');
+const { getAreaCode, getStateForPhone } = require('../utils/areaCodeStates');
+const TwilioService = require('./twilioService');
+
+const ANSWER_RATE_WINDOW = 50;
+const MIN_CALLS_FOR_RATE = 20;
+const MATCH_RANKS = { area_code: 3, state: 2, time_zone: 1, any: 0 };
+const EDITABLE_FIELDS = ['friendlyName', 'locality', 'state', 'dailyCap', 'status'];
+
+const providerError = (message) => {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  return error;
+};
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Pool limits, read on each use so they can change without a restart. Daily caps reset
+ * at midnight in capTimeZone, the business's calling day rather than the UTC date.
+ * @returns {Object} { dailyCap, minAnswerRate, restHours, capTimeZone }
+ */
+const getPoolSettings = () => ({
+  dailyCap: parseNumber(process.env.CALLER_ID_DAILY_CAP, 100),
+  minAnswerRate: parseNumber(process.env.CALLER_ID_MIN_ANSWER_RATE, 0.08),
+  restHours: parseNumber(process.env.CALLER_ID_REST_HOURS, 72),
+  capTimeZone: process.env.CALLER_ID_CAP_TIME_ZONE || process.env.CALLING_DEFAULT_TIME_ZONE || 'America/New_York'
+});
+
+/**
+ * Business day a moment falls on, as YYYY-MM-DD
+ */
+const toDateKey = (now, timeZone = getPoolSettings().capTimeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+
+const getCallsToday = (number, now = new Date()) =>
+  (number.callsTodayDate === toDateKey(now) ? number.callsToday : 0);
+
+/**
+ * @returns {number|null} Share of the recent outcomes that were answered
+ */
+const getAnswerRate = (number) => {
+  const outcomes = number.recentOutcomes || [];
+  if (outcomes.length === 0) return null;
+  return outcomes.filter(Boolean).length / outcomes.length;
+};
+
+const serializeNumber = (number, now = new Date()) => ({
+  ...number.toJSON(),
+  callerId: `+${number.phoneNumber}`,
+  callsToday: getCallsToday(number, now),
+  answerRate: getAnswerRate(number),
+  isFlagged: Boolean(number.flaggedAt)
+});
+
+const normalizeState = (state) => {
+  const code = String(state || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+const isUsable = (number, now) => number.status === 'active' && getCallsToday(number, now) < number.dailyCap;
+
+/**
+ * Put numbers whose low-answer-rate rest is over back in rotation with a fresh window
+ */
+const wakeRestedNumbers = async (now = new Date()) => {
+  const [count] = await CallerIdNumber.update(
+    { status: 'active', restingUntil: null, restReason: null, recentOutcomes: [] },
+    { where: { status: 'resting', flaggedAt: null, restingUntil: { [Op.lte]: now } } }
+  );
+  return count;
+};
+
+const matchNumber = (number, target) => {
+  if (target.areaCode && number.areaCode === target.areaCode) return 'area_code';
+  if (target.state && number.state === target.state) return 'state';
+  if (target.timeZone && getTimeZoneForPhone(number.phoneNumber) === target.timeZone) return 'time_zone';
+  return 'any';
+};
+
+// Closest match first, then the least-used share of the daily cap, then the better answer rate
+const compareCandidates = (now) => (a, b) =>
+  MATCH_RANKS[b.match] - MATCH_RANKS[a.match]
+  || getCallsToday(a.number, now) / a.number.dailyCap - getCallsToday(b.number, now) / b.number.dailyCap
+  || (getAnswerRate(b.number) ?? 1) - (getAnswerRate(a.number) ?? 1);
+
+/**
+ * Pick the caller ID for an outbound call and remember it for the lead
+ * A lead keeps its number while it is active; on a day the number is capped the lead
+ * gets another one for that call only.
+ * @param {Object} target - { phoneNumber, leadId, state } - state is the lead's, when known
+ * @returns {Promise<Object|null>} { number, callerId, match: 'sticky'|'area_code'|'state'|'time_zone'|'any' },
+ *          or null when the pool has nothing available
+ */
+const selectCallerId = async ({ phoneNumber, leadId = null, state = null, now = new Date() } = {}) => {
+  await wakeRestedNumbers(now);
+
+  const assignment = leadId
+    ? await CallerIdAssignment.findOne({
+      where: { leadId: String(leadId) },
+      include: [{ model: CallerIdNumber, as: 'number' }]
+    })
+    : null;
+
+  if (assignment && assignment.number && isUsable(assignment.number, now)) {
+    await assignment.update({ lastUsedAt: now });
+    return { number: assignment.number, callerId: `+${assignment.number.phoneNumber}`, match: 'sticky' };
+  }
+
+  const numbers = await CallerIdNumber.findAll({ where: { status: 'active' } });
+  const phoneKey = normalizePhoneKey(phoneNumber);
+  const target = {
+    areaCode: getAreaCode(phoneKey),
+    state: normalizeState(state) || getStateForPhone(phoneKey),
+    timeZone: getTimeZoneForPhone(phoneKey)
+  };
+
+  const [best] = numbers
+    .filter(number => isUsable(number, now))
+    .map(number => ({ number, match: matchNumber(number, target) }))
+    .sort(compareCandidates(now));
+  if (!best) return null;
+
+  const keepsAssignment = assignment && assignment.number && assignment.number.status === 'active';
+  if (leadId && !keepsAssignment) {
+    if (assignment) {
+      await assignment.update({ callerIdNumberId: best.number.id, lastUsedAt: now });
+    } else {
+      await CallerIdAssignment.create({ leadId: String(leadId), callerIdNumberId: best.number.id, lastUsedAt: now });
+    }
+  }
+
+  return { number: best.number, callerId: `+${best.number.phoneNumber}`, match: best.match };
+};
+
+// Counter writes in this process run one at a time: SQLite has a single connection and
+// cannot open a second transaction inside the first. The row lock keeps other servers out.
+let counterWrites = Promise.resolve();
+
+/**
+ * Read-modify-write a pool number under a row lock, so concurrent dials and status
+ * callbacks on the same number each see the previous one's counts
+ * @param {Function} change - (lockedNumber, transaction) => Promise
+ * @returns {Promise<Object>} The caller's instance, reloaded
+ */
+const withLockedNumber = (number, change) => {
+  const write = counterWrites.then(() => sequelize.transaction(async (transaction) => {
+    const locked = await CallerIdNumber.findByPk(number.id, { transaction, lock: transaction.LOCK.UPDATE });
+    await change(locked, transaction);
+  }));
+  counterWrites = write.catch(() => {});
+  return write.then(() => number.reload());
+};
+
+/**
+ * Count a call placed from a pool number against today's cap
+ */
+const recordCallPlaced = (number, now = new Date()) => withLockedNumber(number, (locked, transaction) => locked.update({
+  callsToday: getCallsToday(locked, now) + 1,
+  callsTodayDate: toDateKey(now),
+  totalCalls: locked.totalCalls + 1,
+  lastUsedAt: now
+}, { transaction }));
+
+/**
+ * Rest a number; without hours it stays out until a manager reactivates it
+ */
+const restNumber = (number, { reason, hours = null, now = new Date(), transaction } = {}) => number.update({
+  status: 'resting',
+  restReason: reason,
+  restingUntil: hours ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null
+}, { transaction });
+
+/**
+ * Record whether a call from a pool number was answered, and rest the number when its
+ * answer rate over the window falls below the minimum
+ * @param {string} phoneNumber - The caller ID the call went out with
+ * @returns {Promise<Object|null>} The updated number, or null when it is not in the pool
+ */
+const recordCallOutcome = async (phoneNumber, { answered, now = new Date() }) => {
+  const phoneKey = normalizePhoneKey(phoneNumber);
+  const number = phoneKey ? await CallerIdNumber.findOne({ where: { phoneNumber: phoneKey } }) : null;
+  if (!number) return null;
+
+  return withLockedNumber(number, async (locked, transaction) => {
+    await locked.update({
+      recentOutcomes: [...(locked.recentOutcomes || []), Boolean(answered)].slice(-ANSWER_RATE_WINDOW),
+      answeredCalls: locked.answeredCalls + (answered ? 1 : 0)
+    }, { transaction });
+
+    const { minAnswerRate, restHours } = getPoolSettings();
+    const answerRate = getAnswerRate(locked);
+    if (locked.status === 'active' && locked.recentOutcomes.length >= MIN_CALLS_FOR_RATE && answerRate < minAnswerRate) {
+      await restNumber(locked, { reason: 'low_answer_rate', hours: restHours, now, transaction });
+      console.warn('⚠️ Caller ID rested for a low answer rate:', {
+        phoneNumber: locked.phoneNumber,
+        answerRate: Math.round(answerRate * 100) / 100
+      });
+    }
+  });
+};
+
+const listNumbers = async ({ status } = {}) => {
+  const where = status ? { status } : {};
+  const numbers = await CallerIdNumber.findAll({ where, order: [['state', 'ASC'], ['areaCode', 'ASC'], ['phoneNumber', 'ASC']] });
+  const now = new Date();
+  return numbers.map(number => serializeNumber(number, now));
+};
+
+const findNumber = (id) => CallerIdNumber.findByPk(id);
+
+const assertNotInPool = async (phoneKey) => {
+  const existing = await CallerIdNumber.findOne({ where: { phoneNumber: phoneKey } });
+  if (existing) {
+    const error = new Error(`+${phoneKey} is already in the caller ID pool`);
+    error.code = 'DUPLICATE_NUMBER';
+    throw error;
+  }
+};
+
+/**
+ * Add a number the account already owns to the pool
+ * @param {Object} data - { phoneNumber, state, locality, friendlyName, dailyCap, twilioSid }
+ */
+const addNumber = async (data, { addedBy } = {}) => {
+  const phoneKey = normalizePhoneKey(data.phoneNumber);
+  if (!phoneKey) {
+    throw new Error('A valid phoneNumber is required');
+  }
+
+  await assertNotInPool(phoneKey);
+
+  const number = await CallerIdNumber.create({
+    phoneNumber: phoneKey,
+    areaCode: getAreaCode(phoneKey),
+    state: normalizeState(data.state) || getStateForPhone(phoneKey),
+    locality: data.locality || null,
+    friendlyName: data.friendlyName || null,
+    twilioSid: data.twilioSid || null,
+    dailyCap: data.dailyCap || getPoolSettings().dailyCap,
+    addedBy: addedBy || null
+  });
+  return serializeNumber(number);
+};
+
+/**
+ * Change a number's details; status 'active' clears any rest or flag, 'retired' takes it out for good
+ */
+const updateNumber = async (id, data) => {
+  const number = await findNumber(id);
+  if (!number) return null;
+
+  const values = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+  if (values.state !== undefined) {
+    values.state = normalizeState(values.state);
+  }
+  if (values.status !== undefined) {
+    if (!NUMBER_STATUSES.includes(values.status) || values.status === 'resting') {
+      throw new Error('status must be active or retired; flag a number to rest it');
+    }
+    if (values.status === 'active') {
+      Object.assign(values, { restingUntil: null, restReason: null, flaggedAt: null, flagReason: null, recentOutcomes: [] });
+    }
+  }
+
+  await number.update(values);
+  return serializeNumber(number);
+};
+
+/**
+ * Rest a number that is spam-labelled or blocked until a manager reactivates it
+ */
+const flagNumber = async (id, { reason = null, now = new Date() } = {}) => {
+  const number = await findNumber(id);
+  if (!number) return null;
+  if (number.status === 'retired') {
+    throw new Error('Retired numbers cannot be flagged');
+  }
+
+  await number.update({ flaggedAt: now, flagReason: reason });
+  await restNumber(number, { reason: 'flagged', now });
+  return serializeNumber(number);
+};
+
+const deleteNumber = async (id) => {
+  await CallerIdAssignment.destroy({ where: { callerIdNumberId: id } });
+  const removed = await CallerIdNumber.destroy({ where: { id } });
+  return removed > 0;
+};
+
+/**
+ * Numbers for sale in an area code or state, marking any already in the pool
+ * @param {Object} criteria - { areaCode, state, contains, limit }
+ */
+const searchAvailableNumbers = async ({ areaCode, state, contains, limit } = {}) => {
+  let result;
+  try {
+    result = await TwilioService.searchPhoneNumbers('US', {
+      areaCode,
+      inRegion: normalizeState(state) || undefined,
+      contains,
+      limit: Math.min(parseInt(limit) || 20, 50)
+    });
+  } catch (error) {
+    throw providerError(error.message);
+  }
+  if (!result.success) {
+    throw providerError(`Twilio number search failed: ${result.error}`);
+  }
+
+  const keys = result.phoneNumbers.map(number => normalizePhoneKey(number.phoneNumber));
+  const pooled = await CallerIdNumber.findAll({ where: { phoneNumber: { [Op.in]: keys } }, attributes: ['phoneNumber'] });
+  const inPool = new Set(pooled.map(number => number.phoneNumber));
+
+  return result.phoneNumbers.map((number, index) => ({ ...number, inPool: inPool.has(keys[index]) }));
+};
+
+/**
+ * Buy a number from searchAvailableNumbers and add it to the pool
+ * @param {Object} data - { phoneNumber, locality, region, friendlyName, dailyCap }
+ */
+const purchaseNumber = async (data, { addedBy } = {}) => {
+  const phoneKey = normalizePhoneKey(data.phoneNumber);
+  if (!phoneKey) {
+    throw new Error('A valid phoneNumber is required');
+  }
+  await assertNotInPool(phoneKey);
+
+  let result;
+  try {
+    result = await TwilioService.purchasePhoneNumber(`+${phoneKey}`, { friendlyName: data.friendlyName });
+  } catch (error) {
+    throw providerError(error.message);
+  }
+  if (!result.success) {
+    throw providerError(`Twilio number purchase failed: ${result.error}`);
+  }
+
+  return addNumber({
+    ...data,
+    phoneNumber: result.phoneNumber,
+    state: data.state || data.region,
+    friendlyName: result.friendlyName,
+    twilioSid: result.sid
+  }, { addedBy });
+};
+
+module.exports = {
+  ANSWER_RATE_WINDOW,
+  MIN_CALLS_FOR_RATE,
+  getPoolSettings,
+  getAnswerRate,
+  selectCallerId,
+  recordCallPlaced,
+  recordCallOutcome,
+  listNumbers,
+  addNumber,
+  updateNumber,
+  flagNumber,
+  deleteNumber,
+  searchAvailableNumbers,
+  purchaseNumber
+};
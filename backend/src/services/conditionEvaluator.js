@@ -0,0 +1,383 @@
+/**
+ * Condition Evaluator
+ * Evaluates automation rule conditions and reports which clauses passed.
+ *
+ * A condition object is an implicit AND of its keys. Field keys are dot paths into the
+ * context and take a literal (equality) or an operator object whose operators must all hold:
+ *   { "lead.status": { "$in": ["new", "contacted"] }, "lead.score": { "$gte": 10, "$lte": 50 } }
+ * Groups nest freely:
+ *   { "$or": [{ "outcome": "no_answer" }, { "$not": { "lead.email": { "$exists": true } } }] }
+ * `$calls` aggregates the lead's call history; its `where` uses the same language per call:
+ *   { "$calls": { "where": { "outcome": "no_answer" }, "within": "7d", "count": { "$gte": 3 } } }
+ */
+
+const { Op } = require('sequelize');
+const { CallLog } = require('../database/models');
+const { callLogs } = require('../data/dataStore');
+
+const DURATION_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+const UNIT_ALIASES = {
+  minutes: 'm', minute: 'm', hours: 'h', hour: 'h', days: 'd', day: 'd', weeks: 'w', week: 'w'
+};
+const FIELD_OPERATORS = [
+  '$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$contains', '$exists',
+  '$regex', '$olderThan', '$newerThan', '$before', '$after'
+];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Call history is looked back no further than this when an aggregate has no `within`
+const MAX_HISTORY_DAYS = 365;
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * "No Answer" (call log display outcome) to "no_answer" (CallLog and follow-up outcome)
+ */
+const normalizeOutcome = (outcome) =>
+  (outcome ? String(outcome).trim().toLowerCase().replace(/[\s-]+/g, '_') : null);
+
+const getContextValue = (context, path) => path.split('.').reduce((obj, key) => obj?.[key], context);
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * "3d", "12h", "30m", "2w" or { value: 3, unit: "days" } to milliseconds
+ * @returns {number|null}
+ */
+const parseDuration = (duration) => {
+  if (isPlainObject(duration)) {
+    const unit = UNIT_ALIASES[duration.unit] || duration.unit;
+    return typeof duration.value === 'number' && DURATION_MS[unit] ? duration.value * DURATION_MS[unit] : null;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(String(duration).trim());
+  return match ? parseFloat(match[1]) * DURATION_MS[match[2]] : null;
+};
+
+/**
+ * "pattern", "/pattern/flags" or { pattern, flags }
+ */
+const toRegExp = (expected) => {
+  if (isPlainObject(expected)) {
+    return new RegExp(expected.pattern, expected.flags || '');
+  }
+
+  const literal = /^\/(.+)\/([gimsuy]*)$/.exec(String(expected));
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(String(expected));
+};
+
+const isEqual = (actual, expected) => {
+  if (actual instanceof Date || expected instanceof Date) {
+    return toTime(actual) !== null && toTime(actual) === toTime(expected);
+  }
+  return actual === expected;
+};
+
+/**
+ * Sign of actual - expected for numbers, dates and strings; NaN when they can't be ordered
+ */
+const order = (actual, expected) => {
+  if (actual === undefined || actual === null) return NaN;
+
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return actual - expected;
+  }
+  if (actual instanceof Date || expected instanceof Date) {
+    const a = toTime(actual);
+    const b = toTime(expected);
+    return a === null || b === null ? NaN : a - b;
+  }
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    return actual.localeCompare(expected);
+  }
+  return NaN;
+};
+
+/**
+ * Apply one operator
+ */
+const compareValues = (actual, operator, expected, now = new Date()) => {
+  switch (operator) {
+    case '$eq':
+      return isEqual(actual, expected);
+    case '$ne':
+      return !isEqual(actual, expected);
+    case '$in':
+      return Array.isArray(expected) && (Array.isArray(actual)
+        ? actual.some(item => expected.includes(item))
+        : expected.some(item => isEqual(actual, item)));
+    case '$nin':
+      return Array.isArray(expected) && (Array.isArray(actual)
+        ? !actual.some(item => expected.includes(item))
+        : !expected.some(item => isEqual(actual, item)));
+    case '$gt':
+      return order(actual, expected) > 0;
+    case '$gte':
+      return order(actual, expected) >= 0;
+    case '$lt':
+      return order(actual, expected) < 0;
+    case '$lte':
+      return order(actual, expected) <= 0;
+    case '$contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.includes(expected);
+    case '$exists':
+      return (actual !== undefined && actual !== null) === Boolean(expected);
+    case '$regex':
+      return typeof actual === 'string' && toRegExp(expected).test(actual);
+    case '$olderThan': {
+      const at = toTime(actual);
+      const duration = parseDuration(expected);
+      return at !== null && duration !== null && at < now.getTime() - duration;
+    }
+    case '$newerThan': {
+      const at = toTime(actual);
+      const duration = parseDuration(expected);
+      return at !== null && duration !== null && at >= now.getTime() - duration;
+    }
+    case '$before': {
+      const at = toTime(actual);
+      const limit = toTime(expected);
+      return at !== null && limit !== null && at < limit;
+    }
+    case '$after': {
+      const at = toTime(actual);
+      const limit = toTime(expected);
+      return at !== null && limit !== null && at > limit;
+    }
+    default:
+      return false;
+  }
+};
+
+const runChecks = (actual, spec, now) => {
+  const operators = isOperatorObject(spec) ? Object.entries(spec) : [['$eq', spec]];
+  return operators.map(([operator, expected]) => ({
+    operator,
+    expected,
+    passed: compareValues(actual, operator, expected, now)
+  }));
+};
+
+const validateOperators = (operators, at) => {
+  const problems = [];
+
+  for (const [operator, expected] of Object.entries(operators)) {
+    if (!FIELD_OPERATORS.includes(operator)) {
+      problems.push(`${at}: unknown operator ${operator}`);
+    } else if ((operator === '$in' || operator === '$nin') && !Array.isArray(expected)) {
+      problems.push(`${at}: ${operator} needs an array`);
+    } else if ((operator === '$olderThan' || operator === '$newerThan') && parseDuration(expected) === null) {
+      problems.push(`${at}: ${operator} needs a duration such as "3d"`);
+    } else if ((operator === '$before' || operator === '$after') && toTime(expected) === null) {
+      problems.push(`${at}: ${operator} needs a date`);
+    } else if (operator === '$regex') {
+      try {
+        toRegExp(expected);
+      } catch (error) {
+        problems.push(`${at}: invalid $regex (${error.message})`);
+      }
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Check a condition object without evaluating it
+ * @returns {Array<string>} Problems found; empty when the conditions are valid
+ */
+const validate = (conditions, path = '', { insideAggregate = false } = {}) => {
+  if (!isPlainObject(conditions)) {
+    return [`${path || 'conditions'} must be an object`];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(conditions)) {
+    const at = path ? `${path}.${key}` : key;
+
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        problems.push(`${at} must be a non-empty array of conditions`);
+        continue;
+      }
+      value.forEach((child, index) => {
+        problems.push(...validate(child, `${at}[${index}]`, { insideAggregate }));
+      });
+    } else if (key === '$not') {
+      problems.push(...validate(value, at, { insideAggregate }));
+    } else if (key === '$calls') {
+      if (insideAggregate) {
+        problems.push(`${at} cannot be nested inside another $calls`);
+        continue;
+      }
+      problems.push(...validateAggregate(value, at));
+    } else if (key.startsWith('$')) {
+      problems.push(`${at} is not a known group operator`);
+    } else if (isOperatorObject(value)) {
+      problems.push(...validateOperators(value, at));
+    }
+  }
+
+  return problems;
+};
+
+const validateAggregate = (spec, at) => {
+  if (!isPlainObject(spec)) {
+    return [`${at} must be an object`];
+  }
+
+  const problems = [];
+  if (spec.within !== undefined && parseDuration(spec.within) === null) {
+    problems.push(`${at}.within must be a duration such as "7d"`);
+  }
+  if (spec.where !== undefined) {
+    problems.push(...validate(spec.where, `${at}.where`, { insideAggregate: true }));
+  }
+  if (spec.count === undefined) {
+    problems.push(`${at}.count is required`);
+  } else if (isOperatorObject(spec.count)) {
+    problems.push(...validateOperators(spec.count, `${at}.count`));
+  } else if (typeof spec.count !== 'number') {
+    problems.push(`${at}.count must be a number or an operator object`);
+  }
+
+  return problems;
+};
+
+/**
+ * The lead's calls in the last MAX_HISTORY_DAYS: logged calls for leads in the Lead table,
+ * plus the in-memory call log; loaded once per evaluation
+ */
+const loadCallHistory = async (state) => {
+  if (state.history) return state.history;
+
+  const { context } = state;
+  const leadId = context.leadId || context.lead?.id || context.call?.leadId;
+  if (!leadId) {
+    state.history = [];
+    return state.history;
+  }
+
+  const since = new Date(state.now.getTime() - MAX_HISTORY_DAYS * DURATION_MS.d);
+  const logged = UUID_PATTERN.test(String(leadId))
+    ? await CallLog.findAll({ where: { leadId: String(leadId), initiatedAt: { [Op.gte]: since } } })
+    : [];
+
+  state.history = [
+    ...logged.map(call => call.toJSON()),
+    ...callLogs
+      .filter(call => String(call.leadId) === String(leadId))
+      .map(call => ({ ...call, outcome: normalizeOutcome(call.outcome) }))
+  ];
+  return state.history;
+};
+
+/**
+ * Count the lead's calls that match `where` inside the `within` window
+ */
+const evaluateCallAggregate = async (spec, state) => {
+  const windowMs = spec.within !== undefined ? parseDuration(spec.within) : null;
+  const since = state.now.getTime() - (windowMs || MAX_HISTORY_DAYS * DURATION_MS.d);
+  const history = await loadCallHistory(state);
+
+  let count = 0;
+  for (const call of history) {
+    const at = toTime(call.initiatedAt || call.createdAt);
+    if (at === null || at < since || at > state.now.getTime()) continue;
+
+    // eslint-disable-next-line no-use-before-define
+    if (spec.where && !(await evaluateObject(spec.where, { ...state, context: call })).passed) continue;
+    count += 1;
+  }
+
+  const checks = runChecks(count, spec.count, state.now);
+  return {
+    aggregate: '$calls',
+    where: spec.where || {},
+    within: spec.within || null,
+    actual: count,
+    passed: checks.every(check => check.passed),
+    checks
+  };
+};
+
+const evaluateClause = async (key, value, state) => {
+  if (key === '$and' || key === '$or') {
+    const children = [];
+    for (const child of value) {
+      // eslint-disable-next-line no-use-before-define
+      children.push(await evaluateObject(child, state));
+    }
+    const passed = key === '$and'
+      ? children.every(child => child.passed)
+      : children.some(child => child.passed);
+    return { group: key, passed, clauses: children };
+  }
+
+  if (key === '$not') {
+    // eslint-disable-next-line no-use-before-define
+    const inner = await evaluateObject(value, state);
+    return { group: '$not', passed: !inner.passed, clauses: inner.clauses };
+  }
+
+  if (key === '$calls') {
+    return evaluateCallAggregate(value, state);
+  }
+
+  const actual = getContextValue(state.context, key);
+  const checks = runChecks(actual, value, state.now);
+  return {
+    field: key,
+    actual: actual === undefined ? null : actual,
+    passed: checks.every(check => check.passed),
+    checks
+  };
+};
+
+/**
+ * Implicit AND over an object's keys
+ */
+const evaluateObject = async (conditions, state) => {
+  const clauses = [];
+  for (const [key, value] of Object.entries(conditions)) {
+    clauses.push(await evaluateClause(key, value, state));
+  }
+  return { passed: clauses.every(clause => clause.passed), clauses };
+};
+
+/**
+ * Evaluate conditions against a context
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} context - { leadId, lead, call, outcome, ... }; a `callHistory` array is used
+ *   instead of the stored calls for `$calls`
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { passed, clauses } with a pass/fail trace for every clause
+ */
+const evaluate = async (conditions, context = {}, { now = new Date() } = {}) => {
+  const state = { context, now, history: context.callHistory || null };
+  const { passed, clauses } = await evaluateObject(conditions || {}, state);
+  return { passed, clauses };
+};
+
+module.exports = {
+  evaluate,
+  validate,
+  compareValues,
+  parseDuration,
+  normalizeOutcome,
+  FIELD_OPERATORS
+};
@@ -0,0 +1,364 @@
+/**
+ * Conversion Model Service
+ * Trains a lead conversion model on lead attributes and EnhancedCallLog history,
+ * keeps it only if it beats the holdout AUC floor, and fills
+ * Lead.conversionProbability for every lead on a schedule. Training examples see
+ * only the calls made before the lead closed, the same view scoring has of open leads.
+ */
+
+const { Op } = require('sequelize');
+const { Lead, EnhancedCallLog, ConversionModel } = require('../database/models');
+const { getActivitiesByLead } = require('./leadTracking');
+const {
+  buildFeatureSpec,
+  getColumnNames,
+  encodeRow,
+  trainLogisticRegression,
+  predictProbability,
+  evaluatePredictions,
+  isHoldout
+} = require('./conversionModelTrainer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+const CLOSED_STATUSES = new Set(['closed_won', 'closed_lost']);
+
+const CONNECTED_OUTCOMES = new Set(['connected', 'interested', 'callback_requested', 'meeting_scheduled', 'qualified']);
+const NEGATIVE_OUTCOMES = new Set(['not_interested', 'disqualified', 'dnc', 'wrong_number']);
+const DECISION_MAKER_TITLES = ['ceo', 'cto', 'cfo', 'coo', 'vp', 'vice president', 'director', 'head', 'owner', 'founder', 'president'];
+
+// Raw features; numeric ones are standardised, categorical ones one-hot encoded
+const FEATURES = [
+  { name: 'industry', type: 'categorical' },
+  { name: 'companySize', type: 'categorical' },
+  { name: 'leadSource', type: 'categorical' },
+  { name: 'priority', type: 'categorical' },
+  { name: 'decisionMaker', type: 'numeric' },
+  { name: 'dataQualityScore', type: 'numeric' },
+  { name: 'estimatedValue', type: 'numeric', log: true },
+  { name: 'emailsSent', type: 'numeric', log: true },
+  { name: 'callCount', type: 'numeric', log: true },
+  { name: 'connectRate', type: 'numeric' },
+  { name: 'meetingCalls', type: 'numeric', log: true },
+  { name: 'interestedCalls', type: 'numeric', log: true },
+  { name: 'callbackCalls', type: 'numeric', log: true },
+  { name: 'negativeCalls', type: 'numeric', log: true },
+  { name: 'voicemailRate', type: 'numeric' },
+  { name: 'talkMinutes', type: 'numeric', log: true },
+  { name: 'averageCallQuality', type: 'numeric' },
+  { name: 'daysSinceLastCall', type: 'numeric', log: true }
+];
+
+class ConversionModelService {
+  constructor() {
+    this.intervalHours = parseFloat(process.env.CONVERSION_MODEL_INTERVAL_HOURS) || 24;
+    this.minTrainingLeads = parseInt(process.env.CONVERSION_MODEL_MIN_TRAINING_LEADS) || 50;
+    this.holdoutFraction = parseFloat(process.env.CONVERSION_MODEL_HOLDOUT_FRACTION) || 0.2;
+    this.minAuc = parseFloat(process.env.CONVERSION_MODEL_MIN_AUC) || 0.6;
+    // Open leads older than this without a win count as not converted
+    this.conversionWindowDays = parseInt(process.env.CONVERSION_WINDOW_DAYS) || 90;
+
+    this.scheduleInterval = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Summarise a lead's calls into numeric features
+   */
+  summarizeCalls(calls, now) {
+    const count = calls.length;
+    const countOutcome = (test) => calls.filter(call => test(call.outcome)).length;
+    const qualityScores = calls
+      .map(call => call.callQuality && Number(call.callQuality.overallScore))
+      .filter(score => score && !isNaN(score));
+    const lastCall = calls.reduce((latest, call) =>
+      !latest || new Date(call.initiatedAt) > new Date(latest) ? call.initiatedAt : latest, null);
+
+    return {
+      callCount: count,
+      connectRate: count ? countOutcome(outcome => CONNECTED_OUTCOMES.has(outcome)) / count : null,
+      meetingCalls: countOutcome(outcome => outcome === 'meeting_scheduled'),
+      interestedCalls: countOutcome(outcome => outcome === 'interested' || outcome === 'qualified'),
+      callbackCalls: countOutcome(outcome => outcome === 'callback_requested'),
+      negativeCalls: countOutcome(outcome => NEGATIVE_OUTCOMES.has(outcome)),
+      voicemailRate: count ? countOutcome(outcome => outcome === 'voicemail') / count : null,
+      talkMinutes: calls.reduce((sum, call) => sum + (call.talkTime || call.duration || 0), 0) / 60,
+      averageCallQuality: qualityScores.length
+        ? qualityScores.reduce((sum, score) => sum + score, 0) / qualityScores.length
+        : null,
+      daysSinceLastCall: lastCall ? Math.max(0, (now - new Date(lastCall)) / DAY_MS) : null
+    };
+  }
+
+  /**
+   * Raw feature object for a lead as it stood at `asOf`; later calls are left out
+   */
+  extractFeatures(lead, calls, asOf = new Date()) {
+    const title = (lead.title || '').toLowerCase();
+    const callsSoFar = calls.filter(call => new Date(call.initiatedAt) <= asOf);
+
+    return {
+      industry: lead.industry || null,
+      companySize: lead.companySize || null,
+      leadSource: lead.leadSource || null,
+      priority: lead.priority || null,
+      decisionMaker: DECISION_MAKER_TITLES.some(keyword => title.includes(keyword)) ? 1 : 0,
+      dataQualityScore: lead.dataQualityScore !== null && lead.dataQualityScore !== undefined
+        ? Number(lead.dataQualityScore)
+        : null,
+      estimatedValue: lead.estimatedValue !== null && lead.estimatedValue !== undefined
+        ? Number(lead.estimatedValue)
+        : null,
+      emailsSent: lead.emailsSent || 0,
+      ...this.summarizeCalls(callsSoFar, asOf)
+    };
+  }
+
+  /**
+   * When a labelled lead's features are taken: the moment it closed, or the end of the
+   * conversion window for open leads labelled as not converted. Calls after that point
+   * (the meeting that won it, the "dnc" that lost it) would give the label away.
+   * @param {Array} statusChanges - The lead's status_changed activities, oldest first
+   */
+  getObservationTime(lead, statusChanges = []) {
+    if (!CLOSED_STATUSES.has(lead.status)) {
+      return new Date(new Date(lead.createdAt).getTime() + this.conversionWindowDays * DAY_MS);
+    }
+
+    const closing = statusChanges.filter(change => change.data && change.data.new_status === lead.status).pop();
+    // Leads closed without a recorded status change fall back to their last update
+    return new Date(closing ? closing.timestamp : lead.updatedAt);
+  }
+
+  /**
+   * 1 for won, 0 for lost or stale open leads, null while the outcome is still open
+   */
+  getLabel(lead, now = new Date()) {
+    if (lead.status === 'closed_won') return 1;
+    if (lead.status === 'closed_lost') return 0;
+    const age = (now - new Date(lead.createdAt)) / DAY_MS;
+    return age > this.conversionWindowDays ? 0 : null;
+  }
+
+  /**
+   * Walk every lead in batches with its call history
+   * @param {Function} handler - async (lead, calls, statusChanges) per lead
+   * @param {Object} options - { withStatusChanges } also loads status_changed activities
+   */
+  async forEachLeadWithCalls(handler, { withStatusChanges = false } = {}) {
+    let offset = 0;
+
+    for (;;) {
+      const leads = await Lead.findAll({ order: [['id', 'ASC']], limit: BATCH_SIZE, offset });
+      if (leads.length === 0) break;
+
+      const calls = await EnhancedCallLog.findAll({
+        where: { leadId: { [Op.in]: leads.map(lead => lead.id) } },
+        attributes: ['leadId', 'outcome', 'duration', 'talkTime', 'callQuality', 'initiatedAt']
+      });
+      const callsByLead = new Map();
+      calls.forEach(call => {
+        if (!callsByLead.has(call.leadId)) callsByLead.set(call.leadId, []);
+        callsByLead.get(call.leadId).push(call);
+      });
+      const changesByLead = withStatusChanges
+        ? await getActivitiesByLead(leads.map(lead => lead.id), ['status_changed'])
+        : new Map();
+
+      for (const lead of leads) {
+        await handler(lead, callsByLead.get(lead.id) || [], changesByLead.get(String(lead.id)) || []);
+      }
+
+      offset += leads.length;
+    }
+  }
+
+  /**
+   * Train a new model version on closed leads and keep it if the holdout AUC is good enough
+   * @returns {Object} { trained, model, reason }
+   */
+  async train() {
+    const now = new Date();
+    const training = [];
+    const holdout = [];
+
+    await this.forEachLeadWithCalls(async (lead, calls, statusChanges) => {
+      const label = this.getLabel(lead, now);
+      if (label === null) return;
+
+      const asOf = this.getObservationTime(lead, statusChanges);
+      const example = { features: this.extractFeatures(lead, calls, asOf), label };
+      (isHoldout(lead.id, this.holdoutFraction) ? holdout : training).push(example);
+    }, { withStatusChanges: true });
+
+    const total = training.length + holdout.length;
+    const positives = [...training, ...holdout].filter(example => example.label === 1).length;
+    const hasBothClasses = (examples) =>
+      examples.some(example => example.label === 1) && examples.some(example => example.label === 0);
+
+    if (total < this.minTrainingLeads) {
+      return { trained: false, reason: `Need at least ${this.minTrainingLeads} closed leads, found ${total}` };
+    }
+    if (!hasBothClasses(training) || !hasBothClasses(holdout)) {
+      return { trained: false, reason: 'Training and holdout sets both need won and lost leads' };
+    }
+
+    const featureSpec = buildFeatureSpec(training.map(example => example.features), FEATURES);
+    const weights = trainLogisticRegression(
+      training.map(example => encodeRow(featureSpec, example.features)),
+      training.map(example => example.label)
+    );
+
+    const holdoutProbabilities = holdout.map(example =>
+      predictProbability(weights, encodeRow(featureSpec, example.features))
+    );
+    const metrics = evaluatePredictions(holdoutProbabilities, holdout.map(example => example.label));
+
+    const columns = getColumnNames(featureSpec);
+    metrics.topFeatures = weights.coefficients
+      .map((coefficient, i) => ({ feature: columns[i], coefficient }))
+      .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient))
+      .slice(0, 10);
+
+    const accepted = metrics.auc !== null && metrics.auc >= this.minAuc;
+    const latestVersion = (await ConversionModel.max('version')) || 0;
+    const previous = accepted ? await ConversionModel.findActive() : null;
+
+    const model = await ConversionModel.create({
+      version: latestVersion + 1,
+      algorithm: 'logistic_regression',
+      status: accepted ? 'active' : 'rejected',
+      featureSpec,
+      weights: { intercept: weights.intercept, coefficients: weights.coefficients, columns },
+      metrics,
+      trainingSize: training.length,
+      holdoutSize: holdout.length,
+      positiveRate: positives / total,
+      trainedAt: now,
+      activatedAt: accepted ? now : null
+    });
+
+    if (previous) {
+      await previous.update({ status: 'retired' });
+    }
+
+    return {
+      trained: true,
+      model: this.formatModel(model),
+      reason: accepted ? null : `Holdout AUC ${metrics.auc === null ? 'n/a' : metrics.auc.toFixed(3)} is below ${this.minAuc}`
+    };
+  }
+
+  /**
+   * Fill conversionProbability for every lead from the active model
+   * @returns {Object} { scored, updated, modelVersion }
+   */
+  async scoreLeads() {
+    const model = await ConversionModel.findActive();
+    if (!model) return { scored: 0, updated: 0, modelVersion: null };
+
+    const now = new Date();
+    let scored = 0;
+    let updated = 0;
+
+    await this.forEachLeadWithCalls(async (lead, calls) => {
+      const vector = encodeRow(model.featureSpec, this.extractFeatures(lead, calls, now));
+      // conversionProbability is DECIMAL(3, 2)
+      const probability = Math.round(predictProbability(model.weights, vector) * 100) / 100;
+      scored++;
+
+      if (Number(lead.conversionProbability) !== probability) {
+        await Lead.update({ conversionProbability: probability }, { where: { id: lead.id } });
+        updated++;
+      }
+    });
+
+    return { scored, updated, modelVersion: model.version };
+  }
+
+  /**
+   * Retrain, then rescore every lead with whichever model is active
+   */
+  async runTrainingJob() {
+    if (this.running) {
+      return { skipped: true, reason: 'A conversion model job is already running' };
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+    try {
+      const training = await this.train();
+      const scoring = await this.scoreLeads();
+      this.lastRun = { startedAt, completedAt: new Date(), training, scoring, error: null };
+      return this.lastRun;
+    } catch (error) {
+      this.lastRun = { startedAt, completedAt: new Date(), error: error.message };
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  startSchedule() {
+    if (this.scheduleInterval) return;
+
+    this.scheduleInterval = setInterval(() => {
+      this.runTrainingJob().catch(error => {
+        console.error('Conversion model job failed:', error.message);
+      });
+    }, this.intervalHours * 60 * 60 * 1000);
+  }
+
+  stopSchedule() {
+    clearInterval(this.scheduleInterval);
+    this.scheduleInterval = null;
+  }
+
+  async getActiveModel() {
+    const model = await ConversionModel.findActive();
+    return model ? this.formatModel(model) : null;
+  }
+
+  async listModels({ limit = 20 } = {}) {
+    const models = await ConversionModel.findAll({ order: [['version', 'DESC']], limit });
+    return models.map(model => this.formatModel(model));
+  }
+
+  /**
+   * The active model, recent versions and the training job's state
+   */
+  async getOverview({ limit = 20 } = {}) {
+    const [activeModel, versions] = await Promise.all([
+      this.getActiveModel(),
+      this.listModels({ limit })
+    ]);
+    return { activeModel, versions, job: this.getStatus() };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      scheduled: !!this.scheduleInterval,
+      intervalHours: this.intervalHours,
+      lastRun: this.lastRun
+    };
+  }
+
+  formatModel(model) {
+    return {
+      id: model.id,
+      version: model.version,
+      algorithm: model.algorithm,
+      status: model.status,
+      metrics: model.metrics,
+      trainingSize: model.trainingSize,
+      holdoutSize: model.holdoutSize,
+      positiveRate: model.positiveRate,
+      trainedAt: model.trainedAt,
+      activatedAt: model.activatedAt
+    };
+  }
+}
+
+module.exports = new ConversionModelService();
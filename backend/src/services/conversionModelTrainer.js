@@ -0,0 +1,220 @@
+/**
+ * Conversion Model Trainer
+ * L2-regularised logistic regression in plain JS, the feature encoding it trains on,
+ * and holdout metrics (AUC, log loss, Brier score, calibration)
+ */
+
+const crypto = require('crypto');
+
+const OTHER_CATEGORY = '__other__';
+const MIN_STD = 1e-3;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Learn scaling and vocabularies from the training rows
+ * @param {Array} rows - Raw feature objects
+ * @param {Array} features - [{ name, type: 'numeric'|'categorical', log }]
+ * @param {Object} options - { minCategoryCount }
+ * @returns {Object} Feature spec stored with the model
+ */
+const buildFeatureSpec = (rows, features, { minCategoryCount = 5 } = {}) => {
+  return features.map(feature => {
+    if (feature.type === 'categorical') {
+      const counts = {};
+      rows.forEach(row => {
+        const value = row[feature.name];
+        if (value !== null && value !== undefined && value !== '') {
+          counts[value] = (counts[value] || 0) + 1;
+        }
+      });
+      const categories = Object.keys(counts).filter(value => counts[value] >= minCategoryCount).sort();
+      return { name: feature.name, type: 'categorical', categories: [...categories, OTHER_CATEGORY] };
+    }
+
+    const transform = (value) => (feature.log ? Math.log1p(Math.max(0, value)) : value);
+    const values = rows
+      .map(row => row[feature.name])
+      .filter(value => typeof value === 'number' && !isNaN(value))
+      .map(transform);
+    const mean = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    const variance = values.length ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length : 0;
+    const std = Math.sqrt(variance);
+
+    // A (near-)constant column carries no signal; scaling by its tiny spread would blow up new values
+    return { name: feature.name, type: 'numeric', log: !!feature.log, mean, std: std > MIN_STD ? std : 1 };
+  });
+};
+
+/**
+ * Names of the encoded columns, in weight order
+ */
+const getColumnNames = (spec) => spec.flatMap(feature =>
+  feature.type === 'categorical'
+    ? feature.categories.map(category => `${feature.name}=${category}`)
+    : [feature.name]
+);
+
+/**
+ * Encode a raw feature object as a numeric vector (missing numerics become the mean)
+ */
+const encodeRow = (spec, row) => {
+  const vector = [];
+  spec.forEach(feature => {
+    const value = row[feature.name];
+
+    if (feature.type === 'categorical') {
+      const index = feature.categories.indexOf(value);
+      const hit = index === -1 ? feature.categories.length - 1 : index;
+      feature.categories.forEach((_, i) => vector.push(i === hit ? 1 : 0));
+      return;
+    }
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      vector.push(0);
+    } else {
+      const transformed = feature.log ? Math.log1p(Math.max(0, value)) : value;
+      vector.push((transformed - feature.mean) / feature.std);
+    }
+  });
+  return vector;
+};
+
+/**
+ * Fit logistic regression by full-batch gradient descent
+ * @param {Array} X - Encoded rows
+ * @param {Array} y - Labels (0/1)
+ * @param {Object} options - { learningRate, epochs, l2 }
+ * @returns {Object} { intercept, coefficients }
+ */
+const trainLogisticRegression = (X, y, { learningRate = 0.1, epochs = 500, l2 = 0.01 } = {}) => {
+  const n = X.length;
+  const width = X[0].length;
+  const positiveRate = y.reduce((sum, label) => sum + label, 0) / n;
+  const coefficients = new Array(width).fill(0);
+  // Start at the base rate so early epochs only have to learn the differences
+  let intercept = Math.log(Math.max(positiveRate, 1e-6) / Math.max(1 - positiveRate, 1e-6));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(width).fill(0);
+    let interceptGradient = 0;
+
+    for (let i = 0; i < n; i++) {
+      const row = X[i];
+      let z = intercept;
+      for (let j = 0; j < width; j++) z += coefficients[j] * row[j];
+      const error = sigmoid(z) - y[i];
+
+      interceptGradient += error;
+      for (let j = 0; j < width; j++) gradient[j] += error * row[j];
+    }
+
+    intercept -= learningRate * (interceptGradient / n);
+    for (let j = 0; j < width; j++) {
+      coefficients[j] -= learningRate * (gradient[j] / n + l2 * coefficients[j]);
+    }
+  }
+
+  return { intercept, coefficients };
+};
+
+const predictProbability = (weights, vector) => {
+  let z = weights.intercept;
+  for (let j = 0; j < vector.length; j++) z += weights.coefficients[j] * vector[j];
+  return sigmoid(z);
+};
+
+/**
+ * Area under the ROC curve (Mann-Whitney U, ties count half)
+ */
+const calculateAuc = (probabilities, labels) => {
+  const ranked = probabilities
+    .map((probability, i) => ({ probability, label: labels[i] }))
+    .sort((a, b) => a.probability - b.probability);
+
+  let rankSumPositive = 0;
+  let i = 0;
+  while (i < ranked.length) {
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].probability === ranked[i].probability) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (ranked[k].label === 1) rankSumPositive += averageRank;
+    }
+    i = j + 1;
+  }
+
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  return (rankSumPositive - (positives * (positives + 1)) / 2) / (positives * negatives);
+};
+
+/**
+ * Holdout metrics for predicted probabilities
+ * @returns {Object} { auc, logLoss, brierScore, expectedCalibrationError, calibration }
+ */
+const evaluatePredictions = (probabilities, labels, { bins = 10 } = {}) => {
+  const n = labels.length;
+  const clip = (p) => Math.min(Math.max(p, 1e-15), 1 - 1e-15);
+
+  const logLoss = -labels.reduce((sum, label, i) =>
+    sum + (label === 1 ? Math.log(clip(probabilities[i])) : Math.log(1 - clip(probabilities[i]))), 0) / n;
+  const brierScore = labels.reduce((sum, label, i) => sum + (probabilities[i] - label) ** 2, 0) / n;
+
+  const buckets = Array.from({ length: bins }, (_, b) => ({
+    bin_start: b / bins,
+    bin_end: (b + 1) / bins,
+    count: 0,
+    predicted: 0,
+    observed: 0
+  }));
+  probabilities.forEach((probability, i) => {
+    const bucket = buckets[Math.min(Math.floor(probability * bins), bins - 1)];
+    bucket.count++;
+    bucket.predicted += probability;
+    bucket.observed += labels[i];
+  });
+
+  const calibration = buckets
+    .filter(bucket => bucket.count > 0)
+    .map(bucket => ({
+      bin_start: bucket.bin_start,
+      bin_end: bucket.bin_end,
+      count: bucket.count,
+      mean_predicted: bucket.predicted / bucket.count,
+      observed_rate: bucket.observed / bucket.count
+    }));
+
+  const expectedCalibrationError = calibration.reduce((sum, bucket) =>
+    sum + (bucket.count / n) * Math.abs(bucket.mean_predicted - bucket.observed_rate), 0);
+
+  return {
+    auc: calculateAuc(probabilities, labels),
+    logLoss,
+    brierScore,
+    expectedCalibrationError,
+    calibration
+  };
+};
+
+/**
+ * Stable train/holdout split: a lead always lands on the same side across retrains
+ */
+const isHoldout = (id, fraction) => {
+  const hash = crypto.createHash('md5').update(String(id)).digest();
+  return hash.readUInt32BE(0) / 0x100000000 < fraction;
+};
+
+module.exports = {
+  OTHER_CATEGORY,
+  buildFeatureSpec,
+  getColumnNames,
+  encodeRow,
+  trainLogisticRegression,
+  predictProbability,
+  calculateAuc,
+  evaluatePredictions,
+  isHoldout
+};
@@ -0,0 +1,279 @@
+/**
+ * CRM Conflict Service - Per-field last-writer tracking and conflict resolution for
+ * leads that are edited both in the dashboard and in a connected CRM
+ */
+
+const { Lead, LeadSyncConflict, CrmFieldPolicy } = require('../database/models');
+const { CONFLICT_POLICIES } = require('../database/models/CrmFieldPolicy');
+
+const DASHBOARD_SOURCE = 'dashboard';
+const MANUAL_SOURCE = 'manual';
+const crmSource = (provider) => `crm:${provider}`;
+
+// Bookkeeping columns that never take part in conflict tracking
+const UNTRACKED_FIELDS = new Set([
+  'id', 'createdAt', 'updatedAt', 'deletedAt', 'fieldProvenance',
+  'dataQualityScore', 'duplicateCheckHash', 'fullName', 'fullAddress'
+]);
+
+// Contact details are too important to overwrite silently
+const DEFAULT_FIELD_POLICIES = {
+  email: 'manual',
+  phone: 'manual'
+};
+
+// Thrown for requests that can never succeed as sent
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+/**
+ * Treat null, undefined and empty strings as the same "no value"
+ */
+const valuesEqual = (a, b) => {
+  const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+  return normalize(a) === normalize(b);
+};
+
+class CRMConflictService {
+  constructor() {
+    this.defaultPolicy = CONFLICT_POLICIES.includes(process.env.CRM_DEFAULT_CONFLICT_POLICY)
+      ? process.env.CRM_DEFAULT_CONFLICT_POLICY
+      : 'newest_wins';
+  }
+
+  /**
+   * Provenance map after `values` are written by `source`; only fields whose value
+   * actually changes are re-stamped. Pass the result along with the update itself.
+   */
+  buildProvenance(lead, values, source, at = new Date()) {
+    const provenance = { ...((lead && lead.fieldProvenance) || {}) };
+    const stampedAt = new Date(at).toISOString();
+
+    for (const [field, value] of Object.entries(values)) {
+      if (UNTRACKED_FIELDS.has(field)) continue;
+      if (lead && valuesEqual(lead[field], value)) continue;
+      provenance[field] = { source, updatedAt: stampedAt };
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Apply values pulled from a CRM to a linked lead, honouring per-field policies
+   * for fields that were also edited locally since they were last synced
+   * @param {Object} options - { remoteUpdatedAt, lastSyncedAt, fieldSyncedAt } where
+   *   fieldSyncedAt holds per-field sync points that override lastSyncedAt
+   * @returns {{ applied: string[], kept: string[], conflicts: Object[], fieldSyncedAt: Object }}
+   *   fieldSyncedAt is the link's map after this import: kept and conflicting fields
+   *   hold on to their sync point, every other incoming field is synced now
+   */
+  async reconcileIncoming(lead, provider, fields, { remoteUpdatedAt = null, lastSyncedAt = null, fieldSyncedAt = {} } = {}) {
+    const policies = await this.getStoredPolicies();
+    const provenance = lead.fieldProvenance || {};
+    const remoteAt = remoteUpdatedAt ? new Date(remoteUpdatedAt) : null;
+    const syncedAtFor = (field) => (Object.prototype.hasOwnProperty.call(fieldSyncedAt, field)
+      ? fieldSyncedAt[field]
+      : lastSyncedAt);
+
+    const apply = {};
+    const kept = [];
+    const conflicts = [];
+    const nextFieldSyncedAt = { ...fieldSyncedAt };
+
+    for (const [field, crmValue] of Object.entries(fields)) {
+      if (UNTRACKED_FIELDS.has(field)) continue;
+
+      const syncedAt = syncedAtFor(field);
+      delete nextFieldSyncedAt[field];
+      if (valuesEqual(lead[field], crmValue)) continue;
+
+      const local = provenance[field];
+      const editedLocallySinceSync = local &&
+        !local.source.startsWith('crm:') &&
+        (!syncedAt || new Date(local.updatedAt) > new Date(syncedAt));
+
+      if (!editedLocallySinceSync) {
+        apply[field] = crmValue;
+        continue;
+      }
+
+      switch (this.getPolicyFor(field, policies)) {
+        case 'crm_wins':
+          apply[field] = crmValue;
+          break;
+        case 'dashboard_wins':
+          kept.push(field);
+          break;
+        case 'newest_wins':
+          if (remoteAt && remoteAt > new Date(local.updatedAt)) {
+            apply[field] = crmValue;
+          } else {
+            kept.push(field);
+          }
+          break;
+        case 'manual':
+        default:
+          conflicts.push(await this.openConflict(lead, provider, field, crmValue, remoteAt, local));
+          break;
+      }
+
+      if (!(field in apply)) {
+        nextFieldSyncedAt[field] = syncedAt ? new Date(syncedAt).toISOString() : null;
+      }
+    }
+
+    if (Object.keys(apply).length > 0) {
+      await lead.update({
+        ...apply,
+        fieldProvenance: this.buildProvenance(lead, apply, crmSource(provider), remoteAt || new Date())
+      });
+    }
+
+    return { applied: Object.keys(apply), kept, conflicts, fieldSyncedAt: nextFieldSyncedAt };
+  }
+
+  /**
+   * Record a conflict in the inbox, refreshing the CRM side if one is already open
+   */
+  async openConflict(lead, provider, field, crmValue, crmUpdatedAt, local) {
+    const values = {
+      dashboardValue: lead[field] === undefined ? null : lead[field],
+      dashboardUpdatedAt: local ? local.updatedAt : null,
+      crmValue,
+      crmUpdatedAt
+    };
+
+    const existing = await LeadSyncConflict.findOpen(lead.id, provider, field);
+    if (existing) {
+      return await existing.update(values);
+    }
+
+    return await LeadSyncConflict.create({
+      leadId: lead.id,
+      provider,
+      field,
+      ...values
+    });
+  }
+
+  /**
+   * Conflict inbox
+   */
+  async listConflicts({ status = 'open', leadId, provider, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (leadId) where.leadId = leadId;
+    if (provider) where.provider = provider;
+
+    return await LeadSyncConflict.findAndCountAll({
+      where,
+      include: [{
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'firstName', 'lastName', 'company', 'email']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+  }
+
+  /**
+   * Settle a conflict by keeping the dashboard value, taking the CRM value or entering a new one
+   * @returns {{ conflict, lead, pushToCrm }} pushToCrm is true when the CRM now holds a stale value
+   */
+  async resolveConflict(id, { choice, value, resolvedBy = null } = {}) {
+    const conflict = await LeadSyncConflict.findByPk(id);
+    if (!conflict) return null;
+
+    if (conflict.status !== 'open') {
+      throw validationError('Conflict has already been resolved');
+    }
+    if (!['dashboard', 'crm', 'custom'].includes(choice)) {
+      throw validationError('choice must be one of: dashboard, crm, custom');
+    }
+    if (choice === 'custom' && value === undefined) {
+      throw validationError('A value is required for a custom resolution');
+    }
+
+    const lead = await Lead.findByPk(conflict.leadId);
+    if (!lead) {
+      throw validationError('Lead for this conflict no longer exists');
+    }
+
+    const chosen = choice === 'crm'
+      ? conflict.crmValue
+      : choice === 'dashboard' ? lead[conflict.field] : value;
+
+    const provenance = {
+      ...(lead.fieldProvenance || {}),
+      [conflict.field]: {
+        source: choice === 'crm' ? crmSource(conflict.provider) : MANUAL_SOURCE,
+        updatedAt: new Date().toISOString()
+      }
+    };
+
+    await lead.update({ [conflict.field]: chosen, fieldProvenance: provenance });
+
+    await conflict.update({
+      status: 'resolved',
+      resolution: choice,
+      resolvedValue: chosen,
+      resolvedBy,
+      resolvedAt: new Date()
+    });
+
+    return { conflict, lead, pushToCrm: choice !== 'crm' };
+  }
+
+  // Policies
+
+  async getStoredPolicies() {
+    const rows = await CrmFieldPolicy.findAll();
+    return rows.reduce((acc, row) => ({ ...acc, [row.field]: row.policy }), {});
+  }
+
+  getPolicyFor(field, storedPolicies = {}) {
+    return storedPolicies[field] || DEFAULT_FIELD_POLICIES[field] || this.defaultPolicy;
+  }
+
+  /**
+   * Effective policy for every field that has a default or an override
+   */
+  async listPolicies() {
+    const stored = await this.getStoredPolicies();
+    const fields = new Set([...Object.keys(DEFAULT_FIELD_POLICIES), ...Object.keys(stored)]);
+
+    return {
+      defaultPolicy: this.defaultPolicy,
+      availablePolicies: CONFLICT_POLICIES,
+      fields: [...fields].sort().map(field => ({
+        field,
+        policy: this.getPolicyFor(field, stored),
+        overridden: !!stored[field]
+      }))
+    };
+  }
+
+  async setPolicy(field, policy, updatedBy = null) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw validationError(`policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    if (UNTRACKED_FIELDS.has(field) || !Lead.rawAttributes[field]) {
+      throw validationError(`Unknown lead field: ${field}`);
+    }
+
+    const existing = await CrmFieldPolicy.findOne({ where: { field } });
+    if (existing) {
+      return await existing.update({ policy, updatedBy });
+    }
+    return await CrmFieldPolicy.create({ field, policy, updatedBy });
+  }
+}
+
+module.exports = new CRMConflictService();
+module.exports.DASHBOARD_SOURCE = DASHBOARD_SOURCE;
+module.exports.crmSource = crmSource;
@@ -0,0 +1,645 @@
+/**
+ * CRM Import Service - Paginated, incremental lead pulls from external CRM systems
+ */
+
+const axios = require('axios');
+const { Lead, CrmRecordLink, CrmSyncCursor } = require('../database/models');
+const { invalidateCache } = require('../database/cache/cacheManager');
+const crmConflictService = require('./crmConflictService');
+
+const SUPPORTED_IMPORT_TYPES = ['leads'];
+const REQUIRED_LEAD_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGES = 500; // Safety net against providers that never report the last page
+
+// Lead fields a CRM record may fill; IDs, ownership, scores and compliance flags stay local
+const MAPPABLE_LEAD_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'alternatePhone', 'company', 'title', 'industry',
+  'companySize', 'website', 'leadSource', 'addressStreet', 'addressCity', 'addressState',
+  'addressZip', 'addressCountry', 'timeZone', 'bestCallTime', 'estimatedValue', 'notes'
+];
+
+// Dot-separated identifiers or array indexes; also keeps SOQL SELECT lists to plain field names
+const REMOTE_FIELD_PATH = /^[A-Za-z_][A-Za-z0-9_]*(\.([A-Za-z_][A-Za-z0-9_]*|\d+))*$/;
+
+// Remote field path -> Lead field. Paths are dot-separated; numeric segments index into arrays.
+const DEFAULT_FIELD_MAPPINGS = {
+  salesforce: {
+    FirstName: 'firstName',
+    LastName: 'lastName',
+    Email: 'email',
+    Phone: 'phone',
+    MobilePhone: 'alternatePhone',
+    Company: 'company',
+    Title: 'title',
+    Industry: 'industry',
+    Website: 'website',
+    LeadSource: 'leadSource',
+    Street: 'addressStreet',
+    City: 'addressCity',
+    State: 'addressState',
+    PostalCode: 'addressZip',
+    Country: 'addressCountry',
+    Description: 'notes'
+  },
+  hubspot: {
+    'properties.firstname': 'firstName',
+    'properties.lastname': 'lastName',
+    'properties.email': 'email',
+    'properties.phone': 'phone',
+    'properties.mobilephone': 'alternatePhone',
+    'properties.company': 'company',
+    'properties.jobtitle': 'title',
+    'properties.industry': 'industry',
+    'properties.website': 'website',
+    'properties.hs_analytics_source': 'leadSource',
+    'properties.address': 'addressStreet',
+    'properties.city': 'addressCity',
+    'properties.state': 'addressState',
+    'properties.zip': 'addressZip',
+    'properties.country': 'addressCountry'
+  },
+  pipedrive: {
+    first_name: 'firstName',
+    last_name: 'lastName',
+    'email.0.value': 'email',
+    'phone.0.value': 'phone',
+    'phone.1.value': 'alternatePhone',
+    org_name: 'company',
+    job_title: 'title'
+  },
+  zoho: {
+    First_Name: 'firstName',
+    Last_Name: 'lastName',
+    Email: 'email',
+    Phone: 'phone',
+    Mobile: 'alternatePhone',
+    Company: 'company',
+    Designation: 'title',
+    Industry: 'industry',
+    Website: 'website',
+    Lead_Source: 'leadSource',
+    Street: 'addressStreet',
+    City: 'addressCity',
+    State: 'addressState',
+    Zip_Code: 'addressZip',
+    Country: 'addressCountry',
+    Description: 'notes'
+  }
+};
+
+// Where each provider keeps the record ID and last-modified timestamp
+const RECORD_META_PATHS = {
+  salesforce: { id: 'Id', updatedAt: 'LastModifiedDate' },
+  hubspot: { id: 'id', updatedAt: 'updatedAt' },
+  pipedrive: { id: 'id', updatedAt: 'update_time' },
+  zoho: { id: 'id', updatedAt: 'Modified_Time' }
+};
+
+/**
+ * Read a dot-separated path from a nested object
+ */
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+/**
+ * Parse remote timestamps; Pipedrive reports UTC as "YYYY-MM-DD HH:MM:SS"
+ */
+const parseRemoteDate = (value) => {
+  if (!value) return null;
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const normalizePhone = (phone) => (phone ? String(phone).replace(/[^\d+]/g, '') : phone);
+
+// Thrown for import requests that can never succeed as sent
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+class CRMImportService {
+  constructor() {
+    this.pageSize = DEFAULT_PAGE_SIZE;
+  }
+
+  /**
+   * Pull leads from a provider and upsert them into the local lead store
+   * @param {string} provider - Provider key (salesforce|hubspot|pipedrive|zoho)
+   * @param {Object} config - Provider connection settings
+   * @param {Object} options - { incremental, since, fieldMapping, limit }
+   */
+  async importLeads(provider, config, options = {}) {
+    const cursor = await CrmSyncCursor.forProvider(provider, 'lead');
+    const since = this.resolveSince(cursor, options);
+
+    const { records: remoteLeads, truncated } = await this.fetchRemoteLeads(provider, config, { ...options, since });
+    const summary = await this.persistImportedLeads(provider, remoteLeads, config);
+    const newest = this.advanceCursor(
+      cursor.lastSyncedAt,
+      this.cursorCandidates(provider, since, remoteLeads, truncated),
+      summary.errors
+    );
+
+    await cursor.update({
+      lastSyncedAt: newest,
+      lastRunAt: new Date(),
+      lastRunStats: {
+        fetched: remoteLeads.length,
+        created: summary.created,
+        updated: summary.updated,
+        linked: summary.linked,
+        conflicts: summary.conflicts,
+        skipped: summary.skipped.length,
+        failed: summary.errors.length
+      }
+    });
+
+    if (summary.created || summary.updated || summary.linked) {
+      invalidateCache.lead('all');
+    }
+
+    return {
+      success: true,
+      provider,
+      incremental: !!since,
+      since: since ? since.toISOString() : null,
+      cursor: newest ? new Date(newest).toISOString() : null,
+      truncated,
+      total: remoteLeads.length,
+      ...summary
+    };
+  }
+
+  /**
+   * Newest remote modification the next incremental pull can safely start after. Records
+   * that failed must be fetched again, so the cursor stops short of the oldest failure.
+   */
+  advanceCursor(current, remoteLeads, errors = []) {
+    const failedIds = new Set(errors.map(error => error.remoteId));
+    const failed = remoteLeads.filter(record => failedIds.has(record.remoteId));
+
+    // A failure without a timestamp cannot be placed; hold the cursor where it is
+    if (failed.some(record => !record.remoteUpdatedAt)) return current;
+
+    const oldestFailure = failed.reduce((oldest, record) => {
+      return !oldest || record.remoteUpdatedAt < oldest ? record.remoteUpdatedAt : oldest;
+    }, null);
+
+    return remoteLeads.reduce((latest, record) => {
+      const { remoteUpdatedAt } = record;
+      if (!remoteUpdatedAt || failedIds.has(record.remoteId)) return latest;
+      if (oldestFailure && remoteUpdatedAt >= oldestFailure) return latest;
+      return !latest || remoteUpdatedAt > latest ? remoteUpdatedAt : latest;
+    }, current);
+  }
+
+  /**
+   * Records the cursor may move past. A pull cut short by `limit` left records unfetched:
+   * if it came back oldest change first, everything older than its newest timestamp was
+   * fetched (records sharing that timestamp may not have been); otherwise none is safe.
+   */
+  cursorCandidates(provider, since, remoteLeads, truncated) {
+    if (!truncated) return remoteLeads;
+    if (!this.isOrderedByModification(provider, since)) return [];
+
+    const newest = remoteLeads.reduce((latest, record) => {
+      const { remoteUpdatedAt } = record;
+      return remoteUpdatedAt && (!latest || remoteUpdatedAt > latest) ? remoteUpdatedAt : latest;
+    }, null);
+    return remoteLeads.filter(record => !record.remoteUpdatedAt || record.remoteUpdatedAt < newest);
+  }
+
+  /**
+   * Whether a provider's pull is sorted by modification time, oldest first. HubSpot's
+   * full pull and Pipedrive's person list and recents are not.
+   */
+  isOrderedByModification(provider, since) {
+    return provider === 'salesforce' || provider === 'zoho' || (provider === 'hubspot' && !!since);
+  }
+
+  /**
+   * Decide where an import starts: explicit `since`, the stored cursor, or a full pull
+   */
+  resolveSince(cursor, options = {}) {
+    if (options.since) {
+      const since = new Date(options.since);
+      if (isNaN(since.getTime())) {
+        throw validationError(`Invalid since timestamp: ${options.since}`);
+      }
+      return since;
+    }
+    if (options.incremental === false) return null;
+    return cursor.lastSyncedAt ? new Date(cursor.lastSyncedAt) : null;
+  }
+
+  /**
+   * Fetch every page of leads from a provider and map them onto Lead fields
+   * @returns {{ records: Object[], truncated: boolean }} truncated when `limit` may have
+   *   left records unfetched
+   */
+  async fetchRemoteLeads(provider, config, options = {}) {
+    const fieldMapping = this.getFieldMapping(provider, options.fieldMapping);
+    const fetchOptions = { ...options, limit: parseInt(options.limit) || null };
+
+    let rawRecords;
+    switch (provider) {
+      case 'salesforce':
+        rawRecords = await this.fetchSalesforceLeads(config, fieldMapping, fetchOptions);
+        break;
+      case 'hubspot':
+        rawRecords = await this.fetchHubSpotLeads(config, fieldMapping, fetchOptions);
+        break;
+      case 'pipedrive':
+        rawRecords = await this.fetchPipedriveLeads(config, fetchOptions);
+        break;
+      case 'zoho':
+        rawRecords = await this.fetchZohoLeads(config, fetchOptions);
+        break;
+      default:
+        throw validationError(`Unsupported CRM provider: ${provider}`);
+    }
+
+    const truncated = this.reachedLimit(rawRecords, fetchOptions);
+    if (fetchOptions.limit) {
+      rawRecords = rawRecords.slice(0, fetchOptions.limit);
+    }
+
+    return {
+      records: rawRecords.map(record => this.mapRemoteLead(provider, record, fieldMapping)),
+      truncated
+    };
+  }
+
+  /**
+   * Default mapping for a provider, with caller overrides layered on top
+   */
+  getFieldMapping(provider, overrides = {}) {
+    const defaults = DEFAULT_FIELD_MAPPINGS[provider];
+    if (!defaults) {
+      throw new Error(`No field mapping defined for provider: ${provider}`);
+    }
+    const problems = this.validateFieldMapping(overrides);
+    if (problems.length > 0) {
+      throw validationError(`Invalid field mapping: ${problems.join('; ')}`);
+    }
+    return { ...defaults, ...(overrides || {}) };
+  }
+
+  /**
+   * Check caller overrides: remote paths must be plain field paths and targets mappable
+   * Lead fields (null turns a default mapping off)
+   * @returns {Array<string>} Problems found, empty when the mapping is usable
+   */
+  validateFieldMapping(overrides = {}) {
+    const problems = [];
+    for (const [remotePath, localField] of Object.entries(overrides || {})) {
+      if (!REMOTE_FIELD_PATH.test(remotePath)) {
+        problems.push(`"${remotePath}" is not a valid remote field`);
+      }
+      if (localField !== null && !MAPPABLE_LEAD_FIELDS.includes(localField)) {
+        problems.push(`"${localField}" is not a lead field that can be imported`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Whether a fetcher has collected enough records to stop paging
+   */
+  reachedLimit(records, options) {
+    return !!options.limit && records.length >= options.limit;
+  }
+
+  /**
+   * Translate a raw remote record into { remoteId, remoteUpdatedAt, fields }
+   */
+  mapRemoteLead(provider, record, fieldMapping) {
+    const meta = RECORD_META_PATHS[provider];
+    const fields = {};
+
+    for (const [remotePath, localField] of Object.entries(fieldMapping)) {
+      if (!localField) continue;
+      const value = getPath(record, remotePath);
+      if (value === undefined || value === null) continue;
+      const stringValue = String(value).trim();
+      if (stringValue && fields[localField] === undefined) {
+        fields[localField] = stringValue;
+      }
+    }
+
+    if (fields.phone) fields.phone = normalizePhone(fields.phone);
+    if (fields.alternatePhone) fields.alternatePhone = normalizePhone(fields.alternatePhone);
+    if (fields.email) fields.email = fields.email.toLowerCase();
+
+    return {
+      provider,
+      remoteId: String(getPath(record, meta.id)),
+      remoteUpdatedAt: parseRemoteDate(getPath(record, meta.updatedAt)),
+      fields
+    };
+  }
+
+  /**
+   * Upsert mapped records: linked records are refreshed, unlinked records are
+   * matched to existing leads by email or phone before a new lead is created
+   */
+  async persistImportedLeads(provider, remoteLeads, config = {}) {
+    const summary = { created: 0, updated: 0, linked: 0, conflicts: 0, skipped: [], errors: [], records: [] };
+
+    for (const remoteLead of remoteLeads) {
+      try {
+        const outcome = await this.upsertLead(provider, remoteLead, config);
+        if (outcome.action === 'skipped') {
+          summary.skipped.push({ remoteId: remoteLead.remoteId, reason: outcome.reason });
+          continue;
+        }
+        summary[outcome.action] += 1;
+        summary.conflicts += outcome.conflicts || 0;
+        summary.records.push({
+          remoteId: remoteLead.remoteId,
+          leadId: outcome.lead.id,
+          action: outcome.action,
+          ...(outcome.conflicts && { conflicts: outcome.conflicts })
+        });
+      } catch (error) {
+        console.error(`Failed to import ${provider} lead ${remoteLead.remoteId}:`, error.message);
+        summary.errors.push({ remoteId: remoteLead.remoteId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  async upsertLead(provider, remoteLead, config = {}) {
+    const { remoteId, remoteUpdatedAt, fields } = remoteLead;
+    const link = await CrmRecordLink.findByRemoteId(provider, 'lead', remoteId);
+
+    let lead = link ? await Lead.findByPk(link.localId) : null;
+    let action;
+    let conflicts = 0;
+    let fieldSyncedAt = {};
+
+    if (lead) {
+      // Already linked: fields edited on both sides since the last sync go through the field policies
+      const reconciled = await crmConflictService.reconcileIncoming(lead, provider, fields, {
+        remoteUpdatedAt,
+        lastSyncedAt: link.lastSyncedAt,
+        fieldSyncedAt: link.fieldSyncedAt || {}
+      });
+      conflicts = reconciled.conflicts.length;
+      fieldSyncedAt = reconciled.fieldSyncedAt;
+      action = 'updated';
+    } else {
+      lead = await this.findExistingLead(fields);
+
+      if (lead) {
+        // Same person already exists locally: only fill in what we are missing
+        const blanks = Object.fromEntries(
+          Object.entries(fields).filter(([field]) => !lead[field])
+        );
+        if (Object.keys(blanks).length > 0) {
+          await lead.update({
+            ...blanks,
+            fieldProvenance: crmConflictService.buildProvenance(lead, blanks, crmConflictService.crmSource(provider), remoteUpdatedAt || new Date())
+          });
+        }
+        action = 'linked';
+      } else {
+        const missing = REQUIRED_LEAD_FIELDS.filter(field => !fields[field]);
+        if (missing.length > 0) {
+          return { action: 'skipped', reason: `Missing required fields: ${missing.join(', ')}` };
+        }
+        lead = await Lead.create({
+          leadSource: config.name || provider,
+          ...fields,
+          fieldProvenance: crmConflictService.buildProvenance(null, fields, crmConflictService.crmSource(provider), remoteUpdatedAt || new Date())
+        });
+        action = 'created';
+      }
+    }
+
+    const linkValues = {
+      provider,
+      objectType: 'lead',
+      remoteId,
+      localId: lead.id,
+      remoteUpdatedAt,
+      lastSyncedAt: new Date(),
+      fieldSyncedAt
+    };
+    if (link) {
+      await link.update(linkValues);
+    } else {
+      await CrmRecordLink.create(linkValues);
+    }
+
+    return { action, lead, conflicts };
+  }
+
+  async findExistingLead(fields) {
+    if (fields.email) {
+      const byEmail = await Lead.findOne({ where: { email: fields.email } });
+      if (byEmail) return byEmail;
+    }
+    if (fields.phone) {
+      const byPhone = await Lead.findOne({ where: { phone: fields.phone } });
+      if (byPhone) return byPhone;
+    }
+    return null;
+  }
+
+  // Provider-specific fetchers
+
+  async authenticateSalesforce(config) {
+    const authResponse = await axios.post(`${config.baseUrl}/services/oauth2/token`, {
+      grant_type: 'password',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      username: config.username,
+      password: `${config.password || ''}${config.securityToken || ''}`
+    }, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    return {
+      accessToken: authResponse.data.access_token,
+      instanceUrl: authResponse.data.instance_url || config.baseUrl
+    };
+  }
+
+  async fetchSalesforceLeads(config, fieldMapping, options) {
+    const { accessToken, instanceUrl } = await this.authenticateSalesforce(config);
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const apiVersion = config.apiVersion || 'v52.0';
+
+    // SOQL can only select top-level fields
+    const fields = new Set(['Id', 'LastModifiedDate']);
+    Object.keys(fieldMapping).forEach(path => fields.add(path.split('.')[0]));
+
+    let soql = `SELECT ${[...fields].join(', ')} FROM Lead`;
+    if (options.since) {
+      // SOQL datetime literals are unquoted and reject milliseconds
+      soql += ` WHERE LastModifiedDate > ${options.since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`;
+    }
+    soql += ' ORDER BY LastModifiedDate ASC';
+    if (options.limit) soql += ` LIMIT ${options.limit}`;
+
+    const records = [];
+    let response = await axios.get(`${instanceUrl}/services/data/${apiVersion}/query`, {
+      headers,
+      params: { q: soql }
+    });
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      records.push(...(response.data.records || []));
+      if (this.reachedLimit(records, options)) break;
+      if (response.data.done !== false || !response.data.nextRecordsUrl) break;
+      response = await axios.get(`${instanceUrl}${response.data.nextRecordsUrl}`, { headers });
+    }
+
+    return records;
+  }
+
+  async fetchHubSpotLeads(config, fieldMapping, options) {
+    const headers = { 'Content-Type': 'application/json' };
+    const params = {};
+    if (config.accessToken) {
+      headers.Authorization = `Bearer ${config.accessToken}`;
+    } else if (config.apiKey) {
+      params.hapikey = config.apiKey;
+    }
+
+    const properties = [...new Set(
+      Object.keys(fieldMapping)
+        .filter(path => path.startsWith('properties.'))
+        .map(path => path.split('.')[1])
+    )];
+
+    const records = [];
+    let after;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      let response;
+
+      if (options.since) {
+        response = await axios.post(`${config.baseUrl}/crm/v3/objects/contacts/search`, {
+          filterGroups: [{
+            filters: [{
+              propertyName: 'lastmodifieddate',
+              operator: 'GT',
+              value: String(options.since.getTime())
+            }]
+          }],
+          sorts: [{ propertyName: 'lastmodifieddate', direction: 'ASCENDING' }],
+          properties,
+          limit: this.pageSize,
+          ...(after && { after })
+        }, { headers, params });
+      } else {
+        response = await axios.get(`${config.baseUrl}/crm/v3/objects/contacts`, {
+          headers,
+          params: {
+            ...params,
+            limit: this.pageSize,
+            properties: properties.join(','),
+            ...(after && { after })
+          }
+        });
+      }
+
+      records.push(...(response.data.results || []));
+      after = response.data.paging?.next?.after;
+      if (!after || this.reachedLimit(records, options)) break;
+    }
+
+    return records;
+  }
+
+  async fetchPipedriveLeads(config, options) {
+    const records = [];
+    let start = 0;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      let response;
+
+      if (options.since) {
+        // Pipedrive expects "YYYY-MM-DD HH:MM:SS" in UTC
+        const sinceTimestamp = options.since.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+        response = await axios.get(`${config.baseUrl}/v1/recents`, {
+          params: {
+            api_token: config.apiToken,
+            since_timestamp: sinceTimestamp,
+            items: 'person',
+            start,
+            limit: this.pageSize
+          }
+        });
+        const recents = response.data.data || [];
+        records.push(...recents.filter(item => item.item === 'person' && item.data).map(item => item.data));
+      } else {
+        response = await axios.get(`${config.baseUrl}/v1/persons`, {
+          params: { api_token: config.apiToken, start, limit: this.pageSize }
+        });
+        records.push(...(response.data.data || []));
+      }
+
+      const pagination = response.data.additional_data?.pagination;
+      if (!pagination?.more_items_in_collection || this.reachedLimit(records, options)) break;
+      start = pagination.next_start;
+    }
+
+    return records;
+  }
+
+  async getZohoAccessToken(config) {
+    const authResponse = await axios.post(`${config.accountsUrl}/oauth/v2/token`, null, {
+      params: {
+        refresh_token: config.refreshToken,
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        grant_type: 'refresh_token'
+      }
+    });
+    return authResponse.data.access_token;
+  }
+
+  async fetchZohoLeads(config, options) {
+    const accessToken = await this.getZohoAccessToken(config);
+    const headers = { Authorization: `Zoho-oauthtoken ${accessToken}` };
+    if (options.since) {
+      headers['If-Modified-Since'] = options.since.toISOString();
+    }
+
+    const records = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const response = await axios.get(`${config.baseUrl}/Leads`, {
+        headers,
+        params: {
+          page,
+          per_page: Math.min(this.pageSize, 200),
+          sort_by: 'Modified_Time',
+          sort_order: 'asc'
+        }
+      });
+
+      // Zoho answers 204 with an empty body when nothing matches
+      records.push(...(response.data?.data || []));
+      if (!response.data?.info?.more_records || this.reachedLimit(records, options)) break;
+    }
+
+    return records;
+  }
+}
+
+module.exports = new CRMImportService();
+module.exports.SUPPORTED_IMPORT_TYPES = SUPPORTED_IMPORT_TYPES;
+module.exports.DEFAULT_FIELD_MAPPINGS = DEFAULT_FIELD_MAPPINGS;
+module.exports.MAPPABLE_LEAD_FIELDS = MAPPABLE_LEAD_FIELDS;
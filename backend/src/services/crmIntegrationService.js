@@ -3,7 +3,23 @@
  */
 
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const crmImportService = require('./crmImportService');
+const { CrmSyncItem, CrmRecordLink } = require('../database/models');
+
+// Thrown for requests that can never succeed as sent
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+// Item exists but is not in a state the action applies to
+const invalidStateError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_STATE';
+  return error;
+};
 
 class CRMIntegrationService {
   constructor() {
@@ -19,7 +35,7 @@ class CRMIntegrationService {
       },
       hubspot: {
         name: 'HubSpot',
-        baseUrl: 'https://api.hubapi.com',
+        baseUrl: process.env.HUBSPOT_BASE_URL || 'https://api.hubapi.com',
         apiKey: process.env.HUBSPOT_API_KEY,
         accessToken: process.env.HUBSPOT_ACCESS_TOKEN
       },
@@ -30,7 +46,8 @@ class CRMIntegrationService {
       },
       zoho: {
         name: 'Zoho CRM',
-        baseUrl: 'https://www.zohoapis.com/crm/v2',
+        baseUrl: process.env.ZOHO_BASE_URL || 'https://www.zohoapis.com/crm/v2',
+        accountsUrl: process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com',
         clientId: process.env.ZOHO_CLIENT_ID,
         clientSecret: process.env.ZOHO_CLIENT_SECRET,
         refreshToken: process.env.ZOHO_REFRESH_TOKEN
@@ -38,9 +55,13 @@ class CRMIntegrationService {
     };
     
     this.defaultProvider = process.env.DEFAULT_CRM_PROVIDER || 'hubspot';
-    this.syncQueue = [];
-    this.retryAttempts = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.retryAttempts = parseInt(process.env.CRM_SYNC_MAX_ATTEMPTS) || 5;
+    this.retryDelay = 5000; // 5 seconds, doubled after every failed attempt
+    this.maxRetryDelay = 60 * 60 * 1000; // 1 hour
+    this.batchSize = 5;
+    this.staleProcessingMs = 10 * 60 * 1000; // 10 minutes
+    this.processorInterval = null;
+    this.cleanupInterval = null;
     
     // Start sync processor
     this.startSyncProcessor();
@@ -61,18 +82,15 @@ class CRMIntegrationService {
       }
       
       // Add to sync queue for processing
-      this.addToSyncQueue({
-        id: uuidv4(),
+      const item = await this.addToSyncQueue({
         type: 'call_log',
         action: 'create_or_update',
         provider: providerName,
         data: callLog,
-        callId,
-        attempts: 0,
-        createdAt: new Date()
+        callId: String(callId)
       });
       
-      return { success: true, provider: providerName, status: 'queued' };
+      return { success: true, provider: providerName, status: 'queued', syncItemId: item.id };
       
     } catch (error) {
       console.error(`Failed to queue call sync for ${callId}:`, error);
@@ -88,18 +106,15 @@ class CRMIntegrationService {
       const providerName = provider || this.defaultProvider;
       console.log(`Syncing lead ${leadData.id} to ${providerName} CRM`);
       
-      this.addToSyncQueue({
-        id: uuidv4(),
+      const item = await this.addToSyncQueue({
         type: 'lead',
         action: 'create_or_update',
         provider: providerName,
         data: leadData,
-        leadId: leadData.id,
-        attempts: 0,
-        createdAt: new Date()
+        leadId: String(leadData.id)
       });
       
-      return { success: true, provider: providerName, status: 'queued' };
+      return { success: true, provider: providerName, status: 'queued', syncItemId: item.id };
       
     } catch (error) {
       console.error(`Failed to queue lead sync:`, error);
@@ -115,18 +130,15 @@ class CRMIntegrationService {
       const providerName = provider || this.defaultProvider;
       console.log(`Syncing opportunity ${opportunityData.id} to ${providerName} CRM`);
       
-      this.addToSyncQueue({
-        id: uuidv4(),
+      const item = await this.addToSyncQueue({
         type: 'opportunity',
         action: 'create_or_update',
         provider: providerName,
         data: opportunityData,
-        opportunityId: opportunityData.id,
-        attempts: 0,
-        createdAt: new Date()
+        opportunityId: String(opportunityData.id)
       });
       
-      return { success: true, provider: providerName, status: 'queued' };
+      return { success: true, provider: providerName, status: 'queued', syncItemId: item.id };
       
     } catch (error) {
       console.error(`Failed to queue opportunity sync:`, error);
@@ -146,22 +158,19 @@ class CRMIntegrationService {
       
       for (const record of records) {
         const syncItem = {
-          id: uuidv4(),
           type: record.type,
           action: record.action || 'create_or_update',
           provider: providerName,
-          data: record.data,
-          attempts: 0,
-          createdAt: new Date()
+          data: record.data
         };
         
         // Add record-specific IDs
-        if (record.callId) syncItem.callId = record.callId;
-        if (record.leadId) syncItem.leadId = record.leadId;
-        if (record.opportunityId) syncItem.opportunityId = record.opportunityId;
+        if (record.callId) syncItem.callId = String(record.callId);
+        if (record.leadId) syncItem.leadId = String(record.leadId);
+        if (record.opportunityId) syncItem.opportunityId = String(record.opportunityId);
         
-        this.addToSyncQueue(syncItem);
-        syncResults.push({ id: record.id || record.data.id, status: 'queued' });
+        const item = await this.addToSyncQueue(syncItem);
+        syncResults.push({ id: record.id || record.data.id, status: 'queued', syncItemId: item.id });
       }
       
       return {
@@ -195,45 +204,47 @@ class CRMIntegrationService {
         case 'zoho':
           return await this.importFromZoho(importType, options);
         default:
-          throw new Error(`Unsupported CRM provider: ${providerName}`);
+          throw validationError(`Unsupported CRM provider: ${providerName}`);
       }
       
     } catch (error) {
       console.error(`CRM import failed:`, error);
-      throw new Error(`CRM import failed: ${error.message}`);
+      const failure = new Error(`CRM import failed: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
     }
   }
 
   /**
-   * Get sync status and statistics
+   * Get sync status and statistics from the persisted queue
    */
   async getSyncStatus(callId = null, leadId = null) {
     try {
-      let queueItems = [...this.syncQueue];
+      const where = {};
       
       // Filter by specific IDs if provided
-      if (callId) {
-        queueItems = queueItems.filter(item => item.callId === callId);
-      }
-      if (leadId) {
-        queueItems = queueItems.filter(item => item.leadId === leadId);
-      }
+      if (callId) where.callId = String(callId);
+      if (leadId) where.leadId = String(leadId);
+      
+      const [counts, queueItems] = await Promise.all([
+        CrmSyncItem.count({ where, group: ['status'] }),
+        CrmSyncItem.findAll({
+          where,
+          order: [['updatedAt', 'DESC']],
+          limit: 100
+        })
+      ]);
+      
+      const byStatus = counts.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), {});
       
       const statusSummary = {
-        total: queueItems.length,
-        pending: queueItems.filter(item => item.status === 'pending').length,
-        processing: queueItems.filter(item => item.status === 'processing').length,
-        completed: queueItems.filter(item => item.status === 'completed').length,
-        failed: queueItems.filter(item => item.status === 'failed').length,
-        items: queueItems.map(item => ({
-          id: item.id,
-          type: item.type,
-          provider: item.provider,
-          status: item.status || 'pending',
-          attempts: item.attempts,
-          lastAttempt: item.lastAttempt,
-          error: item.error
-        }))
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        pending: byStatus.pending || 0,
+        processing: byStatus.processing || 0,
+        completed: byStatus.completed || 0,
+        failed: byStatus.dead || 0,
+        deadLettered: byStatus.dead || 0,
+        items: queueItems.map(item => this.formatSyncItem(item))
       };
       
       return statusSummary;
@@ -248,76 +259,239 @@ class CRMIntegrationService {
    * Process sync queue items
    */
   startSyncProcessor() {
-    setInterval(async () => {
-      if (this.syncQueue.length === 0) return;
-      
-      const pendingItems = this.syncQueue.filter(item => 
-        !item.status || item.status === 'pending' || 
-        (item.status === 'failed' && item.attempts < this.retryAttempts)
-      );
-      
-      if (pendingItems.length === 0) return;
-      
-      console.log(`Processing ${pendingItems.length} sync items`);
-      
-      for (const item of pendingItems.slice(0, 5)) { // Process max 5 items at once
-        await this.processSyncItem(item);
-      }
+    if (this.processorInterval) return;
+    
+    this.processorInterval = setInterval(() => {
+      this.processDueItems().catch(error => {
+        console.error('CRM sync processor run failed:', error.message);
+      });
     }, 10000); // Process every 10 seconds
+    
+    // Clean up old completed items every hour
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupCompletedItems().catch(error => {
+        console.error('CRM sync cleanup failed:', error.message);
+      });
+    }, 60 * 60 * 1000);
+  }
+
+  stopSyncProcessor() {
+    clearInterval(this.processorInterval);
+    clearInterval(this.cleanupInterval);
+    this.processorInterval = null;
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Run one pass over items whose next attempt is due
+   */
+  async processDueItems() {
+    const released = await CrmSyncItem.releaseStale(this.staleProcessingMs);
+    if (released > 0) {
+      console.log(`Released ${released} stale sync items back to the queue`);
+    }
+    
+    const dueItems = await CrmSyncItem.findDue(this.batchSize);
+    if (dueItems.length === 0) return 0;
+    
+    console.log(`Processing ${dueItems.length} sync items`);
+    
+    let processed = 0;
+    for (const item of dueItems) {
+      // Another worker may have picked the item up since we read it
+      if (!(await CrmSyncItem.claim(item.id))) continue;
+      await item.reload();
+      await this.processSyncItem(item);
+      processed++;
+    }
+    return processed;
   }
 
   /**
    * Process individual sync item
    */
   async processSyncItem(item) {
+    const attempts = (item.attempts || 0) + 1;
+    
     try {
-      item.status = 'processing';
-      item.attempts = (item.attempts || 0) + 1;
-      item.lastAttempt = new Date();
+      console.log(`Processing sync item ${item.id} (attempt ${attempts})`);
       
-      console.log(`Processing sync item ${item.id} (attempt ${item.attempts})`);
+      // Leads already linked to a CRM record are updated in place instead of re-created
+      const link = await this.findRecordLink(item);
+      const remoteId = link ? link.remoteId : null;
       
       let result;
       switch (item.provider) {
         case 'salesforce':
-          result = await this.syncToSalesforce(item);
+          result = await this.syncToSalesforce(item, remoteId);
           break;
         case 'hubspot':
-          result = await this.syncToHubSpot(item);
+          result = await this.syncToHubSpot(item, remoteId);
           break;
         case 'pipedrive':
-          result = await this.syncToPipedrive(item);
+          result = await this.syncToPipedrive(item, remoteId);
           break;
         case 'zoho':
-          result = await this.syncToZoho(item);
+          result = await this.syncToZoho(item, remoteId);
           break;
         default:
           throw new Error(`Unsupported provider: ${item.provider}`);
       }
       
-      if (result.success) {
-        item.status = 'completed';
-        item.completedAt = new Date();
-        item.crmRecordId = result.crmRecordId;
-        console.log(`Successfully synced item ${item.id} to ${item.provider}`);
-      } else {
+      if (!result.success) {
         throw new Error(result.error || 'Sync failed');
       }
       
-    } catch (error) {
-      console.error(`Sync item ${item.id} failed (attempt ${item.attempts}):`, error);
+      await this.recordLink(item, link, result.crmRecordId);
       
-      item.error = error.message;
-      item.lastError = new Date();
+      await item.update({
+        status: 'completed',
+        attempts,
+        completedAt: new Date(),
+        crmRecordId: result.crmRecordId ? String(result.crmRecordId) : null,
+        lastError: null
+      });
+      console.log(`Successfully synced item ${item.id} to ${item.provider}`);
       
-      if (item.attempts >= this.retryAttempts) {
-        item.status = 'failed';
-        console.error(`Sync item ${item.id} permanently failed after ${item.attempts} attempts`);
+    } catch (error) {
+      console.error(`Sync item ${item.id} failed (attempt ${attempts}):`, error.message);
+      
+      const maxAttempts = item.maxAttempts || this.retryAttempts;
+      
+      if (attempts >= maxAttempts) {
+        await item.update({
+          status: 'dead',
+          attempts,
+          lastError: error.message,
+          deadLetteredAt: new Date()
+        });
+        console.error(`Sync item ${item.id} moved to dead-letter after ${attempts} attempts`);
       } else {
-        item.status = 'pending';
-        console.log(`Sync item ${item.id} will be retried (attempt ${item.attempts}/${this.retryAttempts})`);
+        const delay = this.getRetryDelay(attempts);
+        await item.update({
+          status: 'pending',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + delay)
+        });
+        console.log(`Sync item ${item.id} will be retried in ${Math.round(delay / 1000)}s (attempt ${attempts}/${maxAttempts})`);
       }
     }
+    
+    return item;
+  }
+
+  /**
+   * CRM record a lead sync item should update, if the lead is already linked
+   */
+  async findRecordLink(item) {
+    if (item.type !== 'lead' || !item.leadId) return null;
+    
+    const links = await CrmRecordLink.findForLocal('lead', item.leadId);
+    return links.find(link => link.provider === item.provider) || null;
+  }
+
+  /**
+   * Remember which CRM record a lead was pushed to so later syncs update it
+   */
+  async recordLink(item, link, crmRecordId) {
+    if (item.type !== 'lead' || !item.leadId) return;
+    
+    if (link) {
+      // The push carried every field, so none is behind the CRM any more
+      await link.update({ lastSyncedAt: new Date(), fieldSyncedAt: {} });
+    } else if (crmRecordId) {
+      await CrmRecordLink.create({
+        provider: item.provider,
+        objectType: 'lead',
+        remoteId: String(crmRecordId),
+        localId: item.leadId,
+        lastSyncedAt: new Date()
+      });
+    }
+  }
+
+  /**
+   * Exponential backoff with +/-20% jitter, capped at maxRetryDelay
+   */
+  getRetryDelay(attempts) {
+    const base = Math.min(this.retryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+    const jitter = base * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(base + jitter);
+  }
+
+  // Dead-letter management
+
+  /**
+   * List items that exhausted their retries
+   */
+  async getFailedItems({ provider, type, page = 1, limit = 20 } = {}) {
+    const where = { status: 'dead' };
+    if (provider) where.provider = provider;
+    if (type) where.type = type;
+    
+    const { rows, count } = await CrmSyncItem.findAndCountAll({
+      where,
+      order: [['deadLetteredAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+    
+    return { items: rows.map(item => this.formatSyncItem(item, true)), total: count };
+  }
+
+  /**
+   * Put a dead-lettered item back on the queue with a fresh retry budget
+   */
+  async retrySyncItem(id) {
+    const item = await CrmSyncItem.findByPk(id);
+    if (!item) return null;
+    
+    if (item.status !== 'dead') {
+      throw invalidStateError(`Only dead-lettered items can be retried (item is ${item.status})`);
+    }
+    
+    await item.update({
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      deadLetteredAt: null
+    });
+    return this.formatSyncItem(item);
+  }
+
+  /**
+   * Permanently drop a dead-lettered item
+   */
+  async discardSyncItem(id) {
+    const item = await CrmSyncItem.findByPk(id);
+    if (!item) return null;
+    
+    if (item.status !== 'dead') {
+      throw invalidStateError(`Only dead-lettered items can be discarded (item is ${item.status})`);
+    }
+    
+    await item.destroy();
+    return { id, discarded: true };
+  }
+
+  formatSyncItem(item, includeData = false) {
+    return {
+      id: item.id,
+      type: item.type,
+      provider: item.provider,
+      status: item.status,
+      attempts: item.attempts,
+      maxAttempts: item.maxAttempts,
+      nextAttemptAt: item.status === 'pending' ? item.nextAttemptAt : null,
+      lastAttempt: item.lastAttemptAt,
+      error: item.lastError,
+      crmRecordId: item.crmRecordId,
+      callId: item.callId,
+      leadId: item.leadId,
+      deadLetteredAt: item.deadLetteredAt,
+      ...(includeData && { data: item.data })
+    };
   }
 
   // Provider-specific sync methods
@@ -325,7 +499,7 @@ class CRMIntegrationService {
   /**
    * Sync to Salesforce
    */
-  async syncToSalesforce(item) {
+  async syncToSalesforce(item, remoteId = null) {
     try {
       const config = this.providers.salesforce;
       
@@ -346,17 +520,20 @@ class CRMIntegrationService {
       // Map data to Salesforce format
       const salesforceData = this.mapToSalesforceFormat(item);
       
+      const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      };
+      const objectUrl = `${instanceUrl}/services/data/v52.0/sobjects/${salesforceData.objectType}`;
+      
+      // PATCH returns 204 with no body, so the known id is reported back
+      if (remoteId) {
+        await axios.patch(`${objectUrl}/${remoteId}`, salesforceData.data, { headers });
+        return { success: true, crmRecordId: remoteId, provider: 'salesforce' };
+      }
+      
       // Sync to Salesforce
-      const syncResponse = await axios.post(
-        `${instanceUrl}/services/data/v52.0/sobjects/${salesforceData.objectType}`,
-        salesforceData.data,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const syncResponse = await axios.post(objectUrl, salesforceData.data, { headers });
       
       return {
         success: true,
@@ -375,7 +552,7 @@ class CRMIntegrationService {
   /**
    * Sync to HubSpot
    */
-  async syncToHubSpot(item) {
+  async syncToHubSpot(item, remoteId = null) {
     try {
       const config = this.providers.hubspot;
       
@@ -393,11 +570,9 @@ class CRMIntegrationService {
         hubspotData.url += `?hapikey=${config.apiKey}`;
       }
       
-      const syncResponse = await axios.post(
-        `${config.baseUrl}${hubspotData.endpoint}`,
-        hubspotData.data,
-        { headers }
-      );
+      const syncResponse = remoteId
+        ? await axios.patch(`${config.baseUrl}${hubspotData.endpoint}/${remoteId}`, hubspotData.data, { headers })
+        : await axios.post(`${config.baseUrl}${hubspotData.endpoint}`, hubspotData.data, { headers });
       
       return {
         success: true,
@@ -416,20 +591,20 @@ class CRMIntegrationService {
   /**
    * Sync to Pipedrive
    */
-  async syncToPipedrive(item) {
+  async syncToPipedrive(item, remoteId = null) {
     try {
       const config = this.providers.pipedrive;
       
       // Map data to Pipedrive format
       const pipedriveData = this.mapToPipedriveFormat(item);
       
-      const syncResponse = await axios.post(
-        `${config.baseUrl}${pipedriveData.endpoint}?api_token=${config.apiToken}`,
-        pipedriveData.data,
-        {
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
+      const endpoint = remoteId ? `${pipedriveData.endpoint}/${remoteId}` : pipedriveData.endpoint;
+      const syncResponse = await axios({
+        method: remoteId ? 'put' : 'post',
+        url: `${config.baseUrl}${endpoint}?api_token=${config.apiToken}`,
+        data: pipedriveData.data,
+        headers: { 'Content-Type': 'application/json' }
+      });
       
       return {
         success: true,
@@ -448,13 +623,13 @@ class CRMIntegrationService {
   /**
    * Sync to Zoho CRM
    */
-  async syncToZoho(item) {
+  async syncToZoho(item, remoteId = null) {
     try {
       const config = this.providers.zoho;
       
       // Get access token using refresh token
       const authResponse = await axios.post(
-        'https://accounts.zoho.com/oauth/v2/token',
+        `${config.accountsUrl}/oauth/v2/token`,
         {
           refresh_token: config.refreshToken,
           client_id: config.clientId,
@@ -468,16 +643,16 @@ class CRMIntegrationService {
       // Map data to Zoho format
       const zohoData = this.mapToZohoFormat(item);
       
-      const syncResponse = await axios.post(
-        `${config.baseUrl}/${zohoData.module}`,
-        { data: [zohoData.data] },
-        {
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
+      // Zoho updates records in bulk with PUT, matching on the id inside each record
+      const syncResponse = await axios({
+        method: remoteId ? 'put' : 'post',
+        url: `${config.baseUrl}/${zohoData.module}`,
+        data: { data: [remoteId ? { id: remoteId, ...zohoData.data } : zohoData.data] },
+        headers: {
+          'Authorization': `Zoho-oauthtoken ${accessToken}`,
+          'Content-Type': 'application/json'
         }
-      );
+      });
       
       return {
         success: true,
@@ -624,33 +799,46 @@ class CRMIntegrationService {
     }
   }
 
-  // Import methods (simplified implementations)
+  // Import methods
 
   async importFromSalesforce(importType, options) {
-    // Implementation for importing data from Salesforce
-    return { success: true, records: [], total: 0 };
+    this.assertImportType(importType);
+    return await crmImportService.importLeads('salesforce', this.providers.salesforce, options);
   }
 
   async importFromHubSpot(importType, options) {
-    // Implementation for importing data from HubSpot
-    return { success: true, records: [], total: 0 };
+    this.assertImportType(importType);
+    return await crmImportService.importLeads('hubspot', this.providers.hubspot, options);
   }
 
   async importFromPipedrive(importType, options) {
-    // Implementation for importing data from Pipedrive
-    return { success: true, records: [], total: 0 };
+    this.assertImportType(importType);
+    return await crmImportService.importLeads('pipedrive', this.providers.pipedrive, options);
   }
 
   async importFromZoho(importType, options) {
-    // Implementation for importing data from Zoho
-    return { success: true, records: [], total: 0 };
+    this.assertImportType(importType);
+    return await crmImportService.importLeads('zoho', this.providers.zoho, options);
+  }
+
+  assertImportType(importType) {
+    if (!crmImportService.SUPPORTED_IMPORT_TYPES.includes(importType)) {
+      throw validationError(`Unsupported import type: ${importType}`);
+    }
   }
 
   // Helper methods
 
-  addToSyncQueue(item) {
-    this.syncQueue.push(item);
-    console.log(`Added item ${item.id} to sync queue. Queue size: ${this.syncQueue.length}`);
+  async addToSyncQueue(item) {
+    const syncItem = await CrmSyncItem.create({
+      ...item,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.retryAttempts,
+      nextAttemptAt: new Date()
+    });
+    console.log(`Added item ${syncItem.id} to sync queue`);
+    return syncItem;
   }
 
   async getCallLogData(callId) {
@@ -674,25 +862,22 @@ class CRMIntegrationService {
 
   /**
    * Clean up completed sync items older than 24 hours
+   * Dead-lettered items are kept until an admin retries or discards them
    */
-  cleanupCompletedItems() {
+  async cleanupCompletedItems() {
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const initialLength = this.syncQueue.length;
     
-    this.syncQueue = this.syncQueue.filter(item => {
-      if (item.status === 'completed' && new Date(item.completedAt) < oneDayAgo) {
-        return false;
-      }
-      if (item.status === 'failed' && new Date(item.lastError) < oneDayAgo) {
-        return false;
+    const cleanedCount = await CrmSyncItem.destroy({
+      where: {
+        status: 'completed',
+        completedAt: { [Op.lt]: oneDayAgo }
       }
-      return true;
     });
     
-    const cleanedCount = initialLength - this.syncQueue.length;
     if (cleanedCount > 0) {
       console.log(`Cleaned up ${cleanedCount} old sync items`);
     }
+    return cleanedCount;
   }
 
   /**
@@ -741,11 +926,4 @@ class CRMIntegrationService {
   }
 }
 
-// Start cleanup process every hour
-setInterval(() => {
-  if (global.crmService) {
-    global.crmService.cleanupCompletedItems();
-  }
-}, 60 * 60 * 1000);
-
 module.exports = new CRMIntegrationService();
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Custom Report Service
+ * Assembles custom analytics reports from the analytics model. Shared by the on-demand
+ * report endpoint and scheduled report subscriptions.
+ */
+
+const analyticsModel = require('../models/analyticsModel');
+
+const REPORT_TYPES = ['summary', 'detailed', 'executive', 'operational', 'custom'];
+
+// Sections included when a report doesn't ask for specific ones; forecasting is opt-in
+const DEFAULT_SECTIONS = ['leads', 'conversion', 'sources', 'agents'];
+const REPORT_SECTIONS = [...DEFAULT_SECTIONS, 'forecasting'];
+
+/**
+ * Build a custom report
+ * @param {Object} options - { reportType, dateRange, filters, sections }
+ * @returns {Promise<Object>} { reportId, reportType, generatedAt, dateRange, filters, sections, summary }
+ */
+const buildCustomReport = async ({ reportType, dateRange = null, filters = {}, sections = [] }) => {
+  const requested = sections.length ? sections : DEFAULT_SECTIONS;
+
+  const reportData = {
+    reportId: `custom_${Date.now()}`,
+    reportType,
+    generatedAt: new Date().toISOString(),
+    dateRange: dateRange || 'All time',
+    filters,
+    sections: {},
+    summary: {}
+  };
+
+  if (requested.includes('leads')) {
+    reportData.sections.leads = await analyticsModel.getLeadMetrics(dateRange, filters);
+  }
+
+  if (requested.includes('conversion')) {
+    reportData.sections.conversion = await analyticsModel.getConversionFunnel(dateRange, filters);
+  }
+
+  if (requested.includes('sources')) {
+    reportData.sections.sources = await analyticsModel.getSourceAttribution(dateRange);
+  }
+
+  if (requested.includes('agents')) {
+    reportData.sections.agents = await analyticsModel.getAgentPerformance(dateRange, filters);
+  }
+
+  if (requested.includes('forecasting')) {
+    reportData.sections.forecasting = await analyticsModel.generateForecasting(dateRange);
+  }
+
+  reportData.summary = generateExecutiveSummary(reportData.sections);
+
+  return reportData;
+};
+
+/**
+ * Generate executive summary for custom reports
+ */
+const generateExecutiveSummary = (sections) => {
+  const summary = {
+    totalLeads: sections.leads?.summary.totalLeads || 0,
+    conversionRate: sections.leads?.summary.conversionRate || 0,
+    topPerformingSource: sections.sources?.ranking?.[0]?.[0] || null,
+    recommendedActions: []
+  };
+
+  // Add dynamic recommendations
+  if (summary.conversionRate < 10) {
+    summary.recommendedActions.push('Focus on lead qualification improvement');
+  }
+  if (sections.conversion?.dropOffAnalysis.contactRate < 80) {
+    summary.recommendedActions.push('Improve lead contact strategies');
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_SECTIONS,
+  buildCustomReport,
+  generateExecutiveSummary
+};
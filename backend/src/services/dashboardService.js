@@ -0,0 +1,319 @@
+/**
+ * Dashboard Service
+ * Saved dashboard layouts per user or team, widget validation, read-only share links and
+ * widget data for the builder and for shared dashboards
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Dashboard, Team, TeamMember } = require('../database/models');
+const { WIDGET_TYPES, DASHBOARD_VISIBILITIES, GRID_COLUMNS } = require('../database/models/Dashboard');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../middleware/auth');
+const authController = require('../controllers/authController');
+const widgetSourceService = require('./widgetSourceService');
+
+const MAX_WIDGETS = 40;
+const MAX_WIDGET_HEIGHT = 12;
+const ADMIN_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+const EDITABLE_FIELDS = ['name', 'description', 'visibility', 'teamId', 'widgets', 'filters'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Width and height in grid cells for widgets added without a layout
+const DEFAULT_SIZES = {
+  kpi: { w: 3, h: 2 },
+  line: { w: 6, h: 4 },
+  bar: { w: 6, h: 4 },
+  funnel: { w: 4, h: 4 },
+  table: { w: 6, h: 4 },
+  leaderboard: { w: 4, h: 4 }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+const isParamValue = (value) => value === null || isScalar(value) || (Array.isArray(value) && value.every(isScalar));
+
+const userId = (user) => (user?.id !== undefined && user?.id !== null ? String(user.id) : null);
+
+/**
+ * Who is asking: their id, whether they are an admin and the teams they are an active member of
+ */
+const viewerFor = async (user) => {
+  const id = userId(user);
+  const memberships = id
+    ? await TeamMember.findAll({ where: { userId: id, isActive: true }, attributes: ['teamId'] })
+    : [];
+  return {
+    id,
+    role: user?.role,
+    isAdmin: ADMIN_ROLES.includes(user?.role),
+    teamIds: memberships.map(membership => membership.teamId)
+  };
+};
+
+const validateParams = (params, label) => {
+  if (!isPlainObject(params)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const invalid = Object.keys(params).filter(key => !isParamValue(params[key]));
+  if (invalid.length > 0) {
+    throw new Error(`${label} values must be strings, numbers, booleans or lists of them: ${invalid.join(', ')}`);
+  }
+};
+
+class DashboardService {
+  /**
+   * Check a dashboard's widgets and give each an id and a place on the grid
+   * @param {Array<Object>} widgets - [{ id, type, title, source: { endpoint, params }, display, layout }]
+   * @returns {Array<Object>} Normalised widgets
+   */
+  validateWidgets(widgets) {
+    if (!Array.isArray(widgets)) {
+      throw new Error('widgets must be an array');
+    }
+    if (widgets.length > MAX_WIDGETS) {
+      throw new Error(`A dashboard can have at most ${MAX_WIDGETS} widgets`);
+    }
+
+    const ids = new Set();
+    let bottom = 0;
+
+    return widgets.map((widget, index) => {
+      const label = `widgets[${index}]`;
+      if (!isPlainObject(widget)) {
+        throw new Error(`${label} must be an object`);
+      }
+      if (!WIDGET_TYPES.includes(widget.type)) {
+        throw new Error(`${label}.type must be one of: ${WIDGET_TYPES.join(', ')}`);
+      }
+
+      const source = widget.source || {};
+      if (!widgetSourceService.isSupportedEndpoint(source.endpoint)) {
+        throw new Error(`${label}.source.endpoint must be an analytics GET endpoint, e.g. /api/analytics/kpis (see /api/dashboards/sources)`);
+      }
+      const params = source.params === undefined ? {} : source.params;
+      validateParams(params, `${label}.source.params`);
+
+      const display = widget.display === undefined ? {} : widget.display;
+      if (!isPlainObject(display)) {
+        throw new Error(`${label}.display must be an object`);
+      }
+
+      const id = widget.id ? String(widget.id) : crypto.randomUUID();
+      if (ids.has(id)) {
+        throw new Error(`Duplicate widget id: ${id}`);
+      }
+      ids.add(id);
+
+      const layout = this.validateLayout(widget.layout, widget.type, bottom, label);
+      bottom = Math.max(bottom, layout.y + layout.h);
+
+      return {
+        id,
+        type: widget.type,
+        title: typeof widget.title === 'string' && widget.title.trim() ? widget.title.trim().slice(0, 100) : source.endpoint,
+        source: { endpoint: source.endpoint, params },
+        display,
+        layout
+      };
+    });
+  }
+
+  /**
+   * Whole grid cells inside the 12 columns; widgets without a layout go below the others
+   */
+  validateLayout(layout, type, bottom, label) {
+    if (layout === undefined || layout === null) {
+      return { x: 0, y: bottom, ...DEFAULT_SIZES[type] };
+    }
+
+    const { x, y, w, h } = layout;
+    const valid = [x, y, w, h].every(Number.isInteger)
+      && x >= 0 && y >= 0
+      && w >= 1 && x + w <= GRID_COLUMNS
+      && h >= 1 && h <= MAX_WIDGET_HEIGHT;
+    if (!valid) {
+      throw new Error(`${label}.layout must be whole grid cells { x, y, w, h } within ${GRID_COLUMNS} columns and at most ${MAX_WIDGET_HEIGHT} rows high`);
+    }
+    return { x, y, w, h };
+  }
+
+  /**
+   * Check and normalise dashboard fields; throws on the first invalid one
+   * @param {Object} data - Fields to write
+   * @param {Object} options - { partial, viewer, current } - current is the saved dashboard on updates
+   */
+  async validate(data, { partial = false, viewer, current = null } = {}) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    if ((!partial || values.name !== undefined) && (typeof values.name !== 'string' || !values.name.trim())) {
+      throw new Error('name is required');
+    }
+    if (values.visibility !== undefined && !DASHBOARD_VISIBILITIES.includes(values.visibility)) {
+      throw new Error(`visibility must be one of: ${DASHBOARD_VISIBILITIES.join(', ')}`);
+    }
+    if (values.widgets !== undefined) {
+      values.widgets = this.validateWidgets(values.widgets);
+    }
+    if (values.filters !== undefined) {
+      validateParams(values.filters, 'filters');
+    }
+
+    // Team dashboards go to a team the creator is on (their only one by default); admins can name any team
+    const visibility = values.visibility || current?.visibility || 'private';
+    if (visibility === 'team') {
+      const onlyTeam = viewer.teamIds.length === 1 ? viewer.teamIds[0] : null;
+      const teamId = values.teamId !== undefined ? values.teamId : (current?.teamId || onlyTeam);
+      if (!teamId) {
+        throw new Error('teamId is required for team dashboards');
+      }
+      values.teamId = String(teamId).trim();
+      if (values.teamId !== current?.teamId) {
+        const team = UUID_PATTERN.test(values.teamId) ? await Team.findByPk(values.teamId) : null;
+        if (!team) {
+          throw new Error(`Team not found: ${values.teamId}`);
+        }
+        if (!viewer.isAdmin && !viewer.teamIds.includes(values.teamId)) {
+          throw new Error('Dashboards can only be shared with a team you belong to');
+        }
+      }
+    } else if (values.visibility === 'private' || values.teamId !== undefined) {
+      values.teamId = null;
+    }
+
+    if (values.name !== undefined) values.name = values.name.trim();
+    return values;
+  }
+
+  canView(dashboard, viewer) {
+    if (viewer.isAdmin || dashboard.ownerId === viewer.id) return true;
+    return dashboard.visibility === 'team' && viewer.teamIds.includes(dashboard.teamId);
+  }
+
+  canEdit(dashboard, viewer) {
+    if (viewer.isAdmin || dashboard.ownerId === viewer.id) return true;
+    return viewer.role === ROLES.MANAGER && this.canView(dashboard, viewer);
+  }
+
+  /**
+   * The caller's own dashboards and those of the teams they are on; admins see every dashboard
+   */
+  async listDashboards(user) {
+    const viewer = await viewerFor(user);
+    const where = {};
+    if (!viewer.isAdmin) {
+      const visible = [{ ownerId: viewer.id }];
+      if (viewer.teamIds.length > 0) visible.push({ visibility: 'team', teamId: { [Op.in]: viewer.teamIds } });
+      where[Op.or] = visible;
+    }
+
+    const dashboards = await Dashboard.findAll({ where, order: [['updatedAt', 'DESC']] });
+    return dashboards.map(dashboard => this.present(dashboard, viewer));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { dashboard, allowed } - null when it doesn't exist
+   */
+  async findForUser(id, user, access = 'view') {
+    const dashboard = await Dashboard.findByPk(id);
+    if (!dashboard) return null;
+    const viewer = await viewerFor(user);
+    const allowed = access === 'edit' ? this.canEdit(dashboard, viewer) : this.canView(dashboard, viewer);
+    return { dashboard, allowed };
+  }
+
+  async createDashboard(data, user) {
+    const viewer = await viewerFor(user);
+    const values = await this.validate({ widgets: [], filters: {}, ...data }, { viewer });
+    const dashboard = await Dashboard.create({ teamId: null, ...values, ownerId: viewer.id });
+    return this.present(dashboard, viewer);
+  }
+
+  async updateDashboard(dashboard, data, user) {
+    const viewer = await viewerFor(user);
+    const values = await this.validate(data, { partial: true, viewer, current: dashboard });
+    await dashboard.update(values);
+    return this.present(dashboard, viewer);
+  }
+
+  async deleteDashboard(dashboard) {
+    await dashboard.destroy();
+  }
+
+  /**
+   * Turn on the read-only link, keeping the existing token if there is one
+   */
+  async share(dashboard, user) {
+    if (!dashboard.shareToken) {
+      await dashboard.update({ shareToken: crypto.randomBytes(24).toString('base64url'), sharedAt: new Date() });
+    }
+    return this.serialize(dashboard, user);
+  }
+
+  /**
+   * Turn off the read-only link; sharing again issues a new token
+   */
+  async unshare(dashboard, user) {
+    await dashboard.update({ shareToken: null, sharedAt: null });
+    return this.serialize(dashboard, user);
+  }
+
+  async findShared(token) {
+    if (!token) return null;
+    return Dashboard.findOne({ where: { shareToken: token } });
+  }
+
+  /**
+   * Load a widget's data with the dashboard filters under the widget's own params
+   * @returns {Promise<Object|null>} { status, body } as the endpoint would answer; null if the widget doesn't exist
+   */
+  async getWidgetData(dashboard, widgetId) {
+    const widget = (dashboard.widgets || []).find(item => item.id === widgetId);
+    if (!widget) return null;
+
+    const params = { ...(dashboard.filters || {}), ...(widget.source.params || {}) };
+    return widgetSourceService.fetchSource(widget.source.endpoint, params);
+  }
+
+  /**
+   * A shared dashboard's widgets load only while its owner is active and may still read analytics
+   * @returns {Promise<Object|null>} { status, body }; null if the widget doesn't exist
+   */
+  async getSharedWidgetData(dashboard, widgetId) {
+    const owner = authController.findUserById(dashboard.ownerId);
+    const permissions = ROLE_PERMISSIONS[owner?.role] || [];
+    if (!owner?.isActive || !permissions.includes(PERMISSIONS.ANALYTICS_READ)) {
+      const message = 'The owner of this dashboard can no longer share analytics';
+      return { status: 403, body: { success: false, error: { message, status: 403 } } };
+    }
+    return this.getWidgetData(dashboard, widgetId);
+  }
+
+  /**
+   * A dashboard with whether the caller may change it
+   */
+  async serialize(dashboard, user) {
+    return this.present(dashboard, await viewerFor(user));
+  }
+
+  present(dashboard, viewer) {
+    return {
+      ...dashboard.toJSON(),
+      canEdit: this.canEdit(dashboard, viewer)
+    };
+  }
+
+  /**
+   * What a read-only link shows: the layout and filters, not who owns it or the token
+   */
+  serializeShared(dashboard) {
+    const { id, name, description, widgets, filters, updatedAt } = dashboard.toJSON();
+    return { id, name, description, widgets, filters, updatedAt, readOnly: true };
+  }
+}
+
+module.exports = new DashboardService();
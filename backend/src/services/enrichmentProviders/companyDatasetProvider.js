@@ -0,0 +1,67 @@
+/**
+ * Company Dataset Enrichment Provider
+ * Firmographics from a local company-domain dataset (CSV or JSON)
+ *
+ * Dataset columns: domain, company, industry, company_size, website, location, confidence
+ */
+
+const fs = require('fs');
+const { loadDataset } = require('./datasetLoader');
+
+// Dataset column -> enrichment field
+const FIELD_MAP = {
+  company: 'inferred_company',
+  industry: 'inferred_industry',
+  company_size: 'inferred_company_size',
+  website: 'company_website',
+  location: 'company_location'
+};
+
+const DEFAULT_CONFIDENCE = 0.85;
+
+/**
+ * @param {Object} options - { datasetPath, ttl }
+ */
+const createCompanyDatasetProvider = ({ datasetPath, ttl } = {}) => {
+  let index = null;
+
+  const getIndex = () => {
+    if (!index) {
+      index = new Map();
+      loadDataset(datasetPath).forEach(row => {
+        if (row.domain) index.set(String(row.domain).toLowerCase().replace(/^www\./, ''), row);
+      });
+    }
+    return index;
+  };
+
+  return {
+    name: 'company_dataset',
+    keyType: 'domain',
+    ttl,
+
+    isEnabled() {
+      return Boolean(datasetPath) && fs.existsSync(datasetPath);
+    },
+
+    async lookup(domain) {
+      const row = getIndex().get(domain);
+      if (!row) return {};
+
+      const confidence = row.confidence !== undefined ? Number(row.confidence) : DEFAULT_CONFIDENCE;
+      return Object.entries(FIELD_MAP).reduce((fields, [column, field]) => {
+        if (row[column] !== undefined && row[column] !== null && row[column] !== '') {
+          fields[field] = { value: row[column], confidence };
+        }
+        return fields;
+      }, {});
+    },
+
+    // Drop the in-memory index so an updated dataset file is picked up
+    reload() {
+      index = null;
+    }
+  };
+};
+
+module.exports = { createCompanyDatasetProvider };
@@ -0,0 +1,73 @@
+/**
+ * Loads local enrichment datasets: a JSON array of objects or a CSV file with a header row
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Split one CSV line, honouring double-quoted fields and "" escapes
+ */
+const parseCsvLine = (line) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+};
+
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const headers = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return headers.reduce((row, header, index) => {
+      if (values[index] !== undefined && values[index] !== '') row[header] = values[index];
+      return row;
+    }, {});
+  });
+};
+
+/**
+ * @param {string} filePath - Path to a .json or .csv dataset
+ * @returns {Array<Object>} Dataset rows
+ */
+const loadDataset = (filePath) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return parseCsv(content);
+  }
+
+  const data = JSON.parse(content);
+  if (!Array.isArray(data)) {
+    throw new Error(`Enrichment dataset ${filePath} must contain an array of records`);
+  }
+  return data;
+};
+
+module.exports = { loadDataset, parseCsv };
@@ -0,0 +1,69 @@
+/**
+ * Heuristic Enrichment Provider
+ * Rule-based inferences from the lead's own fields; nothing is looked up, so
+ * results are low-confidence and never cached
+ */
+
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'aol.com', 'icloud.com', 'me.com', 'protonmail.com', 'gmx.com'
+]);
+
+const inferSeniority = (title) => {
+  const normalized = title.toLowerCase();
+  if (/\b(ceo|cto|cfo|coo|president|founder|owner|chief)\b/.test(normalized)) return 'executive';
+  if (/\b(director|vp|vice president|head)\b/.test(normalized)) return 'senior';
+  if (/\b(manager|lead)\b/.test(normalized)) return 'mid';
+  return 'individual_contributor';
+};
+
+const inferCompanySize = (company) => {
+  const normalized = company.toLowerCase();
+  if (/corporation|international|global/.test(normalized)) return '500+';
+  if (/enterprises|group/.test(normalized)) return '200-500';
+  if (/solutions|services/.test(normalized)) return '50-200';
+  return '10-50';
+};
+
+const heuristicProvider = {
+  name: 'heuristics',
+  keyType: 'lead',
+
+  isEnabled() {
+    return true;
+  },
+
+  async lookup(key, lead) {
+    const fields = {};
+    const domain = lead.email && lead.email.includes('@') ? lead.email.split('@')[1].toLowerCase() : null;
+
+    if (domain) {
+      const personal = FREE_MAIL_DOMAINS.has(domain);
+      fields.email_domain = { value: domain, confidence: 1 };
+      fields.email_type = { value: personal ? 'personal' : 'business', confidence: 0.9 };
+      fields.business_likelihood = { value: personal ? 'low' : 'high', confidence: 0.6 };
+
+      if (!personal && !lead.company) {
+        fields.inferred_company = {
+          value: domain
+            .replace(/\.(com|org|net|edu|gov|io|co)$/i, '')
+            .replace(/[.-]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase()),
+          confidence: 0.3
+        };
+      }
+    }
+
+    if (lead.title) {
+      fields.seniority_level = { value: inferSeniority(lead.title), confidence: 0.6 };
+    }
+
+    if (lead.company) {
+      fields.inferred_company_size = { value: inferCompanySize(lead.company), confidence: 0.2 };
+    }
+
+    return fields;
+  }
+};
+
+module.exports = { heuristicProvider, FREE_MAIL_DOMAINS };
@@ -0,0 +1,58 @@
+/**
+ * HTTP Enrichment Provider
+ * Generic adapter for third-party enrichment APIs keyed by domain or phone
+ *
+ * Config: {
+ *   name, keyType: 'domain' | 'phone',
+ *   url: 'https://api.example.com/companies?domain={key}',
+ *   headers: { Authorization: 'Bearer ...' },
+ *   fieldMap: { inferred_industry: 'company.category.industry' },
+ *   confidence: 0.8, ttl: 604800, timeout: 5000
+ * }
+ */
+
+const axios = require('axios');
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+/**
+ * @param {Object} config - Provider configuration (see above)
+ */
+const createHttpProvider = (config) => {
+  const { name, keyType, url, headers = {}, fieldMap = {}, confidence = 0.7, ttl, timeout = 5000 } = config;
+
+  if (!name || !url || !['domain', 'phone'].includes(keyType)) {
+    throw new Error('HTTP enrichment providers need a name, a url and a keyType of domain or phone');
+  }
+
+  return {
+    name,
+    keyType,
+    ttl,
+
+    isEnabled() {
+      return true;
+    },
+
+    async lookup(key) {
+      try {
+        const response = await axios.get(url.replace('{key}', encodeURIComponent(key)), { headers, timeout });
+
+        return Object.entries(fieldMap).reduce((fields, [field, path]) => {
+          const value = getPath(response.data, path);
+          if (value !== undefined && value !== null && value !== '') {
+            fields[field] = { value, confidence };
+          }
+          return fields;
+        }, {});
+      } catch (error) {
+        // A 404 is an answer ("unknown"), anything else should be retried later
+        if (error.response && error.response.status === 404) return {};
+        throw new Error(`${name} lookup failed: ${error.message}`);
+      }
+    }
+  };
+};
+
+module.exports = { createHttpProvider };
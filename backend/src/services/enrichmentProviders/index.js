@@ -0,0 +1,55 @@
+/**
+ * Lead Enrichment Providers
+ *
+ * A provider is a plain object:
+ *   name       - unique source name, reported with every field it supplies
+ *   keyType    - 'domain' | 'phone' (results cached per key) or 'lead' (never cached)
+ *   ttl        - optional cache TTL in seconds, overriding ENRICHMENT_CACHE_TTL
+ *   isEnabled()           - optional; false skips the provider
+ *   lookup(key, lead)     - resolves { [field]: { value, confidence } }
+ */
+
+const path = require('path');
+const { heuristicProvider, FREE_MAIL_DOMAINS } = require('./heuristicProvider');
+const { createCompanyDatasetProvider } = require('./companyDatasetProvider');
+const { createPhoneMetadataProvider, normalizePhoneKey } = require('./phoneMetadataProvider');
+const { createHttpProvider } = require('./httpProvider');
+
+const DATA_DIR = path.join(__dirname, '../../data/enrichment');
+
+/**
+ * Providers configured through the environment, in priority order
+ */
+const createDefaultProviders = () => {
+  const providers = [
+    heuristicProvider,
+    createCompanyDatasetProvider({
+      datasetPath: process.env.ENRICHMENT_COMPANY_DATASET || path.join(DATA_DIR, 'companyDomains.json')
+    }),
+    createPhoneMetadataProvider({
+      datasetPath: process.env.ENRICHMENT_PHONE_DATASET || path.join(DATA_DIR, 'phonePrefixes.json')
+    })
+  ];
+
+  if (process.env.ENRICHMENT_HTTP_PROVIDERS) {
+    try {
+      JSON.parse(process.env.ENRICHMENT_HTTP_PROVIDERS).forEach(config => {
+        providers.push(createHttpProvider(config));
+      });
+    } catch (error) {
+      console.error('Invalid ENRICHMENT_HTTP_PROVIDERS configuration:', error.message);
+    }
+  }
+
+  return providers;
+};
+
+module.exports = {
+  createDefaultProviders,
+  heuristicProvider,
+  createCompanyDatasetProvider,
+  createPhoneMetadataProvider,
+  createHttpProvider,
+  normalizePhoneKey,
+  FREE_MAIL_DOMAINS
+};
@@ -0,0 +1,133 @@
+/**
+ * Phone Metadata Enrichment Provider
+ * Country from the calling code, plus region/timezone/carrier/line type from an
+ * optional prefix dataset (CSV or JSON, longest prefix wins)
+ *
+ * Dataset columns: prefix (digits including country code), country, region, timezone,
+ * carrier, line_type, confidence
+ */
+
+const fs = require('fs');
+const { loadDataset } = require('./datasetLoader');
+
+const COUNTRY_CALLING_CODES = {
+  1: 'US', 7: 'RU', 27: 'ZA', 31: 'NL', 32: 'BE', 33: 'FR', 34: 'ES', 39: 'IT',
+  41: 'CH', 44: 'GB', 45: 'DK', 46: 'SE', 47: 'NO', 48: 'PL', 49: 'DE', 52: 'MX',
+  55: 'BR', 61: 'AU', 64: 'NZ', 65: 'SG', 81: 'JP', 82: 'KR', 86: 'CN', 91: 'IN',
+  351: 'PT', 353: 'IE', 358: 'FI', 971: 'AE', 972: 'IL'
+};
+
+const NANP_TOLL_FREE = new Set(['800', '833', '844', '855', '866', '877', '888']);
+
+// Carrier and region data go stale as numbers are ported between carriers
+const DEFAULT_DATASET_CONFIDENCE = 0.6;
+
+/**
+ * International digits without "+", assuming North America for bare 10-digit numbers
+ * @param {string} phone - Raw phone number
+ * @returns {string|null} Lookup key
+ */
+const normalizePhoneKey = (phone) => {
+  if (!phone) return null;
+
+  const raw = String(phone).trim().split(/\s*(?:x|ext\.?)\s*\d+$/i)[0];
+  let digits = raw.replace(/\D/g, '');
+
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (digits.length === 10) {
+      digits = `1${digits}`;
+    }
+  }
+
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+};
+
+const findCallingCode = (digits) => {
+  for (const length of [3, 2, 1]) {
+    const code = digits.slice(0, length);
+    if (COUNTRY_CALLING_CODES[code]) return code;
+  }
+  return null;
+};
+
+/**
+ * @param {Object} options - { datasetPath, ttl }
+ */
+const createPhoneMetadataProvider = ({ datasetPath, ttl } = {}) => {
+  let prefixes = null;
+
+  const getPrefixes = () => {
+    if (!prefixes) {
+      prefixes = new Map();
+      if (datasetPath && fs.existsSync(datasetPath)) {
+        loadDataset(datasetPath).forEach(row => {
+          if (row.prefix) prefixes.set(String(row.prefix).replace(/\D/g, ''), row);
+        });
+      }
+    }
+    return prefixes;
+  };
+
+  const findPrefixRow = (digits) => {
+    const table = getPrefixes();
+    for (let length = Math.min(digits.length, 10); length > 0; length--) {
+      const row = table.get(digits.slice(0, length));
+      if (row) return row;
+    }
+    return null;
+  };
+
+  return {
+    name: 'phone_metadata',
+    keyType: 'phone',
+    ttl,
+
+    isEnabled() {
+      return true;
+    },
+
+    async lookup(digits) {
+      const fields = {};
+      const callingCode = findCallingCode(digits);
+
+      if (callingCode) {
+        fields.phone_country_code = { value: `+${callingCode}`, confidence: 1 };
+        // +1 is shared by the US, Canada and the Caribbean
+        fields.phone_country = { value: COUNTRY_CALLING_CODES[callingCode], confidence: callingCode === '1' ? 0.6 : 0.95 };
+      }
+
+      if (callingCode === '1' && digits.length === 11) {
+        const national = digits.slice(1);
+        fields.phone_formatted = {
+          value: `+1 (${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`,
+          confidence: 1
+        };
+        if (NANP_TOLL_FREE.has(national.slice(0, 3))) {
+          fields.phone_line_type = { value: 'toll_free', confidence: 0.95 };
+        }
+      } else if (callingCode) {
+        fields.phone_formatted = { value: `+${callingCode} ${digits.slice(callingCode.length)}`, confidence: 1 };
+      }
+
+      const row = findPrefixRow(digits);
+      if (row) {
+        const confidence = row.confidence !== undefined ? Number(row.confidence) : DEFAULT_DATASET_CONFIDENCE;
+        if (row.country) fields.phone_country = { value: row.country, confidence: 0.9 };
+        if (row.region) fields.phone_region = { value: row.region, confidence };
+        if (row.timezone) fields.phone_timezone = { value: row.timezone, confidence };
+        if (row.carrier) fields.phone_carrier = { value: row.carrier, confidence: Math.min(confidence, 0.5) };
+        if (row.line_type && !fields.phone_line_type) fields.phone_line_type = { value: row.line_type, confidence };
+      }
+
+      return fields;
+    },
+
+    reload() {
+      prefixes = null;
+    }
+  };
+};
+
+module.exports = { createPhoneMetadataProvider, normalizePhoneKey };
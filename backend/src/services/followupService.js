@@ -0,0 +1,330 @@
+/**
+ * Follow-up Service - Scheduled follow-ups on leads and who they are assigned to
+ *
+ * A follow-up goes to the agent named in the request, or to the one an assignment rule
+ * picks (round-robin, territory or skill, see assignmentService). Agents see their own
+ * follow-ups; managers and admins see everyone's. Open follow-ups are mirrored to the team
+ * calendar when one is configured (see calendarService), and meeting invites sent for a
+ * follow-up are re-sent or cancelled along with it.
+ */
+
+const { Op } = require('sequelize');
+const { Followup, Lead } = require('../database/models');
+const {
+  FOLLOWUP_TYPES,
+  FOLLOWUP_STATUSES,
+  FOLLOWUP_PRIORITIES,
+  FOLLOWUP_OUTCOMES
+} = require('../database/models/Followup');
+const { leads } = require('../data/dataStore');
+const { ROLES } = require('../middleware/auth');
+const assignmentService = require('./assignmentService');
+const calendarService = require('./calendarService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SUPERVISOR_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER];
+const EDITABLE_FIELDS = ['type', 'priority', 'title', 'description', 'duration', 'timezone', 'status'];
+const MAX_PAGE_SIZE = 100;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const isSupervisor = (user) => SUPERVISOR_ROLES.includes(user?.role);
+
+const getUserId = (user) => (user?.id !== undefined && user?.id !== null ? String(user.id) : null);
+
+/**
+ * A lead by id from the Lead table (UUIDs) or the in-memory data store
+ * @returns {Promise<Object|null>} Plain lead object
+ */
+const findLead = async (leadId) => {
+  if (leadId === undefined || leadId === null || leadId === '') return null;
+  if (UUID_PATTERN.test(String(leadId))) {
+    const lead = await Lead.findByPk(String(leadId));
+    if (lead) return lead.toJSON();
+  }
+  return leads.find(lead => String(lead.id) === String(leadId)) || null;
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw validationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const checkEnum = (value, allowed, field) => {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw validationError(`${field} must be one of ${allowed.join(', ')}`);
+  }
+};
+
+const checkFields = (data) => {
+  checkEnum(data.type, FOLLOWUP_TYPES, 'type');
+  checkEnum(data.priority, FOLLOWUP_PRIORITIES, 'priority');
+  checkEnum(data.status, FOLLOWUP_STATUSES, 'status');
+  if (data.duration !== undefined) {
+    const duration = Number(data.duration);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 480) {
+      throw validationError('duration must be between 1 and 480 minutes');
+    }
+  }
+};
+
+/**
+ * Whether a user may see (and work) a follow-up
+ */
+const canAccess = (followup, user) => isSupervisor(user) || followup.userId === getUserId(user);
+
+/**
+ * Bring the calendar event and meeting invites in line with a follow-up. Failures are logged
+ * rather than thrown, so the calendar never blocks the follow-up change itself.
+ * @param {string} change - saved|moved|cancelled|deleted
+ */
+const syncCalendar = async (followup, change) => {
+  // Required here because meetingInviteService builds on this module
+  const meetingInviteService = require('./meetingInviteService');
+  try {
+    if (change === 'moved') {
+      await meetingInviteService.updateInvites(followup);
+    } else if (change === 'cancelled' || change === 'deleted') {
+      await meetingInviteService.cancelInvites(followup);
+    }
+
+    if (change === 'deleted') {
+      await calendarService.removeFollowup(followup);
+    } else if (calendarService.getProvider()) {
+      await calendarService.syncFollowup(followup, await findLead(followup.leadId));
+    }
+  } catch (error) {
+    console.error(`Failed to update the calendar for follow-up ${followup.id}:`, error.message);
+  }
+};
+
+/**
+ * Create a follow-up
+ * @param {Object} data - { leadId, title, scheduledFor, type, priority, description, duration,
+ *   timezone, callId, userId, assignment: { type, teamId, skills, fallback }, metadata }
+ *   userId assigns directly (managers and admins only); assignment lets the team rules pick
+ * @param {Object} user - Caller (req.user)
+ * @param {Object} options - { createdVia }
+ * @returns {Promise<Object>} The Followup
+ */
+const createFollowup = async (data = {}, user = null, { createdVia = 'manual' } = {}) => {
+  if (!data.leadId) throw validationError('leadId is required');
+  if (!data.title || !String(data.title).trim()) throw validationError('title is required');
+  const scheduledFor = parseDate(data.scheduledFor, 'scheduledFor');
+  checkFields(data);
+
+  const callerId = getUserId(user);
+  if (data.userId !== undefined && String(data.userId) !== callerId && user && !isSupervisor(user)) {
+    throw validationError('Only managers can assign follow-ups to someone else');
+  }
+
+  let assignee = { userId: data.userId !== undefined ? String(data.userId) : callerId, type: 'manual', teamId: null };
+  if (data.assignment) {
+    const problems = assignmentService.validateAssignmentRule(data.assignment);
+    if (problems.length > 0) throw validationError(`Invalid assignment: ${problems.join('; ')}`);
+
+    assignee = await assignmentService.resolveAssignee(data.assignment, {
+      userId: assignee.userId,
+      lead: await findLead(data.leadId),
+      followupType: data.type || 'call'
+    });
+  }
+  if (!assignee.userId) throw validationError('No agent available to assign the follow-up to');
+
+  const followup = await Followup.create({
+    leadId: String(data.leadId),
+    callId: data.callId ? String(data.callId) : null,
+    userId: assignee.userId,
+    type: data.type,
+    priority: data.priority,
+    title: String(data.title).trim(),
+    description: data.description || null,
+    scheduledFor,
+    duration: data.duration !== undefined ? Number(data.duration) : undefined,
+    timezone: data.timezone,
+    status: data.status,
+    teamId: assignee.teamId || null,
+    assignment: { type: assignee.type, ...(assignee.territoryId ? { territoryId: assignee.territoryId } : {}) },
+    createdVia,
+    createdBy: callerId,
+    metadata: data.metadata && typeof data.metadata === 'object' ? data.metadata : {}
+  });
+
+  await syncCalendar(followup, 'saved');
+  return followup;
+};
+
+/**
+ * Follow-ups the caller can see, soonest first
+ * @param {Object} filters - { status, type, priority, leadId, userId, startDate, endDate, overdue, page, limit }
+ * @returns {Promise<Object>} { followups, total, page, limit }
+ */
+const listFollowups = async (filters = {}, user = null) => {
+  const where = {};
+  if (!isSupervisor(user)) {
+    where.userId = getUserId(user);
+  } else if (filters.userId) {
+    where.userId = String(filters.userId);
+  }
+
+  checkEnum(filters.status, FOLLOWUP_STATUSES, 'status');
+  checkEnum(filters.type, FOLLOWUP_TYPES, 'type');
+  checkEnum(filters.priority, FOLLOWUP_PRIORITIES, 'priority');
+  ['status', 'type', 'priority'].forEach(field => {
+    if (filters[field]) where[field] = filters[field];
+  });
+  if (filters.leadId) where.leadId = String(filters.leadId);
+
+  const range = {};
+  if (filters.startDate) range[Op.gte] = parseDate(filters.startDate, 'startDate');
+  if (filters.endDate) range[Op.lte] = parseDate(filters.endDate, 'endDate');
+  if (String(filters.overdue) === 'true') {
+    range[Op.lt] = new Date();
+    where.status = { [Op.notIn]: ['completed', 'cancelled'] };
+  }
+  if (Object.getOwnPropertySymbols(range).length > 0) where.scheduledFor = range;
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const { rows, count } = await Followup.findAndCountAll({
+    where,
+    order: [['scheduledFor', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { followups: rows, total: count, page, limit };
+};
+
+/**
+ * @returns {Promise<Object|null>} { followup, allowed }, or null when it does not exist
+ */
+const findForUser = async (id, user) => {
+  const followup = await Followup.findByPk(id);
+  if (!followup) return null;
+  return { followup, allowed: canAccess(followup, user) };
+};
+
+/**
+ * Change details or status; reassigning (userId) is for managers and admins
+ */
+const updateFollowup = async (followup, data = {}, user = null) => {
+  checkFields(data);
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) updates[field] = data[field];
+  });
+  if (data.userId !== undefined) {
+    if (!isSupervisor(user)) throw validationError('Only managers can reassign follow-ups');
+    updates.userId = String(data.userId);
+    updates.assignment = { type: 'manual' };
+  }
+  if (data.scheduledFor !== undefined) {
+    return rescheduleFollowup(followup, data.scheduledFor, data.reason, updates);
+  }
+
+  const wasCancelled = followup.status === 'cancelled';
+  const previousDuration = followup.duration;
+  const updated = await followup.update(updates);
+
+  let change = 'saved';
+  if (updated.status === 'cancelled' && !wasCancelled) {
+    change = 'cancelled';
+  } else if (updated.duration !== previousDuration) {
+    change = 'moved';
+  }
+  await syncCalendar(updated, change);
+  return updated;
+};
+
+/**
+ * Move a follow-up to a new time, keeping a history of the moves in metadata
+ */
+const rescheduleFollowup = async (followup, newDate, reason = null, updates = {}) => {
+  const scheduledFor = parseDate(newDate, 'scheduledFor');
+  const metadata = { ...(followup.metadata || {}) };
+  metadata.rescheduleHistory = [
+    ...(metadata.rescheduleHistory || []),
+    { previousDate: followup.scheduledFor, newDate: scheduledFor, reason: reason || null, at: new Date() }
+  ];
+
+  const rescheduled = await followup.update({
+    ...updates,
+    scheduledFor,
+    status: updates.status || 'rescheduled',
+    rescheduleCount: followup.rescheduleCount + 1,
+    lastRescheduledAt: new Date(),
+    metadata
+  });
+
+  await syncCalendar(rescheduled, rescheduled.status === 'cancelled' ? 'cancelled' : 'moved');
+  return rescheduled;
+};
+
+/**
+ * Close a follow-up with its outcome; a sequence step moves its enrollment on, and the
+ * followup_completed automation rules run
+ */
+const completeFollowup = async (followup, { outcome, notes } = {}, user = null) => {
+  if (!FOLLOWUP_OUTCOMES.includes(outcome)) {
+    throw validationError(`outcome must be one of ${FOLLOWUP_OUTCOMES.join(', ')}`);
+  }
+
+  const completed = await followup.update({
+    status: 'completed',
+    outcome,
+    outcomeNotes: notes || null,
+    completedAt: new Date(),
+    completedBy: getUserId(user)
+  });
+
+  if (completed.sequenceId) {
+    // Required here because sequenceService builds on this module
+    const sequenceService = require('./sequenceService');
+    try {
+      await sequenceService.handleFollowupCompleted(completed);
+    } catch (error) {
+      console.error(`Failed to advance the sequence for follow-up ${completed.id}:`, error.message);
+    }
+  }
+
+  await syncCalendar(completed, 'saved');
+
+  // Required here because automationRuleService builds on this module
+  const automationRuleService = require('./automationRuleService');
+  try {
+    await automationRuleService.handleFollowupCompleted(completed);
+  } catch (error) {
+    console.error(`Automation rules failed for follow-up ${completed.id}:`, error.message);
+  }
+
+  return completed;
+};
+
+/**
+ * Delete a follow-up, cancelling its meeting invites and removing its calendar event first
+ */
+const deleteFollowup = async (followup) => {
+  await syncCalendar(followup, 'deleted');
+  return followup.destroy();
+};
+
+module.exports = {
+  findLead,
+  canAccess,
+  createFollowup,
+  listFollowups,
+  findForUser,
+  updateFollowup,
+  rescheduleFollowup,
+  completeFollowup,
+  deleteFollowup
+};
@@ -0,0 +1,143 @@
+/**
+ * Forecast Models
+ * Additive Holt-Winters exponential smoothing in plain JS, falling back to Holt's linear
+ * trend when the history is shorter than two seasons, with prediction intervals
+ * from the one-step-ahead errors
+ */
+
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+const ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0, 0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Starting level, trend and seasonal offsets
+ */
+const initialState = (series, seasonLength) => {
+  if (seasonLength > 1) {
+    const seasons = Math.floor(series.length / seasonLength);
+    const seasonMeans = Array.from({ length: seasons }, (_, k) =>
+      mean(series.slice(k * seasonLength, (k + 1) * seasonLength)));
+    const seasonals = Array.from({ length: seasonLength }, (_, i) =>
+      mean(seasonMeans.map((seasonMean, k) => series[k * seasonLength + i] - seasonMean)));
+    const trend = (seasonMeans[1] - seasonMeans[0]) / seasonLength;
+
+    // State "before" the first point, so the first one-step forecast is the first season's mean
+    return { level: seasonMeans[0] - trend, trend, seasonals };
+  }
+
+  const span = Math.min(series.length - 1, 4);
+  const trend = span > 0 ? (series[span] - series[0]) / span : 0;
+  return { level: series[0] - trend, trend, seasonals: [0] };
+};
+
+/**
+ * Run the smoothing recursions over the series
+ * @returns {Object} { level, trend, seasonals, errors } - final state and one-step-ahead errors
+ */
+const smooth = (series, seasonLength, { alpha, beta, gamma }) => {
+  let { level, trend, seasonals } = initialState(series, seasonLength);
+  seasonals = [...seasonals];
+  const errors = [];
+
+  series.forEach((value, t) => {
+    const season = t % seasonLength;
+    const forecast = level + trend + seasonals[season];
+    errors.push(value - forecast);
+
+    const previousLevel = level;
+    level = alpha * (value - seasonals[season]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (seasonLength > 1) {
+      seasonals[season] = gamma * (value - level) + (1 - gamma) * seasonals[season];
+    }
+  });
+
+  return { level, trend, seasonals, errors };
+};
+
+/**
+ * Fit smoothing parameters by grid search on one-step-ahead squared error and forecast ahead
+ * @param {Array<number>} series - Evenly spaced observations, oldest first
+ * @param {Object} options - { seasonLength, horizon, nonNegative }
+ * @returns {Object} { method, seasonLength, params, rmse, forecast: [{ step, value, lower80, upper80, lower95, upper95 }] }
+ */
+const forecastSeries = (series, { seasonLength = 1, horizon = 1, nonNegative = true } = {}) => {
+  const clamp = (value) => (nonNegative ? Math.max(0, value) : value);
+  const seasonal = seasonLength > 1 && series.length >= 2 * seasonLength;
+  const period = seasonal ? seasonLength : 1;
+
+  if (series.length < 3) {
+    // Too little history to smooth: repeat the mean, with the spread of what there is
+    const level = mean(series);
+    const sigma = Math.sqrt(mean(series.map(value => (value - level) ** 2)));
+    return {
+      method: 'mean',
+      seasonLength: 1,
+      params: null,
+      rmse: sigma,
+      forecast: Array.from({ length: horizon }, (_, i) => buildPoint(i + 1, level, sigma, clamp))
+    };
+  }
+
+  // Errors while the initial state is settling are left out of the fit
+  const warmup = period > 1 ? period : 2;
+  let best = null;
+
+  ALPHAS.forEach(alpha => {
+    BETAS.forEach(beta => {
+      (period > 1 ? GAMMAS : [0]).forEach(gamma => {
+        const params = { alpha, beta, gamma };
+        const state = smooth(series, period, params);
+        const scored = state.errors.slice(warmup);
+        const sse = scored.reduce((sum, error) => sum + error * error, 0);
+        if (!best || sse < best.sse) {
+          best = { params, state, sse, count: scored.length };
+        }
+      });
+    });
+  });
+
+  const { params, state } = best;
+  const sigma = best.count > 0 ? Math.sqrt(best.sse / best.count) : 0;
+
+  const forecast = Array.from({ length: horizon }, (_, i) => {
+    const step = i + 1;
+    const season = (series.length + i) % period;
+    const value = state.level + step * state.trend + state.seasonals[season];
+
+    // Forecast variance grows with each step's accumulated smoothing weights
+    let weights = 1;
+    for (let j = 1; j < step; j++) {
+      const c = params.alpha * (1 + j * params.beta) + (period > 1 && j % period === 0 ? params.gamma : 0);
+      weights += c * c;
+    }
+    return buildPoint(step, value, sigma * Math.sqrt(weights), clamp);
+  });
+
+  return {
+    method: period > 1 ? 'holt_winters' : 'holt',
+    seasonLength: period,
+    params,
+    rmse: sigma,
+    forecast
+  };
+};
+
+const buildPoint = (step, value, spread, clamp) => ({
+  step,
+  value: clamp(value),
+  lower80: clamp(value - Z_SCORES[80] * spread),
+  upper80: clamp(value + Z_SCORES[80] * spread),
+  lower95: clamp(value - Z_SCORES[95] * spread),
+  upper95: clamp(value + Z_SCORES[95] * spread)
+});
+
+module.exports = {
+  forecastSeries,
+  smooth,
+  initialState
+};
@@ -0,0 +1,491 @@
+/**
+ * Forecasting Service
+ * Revenue forecasts from the open pipeline (estimatedValue weighted by stage probability,
+ * with commit and best-case rollups per agent and team), time-series forecasts of call
+ * volume and closed-won value, and daily snapshots kept for forecast accuracy reporting
+ */
+
+const { Op } = require('sequelize');
+const { Lead, EnhancedCallLog, ForecastSnapshot, sequelize } = require('../database/models');
+const { FORECAST_PERIODS } = require('../database/models/ForecastSnapshot');
+const analyticsModel = require('../models/analyticsModel');
+const analyticsService = require('./analyticsService');
+const { forecastSeries } = require('./forecastModels');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WON_STATUS = 'closed_won';
+const LOST_STATUS = 'closed_lost';
+const COMPANY_SCOPE_ID = 'all';
+const UNASSIGNED = 'unassigned';
+
+// Chance an open lead in each stage closes; override with FORECAST_STAGE_PROBABILITIES
+const DEFAULT_STAGE_PROBABILITIES = {
+  new: 0.05,
+  contacted: 0.1,
+  nurturing: 0.05,
+  qualified: 0.25,
+  proposal: 0.5,
+  negotiation: 0.75
+};
+
+// Open stages counted in full by the commit and best-case forecasts
+const COMMIT_STAGES = ['negotiation'];
+const BEST_CASE_STAGES = ['proposal', 'negotiation'];
+
+// Forecast methods compared for accuracy, as named on formatted snapshots
+const FORECAST_METHODS = ['weighted', 'commit', 'bestCase', 'trend'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+};
+
+/**
+ * First and last day (UTC) of the month or quarter a date falls in
+ * @returns {Object} { start, end } as midnight UTC dates
+ */
+const getPeriodBounds = (period, date) => {
+  const months = period === 'quarter' ? 3 : 1;
+  const firstMonth = Math.floor(date.getUTCMonth() / months) * months;
+  return {
+    start: new Date(Date.UTC(date.getUTCFullYear(), firstMonth, 1)),
+    end: new Date(Date.UTC(date.getUTCFullYear(), firstMonth + months, 0))
+  };
+};
+
+const emptyRollup = () => ({ openLeads: 0, pipelineValue: 0, weightedValue: 0, commitValue: 0, bestCaseValue: 0, closedWonValue: 0 });
+
+const finalizeRollup = (rollup) => ({
+  openLeads: rollup.openLeads,
+  pipelineValue: round(rollup.pipelineValue),
+  weightedValue: round(rollup.weightedValue),
+  closedWonValue: round(rollup.closedWonValue),
+  weightedForecast: round(rollup.closedWonValue + rollup.weightedValue),
+  commitForecast: round(rollup.closedWonValue + rollup.commitValue),
+  bestCaseForecast: round(rollup.closedWonValue + rollup.bestCaseValue)
+});
+
+class ForecastingService {
+  constructor() {
+    this.intervalHours = parseFloat(process.env.FORECAST_SNAPSHOT_INTERVAL_HOURS) || 24;
+    this.scheduleInterval = null;
+  }
+
+  /**
+   * Stage probabilities, read on each use so they can change without a restart
+   */
+  getStageProbabilities() {
+    if (!process.env.FORECAST_STAGE_PROBABILITIES) return { ...DEFAULT_STAGE_PROBABILITIES };
+
+    try {
+      const overrides = JSON.parse(process.env.FORECAST_STAGE_PROBABILITIES);
+      const probabilities = { ...DEFAULT_STAGE_PROBABILITIES };
+      Object.entries(overrides).forEach(([stage, probability]) => {
+        if (stage in probabilities && Number(probability) >= 0 && Number(probability) <= 1) {
+          probabilities[stage] = Number(probability);
+        }
+      });
+      return probabilities;
+    } catch (error) {
+      console.error('Invalid FORECAST_STAGE_PROBABILITIES configuration:', error.message);
+      return { ...DEFAULT_STAGE_PROBABILITIES };
+    }
+  }
+
+  /**
+   * Won and open leads with their owners; lost leads never count towards a forecast
+   */
+  async loadPipelineLeads() {
+    const leads = await Lead.findAll({
+      where: { isActive: true, status: { [Op.ne]: LOST_STATUS } },
+      attributes: ['id', 'status', 'estimatedValue', 'assignedTo', 'teamId', 'updatedAt']
+    });
+    const wonDates = await analyticsService.getWonDates(leads);
+    return { leads, wonDates };
+  }
+
+  /**
+   * Weighted pipeline for the current month or quarter, rolled up for the company and
+   * for each agent and team
+   * @param {Object} options - { period: 'month'|'quarter', now }
+   * @returns {Promise<Object>} { period, periodStart, periodEnd, stages, company, agents, teams, unvaluedLeads }
+   */
+  async getPipelineForecast({ period = 'quarter', now = new Date() } = {}) {
+    const probabilities = this.getStageProbabilities();
+    const bounds = getPeriodBounds(period, now);
+    const periodClose = addDays(bounds.end, 1);
+    const { leads, wonDates } = await this.loadPipelineLeads();
+
+    const company = emptyRollup();
+    const agents = new Map();
+    const teams = new Map();
+    const stages = new Map(Object.keys(probabilities).map(stage => [stage, { leads: 0, value: 0, weightedValue: 0 }]));
+    let unvaluedLeads = 0;
+
+    const rollupsFor = (lead) => {
+      const agentId = lead.assignedTo || UNASSIGNED;
+      if (!agents.has(agentId)) agents.set(agentId, emptyRollup());
+      const rollups = [company, agents.get(agentId)];
+      if (lead.teamId) {
+        if (!teams.has(lead.teamId)) teams.set(lead.teamId, emptyRollup());
+        rollups.push(teams.get(lead.teamId));
+      }
+      return rollups;
+    };
+
+    leads.forEach(lead => {
+      const value = Number(lead.estimatedValue) || 0;
+
+      if (lead.status === WON_STATUS) {
+        const wonAt = wonDates.get(String(lead.id));
+        if (wonAt >= bounds.start && wonAt < periodClose) {
+          rollupsFor(lead).forEach(rollup => { rollup.closedWonValue += value; });
+        }
+        return;
+      }
+
+      const probability = probabilities[lead.status] || 0;
+      if (!lead.estimatedValue) unvaluedLeads++;
+
+      const stage = stages.get(lead.status);
+      if (stage) {
+        stage.leads++;
+        stage.value += value;
+        stage.weightedValue += value * probability;
+      }
+
+      rollupsFor(lead).forEach(rollup => {
+        rollup.openLeads++;
+        rollup.pipelineValue += value;
+        rollup.weightedValue += value * probability;
+        if (COMMIT_STAGES.includes(lead.status)) rollup.commitValue += value;
+        if (BEST_CASE_STAGES.includes(lead.status)) rollup.bestCaseValue += value;
+      });
+    });
+
+    const byForecast = (a, b) => b.weightedForecast - a.weightedForecast;
+
+    return {
+      period,
+      periodStart: toDateKey(bounds.start),
+      periodEnd: toDateKey(bounds.end),
+      generatedAt: now.toISOString(),
+      commitStages: COMMIT_STAGES,
+      bestCaseStages: BEST_CASE_STAGES,
+      stages: [...stages.entries()].map(([stage, totals]) => ({
+        stage,
+        probability: probabilities[stage],
+        category: COMMIT_STAGES.includes(stage) ? 'commit' : BEST_CASE_STAGES.includes(stage) ? 'best_case' : 'pipeline',
+        leads: totals.leads,
+        value: round(totals.value),
+        weightedValue: round(totals.weightedValue)
+      })),
+      company: finalizeRollup(company),
+      agents: [...agents.entries()].map(([agentId, rollup]) => ({ agentId, ...finalizeRollup(rollup) })).sort(byForecast),
+      teams: [...teams.entries()].map(([teamId, rollup]) => ({ teamId, ...finalizeRollup(rollup) })).sort(byForecast),
+      unvaluedLeads
+    };
+  }
+
+  /**
+   * The analytics forecast with the weighted pipeline and the time-series forecasts
+   * @param {Object} options - { dateRange, forecastPeriod, historyDays, period }
+   */
+  async getForecastOverview({ dateRange = null, forecastPeriod = 30, historyDays = 90, period = 'quarter' } = {}) {
+    const [forecastData, pipelineForecast, timeSeries] = await Promise.all([
+      analyticsModel.generateForecasting(dateRange, forecastPeriod),
+      this.getPipelineForecast({ period }),
+      this.getTimeSeriesForecast({ horizonDays: forecastPeriod, historyDays })
+    ]);
+
+    return { ...forecastData, pipelineForecast, timeSeries };
+  }
+
+  /**
+   * Holt-Winters forecasts of daily call volume (weekly seasonality) and weekly closed-won
+   * value, with 80% and 95% prediction intervals
+   * @param {Object} options - { horizonDays, historyDays, now }
+   * @returns {Promise<Object>} { callVolume, closedWonValue } - each { interval, method, params, rmse, history, forecast, projectedTotal }
+   */
+  async getTimeSeriesForecast({ horizonDays = 30, historyDays = 90, now = new Date() } = {}) {
+    const today = startOfDay(now);
+
+    // Complete days before today
+    const historyStart = addDays(today, -historyDays);
+    const calls = await EnhancedCallLog.findAll({
+      where: { initiatedAt: { [Op.gte]: historyStart, [Op.lt]: today } },
+      attributes: ['initiatedAt']
+    });
+    const callCounts = new Map();
+    calls.forEach(call => {
+      const key = toDateKey(new Date(call.initiatedAt));
+      callCounts.set(key, (callCounts.get(key) || 0) + 1);
+    });
+    const callDays = Array.from({ length: historyDays }, (_, i) => addDays(historyStart, i));
+    const callVolume = this.buildSeriesForecast(
+      callDays.map(day => ({ date: toDateKey(day), value: callCounts.get(toDateKey(day)) || 0 })),
+      { seasonLength: 7, horizon: horizonDays, start: today, stepDays: 1, places: 1 }
+    );
+
+    // Complete weeks before this one; the forecast starts with the current week
+    const currentWeek = startOfWeek(today);
+    const historyWeeks = Math.max(1, Math.floor(historyDays / 7));
+    const firstWeek = addDays(currentWeek, -7 * historyWeeks);
+    const wonLeads = await Lead.findAll({
+      where: { isActive: true, status: WON_STATUS },
+      attributes: ['id', 'status', 'estimatedValue', 'updatedAt']
+    });
+    const wonDates = await analyticsService.getWonDates(wonLeads);
+    const weeklyValue = new Map();
+    wonLeads.forEach(lead => {
+      const wonAt = wonDates.get(String(lead.id));
+      if (wonAt < firstWeek || wonAt >= currentWeek) return;
+      const key = toDateKey(startOfWeek(wonAt));
+      weeklyValue.set(key, (weeklyValue.get(key) || 0) + (Number(lead.estimatedValue) || 0));
+    });
+    const weeks = Array.from({ length: historyWeeks }, (_, i) => addDays(firstWeek, 7 * i));
+    const closedWonValue = this.buildSeriesForecast(
+      weeks.map(week => ({ date: toDateKey(week), value: weeklyValue.get(toDateKey(week)) || 0 })),
+      { seasonLength: 1, horizon: Math.ceil(horizonDays / 7), start: currentWeek, stepDays: 7, places: 2 }
+    );
+
+    return {
+      generatedAt: now.toISOString(),
+      horizonDays,
+      historyDays,
+      callVolume: { interval: 'day', ...callVolume },
+      closedWonValue: { interval: 'week', ...closedWonValue }
+    };
+  }
+
+  buildSeriesForecast(history, { seasonLength, horizon, start, stepDays, places }) {
+    const model = forecastSeries(history.map(point => point.value), { seasonLength, horizon });
+    const forecast = model.forecast.map(point => ({
+      date: toDateKey(addDays(start, (point.step - 1) * stepDays)),
+      value: round(point.value, places),
+      lower80: round(point.lower80, places),
+      upper80: round(point.upper80, places),
+      lower95: round(point.lower95, places),
+      upper95: round(point.upper95, places)
+    }));
+
+    return {
+      method: model.method,
+      seasonLength: model.seasonLength,
+      params: model.params,
+      rmse: round(model.rmse, places),
+      history,
+      forecast,
+      projectedTotal: round(forecast.reduce((sum, point) => sum + point.value, 0), places)
+    };
+  }
+
+  /**
+   * Expected closed-won value from today to the end of the period from the weekly
+   * forecast, counting only the days of each forecast week inside the period
+   */
+  projectRemainingValue(closedWonForecast, today, periodEnd) {
+    const periodClose = addDays(periodEnd, 1);
+    return closedWonForecast.forecast.reduce((sum, point) => {
+      const weekStart = new Date(`${point.date}T00:00:00Z`);
+      const from = Math.max(weekStart.getTime(), today.getTime());
+      const to = Math.min(addDays(weekStart, 7).getTime(), periodClose.getTime());
+      return to > from ? sum + point.value * ((to - from) / (7 * DAY_MS)) : sum;
+    }, 0);
+  }
+
+  /**
+   * Record today's month and quarter forecasts for the company, each agent and each team.
+   * Taking another snapshot the same day replaces it.
+   * @returns {Promise<Object>} { snapshotDate, snapshots } - rows written per period
+   */
+  async takeSnapshot({ now = new Date() } = {}) {
+    const today = startOfDay(now);
+    const snapshotDate = toDateKey(today);
+    const quarterEnd = getPeriodBounds('quarter', now).end;
+    const horizonDays = Math.round((quarterEnd - today) / DAY_MS) + 1;
+    const timeSeries = await this.getTimeSeriesForecast({ horizonDays, now });
+    const stageProbabilities = this.getStageProbabilities();
+    const counts = {};
+
+    for (const period of FORECAST_PERIODS) {
+      const forecast = await this.getPipelineForecast({ period, now });
+      const base = {
+        snapshotDate,
+        period,
+        periodStart: forecast.periodStart,
+        periodEnd: forecast.periodEnd,
+        stageProbabilities
+      };
+      const toRow = (scope, scopeId, rollup, trendValue = null) => ({
+        ...base,
+        scope,
+        scopeId,
+        openLeads: rollup.openLeads,
+        pipelineValue: rollup.pipelineValue,
+        closedWonValue: rollup.closedWonValue,
+        weightedValue: rollup.weightedForecast,
+        commitValue: rollup.commitForecast,
+        bestCaseValue: rollup.bestCaseForecast,
+        trendValue
+      });
+
+      const remaining = this.projectRemainingValue(timeSeries.closedWonValue, today, new Date(`${forecast.periodEnd}T00:00:00Z`));
+      const rows = [
+        toRow('company', COMPANY_SCOPE_ID, forecast.company, round(forecast.company.closedWonValue + remaining)),
+        ...forecast.agents.map(agent => toRow('agent', agent.agentId, agent)),
+        ...forecast.teams.map(team => toRow('team', team.teamId, team))
+      ];
+
+      await sequelize.transaction(async (transaction) => {
+        await ForecastSnapshot.destroy({ where: { snapshotDate, period }, transaction });
+        await ForecastSnapshot.bulkCreate(rows, { transaction });
+      });
+      counts[period] = rows.length;
+    }
+
+    return { snapshotDate, snapshots: counts };
+  }
+
+  /**
+   * Stored snapshots, newest first
+   * @param {Object} options - { period, scope, scopeId, limit }
+   */
+  async listSnapshots({ period = 'quarter', scope = 'company', scopeId, limit = 90 } = {}) {
+    const where = { period, scope };
+    if (scopeId) where.scopeId = scopeId;
+
+    const snapshots = await ForecastSnapshot.findAll({
+      where,
+      order: [['snapshotDate', 'DESC'], ['scopeId', 'ASC']],
+      limit: Math.min(parseInt(limit) || 90, 100)
+    });
+    return snapshots.map(snapshot => this.formatSnapshot(snapshot));
+  }
+
+  /**
+   * Compare the snapshots of finished periods with the value actually won in them
+   * @param {Object} options - { period, scope, scopeId, now }
+   * @returns {Promise<Object>} { period, scope, periods, summary } - summary has each method's mean absolute percentage error
+   */
+  async getForecastAccuracy({ period = 'quarter', scope = 'company', scopeId, now = new Date() } = {}) {
+    const where = { period, scope, periodEnd: { [Op.lt]: toDateKey(startOfDay(now)) } };
+    if (scopeId) where.scopeId = scopeId;
+
+    const snapshots = (await ForecastSnapshot.findAll({ where, order: [['snapshotDate', 'ASC']] }))
+      .map(snapshot => this.formatSnapshot(snapshot));
+
+    const groups = new Map();
+    snapshots.forEach(snapshot => {
+      const key = `${snapshot.periodStart}|${snapshot.scopeId}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(snapshot);
+    });
+
+    const { leads, wonDates } = await this.loadPipelineLeads();
+    const won = leads.filter(lead => lead.status === WON_STATUS);
+    const inScope = (lead, id) => {
+      if (scope === 'agent') return (lead.assignedTo || UNASSIGNED) === id;
+      if (scope === 'team') return lead.teamId === id;
+      return true;
+    };
+
+    const periods = [...groups.values()].map(group => {
+      const { periodStart, periodEnd, scopeId: id } = group[0];
+      const start = new Date(`${periodStart}T00:00:00Z`);
+      const close = addDays(new Date(`${periodEnd}T00:00:00Z`), 1);
+      const actual = round(won
+        .filter(lead => inScope(lead, id))
+        .filter(lead => {
+          const wonAt = wonDates.get(String(lead.id));
+          return wonAt >= start && wonAt < close;
+        })
+        .reduce((sum, lead) => sum + (Number(lead.estimatedValue) || 0), 0));
+
+      const methods = {};
+      FORECAST_METHODS.forEach(method => {
+        const forecasts = group.map(snapshot => snapshot[method]).filter(value => value !== null);
+        if (forecasts.length === 0) return;
+
+        const errors = actual > 0 ? forecasts.map(value => ((value - actual) / actual) * 100) : [];
+        methods[method] = {
+          firstForecast: forecasts[0],
+          lastForecast: forecasts[forecasts.length - 1],
+          meanAbsolutePercentError: errors.length ? round(mean(errors.map(Math.abs)), 1) : null,
+          bias: errors.length ? round(mean(errors), 1) : null
+        };
+      });
+
+      return { periodStart, periodEnd, scopeId: id, snapshots: group.length, actual, methods };
+    }).sort((a, b) => b.periodStart.localeCompare(a.periodStart) || a.scopeId.localeCompare(b.scopeId));
+
+    const summary = {};
+    FORECAST_METHODS.forEach(method => {
+      const errors = periods
+        .map(entry => entry.methods[method]?.meanAbsolutePercentError)
+        .filter(value => value !== null && value !== undefined);
+      summary[method] = {
+        periods: errors.length,
+        meanAbsolutePercentError: errors.length ? round(mean(errors), 1) : null
+      };
+    });
+    const ranked = Object.entries(summary)
+      .filter(([, entry]) => entry.meanAbsolutePercentError !== null)
+      .sort((a, b) => a[1].meanAbsolutePercentError - b[1].meanAbsolutePercentError);
+
+    return {
+      period,
+      scope,
+      periods,
+      summary,
+      mostAccurate: ranked.length ? ranked[0][0] : null
+    };
+  }
+
+  formatSnapshot(snapshot) {
+    const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+    return {
+      id: snapshot.id,
+      snapshotDate: snapshot.snapshotDate,
+      period: snapshot.period,
+      periodStart: snapshot.periodStart,
+      periodEnd: snapshot.periodEnd,
+      scope: snapshot.scope,
+      scopeId: snapshot.scopeId,
+      openLeads: snapshot.openLeads,
+      pipelineValue: toNumber(snapshot.pipelineValue),
+      closedWonValue: toNumber(snapshot.closedWonValue),
+      weighted: toNumber(snapshot.weightedValue),
+      commit: toNumber(snapshot.commitValue),
+      bestCase: toNumber(snapshot.bestCaseValue),
+      trend: toNumber(snapshot.trendValue),
+      stageProbabilities: snapshot.stageProbabilities
+    };
+  }
+
+  /**
+   * Snapshot now and then every intervalHours
+   */
+  startSchedule() {
+    if (this.scheduleInterval) return;
+
+    const snapshot = () => this.takeSnapshot().catch(error => {
+      console.error('Forecast snapshot failed:', error.message);
+    });
+    snapshot();
+    this.scheduleInterval = setInterval(snapshot, this.intervalHours * 60 * 60 * 1000);
+  }
+
+  stopSchedule() {
+    clearInterval(this.scheduleInterval);
+    this.scheduleInterval = null;
+  }
+}
+
+module.exports = new ForecastingService();
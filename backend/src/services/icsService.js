@@ -0,0 +1,314 @@
+/**
+ * ICS Service
+ * Builds and parses iCalendar (RFC 5545) text for the CalDAV provider, subscription feeds and
+ * meeting invites (iTIP REQUEST/CANCEL out, REPLY in)
+ */
+
+const crypto = require('crypto');
+const { isValidTimeZone, zonedTimeToUtc } = require('../utils/timeZones');
+
+const PRODUCT_ID = '-//ColdCaller//Follow-ups//EN';
+const MAX_LINE_OCTETS = 75;
+const DEFAULT_UID_DOMAIN = 'coldcaller.local';
+
+// iCalendar PARTSTAT to the invite statuses stored on MeetingInvite
+const PARTSTATS = {
+  'NEEDS-ACTION': 'needs_action',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative'
+};
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) =>
+  String(text).replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const nameParam = (name) => (name ? `;CN="${String(name).replace(/"/g, '\'')}"` : '');
+
+/**
+ * Fold lines longer than 75 octets without splitting a UTF-8 character
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Stable UID for a record, so re-sent or re-synced events replace the earlier copy
+ * @param {string} type - followup|meeting
+ */
+const buildUid = (type, id) => `${type}-${id}@${process.env.CALENDAR_UID_DOMAIN || DEFAULT_UID_DOMAIN}`;
+
+/**
+ * VEVENT lines for one event
+ * @param {Object} event - { uid, title, description, location, url, startTime, endTime, sequence,
+ *   status, categories, transparent, organizer: { email, name },
+ *   attendees: [{ email, name, partstat, rsvp }], alarmMinutes, updatedAt }
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.startTime)}`,
+    `DTEND:${formatDate(event.endTime)}`,
+    `SUMMARY:${escapeText(event.title || '')}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.filter(Boolean).map(escapeText).join(',')}`);
+  }
+  if (event.transparent) lines.push('TRANSP:TRANSPARENT');
+
+  if (event.organizer) {
+    lines.push(`ORGANIZER${nameParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+
+  (event.attendees || []).forEach(attendee => {
+    const partstat = Object.keys(PARTSTATS).find(key => PARTSTATS[key] === attendee.partstat) || 'NEEDS-ACTION';
+    lines.push(
+      `ATTENDEE${nameParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat}` +
+      `;RSVP=${attendee.rsvp === false ? 'FALSE' : 'TRUE'}:mailto:${attendee.email}`
+    );
+  });
+
+  if (event.alarmMinutes) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.title || 'Reminder')}`,
+      `TRIGGER:-PT${event.alarmMinutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR
+ * @param {Array<Object>} events - See buildEvent()
+ * @param {Object} options - { method: 'REQUEST'|'CANCEL'|'PUBLISH', name, refreshMinutes }
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+const buildCalendar = (events, { method = null, name = null, refreshMinutes = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const parseLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, split).split(';');
+  const params = paramParts.reduce((parsed, part) => {
+    const [key, ...rest] = part.split('=');
+    parsed[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    return parsed;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+/**
+ * Parse iCalendar text into components
+ * @returns {Array<Object>} [{ type, properties: [{ name, params, value }], components }]
+ */
+const parse = (text) => {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.toUpperCase(), properties: [], components: [] };
+      stack[stack.length - 1].components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      stack[stack.length - 1].properties.push(property);
+    }
+  }
+
+  return root.components;
+};
+
+/**
+ * YYYYMMDD (all-day), floating or UTC date-times; a TZID Intl doesn't know is read as UTC
+ * @returns {Date|null}
+ */
+const parseDate = (value, tzid = null) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+  const utc = match[7];
+
+  if (utc || !tzid || !isValidTimeZone(tzid)) {
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, tzid);
+};
+
+/**
+ * ISO 8601 duration (P1DT2H30M, PT45M, P1W) to milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) return 0;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const toEvent = (component) => {
+  const get = (name) => component.properties.find(property => property.name === name);
+  const start = get('DTSTART');
+  const end = get('DTEND');
+  const duration = get('DURATION');
+  const startTime = start ? parseDate(start.value, start.params.TZID) : null;
+
+  let endTime = end ? parseDate(end.value, end.params.TZID) : null;
+  if (!endTime && startTime && duration) {
+    endTime = new Date(startTime.getTime() + parseDuration(duration.value));
+  }
+
+  return {
+    uid: get('UID')?.value || null,
+    sequence: parseInt(get('SEQUENCE')?.value, 10) || 0,
+    title: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : null,
+    description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : null,
+    location: get('LOCATION') ? unescapeText(get('LOCATION').value) : null,
+    startTime,
+    endTime,
+    status: get('STATUS')?.value || null,
+    transparent: get('TRANSP')?.value === 'TRANSPARENT',
+    attendees: component.properties
+      .filter(property => property.name === 'ATTENDEE')
+      .map(property => ({
+        email: property.value.replace(/^mailto:/i, '').toLowerCase(),
+        name: property.params.CN || null,
+        partstat: PARTSTATS[(property.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()] || 'needs_action'
+      }))
+  };
+};
+
+/**
+ * Every VEVENT in the text
+ * @returns {Array<Object>} [{ uid, sequence, title, description, location, startTime, endTime,
+ *   status, transparent, attendees: [{ email, name, partstat }] }]
+ */
+const extractEvents = (text) => {
+  const events = [];
+  const walk = (components) => components.forEach(component => {
+    if (component.type === 'VEVENT') events.push(toEvent(component));
+    walk(component.components);
+  });
+  walk(parse(text));
+  return events;
+};
+
+/**
+ * Read an iTIP REPLY (an attendee answering an invite)
+ * @returns {Object|null} { uid, sequence, attendees: [{ email, partstat }] }, or null if not a REPLY
+ */
+const parseReply = (text) => {
+  const [calendar] = parse(text);
+  const method = calendar?.properties.find(property => property.name === 'METHOD');
+
+  if (!method || method.value.toUpperCase() !== 'REPLY') {
+    return null;
+  }
+
+  const [event] = extractEvents(text);
+  return event ? { uid: event.uid, sequence: event.sequence, attendees: event.attendees } : null;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Random URL-safe token and the hash stored in its place
+ */
+const generateToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  buildUid,
+  parse,
+  extractEvents,
+  parseReply,
+  parseDate,
+  parseDuration,
+  formatDate,
+  escapeText,
+  unescapeText,
+  foldLine,
+  generateToken,
+  hashToken
+};
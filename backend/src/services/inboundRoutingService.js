@@ -0,0 +1,267 @@
+/**
+ * Inbound Routing Service - Caller lookup and per-number routing for inbound calls
+ *
+ * The caller is matched against Lead.phone and Lead.alternatePhone by normalized
+ * number, and the dialed number's InboundRoute decides who rings: the lead's owner,
+ * then the team ring group, then voicemail. Each <Dial> posts back to /inbound/next
+ * with the index of the next step, so unanswered calls fall through without any
+ * server-side call state.
+ */
+
+const { Op } = require('sequelize');
+const { Lead, CallLog, InboundRoute } = require('../database/models');
+const { ROUTE_STEPS, DEFAULT_STEPS } = require('../database/models/InboundRoute');
+const { normalizePhoneKey } = require('./enrichmentProviders/phoneMetadataProvider');
+const { getPhoneVariants } = require('./callComplianceService');
+const TwilioService = require('./twilioService');
+
+const RECENT_CALL_LIMIT = 5;
+const NEXT_STEP_PATH = '/api/twilio/inbound/next';
+const DEFAULT_GREETING = 'Sorry we missed your call. Please leave a message after the tone and we will call you back.';
+const VOICE_OPTIONS = { voice: 'alice', language: 'en-US' };
+const ROUTE_FIELDS = ['name', 'steps', 'ringGroup', 'ownerTimeout', 'teamTimeout', 'voicemailGreeting', 'isActive'];
+
+const toE164 = (phone) => {
+  const phoneKey = normalizePhoneKey(phone);
+  return phoneKey ? `+${phoneKey}` : null;
+};
+
+const toAgentIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+};
+
+const getLeadName = (lead) => lead.fullName || [lead.firstName, lead.lastName].filter(Boolean).join(' ');
+
+/**
+ * Leads whose phone or alternatePhone is the caller's number. Primary phone
+ * matches rank ahead of alternates, then the most recently updated lead wins.
+ */
+const findLeadsByPhone = async (phone) => {
+  const phoneKey = normalizePhoneKey(phone);
+  if (!phoneKey) return [];
+
+  const variants = getPhoneVariants(phoneKey);
+  const leads = await Lead.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { phone: { [Op.in]: variants } },
+        { alternatePhone: { [Op.in]: variants } }
+      ]
+    },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  const isPrimary = (lead) => variants.includes(lead.phone);
+  return [...leads.filter(isPrimary), ...leads.filter(lead => !isPrimary(lead))];
+};
+
+/**
+ * Everything the screen-pop needs about a caller
+ * @returns {Object} { phoneNumber, lead, otherMatches, recentCalls } - lead is null for unknown callers
+ */
+const lookupCaller = async (phone) => {
+  const phoneNumber = toE164(phone);
+  const [lead, ...others] = await findLeadsByPhone(phone);
+  if (!lead) {
+    return { phoneNumber, lead: null, otherMatches: [], recentCalls: [] };
+  }
+
+  const recentCalls = await CallLog.findAll({
+    where: { leadId: lead.id },
+    attributes: ['id', 'direction', 'status', 'outcome', 'initiatedAt', 'duration', 'notes', 'agentName'],
+    order: [['initiatedAt', 'DESC']],
+    limit: RECENT_CALL_LIMIT
+  });
+
+  const matchedOn = getPhoneVariants(phoneNumber.slice(1)).includes(lead.phone) ? 'phone' : 'alternatePhone';
+  return {
+    phoneNumber,
+    lead: { ...lead.toJSON(), name: getLeadName(lead), matchedOn },
+    otherMatches: others.map(other => ({ id: other.id, name: getLeadName(other), company: other.company })),
+    recentCalls: recentCalls.map(call => call.toJSON())
+  };
+};
+
+/**
+ * Create a lead for an unknown caller from the screen-pop
+ * @param {Object} data - { firstName, lastName, company, email, phone, notes }
+ */
+const quickCreateLead = async (data, { createdBy } = {}) => {
+  const phone = toE164(data.phone);
+  if (!phone) {
+    throw new Error('A valid phone number is required');
+  }
+
+  const [existing] = await findLeadsByPhone(phone);
+  if (existing) {
+    const error = new Error(`${getLeadName(existing)} already has this number`);
+    error.code = 'DUPLICATE_LEAD';
+    error.lead = existing;
+    throw error;
+  }
+
+  return Lead.create({
+    firstName: data.firstName,
+    lastName: data.lastName,
+    company: data.company,
+    email: data.email,
+    phone,
+    title: data.title || null,
+    notes: data.notes || null,
+    leadSource: 'inbound_call',
+    status: 'new',
+    assignedTo: createdBy || null,
+    lastContactDate: new Date()
+  });
+};
+
+/**
+ * Fallback for numbers without a route: the default steps with the ring group from
+ * INBOUND_RING_GROUP (comma-separated agent ids)
+ */
+const getDefaultRoute = () => ({
+  phoneNumber: null,
+  steps: DEFAULT_STEPS,
+  ringGroup: toAgentIds(process.env.INBOUND_RING_GROUP),
+  ownerTimeout: 20,
+  teamTimeout: 25,
+  voicemailGreeting: process.env.INBOUND_VOICEMAIL_GREETING || null
+});
+
+const resolveRoute = async (dialedNumber) => {
+  const phoneKey = normalizePhoneKey(dialedNumber);
+  const route = phoneKey
+    ? await InboundRoute.findOne({ where: { phoneNumber: phoneKey, isActive: true } })
+    : null;
+  return route ? route.toJSON() : getDefaultRoute();
+};
+
+/**
+ * TwiML for the first step at or after stepIndex that has somebody to ring
+ * @param {Object} route - InboundRoute (or the default route)
+ * @param {Object} context - { lead, stepIndex, callerId }
+ */
+const buildRouteTwiml = (route, { lead = null, stepIndex = 0, callerId = null } = {}) => {
+  const owner = lead?.assignedTo ? String(lead.assignedTo) : null;
+  const parameters = { callerId: callerId || '', leadId: lead?.id || '' };
+
+  for (let index = stepIndex; index < route.steps.length; index++) {
+    const step = route.steps[index];
+    const action = `${NEXT_STEP_PATH}?step=${index + 1}`;
+
+    if (step === 'owner' && owner) {
+      return TwilioService.generateTwiML([{
+        type: 'dial',
+        options: { timeout: route.ownerTimeout, action, record: 'record-from-answer' },
+        client: `user-${owner}`,
+        parameters
+      }]);
+    }
+
+    if (step === 'team') {
+      // The owner already had a chance when their step came first
+      const ownerTried = owner && route.steps.slice(0, index).includes('owner');
+      const agents = toAgentIds(route.ringGroup).filter(agentId => !(ownerTried && agentId === owner));
+      if (agents.length > 0) {
+        return TwilioService.generateTwiML([{
+          type: 'dial',
+          options: { timeout: route.teamTimeout, action, record: 'record-from-answer' },
+          clients: agents.map(agentId => `user-${agentId}`),
+          parameters
+        }]);
+      }
+    }
+
+    if (step === 'voicemail') {
+      return TwilioService.generateTwiML([
+        { type: 'say', text: route.voicemailGreeting || DEFAULT_GREETING, options: VOICE_OPTIONS },
+        {
+          type: 'record',
+          options: {
+            maxLength: 180,
+            playBeep: true,
+            recordingStatusCallback: process.env.TWILIO_RECORDING_WEBHOOK_URL
+          }
+        },
+        { type: 'hangup' }
+      ]);
+    }
+  }
+
+  return TwilioService.generateTwiML([
+    { type: 'say', text: 'Sorry, nobody is available to take your call. Please try again later.', options: VOICE_OPTIONS },
+    { type: 'hangup' }
+  ]);
+};
+
+/**
+ * TwiML for an inbound call at the given routing step
+ * @param {Object} params - { from, to, stepIndex }
+ */
+const routeInboundCall = async ({ from, to, stepIndex = 0 }) => {
+  const [route, [lead]] = await Promise.all([resolveRoute(to), findLeadsByPhone(from)]);
+  return buildRouteTwiml(route, { lead: lead || null, stepIndex, callerId: toE164(from) || from });
+};
+
+const normalizeRouteInput = (data) => {
+  const values = {};
+  ROUTE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+  if (values.ringGroup !== undefined) {
+    values.ringGroup = toAgentIds(values.ringGroup);
+  }
+  if (values.steps !== undefined) {
+    const steps = Array.isArray(values.steps) ? values.steps : [];
+    const invalid = steps.filter(step => !ROUTE_STEPS.includes(step));
+    if (steps.length === 0 || invalid.length > 0) {
+      throw new Error(`steps must be a list of ${ROUTE_STEPS.join(', ')}`);
+    }
+  }
+  return values;
+};
+
+const listRoutes = () => InboundRoute.findAll({ order: [['phoneNumber', 'ASC']] });
+
+const createRoute = async (data, { createdBy } = {}) => {
+  const phoneKey = normalizePhoneKey(data.phoneNumber);
+  if (!phoneKey) {
+    throw new Error('A valid phoneNumber is required');
+  }
+
+  const existing = await InboundRoute.findOne({ where: { phoneNumber: phoneKey } });
+  if (existing) {
+    const error = new Error(`+${phoneKey} already has an inbound route`);
+    error.code = 'DUPLICATE_ROUTE';
+    throw error;
+  }
+
+  return InboundRoute.create({ ...normalizeRouteInput(data), phoneNumber: phoneKey, createdBy: createdBy || null });
+};
+
+const updateRoute = async (id, data) => {
+  const route = await InboundRoute.findByPk(id);
+  if (!route) return null;
+  return route.update(normalizeRouteInput(data));
+};
+
+const deleteRoute = async (id) => {
+  const removed = await InboundRoute.destroy({ where: { id } });
+  return removed > 0;
+};
+
+module.exports = {
+  toE164,
+  findLeadsByPhone,
+  lookupCaller,
+  quickCreateLead,
+  resolveRoute,
+  buildRouteTwiml,
+  routeInboundCall,
+  listRoutes,
+  createRoute,
+  updateRoute,
+  deleteRoute
+};
@@ -1,176 +1,426 @@
 /**
- * Lead Deduplication Service (Simplified)
+ * Lead Deduplication Service
+ * Fuzzy duplicate detection over the lead store: normalized contact details,
+ * Jaro-Winkler name matching and blocking keys so large lead lists are not
+ * compared pairwise
  */
 
-// Mock data for testing
-const leads = [];
+const { leads } = require('../data/dataStore');
+const { mergeLeads } = require('./leadMerge');
+
+// Relative weight of each field in the similarity score
+const FIELD_WEIGHTS = {
+  email: 0.35,
+  phone: 0.3,
+  name: 0.25,
+  company: 0.1
+};
+
+// People often have several emails and phone numbers, so a mismatch on one of
+// these identifiers counts for less than a match
+const IDENTIFIER_FIELDS = new Set(['email', 'phone']);
+const IDENTIFIER_MISMATCH_FACTOR = 0.3;
+
+// Evidence needed for a full-strength score; thinner comparisons are scaled down
+// so e.g. a matching company alone can never look like a duplicate
+const MIN_EVIDENCE_WEIGHT = 0.6;
+
+// Blocks bigger than this (very common names, shared switchboard numbers) are
+// too unselective to be worth comparing exhaustively
+const MAX_BLOCK_SIZE = 200;
+
+const FREE_MAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'pty', 'group', 'holdings'
+]);
 
 /**
- * Calculate similarity between two leads
- * @param {Object} lead1 - First lead
- * @param {Object} lead2 - Second lead
- * @returns {number} Similarity score (0-1)
+ * Lowercase email with "+tag" aliases and Gmail dots folded away
+ * @param {string} email - Raw email address
+ * @returns {string|null} Normalized email
  */
-const calculateLeadSimilarity = (lead1, lead2) => {
-  let score = 0;
-  let comparisons = 0;
+const normalizeEmail = (email) => {
+  if (!email || typeof email !== 'string' || !email.includes('@')) return null;
 
-  // Email match (highest weight)
-  if (lead1.email && lead2.email) {
-    comparisons++;
-    if (lead1.email.toLowerCase() === lead2.email.toLowerCase()) {
-      score += 0.4;
-    }
+  const [rawLocal, rawDomain] = email.trim().toLowerCase().split('@');
+  let local = rawLocal.split('+')[0];
+  let domain = rawDomain;
+
+  if (FREE_MAIL_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
   }
 
-  // Phone match
-  if (lead1.phone && lead2.phone) {
-    comparisons++;
-    const phone1 = lead1.phone.replace(/\D/g, '');
-    const phone2 = lead2.phone.replace(/\D/g, '');
-    if (phone1 === phone2) {
-      score += 0.3;
-    }
+  return local ? `${local}@${domain}` : null;
+};
+
+/**
+ * Digits only, without a leading North American country code
+ * @param {string} phone - Raw phone number
+ * @returns {string|null} Normalized phone
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  let digits = String(phone).split(/\s*(?:x|ext\.?)\s*\d+$/i)[0].replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
   }
 
-  // Name similarity
-  if (lead1.firstName && lead2.firstName && lead1.lastName && lead2.lastName) {
-    comparisons++;
-    const name1 = `${lead1.firstName} ${lead1.lastName}`.toLowerCase();
-    const name2 = `${lead2.firstName} ${lead2.firstName}`.toLowerCase();
-    if (name1 === name2) {
-      score += 0.2;
-    }
+  return digits.length >= 7 ? digits : null;
+};
+
+/**
+ * Company name without punctuation or legal suffixes ("Acme, Inc." -> "acme")
+ * @param {string} company - Raw company name
+ * @returns {string|null} Normalized company
+ */
+const normalizeCompany = (company) => {
+  if (!company || typeof company !== 'string') return null;
+
+  const words = company
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words[0] === 'the') words.shift();
+  while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
   }
 
-  // Company match
-  if (lead1.company && lead2.company) {
-    comparisons++;
-    if (lead1.company.toLowerCase() === lead2.company.toLowerCase()) {
-      score += 0.1;
+  return words.length > 0 ? words.join(' ') : null;
+};
+
+/**
+ * Full name from either `name` or `firstName`/`lastName`, lowercased and unpunctuated
+ * @param {Object} lead - Lead object
+ * @returns {string|null} Normalized name
+ */
+const normalizeName = (lead) => {
+  const raw = lead.name || [lead.firstName || lead.first_name, lead.lastName || lead.last_name]
+    .filter(Boolean)
+    .join(' ');
+  if (!raw) return null;
+
+  const name = raw.toLowerCase().replace(/[^a-z\s'-]/g, ' ').replace(/\s+/g, ' ').trim();
+  return name || null;
+};
+
+/**
+ * Jaro-Winkler similarity
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity (0-1)
+ */
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
     }
   }
 
-  return comparisons > 0 ? score : 0;
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
 };
 
 /**
- * Detect duplicate leads
- * @param {Object} targetLead - Lead to find duplicates for
- * @param {number} threshold - Similarity threshold
- * @returns {Array} Array of potential duplicates
+ * Names compared token-wise so "Smith, John" and "John Smith" still match
+ * @param {string} name1 - Normalized name
+ * @param {string} name2 - Normalized name
+ * @returns {number} Similarity (0-1)
  */
-const detectDuplicateLeads = (targetLead, threshold = 0.8) => {
-  return leads
-    .filter(lead => lead.id !== targetLead.id)
-    .map(lead => ({
-      ...lead,
-      similarity_score: calculateLeadSimilarity(targetLead, lead)
-    }))
-    .filter(lead => lead.similarity_score >= threshold)
-    .sort((a, b) => b.similarity_score - a.similarity_score);
+const nameSimilarity = (name1, name2) => {
+  const direct = jaroWinkler(name1, name2);
+  const sorted1 = name1.split(' ').sort().join(' ');
+  const sorted2 = name2.split(' ').sort().join(' ');
+  return Math.max(direct, jaroWinkler(sorted1, sorted2));
 };
 
 /**
- * Merge two leads
- * @param {string} sourceLeadId - ID of lead to merge from
- * @param {string} targetLeadId - ID of lead to merge into
- * @returns {Object} Merged lead
+ * Normalized comparison fields
+ * @param {Object} lead - Lead object
+ * @returns {Object} { email, phone, name, company }
+ */
+const getMatchFields = (lead) => ({
+  email: normalizeEmail(lead.email),
+  phone: normalizePhone(lead.phone),
+  name: normalizeName(lead),
+  company: normalizeCompany(lead.company)
+});
+
+/**
+ * Blocking keys: leads only get compared when they share at least one key
+ * @param {Object} fields - Output of getMatchFields
+ * @returns {Array<string>} Blocking keys
  */
-const mergeLeads = (sourceLeadId, targetLeadId) => {
-  const sourceIndex = leads.findIndex(lead => lead.id === sourceLeadId);
-  const targetIndex = leads.findIndex(lead => lead.id === targetLeadId);
+const getBlockingKeys = (fields) => {
+  const keys = [];
 
-  if (sourceIndex === -1 || targetIndex === -1) {
-    throw new Error('One or both leads not found');
+  if (fields.email) keys.push(`email:${fields.email}`);
+  if (fields.phone) keys.push(`phone:${fields.phone.slice(-7)}`);
+  if (fields.company) keys.push(`company:${fields.company}`);
+
+  if (fields.name) {
+    const tokens = fields.name.split(' ');
+    const last = tokens[tokens.length - 1];
+    // Surname prefix + first initial, plus the reversed order for "Last First" entries
+    keys.push(`name:${last.slice(0, 3)}:${tokens[0][0]}`);
+    if (tokens.length > 1) keys.push(`name:${tokens[0].slice(0, 3)}:${last[0]}`);
   }
 
-  const sourceLead = leads[sourceIndex];
-  const targetLead = leads[targetIndex];
+  return keys;
+};
+
+/**
+ * Field-by-field comparison of two leads
+ * @param {Object} lead1 - First lead
+ * @param {Object} lead2 - Second lead
+ * @returns {Object} { score, matched_fields, field_scores }
+ */
+const compareLeads = (lead1, lead2, fields1 = getMatchFields(lead1), fields2 = getMatchFields(lead2)) => {
+  const fieldScores = {};
+  let weighted = 0;
+  let evidence = 0;
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const value1 = fields1[field];
+    const value2 = fields2[field];
+    if (!value1 || !value2) return;
 
-  // Simple merge strategy - take non-null values from source
-  const mergedLead = { ...targetLead };
-  Object.keys(sourceLead).forEach(key => {
-    if (sourceLead[key] && !targetLead[key]) {
-      mergedLead[key] = sourceLead[key];
+    let similarity;
+    switch (field) {
+      case 'name':
+        similarity = nameSimilarity(value1, value2);
+        break;
+      case 'company':
+        similarity = jaroWinkler(value1, value2);
+        break;
+      default:
+        similarity = value1 === value2 ? 1 : 0;
     }
+
+    const fieldWeight = IDENTIFIER_FIELDS.has(field) && similarity === 0
+      ? weight * IDENTIFIER_MISMATCH_FACTOR
+      : weight;
+
+    fieldScores[field] = Math.round(similarity * 1000) / 1000;
+    weighted += similarity * fieldWeight;
+    evidence += fieldWeight;
   });
 
-  mergedLead.updated_at = new Date().toISOString();
-  
-  // Mark source as merged
-  leads[sourceIndex] = {
-    ...sourceLead,
-    deleted_at: new Date().toISOString(),
-    merged_into: targetLeadId
+  if (evidence === 0) {
+    return { score: 0, matched_fields: [], field_scores: fieldScores };
+  }
+
+  const score = (weighted / evidence) * Math.min(1, evidence / MIN_EVIDENCE_WEIGHT);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    matched_fields: Object.keys(fieldScores).filter(field => fieldScores[field] >= 0.9),
+    field_scores: fieldScores
   };
+};
 
-  leads[targetIndex] = mergedLead;
-  return mergedLead;
+/**
+ * Calculate similarity between two leads
+ * @param {Object} lead1 - First lead
+ * @param {Object} lead2 - Second lead
+ * @returns {number} Similarity score (0-1)
+ */
+const calculateLeadSimilarity = (lead1, lead2) => compareLeads(lead1, lead2).score;
+
+/**
+ * Index leads by blocking key
+ * @param {Array} leadList - Leads to index
+ * @returns {Object} { entries, blocks } entries pair each lead with its normalized fields
+ */
+const buildBlockingIndex = (leadList) => {
+  const entries = leadList.map(lead => {
+    const fields = getMatchFields(lead);
+    return { lead, fields, keys: getBlockingKeys(fields) };
+  });
+
+  const blocks = new Map();
+  entries.forEach(entry => {
+    entry.keys.forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(entry);
+    });
+  });
+
+  return { entries, blocks };
+};
+
+/**
+ * Other leads sharing a usable block with the entry
+ */
+const getCandidates = (entry, blocks) => {
+  const candidates = new Set();
+  entry.keys.forEach(key => {
+    const block = blocks.get(key);
+    if (!block || block.length > MAX_BLOCK_SIZE) return;
+    block.forEach(other => {
+      if (other !== entry) candidates.add(other);
+    });
+  });
+  return candidates;
+};
+
+const toDuplicate = (lead, comparison) => ({
+  ...lead,
+  similarity_score: comparison.score,
+  matched_fields: comparison.matched_fields,
+  field_scores: comparison.field_scores
+});
+
+const activeLeads = (leadList) => leadList.filter(lead => !lead.deleted_at);
+
+/**
+ * Detect duplicate leads
+ * @param {Object} targetLead - Lead to find duplicates for
+ * @param {number} threshold - Similarity threshold
+ * @param {Array} leadList - Leads to search (default: lead store)
+ * @returns {Array} Array of potential duplicates
+ */
+const detectDuplicateLeads = (targetLead, threshold = 0.8, leadList = leads) => {
+  const targetFields = getMatchFields(targetLead);
+  const targetKeys = new Set(getBlockingKeys(targetFields));
+  if (targetKeys.size === 0) return [];
+
+  return activeLeads(leadList)
+    .filter(lead => lead.id !== targetLead.id)
+    .map(lead => ({ lead, fields: getMatchFields(lead) }))
+    .filter(({ fields }) => getBlockingKeys(fields).some(key => targetKeys.has(key)))
+    .map(({ lead, fields }) => toDuplicate(lead, compareLeads(targetLead, lead, targetFields, fields)))
+    .filter(lead => lead.similarity_score >= threshold)
+    .sort((a, b) => b.similarity_score - a.similarity_score);
 };
 
 /**
  * Find all duplicate groups
  * @param {number} threshold - Similarity threshold
  * @param {number} limit - Maximum groups to return
+ * @param {Array} leadList - Leads to search (default: lead store)
  * @returns {Array} Array of duplicate groups
  */
-const findAllDuplicates = (threshold = 0.8, limit = 100) => {
+const findAllDuplicates = (threshold = 0.8, limit = 100, leadList = leads) => {
+  const { entries, blocks } = buildBlockingIndex(activeLeads(leadList));
   const duplicateGroups = [];
   const processed = new Set();
 
-  leads.filter(lead => !lead.deleted_at).forEach(lead => {
-    if (processed.has(lead.id)) return;
+  for (const entry of entries) {
+    if (duplicateGroups.length >= limit) break;
+    if (processed.has(entry.lead.id)) continue;
+
+    const duplicates = [...getCandidates(entry, blocks)]
+      .filter(other => !processed.has(other.lead.id))
+      .map(other => toDuplicate(other.lead, compareLeads(entry.lead, other.lead, entry.fields, other.fields)))
+      .filter(lead => lead.similarity_score >= threshold)
+      .sort((a, b) => b.similarity_score - a.similarity_score);
 
-    const duplicates = detectDuplicateLeads(lead, threshold);
     if (duplicates.length > 0) {
       duplicateGroups.push({
-        primary_lead: lead,
+        primary_lead: entry.lead,
         duplicates: duplicates,
         group_size: duplicates.length + 1,
-        highest_similarity: Math.max(...duplicates.map(d => d.similarity_score))
+        highest_similarity: duplicates[0].similarity_score
       });
 
-      processed.add(lead.id);
+      processed.add(entry.lead.id);
       duplicates.forEach(dup => processed.add(dup.id));
     }
-  });
+  }
 
-  return duplicateGroups.slice(0, limit);
+  return duplicateGroups;
 };
 
 /**
  * Auto-merge high confidence duplicates
  * @param {number} confidenceThreshold - Minimum confidence for auto-merge
- * @returns {Array} Array of merge results
+ * @param {string} userId - User the merges are attributed to
+ * @returns {Promise<Array>} Array of merge results; each merge can be undone
  */
-const autoMergeHighConfidenceLeads = (confidenceThreshold = 0.95) => {
+const autoMergeHighConfidenceLeads = async (confidenceThreshold = 0.95, userId = 'system') => {
   const groups = findAllDuplicates(confidenceThreshold, 50);
   const results = [];
 
-  groups.forEach(group => {
-    if (group.highest_similarity >= confidenceThreshold) {
-      group.duplicates.forEach(duplicate => {
-        try {
-          const merged = mergeLeads(duplicate.id, group.primary_lead.id);
-          results.push({
-            success: true,
-            merged_lead: merged,
-            source_lead_id: duplicate.id,
-            target_lead_id: group.primary_lead.id,
-            similarity_score: duplicate.similarity_score
-          });
-        } catch (error) {
-          results.push({
-            success: false,
-            error: error.message,
-            source_lead_id: duplicate.id,
-            target_lead_id: group.primary_lead.id
-          });
-        }
-      });
+  for (const group of groups) {
+    // Keep the most complete record and fold the rest of the group into it
+    const members = [group.primary_lead, ...group.duplicates];
+    const target = getBestLeadInGroup(members);
+
+    for (const duplicate of members.filter(lead => lead.id !== target.id)) {
+      // Members were scored against the group's primary; the pair being merged must
+      // clear the threshold on its own
+      const comparison = compareLeads(duplicate, target);
+      if (comparison.score < confidenceThreshold) {
+        results.push({
+          success: false,
+          skipped: true,
+          reason: 'Below the auto-merge threshold against the surviving lead',
+          source_lead_id: duplicate.id,
+          target_lead_id: target.id,
+          similarity_score: comparison.score
+        });
+        continue;
+      }
+
+      try {
+        const { merge, merged_lead } = await mergeLeads(duplicate.id, target.id, { userId });
+        results.push({
+          success: true,
+          merge_id: merge.id,
+          merged_lead,
+          source_lead_id: duplicate.id,
+          target_lead_id: target.id,
+          similarity_score: comparison.score,
+          matched_fields: comparison.matched_fields
+        });
+      } catch (error) {
+        results.push({
+          success: false,
+          error: error.message,
+          source_lead_id: duplicate.id,
+          target_lead_id: target.id
+        });
+      }
     }
-  });
+  }
 
   return results;
 };
@@ -197,7 +447,7 @@ const calculateCompletenessScore = (lead) => {
   let score = 0;
   if (lead.email) score += 20;
   if (lead.phone) score += 20;
-  if (lead.firstName && lead.lastName) score += 10;
+  if (lead.name || (lead.firstName && lead.lastName)) score += 10;
   if (lead.company) score += 10;
   if (lead.title) score += 5;
   return score;
@@ -209,6 +459,11 @@ module.exports = {
   findAllDuplicates,
   autoMergeHighConfidenceLeads,
   calculateLeadSimilarity,
+  compareLeads,
   getBestLeadInGroup,
-  calculateCompletenessScore
-};
\ No newline at end of file
+  calculateCompletenessScore,
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  jaroWinkler
+};
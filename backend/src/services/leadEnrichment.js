@@ -1,101 +1,155 @@
 /**
- * Lead Enrichment Service (Simplified)
+ * Lead Enrichment Service
+ * Runs the configured enrichment providers (see ./enrichmentProviders), caches their
+ * results per email domain or phone number, and keeps the most confident value per
+ * field together with its source. Batch enrichment runs as a background job.
  */
 
+const { v4: uuidv4 } = require('uuid');
+const { leads } = require('../data/dataStore');
+const { EnrichmentCache } = require('../database/models');
+const { createDefaultProviders, normalizePhoneKey, FREE_MAIL_DOMAINS } = require('./enrichmentProviders');
+
+const DEFAULT_CACHE_TTL = parseInt(process.env.ENRICHMENT_CACHE_TTL) || 7 * 24 * 60 * 60; // seconds
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const MAX_JOB_ERRORS = 100;
+
+let providers = createDefaultProviders();
+const enrichmentJobs = new Map();
+
 /**
- * Enrich lead data
- * @param {Object} lead - Lead object to enrich
- * @returns {Object} Enriched lead data
+ * Add a provider, replacing any existing provider with the same name
+ * @param {Object} provider - Provider implementing the enrichmentProviders interface
  */
-const enrichLeadData = async (lead) => {
-  const enrichment = {
-    enriched_at: new Date().toISOString(),
-    enrichment_source: 'internal',
-    quality_score: 50
-  };
+const registerEnrichmentProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.lookup !== 'function') {
+    throw new Error('Enrichment providers need a name and a lookup function');
+  }
+  if (!['domain', 'phone', 'lead'].includes(provider.keyType)) {
+    throw new Error('Enrichment provider keyType must be domain, phone or lead');
+  }
 
-  try {
-    // Basic email domain enrichment
-    if (lead.email) {
-      const domain = lead.email.split('@')[1];
-      if (domain) {
-        enrichment.email_domain = domain;
-        
-        // Basic business domain detection
-        const businessDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'];
-        if (!businessDomains.includes(domain.toLowerCase())) {
-          enrichment.email_type = 'business';
-          enrichment.business_likelihood = 'high';
-          
-          // Try to infer company from domain if not provided
-          if (!lead.company) {
-            enrichment.inferred_company = domain
-              .replace(/\.(com|org|net|edu|gov)$/i, '')
-              .replace(/[.-]/g, ' ')
-              .replace(/\b\w/g, l => l.toUpperCase());
-          }
-        } else {
-          enrichment.email_type = 'personal';
-          enrichment.business_likelihood = 'low';
-        }
-      }
-    }
+  const normalized = { isEnabled: () => true, ...provider };
+  const index = providers.findIndex(p => p.name === provider.name);
+  if (index === -1) {
+    providers.push(normalized);
+  } else {
+    providers[index] = normalized;
+  }
+};
+
+/**
+ * Replace the provider list (defaults to the environment configuration)
+ */
+const resetEnrichmentProviders = (providerList = createDefaultProviders()) => {
+  providers = [];
+  providerList.forEach(registerEnrichmentProvider);
+};
 
-    // Basic phone number enrichment
-    if (lead.phone) {
-      const cleaned = lead.phone.replace(/\D/g, '');
-      if (cleaned.length === 10) {
-        enrichment.phone_formatted = `(${cleaned.slice(0,3)}) ${cleaned.slice(3,6)}-${cleaned.slice(6)}`;
-      } else if (cleaned.length === 11 && cleaned[0] === '1') {
-        const phone = cleaned.slice(1);
-        enrichment.phone_formatted = `+1 (${phone.slice(0,3)}) ${phone.slice(3,6)}-${phone.slice(6)}`;
+const getEnrichmentProviders = () => providers.map(provider => ({
+  name: provider.name,
+  keyType: provider.keyType,
+  enabled: provider.isEnabled(),
+  ttl: provider.keyType === 'lead' ? null : (provider.ttl || DEFAULT_CACHE_TTL)
+}));
+
+/**
+ * Cache key for a provider: the company email domain (or website host) or the phone number
+ */
+const getLookupKey = (keyType, lead) => {
+  switch (keyType) {
+    case 'domain': {
+      const emailDomain = lead.email && lead.email.includes('@') ? lead.email.split('@')[1].trim().toLowerCase() : null;
+      if (emailDomain && !FREE_MAIL_DOMAINS.has(emailDomain)) return emailDomain;
+
+      if (lead.website) {
+        return String(lead.website).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0] || null;
       }
+      return null;
     }
+    case 'phone':
+      return normalizePhoneKey(lead.phone);
+    default:
+      return 'lead';
+  }
+};
 
-    // Basic title analysis
-    if (lead.title) {
-      const title = lead.title.toLowerCase();
-      if (title.includes('ceo') || title.includes('president') || title.includes('founder')) {
-        enrichment.seniority_level = 'executive';
-      } else if (title.includes('director') || title.includes('vp') || title.includes('vice president')) {
-        enrichment.seniority_level = 'senior';
-      } else if (title.includes('manager') || title.includes('lead')) {
-        enrichment.seniority_level = 'mid';
-      } else {
-        enrichment.seniority_level = 'individual_contributor';
-      }
+const runProvider = async (provider, lead, { refresh = false } = {}) => {
+  const key = getLookupKey(provider.keyType, lead);
+  if (!key) return null;
+
+  if (provider.keyType === 'lead') {
+    return { key: null, fields: (await provider.lookup(key, lead)) || {}, cached: false, fetchedAt: new Date() };
+  }
+
+  if (!refresh) {
+    const hit = await EnrichmentCache.findFresh(provider.name, provider.keyType, key);
+    if (hit) {
+      return { key, fields: hit.fields, cached: true, fetchedAt: hit.fetchedAt };
     }
+  }
+
+  const fields = (await provider.lookup(key, lead)) || {};
+  const entry = await EnrichmentCache.store(provider.name, provider.keyType, key, fields, provider.ttl || DEFAULT_CACHE_TTL);
+  return { key, fields, cached: false, fetchedAt: entry.fetchedAt };
+};
+
+/**
+ * Enrich lead data
+ * @param {Object} lead - Lead object to enrich
+ * @param {Object} options - { refresh: bypass cached provider results }
+ * @returns {Object} Enriched field values plus per-field source and confidence
+ */
+const enrichLeadData = async (lead, options = {}) => {
+  const fieldSources = {};
+  const providerRuns = [];
+
+  for (const provider of providers) {
+    if (!provider.isEnabled()) continue;
 
-    // Basic company size inference
-    if (lead.company) {
-      const company = lead.company.toLowerCase();
-      if (company.includes('corporation') || company.includes('international') || company.includes('global')) {
-        enrichment.inferred_company_size = '500+';
-      } else if (company.includes('enterprises') || company.includes('group')) {
-        enrichment.inferred_company_size = '200-500';
-      } else if (company.includes('solutions') || company.includes('services')) {
-        enrichment.inferred_company_size = '50-200';
-      } else {
-        enrichment.inferred_company_size = '10-50';
+    try {
+      const result = await runProvider(provider, lead, options);
+      if (!result) {
+        providerRuns.push({ provider: provider.name, status: 'skipped' });
+        continue;
       }
+
+      providerRuns.push({ provider: provider.name, status: 'ok', key: result.key, cached: result.cached });
+
+      // Highest confidence wins; on a tie the earlier provider keeps the field
+      Object.entries(result.fields).forEach(([field, { value, confidence }]) => {
+        const current = fieldSources[field];
+        if (!current || confidence > current.confidence) {
+          fieldSources[field] = {
+            value,
+            source: provider.name,
+            confidence,
+            fetched_at: new Date(result.fetchedAt).toISOString()
+          };
+        }
+      });
+    } catch (error) {
+      console.warn(`Enrichment provider ${provider.name} failed:`, error.message);
+      providerRuns.push({ provider: provider.name, status: 'error', error: error.message });
     }
+  }
+
+  const enrichment = {
+    enriched_at: new Date().toISOString(),
+    enrichment_source: [...new Set(Object.values(fieldSources).map(field => field.source))].join(',') || 'internal',
+    quality_score: getEnrichmentScore(lead)
+  };
+
+  Object.entries(fieldSources).forEach(([field, { value }]) => {
+    enrichment[field] = value;
+  });
+
+  enrichment.enrichment_fields = fieldSources;
+  enrichment.enrichment_providers = providerRuns;
 
-    // Quality score calculation
-    let qualityScore = 0;
-    if (lead.email) qualityScore += 20;
-    if (lead.phone) qualityScore += 20;
-    if (lead.firstName && lead.lastName) qualityScore += 15;
-    if (lead.company) qualityScore += 15;
-    if (lead.title) qualityScore += 10;
-    if (lead.industry) qualityScore += 10;
-    if (lead.website) qualityScore += 5;
-    if (lead.addressCity && lead.addressState) qualityScore += 5;
-
-    enrichment.quality_score = qualityScore;
-
-  } catch (error) {
-    console.warn('Lead enrichment failed:', error);
-    enrichment.enrichment_error = error.message;
+  const failures = providerRuns.filter(run => run.status === 'error');
+  if (failures.length > 0) {
+    enrichment.enrichment_error = failures.map(run => run.error).join('; ');
   }
 
   return enrichment;
@@ -103,15 +157,16 @@ const enrichLeadData = async (lead) => {
 
 /**
  * Batch enrich multiple leads
- * @param {Array} leads - Array of leads to enrich
+ * @param {Array} leadList - Array of leads to enrich
+ * @param {Object} options - Passed to enrichLeadData
  * @returns {Array} Array of enriched leads
  */
-const batchEnrichLeads = async (leads) => {
+const batchEnrichLeads = async (leadList, options = {}) => {
   const enrichedLeads = [];
 
-  for (const lead of leads) {
+  for (const lead of leadList) {
     try {
-      const enrichment = await enrichLeadData(lead);
+      const enrichment = await enrichLeadData(lead, options);
       enrichedLeads.push({
         ...lead,
         enrichment_data: enrichment
@@ -131,6 +186,105 @@ const batchEnrichLeads = async (leads) => {
   return enrichedLeads;
 };
 
+// Background batch jobs
+
+const formatJob = (job) => ({ ...job, errors: [...job.errors] });
+
+const recordJobError = (job, error) => {
+  if (job.errors.length < MAX_JOB_ERRORS) job.errors.push(error);
+};
+
+const pruneFinishedJobs = () => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  enrichmentJobs.forEach((job, id) => {
+    if (job.completed_at && new Date(job.completed_at).getTime() < cutoff) {
+      enrichmentJobs.delete(id);
+    }
+  });
+};
+
+const runEnrichmentJob = async (job, leadIds, options) => {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+
+  for (const leadId of leadIds) {
+    const findIndex = () => leads.findIndex(lead => String(lead.id) === String(leadId));
+    const lead = leads[findIndex()];
+
+    if (!lead || lead.deleted_at) {
+      job.failed++;
+      recordJobError(job, { lead_id: leadId, error: 'Lead not found' });
+    } else {
+      try {
+        const enrichment = await enrichLeadData(lead, options);
+        // Look the lead up again; the store may have changed while providers ran
+        const index = findIndex();
+        if (index !== -1) {
+          leads[index] = { ...leads[index], enrichment_data: enrichment, updated_at: new Date().toISOString() };
+        }
+        job.succeeded++;
+      } catch (error) {
+        job.failed++;
+        recordJobError(job, { lead_id: leadId, error: error.message });
+      }
+    }
+
+    job.processed++;
+    job.progress = Math.round((job.processed / job.total) * 100);
+
+    // Let queued requests run between leads
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  job.status = 'completed';
+  job.progress = 100;
+  job.completed_at = new Date().toISOString();
+};
+
+/**
+ * Start enriching leads in the background
+ * @param {Array|null} leadIds - Leads to enrich (default: every active lead)
+ * @param {Object} options - { refresh, userId }
+ * @returns {Object} Job with progress counters; poll getEnrichmentJob for updates
+ */
+const startEnrichmentJob = (leadIds = null, { refresh = false, userId = 'system' } = {}) => {
+  pruneFinishedJobs();
+
+  const ids = leadIds || leads.filter(lead => !lead.deleted_at).map(lead => lead.id);
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    total: ids.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    progress: ids.length === 0 ? 100 : 0,
+    refresh,
+    errors: [],
+    created_by: userId,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    completed_at: null
+  };
+
+  enrichmentJobs.set(job.id, job);
+
+  setImmediate(() => {
+    runEnrichmentJob(job, ids, { refresh }).catch(error => {
+      job.status = 'failed';
+      recordJobError(job, { error: error.message });
+      job.completed_at = new Date().toISOString();
+    });
+  });
+
+  return formatJob(job);
+};
+
+const getEnrichmentJob = (jobId) => {
+  const job = enrichmentJobs.get(jobId);
+  return job ? formatJob(job) : null;
+};
+
 /**
  * Get enrichment score for a lead
  * @param {Object} lead - Lead object
@@ -140,7 +294,7 @@ const getEnrichmentScore = (lead) => {
   let score = 0;
   if (lead.email) score += 20;
   if (lead.phone) score += 20;
-  if (lead.firstName && lead.lastName) score += 15;
+  if (lead.name || (lead.firstName && lead.lastName)) score += 15;
   if (lead.company) score += 15;
   if (lead.title) score += 10;
   if (lead.industry) score += 10;
@@ -152,5 +306,10 @@ const getEnrichmentScore = (lead) => {
 module.exports = {
   enrichLeadData,
   batchEnrichLeads,
-  getEnrichmentScore
-};
\ No newline at end of file
+  getEnrichmentScore,
+  registerEnrichmentProvider,
+  resetEnrichmentProviders,
+  getEnrichmentProviders,
+  startEnrichmentJob,
+  getEnrichmentJob
+};
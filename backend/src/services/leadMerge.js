@@ -0,0 +1,405 @@
+/**
+ * Lead Merge Service
+ * Field-level merge previews, merges that carry call logs, activities, notes and
+ * follow-ups over to the surviving lead, and undo within a retention window.
+ * Merge records live in the data store next to the leads and call logs they
+ * describe, so a record never outlives the leads it would restore.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { Note, Followup } = require('../database/models');
+const { leads, callLogs, leadMerges } = require('../data/dataStore');
+const { logLeadActivity, reassignLeadActivities, getLeadTimeline } = require('./leadTracking');
+
+const MERGE_RETENTION_DAYS = parseInt(process.env.LEAD_MERGE_RETENTION_DAYS) || 30;
+
+// Note.leadId is a UUID column; other lead IDs cannot have notes
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Bookkeeping fields that are never taken from the source lead
+const SYSTEM_FIELDS = new Set([
+  'id', 'created_at', 'createdAt', 'updated_at', 'updatedAt', 'deleted_at',
+  'merged_into', 'created_by', 'last_modified_by'
+]);
+
+// Counters are added together when two leads are merged
+const SUM_FIELDS = new Set(['call_attempts', 'email_opens', 'email_clicks']);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Default surviving value for a field and the rule that produced it
+ * @returns {Object} { value, rule }
+ */
+const resolveFieldValue = (field, targetValue, sourceValue) => {
+  if (isEmpty(sourceValue)) return { value: targetValue, rule: 'target' };
+  if (isEmpty(targetValue)) return { value: sourceValue, rule: 'source_fills_empty' };
+
+  if (SUM_FIELDS.has(field)) {
+    return { value: (Number(targetValue) || 0) + (Number(sourceValue) || 0), rule: 'sum' };
+  }
+
+  if (field === 'tags' && Array.isArray(targetValue) && Array.isArray(sourceValue)) {
+    return { value: [...new Set([...targetValue, ...sourceValue])], rule: 'union' };
+  }
+
+  if (field === 'notes' && targetValue !== sourceValue) {
+    return { value: `${targetValue}\n\n${sourceValue}`, rule: 'concatenate' };
+  }
+
+  if (field === 'last_contact' || field === 'lastContact') {
+    const latest = new Date(sourceValue) > new Date(targetValue) ? sourceValue : targetValue;
+    return { value: latest, rule: 'latest' };
+  }
+
+  if (field === 'next_follow_up') {
+    const earliest = new Date(sourceValue) < new Date(targetValue) ? sourceValue : targetValue;
+    return { value: earliest, rule: 'earliest' };
+  }
+
+  return { value: targetValue, rule: 'target' };
+};
+
+/**
+ * Lead store lookup tolerant of numeric IDs arriving as strings
+ */
+const findLead = (id) => leads.find(lead => String(lead.id) === String(id));
+
+const getMergePair = (sourceLeadId, targetLeadId) => {
+  if (String(sourceLeadId) === String(targetLeadId)) {
+    throw new Error('A lead cannot be merged into itself');
+  }
+
+  const source = findLead(sourceLeadId);
+  const target = findLead(targetLeadId);
+
+  if (!source || !target) {
+    throw new Error('One or both leads not found');
+  }
+  if (source.deleted_at || target.deleted_at) {
+    throw new Error('Deleted or already merged leads cannot be merged');
+  }
+
+  return { source, target };
+};
+
+const canHaveNotes = (...leadIds) => leadIds.every(id => UUID_PATTERN.test(String(id)));
+
+/**
+ * Records that will move from the source lead to the target lead
+ */
+const countRelatedRecords = async (source, target) => ({
+  call_logs: callLogs.filter(log => String(log.leadId) === String(source.id)).length,
+  activities: getLeadTimeline(source.id, { limit: 0 }).length,
+  notes: canHaveNotes(source.id, target.id) ? await Note.count({ where: { leadId: source.id } }) : 0,
+  followups: await Followup.count({ where: { leadId: String(source.id) } })
+});
+
+/**
+ * Move a model's rows from one lead to another
+ * @param {Object} model - Sequelize model keyed by leadId
+ * @param {string} fromLeadId - Lead the rows belong to now
+ * @param {string} toLeadId - Lead to move them to
+ * @param {Array} ids - Only move these rows (undo); all of the lead's rows when omitted
+ * @returns {Array} IDs of the moved rows
+ */
+const moveLeadRecords = async (model, fromLeadId, toLeadId, ids) => {
+  const where = { leadId: fromLeadId };
+  if (ids) where.id = { [Op.in]: ids };
+
+  const rows = await model.findAll({ where, attributes: ['id'] });
+  const movedIds = rows.map(row => row.id);
+
+  if (movedIds.length > 0) {
+    await model.update({ leadId: toLeadId }, { where: { id: { [Op.in]: movedIds } } });
+  }
+  return movedIds;
+};
+
+/**
+ * Field-by-field view of a merge
+ * @param {Object} source - Lead being merged away
+ * @param {Object} target - Surviving lead
+ * @param {Object} overrides - { [field]: 'source' | 'target' | { value } }
+ * @returns {Object} { fields, merged_lead }
+ */
+const buildMergePlan = (source, target, overrides = {}) => {
+  const protectedFields = Object.keys(overrides).filter(field => SYSTEM_FIELDS.has(field));
+  if (protectedFields.length > 0) {
+    throw new Error(`These fields cannot be overridden: ${protectedFields.join(', ')}`);
+  }
+
+  const fieldNames = [...new Set([...Object.keys(target), ...Object.keys(source), ...Object.keys(overrides)])]
+    .filter(field => !SYSTEM_FIELDS.has(field));
+
+  const mergedLead = { ...target };
+  const fields = fieldNames.map(field => {
+    const targetValue = target[field];
+    const sourceValue = source[field];
+    const override = overrides[field];
+    let resolved;
+
+    if (override === 'source' || override === 'target') {
+      resolved = { value: override === 'source' ? sourceValue : targetValue, rule: `override_${override}` };
+    } else if (override && typeof override === 'object' && 'value' in override) {
+      resolved = { value: override.value, rule: 'override_value' };
+    } else if (override !== undefined) {
+      throw new Error(`Invalid override for ${field}: use "source", "target" or { value }`);
+    } else {
+      resolved = resolveFieldValue(field, targetValue, sourceValue);
+    }
+
+    if (resolved.value !== undefined) {
+      mergedLead[field] = resolved.value;
+    }
+
+    return {
+      field,
+      target_value: targetValue === undefined ? null : targetValue,
+      source_value: sourceValue === undefined ? null : sourceValue,
+      merged_value: resolved.value === undefined ? null : resolved.value,
+      rule: resolved.rule,
+      overridden: override !== undefined,
+      conflict: !isEmpty(targetValue) && !isEmpty(sourceValue) &&
+        JSON.stringify(targetValue) !== JSON.stringify(sourceValue)
+    };
+  });
+
+  return { fields, merged_lead: mergedLead };
+};
+
+/**
+ * Preview a merge without changing anything
+ * @param {string} sourceLeadId - Lead to merge from
+ * @param {string} targetLeadId - Lead to merge into
+ * @param {Object} overrides - Per-field choice of surviving value
+ * @returns {Object} Merge preview
+ */
+const previewMerge = async (sourceLeadId, targetLeadId, overrides = {}) => {
+  const { source, target } = getMergePair(sourceLeadId, targetLeadId);
+  const plan = buildMergePlan(source, target, overrides);
+
+  return {
+    source_lead_id: source.id,
+    target_lead_id: target.id,
+    fields: plan.fields,
+    merged_lead: plan.merged_lead,
+    related_records: await countRelatedRecords(source, target)
+  };
+};
+
+/**
+ * Merge the source lead into the target lead
+ * @param {string} sourceLeadId - Lead to merge from
+ * @param {string} targetLeadId - Lead to merge into
+ * @param {Object} options - { overrides, userId }
+ * @returns {Object} { merge, merged_lead }
+ */
+const mergeLeads = async (sourceLeadId, targetLeadId, { overrides = {}, userId = 'system' } = {}) => {
+  const { source, target } = getMergePair(sourceLeadId, targetLeadId);
+  const plan = buildMergePlan(source, target, overrides);
+  const now = new Date();
+
+  const merge = {
+    id: uuidv4(),
+    source_lead_id: source.id,
+    target_lead_id: target.id,
+    // Only the target fields the merge changed; undo puts back exactly these
+    target_changes: Object.keys(plan.merged_lead)
+      .filter(field => !SYSTEM_FIELDS.has(field) && !sameValue(target[field], plan.merged_lead[field]))
+      .map(field => ({ field, before: clone(target[field]), after: clone(plan.merged_lead[field]) })),
+    fields: plan.fields.filter(field => field.conflict || field.overridden || field.rule !== 'target'),
+    moved: { call_logs: [], activities: [], notes: [], followups: [] },
+    merged_by: userId,
+    merged_at: now.toISOString(),
+    undo_expires_at: new Date(now.getTime() + MERGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    status: 'merged'
+  };
+
+  // Re-point related records; their IDs are kept so undo moves back exactly these
+  callLogs.forEach(log => {
+    if (String(log.leadId) !== String(source.id)) return;
+    log.leadId = target.id;
+    merge.moved.call_logs.push(log.id);
+  });
+
+  merge.moved.activities = await reassignLeadActivities(source.id, target.id);
+  if (canHaveNotes(source.id, target.id)) {
+    merge.moved.notes = await moveLeadRecords(Note, source.id, target.id);
+  }
+  merge.moved.followups = await moveLeadRecords(Followup, String(source.id), String(target.id));
+
+  const mergedLead = {
+    ...plan.merged_lead,
+    updated_at: now.toISOString(),
+    last_modified_by: userId
+  };
+
+  leads[leads.indexOf(target)] = mergedLead;
+  leads[leads.indexOf(source)] = {
+    ...source,
+    deleted_at: now.toISOString(),
+    merged_into: target.id
+  };
+
+  pruneExpiredMerges(now);
+  leadMerges.push(merge);
+
+  await logLeadActivity(target.id, 'merged', {
+    merge_id: merge.id,
+    source_lead_id: source.id,
+    target_lead_id: target.id
+  }, userId);
+
+  return { merge: formatMerge(merge), merged_lead: mergedLead };
+};
+
+/**
+ * Revert a merge: put back the target fields the merge changed, bring the source
+ * lead back and move the related records back to it. Refused when any of those
+ * target fields was edited after the merge, since reverting would lose the edit.
+ * @param {string} mergeId - Merge to revert
+ * @param {Object} options - { userId }
+ * @returns {Object|null} { merge, source_lead, target_lead }, or null when the merge is unknown
+ */
+const undoMerge = async (mergeId, { userId = 'system' } = {}) => {
+  const merge = leadMerges.find(m => m.id === mergeId);
+  if (!merge) return null;
+
+  if (merge.status !== 'merged') {
+    throw new Error('This merge has already been reverted');
+  }
+  if (new Date(merge.undo_expires_at) < new Date()) {
+    throw new Error(`Merges can only be undone within ${MERGE_RETENTION_DAYS} days`);
+  }
+
+  const sourceIndex = leads.findIndex(lead => String(lead.id) === String(merge.source_lead_id));
+  const targetIndex = leads.findIndex(lead => String(lead.id) === String(merge.target_lead_id));
+  if (sourceIndex === -1 || targetIndex === -1) {
+    throw new Error('A lead from this merge no longer exists');
+  }
+
+  const target = leads[targetIndex];
+  const editedFields = merge.target_changes
+    .filter(change => !sameValue(target[change.field], change.after))
+    .map(change => change.field);
+  if (editedFields.length > 0) {
+    const error = new Error(`Fields changed since the merge: ${editedFields.join(', ')}`);
+    error.details = { edited_fields: editedFields };
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const revertedTarget = { ...target, updated_at: now, last_modified_by: userId };
+  merge.target_changes.forEach(({ field, before }) => {
+    if (before === undefined) {
+      delete revertedTarget[field];
+    } else {
+      revertedTarget[field] = clone(before);
+    }
+  });
+  leads[targetIndex] = revertedTarget;
+
+  const restoredSource = { ...leads[sourceIndex], deleted_at: null, updated_at: now, last_modified_by: userId };
+  delete restoredSource.merged_into;
+  leads[sourceIndex] = restoredSource;
+
+  const movedCallLogs = new Set(merge.moved.call_logs);
+  callLogs.forEach(log => {
+    if (movedCallLogs.has(log.id)) log.leadId = merge.source_lead_id;
+  });
+
+  await reassignLeadActivities(merge.target_lead_id, merge.source_lead_id, merge.moved.activities);
+
+  const { notes = [], followups = [] } = merge.moved;
+  if (notes.length > 0) {
+    await moveLeadRecords(Note, merge.target_lead_id, merge.source_lead_id, notes);
+  }
+  if (followups.length > 0) {
+    await moveLeadRecords(Followup, String(merge.target_lead_id), String(merge.source_lead_id), followups);
+  }
+
+  merge.status = 'reverted';
+  merge.reverted_at = now;
+  merge.reverted_by = userId;
+
+  await logLeadActivity(merge.target_lead_id, 'merge_reverted', {
+    merge_id: merge.id,
+    source_lead_id: merge.source_lead_id
+  }, userId);
+
+  return {
+    merge: formatMerge(merge),
+    source_lead: leads[sourceIndex],
+    target_lead: leads[targetIndex]
+  };
+};
+
+/**
+ * Merge history, newest first
+ * @param {Object} filters - { leadId, status }
+ * @returns {Array} Merges without their field history
+ */
+const listMerges = async ({ leadId, status } = {}) => {
+  pruneExpiredMerges();
+
+  return leadMerges
+    .filter(merge => !leadId ||
+      String(merge.source_lead_id) === String(leadId) ||
+      String(merge.target_lead_id) === String(leadId))
+    .filter(merge => !status || merge.status === status)
+    .sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at))
+    .map(formatMerge);
+};
+
+/**
+ * Drop merge records that are past the undo window
+ * @returns {boolean} Whether any merge was dropped
+ */
+const pruneExpiredMerges = (now = new Date()) => {
+  const count = leadMerges.length;
+  for (let i = leadMerges.length - 1; i >= 0; i--) {
+    if (new Date(leadMerges[i].undo_expires_at) < now) {
+      leadMerges.splice(i, 1);
+    }
+  }
+  return leadMerges.length < count;
+};
+
+/**
+ * Merge record as returned by the API: counts of moved records, no field history
+ */
+const formatMerge = (merge) => ({
+  id: merge.id,
+  source_lead_id: merge.source_lead_id,
+  target_lead_id: merge.target_lead_id,
+  fields: merge.fields,
+  moved: {
+    call_logs: merge.moved.call_logs.length,
+    activities: merge.moved.activities.length,
+    notes: (merge.moved.notes || []).length,
+    followups: (merge.moved.followups || []).length
+  },
+  merged_by: merge.merged_by,
+  merged_at: merge.merged_at,
+  undo_expires_at: merge.undo_expires_at,
+  status: merge.status,
+  ...(merge.reverted_at ? { reverted_at: merge.reverted_at, reverted_by: merge.reverted_by } : {}),
+  can_undo: merge.status === 'merged' && new Date(merge.undo_expires_at) >= new Date()
+});
+
+module.exports = {
+  MERGE_RETENTION_DAYS,
+  previewMerge,
+  mergeLeads,
+  undoMerge,
+  listMerges,
+  pruneExpiredMerges,
+  buildMergePlan
+};
@@ -0,0 +1,755 @@
+/**
+ * Lead Scoring Models
+ * Scoring rules defined as data, versioned per campaign. Each lead is scored by the
+ * active model for its campaign (falling back to the default model) and keeps a
+ * history of the scores and model versions that produced them.
+ *
+ * A model is { campaign, name, description, max_score, rules }. Rule types:
+ *   condition    - { conditions: [{ field, operator, value }], points } (all must match;
+ *                  a single condition may be written inline as field/operator/value)
+ *   map          - { field, values: { [value]: points }, default, missing }
+ *   count        - { field, points_per, cap, values } counts array items (optionally
+ *                  only those containing one of `values`) or a numeric field
+ *   recency      - { field, steps: [{ max_days, points }], default } or
+ *                  { field, max_points, half_life_days } for exponential decay
+ *   call_outcome - { outcomes: { [outcome]: points }, half_life_days, window_days, cap }
+ *                  summed over the lead's call logs
+ * Every rule has a unique `id` and an optional `category` used to group the breakdown.
+ *
+ * Versions are stored as LeadScoringModel rows. Scoring runs synchronously inside the
+ * lead endpoints, so the versions are also kept in memory: loaded once, then updated
+ * after every write.
+ */
+
+const { sequelize, LeadScoringModel } = require('../database/models');
+const { leads, callLogs } = require('../data/dataStore');
+
+const DEFAULT_MAX_SCORE = 100;
+const SCORE_HISTORY_LIMIT = 50;
+const DEFAULT_DRY_RUN_SAMPLE = 50;
+const MAX_DRY_RUN_SAMPLE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_TYPES = ['condition', 'map', 'count', 'recency', 'call_outcome'];
+
+// The weights previously hard-coded in leadScoring.calculateLeadScore
+const DEFAULT_SCORING_RULES = [
+  { id: 'has_email', category: 'contact_info', type: 'condition', field: 'email', operator: 'exists', points: 8 },
+  { id: 'has_phone', category: 'contact_info', type: 'condition', field: 'phone', operator: 'exists', points: 8 },
+  { id: 'has_name', category: 'contact_info', type: 'condition', field: 'name', operator: 'exists', points: 2 },
+  { id: 'has_company', category: 'contact_info', type: 'condition', field: 'company', operator: 'exists', points: 2 },
+  {
+    id: 'high_value_industry',
+    category: 'company_info',
+    type: 'condition',
+    field: 'industry',
+    operator: 'in',
+    value: ['Technology', 'Healthcare', 'Financial Services', 'Manufacturing'],
+    points: 8
+  },
+  {
+    id: 'other_industry',
+    category: 'company_info',
+    type: 'condition',
+    conditions: [
+      { field: 'industry', operator: 'exists' },
+      { field: 'industry', operator: 'not_in', value: ['Technology', 'Healthcare', 'Financial Services', 'Manufacturing'] }
+    ],
+    points: 5
+  },
+  {
+    id: 'company_size',
+    category: 'company_info',
+    type: 'map',
+    field: 'company_size',
+    values: { '1-10': 2, '10-50': 4, '50-200': 6, '200-500': 8, '500+': 10 },
+    default: 2,
+    missing: 0
+  },
+  {
+    id: 'decision_maker_title',
+    category: 'company_info',
+    type: 'condition',
+    field: 'title',
+    operator: 'contains_any',
+    value: ['CEO', 'CTO', 'VP', 'Director', 'Manager', 'Owner', 'Founder'],
+    points: 7
+  },
+  {
+    id: 'other_title',
+    category: 'company_info',
+    type: 'condition',
+    conditions: [
+      { field: 'title', operator: 'exists' },
+      { field: 'title', operator: 'not_contains_any', value: ['CEO', 'CTO', 'VP', 'Director', 'Manager', 'Owner', 'Founder'] }
+    ],
+    points: 3
+  },
+  {
+    id: 'lead_source',
+    category: 'lead_source',
+    type: 'map',
+    field: 'lead_source',
+    values: {
+      'Referral': 15,
+      'Website': 12,
+      'LinkedIn': 10,
+      'Trade Show': 8,
+      'Cold Call': 5,
+      'Email Campaign': 6,
+      'Social Media': 7,
+      'Manual Entry': 3
+    },
+    default: 3,
+    missing: 3
+  },
+  {
+    id: 'last_contact_recency',
+    category: 'engagement',
+    type: 'recency',
+    field: 'last_contact',
+    steps: [{ max_days: 1, points: 10 }, { max_days: 7, points: 8 }, { max_days: 30, points: 5 }],
+    default: 2
+  },
+  { id: 'call_attempts', category: 'engagement', type: 'count', field: 'call_attempts', points_per: 2, cap: 6 },
+  { id: 'email_opened', category: 'engagement', type: 'condition', field: 'email_opens', operator: 'gt', value: 0, points: 2 },
+  { id: 'email_clicked', category: 'engagement', type: 'condition', field: 'email_clicks', operator: 'gt', value: 0, points: 2 },
+  {
+    id: 'priority',
+    category: 'priority_status',
+    type: 'map',
+    field: 'priority',
+    values: { 'Critical': 4, 'High': 3, 'Medium': 2, 'Low': 1 },
+    default: 1,
+    missing: 1
+  },
+  {
+    id: 'status',
+    category: 'priority_status',
+    type: 'map',
+    field: 'status',
+    values: { 'New': 2, 'Follow-up': 3, 'Qualified': 4, 'Converted': 0, 'Lost': 0, 'Not Interested': 0 },
+    default: 1,
+    missing: 1
+  },
+  {
+    id: 'high_value_tags',
+    category: 'tags_bonus',
+    type: 'count',
+    field: 'tags',
+    values: ['budget-approved', 'decision-maker', 'qualified', 'enterprise', 'ready-to-buy'],
+    points_per: 2,
+    cap: 5
+  },
+  {
+    id: 'usa_based',
+    category: 'geographic_bonus',
+    type: 'condition',
+    field: 'address.country',
+    operator: 'equals',
+    value: 'USA',
+    points: 3
+  },
+  {
+    id: 'major_business_city',
+    category: 'geographic_bonus',
+    type: 'condition',
+    conditions: [
+      { field: 'address.country', operator: 'equals', value: 'USA' },
+      { field: 'address.city', operator: 'in', value: ['New York', 'San Francisco', 'Los Angeles', 'Chicago', 'Boston', 'Seattle'] }
+    ],
+    points: 2
+  }
+];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isPresent = (value) =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+const lower = (value) => String(value).toLowerCase();
+const toNumber = (value) => (isPresent(value) && !isNaN(Number(value)) ? Number(value) : null);
+
+const getFieldValue = (lead, path) =>
+  path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), lead);
+
+const containsAny = (actual, expected) =>
+  isPresent(actual) && toList(actual).some(item => toList(expected).some(x => lower(item).includes(lower(x))));
+
+const OPERATORS = {
+  exists: (actual) => isPresent(actual),
+  missing: (actual) => !isPresent(actual),
+  equals: (actual, expected) => isPresent(actual) && lower(actual) === lower(expected),
+  not_equals: (actual, expected) => !isPresent(actual) || lower(actual) !== lower(expected),
+  in: (actual, expected) => isPresent(actual) && toList(expected).some(x => lower(x) === lower(actual)),
+  not_in: (actual, expected) => !isPresent(actual) || !toList(expected).some(x => lower(x) === lower(actual)),
+  contains_any: containsAny,
+  not_contains_any: (actual, expected) => !containsAny(actual, expected),
+  gt: (actual, expected) => toNumber(actual) !== null && toNumber(actual) > Number(expected),
+  gte: (actual, expected) => toNumber(actual) !== null && toNumber(actual) >= Number(expected),
+  lt: (actual, expected) => toNumber(actual) !== null && toNumber(actual) < Number(expected),
+  lte: (actual, expected) => toNumber(actual) !== null && toNumber(actual) <= Number(expected)
+};
+
+const getConditions = (rule) =>
+  rule.conditions || [{ field: rule.field, operator: rule.operator, value: rule.value }];
+
+const daysSince = (value, now) => {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : Math.max(0, (now.getTime() - time) / DAY_MS);
+};
+
+const decay = (days, halfLifeDays) => (halfLifeDays ? Math.pow(0.5, days / halfLifeDays) : 1);
+
+const getCallsForLead = (leadId) => callLogs.filter(call => String(call.leadId) === String(leadId));
+
+/**
+ * Points contributed by one rule
+ * @returns {Object} { points, detail }
+ */
+const evaluateRule = (rule, lead, context) => {
+  switch (rule.type) {
+    case 'condition': {
+      const matched = getConditions(rule).every(({ field, operator, value }) =>
+        OPERATORS[operator](getFieldValue(lead, field), value)
+      );
+      return { points: matched ? rule.points : 0, detail: matched ? 'matched' : 'not matched' };
+    }
+
+    case 'map': {
+      const value = getFieldValue(lead, rule.field);
+      if (!isPresent(value)) return { points: rule.missing || 0, detail: 'missing' };
+
+      const key = Object.keys(rule.values).find(k => lower(k) === lower(value));
+      return key !== undefined
+        ? { points: rule.values[key], detail: `${rule.field} = ${key}` }
+        : { points: rule.default || 0, detail: `${rule.field} = ${value} (default)` };
+    }
+
+    case 'count': {
+      const value = getFieldValue(lead, rule.field);
+      let count = 0;
+      if (Array.isArray(value)) {
+        count = rule.values ? value.filter(item => containsAny(item, rule.values)).length : value.length;
+      } else {
+        count = toNumber(value) || 0;
+      }
+      const points = count * rule.points_per;
+      return { points: rule.cap !== undefined ? Math.min(points, rule.cap) : points, detail: `count ${count}` };
+    }
+
+    case 'recency': {
+      const value = getFieldValue(lead, rule.field);
+      const days = isPresent(value) ? daysSince(value, context.now) : null;
+      if (days === null) return { points: rule.missing || 0, detail: 'missing' };
+
+      if (rule.steps) {
+        const wholeDays = Math.floor(days);
+        const step = rule.steps.find(s => wholeDays <= s.max_days);
+        return { points: step ? step.points : (rule.default || 0), detail: `${wholeDays} days ago` };
+      }
+      return {
+        points: rule.max_points * decay(days, rule.half_life_days),
+        detail: `${Math.floor(days)} days ago`
+      };
+    }
+
+    case 'call_outcome': {
+      const calls = context.callsByLead
+        ? (context.callsByLead.get(String(lead.id)) || [])
+        : getCallsForLead(lead.id);
+      let points = 0;
+      let counted = 0;
+
+      calls.forEach(call => {
+        const key = Object.keys(rule.outcomes).find(k => call.outcome && lower(k) === lower(call.outcome));
+        if (key === undefined) return;
+
+        const days = daysSince(call.createdAt || call.date, context.now);
+        if (rule.window_days && (days === null || days > rule.window_days)) return;
+
+        points += rule.outcomes[key] * decay(days || 0, rule.half_life_days);
+        counted++;
+      });
+
+      if (rule.cap !== undefined) points = Math.max(-rule.cap, Math.min(points, rule.cap));
+      return { points, detail: `${counted} scored calls` };
+    }
+
+    default:
+      return { points: 0, detail: 'unknown rule type' };
+  }
+};
+
+/**
+ * Validate a model definition
+ * @param {Object} definition - { rules, max_score }
+ * @returns {Array} Error messages (empty when valid)
+ */
+const validateScoringModel = (definition) => {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+  if (!definition || !Array.isArray(definition.rules) || definition.rules.length === 0) {
+    return ['rules must be a non-empty array'];
+  }
+  if (definition.max_score !== undefined && (!isNumber(definition.max_score) || definition.max_score <= 0)) {
+    errors.push('max_score must be a positive number');
+  }
+
+  const ids = new Set();
+  definition.rules.forEach((rule, index) => {
+    const label = rule && rule.id ? `Rule ${rule.id}` : `Rule ${index}`;
+
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      errors.push(`${label}: id is required`);
+      return;
+    }
+    if (ids.has(rule.id)) errors.push(`${label}: duplicate id`);
+    ids.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: type must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    switch (rule.type) {
+      case 'condition':
+        getConditions(rule).forEach(condition => {
+          if (!condition || !condition.field) errors.push(`${label}: every condition needs a field`);
+          else if (!OPERATORS[condition.operator]) errors.push(`${label}: unknown operator ${condition.operator}`);
+        });
+        if (!isNumber(rule.points)) errors.push(`${label}: points must be a number`);
+        break;
+      case 'map':
+        if (!rule.field) errors.push(`${label}: field is required`);
+        if (!rule.values || typeof rule.values !== 'object' || !Object.values(rule.values).every(isNumber)) {
+          errors.push(`${label}: values must map field values to points`);
+        }
+        break;
+      case 'count':
+        if (!rule.field) errors.push(`${label}: field is required`);
+        if (!isNumber(rule.points_per)) errors.push(`${label}: points_per must be a number`);
+        break;
+      case 'recency':
+        if (!rule.field) errors.push(`${label}: field is required`);
+        if (rule.steps) {
+          if (!Array.isArray(rule.steps) || !rule.steps.every(s => isNumber(s.max_days) && isNumber(s.points))) {
+            errors.push(`${label}: steps need numeric max_days and points`);
+          }
+        } else if (!isNumber(rule.max_points) || !isNumber(rule.half_life_days) || rule.half_life_days <= 0) {
+          errors.push(`${label}: provide steps, or max_points with a positive half_life_days`);
+        }
+        break;
+      case 'call_outcome':
+        if (!rule.outcomes || typeof rule.outcomes !== 'object' || !Object.values(rule.outcomes).every(isNumber)) {
+          errors.push(`${label}: outcomes must map call outcomes to points`);
+        }
+        break;
+    }
+  });
+
+  return errors;
+};
+
+// Model store
+
+// Every stored version in API shape; filled by loadScoringModels
+const scoringModels = [];
+let modelsLoaded = null;
+
+const formatModel = (row) => ({
+  id: row.id,
+  campaign: row.campaign,
+  name: row.name,
+  description: row.description,
+  version: row.version,
+  status: row.status,
+  max_score: row.maxScore,
+  rules: clone(row.rules),
+  created_by: row.createdBy,
+  created_at: new Date(row.createdAt).toISOString(),
+  activated_at: row.activatedAt ? new Date(row.activatedAt).toISOString() : null,
+  activated_by: row.activatedBy || null,
+  retired_at: row.retiredAt ? new Date(row.retiredAt).toISOString() : null
+});
+
+const cacheModel = (row) => {
+  const model = formatModel(row);
+  const index = scoringModels.findIndex(cached => cached.id === model.id);
+  if (index === -1) {
+    scoringModels.push(model);
+  } else {
+    scoringModels[index] = model;
+  }
+  return model;
+};
+
+const findModel = (modelId) => scoringModels.find(model => model.id === modelId);
+
+const sameCampaign = (a, b) => (a || null) === (b || null);
+
+/**
+ * Read every version from the database, seeding version 1 of the default model
+ * from DEFAULT_SCORING_RULES the first time
+ */
+const readScoringModels = async () => {
+  const rows = await LeadScoringModel.findAll({ order: [['createdAt', 'ASC']] });
+
+  if (!rows.some(row => !row.campaign)) {
+    rows.push(await LeadScoringModel.create({
+      campaign: null,
+      name: 'Default lead score',
+      description: 'Contact completeness, firmographics, source, engagement and status',
+      version: 1,
+      status: 'active',
+      maxScore: DEFAULT_MAX_SCORE,
+      rules: clone(DEFAULT_SCORING_RULES),
+      createdBy: 'system',
+      activatedAt: new Date()
+    }));
+  }
+
+  scoringModels.length = 0;
+  rows.forEach(cacheModel);
+  return scoringModels;
+};
+
+/**
+ * Load the versions once; every async entry point waits for it
+ * @param {Object} options - { reload } reads the database again
+ */
+const loadScoringModels = ({ reload = false } = {}) => {
+  if (!modelsLoaded || reload) {
+    modelsLoaded = readScoringModels().catch(error => {
+      modelsLoaded = null;
+      throw error;
+    });
+  }
+  return modelsLoaded;
+};
+
+// Scores leads with the legacy weights until the stored versions are loaded
+const BUILT_IN_MODEL = {
+  id: null,
+  campaign: null,
+  name: 'Default lead score',
+  version: 0,
+  status: 'active',
+  max_score: DEFAULT_MAX_SCORE,
+  rules: DEFAULT_SCORING_RULES
+};
+
+const getActiveModel = (campaign = null) => {
+  if (scoringModels.length === 0) return campaign ? null : BUILT_IN_MODEL;
+  return scoringModels.find(model => model.status === 'active' && sameCampaign(model.campaign, campaign)) || null;
+};
+
+/**
+ * Active model for a lead's campaign, falling back to the default model
+ */
+const getModelForLead = (lead) =>
+  (lead.campaign && getActiveModel(lead.campaign)) || getActiveModel(null);
+
+const getScoringModel = async (modelId) => {
+  await loadScoringModels();
+  return findModel(modelId) || null;
+};
+
+const listScoringModels = async ({ campaign, status } = {}) => {
+  await loadScoringModels();
+  return scoringModels
+    .filter(model => campaign === undefined || sameCampaign(model.campaign, campaign))
+    .filter(model => !status || model.status === status)
+    .sort((a, b) => String(a.campaign || '').localeCompare(String(b.campaign || '')) || b.version - a.version);
+};
+
+/**
+ * Create a draft model; the version is one above the campaign's latest
+ * @param {Object} definition - { campaign, name, description, max_score, rules, based_on }
+ * @param {Object} options - { userId }
+ */
+const createScoringModel = async (definition, { userId = 'system' } = {}) => {
+  await loadScoringModels();
+
+  let { rules, max_score: maxScore } = definition;
+  if (!rules && definition.based_on) {
+    const base = findModel(definition.based_on);
+    if (!base) throw new Error('Base scoring model not found');
+    rules = base.rules;
+    maxScore = maxScore === undefined ? base.max_score : maxScore;
+  }
+
+  const errors = validateScoringModel({ rules, max_score: maxScore });
+  if (errors.length > 0) {
+    const error = new Error('Invalid scoring model');
+    error.details = errors;
+    throw error;
+  }
+
+  const campaign = definition.campaign || null;
+  const latestVersion = (await LeadScoringModel.max('version', { where: { campaign } })) || 0;
+
+  const row = await LeadScoringModel.create({
+    campaign,
+    name: definition.name || (campaign ? `${campaign} lead score` : 'Default lead score'),
+    description: definition.description || '',
+    version: latestVersion + 1,
+    status: 'draft',
+    maxScore: maxScore || DEFAULT_MAX_SCORE,
+    rules: clone(rules),
+    createdBy: userId
+  });
+
+  return cacheModel(row);
+};
+
+/**
+ * Edit a draft; active and retired versions are immutable so past scores stay explainable
+ */
+const updateScoringModel = async (modelId, changes) => {
+  await loadScoringModels();
+  const row = await LeadScoringModel.findByPk(modelId);
+  if (!row) return null;
+  if (row.status !== 'draft') throw new Error('Only draft scoring models can be edited');
+
+  const rules = changes.rules || row.rules;
+  const maxScore = changes.max_score === undefined ? row.maxScore : changes.max_score;
+  const errors = validateScoringModel({ rules, max_score: maxScore });
+  if (errors.length > 0) {
+    const error = new Error('Invalid scoring model');
+    error.details = errors;
+    throw error;
+  }
+
+  const updates = { rules: clone(rules), maxScore };
+  if (changes.name !== undefined) updates.name = changes.name;
+  if (changes.description !== undefined) updates.description = changes.description;
+
+  await row.update(updates);
+  return cacheModel(row);
+};
+
+// Scoring
+
+const buildCallIndex = () => {
+  const index = new Map();
+  callLogs.forEach(call => {
+    const key = String(call.leadId);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(call);
+  });
+  return index;
+};
+
+const summarizeModel = (model) => ({
+  id: model.id,
+  name: model.name,
+  campaign: model.campaign,
+  version: model.version,
+  status: model.status
+});
+
+/**
+ * Score a lead under a model (default: the active model for its campaign)
+ * @param {Object} lead - Lead object
+ * @param {Object} options - { model, now, callsByLead }
+ * @returns {Object} { score, model, categories, contributions }
+ */
+const scoreLead = (lead, { model, now = new Date(), callsByLead } = {}) => {
+  const scoringModel = model || getModelForLead(lead);
+  const context = { now, callsByLead };
+  const categories = {};
+  let raw = 0;
+
+  const contributions = scoringModel.rules.map(rule => {
+    const category = rule.category || 'other';
+    const { points, detail } = evaluateRule(rule, lead, context);
+    const rounded = Math.round(points * 100) / 100;
+
+    categories[category] = (categories[category] || 0) + rounded;
+    raw += rounded;
+    return { rule_id: rule.id, category, type: rule.type, points: rounded, detail };
+  });
+
+  return {
+    score: Math.max(0, Math.min(Math.round(raw), scoringModel.max_score)),
+    model: summarizeModel(scoringModel),
+    categories,
+    contributions
+  };
+};
+
+/**
+ * Score a lead under its active model and store the score with its history
+ * @param {Object} lead - Lead object (updated in place)
+ * @param {Object} options - { reason, callsByLead }
+ * @returns {Object} scoreLead result
+ */
+const rescoreLead = (lead, { reason = 'rescored', callsByLead } = {}) => {
+  const result = scoreLead(lead, { callsByLead });
+  const history = Array.isArray(lead.score_history) ? lead.score_history : [];
+  const last = history[history.length - 1];
+  const scoredAt = new Date().toISOString();
+
+  if (!last || last.score !== result.score || last.model_id !== result.model.id) {
+    history.push({
+      score: result.score,
+      model_id: result.model.id,
+      model_version: result.model.version,
+      campaign: result.model.campaign,
+      reason,
+      scored_at: scoredAt
+    });
+  }
+
+  lead.score = result.score;
+  lead.score_model_id = result.model.id;
+  lead.score_model_version = result.model.version;
+  lead.scored_at = scoredAt;
+  lead.score_history = history.slice(-SCORE_HISTORY_LIMIT);
+  return result;
+};
+
+/**
+ * Whether a model would score a lead once active
+ */
+const isInScope = (model, lead) => {
+  if (model.campaign) return sameCampaign(lead.campaign, model.campaign);
+  return !lead.campaign || !getActiveModel(lead.campaign);
+};
+
+/**
+ * Make a version live, retire the previous one and rescore the leads it covers
+ * @returns {Object|null} { model, previous_model, rescored }
+ */
+const activateScoringModel = async (modelId, { userId = 'system' } = {}) => {
+  await loadScoringModels();
+  const row = await LeadScoringModel.findByPk(modelId);
+  if (!row) return null;
+  if (row.status === 'active') throw new Error('Scoring model is already active');
+
+  const now = new Date();
+  const previousRow = await sequelize.transaction(async (transaction) => {
+    const current = await LeadScoringModel.findOne({
+      where: { campaign: row.campaign, status: 'active' },
+      transaction
+    });
+    if (current) {
+      await current.update({ status: 'retired', retiredAt: now }, { transaction });
+    }
+    await row.update({ status: 'active', activatedAt: now, activatedBy: userId }, { transaction });
+    return current;
+  });
+
+  const previous = previousRow ? cacheModel(previousRow) : null;
+  const model = cacheModel(row);
+
+  const callsByLead = buildCallIndex();
+  let rescored = 0;
+  leads.forEach(lead => {
+    if (!lead.deleted_at && getModelForLead(lead).id === model.id) {
+      rescoreLead(lead, { reason: `model_activated:v${model.version}`, callsByLead });
+      rescored++;
+    }
+  });
+
+  return { model, previous_model: previous ? summarizeModel(previous) : null, rescored };
+};
+
+const sampleLeads = (list, size) => {
+  const pool = [...list];
+  for (let i = 0; i < Math.min(size, pool.length); i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+};
+
+/**
+ * Score a sample of leads under a draft next to their current model, without saving
+ * @param {string} modelId - Model to try (any status)
+ * @param {Object} options - { leadIds, sampleSize }
+ * @returns {Object|null} Per-lead comparison and summary
+ */
+const dryRunScoringModel = async (modelId, { leadIds, sampleSize = DEFAULT_DRY_RUN_SAMPLE } = {}) => {
+  const model = await getScoringModel(modelId);
+  if (!model) return null;
+
+  const size = Math.min(Math.max(parseInt(sampleSize) || DEFAULT_DRY_RUN_SAMPLE, 1), MAX_DRY_RUN_SAMPLE);
+  const sample = leadIds
+    ? leadIds.map(id => leads.find(lead => String(lead.id) === String(id))).filter(lead => lead && !lead.deleted_at)
+    : sampleLeads(leads.filter(lead => !lead.deleted_at && isInScope(model, lead)), size);
+
+  const callsByLead = buildCallIndex();
+  const results = sample.map(lead => {
+    const current = scoreLead(lead, { callsByLead });
+    const draft = scoreLead(lead, { model, callsByLead });
+    return {
+      lead_id: lead.id,
+      name: lead.name,
+      current_score: current.score,
+      current_model_version: current.model.version,
+      current_model_campaign: current.model.campaign,
+      draft_score: draft.score,
+      delta: draft.score - current.score,
+      draft_categories: draft.categories
+    };
+  });
+
+  const average = (values) =>
+    values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : 0;
+
+  return {
+    model: summarizeModel(model),
+    sample_size: results.length,
+    summary: {
+      average_current_score: average(results.map(r => r.current_score)),
+      average_draft_score: average(results.map(r => r.draft_score)),
+      average_delta: average(results.map(r => r.delta)),
+      increased: results.filter(r => r.delta > 0).length,
+      decreased: results.filter(r => r.delta < 0).length,
+      unchanged: results.filter(r => r.delta === 0).length
+    },
+    leads: results.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+  };
+};
+
+/**
+ * Explain a lead's stored score with the model version that produced it
+ * @returns {Object} Breakdown under that version, plus the active model's score if it differs
+ */
+const explainLeadScore = (lead) => {
+  const producedBy = lead.score_model_id ? findModel(lead.score_model_id) : null;
+  const active = getModelForLead(lead);
+  const explained = scoreLead(lead, { model: producedBy || active });
+
+  return {
+    ...explained,
+    stored_score: lead.score !== undefined ? lead.score : null,
+    scored_at: lead.scored_at || null,
+    active_model: producedBy && producedBy.id !== active.id
+      ? { ...summarizeModel(active), score: scoreLead(lead, { model: active }).score }
+      : null,
+    score_history: lead.score_history || []
+  };
+};
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  RULE_TYPES,
+  validateScoringModel,
+  loadScoringModels,
+  listScoringModels,
+  getScoringModel,
+  getActiveModel,
+  getModelForLead,
+  createScoringModel,
+  updateScoringModel,
+  activateScoringModel,
+  scoreLead,
+  rescoreLead,
+  dryRunScoringModel,
+  explainLeadScore
+};
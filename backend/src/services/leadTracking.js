@@ -9,8 +9,8 @@ const path = require('path');
 // In-memory storage for activities (in production, use database)
 let leadActivities = [];
 
-// Initialize activities file path
-const ACTIVITIES_FILE = path.join(__dirname, '../data/leadActivities.json');
+// Initialize activities file path; LEAD_ACTIVITIES_FILE moves it (tests use a temp file)
+const ACTIVITIES_FILE = process.env.LEAD_ACTIVITIES_FILE || path.join(__dirname, '../data/leadActivities.json');
 
 /**
  * Initialize activities data
@@ -45,6 +45,8 @@ const saveActivities = async () => {
  * @param {string} userId - User who performed the activity
  */
 const logLeadActivity = async (leadId, activityType, data = {}, userId = 'system') => {
+  await activitiesLoaded;
+  
   const activity = {
     id: `activity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     lead_id: leadId,
@@ -67,6 +69,32 @@ const logLeadActivity = async (leadId, activityType, data = {}, userId = 'system
   return activity;
 };
 
+/**
+ * Move activities from one lead to another (used by lead merges and their undo)
+ * @param {string} fromLeadId - Lead the activities currently belong to
+ * @param {string} toLeadId - Lead to move them to
+ * @param {Array} activityIds - Only move these activities (default: all of fromLeadId's)
+ * @returns {Array} IDs of the moved activities
+ */
+const reassignLeadActivities = async (fromLeadId, toLeadId, activityIds = null) => {
+  await activitiesLoaded;
+  
+  const only = activityIds ? new Set(activityIds) : null;
+  const moved = [];
+  
+  leadActivities.forEach(activity => {
+    if (String(activity.lead_id) !== String(fromLeadId)) return;
+    if (only && !only.has(activity.id)) return;
+    activity.lead_id = toLeadId;
+    moved.push(activity.id);
+  });
+  
+  if (moved.length > 0) {
+    await saveActivities();
+  }
+  return moved;
+};
+
 /**
  * Get lead timeline with all activities
  * @param {string} leadId - Lead ID
@@ -120,6 +148,30 @@ const getLeadTimeline = (leadId, options = {}) => {
   }));
 };
 
+/**
+ * Get activities for many leads at once, oldest first (used by journey and attribution analytics)
+ * @param {Array} leadIds - Lead IDs
+ * @param {Array} activityTypes - Only these activity types (default: all)
+ * @returns {Promise<Map>} Lead ID => activities
+ */
+const getActivitiesByLead = async (leadIds, activityTypes = null) => {
+  await activitiesLoaded;
+
+  const wanted = new Set(leadIds.map(String));
+  const byLead = new Map();
+
+  leadActivities.forEach(activity => {
+    const leadId = String(activity.lead_id);
+    if (!wanted.has(leadId)) return;
+    if (activityTypes && !activityTypes.includes(activity.activity_type)) return;
+    if (!byLead.has(leadId)) byLead.set(leadId, []);
+    byLead.get(leadId).push(activity);
+  });
+
+  byLead.forEach(activities => activities.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+  return byLead;
+};
+
 /**
  * Get human-readable description for activity
  * @param {Object} activity - Activity object
@@ -193,6 +245,9 @@ const getActivityDescription = (activity) => {
     case 'merged':
       return `Lead merged with ${data.target_lead_id}`;
     
+    case 'merge_reverted':
+      return `Merge with lead ${data.source_lead_id} reverted`;
+    
     case 'enrichment_completed':
       return `Data enrichment completed: ${data.fields_enriched || 0} fields updated`;
     
@@ -262,6 +317,7 @@ const getActivityCategory = (activityType) => {
     score_updated: 'data_management',
     duplicate_detected: 'data_management',
     merged: 'data_management',
+    merge_reverted: 'data_management',
     enrichment_completed: 'data_management',
     
     // Campaigns
@@ -394,12 +450,15 @@ const getBulkActivityStats = (leadIds, days = 30) => {
   return stats;
 };
 
-// Initialize activities on module load
-initializeActivities().catch(console.error);
+// Initialize activities on module load; writers wait for it so the file load
+// cannot replace activities recorded in the meantime
+const activitiesLoaded = initializeActivities().catch(console.error);
 
 module.exports = {
   logLeadActivity,
+  reassignLeadActivities,
   getLeadTimeline,
+  getActivitiesByLead,
   getLeadActivityStats,
   getBulkActivityStats,
   getActivityDescription,
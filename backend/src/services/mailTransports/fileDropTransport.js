@@ -0,0 +1,31 @@
+/**
+ * File-Drop Mail Transport
+ * Writes each message as an .eml file instead of sending it, for local development.
+ * The files open in any mail client, attachments included.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const createFileDropTransport = ({ directory }) => {
+  // Builds the raw RFC 822 message without delivering it
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      const id = info.messageId.replace(/[<>]/g, '').replace(/[^a-zA-Z0-9.-]+/g, '_');
+      const location = path.join(directory, `${Date.now()}_${id}.eml`);
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(location, info.message);
+
+      return { messageId: info.messageId, accepted: info.envelope.to, location };
+    }
+  };
+};
+
+module.exports = { createFileDropTransport };
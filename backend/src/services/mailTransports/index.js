@@ -0,0 +1,39 @@
+/**
+ * Mail Transports
+ *
+ * A transport is a plain object:
+ *   name            - reported on every report run it delivers
+ *   send(message)   - delivers a nodemailer-style message
+ *                     ({ from, to, subject, text, html, attachments }) and resolves
+ *                     { messageId, accepted, ...transport details }
+ */
+
+const path = require('path');
+const { createFileDropTransport } = require('./fileDropTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+
+const DEFAULT_OUTBOX = path.join(__dirname, '../../../outbox');
+
+/**
+ * Transport configured through the environment; SMTP when MAIL_TRANSPORT=smtp,
+ * otherwise messages are dropped into MAIL_OUTBOX_DIR
+ */
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  return createFileDropTransport({ directory: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX });
+};
+
+module.exports = {
+  createDefaultTransport,
+  createFileDropTransport,
+  createSmtpTransport
+};
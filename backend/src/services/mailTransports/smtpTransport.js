@@ -0,0 +1,26 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages through an SMTP relay using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,285 @@
+/**
+ * Meeting Invite Service
+ * Emails follow-up meetings to leads as iTIP invites (.ics attached) and tracks their RSVP,
+ * either from the accept/decline links in the email or from the REPLY their calendar client
+ * sends back. Email goes out through the notification email channel.
+ */
+
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { MeetingInvite } = require('../database/models');
+const { RSVP_RESPONSES } = require('../database/models/MeetingInvite');
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+const { isValidTimeZone } = require('../utils/timeZones');
+const followupService = require('./followupService');
+const notificationService = require('./notificationService');
+const icsService = require('./icsService');
+
+const MINUTE_MS = 60 * 1000;
+const RSVP_LABELS = { accepted: 'Yes', tentative: 'Maybe', declined: 'No' };
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const getLeadName = (lead) =>
+  (lead && (lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' '))) || null;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatWhen = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+}).format(new Date(date));
+
+const formatAddress = (email, name) => (name ? `"${name.replace(/"/g, '\'')}" <${email}>` : email);
+
+class MeetingInviteService extends EventEmitter {
+  getPublicUrl() {
+    return (process.env.CALENDAR_PUBLIC_URL || 'http://localhost:3001/api/calendar').replace(/\/$/, '');
+  }
+
+  /**
+   * Invite the follow-up's lead (or another attendee); re-inviting the same address re-sends
+   * the open invite with a new SEQUENCE and new links
+   * @param {Object} organizer - req.user; replies go to their email
+   * @param {Object} options - { attendeeEmail, attendeeName, location, message }
+   * @returns {Promise<Object>} The invite; lastError is set when the email failed
+   */
+  async sendInvite(followup, organizer, { attendeeEmail, attendeeName, location, message } = {}) {
+    if (CLOSED_STATUSES.includes(followup.status)) {
+      throw validationError(`Cannot invite to a ${followup.status} follow-up`);
+    }
+    if (!organizer?.email) {
+      throw validationError('The organizer needs an email address');
+    }
+
+    const lead = await followupService.findLead(followup.leadId);
+    const email = String(attendeeEmail || lead?.email || '').trim().toLowerCase();
+    if (!email) {
+      throw validationError('Lead has no email address');
+    }
+
+    let invite = await MeetingInvite.findOne({
+      where: { followupId: followup.id, attendeeEmail: email, status: { [Op.ne]: 'cancelled' } }
+    });
+
+    if (invite) {
+      invite.sequence += 1;
+    } else {
+      invite = MeetingInvite.build({
+        followupId: followup.id,
+        leadId: String(followup.leadId),
+        userId: String(organizer.id),
+        organizerEmail: organizer.email,
+        organizerName: organizer.name || null,
+        uid: icsService.buildUid('meeting', followup.id),
+        attendeeEmail: email,
+        attendeeName: attendeeName || getLeadName(lead)
+      });
+    }
+
+    return this.send(invite, followup, 'REQUEST', { location, message });
+  }
+
+  /**
+   * Re-send open invites after a follow-up moves; attendees have to confirm the new time
+   * @returns {Promise<Array<Object>>} The updated invites
+   */
+  async updateInvites(followup) {
+    const invites = await MeetingInvite.findAll({
+      where: { followupId: followup.id, status: { [Op.ne]: 'cancelled' } }
+    });
+
+    const updated = [];
+    for (const invite of invites) {
+      invite.sequence += 1;
+      invite.status = 'needs_action';
+      invite.responseSource = null;
+      invite.respondedAt = null;
+      updated.push(await this.send(invite, followup, 'REQUEST'));
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel the open invites for a follow-up, or just one of them
+   * @returns {Promise<Array<Object>>} The cancelled invites
+   */
+  async cancelInvites(followup, inviteId = null) {
+    const where = { followupId: followup.id, status: { [Op.ne]: 'cancelled' } };
+    if (inviteId) where.id = inviteId;
+
+    const invites = await MeetingInvite.findAll({ where });
+
+    const cancelled = [];
+    for (const invite of invites) {
+      invite.sequence += 1;
+      invite.status = 'cancelled';
+      invite.cancelledAt = new Date();
+      cancelled.push(await this.send(invite, followup, 'CANCEL'));
+    }
+    return cancelled;
+  }
+
+  /**
+   * Record a response from an RSVP link
+   * @returns {Promise<Object|null>} The invite (unchanged if cancelled), or null for an unknown token
+   */
+  async recordRsvp(token, response) {
+    if (!RSVP_RESPONSES.includes(response)) {
+      throw validationError(`response must be one of ${RSVP_RESPONSES.join(', ')}`);
+    }
+
+    const invite = await MeetingInvite.findOne({ where: { rsvpTokenHash: icsService.hashToken(token) } });
+    if (!invite || invite.status === 'cancelled') return invite;
+
+    await invite.respond(response, 'link');
+    this.emit('inviteResponded', { invite, response, source: 'link' });
+    return invite;
+  }
+
+  /**
+   * Apply an iTIP REPLY forwarded from the organizer's mailbox; replies to an older SEQUENCE
+   * than the last invite sent are ignored
+   * @returns {Promise<Object>} { uid, updated }
+   */
+  async processReply(text) {
+    const reply = icsService.parseReply(text);
+    if (!reply || !reply.uid) {
+      throw validationError('Body must be an iCalendar REPLY');
+    }
+
+    let updated = 0;
+    for (const attendee of reply.attendees) {
+      if (!RSVP_RESPONSES.includes(attendee.partstat)) continue;
+
+      const invite = await MeetingInvite.findOne({
+        where: { uid: reply.uid, attendeeEmail: attendee.email, status: { [Op.ne]: 'cancelled' } }
+      });
+      if (!invite || reply.sequence < invite.sequence) continue;
+
+      await invite.respond(attendee.partstat, 'email');
+      this.emit('inviteResponded', { invite, response: attendee.partstat, source: 'email' });
+      updated++;
+    }
+
+    return { uid: reply.uid, updated };
+  }
+
+  getInvites(followupId) {
+    return MeetingInvite.findAll({
+      where: { followupId },
+      attributes: { exclude: ['rsvpTokenHash'] },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Build the iCalendar object and email it. Every send gets a fresh RSVP token, so links in
+   * earlier emails for the same invite stop working.
+   */
+  async send(invite, followup, method, { location, message } = {}) {
+    const { token, tokenHash } = icsService.generateToken();
+    invite.rsvpTokenHash = tokenHash;
+
+    const startTime = new Date(followup.scheduledFor);
+    const ics = icsService.buildCalendar([{
+      uid: invite.uid,
+      title: followup.title,
+      description: message || followup.description,
+      location: location || followup.metadata?.location,
+      startTime,
+      endTime: new Date(startTime.getTime() + (followup.duration || 30) * MINUTE_MS),
+      sequence: invite.sequence,
+      status: method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED',
+      organizer: { email: invite.organizerEmail, name: invite.organizerName },
+      attendees: [{
+        email: invite.attendeeEmail,
+        name: invite.attendeeName,
+        partstat: method === 'CANCEL' ? 'needs_action' : invite.status
+      }]
+    }], { method });
+
+    const content = this.buildEmail(invite, followup, method, token, message);
+    const result = await notificationService.getChannels().email.send({
+      to: formatAddress(invite.attendeeEmail, invite.attendeeName),
+      replyTo: formatAddress(invite.organizerEmail, invite.organizerName),
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      template: 'meeting-invite',
+      icalEvent: { method, filename: 'invite.ics', content: ics },
+      attachments: [{
+        filename: 'invite.ics',
+        content: ics,
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+      }]
+    });
+
+    if (result.success) {
+      invite.sentAt = new Date();
+      invite.providerMessageId = result.messageId || null;
+      invite.lastError = null;
+    } else {
+      invite.lastError = result.error;
+      console.warn(`Meeting invite ${invite.uid} to ${invite.attendeeEmail} failed: ${result.error}`);
+    }
+
+    return invite.save();
+  }
+
+  buildEmail(invite, followup, method, token, message) {
+    const when = formatWhen(followup.scheduledFor, followup.timezone);
+    const organizerName = invite.organizerName || invite.organizerEmail;
+    const duration = followup.duration || 30;
+
+    if (method === 'CANCEL') {
+      return {
+        subject: `Cancelled: ${followup.title} @ ${when}`,
+        text: `${organizerName} cancelled "${followup.title}" scheduled for ${when}.`,
+        html: `<p>${escapeHtml(organizerName)} cancelled <strong>${escapeHtml(followup.title)}</strong> scheduled for ${escapeHtml(when)}.</p>`
+      };
+    }
+
+    const links = RSVP_RESPONSES.map(response => ({
+      label: RSVP_LABELS[response],
+      url: `${this.getPublicUrl()}/invites/rsvp/${token}?response=${response}`
+    }));
+    const details = message || followup.description;
+
+    return {
+      subject: `${invite.sequence > 0 ? 'Updated invitation' : 'Invitation'}: ${followup.title} @ ${when}`,
+      text: [
+        `${organizerName} invited you to "${followup.title}" on ${when} (${duration} minutes).`,
+        details,
+        'Will you attend?',
+        ...links.map(link => `${link.label}: ${link.url}`)
+      ].filter(Boolean).join('\n\n'),
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px;">
+          <p>${escapeHtml(organizerName)} invited you to <strong>${escapeHtml(followup.title)}</strong></p>
+          <p><strong>When:</strong> ${escapeHtml(when)} (${duration} minutes)</p>
+          ${details ? `<p>${escapeHtml(details)}</p>` : ''}
+          <p>Will you attend?
+            ${links.map(link => `<a href="${link.url}" style="margin-right: 12px;">${link.label}</a>`).join('')}
+          </p>
+        </div>
+      `
+    };
+  }
+}
+
+module.exports = new MeetingInviteService();
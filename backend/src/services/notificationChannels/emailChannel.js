@@ -0,0 +1,42 @@
+/**
+ * Email Channel
+ * Sends reminder email through a mail transport (see mailTransports) and sorts failures
+ * into ones worth retrying and ones that are final
+ */
+
+// Connection-level failures worth another attempt; SMTP replies are judged by their code
+const RETRYABLE_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET'];
+
+const createEmailChannel = ({ transport, from }) => ({
+  name: 'email',
+
+  /**
+   * @param {Object} message - { to, subject, html, text, template, replyTo, attachments, icalEvent }
+   *   icalEvent is nodemailer's text/calendar alternative, which mail clients show as an invite
+   * @returns {Promise<Object>} { success, messageId, transport } or { success: false, error, retryable, transport }
+   */
+  async send({ to, subject, html, text, template, replyTo, attachments, icalEvent }) {
+    try {
+      const info = await transport.send({
+        from,
+        to,
+        replyTo,
+        subject,
+        html,
+        text,
+        attachments,
+        icalEvent,
+        headers: template ? { 'X-Notification-Template': template } : undefined
+      });
+      return { success: true, messageId: info.messageId, transport: transport.name };
+    } catch (error) {
+      // 4xx SMTP replies are temporary (mailbox busy, greylisting); 5xx are permanent
+      const retryable = error.responseCode
+        ? error.responseCode < 500
+        : RETRYABLE_ERROR_CODES.includes(error.code);
+      return { success: false, error: error.message, retryable, transport: transport.name };
+    }
+  }
+});
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,82 @@
+/**
+ * Notification Channels
+ *
+ * A channel is a plain object:
+ *   name            - email, sms or push
+ *   send(message)   - never throws; resolves { success, messageId, transport } or
+ *                     { success: false, error, retryable, transport } so the caller can
+ *                     decide whether to try again
+ *
+ * Each channel sends through a provider transport when one is configured, otherwise through
+ * the outbox (email uses the mail file drop, SMS and push append to NOTIFICATION_OUTBOX_DIR)
+ */
+
+const path = require('path');
+const { createDefaultTransport } = require('../mailTransports');
+const { createEmailChannel } = require('./emailChannel');
+const { createSmsChannel, createTwilioSmsTransport } = require('./smsChannel');
+const { createPushChannel, createWebPushTransport } = require('./pushChannel');
+const { createOutboxTransport } = require('./outboxTransport');
+
+const DEFAULT_OUTBOX = path.join(__dirname, '../../../outbox');
+const DEFAULT_FROM = 'Cold Calling Dashboard <no-reply@example.com>';
+
+const getOutboxDirectory = () =>
+  process.env.NOTIFICATION_OUTBOX_DIR || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX;
+
+const createDefaultSmsTransport = () => {
+  const hasCredentials = Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+  if ((process.env.SMS_TRANSPORT || (hasCredentials ? 'twilio' : 'outbox')) !== 'twilio') {
+    return createOutboxTransport({ channel: 'sms', directory: getOutboxDirectory() });
+  }
+
+  return createTwilioSmsTransport({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+    from: process.env.TWILIO_SMS_FROM || process.env.TWILIO_PHONE_NUMBER,
+    statusCallback: process.env.TWILIO_SMS_STATUS_WEBHOOK_URL || undefined
+  });
+};
+
+const createDefaultPushTransport = () => {
+  const hasKeys = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  if ((process.env.PUSH_TRANSPORT || (hasKeys ? 'webpush' : 'outbox')) !== 'webpush') {
+    const outbox = createOutboxTransport({ channel: 'push', directory: getOutboxDirectory() });
+    // Only the endpoint is recorded; the subscription keys stay out of the outbox file
+    return {
+      name: outbox.name,
+      send: ({ subscription, payload }) => outbox.send({ endpoint: subscription.endpoint, payload })
+    };
+  }
+
+  return createWebPushTransport({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@example.com'
+  });
+};
+
+/**
+ * Channels configured through the environment
+ * @returns {Object} { email, sms, push }
+ */
+const createDefaultChannels = () => ({
+  email: createEmailChannel({
+    transport: createDefaultTransport(),
+    from: process.env.MAIL_FROM || DEFAULT_FROM
+  }),
+  sms: createSmsChannel({ transport: createDefaultSmsTransport() }),
+  push: createPushChannel({
+    transport: createDefaultPushTransport(),
+    publicKey: process.env.VAPID_PUBLIC_KEY || null
+  })
+});
+
+module.exports = {
+  createDefaultChannels,
+  createEmailChannel,
+  createSmsChannel,
+  createPushChannel,
+  createOutboxTransport
+};
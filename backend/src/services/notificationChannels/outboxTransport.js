@@ -0,0 +1,47 @@
+/**
+ * Outbox Transport
+ * Local stand-in for the SMS and push providers: each message is appended as a JSON line
+ * to <directory>/<channel>.jsonl, so reminders can be developed and tested without
+ * Twilio or VAPID credentials.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const createOutboxTransport = ({ channel, directory }) => {
+  const location = path.join(directory, `${channel}.jsonl`);
+
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      const entry = {
+        id: `outbox_${crypto.randomUUID()}`,
+        channel,
+        createdAt: new Date().toISOString(),
+        message
+      };
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.appendFile(location, `${JSON.stringify(entry)}\n`);
+
+      return { messageId: entry.id, location };
+    },
+
+    /**
+     * What was "sent", oldest first
+     */
+    async read() {
+      try {
+        const contents = await fs.readFile(location, 'utf8');
+        return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createOutboxTransport };
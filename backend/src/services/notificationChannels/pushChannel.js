@@ -0,0 +1,80 @@
+/**
+ * Push Channel
+ * Sends Web Push (VAPID) notifications to every browser a user subscribed, or to any
+ * transport with send({ subscription, payload, ttl, urgency })
+ */
+
+// Push services answer these once a browser has unsubscribed or the subscription expired
+const GONE_STATUS_CODES = [404, 410];
+const DEFAULT_TTL_SECONDS = 60 * 60 * 4;
+
+/**
+ * @param {Object} config - { publicKey, privateKey, subject }
+ */
+const createWebPushTransport = ({ publicKey, privateKey, subject }) => {
+  const webpush = require('web-push');
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'webpush',
+
+    async send({ subscription, payload, ttl, urgency }) {
+      const response = await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: ttl, urgency });
+      return { statusCode: response.statusCode };
+    }
+  };
+};
+
+const createPushChannel = ({ transport, publicKey = null }) => ({
+  name: 'push',
+  publicKey,
+
+  /**
+   * @param {Object} message - { subscriptions: [{ id, endpoint, keys }], payload, ttl, urgency }
+   *   payload is { title, body, data, actions } as read by the service worker
+   * @returns {Promise<Object>} { success, delivered, gone, failed, error, retryable, transport }
+   *   where gone and failed list subscription ids
+   */
+  async send({ subscriptions, payload, ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' }) {
+    const delivered = [];
+    const gone = [];
+    const failed = [];
+    const errors = [];
+    let retryable = false;
+
+    for (const subscription of subscriptions) {
+      try {
+        await transport.send({
+          subscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+          payload,
+          ttl,
+          urgency
+        });
+        delivered.push(subscription.id);
+      } catch (error) {
+        if (GONE_STATUS_CODES.includes(error.statusCode)) {
+          gone.push(subscription.id);
+          continue;
+        }
+        failed.push(subscription.id);
+        errors.push(error.message);
+        retryable = retryable || !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+      }
+    }
+
+    return {
+      success: delivered.length > 0,
+      delivered,
+      gone,
+      failed,
+      error: delivered.length > 0 ? null : errors[0] || 'All push subscriptions have expired',
+      retryable,
+      transport: transport.name
+    };
+  }
+});
+
+module.exports = {
+  createPushChannel,
+  createWebPushTransport
+};
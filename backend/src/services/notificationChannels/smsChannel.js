@@ -0,0 +1,50 @@
+/**
+ * SMS Channel
+ * Sends reminder texts through Twilio Messaging, or any transport with send({ to, body })
+ */
+
+// Twilio rejects message bodies longer than this (10 concatenated segments)
+const MAX_BODY_LENGTH = 1600;
+
+/**
+ * @param {Object} config - { accountSid, authToken, messagingServiceSid, from, statusCallback }
+ *   messagingServiceSid wins over a single from number
+ */
+const createTwilioSmsTransport = ({ accountSid, authToken, messagingServiceSid, from, statusCallback }) => {
+  const client = require('twilio')(accountSid, authToken);
+  const sender = messagingServiceSid ? { messagingServiceSid } : { from };
+
+  return {
+    name: 'twilio',
+
+    async send({ to, body }) {
+      const message = await client.messages.create({ to, body, ...sender, statusCallback });
+      return { messageId: message.sid, status: message.status };
+    }
+  };
+};
+
+const createSmsChannel = ({ transport }) => ({
+  name: 'sms',
+
+  /**
+   * @param {Object} message - { to, message }
+   * @returns {Promise<Object>} { success, messageId, transport } or { success: false, error, retryable, transport }
+   */
+  async send({ to, message }) {
+    try {
+      const info = await transport.send({ to, body: String(message || '').slice(0, MAX_BODY_LENGTH) });
+      return { success: true, messageId: info.messageId, transport: transport.name };
+    } catch (error) {
+      // Twilio answers bad numbers and opted-out recipients with 4xx; rate limits and outages are worth retrying
+      const retryable = !error.status || error.status === 429 || error.status >= 500;
+      return { success: false, error: error.message, retryable, transport: transport.name };
+    }
+  }
+});
+
+module.exports = {
+  createSmsChannel,
+  createTwilioSmsTransport,
+  MAX_BODY_LENGTH
+};
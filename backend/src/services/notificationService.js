@@ -0,0 +1,428 @@
+/**
+ * Notification Service
+ * Sends follow-up reminders on email, SMS, Web Push and the desktop (WebSocket). Every
+ * channel gets a delivery record: quiet hours defer it, failures retry with backoff, and
+ * what was finally sent or given up on can be listed and retried by hand.
+ */
+
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { NotificationDelivery, NotificationSetting, PushSubscription, Followup } = require('../database/models');
+const { NOTIFICATION_CHANNELS, DELIVERY_STATUSES, RETRYABLE_STATUSES } = require('../database/models/NotificationDelivery');
+const { MAX_REMINDER_LEAD_MINUTES } = require('../database/models/NotificationSetting');
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+const followupService = require('./followupService');
+const { createDefaultChannels } = require('./notificationChannels');
+
+const MINUTE_MS = 60 * 1000;
+const SETTING_FIELDS = [
+  'email', 'phone', 'reminderChannels', 'reminderLeadMinutes',
+  'timeZone', 'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd', 'quietChannels'
+];
+const MAX_PAGE_SIZE = 100;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const getLeadName = (lead) =>
+  (lead && (lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.company)) || 'your lead';
+
+const formatTime = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+}).format(new Date(date));
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class NotificationService extends EventEmitter {
+  constructor() {
+    super();
+    this.channels = null;
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 4;
+    this.intervalSeconds = parseFloat(process.env.NOTIFICATION_PROCESS_INTERVAL_SECONDS) || 60;
+    this.scheduleInterval = null;
+    this.processing = false;
+  }
+
+  getChannels() {
+    if (!this.channels) {
+      this.channels = createDefaultChannels();
+    }
+    return this.channels;
+  }
+
+  /**
+   * Replace the channels (see notificationChannels for the interface)
+   */
+  setChannels(channels) {
+    this.channels = channels;
+  }
+
+  /**
+   * A user's settings, or unsaved defaults when they never changed any
+   */
+  async getSettings(userId) {
+    const setting = await NotificationSetting.findOne({ where: { userId: String(userId) } });
+    return setting || NotificationSetting.build({ userId: String(userId) });
+  }
+
+  /**
+   * @param {Object} user - req.user; its email is the default reminder address
+   * @param {Object} data - Any of SETTING_FIELDS
+   */
+  async updateSettings(user, data = {}) {
+    const setting = await this.getSettings(user.id);
+    if (setting.isNewRecord && !setting.email && user.email) {
+      setting.email = user.email;
+    }
+    SETTING_FIELDS.forEach(field => {
+      if (data[field] !== undefined) setting[field] = data[field];
+    });
+    return setting.save();
+  }
+
+  getPushPublicKey() {
+    return this.getChannels().push.publicKey || null;
+  }
+
+  /**
+   * Save a browser's PushSubscription (re-subscribing the same endpoint moves it to this user)
+   * @param {Object} subscription - PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+   */
+  async subscribePush(userId, subscription, userAgent = null) {
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      throw validationError('subscription.endpoint and subscription.keys (p256dh, auth) are required');
+    }
+
+    const fields = { userId: String(userId), keys: subscription.keys, userAgent, failureCount: 0 };
+    const existing = await PushSubscription.findOne({ where: { endpoint: subscription.endpoint } });
+    if (existing) {
+      return existing.update(fields);
+    }
+    return PushSubscription.create({ ...fields, endpoint: subscription.endpoint });
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a subscription was removed
+   */
+  async unsubscribePush(userId, endpoint) {
+    const removed = await PushSubscription.destroy({ where: { userId: String(userId), endpoint } });
+    return removed > 0;
+  }
+
+  /**
+   * Record a delivery for one channel and attempt it
+   * @param {Object} options - { userId, channel, type, payload, followupId, at }
+   * @returns {Promise<NotificationDelivery>} Sent, deferred, retrying, skipped or failed
+   */
+  async deliver({ userId, channel, type, payload, followupId = null, at = new Date() }) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw validationError(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+
+    const setting = await this.getSettings(userId);
+    const recipients = { email: setting.email, sms: setting.phone };
+    const delivery = await NotificationDelivery.create({
+      userId: String(userId),
+      channel,
+      notificationType: type,
+      followupId,
+      recipient: recipients[channel] || null,
+      payload,
+      maxAttempts: this.maxAttempts,
+      history: []
+    });
+
+    return this.attemptDelivery(delivery, at, setting);
+  }
+
+  /**
+   * Send a delivery unless the user's quiet hours hold it back, then record the outcome
+   */
+  async attemptDelivery(delivery, now = new Date(), setting = null) {
+    const settings = setting || await this.getSettings(delivery.userId);
+    const quietUntil = settings.getQuietHoursEnd(delivery.channel, now);
+    if (quietUntil) {
+      delivery.defer(quietUntil, 'quiet_hours');
+      return delivery.save();
+    }
+
+    let result;
+    try {
+      result = await this.sendThroughChannel(delivery);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    delivery.recordAttempt(result, now);
+    await delivery.save();
+
+    if (delivery.status === 'failed') {
+      console.warn(`Gave up on ${delivery.channel} delivery ${delivery.id} after ${delivery.attempts} attempt(s): ${delivery.lastError}`);
+    }
+    return delivery;
+  }
+
+  /**
+   * Hand a delivery's payload to its channel
+   */
+  async sendThroughChannel(delivery) {
+    const { channel, payload, recipient } = delivery;
+
+    if ((channel === 'email' || channel === 'sms') && !recipient) {
+      return {
+        success: false,
+        skipped: true,
+        reason: 'no_recipient',
+        error: `No ${channel === 'email' ? 'email address' : 'phone number'} in the user's notification settings`
+      };
+    }
+
+    switch (channel) {
+      case 'email':
+        return this.getChannels().email.send({ to: recipient, ...payload });
+      case 'sms':
+        return this.getChannels().sms.send({ to: recipient, message: payload.message });
+      case 'push':
+        return this.sendPush(delivery.userId, payload);
+      default:
+        // Shown by the client; server.js relays this event over the WebSocket
+        this.emit('desktopNotification', { userId: delivery.userId, notification: payload });
+        return { success: true, transport: 'websocket' };
+    }
+  }
+
+  /**
+   * Push to every browser the user subscribed; expired subscriptions are removed
+   */
+  async sendPush(userId, payload) {
+    const subscriptions = await PushSubscription.findAll({ where: { userId: String(userId) } });
+    if (subscriptions.length === 0) {
+      return {
+        success: false,
+        skipped: true,
+        reason: 'no_subscriptions',
+        error: 'User has no push subscriptions'
+      };
+    }
+
+    const result = await this.getChannels().push.send({ subscriptions, payload });
+    if (result.gone.length > 0) {
+      await PushSubscription.destroy({ where: { id: result.gone } });
+    }
+    if (result.failed.length > 0) {
+      await PushSubscription.increment('failureCount', { where: { id: result.failed } });
+    }
+    if (result.delivered.length > 0) {
+      await PushSubscription.update(
+        { lastSuccessAt: new Date(), failureCount: 0 },
+        { where: { id: result.delivered } }
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Attempt deliveries whose quiet hours have ended or whose retry is due
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async processDueDeliveries(now = new Date()) {
+    const due = await NotificationDelivery.findDue(now);
+
+    for (const delivery of due) {
+      try {
+        await this.attemptDelivery(delivery, now);
+      } catch (error) {
+        console.error(`Failed to retry notification delivery ${delivery.id}:`, error.message);
+      }
+    }
+    return due.length;
+  }
+
+  /**
+   * Try a failed or skipped delivery once more; a further failure is final
+   * @returns {Promise<NotificationDelivery|null>} null when the delivery isn't the user's
+   */
+  async retryDelivery(deliveryId, userId) {
+    const delivery = await NotificationDelivery.findOne({ where: { id: deliveryId, userId: String(userId) } });
+    if (!delivery) return null;
+
+    if (!RETRYABLE_STATUSES.includes(delivery.status)) {
+      const error = new Error(`Only failed or skipped deliveries can be retried (status: ${delivery.status})`);
+      error.code = 'NOT_RETRYABLE';
+      throw error;
+    }
+
+    delivery.maxAttempts = delivery.attempts + 1;
+    return this.attemptDelivery(delivery);
+  }
+
+  /**
+   * A user's deliveries, newest first, without their payloads
+   * @param {Object} filters - { channel, status, followupId, page, limit }
+   */
+  async listDeliveries(userId, filters = {}) {
+    const where = { userId: String(userId) };
+    if (filters.channel) {
+      if (!NOTIFICATION_CHANNELS.includes(filters.channel)) {
+        throw validationError(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+      }
+      where.channel = filters.channel;
+    }
+    if (filters.status) {
+      if (!DELIVERY_STATUSES.includes(filters.status)) {
+        throw validationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+      where.status = filters.status;
+    }
+    if (filters.followupId) where.followupId = filters.followupId;
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const { rows, count } = await NotificationDelivery.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { deliveries: rows, total: count, page, limit };
+  }
+
+  /**
+   * What each channel says about an upcoming follow-up
+   */
+  buildReminderPayloads(followup, lead, timeZone) {
+    const leadName = getLeadName(lead);
+    const when = formatTime(followup.scheduledFor, timeZone);
+    const summary = `${followup.title} with ${leadName} at ${when}`;
+    const data = { type: 'followup_reminder', followupId: followup.id, leadId: followup.leadId };
+
+    return {
+      email: {
+        subject: `Follow-up reminder: ${followup.title}`,
+        text: `Reminder: ${summary}.${followup.description ? `\n\n${followup.description}` : ''}`,
+        html: [
+          `<p>Reminder: <strong>${escapeHtml(followup.title)}</strong> with ${escapeHtml(leadName)} at ${escapeHtml(when)}.</p>`,
+          followup.description ? `<p>${escapeHtml(followup.description)}</p>` : ''
+        ].join(''),
+        template: 'followup-reminder'
+      },
+      sms: { message: `Reminder: ${summary}` },
+      push: {
+        title: 'Follow-up reminder',
+        body: summary,
+        data,
+        actions: [
+          { action: 'view', title: 'View Follow-up' },
+          { action: 'complete', title: 'Mark Complete' }
+        ]
+      },
+      desktop: { title: 'Follow-up reminder', body: summary, data }
+    };
+  }
+
+  /**
+   * Deliver a follow-up's reminder on the owner's reminder channels
+   * @returns {Promise<Array>} The deliveries
+   */
+  async sendFollowupReminder(followup, now = new Date()) {
+    const setting = await this.getSettings(followup.userId);
+    const lead = await followupService.findLead(followup.leadId);
+    const payloads = this.buildReminderPayloads(followup, lead, setting.timeZone);
+
+    const deliveries = [];
+    for (const channel of setting.reminderChannels) {
+      deliveries.push(await this.deliver({
+        userId: followup.userId,
+        channel,
+        type: 'followup_reminder',
+        followupId: followup.id,
+        payload: payloads[channel],
+        at: now
+      }));
+    }
+
+    // Keyed by the scheduled time, so a rescheduled follow-up is reminded again
+    await followup.update({
+      metadata: { ...followup.metadata, reminderSentFor: new Date(followup.scheduledFor).toISOString() }
+    });
+    return deliveries;
+  }
+
+  /**
+   * Remind owners of open follow-ups that fall within their reminder lead time
+   * @returns {Promise<number>} Follow-ups reminded
+   */
+  async sendDueReminders(now = new Date()) {
+    const upcoming = await Followup.findAll({
+      where: {
+        status: { [Op.notIn]: CLOSED_STATUSES },
+        scheduledFor: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + MAX_REMINDER_LEAD_MINUTES * MINUTE_MS) }
+      },
+      order: [['scheduledFor', 'ASC']]
+    });
+
+    const settings = new Map();
+    let reminded = 0;
+    for (const followup of upcoming) {
+      if (followup.metadata?.reminderSentFor === new Date(followup.scheduledFor).toISOString()) continue;
+
+      if (!settings.has(followup.userId)) {
+        settings.set(followup.userId, await this.getSettings(followup.userId));
+      }
+      const leadMs = settings.get(followup.userId).reminderLeadMinutes * MINUTE_MS;
+      if (new Date(followup.scheduledFor).getTime() - now.getTime() > leadMs) continue;
+
+      try {
+        await this.sendFollowupReminder(followup, now);
+        reminded++;
+      } catch (error) {
+        console.error(`Failed to send reminder for follow-up ${followup.id}:`, error.message);
+      }
+    }
+    return reminded;
+  }
+
+  /**
+   * Send due reminders and retry held or failed deliveries every NOTIFICATION_PROCESS_INTERVAL_SECONDS
+   */
+  startSchedule() {
+    if (this.scheduleInterval) return;
+
+    const run = async () => {
+      // A slow run isn't started again on top of itself
+      if (this.processing) return;
+      this.processing = true;
+      try {
+        const reminded = await this.sendDueReminders();
+        const retried = await this.processDueDeliveries();
+        if (reminded > 0 || retried > 0) {
+          console.log(`Notifications: reminded ${reminded} follow-ups, retried ${retried} deliveries`);
+        }
+      } catch (error) {
+        console.error('Notification processing failed:', error.message);
+      } finally {
+        this.processing = false;
+      }
+    };
+    run();
+    this.scheduleInterval = setInterval(run, this.intervalSeconds * 1000);
+  }
+
+  stopSchedule() {
+    clearInterval(this.scheduleInterval);
+    this.scheduleInterval = null;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,414 @@
+/**
+ * Power Dialer Service
+ * Builds a score-ordered dial queue from a lead filter and walks an agent through it:
+ * hands out the next callable lead, logs each outcome as a CallLog and keeps
+ * per-session progress. Leads are re-checked when their turn comes, so anything
+ * flagged do-not-call, archived or called by someone else since the queue was
+ * built is skipped, as is any lead the call compliance check blocks right now
+ * (internal DNC list, outside local calling hours). "Called today" counts calls
+ * from every call log and uses the lead's local day.
+ */
+
+const { Op } = require('sequelize');
+const { Lead, CallLog, EnhancedCallLog, DialerSession } = require('../database/models');
+const { callLogs } = require('../data/dataStore');
+const callComplianceService = require('./callComplianceService');
+const { normalizePhoneKey } = require('./enrichmentProviders/phoneMetadataProvider');
+
+const DEFAULT_QUEUE_LIMIT = parseInt(process.env.DIALER_QUEUE_LIMIT) || 200;
+const DEFAULT_WRAP_UP_SECONDS = parseInt(process.env.DIALER_WRAP_UP_SECONDS) || 10;
+
+// Outcomes where a person picked up
+const CONNECTED_OUTCOMES = new Set(['connected', 'interested', 'not_interested', 'callback_requested', 'meeting_scheduled']);
+const CALL_OUTCOMES = ['connected', 'voicemail', 'no_answer', 'busy', 'failed', 'interested', 'not_interested', 'callback_requested', 'meeting_scheduled'];
+const STATUS_FOR_OUTCOME = { voicemail: 'voicemail', busy: 'busy', failed: 'failed' };
+
+// No time zone's current day started more than 26 hours ago
+const TODAY_LOOKBACK_MS = 26 * 60 * 60 * 1000;
+
+/**
+ * Calendar date of an instant in a time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const localDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const endOfDay = (now) => {
+  const day = new Date(now);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Normalise a saved filter; list fields accept arrays or comma-separated strings
+ */
+const normalizeFilter = (filter = {}) => ({
+  statuses: toList(filter.statuses || filter.status),
+  priorities: toList(filter.priorities || filter.priority),
+  tags: toList(filter.tags),
+  followUpDue: filter.followUpDue === true || filter.followUpDue === 'true',
+  assignedTo: filter.assignedTo || null,
+  minScore: filter.minScore !== undefined && filter.minScore !== null && filter.minScore !== ''
+    ? Number(filter.minScore)
+    : null
+});
+
+/**
+ * Ids of leads with an outbound call earlier on the lead's local day. Dialer calls
+ * are CallLogs, tracked calls (/api/enhanced-calls) are EnhancedCallLogs and calls
+ * logged by hand (/api/calls) are in the data store's call log.
+ * @param {Array} leads - Leads with id, phone and timeZone
+ */
+const getLeadsCalledToday = async (leads, now = new Date()) => {
+  if (leads.length === 0) return new Set();
+
+  const since = new Date(now.getTime() - TODAY_LOOKBACK_MS);
+  const where = {
+    leadId: { [Op.in]: leads.map(lead => lead.id) },
+    direction: 'outbound',
+    initiatedAt: { [Op.gte]: since }
+  };
+
+  const [dialerCalls, trackedCalls] = await Promise.all([
+    CallLog.findAll({ where, attributes: ['leadId', 'initiatedAt'] }),
+    EnhancedCallLog.findAll({ where, attributes: ['leadId', 'initiatedAt'] })
+  ]);
+
+  const callTimes = new Map();
+  const addCall = (leadId, at) => {
+    const time = new Date(at);
+    if (isNaN(time.getTime()) || time < since) return;
+    const key = String(leadId);
+    callTimes.set(key, [...(callTimes.get(key) || []), time]);
+  };
+
+  [...dialerCalls, ...trackedCalls].forEach(call => addCall(call.leadId, call.initiatedAt));
+  callLogs
+    .filter(log => log.leadId !== null && log.leadId !== undefined)
+    .forEach(log => addCall(log.leadId, log.createdAt));
+
+  const called = new Set();
+  leads.forEach(lead => {
+    const times = callTimes.get(String(lead.id));
+    if (!times) return;
+
+    const { timeZone } = callComplianceService.resolveTimeZone(lead, normalizePhoneKey(lead.phone));
+    const today = localDate(now, timeZone);
+    if (times.some(time => localDate(time, timeZone) === today)) {
+      called.add(lead.id);
+    }
+  });
+
+  return called;
+};
+
+/**
+ * Why a lead cannot be dialed right now, or null if it can
+ */
+const getSkipReason = (lead, calledToday) => {
+  if (!lead) return 'lead_missing';
+  if (lead.doNotCall) return 'do_not_call';
+  if (lead.archivedAt || !lead.isActive) return 'archived';
+  if (calledToday) return 'called_today';
+  return null;
+};
+
+/**
+ * Lead ids matching the filter in dial order: highest score first, then the
+ * most overdue follow-up
+ * @returns {Object} { leadIds, excluded: { called_today, dnc_list } }
+ */
+const buildDialQueue = async (filter = {}, { now = new Date(), limit = DEFAULT_QUEUE_LIMIT } = {}) => {
+  const criteria = normalizeFilter(filter);
+  const where = {
+    isActive: true,
+    doNotCall: false,
+    archivedAt: null
+  };
+
+  if (criteria.statuses.length) where.status = { [Op.in]: criteria.statuses };
+  if (criteria.priorities.length) where.priority = { [Op.in]: criteria.priorities };
+  if (criteria.assignedTo) where.assignedTo = criteria.assignedTo;
+  if (criteria.minScore !== null && !isNaN(criteria.minScore)) where.leadScore = { [Op.gte]: criteria.minScore };
+  if (criteria.followUpDue) where.nextFollowUpDate = { [Op.lte]: endOfDay(now) };
+
+  const candidates = await Lead.findAll({
+    where,
+    attributes: ['id', 'phone', 'timeZone', 'tags', 'leadScore', 'nextFollowUpDate'],
+    order: [['leadScore', 'DESC'], ['nextFollowUpDate', 'ASC'], ['createdAt', 'ASC']]
+  });
+
+  // Tags are a JSON column, so they are matched here rather than in SQL
+  const tagged = criteria.tags.length
+    ? candidates.filter(lead => (lead.tags || []).some(tag => criteria.tags.includes(tag)))
+    : candidates;
+
+  const calledToday = await getLeadsCalledToday(tagged, now);
+  const notCalled = tagged.filter(lead => !calledToday.has(lead.id));
+
+  const blocked = await callComplianceService.getBlockedNumbers(notCalled.map(lead => lead.phone), now);
+  const callable = notCalled.filter(lead => !blocked.has(lead.phone));
+
+  return {
+    leadIds: callable.slice(0, limit).map(lead => lead.id),
+    excluded: {
+      called_today: tagged.length - notCalled.length,
+      dnc_list: notCalled.length - callable.length
+    }
+  };
+};
+
+/**
+ * Dialed/connected/remaining counts for a session
+ */
+const getSessionProgress = (session) => {
+  const stats = session.stats || {};
+  const total = session.queue.length;
+  const dialed = stats.dialed || 0;
+
+  return {
+    total,
+    dialed,
+    connected: stats.connected || 0,
+    skipped: stats.skipped || 0,
+    remaining: Math.max(0, total - session.position),
+    connectRate: dialed > 0 ? (stats.connected || 0) / dialed : 0,
+    outcomes: stats.outcomes || {},
+    currentLeadId: session.currentLeadId
+  };
+};
+
+const formatSession = (session) => ({
+  id: session.id,
+  agentId: session.agentId,
+  name: session.name,
+  status: session.status,
+  filter: session.filter,
+  wrapUpSeconds: session.wrapUpSeconds,
+  startedAt: session.startedAt,
+  lastActivityAt: session.lastActivityAt,
+  endedAt: session.endedAt,
+  progress: getSessionProgress(session)
+});
+
+/**
+ * Start a session with a freshly built queue
+ */
+const createDialerSession = async (agentId, { name = null, filter = {}, wrapUpSeconds = DEFAULT_WRAP_UP_SECONDS, limit } = {}) => {
+  const { leadIds, excluded } = await buildDialQueue(filter, { limit });
+
+  const session = await DialerSession.create({
+    agentId: String(agentId),
+    name,
+    filter: normalizeFilter(filter),
+    queue: leadIds,
+    wrapUpSeconds,
+    status: leadIds.length ? 'active' : 'completed',
+    startedAt: new Date(),
+    lastActivityAt: new Date(),
+    endedAt: leadIds.length ? null : new Date()
+  });
+
+  return { session: formatSession(session), excluded };
+};
+
+const getDialerSession = async (sessionId) => {
+  const session = await DialerSession.findByPk(sessionId);
+  return session ? formatSession(session) : null;
+};
+
+const listDialerSessions = async (agentId, { status, limit = 20 } = {}) => {
+  const where = { agentId: String(agentId) };
+  if (status) where.status = status;
+
+  const sessions = await DialerSession.findAll({ where, order: [['startedAt', 'DESC']], limit });
+  return sessions.map(formatSession);
+};
+
+const appendResult = (session, result) => {
+  session.results = [...session.results, { ...result, at: new Date().toISOString() }];
+};
+
+const loadOpenSession = async (sessionId) => {
+  const session = await DialerSession.findByPk(sessionId);
+  if (!session) return null;
+  if (session.status === 'completed' || session.status === 'ended') {
+    throw new Error(`Dialer session is ${session.status}`);
+  }
+  return session;
+};
+
+/**
+ * Hand out the next callable lead, skipping any that became ineligible.
+ * Until an outcome is logged the same lead is returned again.
+ * @returns {Object|null} { session, lead } (lead is null once the queue is exhausted)
+ */
+const getNextLead = async (sessionId, { now = new Date() } = {}) => {
+  const session = await loadOpenSession(sessionId);
+  if (!session) return null;
+  if (session.status === 'paused') {
+    throw new Error('Resume the dialer session before dialing');
+  }
+
+  if (session.currentLeadId) {
+    const current = await Lead.findByPk(session.currentLeadId);
+    if (current) return { session: formatSession(session), lead: current };
+  }
+
+  let lead = null;
+  const stats = { ...session.stats };
+
+  while (!lead && session.position < session.queue.length) {
+    const leadId = session.queue[session.position];
+    session.position += 1;
+
+    const candidate = await Lead.findByPk(leadId);
+    const calledToday = candidate ? (await getLeadsCalledToday([candidate], now)).has(candidate.id) : false;
+    let reason = getSkipReason(candidate, calledToday);
+
+    if (!reason) {
+      const compliance = await callComplianceService.checkOutboundCall({ lead: candidate, now });
+      if (!compliance.allowed) reason = compliance.violations[0].code;
+    }
+
+    if (reason) {
+      stats.skipped = (stats.skipped || 0) + 1;
+      appendResult(session, { leadId, action: 'skipped', reason });
+    } else {
+      lead = candidate;
+    }
+  }
+
+  session.stats = stats;
+  session.currentLeadId = lead ? lead.id : null;
+  session.lastActivityAt = now;
+  if (!lead) {
+    session.status = 'completed';
+    session.endedAt = now;
+  }
+  await session.save();
+
+  return { session: formatSession(session), lead };
+};
+
+/**
+ * Log the outcome for the current lead and start the wrap-up timer
+ * @returns {Object|null} { session, callLog, nextDialAt }
+ */
+const recordDialOutcome = async (sessionId, { leadId, outcome, duration = 0, talkTime = null, notes = null }) => {
+  const session = await loadOpenSession(sessionId);
+  if (!session) return null;
+
+  if (!CALL_OUTCOMES.includes(outcome)) {
+    throw new Error(`Outcome must be one of ${CALL_OUTCOMES.join(', ')}`);
+  }
+  if (!session.currentLeadId || session.currentLeadId !== leadId) {
+    throw new Error('Outcome does not match the lead currently being dialed');
+  }
+
+  const lead = await Lead.findByPk(leadId);
+  if (!lead) {
+    throw new Error('Lead no longer exists');
+  }
+
+  const now = new Date();
+  const callLog = await CallLog.create({
+    leadId,
+    phoneNumber: lead.phone,
+    direction: 'outbound',
+    status: STATUS_FOR_OUTCOME[outcome] || 'completed',
+    outcome,
+    initiatedAt: new Date(now.getTime() - duration * 1000),
+    completedAt: now,
+    duration,
+    talkTime,
+    notes,
+    agentId: session.agentId,
+    metadata: { source: 'power_dialer', dialerSessionId: session.id }
+  });
+
+  await lead.update({
+    callAttempts: (lead.callAttempts || 0) + 1,
+    lastContactDate: now
+  });
+
+  const stats = { ...session.stats, outcomes: { ...(session.stats.outcomes || {}) } };
+  stats.dialed = (stats.dialed || 0) + 1;
+  if (CONNECTED_OUTCOMES.has(outcome)) stats.connected = (stats.connected || 0) + 1;
+  stats.outcomes[outcome] = (stats.outcomes[outcome] || 0) + 1;
+
+  session.stats = stats;
+  appendResult(session, { leadId, action: 'called', outcome, callLogId: callLog.id });
+  session.currentLeadId = null;
+  session.lastActivityAt = now;
+  await session.save();
+
+  return {
+    session: formatSession(session),
+    callLog,
+    nextDialAt: new Date(now.getTime() + session.wrapUpSeconds * 1000)
+  };
+};
+
+/**
+ * Pass on the current lead without calling it
+ */
+const skipCurrentLead = async (sessionId, reason = 'agent_skipped') => {
+  const session = await loadOpenSession(sessionId);
+  if (!session) return null;
+  if (!session.currentLeadId) {
+    throw new Error('No lead is being dialed');
+  }
+
+  appendResult(session, { leadId: session.currentLeadId, action: 'skipped', reason });
+  session.stats = { ...session.stats, skipped: (session.stats.skipped || 0) + 1 };
+  session.currentLeadId = null;
+  session.lastActivityAt = new Date();
+  await session.save();
+
+  return formatSession(session);
+};
+
+/**
+ * Pause, resume or end a session
+ */
+const updateDialerSessionStatus = async (sessionId, status) => {
+  const transitions = { paused: ['active'], active: ['paused'], ended: ['active', 'paused'] };
+
+  const session = await DialerSession.findByPk(sessionId);
+  if (!session) return null;
+  if (!transitions[status] || !transitions[status].includes(session.status)) {
+    throw new Error(`Cannot change a ${session.status} dialer session to ${status}`);
+  }
+
+  session.status = status;
+  session.lastActivityAt = new Date();
+  if (status === 'ended') {
+    session.endedAt = new Date();
+    session.currentLeadId = null;
+  }
+  await session.save();
+
+  return formatSession(session);
+};
+
+module.exports = {
+  CALL_OUTCOMES,
+  normalizeFilter,
+  buildDialQueue,
+  getSessionProgress,
+  createDialerSession,
+  getDialerSession,
+  listDialerSessions,
+  getNextLead,
+  recordDialOutcome,
+  skipCurrentLead,
+  updateDialerSessionStatus
+};
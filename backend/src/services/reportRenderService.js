@@ -0,0 +1,648 @@
+/**
+ * Report Render Service
+ * Renders custom analytics reports to PDF (pdfkit) and XLSX (exceljs). Both libraries are pure
+ * JavaScript and use built-in fonts, so reports render without network access.
+ */
+
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+
+const SECTION_TITLES = {
+  leads: 'Lead Metrics',
+  conversion: 'Conversion Funnel',
+  sources: 'Lead Sources',
+  agents: 'Agent Performance',
+  forecasting: 'Forecasting'
+};
+
+const CHART_COLORS = ['#3b82f6', '#10b981', '#f97316', '#8b5cf6', '#ef4444', '#6b7280'];
+const MAX_CHART_BARS = 12;
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+const EXCEL_FORMATS = {
+  integer: '#,##0',
+  number: '#,##0.00',
+  percent: '0.0"%"',
+  currency: '"$"#,##0.00',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+const humanize = (key) => String(key)
+  .replace(/_/g, ' ')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/^./, char => char.toUpperCase());
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const isoDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString().split('T')[0] : null;
+};
+
+// Rates are stored as 0-100 throughout the analytics model
+const inferType = (key, value) => {
+  if (typeof value !== 'number') return value instanceof Date ? 'date' : 'text';
+  if (/rate|roi|confidence|probability|share/i.test(key)) return 'percent';
+  if (/value|revenue|cost/i.test(key)) return 'currency';
+  return 'number';
+};
+
+const describeRecommendation = (item) => (
+  typeof item === 'string' ? item : item?.recommendation || item?.message || item?.suggestion || JSON.stringify(item)
+);
+
+/**
+ * Key/value table; each row carries its own type
+ */
+const metricTable = (title, entries) => ({
+  title,
+  columns: [{ label: 'Metric', type: 'text' }, { label: 'Value' }],
+  rows: entries
+    .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+    .map(([label, value, type]) => [label, { value, type: type || inferType(label, value) }])
+});
+
+/**
+ * Label/count/share table from a { label: count } distribution
+ */
+const distributionTable = (title, distribution = {}, label = 'Value') => {
+  const entries = Object.entries(distribution || {}).sort(([, a], [, b]) => toNumber(b) - toNumber(a));
+  const total = entries.reduce((sum, [, count]) => sum + toNumber(count), 0);
+
+  return {
+    title,
+    columns: [{ label, type: 'text' }, { label: 'Count', type: 'number' }, { label: 'Share', type: 'percent' }],
+    rows: entries.map(([name, count]) => [name, toNumber(count), total > 0 ? (toNumber(count) / total) * 100 : 0])
+  };
+};
+
+const barChart = (title, entries, type = 'number') => ({
+  title,
+  type,
+  data: entries.map(([label, value]) => ({ label: String(label), value: toNumber(value) }))
+});
+
+/**
+ * Scalars anywhere in an object, keyed by their humanized path (fallback for unknown sections)
+ */
+const flattenScalars = (data, prefix = '') => Object.entries(data || {}).flatMap(([key, value]) => {
+  const label = prefix ? `${prefix} / ${humanize(key)}` : humanize(key);
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    return flattenScalars(value, label);
+  }
+  return Array.isArray(value) ? [] : [[label, value, inferType(key, value)]];
+});
+
+class ReportRenderService {
+  /**
+   * Stable download name for a report: same type, period and format give the same name
+   */
+  getFilename(report, extension) {
+    const range = report.dateRange && typeof report.dateRange === 'object' ? report.dateRange : null;
+    const period = range && isoDate(range.start) && isoDate(range.end)
+      ? `${isoDate(range.start)}_to_${isoDate(range.end)}`
+      : 'all-time';
+    const type = String(report.reportType || 'custom').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+    return `${type}-analytics-report_${period}.${extension}`;
+  }
+
+  /**
+   * Render a report to a downloadable file in one of the custom report formats
+   * @param {Object} report - Report data from buildCustomReport
+   * @param {string} format - 'pdf' | 'excel' | 'json'
+   * @param {Object} options - { includeCharts }
+   * @returns {Promise<Object>} { content, contentType, filename }
+   */
+  async render(report, format, options = {}) {
+    if (format === 'pdf') {
+      return {
+        content: await this.renderPdf(report, options),
+        contentType: CONTENT_TYPES.pdf,
+        filename: this.getFilename(report, 'pdf')
+      };
+    }
+
+    if (format === 'excel') {
+      return {
+        content: await this.renderXlsx(report),
+        contentType: CONTENT_TYPES.excel,
+        filename: this.getFilename(report, 'xlsx')
+      };
+    }
+
+    return {
+      content: Buffer.from(JSON.stringify(report, null, 2)),
+      contentType: CONTENT_TYPES.json,
+      filename: this.getFilename(report, 'json')
+    };
+  }
+
+  /**
+   * Tables and charts for each section, shared by the PDF and XLSX renderers
+   */
+  buildLayout(report) {
+    const range = report.dateRange && typeof report.dateRange === 'object' ? report.dateRange : null;
+    const summary = report.summary || {};
+
+    return {
+      title: `${humanize(report.reportType || 'custom')} Analytics Report`,
+      reportId: report.reportId,
+      generatedAt: toDate(report.generatedAt) || new Date(),
+      periodStart: range ? toDate(range.start) : null,
+      periodEnd: range ? toDate(range.end) : null,
+      filters: Object.entries(report.filters || {}).filter(([, value]) => value !== undefined && value !== ''),
+      figures: Object.entries(summary)
+        .filter(([key, value]) => key !== 'recommendedActions' && value !== null && typeof value !== 'object')
+        .map(([key, value]) => ({ label: humanize(key), value, type: inferType(key, value) })),
+      actions: (summary.recommendedActions || []).map(describeRecommendation),
+      sections: Object.entries(report.sections || {}).map(([key, data]) => ({
+        key,
+        title: SECTION_TITLES[key] || humanize(key),
+        ...this.describeSection(key, data || {})
+      }))
+    };
+  }
+
+  describeSection(key, data) {
+    const notes = (Array.isArray(data.recommendations) ? data.recommendations : []).map(describeRecommendation);
+
+    switch (key) {
+      case 'leads': {
+        const distributions = data.distributions || {};
+        return {
+          tables: [
+            metricTable('Summary', Object.entries(data.summary || {}).map(([name, value]) => [humanize(name), value, inferType(name, value)])),
+            distributionTable('Lead Sources', distributions.leadSources, 'Source'),
+            distributionTable('Priorities', distributions.priorities, 'Priority'),
+            distributionTable('Industries', distributions.industries, 'Industry')
+          ],
+          charts: [barChart('Leads by Source', Object.entries(distributions.leadSources || {}))],
+          notes
+        };
+      }
+
+      case 'conversion': {
+        const funnel = data.funnel || {};
+        const total = toNumber(funnel.totalLeads);
+        return {
+          tables: [
+            {
+              title: 'Funnel',
+              columns: [{ label: 'Stage', type: 'text' }, { label: 'Count', type: 'number' }, { label: '% of Leads', type: 'percent' }],
+              rows: Object.entries(funnel).map(([stage, count]) => [humanize(stage), toNumber(count), total > 0 ? (toNumber(count) / total) * 100 : 0])
+            },
+            metricTable('Stage Conversion', Object.entries(data.dropOffAnalysis || {}).map(([name, value]) => [humanize(name), toNumber(value), 'percent'])),
+            distributionTable('Call Outcomes', data.callOutcomes, 'Outcome')
+          ],
+          charts: [barChart('Funnel', Object.entries(funnel).map(([stage, count]) => [humanize(stage), count]))],
+          notes
+        };
+      }
+
+      case 'sources': {
+        const sources = Object.entries(data.sources || {});
+        return {
+          tables: [{
+            title: 'Source Performance',
+            columns: [
+              { label: 'Source', type: 'text' },
+              { label: 'Leads', type: 'number' },
+              { label: 'Qualified', type: 'number' },
+              { label: 'Converted', type: 'number' },
+              { label: 'Qualification Rate', type: 'percent' },
+              { label: 'Conversion Rate', type: 'percent' },
+              { label: 'Avg Quality', type: 'number' },
+              { label: 'Cost per Lead', type: 'currency' },
+              { label: 'ROI', type: 'percent' }
+            ],
+            rows: sources.map(([source, metrics]) => [
+              source,
+              toNumber(metrics.totalLeads),
+              toNumber(metrics.qualified),
+              toNumber(metrics.converted),
+              toNumber(metrics.qualificationRate),
+              toNumber(metrics.conversionRate),
+              toNumber(metrics.avgQualityScore),
+              toNumber(metrics.costPerLead),
+              toNumber(metrics.roi)
+            ])
+          }],
+          charts: [barChart('Conversion Rate by Source', sources.map(([source, metrics]) => [source, metrics.conversionRate]), 'percent')],
+          notes
+        };
+      }
+
+      case 'agents': {
+        const agents = Object.values(data.agents || {});
+        return {
+          tables: [
+            {
+              title: 'Agents',
+              columns: [
+                { label: 'Agent', type: 'text' },
+                { label: 'Calls', type: 'number' },
+                { label: 'Avg Duration', type: 'number' },
+                { label: 'Avg Quality', type: 'number' },
+                { label: 'Leads', type: 'number' },
+                { label: 'Converted', type: 'number' },
+                { label: 'Conversion Rate', type: 'percent' },
+                { label: 'Success Rate', type: 'percent' }
+              ],
+              rows: agents.map(agent => [
+                agent.agentName || agent.agentId,
+                toNumber(agent.calls?.total),
+                toNumber(agent.calls?.avgDuration),
+                toNumber(agent.calls?.avgQualityScore),
+                toNumber(agent.leads?.total),
+                toNumber(agent.leads?.converted),
+                toNumber(agent.leads?.conversionRate),
+                toNumber(agent.performance?.successRate)
+              ])
+            },
+            metricTable('Team Summary', Object.entries(data.teamSummary || {}).map(([name, value]) => [humanize(name), value, inferType(name, value)]))
+          ],
+          charts: [barChart('Calls by Agent', agents.map(agent => [agent.agentName || agent.agentId, agent.calls?.total]))],
+          notes
+        };
+      }
+
+      case 'forecasting': {
+        const pipeline = data.pipeline || {};
+        const predictions = data.predictions || {};
+        return {
+          tables: [
+            metricTable('Forecast', [
+              ['Pipeline Value', toNumber(pipeline.totalValue), 'currency'],
+              ['Predicted New Leads', predictions.leadGeneration?.predicted, 'number'],
+              ['Predicted Conversions', predictions.conversionForecast?.predicted, 'number'],
+              ['Predicted Revenue', predictions.revenueForecast?.predicted, 'currency'],
+              ['Recommended Agents', predictions.capacityForecast?.recommendedAgents, 'number'],
+              ['Confidence', data.confidence, 'percent']
+            ]),
+            distributionTable('Pipeline by Stage', pipeline.stages, 'Stage')
+          ],
+          charts: [barChart('Pipeline by Stage', Object.entries(pipeline.stages || {}))],
+          notes
+        };
+      }
+
+      default:
+        return {
+          tables: [metricTable('Details', flattenScalars(data))],
+          charts: [],
+          notes
+        };
+    }
+  }
+
+  /**
+   * Render a report to PDF: cover page, executive summary, then one page per section with its
+   * tables and (optionally) bar charts
+   * @param {Object} report - Report data from buildCustomReport
+   * @param {Object} options - { includeCharts }
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  renderPdf(report, options = {}) {
+    const { includeCharts = true } = options;
+    const layout = this.buildLayout(report);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: layout.title, CreationDate: layout.generatedAt }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawCover(doc, layout);
+
+        doc.addPage();
+        this.drawExecutiveSummary(doc, layout);
+
+        layout.sections.forEach(section => {
+          doc.addPage();
+          this.drawHeading(doc, section.title);
+
+          section.tables.forEach(table => this.drawTable(doc, table));
+          if (includeCharts) {
+            section.charts.filter(chart => chart.data.length > 0).forEach(chart => this.drawBarChart(doc, chart));
+          }
+          if (section.notes.length > 0) {
+            this.drawList(doc, 'Recommendations', section.notes);
+          }
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  drawCover(doc, layout) {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.rect(0, 0, doc.page.width, 220).fill('#1e3a8a');
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(28)
+      .text(layout.title, doc.page.margins.left, 110, { width });
+
+    doc.fillColor('#111827').font('Helvetica').fontSize(12);
+    doc.text(`Period: ${layout.periodStart && layout.periodEnd
+      ? `${isoDate(layout.periodStart)} to ${isoDate(layout.periodEnd)}`
+      : 'All time'}`, doc.page.margins.left, 270, { width });
+    doc.text(`Generated: ${layout.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`, { width });
+    if (layout.reportId) doc.text(`Report ID: ${layout.reportId}`, { width });
+    layout.filters.forEach(([key, value]) => {
+      doc.text(`${humanize(key)}: ${Array.isArray(value) ? value.join(', ') : value}`, { width });
+    });
+
+    doc.moveDown(2).font('Helvetica-Bold').text('Contents', { width });
+    doc.font('Helvetica');
+    ['Executive Summary', ...layout.sections.map(section => section.title)].forEach((title, index) => {
+      doc.text(`${index + 1}. ${title}`, { width });
+    });
+  }
+
+  drawExecutiveSummary(doc, layout) {
+    this.drawHeading(doc, 'Executive Summary');
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const boxWidth = (width - 20) / 3;
+
+    layout.figures.forEach((figure, index) => {
+      const column = index % 3;
+      if (column === 0 && index > 0) doc.y += 70;
+      const x = left + column * (boxWidth + 10);
+      const y = doc.y;
+
+      doc.roundedRect(x, y, boxWidth, 60, 4).fill('#f3f4f6');
+      doc.fillColor('#6b7280').font('Helvetica').fontSize(9).text(figure.label, x + 10, y + 10, { width: boxWidth - 20 });
+      doc.fillColor('#111827').font('Helvetica-Bold').fontSize(16)
+        .text(this.formatValue(figure.value, figure.type), x + 10, y + 28, { width: boxWidth - 20 });
+      doc.y = y;
+    });
+
+    doc.x = left;
+    doc.y += layout.figures.length > 0 ? 80 : 0;
+
+    if (layout.actions.length > 0) {
+      this.drawList(doc, 'Recommended Actions', layout.actions);
+    }
+  }
+
+  drawHeading(doc, title) {
+    doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(18)
+      .text(title, doc.page.margins.left, doc.page.margins.top);
+    doc.moveDown(0.5);
+  }
+
+  drawList(doc, title, items) {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    this.ensureSpace(doc, 40);
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text(title, doc.page.margins.left, doc.y, { width });
+    doc.font('Helvetica').fontSize(10);
+    items.forEach(item => doc.text(`• ${item}`, { width }));
+    doc.moveDown();
+  }
+
+  /**
+   * Grid table; the header repeats when the table runs onto a new page
+   */
+  drawTable(doc, table) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const rowHeight = 18;
+    const firstWidth = Math.min(160, width / 2);
+    const otherWidth = table.columns.length > 1 ? (width - firstWidth) / (table.columns.length - 1) : 0;
+    const widths = table.columns.map((column, index) => (index === 0 ? (table.columns.length > 1 ? firstWidth : width) : otherWidth));
+
+    const drawRow = (cells, { header = false, shaded = false } = {}) => {
+      const y = doc.y;
+      if (header || shaded) {
+        doc.rect(left, y, width, rowHeight).fill(header ? '#1e3a8a' : '#f3f4f6');
+      }
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        const numeric = index > 0 && !header;
+        doc.fillColor(header ? '#ffffff' : '#111827')
+          .font(header ? 'Helvetica-Bold' : 'Helvetica')
+          .fontSize(8)
+          .text(cell, x + 4, y + 5, { width: widths[index] - 8, height: 10, align: numeric ? 'right' : 'left', ellipsis: true });
+        x += widths[index];
+      });
+      doc.x = left;
+      doc.y = y + rowHeight;
+    };
+
+    this.ensureSpace(doc, rowHeight * 3 + 20);
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text(table.title, left, doc.y, { width });
+    doc.moveDown(0.3);
+
+    const header = table.columns.map(column => column.label);
+    drawRow(header, { header: true });
+
+    if (table.rows.length === 0) {
+      drawRow(['No data', ...header.slice(1).map(() => '')]);
+    }
+
+    table.rows.forEach((row, index) => {
+      if (this.ensureSpace(doc, rowHeight)) drawRow(header, { header: true });
+      drawRow(row.map((cell, column) => {
+        const { value, type } = this.resolveCell(cell, table.columns[column]);
+        return this.formatValue(value, type);
+      }), { shaded: index % 2 === 1 });
+    });
+
+    doc.moveDown();
+  }
+
+  /**
+   * Horizontal bar chart drawn with vector shapes
+   */
+  drawBarChart(doc, chart) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const data = chart.data.slice(0, MAX_CHART_BARS);
+    const barHeight = 14;
+    const gap = 6;
+    const labelWidth = 130;
+    const valueWidth = 60;
+    const barArea = width - labelWidth - valueWidth;
+    const max = Math.max(...data.map(item => item.value), 0) || 1;
+
+    this.ensureSpace(doc, 30 + data.length * (barHeight + gap));
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text(chart.title, left, doc.y, { width });
+    doc.moveDown(0.3);
+
+    let y = doc.y;
+    data.forEach((item, index) => {
+      doc.fillColor('#374151').font('Helvetica').fontSize(8)
+        .text(item.label, left, y + 3, { width: labelWidth - 8, height: 10, ellipsis: true });
+      doc.rect(left + labelWidth, y, Math.max((item.value / max) * barArea, 1), barHeight)
+        .fill(CHART_COLORS[index % CHART_COLORS.length]);
+      doc.fillColor('#111827').fontSize(8)
+        .text(this.formatValue(item.value, chart.type), left + labelWidth + barArea + 4, y + 3, { width: valueWidth - 4, lineBreak: false });
+      y += barHeight + gap;
+    });
+
+    doc.x = left;
+    doc.y = y;
+    doc.moveDown();
+  }
+
+  /**
+   * Start a new page when the next block would not fit
+   * @returns {boolean} Whether a page was added
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height <= doc.page.height - doc.page.margins.bottom) return false;
+    doc.addPage();
+    return true;
+  }
+
+  resolveCell(cell, column = {}) {
+    if (cell && typeof cell === 'object' && !(cell instanceof Date)) {
+      return { value: cell.value, type: cell.type || column.type || 'text' };
+    }
+    return { value: cell, type: column.type || inferType(column.label || '', cell) };
+  }
+
+  formatValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+
+    switch (type) {
+      case 'percent':
+        return `${toNumber(value).toFixed(1)}%`;
+      case 'currency':
+        return `$${toNumber(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      case 'number':
+        return Number.isInteger(toNumber(value))
+          ? toNumber(value).toLocaleString('en-US')
+          : toNumber(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+      case 'date':
+        return isoDate(value) || String(value);
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Render a report to XLSX: a summary sheet, then one sheet per section. Numbers and dates
+   * are written as typed cells with display formats, not as text.
+   * @param {Object} report - Report data from buildCustomReport
+   * @returns {Promise<Buffer>} XLSX bytes
+   */
+  async renderXlsx(report) {
+    const layout = this.buildLayout(report);
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Cold Calling Dashboard';
+    workbook.created = layout.generatedAt;
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.addRow([layout.title]).font = { bold: true, size: 14 };
+    this.addTypedRow(summary, ['Report ID', layout.reportId || '']);
+    this.addTypedRow(summary, ['Generated', { value: layout.generatedAt, type: 'datetime' }]);
+    this.addTypedRow(summary, ['Period Start', layout.periodStart ? { value: layout.periodStart, type: 'date' } : 'All time']);
+    this.addTypedRow(summary, ['Period End', layout.periodEnd ? { value: layout.periodEnd, type: 'date' } : 'All time']);
+    layout.filters.forEach(([key, value]) => {
+      this.addTypedRow(summary, [humanize(key), Array.isArray(value) ? value.join(', ') : value]);
+    });
+
+    summary.addRow([]);
+    summary.addRow(['Executive Summary']).font = { bold: true };
+    layout.figures.forEach(figure => this.addTypedRow(summary, [figure.label, { value: figure.value, type: figure.type }]));
+
+    if (layout.actions.length > 0) {
+      summary.addRow([]);
+      summary.addRow(['Recommended Actions']).font = { bold: true };
+      layout.actions.forEach(action => summary.addRow([action]));
+    }
+    summary.getColumn(1).width = 28;
+    summary.getColumn(2).width = 24;
+
+    const usedNames = new Set(['Summary']);
+    layout.sections.forEach(section => {
+      const sheet = workbook.addWorksheet(this.sheetName(section.title, usedNames));
+
+      section.tables.forEach(table => {
+        sheet.addRow([table.title]).font = { bold: true, size: 12 };
+        const header = sheet.addRow(table.columns.map(column => column.label));
+        header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        header.eachCell(cell => {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E3A8A' } };
+        });
+
+        table.rows.forEach(row => {
+          this.addTypedRow(sheet, row.map((cell, column) => this.resolveCell(cell, table.columns[column])));
+        });
+        sheet.addRow([]);
+      });
+
+      if (section.notes.length > 0) {
+        sheet.addRow(['Recommendations']).font = { bold: true };
+        section.notes.forEach(note => sheet.addRow([note]));
+      }
+
+      sheet.columns.forEach((column, index) => {
+        column.width = index === 0 ? 28 : 16;
+      });
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Append a row of { value, type } (or plain) cells, keeping numbers and dates typed
+   */
+  addTypedRow(sheet, cells) {
+    const resolved = cells.map(cell => this.resolveCell(cell));
+    const row = sheet.addRow(resolved.map(({ value, type }) => {
+      if (type === 'date' || type === 'datetime') return toDate(value);
+      if (['number', 'percent', 'currency'].includes(type)) return value === null || value === undefined ? null : toNumber(value);
+      return value;
+    }));
+
+    resolved.forEach(({ value, type }, index) => {
+      const format = type === 'number' && Number.isInteger(toNumber(value)) ? EXCEL_FORMATS.integer : EXCEL_FORMATS[type];
+      if (format) row.getCell(index + 1).numFmt = format;
+    });
+
+    return row;
+  }
+
+  /**
+   * Worksheet names are limited to 31 characters, must be unique and cannot contain []:*?/\
+   */
+  sheetName(title, usedNames) {
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    let name = base;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+}
+
+module.exports = new ReportRenderService();
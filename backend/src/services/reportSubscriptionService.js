@@ -0,0 +1,349 @@
+/**
+ * Report Subscription Service
+ * Emails custom analytics reports to recipients on a cron schedule in the subscriber's
+ * time zone, and records every delivery (scheduled or "send now") as a report run
+ */
+
+const cron = require('node-cron');
+const validator = require('validator');
+const { ReportSubscription, ReportRun } = require('../database/models');
+const { REPORT_FORMATS } = require('../database/models/ReportSubscription');
+const { REPORT_TYPES, REPORT_SECTIONS, buildCustomReport } = require('./customReportService');
+const reportRenderService = require('./reportRenderService');
+const { createDefaultTransport } = require('./mailTransports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EDITABLE_FIELDS = [
+  'name', 'reportType', 'sections', 'filters', 'lookbackDays', 'schedule',
+  'timeZone', 'recipients', 'format', 'includeCharts', 'active'
+];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Five fields: minute hour day-of-month month day-of-week
+const isValidSchedule = (schedule) =>
+  typeof schedule === 'string' && schedule.trim().split(/\s+/).length === 5 && cron.validate(schedule.trim());
+
+/**
+ * Calendar date of an instant in a time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const localDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const shiftDate = (isoDate, days) =>
+  new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const normalizeRecipients = (recipients) => {
+  const list = typeof recipients === 'string' ? recipients.split(/[,;\s]+/) : recipients;
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+};
+
+const serializeSubscription = (subscription) => subscription.toJSON();
+
+const describePeriod = (report) => {
+  const range = report.dateRange && typeof report.dateRange === 'object' ? report.dateRange : null;
+  if (!range) return 'all time';
+  return range.start === range.end ? range.start : `${range.start} to ${range.end}`;
+};
+
+const serializeRun = (run) => ({
+  ...run.toJSON(),
+  durationMs: run.completedAt ? new Date(run.completedAt) - new Date(run.startedAt) : null
+});
+
+class ReportSubscriptionService {
+  constructor() {
+    this.transport = null;
+    this.jobs = new Map();
+    this.running = new Set();
+    this.scheduling = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createDefaultTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the mail transport (see mailTransports for the interface)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Check and normalise subscription fields; throws on the first invalid one
+   * @param {Object} data - Fields to write
+   * @param {boolean} partial - Only check the fields present (updates)
+   */
+  validate(data, { partial = false } = {}) {
+    const values = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    const has = (field) => !partial || values[field] !== undefined;
+
+    if (has('name') && (typeof values.name !== 'string' || !values.name.trim())) {
+      throw new Error('name is required');
+    }
+    if (has('reportType') && !REPORT_TYPES.includes(values.reportType)) {
+      throw new Error(`reportType must be one of: ${REPORT_TYPES.join(', ')}`);
+    }
+    if (values.sections !== undefined) {
+      const invalid = Array.isArray(values.sections)
+        ? values.sections.filter(section => !REPORT_SECTIONS.includes(section))
+        : [values.sections];
+      if (invalid.length > 0) {
+        throw new Error(`Invalid sections: ${invalid.join(', ')}. Valid sections: ${REPORT_SECTIONS.join(', ')}`);
+      }
+    }
+    if (values.filters !== undefined && (typeof values.filters !== 'object' || values.filters === null || Array.isArray(values.filters))) {
+      throw new Error('filters must be an object');
+    }
+    if (values.lookbackDays !== undefined && values.lookbackDays !== null) {
+      const days = Number(values.lookbackDays);
+      if (!Number.isInteger(days) || days < 1 || days > 366) {
+        throw new Error('lookbackDays must be an integer between 1 and 366, or null for all time');
+      }
+      values.lookbackDays = days;
+    }
+    if (has('schedule')) {
+      if (!isValidSchedule(values.schedule)) {
+        throw new Error('schedule must be a five-field cron expression, e.g. "0 8 * * 1"');
+      }
+      values.schedule = values.schedule.trim().replace(/\s+/g, ' ');
+    }
+    if (values.timeZone !== undefined && !isValidTimeZone(values.timeZone)) {
+      throw new Error(`Unknown time zone: ${values.timeZone}`);
+    }
+    if (has('recipients')) {
+      values.recipients = normalizeRecipients(values.recipients);
+      if (values.recipients.length === 0) {
+        throw new Error('At least one recipient is required');
+      }
+      const invalid = values.recipients.filter(email => !validator.isEmail(email));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid recipients: ${invalid.join(', ')}`);
+      }
+    }
+    if (values.format !== undefined && !REPORT_FORMATS.includes(values.format)) {
+      throw new Error(`format must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    if (values.name !== undefined) values.name = values.name.trim();
+    return values;
+  }
+
+  async listSubscriptions({ active } = {}) {
+    const where = active === undefined ? {} : { active };
+    const subscriptions = await ReportSubscription.findAll({ where, order: [['name', 'ASC']] });
+    return subscriptions.map(serializeSubscription);
+  }
+
+  async getSubscription(id) {
+    const subscription = await ReportSubscription.findByPk(id);
+    return subscription ? serializeSubscription(subscription) : null;
+  }
+
+  /**
+   * @param {Object} data - { name, reportType, sections, filters, lookbackDays, schedule, timeZone, recipients, format, includeCharts, active }
+   */
+  async createSubscription(data, { createdBy } = {}) {
+    const values = this.validate(data);
+    const subscription = await ReportSubscription.create({ ...values, createdBy: createdBy || null });
+    this.reschedule(subscription);
+    return serializeSubscription(subscription);
+  }
+
+  async updateSubscription(id, data) {
+    const subscription = await ReportSubscription.findByPk(id);
+    if (!subscription) return null;
+
+    await subscription.update(this.validate(data, { partial: true }));
+    this.reschedule(subscription);
+    return serializeSubscription(subscription);
+  }
+
+  async deleteSubscription(id) {
+    this.unschedule(id);
+    await ReportRun.destroy({ where: { subscriptionId: id } });
+    const removed = await ReportSubscription.destroy({ where: { id } });
+    return removed > 0;
+  }
+
+  /**
+   * Run history, newest first
+   * @returns {Promise<Array|null>} null when the subscription doesn't exist
+   */
+  async listRuns(id, { limit = 20 } = {}) {
+    const subscription = await ReportSubscription.findByPk(id, { attributes: ['id'] });
+    if (!subscription) return null;
+
+    const runs = await ReportRun.findAll({
+      where: { subscriptionId: id },
+      order: [['startedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    return runs.map(serializeRun);
+  }
+
+  /**
+   * Deliver a subscription immediately, whether or not it is active
+   * @returns {Promise<Object|null>} The recorded run; null when the subscription doesn't exist
+   */
+  async sendNow(id) {
+    const subscription = await ReportSubscription.findByPk(id);
+    if (!subscription) return null;
+    return this.runSubscription(subscription, { trigger: 'manual' });
+  }
+
+  /**
+   * Reporting period for a run: the lookbackDays full days before the run date in the
+   * subscription's time zone, or all time when lookbackDays is null
+   * @returns {Object|null} { start, end } as YYYY-MM-DD
+   */
+  getReportPeriod(subscription, now = new Date()) {
+    if (!subscription.lookbackDays) return null;
+
+    const end = shiftDate(localDate(now, subscription.timeZone), -1);
+    return { start: shiftDate(end, 1 - subscription.lookbackDays), end };
+  }
+
+  /**
+   * Build, render and email one report, recording the outcome as a run. Failures are
+   * recorded on the run rather than thrown.
+   * @param {Object} options - { trigger: 'schedule'|'manual', now }
+   */
+  async runSubscription(subscription, { trigger = 'schedule', now = new Date() } = {}) {
+    const transport = this.getTransport();
+    const run = await ReportRun.create({
+      subscriptionId: subscription.id,
+      trigger,
+      status: 'running',
+      startedAt: new Date(),
+      recipients: subscription.recipients,
+      transport: transport.name
+    });
+
+    this.running.add(subscription.id);
+    try {
+      const report = await buildCustomReport({
+        reportType: subscription.reportType,
+        dateRange: this.getReportPeriod(subscription, now),
+        filters: subscription.filters,
+        sections: subscription.sections
+      });
+      const file = await reportRenderService.render(report, subscription.format, {
+        includeCharts: subscription.includeCharts
+      });
+
+      const info = await transport.send({
+        from: process.env.MAIL_FROM || 'Cold Calling Dashboard <reports@localhost>',
+        to: subscription.recipients,
+        subject: this.buildSubject(subscription, report),
+        text: this.buildBody(subscription, report),
+        attachments: [{ filename: file.filename, content: file.content, contentType: file.contentType }]
+      });
+
+      await run.update({
+        status: 'success',
+        completedAt: new Date(),
+        filename: file.filename,
+        messageId: info.messageId || null
+      });
+      await subscription.update({ lastRunAt: run.startedAt, lastRunStatus: 'success' });
+    } catch (error) {
+      console.error(`Report subscription ${subscription.id} failed:`, error.message);
+      await run.update({ status: 'failed', completedAt: new Date(), error: error.message });
+      await subscription.update({ lastRunAt: run.startedAt, lastRunStatus: 'failed' });
+    } finally {
+      this.running.delete(subscription.id);
+    }
+
+    return serializeRun(run);
+  }
+
+  buildSubject(subscription, report) {
+    return `${subscription.name} (${describePeriod(report)})`;
+  }
+
+  buildBody(subscription, report) {
+    const { summary } = report;
+    const lines = [
+      subscription.name,
+      '',
+      `Period: ${describePeriod(report)}`,
+      `Total leads: ${summary.totalLeads}`,
+      `Conversion rate: ${summary.conversionRate}%`
+    ];
+    if (summary.topPerformingSource) {
+      lines.push(`Top source: ${summary.topPerformingSource}`);
+    }
+    if (summary.recommendedActions.length > 0) {
+      lines.push('', 'Recommended actions:', ...summary.recommendedActions.map(action => `- ${action}`));
+    }
+    lines.push('', `The full ${subscription.format.toUpperCase()} report is attached.`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Schedule every active subscription; changes made afterwards are picked up as they are saved
+   */
+  async startSchedule() {
+    if (this.scheduling) return;
+    this.scheduling = true;
+
+    const subscriptions = await ReportSubscription.findAll({ where: { active: true } });
+    subscriptions.forEach(subscription => this.reschedule(subscription));
+    console.log(`Report subscriptions scheduled: ${this.jobs.size}`);
+  }
+
+  stopSchedule() {
+    this.jobs.forEach(job => job.stop());
+    this.jobs.clear();
+    this.scheduling = false;
+  }
+
+  reschedule(subscription) {
+    this.unschedule(subscription.id);
+    if (!this.scheduling || !subscription.active) return;
+
+    const job = cron.schedule(subscription.schedule, () => {
+      this.runScheduled(subscription.id).catch(error => {
+        console.error(`Scheduled report ${subscription.id} failed:`, error.message);
+      });
+    }, { timezone: subscription.timeZone });
+    this.jobs.set(subscription.id, job);
+  }
+
+  unschedule(id) {
+    const job = this.jobs.get(id);
+    if (job) {
+      job.stop();
+      this.jobs.delete(id);
+    }
+  }
+
+  async runScheduled(id) {
+    // A slow run isn't started again on top of itself
+    if (this.running.has(id)) return null;
+
+    const subscription = await ReportSubscription.findByPk(id);
+    if (!subscription || !subscription.active) return null;
+    return this.runSubscription(subscription, { trigger: 'schedule' });
+  }
+}
+
+module.exports = new ReportSubscriptionService();
@@ -0,0 +1,549 @@
+/**
+ * Sequence Service
+ * Enrolls leads in follow-up sequences and walks them through the steps: call/email steps
+ * become follow-ups, wait steps hold the enrollment until they are due, and each finished
+ * step branches on its outcome. Leads leave every sequence when they reply, book a meeting
+ * or become do-not-call.
+ */
+
+const { Op } = require('sequelize');
+const { FollowupSequence, SequenceEnrollment, Followup } = require('../database/models');
+const { SEQUENCE_CATEGORIES } = require('../database/models/FollowupSequence');
+const { ENROLLMENT_STATUSES, OPEN_ENROLLMENT_STATUSES } = require('../database/models/SequenceEnrollment');
+const { CLOSED_STATUSES } = require('../database/models/Followup');
+const followupService = require('./followupService');
+const callComplianceService = require('./callComplianceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEETING_OUTCOMES = ['meeting_scheduled', 'demo_scheduled'];
+const SEQUENCE_FIELDS = ['name', 'description', 'category', 'isActive', 'steps', 'exitConditions', 'teamId'];
+const MAX_PAGE_SIZE = 200;
+
+// Lead events that take a lead out of every sequence it is in
+const LEAD_EXIT_EVENTS = ['replied', 'meeting_booked', 'do_not_call'];
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const getLeadName = (lead) =>
+  lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || lead.company || 'there';
+
+const interpolate = (template, values) => String(template || '')
+  .replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+class SequenceService {
+  constructor() {
+    this.batchSize = 200;
+    this.intervalMinutes = parseFloat(process.env.SEQUENCE_PROCESS_INTERVAL_MINUTES) || 5;
+    this.scheduleInterval = null;
+    this.processing = false;
+  }
+
+  listSequences({ category, isActive } = {}) {
+    const where = {};
+    if (category) where.category = category;
+    if (isActive !== undefined) where.isActive = String(isActive) === 'true';
+    return FollowupSequence.findAll({ where, order: [['name', 'ASC']] });
+  }
+
+  findSequence(id) {
+    return FollowupSequence.findByPk(id);
+  }
+
+  pickSequenceFields(data) {
+    const values = SEQUENCE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) picked[field] = data[field];
+      return picked;
+    }, {});
+
+    if (values.category !== undefined && !SEQUENCE_CATEGORIES.includes(values.category)) {
+      throw validationError(`category must be one of ${SEQUENCE_CATEGORIES.join(', ')}`);
+    }
+    if (values.exitConditions !== undefined &&
+      (typeof values.exitConditions !== 'object' || !Array.isArray(values.exitConditions?.outcomes || []))) {
+      throw validationError('exitConditions must be an object with a list of outcomes');
+    }
+    return values;
+  }
+
+  /**
+   * Create a sequence; step problems come back as a SequelizeValidationError
+   */
+  createSequence(data = {}, user = null) {
+    if (!data.name || !String(data.name).trim()) throw validationError('name is required');
+    return FollowupSequence.create({
+      ...this.pickSequenceFields(data),
+      createdBy: user?.id !== undefined ? String(user.id) : null
+    });
+  }
+
+  /**
+   * Update a sequence; open enrollments pick up step changes at their next step
+   */
+  updateSequence(sequence, data = {}) {
+    return sequence.update(this.pickSequenceFields(data));
+  }
+
+  /**
+   * A sequence's enrollments, newest first
+   * @returns {Promise<Object>} { enrollments, total, page, limit }
+   */
+  async listEnrollments(sequenceId, { status, page, limit } = {}) {
+    const where = { sequenceId };
+    if (status) {
+      if (!ENROLLMENT_STATUSES.includes(status)) {
+        throw validationError(`status must be one of ${ENROLLMENT_STATUSES.join(', ')}`);
+      }
+      where.status = status;
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const { rows, count } = await SequenceEnrollment.findAndCountAll({
+      where,
+      order: [['enrolledAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    return { enrollments: rows, total: count, page: pageNumber, limit: pageSize };
+  }
+
+  findEnrollment(id) {
+    return SequenceEnrollment.findByPk(id);
+  }
+
+  findOpenForLead(leadId, sequenceId = null) {
+    const where = { leadId: String(leadId), status: OPEN_ENROLLMENT_STATUSES };
+    if (sequenceId) where.sequenceId = sequenceId;
+    return SequenceEnrollment.findAll({ where });
+  }
+
+  /**
+   * Whether a lead is flagged do-not-call or its number is on the DNC list
+   */
+  async isDoNotCall(lead) {
+    if (lead.doNotCall) return true;
+    if (!lead.phone) return false;
+    return (await callComplianceService.getBlockedNumbers([lead.phone])).size > 0;
+  }
+
+  /**
+   * Enroll a lead and schedule its first step
+   * @param {Object} options - { userId, fallbackUserId, source, automationRuleId, startStep, at }
+   *   userId owns the sequence's follow-ups; without it the lead's assignee does, then fallbackUserId
+   */
+  async enrollLead(sequence, leadId, options = {}) {
+    const {
+      userId,
+      fallbackUserId = null,
+      source = 'manual',
+      automationRuleId = null,
+      startStep = 1,
+      at = new Date()
+    } = options;
+
+    if (!sequence.isActive) {
+      throw validationError(`Sequence ${sequence.name} is not active`);
+    }
+
+    const lead = await followupService.findLead(leadId);
+    if (!lead) {
+      throw validationError(`Lead ${leadId} not found`);
+    }
+    if (await this.isDoNotCall(lead)) {
+      throw validationError(`Lead ${leadId} is do-not-call`);
+    }
+
+    const open = await this.findOpenForLead(lead.id, sequence.id);
+    if (open.length > 0) {
+      throw validationError(`Lead ${leadId} is already enrolled in ${sequence.name}`);
+    }
+
+    const step = sequence.getStep(Number(startStep));
+    if (!step) {
+      throw validationError(`Sequence ${sequence.name} has no step ${startStep}`);
+    }
+
+    const ownerId = userId || lead.assignedTo || fallbackUserId;
+    if (!ownerId) {
+      throw validationError(`Lead ${leadId} has no owner to assign sequence follow-ups to`);
+    }
+
+    const enrollment = await SequenceEnrollment.create({
+      sequenceId: sequence.id,
+      leadId: String(lead.id),
+      userId: String(ownerId),
+      currentStep: step.order,
+      source,
+      automationRuleId: automationRuleId ? String(automationRuleId) : null,
+      enrolledAt: at
+    });
+
+    await this.startStep(enrollment, sequence, step, lead, at);
+    await sequence.increment('enrollmentCount');
+
+    return enrollment;
+  }
+
+  /**
+   * Enroll many leads; one failure does not stop the rest
+   * @returns {Promise<Array>} [{ leadId, success, enrollmentId, error }]
+   */
+  async bulkEnroll(sequence, leadIds, options = {}) {
+    const results = [];
+
+    for (const leadId of leadIds) {
+      try {
+        const enrollment = await this.enrollLead(sequence, leadId, { source: 'bulk', ...options });
+        results.push({ leadId, success: true, enrollmentId: enrollment.id });
+      } catch (error) {
+        results.push({ leadId, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Make a step current: wait steps only set nextActionAt, the rest create a follow-up
+   */
+  async startStep(enrollment, sequence, step, lead, baseDate = new Date()) {
+    enrollment.currentStep = step.order;
+
+    if (step.type === 'wait') {
+      enrollment.currentFollowupId = null;
+      enrollment.nextActionAt = sequence.calculateStepDate(step, baseDate);
+      return enrollment.save();
+    }
+
+    const values = { leadName: getLeadName(lead), stepNumber: step.order, sequenceName: sequence.name };
+    const followup = await Followup.create({
+      leadId: enrollment.leadId,
+      userId: enrollment.userId,
+      sequenceId: sequence.id,
+      sequenceStep: step.order,
+      type: step.type || 'call',
+      priority: step.priority || 'medium',
+      title: interpolate(step.title, values) || `${sequence.name}: step ${step.order}`,
+      description: step.description ? interpolate(step.description, values) : null,
+      scheduledFor: sequence.calculateStepDate(step, baseDate),
+      duration: step.duration || 30,
+      teamId: sequence.teamId || null,
+      assignment: { type: 'manual' },
+      createdVia: 'sequence'
+    });
+
+    enrollment.currentFollowupId = followup.id;
+    enrollment.nextActionAt = followup.scheduledFor;
+    return enrollment.save();
+  }
+
+  recordCurrentStep(enrollment, sequence, outcome, followupId, transition = null) {
+    const step = sequence.getStep(enrollment.currentStep);
+
+    enrollment.recordStep({
+      step: enrollment.currentStep,
+      type: step ? step.type || 'call' : null,
+      followupId,
+      outcome,
+      nextStep: transition && transition.action === 'goto' ? transition.step : null
+    });
+  }
+
+  /**
+   * Advance the enrollment that owns a just-completed follow-up. Meeting outcomes and the
+   * sequence's exit outcomes end the enrollment; anything else follows the step's branches.
+   * @returns {Promise<Object|null>} The enrollment, or null when the follow-up is not a current sequence step
+   */
+  async handleFollowupCompleted(followup) {
+    if (!followup.sequenceId) return null;
+
+    const enrollment = await SequenceEnrollment.findOne({
+      where: { currentFollowupId: followup.id, status: OPEN_ENROLLMENT_STATUSES }
+    });
+    if (!enrollment) return null;
+
+    const sequence = await FollowupSequence.findByPk(enrollment.sequenceId);
+    const { outcome } = followup;
+
+    if (MEETING_OUTCOMES.includes(outcome)) {
+      this.recordCurrentStep(enrollment, sequence, outcome, followup.id);
+      return this.exitEnrollment(enrollment, 'meeting_booked', { outcome });
+    }
+
+    const exitOutcomes = (sequence.exitConditions && sequence.exitConditions.outcomes) || [];
+    if (exitOutcomes.includes(outcome)) {
+      this.recordCurrentStep(enrollment, sequence, outcome, followup.id);
+      return this.exitEnrollment(enrollment, 'outcome', { outcome });
+    }
+
+    if (enrollment.status === 'paused') {
+      // Held until the enrollment is resumed
+      enrollment.metadata = { ...enrollment.metadata, pendingOutcome: { outcome, followupId: followup.id } };
+      return enrollment.save();
+    }
+
+    return this.advance(enrollment, sequence, outcome, followup.id);
+  }
+
+  /**
+   * Move past the current step, following any branch for its outcome
+   */
+  async advance(enrollment, sequence, outcome = null, followupId = null, at = new Date()) {
+    const step = sequence.getStep(enrollment.currentStep);
+    const transition = sequence.getTransition(step, outcome);
+
+    this.recordCurrentStep(enrollment, sequence, outcome, followupId, transition);
+
+    if (transition.action === 'exit') {
+      return this.exitEnrollment(enrollment, 'branch_exit', { outcome });
+    }
+    if (transition.action === 'complete') {
+      return this.completeEnrollment(enrollment, sequence, at);
+    }
+    if (!sequence.isActive) {
+      return this.exitEnrollment(enrollment, 'sequence_inactive');
+    }
+
+    const lead = await followupService.findLead(enrollment.leadId);
+    if (!lead) {
+      return this.exitEnrollment(enrollment, 'lead_missing');
+    }
+    if (await this.isDoNotCall(lead)) {
+      return this.exitEnrollment(enrollment, 'do_not_call');
+    }
+
+    return this.startStep(enrollment, sequence, sequence.getStep(transition.step), lead, at);
+  }
+
+  /**
+   * Take an enrollment out of its sequence and cancel its pending follow-up
+   */
+  async exitEnrollment(enrollment, reason, { outcome = null } = {}) {
+    if (enrollment.currentFollowupId) {
+      await Followup.update(
+        { status: 'cancelled' },
+        { where: { id: enrollment.currentFollowupId, status: { [Op.notIn]: CLOSED_STATUSES } } }
+      );
+    }
+
+    enrollment.status = 'exited';
+    enrollment.exitReason = reason;
+    enrollment.exitStep = enrollment.currentStep;
+    enrollment.exitedAt = new Date();
+    enrollment.nextActionAt = null;
+    if (outcome) {
+      enrollment.metadata = { ...enrollment.metadata, exitOutcome: outcome };
+    }
+    await enrollment.save();
+
+    if (reason === 'meeting_booked') {
+      await FollowupSequence.increment('conversionCount', { where: { id: enrollment.sequenceId } });
+    }
+
+    return enrollment;
+  }
+
+  async completeEnrollment(enrollment, sequence, at = new Date()) {
+    enrollment.status = 'completed';
+    enrollment.completedAt = at;
+    enrollment.currentFollowupId = null;
+    enrollment.nextActionAt = null;
+    await enrollment.save();
+
+    // Running average so stats never need a full scan
+    const days = (at - new Date(enrollment.enrolledAt)) / DAY_MS;
+    const completed = sequence.completionCount || 0;
+    await sequence.update({
+      completionCount: completed + 1,
+      averageCompletionTime: ((sequence.averageCompletionTime || 0) * completed + days) / (completed + 1)
+    });
+
+    return enrollment;
+  }
+
+  /**
+   * Exit every open enrollment for a lead after a reply, booked meeting or DNC flag
+   * @returns {Promise<number>} Enrollments exited
+   */
+  async handleLeadEvent(leadId, event) {
+    if (!LEAD_EXIT_EVENTS.includes(event)) {
+      throw validationError(`event must be one of ${LEAD_EXIT_EVENTS.join(', ')}`);
+    }
+
+    const enrollments = await this.findOpenForLead(leadId);
+    for (const enrollment of enrollments) {
+      await this.exitEnrollment(enrollment, event);
+    }
+
+    return enrollments.length;
+  }
+
+  /**
+   * Stop or resume an enrollment without losing its place; a step finished while paused
+   * moves on when it is resumed
+   * @returns {Promise<Object|null>} The enrollment, or null when it is not open
+   */
+  async setPaused(enrollment, paused) {
+    if (!enrollment.isOpen()) return null;
+
+    enrollment.status = paused ? 'paused' : 'active';
+    const { pendingOutcome, ...metadata } = enrollment.metadata || {};
+    if (paused || !pendingOutcome) {
+      return enrollment.save();
+    }
+
+    enrollment.metadata = metadata;
+    const sequence = await FollowupSequence.findByPk(enrollment.sequenceId);
+    return this.advance(enrollment, sequence, pendingOutcome.outcome, pendingOutcome.followupId);
+  }
+
+  /**
+   * Drop leads that became do-not-call and advance wait steps that are due
+   * @returns {Promise<Object>} { advanced, exited }
+   */
+  async processDueEnrollments(now = new Date()) {
+    let advanced = 0;
+    let exited = 0;
+
+    for (let offset = 0; ; offset += this.batchSize) {
+      const open = await SequenceEnrollment.findAll({
+        where: { status: OPEN_ENROLLMENT_STATUSES },
+        order: [['enrolledAt', 'ASC']],
+        limit: this.batchSize,
+        offset
+      });
+
+      let pageExited = 0;
+      for (const enrollment of open) {
+        const lead = await followupService.findLead(enrollment.leadId);
+        if (lead && await this.isDoNotCall(lead)) {
+          await this.exitEnrollment(enrollment, 'do_not_call');
+          pageExited++;
+        }
+      }
+      exited += pageExited;
+      if (open.length < this.batchSize) break;
+      // Exited enrollments left the open set, so the next page starts that much earlier
+      offset -= pageExited;
+    }
+
+    const due = await SequenceEnrollment.findAll({
+      where: {
+        status: 'active',
+        currentFollowupId: null,
+        nextActionAt: { [Op.lte]: now }
+      },
+      order: [['nextActionAt', 'ASC']],
+      limit: this.batchSize
+    });
+
+    const sequences = new Map();
+    for (const enrollment of due) {
+      try {
+        if (!sequences.has(enrollment.sequenceId)) {
+          sequences.set(enrollment.sequenceId, await FollowupSequence.findByPk(enrollment.sequenceId));
+        }
+        await this.advance(enrollment, sequences.get(enrollment.sequenceId), null, null, now);
+        advanced++;
+      } catch (error) {
+        console.error(`Failed to advance sequence enrollment ${enrollment.id}:`, error.message);
+      }
+    }
+
+    return { advanced, exited };
+  }
+
+  /**
+   * Enrollment totals, exit reasons and per-step drop-off for a sequence
+   */
+  async getSequenceStats(sequence) {
+    const enrollments = await SequenceEnrollment.findAll({
+      where: { sequenceId: sequence.id },
+      attributes: ['status', 'currentStep', 'exitReason', 'exitStep', 'history']
+    });
+
+    const countBy = (items, key) => items.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    const byStatus = countBy(enrollments, 'status');
+    const exitedEnrollments = enrollments.filter(enrollment => enrollment.status === 'exited');
+    const total = enrollments.length;
+    const finishedStep = (enrollment, order) => (enrollment.history || []).some(entry => entry.step === order);
+
+    const steps = [...sequence.steps]
+      .sort((a, b) => a.order - b.order)
+      .map(step => {
+        const reached = enrollments.filter(enrollment =>
+          enrollment.currentStep === step.order || finishedStep(enrollment, step.order)
+        ).length;
+        const droppedOff = exitedEnrollments.filter(enrollment => enrollment.exitStep === step.order).length;
+
+        return {
+          order: step.order,
+          type: step.type || 'call',
+          title: step.title || null,
+          reached,
+          finished: enrollments.filter(enrollment => finishedStep(enrollment, step.order)).length,
+          inProgress: enrollments.filter(enrollment =>
+            enrollment.isOpen() && enrollment.currentStep === step.order
+          ).length,
+          droppedOff,
+          dropOffRate: reached > 0 ? droppedOff / reached : 0
+        };
+      });
+
+    return {
+      sequenceId: sequence.id,
+      name: sequence.name,
+      totalEnrollments: total,
+      active: byStatus.active || 0,
+      paused: byStatus.paused || 0,
+      completed: byStatus.completed || 0,
+      exited: byStatus.exited || 0,
+      exitReasons: countBy(exitedEnrollments, 'exitReason'),
+      completionRate: total > 0 ? (byStatus.completed || 0) / total : 0,
+      meetingRate: total > 0 ? (countBy(exitedEnrollments, 'exitReason').meeting_booked || 0) / total : 0,
+      averageCompletionDays: sequence.averageCompletionTime,
+      steps
+    };
+  }
+
+  /**
+   * Process due enrollments now and then every intervalMinutes
+   */
+  startSchedule() {
+    if (this.scheduleInterval) return;
+
+    const run = async () => {
+      // A slow run isn't started again on top of itself
+      if (this.processing) return;
+      this.processing = true;
+      try {
+        const { advanced, exited } = await this.processDueEnrollments();
+        if (advanced > 0 || exited > 0) {
+          console.log(`Sequences: advanced ${advanced}, exited ${exited} enrollments`);
+        }
+      } catch (error) {
+        console.error('Sequence processing failed:', error.message);
+      } finally {
+        this.processing = false;
+      }
+    };
+    run();
+    this.scheduleInterval = setInterval(run, this.intervalMinutes * 60 * 1000);
+  }
+
+  stopSchedule() {
+    clearInterval(this.scheduleInterval);
+    this.scheduleInterval = null;
+  }
+}
+
+module.exports = new SequenceService();
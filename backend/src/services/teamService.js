@@ -0,0 +1,144 @@
+/**
+ * Team Service - Teams, their members' skills, capacity and out-of-office windows, and
+ * the territories that route leads to them
+ */
+
+const { Team, TeamMember, Territory } = require('../database/models');
+const { MEMBER_ROLES } = require('../database/models/TeamMember');
+
+const TEAM_FIELDS = ['name', 'description', 'isActive', 'managerId', 'defaultMaxOpenFollowups', 'defaultMaxDailyFollowups', 'timezone'];
+const MEMBER_FIELDS = ['role', 'isActive', 'skills', 'maxOpenFollowups', 'maxDailyFollowups', 'outOfOfficeFrom', 'outOfOfficeUntil', 'outOfOfficeReason'];
+const TERRITORY_FIELDS = ['name', 'isActive', 'priority', 'countries', 'states', 'zipPrefixes', 'industries', 'userIds'];
+const LIST_FIELDS = ['skills', 'countries', 'states', 'zipPrefixes', 'industries', 'userIds'];
+const LIMIT_FIELDS = ['defaultMaxOpenFollowups', 'defaultMaxDailyFollowups', 'maxOpenFollowups', 'maxDailyFollowups'];
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Allowed fields from a request body, checked for type
+ */
+const pickFields = (data, fields) => fields.reduce((picked, field) => {
+  const value = data[field];
+  if (value === undefined) return picked;
+
+  if (LIST_FIELDS.includes(field) && !Array.isArray(value)) {
+    throw validationError(`${field} must be a list`);
+  }
+  if (LIMIT_FIELDS.includes(field) && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+    throw validationError(`${field} must be a whole number of at least 0, or null for no limit`);
+  }
+  if (field === 'timezone' && !isValidTimeZone(value)) {
+    throw validationError(`Unknown time zone: ${value}`);
+  }
+  if (field === 'role' && !MEMBER_ROLES.includes(value)) {
+    throw validationError(`role must be one of ${MEMBER_ROLES.join(', ')}`);
+  }
+  if (field === 'managerId') {
+    picked[field] = value === null || value === '' ? null : String(value);
+    return picked;
+  }
+
+  picked[field] = value;
+  return picked;
+}, {});
+
+const listTeams = ({ isActive } = {}) => {
+  const where = {};
+  if (isActive !== undefined) where.isActive = String(isActive) === 'true';
+  return Team.findAll({ where, order: [['name', 'ASC']] });
+};
+
+const findTeam = (id) => Team.findByPk(id);
+
+const createTeam = (data = {}) => {
+  if (!data.name || !String(data.name).trim()) throw validationError('name is required');
+  return Team.create(pickFields(data, TEAM_FIELDS));
+};
+
+const updateTeam = (team, data = {}) => team.update(pickFields(data, TEAM_FIELDS));
+
+/**
+ * Add a user to a team, or update their skills, capacity and out-of-office window
+ * @returns {Promise<Object>} { member, created }
+ */
+const upsertMember = async (team, userId, data = {}) => {
+  const updates = pickFields(data, MEMBER_FIELDS);
+  const existing = await TeamMember.findOne({ where: { teamId: team.id, userId: String(userId) } });
+  if (existing) {
+    return { member: await existing.update(updates), created: false };
+  }
+  return { member: await TeamMember.create({ teamId: team.id, userId: String(userId), ...updates }), created: true };
+};
+
+const findMember = (teamId, userId) => TeamMember.findOne({ where: { teamId, userId: String(userId) } });
+
+/**
+ * Set a member's out-of-office window (from defaults to now, no until means open-ended),
+ * or clear it
+ * @param {Object} data - { from, until, reason, clear }
+ */
+const setOutOfOffice = (member, { from, until, reason, clear = false } = {}) => {
+  if (clear === true || clear === 'true') {
+    return member.update({ outOfOfficeFrom: null, outOfOfficeUntil: null, outOfOfficeReason: null });
+  }
+
+  const start = from ? new Date(from) : new Date();
+  const end = until ? new Date(until) : null;
+  if (Number.isNaN(start.getTime()) || (end && Number.isNaN(end.getTime()))) {
+    throw validationError('from and until must be valid dates');
+  }
+  if (end && end <= start) {
+    throw validationError('until must be after from');
+  }
+  return member.update({ outOfOfficeFrom: start, outOfOfficeUntil: end, outOfOfficeReason: reason || null });
+};
+
+const removeMember = (teamId, userId) => TeamMember.destroy({ where: { teamId, userId: String(userId) } });
+
+/**
+ * A team's territories, highest priority first
+ */
+const listTerritories = (teamId) => Territory.findAll({
+  where: { teamId },
+  order: [['priority', 'DESC'], ['name', 'ASC']]
+});
+
+const findTerritory = (id) => Territory.findByPk(id);
+
+const createTerritory = (team, data = {}) => {
+  if (!data.name || !String(data.name).trim()) throw validationError('name is required');
+  return Territory.create({ ...pickFields(data, TERRITORY_FIELDS), teamId: team.id });
+};
+
+const updateTerritory = (territory, data = {}) => territory.update(pickFields(data, TERRITORY_FIELDS));
+
+const deleteTerritory = (territory) => territory.destroy();
+
+module.exports = {
+  listTeams,
+  findTeam,
+  createTeam,
+  updateTeam,
+  upsertMember,
+  findMember,
+  setOutOfOffice,
+  removeMember,
+  listTerritories,
+  findTerritory,
+  createTerritory,
+  updateTerritory,
+  deleteTerritory
+};
@@ -73,7 +73,8 @@ class TwilioService {
       const callOptions = {
         from: from || this.phoneNumber,
         to: to,
-        url: options.twimlUrl || process.env.TWILIO_VOICE_WEBHOOK_URL,
+        // Inline TwiML (e.g. a conference leg) replaces the voice webhook
+        url: options.twiml ? undefined : (options.twimlUrl || process.env.TWILIO_VOICE_WEBHOOK_URL),
         statusCallback: options.statusCallback || process.env.TWILIO_STATUS_WEBHOOK_URL,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
         statusCallbackMethod: 'POST',
@@ -123,10 +124,26 @@ class TwilioService {
           const dial = twiml.dial(action.options || {});
           if (action.number) {
             dial.number(action.number);
+          } else if (action.parameters) {
+            // <Identity> plus <Parameter>s, read by the browser as call.customParameters
+            (action.clients || [action.client]).forEach(identity => {
+              const client = dial.client();
+              client.identity(identity);
+              Object.entries(action.parameters).forEach(([name, value]) => {
+                client.parameter({ name, value: String(value) });
+              });
+            });
+          } else if (action.clients) {
+            // Ring group: every client rings at once and the first to answer wins
+            action.clients.forEach(identity => dial.client(identity));
           } else if (action.client) {
             dial.client(action.client);
           }
           break;
+        case 'conference':
+          const conferenceDial = twiml.dial(action.options || {});
+          conferenceDial.conference(action.conferenceOptions || {}, action.room);
+          break;
         case 'record':
           twiml.record(action.options || {});
           break;
@@ -319,6 +336,7 @@ class TwilioService {
         .local.list({
           limit: options.limit || 20,
           areaCode: options.areaCode,
+          inRegion: options.inRegion,
           contains: options.contains,
           smsEnabled: options.smsEnabled !== false,
           voiceEnabled: options.voiceEnabled !== false,
@@ -347,6 +365,37 @@ class TwilioService {
     }
   }
 
+  /**
+   * Buy a phone number found with searchPhoneNumbers
+   */
+  async purchasePhoneNumber(phoneNumber, options = {}) {
+    if (!this.client) {
+      throw new Error('Twilio client not initialized');
+    }
+
+    try {
+      const number = await this.client.incomingPhoneNumbers.create({
+        phoneNumber,
+        friendlyName: options.friendlyName,
+        voiceUrl: options.voiceUrl || process.env.TWILIO_VOICE_WEBHOOK_URL,
+        statusCallback: options.statusCallback || process.env.TWILIO_STATUS_WEBHOOK_URL
+      });
+
+      return {
+        success: true,
+        sid: number.sid,
+        phoneNumber: number.phoneNumber,
+        friendlyName: number.friendlyName
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
   /**
    * Health check for Twilio service
    */
@@ -399,6 +448,37 @@ class TwilioService {
     return `+1${cleaned}`;
   }
 
+  /**
+   * Whether a voice webhook is for a call placed from an agent's browser (Voice SDK
+   * device.connect). Twilio reports these as Direction=inbound with From=client:<identity>,
+   * so Direction alone cannot tell them apart from PSTN callers.
+   */
+  isBrowserDial(params = {}) {
+    return String(params.From || '').startsWith('client:');
+  }
+
+  /**
+   * Origin Twilio can reach us on, taken from the voice webhook URL
+   */
+  getPublicBaseUrl() {
+    try {
+      return new URL(process.env.TWILIO_VOICE_WEBHOOK_URL).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a webhook request really comes from Twilio: X-Twilio-Signature must match
+   * the public URL Twilio requested and the POSTed parameters, signed with the auth token
+   */
+  isValidWebhookRequest(signature, path, params = {}) {
+    const baseUrl = this.getPublicBaseUrl();
+    if (!this.authToken || !signature || !baseUrl) return false;
+
+    return twilio.validateRequest(this.authToken, signature, `${baseUrl}${path}`, params);
+  }
+
   /**
    * Generate client configuration for frontend
    */
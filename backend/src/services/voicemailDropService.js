@@ -0,0 +1,210 @@
+/**
+ * Voicemail Drop Service - Pre-recorded voicemail drops and answering-machine detection
+ *
+ * A drop plays a clip from the audio library into the prospect's leg, releases the
+ * agent straight away and logs the call as Voicemail with the clip id. Twilio calls
+ * are redirected to <Play> + <Hangup>; browser SIP calls play the clip themselves and
+ * report the drop here. Twilio's async AMD posts back once the greeting ends, and a
+ * call started with an auto-drop clip drops it after the beep without the agent.
+ */
+
+const crypto = require('crypto');
+const TwilioService = require('./twilioService');
+const audioFileModel = require('../models/audioFileModel');
+const { audioClips } = require('../data/dataStore');
+const { isHandedOff, releaseAgentLeg } = require('./callTransferService');
+
+const DROP_TRIGGERS = ['manual', 'amd'];
+const VOICEMAIL_CATEGORY = 'voicemail';
+const ENDED_STATUSES = ['ended', 'failed', 'completed'];
+const MACHINE_END_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+const AUDIO_URL_TTL_MS = 60 * 60 * 1000;
+const AUDIO_PATH = '/api/twilio/voicemail-audio';
+
+const providerError = (message) => {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  return error;
+};
+
+// Without JWT_SECRET, links only stay valid for the life of this process
+const AUDIO_SIGNING_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signAudio = (fileId, expires) =>
+  crypto.createHmac('sha256', AUDIO_SIGNING_SECRET).update(`${fileId}:${expires}`).digest('hex');
+
+/**
+ * Uploaded files are behind auth, so Twilio and the browser's audio player get a
+ * short-lived signed URL instead
+ */
+const buildSignedAudioPath = (fileId, now = Date.now()) => {
+  const expires = now + AUDIO_URL_TTL_MS;
+  return `${AUDIO_PATH}/${fileId}?expires=${expires}&signature=${signAudio(fileId, expires)}`;
+};
+
+const verifyAudioSignature = (fileId, { expires, signature } = {}, now = Date.now()) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < now || !signature) return false;
+
+  const expected = Buffer.from(signAudio(fileId, expiresAt));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const toClip = (clip, source, playbackUrl) => ({
+  id: String(clip.id),
+  name: clip.name || clip.originalName,
+  category: clip.category,
+  duration: clip.duration || clip.metadata?.duration || null,
+  source,
+  playbackUrl
+});
+
+/**
+ * Find a clip in the uploaded audio files or the audio clip library
+ * @returns {Promise<Object|null>} { id, name, category, duration, source, playbackUrl }
+ */
+const getVoicemailClip = async (clipId) => {
+  if (clipId === undefined || clipId === null || clipId === '') return null;
+
+  const upload = await audioFileModel.findById(String(clipId));
+  if (upload) {
+    return toClip(upload, 'upload', buildSignedAudioPath(upload.id));
+  }
+
+  const clip = audioClips.find(entry => String(entry.id) === String(clipId));
+  return clip ? toClip(clip, 'library', clip.url) : null;
+};
+
+/**
+ * Clips in the voicemail category from both audio stores
+ */
+const listVoicemailClips = async () => {
+  const uploads = await audioFileModel.findWithFilters({ category: VOICEMAIL_CATEGORY });
+  const library = audioClips.filter(clip => clip.category === VOICEMAIL_CATEGORY);
+
+  return [
+    ...library.map(clip => toClip(clip, 'library', clip.url)),
+    ...uploads.map(upload => toClip(upload, 'upload', buildSignedAudioPath(upload.id)))
+  ];
+};
+
+const toAbsoluteUrl = (url) => {
+  if (/^https?:\/\//i.test(url)) return url;
+
+  const baseUrl = TwilioService.getPublicBaseUrl();
+  if (!baseUrl) {
+    throw new Error('Voicemail drops on Twilio calls need TWILIO_VOICE_WEBHOOK_URL to build a public clip URL');
+  }
+  return `${baseUrl}${url}`;
+};
+
+const buildVoicemailDropTwiml = (audioUrl) => TwilioService.generateTwiML([
+  { type: 'play', url: audioUrl },
+  { type: 'hangup' }
+]);
+
+/**
+ * Play a clip into the prospect's leg, release the agent and log the call as Voicemail
+ * @param {Object} call - Call log
+ * @param {Object} clip - From getVoicemailClip
+ * @param {Object} options - { trigger: 'manual'|'amd', requestedBy }
+ * @returns {Object} The recorded drop
+ */
+const dropVoicemail = async (call, clip, { trigger = 'manual', requestedBy = null } = {}) => {
+  if (call.voicemailDrop) {
+    throw new Error('A voicemail was already dropped on this call');
+  }
+  if (ENDED_STATUSES.includes(call.status) || isHandedOff(call)) {
+    throw new Error('Call is no longer active');
+  }
+
+  if (call.twilioCallSid) {
+    const result = await TwilioService.updateCall(call.twilioCallSid, {
+      twiml: buildVoicemailDropTwiml(toAbsoluteUrl(clip.playbackUrl))
+    });
+    if (!result.success) {
+      throw providerError(`Twilio call update failed: ${result.error}`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  releaseAgentLeg(call, 'voicemail_drop', now);
+
+  const drop = {
+    clipId: clip.id,
+    clipName: clip.name,
+    trigger,
+    provider: call.twilioCallSid ? 'twilio' : 'sip',
+    answeredBy: call.amd?.answeredBy || null,
+    requestedBy,
+    droppedAt: now
+  };
+  call.voicemailDrop = drop;
+  call.status = 'ended';
+  call.endTime = now;
+  call.outcome = 'Voicemail';
+  call.disposition = 'voicemail_drop';
+
+  return drop;
+};
+
+/**
+ * Twilio options that turn on async answering-machine detection for a new call
+ * @returns {Object} Empty when no public callback URL is configured
+ */
+const buildMachineDetectionOptions = (callId) => {
+  const baseUrl = TwilioService.getPublicBaseUrl();
+  if (!baseUrl) {
+    console.warn('⚠️ Answering-machine detection needs TWILIO_VOICE_WEBHOOK_URL; calling without it');
+    return {};
+  }
+
+  return {
+    machineDetection: 'DetectMessageEnd',
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: `${baseUrl}/api/twilio/amd?callId=${callId}`,
+    asyncAmdStatusCallbackMethod: 'POST'
+  };
+};
+
+/**
+ * Record an AMD result (Twilio AnsweredBy or the SIP heuristic) and auto-drop after
+ * the beep when the call was started with an auto-drop clip
+ * @returns {Promise<Object>} { amd, drop, clip } - drop and clip are null unless a drop was made;
+ *          browser SIP calls play the returned clip themselves
+ */
+const handleMachineDetection = async (call, { answeredBy, detectionMs = null }) => {
+  call.amd = {
+    ...(call.amd || { autoDropClipId: null }),
+    answeredBy,
+    detectionMs,
+    detectedAt: new Date().toISOString()
+  };
+
+  const autoDropClipId = call.amd.autoDropClipId;
+  if (!MACHINE_END_RESULTS.includes(answeredBy) || !autoDropClipId || call.voicemailDrop) {
+    return { amd: call.amd, drop: null, clip: null };
+  }
+
+  const clip = await getVoicemailClip(autoDropClipId);
+  if (!clip) {
+    console.warn('⚠️ Auto-drop clip no longer exists:', { callId: call.id, clipId: autoDropClipId });
+    return { amd: call.amd, drop: null, clip: null };
+  }
+
+  const drop = await dropVoicemail(call, clip, { trigger: 'amd' });
+  return { amd: call.amd, drop, clip };
+};
+
+module.exports = {
+  DROP_TRIGGERS,
+  MACHINE_END_RESULTS,
+  getVoicemailClip,
+  listVoicemailClips,
+  verifyAudioSignature,
+  buildVoicemailDropTwiml,
+  dropVoicemail,
+  buildMachineDetectionOptions,
+  handleMachineDetection
+};
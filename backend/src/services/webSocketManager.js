@@ -224,6 +224,16 @@ class WebSocketManager extends EventEmitter {
     });
   }
 
+  /**
+   * Send a desktop notification; clients show the ones for their own user
+   */
+  sendNotification(userId, notification) {
+    this.broadcast('notifications', {
+      type: 'desktopNotification',
+      data: { ...notification, userId }
+    });
+  }
+
   /**
    * Broadcast Twilio test call events
    */
@@ -0,0 +1,139 @@
+/**
+ * Widget Source Service
+ * The analytics and call analytics endpoints a dashboard widget can be bound to, each with
+ * the service call that produces its data, so widgets (and shared dashboards, which have no
+ * login) load the same data as the endpoint without going through the HTTP routers
+ */
+
+const analyticsModel = require('../models/analyticsModel');
+const callAnalyticsModel = require('../models/callAnalyticsModel');
+const analyticsService = require('./analyticsService');
+const conversionModelService = require('./conversionModelService');
+const forecastingService = require('./forecastingService');
+const { analyticsParamsError } = require('../middleware/analyticsValidation');
+
+const dateRangeOf = ({ start_date, end_date }) => (start_date && end_date ? { start: start_date, end: end_date } : null);
+
+/**
+ * The query keys that are set, for the model filters
+ */
+const pick = (query, keys) => keys.reduce((filters, key) => {
+  if (query[key]) filters[key] = query[key];
+  return filters;
+}, {});
+
+const callPerformance = (query, keys = []) => callAnalyticsModel.getCallPerformanceAnalytics(dateRangeOf(query), pick(query, keys));
+
+const forecastScope = ({ period = 'quarter', scope = 'company', scope_id }) => ({ period, scope, scopeId: scope_id });
+
+// Endpoint -> loader(query) resolving to the data that endpoint responds with. Per-agent
+// coaching and ad hoc filtering take request-specific input and aren't offered as widgets.
+const SOURCES = {
+  analytics: {
+    '/api/analytics/leads': (query) => analyticsModel.getLeadMetrics(dateRangeOf(query),
+      pick(query, ['lead_source', 'status', 'priority', 'industry', 'assigned_to'])),
+    '/api/analytics/conversion': (query) => analyticsModel.getConversionFunnel(dateRangeOf(query), pick(query, ['lead_source', 'agent_id'])),
+    '/api/analytics/sources': (query) => analyticsModel.getSourceAttribution(dateRangeOf(query)),
+    '/api/analytics/agents': async (query) => {
+      const agentData = await analyticsModel.getAgentPerformance(dateRangeOf(query), pick(query, ['agent_id']));
+      if (query.agent_id) {
+        agentData.agents = { [query.agent_id]: agentData.agents[query.agent_id] };
+      }
+      return agentData;
+    },
+    '/api/analytics/forecasting': (query) => forecastingService.getForecastOverview({
+      dateRange: dateRangeOf(query),
+      forecastPeriod: parseInt(query.forecast_period) || 30,
+      historyDays: parseInt(query.history_days) || 90,
+      period: query.period || 'quarter'
+    }),
+    '/api/analytics/forecasting/accuracy': (query) => forecastingService.getForecastAccuracy(forecastScope(query)),
+    '/api/analytics/forecasting/snapshots': (query) => forecastingService.listSnapshots({ ...forecastScope(query), limit: query.limit }),
+    '/api/analytics/dashboard': (query) => analyticsService.getDashboardOverview(dateRangeOf(query)),
+    '/api/analytics/real-time': () => analyticsService.getTodayMetrics(),
+    '/api/analytics/kpis': (query) => analyticsService.getKPIs(dateRangeOf(query)),
+    '/api/analytics/cohorts': (query) => analyticsService.generateCohortAnalysis(dateRangeOf(query), {
+      maxWeeks: parseInt(query.max_weeks) || 12
+    }),
+    '/api/analytics/attribution': (query) => analyticsService.generateAttributionModel(dateRangeOf(query), {
+      halfLifeDays: parseInt(query.half_life_days) || 7
+    }),
+    '/api/analytics/journeys': (query) => analyticsService.analyzeCustomerJourney(dateRangeOf(query), {
+      limit: parseInt(query.limit) || 10
+    }),
+    '/api/analytics/conversion-model': (query) => conversionModelService.getOverview({ limit: parseInt(query.limit) || 20 })
+  },
+  'call-analytics': {
+    '/api/call-analytics/performance': (query) => callPerformance(query, ['agent_id', 'lead_source', 'outcome']),
+    '/api/call-analytics/agent-scorecards': (query) => callAnalyticsModel.generateAgentScorecards(dateRangeOf(query), query.agent_id),
+    '/api/call-analytics/quality-analysis': (query) => callAnalyticsModel.analyzeCallQuality(dateRangeOf(query), {
+      ...pick(query, ['agent_id']),
+      quality_threshold: parseFloat(query.quality_threshold) || 3.0
+    }),
+    '/api/call-analytics/real-time-dashboard': () => callAnalyticsModel.generateRealTimeDashboard(),
+    '/api/call-analytics/volume-trends': async (query) => (await callPerformance(query)).volumeAnalysis,
+    '/api/call-analytics/connection-rates': async (query) => (await callPerformance(query, ['agent_id'])).connectionAnalysis,
+    '/api/call-analytics/duration-analysis': async (query) => (await callPerformance(query, ['agent_id'])).durationAnalysis,
+    '/api/call-analytics/outcome-distribution': async (query) => (await callPerformance(query, ['agent_id', 'lead_source'])).outcomeAnalysis,
+    '/api/call-analytics/timing-analysis': async (query) => (await callPerformance(query)).timingAnalysis
+  }
+};
+
+const LOADERS = new Map(Object.entries(SOURCES).flatMap(([group, loaders]) => (
+  Object.entries(loaders).map(([endpoint, load]) => [endpoint, { endpoint, group, load }])
+)));
+
+/**
+ * Endpoints widgets can be bound to
+ * @returns {Array<Object>} [{ endpoint, group }]
+ */
+const listSources = () => Array.from(LOADERS.values()).map(({ endpoint, group }) => ({ endpoint, group }));
+
+const isSupportedEndpoint = (endpoint) => LOADERS.has(endpoint);
+
+/**
+ * Widget params as the query strings the endpoint would receive; arrays repeat the key
+ */
+const toQuery = (params = {}) => {
+  const query = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    query[key] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+  return query;
+};
+
+const errorBody = (status, message) => ({ success: false, error: { message, status } });
+
+/**
+ * Load a widget's data with the same checks and service calls as its endpoint
+ * @param {string} endpoint - e.g. /api/analytics/kpis
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} { status, body } - body as the endpoint would send it
+ */
+const fetchSource = async (endpoint, params) => {
+  const source = LOADERS.get(endpoint);
+  if (!source) {
+    return { status: 400, body: errorBody(400, `Unsupported widget endpoint: ${endpoint}`) };
+  }
+
+  const query = toQuery(params);
+  const invalid = analyticsParamsError(query);
+  if (invalid) {
+    return { status: 400, body: errorBody(400, invalid) };
+  }
+
+  try {
+    const data = await source.load(query);
+    return { status: 200, body: { success: true, data, timestamp: new Date().toISOString() } };
+  } catch (error) {
+    console.error(`Error loading widget data from ${endpoint}:`, error);
+    return { status: 500, body: errorBody(500, 'Failed to load widget data') };
+  }
+};
+
+module.exports = {
+  listSources,
+  isSupportedEndpoint,
+  fetchSource
+};
@@ -297,6 +297,38 @@ describe('Analytics API Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('reportType is required');
     });
+
+    test('should download a PDF report', async () => {
+      const response = await request(app)
+        .post('/api/analytics/reports/generate')
+        .send({
+          reportType: 'summary',
+          dateRange: { start: '2024-01-01', end: '2024-01-31' },
+          sections: ['leads', 'sources'],
+          format: 'pdf'
+        })
+        .responseType('blob')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition'])
+        .toBe('attachment; filename="summary-analytics-report_2024-01-01_to_2024-01-31.pdf"');
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should download an Excel report', async () => {
+      const response = await request(app)
+        .post('/api/analytics/reports/generate')
+        .send({ reportType: 'detailed', sections: ['agents'], format: 'excel' })
+        .responseType('blob')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('spreadsheetml.sheet');
+      expect(response.headers['content-disposition'])
+        .toBe('attachment; filename="detailed-analytics-report_all-time.xlsx"');
+      // XLSX files are zip archives
+      expect(response.body.slice(0, 2).toString()).toBe('PK');
+    });
   });
 });
 
@@ -0,0 +1,165 @@
+/**
+ * Advanced Analytics Tests
+ * Cohort conversion curves, multi-touch attribution and status journey mining
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Activities go to a temp file instead of the tracked src/data/leadActivities.json
+const activitiesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-activities-'));
+process.env.LEAD_ACTIVITIES_FILE = path.join(activitiesDir, 'leadActivities.json');
+
+const { sequelize, Lead, EnhancedCallLog } = require('../../database/models');
+const analyticsService = require('../../services/analyticsService');
+const { logLeadActivity } = require('../../services/leadTracking');
+
+const DAY = 24 * 60 * 60 * 1000;
+let sequence = 0;
+
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Lead',
+    lastName: `Number${sequence}`,
+    company: `Company ${sequence}`,
+    email: `lead${sequence}@example.com`,
+    phone: `+1555${String(sequence).padStart(7, '0')}`,
+    ...overrides
+  });
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+// Status changes are timestamped now, so every win in these tests happens at test time
+const walkStatuses = async (lead, statuses) => {
+  for (let i = 1; i < statuses.length; i++) {
+    await logLeadActivity(lead.id, 'status_changed', {
+      previous_status: statuses[i - 1],
+      new_status: statuses[i]
+    });
+  }
+  await lead.update({ status: statuses[statuses.length - 1] });
+};
+
+describe('Advanced Analytics', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    // Referral: created 20 days ago, won through qualified
+    const referral = await createLead({ leadSource: 'referral', estimatedValue: 1000, createdAt: daysAgo(20) });
+    await walkStatuses(referral, ['new', 'contacted', 'qualified', 'closed_won']);
+    await EnhancedCallLog.bulkCreate([
+      { leadId: referral.id, phoneNumber: '+15550100000', direction: 'outbound', status: 'completed', initiatedAt: daysAgo(15) },
+      { leadId: referral.id, phoneNumber: '+15550100000', direction: 'outbound', status: 'completed', initiatedAt: daysAgo(1) }
+    ]);
+
+    // Cold list: won through a proposal, with a follow-up email along the way
+    const coldWin = await createLead({ leadSource: 'cold_list', estimatedValue: 500, createdAt: daysAgo(20) });
+    await logLeadActivity(coldWin.id, 'email_sent', { subject: 'Pricing' });
+    await walkStatuses(coldWin, ['new', 'contacted', 'proposal', 'closed_won']);
+
+    // Cold list: contacted then lost
+    const coldLoss = await createLead({ leadSource: 'cold_list', createdAt: daysAgo(20) });
+    await walkStatuses(coldLoss, ['new', 'contacted', 'closed_lost']);
+
+    // Won before status history was recorded
+    await createLead({ leadSource: 'referral', status: 'closed_won', createdAt: daysAgo(3) });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(activitiesDir, { recursive: true, force: true });
+  });
+
+  test('builds cohorts by creation week and source with cumulative conversion curves', async () => {
+    const cohorts = await analyticsService.generateCohortAnalysis(null, { maxWeeks: 4 });
+
+    expect(cohorts.totalLeads).toBe(4);
+
+    const coldList = cohorts.sources.find(source => source.source === 'cold_list');
+    expect(coldList).toMatchObject({ size: 2, converted: 1, conversionRate: 50 });
+    // Converted ~20 days after creation: nothing in weeks 0-1, half the cohort by week 2
+    expect(coldList.curve.slice(0, 3).map(point => point.rate)).toEqual([0, 0, 50]);
+
+    const cohort = cohorts.cohorts.find(entry => entry.source === 'cold_list');
+    expect(cohort.cohort).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(new Date(`${cohort.cohort}T00:00:00Z`).getUTCDay()).toBe(1);
+  });
+
+  test('leaves weeks a cohort has not reached off its curve', async () => {
+    const cohorts = await analyticsService.generateCohortAnalysis(null, { maxWeeks: 4, now: daysAgo(15) });
+
+    const coldList = cohorts.sources.find(source => source.source === 'cold_list');
+    expect(coldList.curve.length).toBeLessThan(4);
+  });
+
+  test('splits conversions across source, call and follow-up touches', async () => {
+    const attribution = await analyticsService.generateAttributionModel(null, { halfLifeDays: 7 });
+
+    expect(attribution.conversions).toBe(3);
+    expect(attribution.models).toEqual(['first_touch', 'last_touch', 'linear', 'time_decay']);
+
+    const byChannel = Object.fromEntries(attribution.channels.map(channel => [channel.channel, channel]));
+
+    // Every model hands out exactly one credit per conversion
+    attribution.models.forEach(model => {
+      const total = attribution.channels.reduce((sum, channel) => sum + channel.conversions[model], 0);
+      expect(total).toBeCloseTo(3, 1);
+    });
+
+    // Sources get all first-touch credit
+    expect(byChannel.referral.conversions.first_touch).toBe(2);
+    expect(byChannel.cold_list.conversions.first_touch).toBe(1);
+    expect(byChannel.Call.conversions.first_touch).toBe(0);
+
+    // The referral win's last touch was yesterday's call; the cold win's was the follow-up email
+    expect(byChannel.Call.conversions.last_touch).toBe(1);
+    expect(byChannel['Follow-up'].conversions.last_touch).toBe(1);
+
+    // Linear: the referral win had three touches, so each call earns a third
+    expect(byChannel.Call.conversions.linear).toBeCloseTo(2 / 3, 2);
+
+    // Time decay favours the recent call over the 20-day-old source touch
+    expect(byChannel.Call.conversions.time_decay).toBeGreaterThan(byChannel.Call.conversions.linear);
+    expect(byChannel.referral.value.first_touch).toBe(1000);
+  });
+
+  test('only attributes wins inside the date range', async () => {
+    const attribution = await analyticsService.generateAttributionModel({
+      start: daysAgo(60).toISOString(),
+      end: daysAgo(30).toISOString()
+    });
+
+    expect(attribution.conversions).toBe(0);
+    expect(attribution.channels).toEqual([]);
+  });
+
+  test('mines the most common status paths and transitions to closed_won', async () => {
+    const journeys = await analyticsService.analyzeCustomerJourney(null);
+
+    expect(journeys).toMatchObject({
+      target: 'closed_won',
+      totalLeads: 4,
+      trackedLeads: 3,
+      wonLeads: 2,
+      untrackedWins: 1,
+      averageSteps: 3
+    });
+
+    expect(journeys.paths.map(entry => entry.path)).toEqual(expect.arrayContaining([
+      ['new', 'contacted', 'qualified', 'closed_won'],
+      ['new', 'contacted', 'proposal', 'closed_won']
+    ]));
+    expect(journeys.paths[0].share).toBe(50);
+
+    expect(journeys.finalSteps).toEqual(expect.arrayContaining([
+      { from: 'qualified', to: 'closed_won', count: 1, share: 50 },
+      { from: 'proposal', to: 'closed_won', count: 1, share: 50 }
+    ]));
+
+    const contacted = journeys.transitions.find(transition => transition.from === 'new' && transition.to === 'contacted');
+    expect(contacted).toMatchObject({ leads: 3, won: 2, winRate: 66.7 });
+  });
+});
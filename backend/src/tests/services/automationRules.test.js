@@ -0,0 +1,269 @@
+/**
+ * Automation Rule Tests
+ * call_outcome and followup_completed triggers, follow-up and sequence enrollment actions,
+ * cooldowns, and dry runs through POST /api/followups/rules/:id/test
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  sequelize, Lead, Followup, FollowupSequence, SequenceEnrollment, AutomationRule
+} = require('../../database/models');
+const automationRuleService = require('../../services/automationRuleService');
+const followupService = require('../../services/followupService');
+const sequenceService = require('../../services/sequenceService');
+const automationRuleRoutes = require('../../routes/automationRules');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const agent = { id: 7, role: 'agent' };
+const manager = { id: 100, role: 'manager' };
+
+let leadCount = 0;
+const createLead = () => {
+  leadCount++;
+  return Lead.create({
+    firstName: 'Dana',
+    lastName: `Rule${leadCount}`,
+    company: `Rule Co ${leadCount}`,
+    email: `rule${leadCount}@example.com`,
+    phone: `+1212556${String(1000 + leadCount)}`,
+    assignedTo: '7'
+  });
+};
+
+const endedCall = (lead, outcome, hoursAgo = 0) => ({
+  id: `call-${lead.id}-${hoursAgo}`,
+  leadId: lead.id,
+  outcome,
+  createdAt: new Date(NOW.getTime() - hoursAgo * HOUR_MS).toISOString()
+});
+
+describe('Automation Rules', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await AutomationRule.destroy({ where: {} });
+    await SequenceEnrollment.destroy({ where: {} });
+    await FollowupSequence.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('call_outcome', () => {
+    test('creates a follow-up when the conditions hold', async () => {
+      const lead = await createLead();
+      const rule = await automationRuleService.createRule({
+        name: 'Retry unanswered',
+        triggerEvent: 'call_outcome',
+        conditions: { outcome: { $in: ['no_answer', 'voicemail'] } },
+        followupType: 'followup_call',
+        priority: 'high',
+        scheduleRule: { value: 2, unit: 'hours', businessHoursOnly: false },
+        titleTemplate: 'Call {{leadName}} back ({{outcome}})'
+      }, manager);
+
+      const { followups } = await automationRuleService.runTrigger('call_outcome', {
+        leadId: lead.id,
+        lead: lead.toJSON(),
+        call: endedCall(lead, 'No Answer'),
+        outcome: 'no_answer',
+        userId: '7'
+      }, { now: NOW });
+
+      expect(followups).toHaveLength(1);
+      expect(followups[0]).toMatchObject({
+        leadId: lead.id,
+        userId: '7',
+        type: 'followup_call',
+        priority: 'high',
+        title: `Call Dana Rule${leadCount} back (no_answer)`,
+        createdVia: 'automation',
+        metadata: { automationRuleId: rule.id }
+      });
+      expect(followups[0].scheduledFor).toEqual(new Date(NOW.getTime() + 2 * HOUR_MS));
+      expect(await rule.reload()).toMatchObject({ executionCount: 1, successCount: 1 });
+    });
+
+    test('matches call log outcomes and skips rules whose conditions fail', async () => {
+      const lead = await createLead();
+      await automationRuleService.createRule({
+        name: 'Voicemail only',
+        triggerEvent: 'call_outcome',
+        conditions: { outcome: 'voicemail' }
+      }, manager);
+
+      const missed = await automationRuleService.handleCallEnded(endedCall(lead, 'No Answer'), agent);
+      expect(missed.followups).toHaveLength(0);
+
+      const left = await automationRuleService.handleCallEnded(endedCall(lead, 'Voicemail'), agent);
+      expect(left.followups).toHaveLength(1);
+      expect(left.followups[0].callId).toBe(`call-${lead.id}-0`);
+    });
+
+    test('waits out the cooldown between runs', async () => {
+      const lead = await createLead();
+      const rule = await automationRuleService.createRule({
+        name: 'Once a day',
+        triggerEvent: 'call_outcome',
+        cooldownHours: 24
+      }, manager);
+      const context = { leadId: lead.id, lead: lead.toJSON(), outcome: 'no_answer', userId: '7' };
+
+      await automationRuleService.runTrigger('call_outcome', context, { now: NOW });
+      const again = await automationRuleService.runTrigger('call_outcome', context, { now: new Date(NOW.getTime() + HOUR_MS) });
+      expect(again.followups).toHaveLength(0);
+
+      const nextDay = await automationRuleService.runTrigger('call_outcome', context, { now: new Date(NOW.getTime() + DAY_MS) });
+      expect(nextDay.followups).toHaveLength(1);
+      expect((await rule.reload()).executionCount).toBe(2);
+    });
+  });
+
+  describe('enroll_sequence', () => {
+    test('enrolls the lead through the sequence service', async () => {
+      const lead = await createLead();
+      const sequence = await sequenceService.createSequence({
+        name: 'Nurture',
+        steps: [{ order: 1, type: 'email', title: 'Intro' }, { order: 2, type: 'call', title: 'Check in' }]
+      }, manager);
+      const rule = await automationRuleService.createRule({
+        name: 'Interested leads',
+        triggerEvent: 'call_outcome',
+        conditions: { outcome: 'interested' },
+        actions: [{ type: 'enroll_sequence', sequenceId: sequence.id, startStep: 2 }]
+      }, manager);
+      const enrollLead = jest.spyOn(sequenceService, 'enrollLead');
+
+      const { followups, enrollments } = await automationRuleService.handleCallEnded(endedCall(lead, 'Interested'), agent);
+
+      expect(followups).toHaveLength(0);
+      expect(enrollments).toHaveLength(1);
+      expect(enrollLead).toHaveBeenCalledWith(
+        expect.objectContaining({ id: sequence.id }),
+        lead.id,
+        expect.objectContaining({ userId: '7', source: 'automation_rule', automationRuleId: rule.id, startStep: 2 })
+      );
+      expect(enrollments[0]).toMatchObject({ source: 'automation_rule', automationRuleId: rule.id, currentStep: 2 });
+      enrollLead.mockRestore();
+    });
+
+    test('records a failed run when the sequence is missing', async () => {
+      const lead = await createLead();
+      const rule = await automationRuleService.createRule({
+        name: 'Stale sequence',
+        triggerEvent: 'call_outcome',
+        actions: [{ type: 'enroll_sequence', sequenceId: '6f1c2b1e-0000-4000-8000-000000000000' }, { type: 'create_followup' }]
+      }, manager);
+
+      const { followups, enrollments } = await automationRuleService.handleCallEnded(endedCall(lead, 'Busy'), agent);
+
+      expect(enrollments).toHaveLength(0);
+      expect(followups).toHaveLength(1);
+      expect(await rule.reload()).toMatchObject({ executionCount: 1, successCount: 0 });
+    });
+
+    test('rejects actions without a sequenceId', async () => {
+      await expect(automationRuleService.createRule({
+        name: 'Broken',
+        triggerEvent: 'call_outcome',
+        actions: [{ type: 'enroll_sequence' }]
+      }, manager)).rejects.toThrow('enroll_sequence needs a sequenceId');
+    });
+  });
+
+  describe('followup_completed', () => {
+    test('runs when a follow-up is completed', async () => {
+      const lead = await createLead();
+      await automationRuleService.createRule({
+        name: 'Send the proposal',
+        triggerEvent: 'followup_completed',
+        conditions: { outcome: 'proposal_requested' },
+        followupType: 'proposal',
+        titleTemplate: 'Proposal for {{leadCompany}}'
+      }, manager);
+      const followup = await followupService.createFollowup({
+        leadId: lead.id,
+        title: 'Discovery call',
+        scheduledFor: NOW
+      }, agent);
+
+      await followupService.completeFollowup(followup, { outcome: 'proposal_requested' }, agent);
+
+      const created = await Followup.findAll({ where: { createdVia: 'automation' } });
+      expect(created).toHaveLength(1);
+      expect(created[0]).toMatchObject({ type: 'proposal', title: `Proposal for Rule Co ${leadCount}`, userId: '7' });
+    });
+  });
+
+  describe('POST /api/followups/rules/:id/test', () => {
+    const buildApp = (user) => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+      app.use('/api/followups/rules', automationRuleRoutes);
+      return app;
+    };
+
+    let rule;
+    beforeEach(async () => {
+      rule = await automationRuleService.createRule({
+        name: 'Three strikes',
+        triggerEvent: 'call_outcome',
+        conditions: {
+          outcome: 'no_answer',
+          $calls: { where: { outcome: 'no_answer' }, within: '7d', count: { $gte: 3 } }
+        }
+      }, manager);
+    });
+
+    test('returns the clause trace without running the actions', async () => {
+      const callHistory = [1, 2, 3].map(days => ({
+        outcome: 'no_answer',
+        initiatedAt: new Date(NOW.getTime() - days * DAY_MS).toISOString()
+      }));
+
+      const res = await request(buildApp(manager))
+        .post(`/api/followups/rules/${rule.id}/test`)
+        .send({ context: { outcome: 'no_answer', callHistory }, now: NOW.toISOString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ ruleId: rule.id, passed: true, canExecute: true });
+      expect(res.body.data.clauses[1]).toMatchObject({ aggregate: '$calls', actual: 3, passed: true });
+      expect(await Followup.count()).toBe(0);
+    });
+
+    test('tries replacement conditions and explains invalid ones', async () => {
+      const replaced = await request(buildApp(manager))
+        .post(`/api/followups/rules/${rule.id}/test`)
+        .send({ conditions: { outcome: 'voicemail' }, context: { outcome: 'no_answer' } });
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.data.passed).toBe(false);
+
+      const invalid = await request(buildApp(manager))
+        .post(`/api/followups/rules/${rule.id}/test`)
+        .send({ conditions: { 'lead.score': { $between: [1, 5] } } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.details).toEqual(['lead.score: unknown operator $between']);
+    });
+
+    test('is for managers only and 404s for unknown rules', async () => {
+      const forbidden = await request(buildApp(agent)).post(`/api/followups/rules/${rule.id}/test`).send({});
+      expect(forbidden.status).toBe(403);
+
+      const missing = await request(buildApp(manager))
+        .post('/api/followups/rules/6f1c2b1e-0000-4000-8000-000000000000/test')
+        .send({});
+      expect(missing.status).toBe(404);
+    });
+  });
+});
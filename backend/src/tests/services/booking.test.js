@@ -0,0 +1,380 @@
+/**
+ * Booking Tests
+ * Open slots in the prospect's time zone, minimum notice, buffers, daily caps, round-robin
+ * pages, and bookings creating the follow-up, counting the meeting and sending the confirmation
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  sequelize, BookingPage, Followup, Lead, Team, TeamMember, MeetingInvite, NotificationSetting, NotificationDelivery
+} = require('../../database/models');
+const bookingService = require('../../services/bookingService');
+const notificationService = require('../../services/notificationService');
+const bookingRoutes = require('../../routes/booking');
+const bookingLinkRoutes = require('../../routes/bookingLinks');
+
+// A Wednesday; New York is on daylight time (UTC-4) since March 8
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const manager = { id: 100, role: 'manager', email: 'manager@example.com' };
+const agent = { id: 7, role: 'agent', email: 'agent7@example.com' };
+
+const QUESTIONS = [
+  { id: 'size', label: 'Team size', type: 'select', required: true, options: ['1-10', '11-50', '50+'] },
+  { id: 'goal', label: 'What would you like to cover?', type: 'textarea', required: false }
+];
+
+const recordingEmail = () => ({
+  name: 'email',
+  sent: [],
+  async send(message) {
+    this.sent.push(message);
+    return { success: true, messageId: `msg-${this.sent.length}`, transport: 'smtp' };
+  }
+});
+
+const buildApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/booking/public', bookingLinkRoutes);
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/booking', bookingRoutes);
+  return app;
+};
+
+const createPage = (fields = {}) => BookingPage.create({
+  slug: 'intro-call',
+  title: 'Intro call',
+  userId: '7',
+  timeZone: 'America/New_York',
+  questions: QUESTIONS,
+  ...fields
+});
+
+const prospect = (fields = {}) => ({
+  name: 'Avery Quinn',
+  email: 'Avery@Prospect.example.com',
+  phone: '+1 (212) 555-0142',
+  company: 'Prospect Co',
+  timeZone: 'Europe/London',
+  answers: { size: '11-50', goal: 'Pricing' },
+  ...fields
+});
+
+const slotStarts = (result) => result.days.flatMap(day => day.slots.map(slot => slot.start));
+
+describe('Booking', () => {
+  let email;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await MeetingInvite.destroy({ where: {} });
+    await NotificationDelivery.destroy({ where: {} });
+    await NotificationSetting.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+    await BookingPage.destroy({ where: {} });
+    await TeamMember.destroy({ where: {} });
+    await Team.destroy({ where: {} });
+
+    email = recordingEmail();
+    notificationService.setChannels({ ...notificationService.getChannels(), email });
+    await NotificationSetting.create({ userId: '7', email: agent.email, timeZone: 'America/New_York' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('slots', () => {
+    test('offers the weekly hours after the minimum notice, grouped by day in the prospect\'s time zone', async () => {
+      const page = await createPage();
+      const to = new Date(NOW.getTime() + 24 * HOUR_MS);
+
+      const london = await bookingService.getSlots(page, { to, timeZone: 'Europe/London', now: NOW });
+      expect(london.timeZone).toBe('Europe/London');
+      expect(london.durationMinutes).toBe(30);
+      // 4 hours of notice: 15:00 in New York is the first start today, 16:30 the last
+      expect(london.days[0]).toEqual({
+        date: '2026-03-11',
+        slots: [
+          { start: '2026-03-11T19:00:00.000Z', end: '2026-03-11T19:30:00.000Z', label: '7:00 PM' },
+          { start: '2026-03-11T19:30:00.000Z', end: '2026-03-11T20:00:00.000Z', label: '7:30 PM' },
+          { start: '2026-03-11T20:00:00.000Z', end: '2026-03-11T20:30:00.000Z', label: '8:00 PM' },
+          { start: '2026-03-11T20:30:00.000Z', end: '2026-03-11T21:00:00.000Z', label: '8:30 PM' }
+        ]
+      });
+      expect(london.days[1].slots[0]).toMatchObject({ start: '2026-03-12T13:00:00.000Z', label: '1:00 PM' });
+
+      // The same evening slots are the next morning in Tokyo
+      const tokyo = await bookingService.getSlots(page, { to, timeZone: 'Asia/Tokyo', now: NOW });
+      expect(tokyo.days[0].date).toBe('2026-03-12');
+      expect(tokyo.days[0].slots[0]).toMatchObject({ start: '2026-03-11T19:00:00.000Z', label: '4:00 AM' });
+    });
+
+    test('skips weekends and stops at maxDaysAhead', async () => {
+      const page = await createPage({ maxDaysAhead: 4, minimumNoticeMinutes: 0 });
+
+      const result = await bookingService.getSlots(page, { now: NOW });
+      expect(result.days.map(day => day.date)).toEqual(['2026-03-11', '2026-03-12', '2026-03-13']);
+    });
+
+    test('keeps the buffers clear around the agent\'s open follow-ups', async () => {
+      const page = await createPage({ bufferBeforeMinutes: 15, bufferAfterMinutes: 15 });
+      await Followup.create({
+        leadId: '1', userId: '7', title: 'Call', scheduledFor: new Date('2026-03-12T14:00:00.000Z'), duration: 30
+      });
+      await Followup.create({
+        leadId: '1', userId: '7', title: 'Done', status: 'completed', scheduledFor: new Date('2026-03-12T16:00:00.000Z')
+      });
+
+      const result = await bookingService.getSlots(page, {
+        from: '2026-03-12T13:00:00.000Z', to: '2026-03-12T17:00:00.000Z', now: NOW
+      });
+      expect(slotStarts(result)).toEqual([
+        '2026-03-12T13:00:00.000Z',
+        '2026-03-12T15:00:00.000Z',
+        '2026-03-12T15:30:00.000Z',
+        '2026-03-12T16:00:00.000Z',
+        '2026-03-12T16:30:00.000Z'
+      ]);
+    });
+
+    test('stops offering a day once the agent reaches the daily cap', async () => {
+      const page = await createPage({ dailyCap: 1 });
+
+      expect(await bookingService.book(page.id, prospect({ start: '2026-03-12T13:00:00.000Z' }), NOW)).not.toBeNull();
+
+      const result = await bookingService.getSlots(page, { to: new Date('2026-03-14T00:00:00.000Z'), now: NOW });
+      expect(result.days.map(day => day.date)).toEqual(['2026-03-11', '2026-03-13']);
+      expect(await bookingService.book(page.id, prospect({ start: '2026-03-12T18:00:00.000Z' }), NOW)).toBeNull();
+    });
+
+    test('rejects unknown time zones', async () => {
+      const page = await createPage();
+
+      await expect(bookingService.getSlots(page, { timeZone: 'Mars/Olympus', now: NOW }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('booking', () => {
+    test('creates the follow-up and lead, counts the meeting and confirms by email', async () => {
+      const page = await createPage({ confirmationMessage: 'Talk soon!' });
+
+      const result = await bookingService.book(page.id, prospect({ start: '2026-03-12T13:00:00.000Z' }), NOW);
+      expect(result).toMatchObject({ agentId: '7', confirmationSent: true });
+
+      const followup = await Followup.findByPk(result.followup.id);
+      expect(followup).toMatchObject({
+        userId: '7',
+        type: 'meeting',
+        status: 'scheduled',
+        priority: 'high',
+        title: 'Intro call with Avery Quinn',
+        duration: 30,
+        timezone: 'Europe/London',
+        createdVia: 'booking'
+      });
+      expect(followup.scheduledFor).toEqual(new Date('2026-03-12T13:00:00.000Z'));
+      expect(followup.description).toBe('Booked via booking page\nTeam size: 11-50\nWhat would you like to cover?: Pricing');
+      expect(followup.metadata.booking).toMatchObject({
+        bookingPageId: page.id,
+        inviteeEmail: 'avery@prospect.example.com',
+        answers: { size: '11-50', goal: 'Pricing' }
+      });
+
+      const lead = await Lead.findByPk(followup.leadId);
+      expect(lead).toMatchObject({
+        firstName: 'Avery',
+        lastName: 'Quinn',
+        company: 'Prospect Co',
+        phone: '+12125550142',
+        leadSource: 'booking_page',
+        assignedTo: '7',
+        meetingsScheduled: 1
+      });
+      expect(lead.nextFollowUpDate).toEqual(followup.scheduledFor);
+
+      // The prospect gets an invite from the agent, the agent a heads-up
+      const [confirmation, notice] = email.sent;
+      expect(confirmation.to).toBe('"Avery Quinn" <avery@prospect.example.com>');
+      expect(confirmation.replyTo).toBe(agent.email);
+      expect(confirmation.icalEvent.method).toBe('REQUEST');
+      expect(confirmation.subject).toContain('Intro call with Avery Quinn');
+      expect(confirmation.subject).toContain('GMT');
+      expect(confirmation.text).toContain('Talk soon!');
+      expect(notice).toMatchObject({ to: agent.email, template: 'meeting-booked' });
+      expect(notice.subject).toContain('Thursday, March 12 at 9:00 AM EDT');
+    });
+
+    test('matches returning prospects to their lead by email', async () => {
+      const page = await createPage();
+      const existing = await Lead.create({
+        firstName: 'Avery',
+        lastName: 'Quinn',
+        company: 'Prospect Co',
+        email: 'avery@prospect.example.com',
+        phone: '+12125550142',
+        meetingsScheduled: 2,
+        nextFollowUpDate: new Date('2026-03-11T20:00:00.000Z')
+      });
+
+      const result = await bookingService.book(page.id, prospect({ start: '2026-03-12T13:00:00.000Z' }), NOW);
+
+      expect(result.lead.id).toBe(existing.id);
+      await existing.reload();
+      expect(existing.meetingsScheduled).toBe(3);
+      // An earlier next follow-up is kept
+      expect(existing.nextFollowUpDate).toEqual(new Date('2026-03-11T20:00:00.000Z'));
+      expect(await Lead.count()).toBe(1);
+    });
+
+    test('refuses slots that are taken, outside the hours or inside the minimum notice', async () => {
+      const page = await createPage();
+      const start = '2026-03-12T13:00:00.000Z';
+
+      expect(await bookingService.book(page.id, prospect({ start }), NOW)).not.toBeNull();
+      expect(await bookingService.book(page.id, prospect({ start, email: 'second@example.com' }), NOW)).toBeNull();
+      expect(await bookingService.book(page.id, prospect({ start: '2026-03-12T12:00:00.000Z' }), NOW)).toBeNull();
+      expect(await bookingService.book(page.id, prospect({ start: '2026-03-11T16:00:00.000Z' }), NOW)).toBeNull();
+      expect(await bookingService.book(page.id, prospect({ start: '2026-03-12T13:10:00.000Z' }), NOW)).toBeNull();
+      expect(await Followup.count()).toBe(1);
+    });
+
+    test('validates the answers against the page\'s questions', async () => {
+      const page = await createPage();
+      const start = '2026-03-12T13:00:00.000Z';
+
+      await expect(bookingService.book(page.id, prospect({ start, answers: { goal: 'Pricing' } }), NOW))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: ['Team size is required'] });
+      await expect(bookingService.book(page.id, prospect({ start, answers: { size: 'huge' } }), NOW))
+        .rejects.toMatchObject({ details: ['Team size must be one of: 1-10, 11-50, 50+'] });
+      await expect(bookingService.book(page.id, prospect({ start, phone: undefined }), NOW))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(await Followup.count()).toBe(0);
+    });
+
+    test('round-robin pages rotate through the team and skip busy or out-of-office members', async () => {
+      const team = await Team.create({ name: 'East', managerId: '100' });
+      await TeamMember.create({ teamId: team.id, userId: '21', createdAt: new Date(NOW.getTime() - 2000) });
+      await TeamMember.create({ teamId: team.id, userId: '22', createdAt: new Date(NOW.getTime() - 1000) });
+      const page = await createPage({ assignment: 'round_robin', userId: null, teamId: team.id });
+      process.env.BOOKING_ORGANIZER_EMAIL = 'meetings@example.com';
+
+      try {
+        const first = await bookingService.book(page.id, prospect({ start: '2026-03-12T13:00:00.000Z' }), NOW);
+        const second = await bookingService.book(page.id, prospect({ start: '2026-03-12T14:00:00.000Z', email: 'b@example.com' }), NOW);
+        // 22 is next, but already booked at 14:00
+        const third = await bookingService.book(page.id, prospect({ start: '2026-03-12T14:00:00.000Z', email: 'c@example.com' }), NOW);
+
+        expect([first.agentId, second.agentId, third.agentId]).toEqual(['21', '22', '21']);
+        expect(first.followup).toMatchObject({ teamId: team.id, assignment: { type: 'round_robin' } });
+        expect(first.confirmationSent).toBe(true);
+        expect(email.sent[0].replyTo).toBe('meetings@example.com');
+        expect(await bookingService.book(page.id, prospect({ start: '2026-03-12T14:00:00.000Z', email: 'd@example.com' }), NOW))
+          .toBeNull();
+
+        await TeamMember.update(
+          { outOfOfficeFrom: new Date('2026-03-12T00:00:00.000Z'), outOfOfficeUntil: new Date('2026-03-13T00:00:00.000Z') },
+          { where: { userId: '22' } }
+        );
+        const slots = await bookingService.getSlots(page, {
+          from: '2026-03-12T13:00:00.000Z', to: '2026-03-12T15:00:00.000Z', now: NOW
+        });
+        // Only 21 is left, and they have 13:00 and 14:00
+        expect(slotStarts(slots)).toEqual(['2026-03-12T13:30:00.000Z', '2026-03-12T14:30:00.000Z']);
+      } finally {
+        delete process.env.BOOKING_ORGANIZER_EMAIL;
+      }
+    });
+  });
+
+  describe('API', () => {
+    test('prospects see the page, pick a slot and book it once', async () => {
+      await createPage({
+        minimumNoticeMinutes: 0,
+        timeZone: 'UTC',
+        weeklyHours: Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(day => [day, [{ start: '00:00', end: '23:59' }]]))
+      });
+      const app = buildApp(null);
+
+      const page = await request(app).get('/api/booking/public/intro-call').expect(200);
+      expect(page.body.data).toEqual({
+        slug: 'intro-call',
+        title: 'Intro call',
+        description: null,
+        durationMinutes: 30,
+        timeZone: 'UTC',
+        questions: [
+          { id: 'size', label: 'Team size', type: 'select', required: true, options: ['1-10', '11-50', '50+'] },
+          { id: 'goal', label: 'What would you like to cover?', type: 'textarea', required: false }
+        ]
+      });
+
+      const slots = await request(app).get('/api/booking/public/intro-call/slots')
+        .query({ timeZone: 'America/Chicago' })
+        .expect(200);
+      expect(slots.body.data.timeZone).toBe('America/Chicago');
+      const [start] = slotStarts(slots.body.data);
+
+      const invalid = await request(app).post('/api/booking/public/intro-call/bookings')
+        .send(prospect({ start, answers: {} }))
+        .expect(400);
+      expect(invalid.body.error.details).toEqual(['Team size is required']);
+
+      const booked = await request(app).post('/api/booking/public/intro-call/bookings')
+        .send(prospect({ start }))
+        .expect(201);
+      expect(booked.body.data).toMatchObject({ start, durationMinutes: 30, timeZone: 'Europe/London', confirmationSent: true });
+
+      await request(app).post('/api/booking/public/intro-call/bookings')
+        .send(prospect({ start, email: 'late@example.com' }))
+        .expect(409);
+    });
+
+    test('inactive and unknown pages are not found', async () => {
+      await createPage({ isActive: false });
+      const app = buildApp(null);
+
+      await request(app).get('/api/booking/public/intro-call').expect(404);
+      await request(app).get('/api/booking/public/nope/slots').expect(404);
+    });
+
+    test('managers create, update and deactivate pages; agents can only read them', async () => {
+      const managerApp = buildApp(manager);
+
+      const created = await request(managerApp).post('/api/booking/pages')
+        .send({ slug: 'demo', title: 'Demo', userId: 7, questions: QUESTIONS, dailyCap: 3 })
+        .expect(201);
+      expect(created.body.data).toMatchObject({ slug: 'demo', userId: '7', createdBy: '100', dailyCap: 3 });
+
+      await request(managerApp).post('/api/booking/pages').send({ slug: 'demo', title: 'Again', userId: '7' }).expect(409);
+      const badHours = await request(managerApp).post('/api/booking/pages')
+        .send({ slug: 'other', title: 'Other', userId: '7', weeklyHours: { 1: [{ start: '17:00', end: '09:00' }] } })
+        .expect(400);
+      expect(badHours.body.error.message).toContain('weeklyHours');
+      await request(managerApp).post('/api/booking/pages')
+        .send({ slug: 'team', title: 'Team', assignment: 'round_robin' })
+        .expect(400);
+
+      await request(buildApp(agent)).post('/api/booking/pages').send({ slug: 'mine', title: 'Mine', userId: '7' }).expect(403);
+      const listed = await request(buildApp(agent)).get('/api/booking/pages').expect(200);
+      expect(listed.body.data.map(page => page.slug)).toEqual(['demo']);
+
+      const { id } = created.body.data;
+      const updated = await request(managerApp).put(`/api/booking/pages/${id}`).send({ durationMinutes: 45 }).expect(200);
+      expect(updated.body.data.durationMinutes).toBe(45);
+
+      await request(managerApp).delete(`/api/booking/pages/${id}`).expect(200);
+      expect((await BookingPage.findByPk(id)).isActive).toBe(false);
+    });
+  });
+});
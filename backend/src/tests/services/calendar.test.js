@@ -0,0 +1,485 @@
+/**
+ * Calendar Tests
+ * ICS generation and parsing, the CalDAV provider against an in-process CalDAV collection,
+ * follow-up sync, subscription feeds, and meeting invites with RSVPs by link and iTIP REPLY
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Lead, Followup, CalendarFeed, MeetingInvite } = require('../../database/models');
+const icsService = require('../../services/icsService');
+const calendarService = require('../../services/calendarService');
+const calendarFeedService = require('../../services/calendarFeedService');
+const followupService = require('../../services/followupService');
+const notificationService = require('../../services/notificationService');
+const { createCalDAVProvider } = require('../../services/calendarProviders');
+const calendarRoutes = require('../../routes/calendar');
+const calendarLinkRoutes = require('../../routes/calendarLinks');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const agent = { id: 7, role: 'agent', email: 'agent7@example.com' };
+const otherAgent = { id: 8, role: 'agent', email: 'agent8@example.com' };
+
+/**
+ * Just enough of a CalDAV collection: conditional PUT, GET, DELETE and a REPORT that
+ * returns every stored event
+ */
+const startCalDAVServer = () => {
+  const resources = new Map();
+  let version = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const existing = resources.get(req.url);
+      if (req.method === 'PUT') {
+        if ((req.headers['if-none-match'] === '*' && existing) ||
+          (req.headers['if-match'] && (!existing || existing.etag !== req.headers['if-match']))) {
+          res.writeHead(412).end();
+          return;
+        }
+        const etag = `"v${++version}"`;
+        resources.set(req.url, { ics: body, etag });
+        res.writeHead(existing ? 204 : 201, { ETag: etag }).end();
+      } else if (req.method === 'GET') {
+        if (!existing) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'text/calendar', ETag: existing.etag }).end(existing.ics);
+      } else if (req.method === 'DELETE') {
+        res.writeHead(existing ? 204 : 404).end();
+        resources.delete(req.url);
+      } else if (req.method === 'REPORT') {
+        const responses = [...resources.entries()].map(([href, resource]) =>
+          `<d:response><d:href>${href}</d:href><d:propstat><d:prop><d:getetag>${resource.etag}</d:getetag>` +
+          `<cal:calendar-data>${resource.ics.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</cal:calendar-data>` +
+          '</d:prop></d:propstat></d:response>');
+        res.writeHead(207, { 'Content-Type': 'application/xml' })
+          .end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join('')}</d:multistatus>`);
+      } else {
+        res.writeHead(405).end();
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    resources,
+    calendarUrl: `http://127.0.0.1:${server.address().port}/calendars/agent/followups/`
+  })));
+};
+
+/**
+ * Email channel that records what it sends and answers with the queued results in turn
+ */
+const recordingEmail = (results = []) => ({
+  name: 'email',
+  sent: [],
+  async send(message) {
+    this.sent.push(message);
+    return results.shift() || { success: true, messageId: `msg-${this.sent.length}`, transport: 'smtp' };
+  }
+});
+
+const buildApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/calendar', calendarLinkRoutes);
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/calendar', calendarRoutes);
+  return app;
+};
+
+const rsvpToken = (message) => /invites\/rsvp\/([^?]+)\?response=accepted/.exec(message.text)[1];
+
+let leadCount = 0;
+const createLead = (fields = {}) => {
+  leadCount++;
+  return Lead.create({
+    firstName: 'Robin',
+    lastName: `Cal${leadCount}`,
+    company: `Calendar Co ${leadCount}`,
+    email: `robin${leadCount}@example.com`,
+    phone: `+1212557${String(1000 + leadCount)}`,
+    ...fields
+  });
+};
+
+const scheduleMeeting = async (user = agent, scheduledFor = NOW) => {
+  const lead = await createLead();
+  const followup = await followupService.createFollowup({
+    leadId: lead.id,
+    title: 'Demo, pricing; next steps',
+    type: 'meeting',
+    scheduledFor,
+    duration: 45,
+    timezone: 'America/New_York'
+  }, user);
+  return { lead, followup };
+};
+
+describe('Calendar', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await MeetingInvite.destroy({ where: {} });
+    await CalendarFeed.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('ICS', () => {
+    test('builds CRLF calendars with escaped text and folded lines that parse back', () => {
+      const title = 'Démo: pricing, terms; next steps\nbring the contract ' + 'é'.repeat(40);
+      const ics = icsService.buildCalendar([{
+        uid: icsService.buildUid('followup', 'abc'),
+        title,
+        startTime: NOW,
+        endTime: new Date(NOW.getTime() + HOUR_MS),
+        sequence: 2,
+        organizer: { email: 'agent7@example.com', name: 'Agent "Seven"' },
+        attendees: [{ email: 'Robin@Example.com', name: 'Robin', partstat: 'tentative' }]
+      }], { method: 'REQUEST' });
+
+      const lines = ics.split('\r\n');
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(lines).toEqual(expect.arrayContaining(['METHOD:REQUEST', 'DTSTART:20260311T150000Z', 'SEQUENCE:2']));
+      lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(ics).toContain('SUMMARY:Démo: pricing\\, terms\\; next steps\\nbring');
+      expect(ics).not.toContain('�');
+
+      const [event] = icsService.extractEvents(ics);
+      expect(event).toMatchObject({
+        uid: 'followup-abc@coldcaller.local',
+        title,
+        sequence: 2,
+        startTime: NOW,
+        endTime: new Date(NOW.getTime() + HOUR_MS),
+        attendees: [{ email: 'robin@example.com', name: 'Robin', partstat: 'tentative' }]
+      });
+    });
+
+    test('reads TZID times, DURATION and all-day dates', () => {
+      const [timed, allDay] = icsService.extractEvents([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:timed',
+        'DTSTART;TZID=America/New_York:20260311T110000',
+        'DURATION:PT1H30M',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:all-day',
+        'DTSTART;VALUE=DATE:20260312',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      // New York is on EDT (UTC-4) from March 8, 2026
+      expect(timed.startTime).toEqual(new Date('2026-03-11T15:00:00.000Z'));
+      expect(timed.endTime).toEqual(new Date('2026-03-11T16:30:00.000Z'));
+      expect(allDay).toMatchObject({ startTime: new Date('2026-03-12T00:00:00.000Z'), endTime: null, transparent: true });
+      expect(icsService.parseDuration('-P1W2DT3H')).toBe(-(9 * 24 + 3) * HOUR_MS);
+    });
+
+    test('reads attendee answers from a REPLY and nothing else', () => {
+      const reply = [
+        'BEGIN:VCALENDAR',
+        'METHOD:REPLY',
+        'BEGIN:VEVENT',
+        'UID:meeting-1@coldcaller.local',
+        'SEQUENCE:3',
+        'ATTENDEE;CN="Robin: Buyer";PARTSTAT=ACCEPTED:mailto:Robin@',
+        ' Example.com',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      expect(icsService.parseReply(reply)).toEqual({
+        uid: 'meeting-1@coldcaller.local',
+        sequence: 3,
+        attendees: [{ email: 'robin@example.com', name: 'Robin: Buyer', partstat: 'accepted' }]
+      });
+      expect(icsService.parseReply(reply.replace('METHOD:REPLY', 'METHOD:REQUEST'))).toBeNull();
+    });
+
+    test('stores only a hash of generated tokens', () => {
+      const { token, tokenHash } = icsService.generateToken();
+      expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(tokenHash).toBe(icsService.hashToken(token));
+      expect(tokenHash).not.toContain(token);
+    });
+  });
+
+  describe('CalDAV provider', () => {
+    let caldav;
+    let provider;
+
+    beforeAll(async () => {
+      caldav = await startCalDAVServer();
+    });
+
+    beforeEach(() => {
+      caldav.resources.clear();
+      provider = createCalDAVProvider({ calendarUrl: caldav.calendarUrl, username: 'agent', password: 'secret' });
+    });
+
+    afterAll(() => new Promise(resolve => caldav.server.close(resolve)));
+
+    test('creates, updates and deletes events', async () => {
+      const event = {
+        uid: 'followup-1@coldcaller.local',
+        title: 'Call back',
+        description: 'Ask about budget',
+        startTime: NOW,
+        endTime: new Date(NOW.getTime() + HOUR_MS)
+      };
+
+      const created = await provider.createEvent(event);
+      expect(created).toMatchObject({ uid: event.uid, href: `${caldav.calendarUrl}followup-1_coldcaller.local.ics`, etag: '"v1"' });
+      await expect(provider.createEvent(event)).rejects.toThrow('already exists');
+
+      const later = new Date(NOW.getTime() + 24 * HOUR_MS);
+      const updated = await provider.updateEvent(event.uid, { startTime: later, endTime: new Date(later.getTime() + HOUR_MS), title: undefined });
+      expect(updated.etag).toBe('"v2"');
+      expect((await provider.getEvent(event.uid)).event).toMatchObject({
+        title: 'Call back',
+        description: 'Ask about budget',
+        startTime: later,
+        sequence: 1
+      });
+
+      expect(await provider.deleteEvent(event.uid)).toEqual({ existed: true });
+      expect(await provider.deleteEvent(event.uid)).toEqual({ existed: false });
+      await expect(provider.updateEvent(event.uid, {})).rejects.toThrow('not found');
+    });
+
+    test('merges busy periods and skips free and cancelled events', async () => {
+      const at = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+      await provider.createEvent({ uid: 'a', title: 'A', startTime: at(0), endTime: at(1) });
+      await provider.createEvent({ uid: 'b', title: 'B & C', startTime: at(0.5), endTime: at(2) });
+      await provider.createEvent({ uid: 'c', title: 'Later', startTime: at(3), endTime: at(10) });
+      await provider.createEvent({ uid: 'd', title: 'Free', startTime: at(2), endTime: at(3), transparent: true });
+      await provider.createEvent({ uid: 'e', title: 'Off', startTime: at(2), endTime: at(3), status: 'CANCELLED' });
+
+      expect(await provider.getBusy(at(-1), at(4))).toEqual([
+        { start: at(0).toISOString(), end: at(2).toISOString() },
+        { start: at(3).toISOString(), end: at(4).toISOString() }
+      ]);
+    });
+
+    test('keeps open follow-ups on the calendar', async () => {
+      calendarService.setProvider(provider);
+      try {
+        const { followup } = await scheduleMeeting();
+        const uid = icsService.buildUid('followup', followup.id);
+        expect((await followup.reload()).metadata.calendarEvent).toMatchObject({ provider: 'caldav', uid });
+
+        const stored = await provider.getEvent(uid);
+        expect(stored.event).toMatchObject({ title: 'Demo, pricing; next steps', startTime: NOW });
+        expect(stored.event.description).toContain('Lead: Robin');
+
+        const later = new Date(NOW.getTime() + 48 * HOUR_MS);
+        await followupService.rescheduleFollowup(followup, later);
+        expect((await provider.getEvent(uid)).event).toMatchObject({ startTime: later, sequence: 1 });
+
+        await followupService.completeFollowup(followup, { outcome: 'meeting_scheduled' }, agent);
+        expect(await provider.getEvent(uid)).toBeNull();
+        expect((await followup.reload()).metadata.calendarEvent).toBeUndefined();
+
+        const availability = await calendarService.getAvailability(NOW, later);
+        expect(availability).toMatchObject({ provider: 'caldav', busy: [] });
+      } finally {
+        calendarService.setProvider(null);
+      }
+    });
+  });
+
+  describe('subscription feeds', () => {
+    test('serve the owner\'s open follow-ups until revoked', async () => {
+      // Feeds are rendered for the current time, so these are scheduled from now
+      const tomorrow = new Date(Date.now() + 24 * HOUR_MS);
+      const { followup } = await scheduleMeeting(agent, tomorrow);
+      const { followup: done } = await scheduleMeeting(agent, tomorrow);
+      await followupService.completeFollowup(done, { outcome: 'meeting_scheduled' }, agent);
+      await scheduleMeeting(otherAgent, tomorrow);
+      await scheduleMeeting(agent, new Date(Date.now() - 45 * 24 * HOUR_MS));
+
+      const created = await request(buildApp(agent)).post('/api/calendar/feeds').send({ name: 'Work' });
+      expect(created.status).toBe(201);
+      const token = /\/feeds\/([^/]+)\.ics$/.exec(created.body.data.url)[1];
+      expect(await CalendarFeed.count({ where: { tokenHash: icsService.hashToken(token) } })).toBe(1);
+
+      const feed = await request(buildApp(null)).get(`/api/calendar/feeds/${token}.ics`);
+      expect(feed.status).toBe(200);
+      expect(feed.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(feed.text).toContain('X-WR-CALNAME:Work');
+      const events = icsService.extractEvents(feed.text);
+      expect(events.map(event => event.uid)).toEqual([icsService.buildUid('followup', followup.id)]);
+
+      const listed = await request(buildApp(agent)).get('/api/calendar/feeds');
+      expect(listed.body.data).toHaveLength(1);
+      expect(listed.body.data[0].lastAccessedAt).not.toBeNull();
+      expect(listed.body.data[0].url).toBeUndefined();
+
+      expect((await request(buildApp(otherAgent)).delete(`/api/calendar/feeds/${created.body.data.id}`)).status).toBe(404);
+      expect((await request(buildApp(agent)).delete(`/api/calendar/feeds/${created.body.data.id}`)).status).toBe(200);
+      expect((await request(buildApp(null)).get(`/api/calendar/feeds/${token}.ics`)).status).toBe(404);
+    });
+
+    test('render nothing for unknown tokens', async () => {
+      expect(await calendarFeedService.renderFeed('not-a-token')).toBeNull();
+    });
+  });
+
+  describe('meeting invites', () => {
+    let email;
+
+    beforeEach(() => {
+      email = recordingEmail();
+      notificationService.setChannels({ email });
+      process.env.CALENDAR_INBOUND_SECRET = 'inbound-secret';
+    });
+
+    afterEach(() => {
+      delete process.env.CALENDAR_INBOUND_SECRET;
+    });
+
+    test('email the lead an .ics invite that RSVP links answer', async () => {
+      const { lead, followup } = await scheduleMeeting();
+
+      const res = await request(buildApp(agent))
+        .post(`/api/calendar/followups/${followup.id}/invites`)
+        .send({ location: 'Zoom' });
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ attendeeEmail: lead.email, attendeeName: `Robin ${lead.lastName}`, status: 'needs_action' });
+      expect(res.body.data.rsvpTokenHash).toBeUndefined();
+
+      const [message] = email.sent;
+      expect(message).toMatchObject({
+        to: `"Robin ${lead.lastName}" <${lead.email}>`,
+        replyTo: agent.email,
+        template: 'meeting-invite',
+        icalEvent: { method: 'REQUEST' },
+        attachments: [{ filename: 'invite.ics', contentType: 'text/calendar; charset=utf-8; method=REQUEST' }]
+      });
+      expect(message.subject).toBe('Invitation: Demo, pricing; next steps @ Wednesday, March 11, 2026 at 11:00 AM EDT');
+      const [event] = icsService.extractEvents(message.attachments[0].content);
+      expect(event).toMatchObject({
+        uid: icsService.buildUid('meeting', followup.id),
+        location: 'Zoom',
+        startTime: NOW,
+        endTime: new Date(NOW.getTime() + 45 * 60 * 1000),
+        attendees: [{ email: lead.email, partstat: 'needs_action' }]
+      });
+
+      const token = rsvpToken(message);
+      const answered = await request(buildApp(null)).get(`/api/calendar/invites/rsvp/${token}?response=accepted`);
+      expect(answered.status).toBe(200);
+      expect(answered.text).toContain('you accepted the meeting');
+      expect(await MeetingInvite.findOne()).toMatchObject({ status: 'accepted', responseSource: 'link' });
+
+      expect((await request(buildApp(null)).get(`/api/calendar/invites/rsvp/${token}?response=maybe`)).status).toBe(400);
+      expect((await request(buildApp(null)).get('/api/calendar/invites/rsvp/unknown?response=declined')).status).toBe(404);
+    });
+
+    test('re-send on reschedule and cancel when the follow-up is deleted', async () => {
+      const { followup } = await scheduleMeeting();
+      await request(buildApp(agent)).post(`/api/calendar/followups/${followup.id}/invites`).send({});
+      const firstToken = rsvpToken(email.sent[0]);
+      await request(buildApp(null)).get(`/api/calendar/invites/rsvp/${firstToken}?response=accepted`);
+
+      await followupService.updateFollowup(followup, { scheduledFor: new Date(NOW.getTime() + 24 * HOUR_MS) }, agent);
+      expect(email.sent).toHaveLength(2);
+      expect(email.sent[1].subject).toMatch(/^Updated invitation:/);
+      expect(await MeetingInvite.findOne()).toMatchObject({ sequence: 1, status: 'needs_action', respondedAt: null });
+      // Links in the earlier email stop working
+      expect((await request(buildApp(null)).get(`/api/calendar/invites/rsvp/${firstToken}?response=accepted`)).status).toBe(404);
+
+      const cancelToken = rsvpToken(email.sent[1]);
+      await followupService.deleteFollowup(followup);
+      expect(email.sent[2]).toMatchObject({ icalEvent: { method: 'CANCEL' } });
+      expect(email.sent[2].subject).toMatch(/^Cancelled:/);
+      expect(icsService.extractEvents(email.sent[2].icalEvent.content)[0]).toMatchObject({ status: 'CANCELLED', sequence: 2 });
+      expect(await Followup.findByPk(followup.id)).toBeNull();
+      expect(await MeetingInvite.count()).toBe(0);
+      expect((await request(buildApp(null)).get(`/api/calendar/invites/rsvp/${cancelToken}?response=accepted`)).status).toBe(404);
+    });
+
+    test('apply forwarded REPLYs for the current SEQUENCE only', async () => {
+      const { lead, followup } = await scheduleMeeting();
+      await request(buildApp(agent)).post(`/api/calendar/followups/${followup.id}/invites`).send({});
+      await request(buildApp(agent)).post(`/api/calendar/followups/${followup.id}/invites`).send({});
+      const replyFor = (sequence, partstat) => [
+        'BEGIN:VCALENDAR',
+        'METHOD:REPLY',
+        'BEGIN:VEVENT',
+        `UID:${icsService.buildUid('meeting', followup.id)}`,
+        `SEQUENCE:${sequence}`,
+        `ATTENDEE;PARTSTAT=${partstat}:mailto:${lead.email.toUpperCase()}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+      const post = (body, secret = 'inbound-secret') => request(buildApp(null))
+        .post('/api/calendar/invites/replies')
+        .set('Content-Type', 'text/calendar')
+        .set('X-Calendar-Secret', secret)
+        .send(body);
+
+      expect((await post(replyFor(1, 'ACCEPTED'), 'wrong')).status).toBe(401);
+      expect((await post('BEGIN:VCALENDAR\r\nMETHOD:REQUEST\r\nEND:VCALENDAR')).status).toBe(400);
+
+      const stale = await post(replyFor(0, 'DECLINED'));
+      expect(stale.body.data.updated).toBe(0);
+
+      const current = await post(replyFor(1, 'TENTATIVE'));
+      expect(current.status).toBe(200);
+      expect(current.body.data.updated).toBe(1);
+      expect(await MeetingInvite.findOne()).toMatchObject({ sequence: 1, status: 'tentative', responseSource: 'email' });
+    });
+
+    test('are limited to the follow-up\'s owner and report failed sends', async () => {
+      const { followup } = await scheduleMeeting();
+      const hidden = await request(buildApp(otherAgent)).post(`/api/calendar/followups/${followup.id}/invites`).send({});
+      expect(hidden.status).toBe(404);
+
+      email = recordingEmail([{ success: false, error: 'Mailbox unavailable', retryable: false }]);
+      notificationService.setChannels({ email });
+      const failed = await request(buildApp(agent))
+        .post(`/api/calendar/followups/${followup.id}/invites`)
+        .send({ attendeeEmail: 'buyer@example.com' });
+      expect(failed.status).toBe(502);
+      expect(failed.body.error.details).toBe('Mailbox unavailable');
+      expect(await MeetingInvite.findOne()).toMatchObject({ attendeeEmail: 'buyer@example.com', lastError: 'Mailbox unavailable' });
+
+      const [invite] = (await request(buildApp(agent)).get(`/api/calendar/followups/${followup.id}/invites`)).body.data;
+      const cancelled = await request(buildApp(agent)).delete(`/api/calendar/followups/${followup.id}/invites/${invite.id}`);
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.data.status).toBe('cancelled');
+
+      const closed = await followupService.updateFollowup(followup, { status: 'cancelled' }, agent);
+      const refused = await request(buildApp(agent)).post(`/api/calendar/followups/${closed.id}/invites`).send({});
+      expect(refused.status).toBe(400);
+      expect(refused.body.error.message).toBe('Cannot invite to a cancelled follow-up');
+    });
+
+    test('need a lead with an email address', async () => {
+      const lead = await createLead({ email: 'placeholder@example.com' });
+      await lead.update({ email: '' }, { validate: false });
+      const followup = await followupService.createFollowup({ leadId: lead.id, title: 'Intro', scheduledFor: NOW }, agent);
+
+      const res = await request(buildApp(agent)).post(`/api/calendar/followups/${followup.id}/invites`).send({});
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('Lead has no email address');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Call Compliance Tests
+ * DNC list, lead doNotCall flag, local calling windows and the dial-route gate
+ */
+
+jest.mock('../../middleware/auditLogger', () => ({
+  auditLog: jest.fn().mockResolvedValue(undefined),
+  SEVERITY: { HIGH: 'high' },
+  EVENT_CATEGORIES: { PRIVACY_EVENT: 'privacy_event' }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Lead, DoNotCallEntry } = require('../../database/models');
+const { auditLog } = require('../../middleware/auditLogger');
+const { requireCallCompliance, requireVoiceWebhookCompliance } = require('../../middleware/callCompliance');
+const {
+  resolveTimeZone,
+  checkOutboundCall,
+  addDoNotCallNumber,
+  removeDoNotCallNumber,
+  importDoNotCallCsv
+} = require('../../services/callComplianceService');
+
+// Wednesday 11 March 2026, 13:00 UTC: 09:00 in New York, 06:00 in Los Angeles
+const WEDNESDAY_1300_UTC = new Date(Date.UTC(2026, 2, 11, 13, 0));
+// Sunday 15 March 2026, 18:00 UTC: 14:00 in New York
+const SUNDAY_1800_UTC = new Date(Date.UTC(2026, 2, 15, 18, 0));
+
+const HOURS_ENV = ['CALLING_HOURS_WEEKDAYS', 'CALLING_HOURS_SATURDAY', 'CALLING_HOURS_SUNDAY', 'CALLING_DEFAULT_TIME_ZONE'];
+
+let sequence = 0;
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Compliance',
+    lastName: `Lead${sequence}`,
+    company: `Compliance Co ${sequence}`,
+    email: `compliance${sequence}@example.com`,
+    phone: '+12125550100',
+    ...overrides
+  });
+};
+
+describe('Call Compliance', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    HOURS_ENV.forEach(key => delete process.env[key]);
+    await DoNotCallEntry.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+    auditLog.mockClear();
+  });
+
+  afterAll(async () => {
+    HOURS_ENV.forEach(key => delete process.env[key]);
+    await sequelize.close();
+  });
+
+  describe('time zones', () => {
+    test('prefers the lead time zone, then the area code, then the default', () => {
+      expect(resolveTimeZone({ timeZone: 'Europe/London' }, '14155550100'))
+        .toEqual({ timeZone: 'Europe/London', source: 'lead' });
+      // "UTC" is the column default, not a real answer
+      expect(resolveTimeZone({ timeZone: 'UTC' }, '14155550100'))
+        .toEqual({ timeZone: 'America/Los_Angeles', source: 'area_code' });
+      expect(resolveTimeZone(null, '15555550100'))
+        .toEqual({ timeZone: 'America/New_York', source: 'default' });
+
+      process.env.CALLING_DEFAULT_TIME_ZONE = 'America/Chicago';
+      expect(resolveTimeZone(null, '442071234567').timeZone).toBe('America/Chicago');
+    });
+  });
+
+  describe('calling windows', () => {
+    test('blocks numbers where it is outside local calling hours', async () => {
+      const newYork = await checkOutboundCall({ phoneNumber: '(212) 555-0100', now: WEDNESDAY_1300_UTC });
+      expect(newYork).toMatchObject({ allowed: true, timeZone: 'America/New_York', localTime: 'Wed 09:00' });
+
+      const losAngeles = await checkOutboundCall({ phoneNumber: '+1 415 555 0100', now: WEDNESDAY_1300_UTC });
+      expect(losAngeles.allowed).toBe(false);
+      expect(losAngeles.violations).toEqual([
+        { code: 'outside_calling_hours', message: 'It is Wed 06:00 in America/Los_Angeles; calls are allowed 08:00-21:00' }
+      ]);
+    });
+
+    test('uses the lead time zone over the area code', async () => {
+      const lead = await createLead({ phone: '+14155550100', timeZone: 'America/New_York' });
+
+      const result = await checkOutboundCall({ leadId: lead.id, phoneNumber: lead.phone, now: WEDNESDAY_1300_UTC });
+      expect(result).toMatchObject({ allowed: true, leadId: lead.id, timeZoneSource: 'lead' });
+    });
+
+    test('honours configured windows and closed days', async () => {
+      process.env.CALLING_HOURS_WEEKDAYS = '10:00-18:00';
+      process.env.CALLING_HOURS_SUNDAY = 'closed';
+
+      const early = await checkOutboundCall({ phoneNumber: '2125550100', now: WEDNESDAY_1300_UTC });
+      expect(early.violations[0].code).toBe('outside_calling_hours');
+
+      const sunday = await checkOutboundCall({ phoneNumber: '2125550100', now: SUNDAY_1800_UTC });
+      expect(sunday.violations).toEqual([
+        { code: 'outside_calling_hours', message: 'No calls are allowed on Sun in America/New_York' }
+      ]);
+    });
+  });
+
+  describe('do-not-call', () => {
+    test('blocks numbers on the internal list until the entry expires', async () => {
+      await addDoNotCallNumber('(212) 555-0100', { reason: 'Requested removal' });
+      await addDoNotCallNumber('+1 212 555 0199', { expiresAt: new Date(WEDNESDAY_1300_UTC.getTime() - 1000) });
+
+      const listed = await checkOutboundCall({ phoneNumber: '+12125550100', now: WEDNESDAY_1300_UTC });
+      expect(listed.allowed).toBe(false);
+      expect(listed.violations).toEqual([
+        { code: 'dnc_list', message: 'Number is on the internal do-not-call list (Requested removal)' }
+      ]);
+
+      const expired = await checkOutboundCall({ phoneNumber: '2125550199', now: WEDNESDAY_1300_UTC });
+      expect(expired.allowed).toBe(true);
+
+      expect(await removeDoNotCallNumber('212-555-0100')).toBe(true);
+      expect((await checkOutboundCall({ phoneNumber: '2125550100', now: WEDNESDAY_1300_UTC })).allowed).toBe(true);
+    });
+
+    test('blocks leads flagged doNotCall, matched by phone when no lead id is given', async () => {
+      await createLead({ phone: '2125550100', doNotCall: true });
+
+      const result = await checkOutboundCall({ phoneNumber: '+1 (212) 555-0100', now: WEDNESDAY_1300_UTC });
+      expect(result.violations.map(violation => violation.code)).toEqual(['lead_do_not_call']);
+    });
+
+    test('imports CSV files with or without a header row', async () => {
+      await addDoNotCallNumber('2125550100');
+
+      const withHeader = await importDoNotCallCsv(
+        'Name,Phone Number,Reason\nAnn,(212) 555-0100,Litigator\nBob,not a number,\nCy,+1 415 555 0101,\n',
+        { addedBy: 'admin-1', reason: 'Imported list' }
+      );
+      expect(withHeader).toEqual({ total: 3, imported: 1, updated: 1, invalid: [{ row: 2, value: 'not a number' }] });
+
+      const entry = await DoNotCallEntry.findOne({ where: { phone: '14155550101' } });
+      expect(entry).toMatchObject({ source: 'csv_import', reason: 'Imported list', addedBy: 'admin-1' });
+      expect((await DoNotCallEntry.findOne({ where: { phone: '12125550100' } })).reason).toBe('Litigator');
+
+      const headerless = await importDoNotCallCsv('3125550102\r\n3125550103\r\n');
+      expect(headerless).toMatchObject({ total: 2, imported: 2, updated: 0 });
+    });
+  });
+
+  describe('dial route gate', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'agent-7', role: 'agent' };
+      next();
+    });
+    app.post(
+      '/dial',
+      requireCallCompliance(req => ({ phoneNumber: req.body.phoneNumber })),
+      (req, res) => res.status(201).json({ success: true, compliance: req.callCompliance })
+    );
+
+    beforeEach(() => {
+      ['CALLING_HOURS_WEEKDAYS', 'CALLING_HOURS_SATURDAY', 'CALLING_HOURS_SUNDAY']
+        .forEach(key => { process.env[key] = '00:00-24:00'; });
+    });
+
+    test('rejects blocked calls with the violations', async () => {
+      await addDoNotCallNumber('2125550100');
+
+      const response = await request(app).post('/dial').send({ phoneNumber: '2125550100' });
+      expect(response.status).toBe(403);
+      expect(response.body.error.details).toMatchObject({
+        code: 'CALL_COMPLIANCE_BLOCKED',
+        violations: [expect.objectContaining({ code: 'dnc_list' })],
+        overridable: true
+      });
+      expect(auditLog).not.toHaveBeenCalled();
+    });
+
+    test('lets an override with a reason through and audits it', async () => {
+      await addDoNotCallNumber('2125550100');
+
+      const blank = await request(app).post('/dial')
+        .send({ phoneNumber: '2125550100', complianceOverride: { reason: '   ' } });
+      expect(blank.status).toBe(403);
+
+      const response = await request(app).post('/dial')
+        .send({ phoneNumber: '2125550100', complianceOverride: { reason: 'Customer called in and asked for a callback' } });
+      expect(response.status).toBe(201);
+      expect(response.body.compliance).toMatchObject({ overridden: true, overrideReason: 'Customer called in and asked for a callback' });
+      expect(auditLog).toHaveBeenCalledWith(
+        'CALL_COMPLIANCE_OVERRIDE',
+        'high',
+        'privacy_event',
+        expect.objectContaining({ phone: '12125550100', violations: ['dnc_list'], reason: 'Customer called in and asked for a callback' }),
+        expect.anything()
+      );
+    });
+
+    test('passes allowed calls straight through', async () => {
+      const response = await request(app).post('/dial').send({ phoneNumber: '2125550100' });
+      expect(response.status).toBe(201);
+      expect(response.body.compliance.allowed).toBe(true);
+    });
+  });
+
+  describe('voice webhook gate', () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/voice', requireVoiceWebhookCompliance, (req, res) => res.json({ dialed: req.body.To }));
+
+    beforeEach(async () => {
+      ['CALLING_HOURS_WEEKDAYS', 'CALLING_HOURS_SATURDAY', 'CALLING_HOURS_SUNDAY']
+        .forEach(key => { process.env[key] = '00:00-24:00'; });
+      await addDoNotCallNumber('2125550100');
+    });
+
+    test('checks browser dials, which Twilio reports as inbound from client:', async () => {
+      const response = await request(app).post('/voice').type('form')
+        .send({ CallSid: 'CA1', Direction: 'inbound', From: 'client:agent-7', To: '+12125550100' });
+
+      expect(response.type).toBe('text/xml');
+      expect(response.text).toContain('<Hangup');
+    });
+
+    test('lets real inbound callers through to routing', async () => {
+      const response = await request(app).post('/voice').type('form')
+        .send({ CallSid: 'CA2', Direction: 'inbound', From: '+12125550100', To: '+18005550199' });
+
+      expect(response.body).toEqual({ dialed: '+18005550199' });
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Call Transfer Tests
+ * Blind and warm transfers, three-way conferences and the legs recorded on the call log
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, DoNotCallEntry } = require('../../database/models');
+const TwilioService = require('../../services/twilioService');
+const { callLogs } = require('../../data/dataStore');
+const callTransferController = require('../../controllers/callTransferController');
+const { addDoNotCallNumber } = require('../../services/callComplianceService');
+const {
+  buildHoldTwiml,
+  blindTransfer,
+  startAttendedTransfer,
+  completeAttendedTransfer,
+  cancelAttendedTransfer,
+  startConference,
+  closeCallLegs,
+  getCallLegs
+} = require('../../services/callTransferService');
+
+let sequence = 0;
+const createCall = (overrides = {}) => {
+  sequence++;
+  return {
+    id: 9000 + sequence,
+    phone: '+12125550100',
+    agentId: 'agent-7',
+    status: 'connected',
+    startTime: '2026-03-11T13:00:00.000Z',
+    ...overrides
+  };
+};
+
+describe('Call Transfer', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await DoNotCallEntry.destroy({ where: {} });
+    jest.spyOn(TwilioService, 'updateCall').mockResolvedValue({ success: true, call: { sid: 'CA-prospect', status: 'in-progress' } });
+    jest.spyOn(TwilioService, 'makeCall').mockResolvedValue({ success: true, callSid: 'CA-closer' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('TwiML', () => {
+    test('generates <Dial><Conference> with the conference options', () => {
+      const twiml = buildHoldTwiml('call-42');
+      expect(twiml).toContain('<Dial><Conference startConferenceOnEnter="false" endConferenceOnExit="true" beep="false"');
+      expect(twiml).toContain('>call-42</Conference></Dial>');
+    });
+  });
+
+  describe('blind transfer', () => {
+    test('redirects the Twilio prospect leg to the target and records the hand-off', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      const transfer = await blindTransfer(call, { target: '+13125550199', requestedBy: 'agent-7' });
+
+      expect(transfer).toMatchObject({ type: 'blind', status: 'completed', provider: 'twilio', target: '+13125550199' });
+      const [callSid, options] = TwilioService.updateCall.mock.calls[0];
+      expect(callSid).toBe('CA-prospect');
+      expect(options.twiml).toContain('<Number>+13125550199</Number>');
+
+      const { legs, participants } = getCallLegs(call);
+      expect(legs.map(leg => [leg.role, leg.status, leg.endReason])).toEqual([
+        ['agent', 'completed', 'transferred'],
+        ['prospect', 'active', null],
+        ['transfer_target', 'initiated', null]
+      ]);
+      expect(participants.map(participant => [participant.role, Boolean(participant.leftAt)])).toEqual([
+        ['agent', true],
+        ['prospect', false],
+        ['closer', false]
+      ]);
+      expect(call.disposition).toBe('transferred');
+
+      await expect(blindTransfer(call, { target: '+13125550199' })).rejects.toThrow('Call is no longer active');
+    });
+
+    test('refuses targets on the do-not-call list and malformed targets', async () => {
+      await addDoNotCallNumber('3125550199');
+      const call = createCall();
+
+      await expect(blindTransfer(call, { target: '(312) 555-0199' })).rejects.toThrow('is on the do-not-call list');
+      await expect(blindTransfer(call, { target: 'closer please' })).rejects.toThrow('phone number, extension or SIP URI');
+      expect(call.transfers).toEqual([]);
+    });
+  });
+
+  describe('warm transfer', () => {
+    test('holds the prospect, consults the closer, then bridges them on Twilio', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      const started = await startAttendedTransfer(call, { target: '+13125550150' });
+      expect(started.agentRoom).toBe(`call-${call.id}-consult`);
+      expect(TwilioService.makeCall.mock.calls[0][2].twiml).toContain(`>call-${call.id}-consult</Conference>`);
+      expect(TwilioService.updateCall.mock.calls[0][1].twiml).toContain('startConferenceOnEnter="false"');
+
+      const prospect = call.legs.find(leg => leg.role === 'prospect');
+      expect(prospect).toMatchObject({ status: 'held', room: `call-${call.id}` });
+      await expect(blindTransfer(call, { target: '+13125550151' })).rejects.toThrow('already in progress');
+
+      const transfer = await completeAttendedTransfer(call, { requestedBy: 'agent-7' });
+      expect(transfer).toMatchObject({ type: 'attended', status: 'completed' });
+      const [consultSid, options] = TwilioService.updateCall.mock.calls[1];
+      expect(consultSid).toBe('CA-closer');
+      expect(options.twiml).toContain(`endConferenceOnExit="true" beep="false">call-${call.id}</Conference>`);
+
+      expect(call.legs.map(leg => [leg.role, leg.status, leg.callSid])).toEqual([
+        ['agent', 'completed', null],
+        ['prospect', 'active', 'CA-prospect'],
+        ['consult', 'active', 'CA-closer']
+      ]);
+      expect(call.handedOffAt).toBeTruthy();
+    });
+
+    test('records the INVITE with Replaces leg for browser SIP calls', async () => {
+      const call = createCall();
+
+      await startAttendedTransfer(call, { target: 'sip:closer@pbx.example.com', consultCallSid: 'sip-consult-1' });
+      await completeAttendedTransfer(call);
+
+      expect(TwilioService.updateCall).not.toHaveBeenCalled();
+      expect(call.legs.map(leg => [leg.role, leg.status, leg.endReason])).toEqual([
+        ['agent', 'completed', 'transferred'],
+        ['prospect', 'completed', 'transferred'],
+        ['consult', 'completed', 'replaced'],
+        ['transfer_target', 'active', null]
+      ]);
+      expect(call.legs[3].replaces).toBe('leg-3');
+    });
+
+    test('cancelling hangs up the closer and takes the prospect off hold', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+      await startAttendedTransfer(call, { target: '+13125550150' });
+
+      const result = await cancelAttendedTransfer(call);
+
+      expect(TwilioService.updateCall).toHaveBeenLastCalledWith('CA-closer', { status: 'completed' });
+      expect(result).toMatchObject({ agentRoom: `call-${call.id}`, transfer: { status: 'cancelled' } });
+      expect(call.legs.find(leg => leg.role === 'prospect').status).toBe('active');
+      expect(call.participants.find(participant => participant.role === 'closer').leftAt).toBeTruthy();
+      await expect(cancelAttendedTransfer(call)).rejects.toThrow('No warm transfer in progress');
+    });
+
+    test('leaves the prospect alone when the closer cannot be dialed', async () => {
+      TwilioService.makeCall.mockResolvedValue({ success: false, error: 'Busy' });
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      await expect(startAttendedTransfer(call, { target: '+13125550150' }))
+        .rejects.toMatchObject({ code: 'PROVIDER_ERROR' });
+      expect(TwilioService.updateCall).not.toHaveBeenCalled();
+      expect(call.transfers).toEqual([]);
+    });
+  });
+
+  describe('three-way conference', () => {
+    test('merges a warm-transfer consultation into the main room', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+      await startAttendedTransfer(call, { target: '+13125550150' });
+
+      const { conference, agentRoom } = await startConference(call);
+
+      expect(agentRoom).toBe(`call-${call.id}`);
+      expect(conference.legIds).toEqual(['leg-1', 'leg-2', 'leg-3']);
+      expect(call.transfers[0].status).toBe('conferenced');
+      expect(call.legs.every(leg => leg.room === `call-${call.id}`)).toBe(true);
+      await expect(startConference(call, { target: '+13125550151' })).rejects.toThrow('already a conference');
+
+      closeCallLegs(call, 'hangup');
+      expect(call.legs.every(leg => leg.endReason === 'hangup')).toBe(true);
+      expect(call.conference.endedAt).toBeTruthy();
+    });
+
+    test('dials a third party straight into the call', async () => {
+      const call = createCall();
+
+      await startConference(call, { target: '+13125550151', participantCallSid: 'sip-conf-1' });
+
+      expect(TwilioService.makeCall).not.toHaveBeenCalled();
+      expect(call.legs[2]).toMatchObject({ role: 'conference', party: '+13125550151', callSid: 'sip-conf-1', status: 'active' });
+      expect(call.participants.map(participant => participant.role)).toEqual(['agent', 'prospect', 'conference']);
+    });
+  });
+
+  describe('routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/calls/:id/transfer', callTransferController.transferCall);
+    app.post('/calls/:id/transfer/complete', callTransferController.completeTransfer);
+    app.get('/calls/:id/legs', callTransferController.getCallLegs);
+
+    test('maps missing calls, bad input, state and provider errors', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+      callLogs.push(call);
+
+      expect((await request(app).post('/calls/missing/transfer').send({ target: '3125550150' })).status).toBe(404);
+      expect((await request(app).post(`/calls/${call.id}/transfer`).send({})).status).toBe(400);
+      expect((await request(app).post(`/calls/${call.id}/transfer`).send({ target: '3125550150', type: 'park' })).status).toBe(400);
+      expect((await request(app).post(`/calls/${call.id}/transfer/complete`)).status).toBe(409);
+
+      TwilioService.updateCall.mockResolvedValueOnce({ success: false, error: 'Call is not in-progress' });
+      expect((await request(app).post(`/calls/${call.id}/transfer`).send({ target: '3125550150' })).status).toBe(502);
+
+      const started = await request(app).post(`/calls/${call.id}/transfer`).send({ target: '3125550150', type: 'attended' });
+      expect(started.status).toBe(201);
+      expect(started.body.data.agentRoom).toBe(`call-${call.id}-consult`);
+
+      const legs = await request(app).get(`/calls/${call.id}/legs`);
+      expect(legs.body.data.transfers).toEqual([expect.objectContaining({ type: 'attended', status: 'consulting' })]);
+
+      callLogs.splice(callLogs.indexOf(call), 1);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Caller ID Pool Tests
+ * Local number selection, sticky lead numbers, daily caps, answer-rate rests and flagging
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, CallerIdNumber, CallerIdAssignment } = require('../../database/models');
+const TwilioService = require('../../services/twilioService');
+const callerIdController = require('../../controllers/callerIdController');
+const {
+  MIN_CALLS_FOR_RATE,
+  selectCallerId,
+  recordCallPlaced,
+  recordCallOutcome,
+  addNumber,
+  updateNumber,
+  flagNumber,
+  searchAvailableNumbers
+} = require('../../services/callerIdPoolService');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+
+const addToPool = (phoneNumber, overrides = {}) =>
+  CallerIdNumber.create({
+    phoneNumber,
+    areaCode: phoneNumber.slice(1, 4),
+    state: null,
+    dailyCap: 100,
+    ...overrides
+  });
+
+describe('Caller ID Pool', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await CallerIdAssignment.destroy({ where: {} });
+    await CallerIdNumber.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('selection', () => {
+    test('prefers the lead area code, then state, then time zone', async () => {
+      await addToPool('12125550100', { state: 'NY' });
+      await addToPool('13155550100', { state: 'NY' });
+      await addToPool('14045550100', { state: 'GA' });
+      await addToPool('14155550100', { state: 'CA' });
+
+      expect(await selectCallerId({ phoneNumber: '(212) 555-7777', now: NOW }))
+        .toMatchObject({ callerId: '+12125550100', match: 'area_code' });
+      expect(await selectCallerId({ phoneNumber: '+17185557777', now: NOW }))
+        .toMatchObject({ match: 'state' });
+      expect(await selectCallerId({ phoneNumber: '+12065557777', now: NOW }))
+        .toMatchObject({ callerId: '+14155550100', match: 'time_zone' });
+      expect(await selectCallerId({ phoneNumber: '+12125557777', state: 'ca', now: NOW }))
+        .toMatchObject({ callerId: '+12125550100', match: 'area_code' });
+      expect(await selectCallerId({ phoneNumber: '+15035557777', state: 'CA', now: NOW }))
+        .toMatchObject({ callerId: '+14155550100', match: 'state' });
+    });
+
+    test('keeps showing a lead the same number on repeat calls', async () => {
+      const local = await addToPool('12125550100', { state: 'NY' });
+      const first = await selectCallerId({ phoneNumber: '+13055557777', leadId: 42, now: NOW });
+      expect(first.match).toBe('time_zone');
+
+      // A closer number joins the pool, but the lead already knows the first one
+      await addToPool('13055550100', { state: 'FL' });
+      const repeat = await selectCallerId({ phoneNumber: '+13055557777', leadId: 42, now: NOW });
+
+      expect(repeat).toMatchObject({ callerId: `+${local.phoneNumber}`, match: 'sticky' });
+      expect(await CallerIdAssignment.count()).toBe(1);
+    });
+
+    test('skips a number at its daily cap for the day without losing the lead', async () => {
+      const capped = await addToPool('12125550100', { dailyCap: 2 });
+      await addToPool('12125550101', { dailyCap: 2 });
+      await selectCallerId({ phoneNumber: '+12125557777', leadId: 'lead-7', now: NOW });
+
+      await recordCallPlaced(capped, NOW);
+      await recordCallPlaced(capped, NOW);
+      expect(capped.callsToday).toBe(2);
+
+      expect(await selectCallerId({ phoneNumber: '+12125557777', leadId: 'lead-7', now: NOW }))
+        .toMatchObject({ callerId: '+12125550101', match: 'area_code' });
+
+      const tomorrow = new Date('2026-03-12T15:00:00.000Z');
+      expect(await selectCallerId({ phoneNumber: '+12125557777', leadId: 'lead-7', now: tomorrow }))
+        .toMatchObject({ callerId: '+12125550100', match: 'sticky' });
+    });
+
+    test('counts every one of several concurrent dials from the same number', async () => {
+      const number = await addToPool('12125550100');
+      const copies = await Promise.all([1, 2, 3].map(() => CallerIdNumber.findByPk(number.id)));
+
+      await Promise.all(copies.map(copy => recordCallPlaced(copy, NOW)));
+
+      await number.reload();
+      expect(number).toMatchObject({ callsToday: 3, totalCalls: 3 });
+    });
+
+    test('resets the daily count at midnight in the cap time zone, not UTC', async () => {
+      const number = await addToPool('12125550100', { dailyCap: 1 });
+      // 23:30 in New York on the 11th is already the 12th in UTC
+      const lateEvening = new Date('2026-03-12T03:30:00.000Z');
+      await recordCallPlaced(number, lateEvening);
+
+      expect(number.callsTodayDate).toBe('2026-03-11');
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: lateEvening })).toBeNull();
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: new Date('2026-03-12T05:00:00.000Z') }))
+        .toMatchObject({ callerId: '+12125550100' });
+    });
+
+    test('returns null when every number is resting, retired or capped', async () => {
+      await addToPool('12125550100', { status: 'retired' });
+      await addToPool('12125550101', { status: 'resting', flaggedAt: NOW, restReason: 'flagged' });
+      await addToPool('12125550102', { dailyCap: 1, callsToday: 1, callsTodayDate: '2026-03-11' });
+
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: NOW })).toBeNull();
+    });
+  });
+
+  describe('answer rates', () => {
+    test('rests a number whose answer rate falls below the minimum and brings it back later', async () => {
+      const number = await addToPool('12125550100');
+      for (let i = 0; i < MIN_CALLS_FOR_RATE; i++) {
+        await recordCallOutcome('+12125550100', { answered: i === 0, now: NOW });
+      }
+
+      await number.reload();
+      expect(number).toMatchObject({ status: 'resting', restReason: 'low_answer_rate', answeredCalls: 1 });
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: NOW })).toBeNull();
+
+      const afterRest = new Date(number.restingUntil.getTime() + 1000);
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: afterRest })).toMatchObject({ match: 'area_code' });
+      await number.reload();
+      expect(number.recentOutcomes).toEqual([]);
+    });
+
+    test('ignores outcomes for numbers outside the pool', async () => {
+      expect(await recordCallOutcome('+19995550100', { answered: true })).toBeNull();
+    });
+  });
+
+  describe('flagging and management', () => {
+    test('flagged numbers rest until a manager reactivates them', async () => {
+      const added = await addNumber({ phoneNumber: '(212) 555-0100', dailyCap: 150 }, { addedBy: 'manager-1' });
+      expect(added).toMatchObject({ phoneNumber: '12125550100', areaCode: '212', state: 'NY', dailyCap: 150 });
+      await expect(addNumber({ phoneNumber: '+12125550100' })).rejects.toMatchObject({ code: 'DUPLICATE_NUMBER' });
+
+      const flagged = await flagNumber(added.id, { reason: 'Spam Likely on carrier', now: NOW });
+      expect(flagged).toMatchObject({ status: 'resting', isFlagged: true, restingUntil: null });
+
+      const farFuture = new Date('2027-01-01T00:00:00.000Z');
+      expect(await selectCallerId({ phoneNumber: '+12125557777', now: farFuture })).toBeNull();
+
+      await expect(updateNumber(added.id, { status: 'resting' })).rejects.toThrow('status must be active or retired');
+      const reactivated = await updateNumber(added.id, { status: 'active' });
+      expect(reactivated).toMatchObject({ status: 'active', isFlagged: false, flagReason: null });
+    });
+
+    test('grows the pool from Twilio search results', async () => {
+      await addToPool('14155550100');
+      jest.spyOn(TwilioService, 'searchPhoneNumbers').mockResolvedValue({
+        success: true,
+        phoneNumbers: [
+          { phoneNumber: '+14155550100', locality: 'San Francisco', region: 'CA' },
+          { phoneNumber: '+14155550199', locality: 'San Francisco', region: 'CA' }
+        ]
+      });
+
+      const available = await searchAvailableNumbers({ areaCode: '415' });
+
+      expect(TwilioService.searchPhoneNumbers).toHaveBeenCalledWith('US', expect.objectContaining({ areaCode: '415' }));
+      expect(available.map(number => number.inPool)).toEqual([true, false]);
+    });
+
+    test('routes map missing numbers, duplicates and provider failures', async () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/caller-ids', callerIdController.addNumber);
+      app.put('/caller-ids/:id', callerIdController.updateNumber);
+      app.get('/caller-ids/available', callerIdController.searchAvailableNumbers);
+
+      expect((await request(app).post('/caller-ids').send({ phoneNumber: 'abc' })).status).toBe(400);
+      expect((await request(app).post('/caller-ids').send({ phoneNumber: '+12125550100' })).status).toBe(201);
+      expect((await request(app).post('/caller-ids').send({ phoneNumber: '+12125550100' })).status).toBe(409);
+      expect((await request(app).put('/caller-ids/00000000-0000-4000-8000-000000000000').send({ dailyCap: 5 })).status).toBe(404);
+
+      expect((await request(app).get('/caller-ids/available')).status).toBe(400);
+      jest.spyOn(TwilioService, 'searchPhoneNumbers').mockResolvedValue({ success: false, error: 'Authenticate' });
+      expect((await request(app).get('/caller-ids/available?state=NY')).status).toBe(502);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Condition Evaluator Tests
+ * AND/OR/NOT groups, field, date and regex operators, call-history aggregates and validation
+ */
+
+const { sequelize, Lead, CallLog } = require('../../database/models');
+const { callLogs } = require('../../data/dataStore');
+const conditionEvaluator = require('../../services/conditionEvaluator');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+const context = {
+  outcome: 'no_answer',
+  lead: {
+    status: 'contacted',
+    score: 42,
+    email: 'dana@example.com',
+    company: 'Acme Corp',
+    tags: ['enterprise', 'inbound'],
+    lastContactedAt: daysAgo(5).toISOString()
+  }
+};
+
+const evaluate = (conditions, overrides = {}) =>
+  conditionEvaluator.evaluate(conditions, { ...context, ...overrides }, { now: NOW });
+
+describe('Condition Evaluator', () => {
+  describe('groups', () => {
+    test('treats an object as an AND of its keys', async () => {
+      expect((await evaluate({ outcome: 'no_answer', 'lead.status': 'contacted' })).passed).toBe(true);
+      expect((await evaluate({ outcome: 'no_answer', 'lead.status': 'new' })).passed).toBe(false);
+      expect((await evaluate({})).passed).toBe(true);
+    });
+
+    test('$and needs every child and $or any child', async () => {
+      const all = await evaluate({ $and: [{ outcome: 'no_answer' }, { 'lead.score': { $gte: 50 } }] });
+      expect(all.passed).toBe(false);
+
+      const any = await evaluate({ $or: [{ outcome: 'voicemail' }, { 'lead.score': { $gte: 40 } }] });
+      expect(any.passed).toBe(true);
+      expect(any.clauses[0]).toMatchObject({ group: '$or', passed: true });
+      expect(any.clauses[0].clauses.map(child => child.passed)).toEqual([false, true]);
+    });
+
+    test('$not inverts its conditions and groups nest', async () => {
+      expect((await evaluate({ $not: { outcome: 'no_answer' } })).passed).toBe(false);
+      expect((await evaluate({
+        $or: [
+          { $not: { 'lead.email': { $exists: true } } },
+          { $and: [{ 'lead.tags': { $contains: 'enterprise' } }, { 'lead.status': { $nin: ['closed'] } }] }
+        ]
+      })).passed).toBe(true);
+    });
+  });
+
+  describe('field operators', () => {
+    test('compare numbers, lists and missing values', async () => {
+      expect((await evaluate({ 'lead.score': { $gt: 40, $lt: 50 } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.status': { $in: ['new', 'contacted'] } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.tags': { $in: ['smb'] } })).passed).toBe(false);
+      expect((await evaluate({ 'lead.phone': { $exists: false } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.missing': { $gt: 1 } })).passed).toBe(false);
+    });
+
+    test('report each check with the actual value', async () => {
+      const { clauses } = await evaluate({ 'lead.score': { $gte: 10, $lte: 20 } });
+      expect(clauses[0]).toMatchObject({
+        field: 'lead.score',
+        actual: 42,
+        passed: false,
+        checks: [
+          { operator: '$gte', expected: 10, passed: true },
+          { operator: '$lte', expected: 20, passed: false }
+        ]
+      });
+    });
+
+    test('$regex takes a pattern, a /literal/ or { pattern, flags }', async () => {
+      expect((await evaluate({ 'lead.company': { $regex: '^Acme' } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.company': { $regex: '/corp$/i' } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.email': { $regex: { pattern: 'EXAMPLE\\.COM', flags: 'i' } } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.company': { $regex: '^Globex' } })).passed).toBe(false);
+      expect((await evaluate({ 'lead.score': { $regex: '42' } })).passed).toBe(false);
+    });
+  });
+
+  describe('date operators', () => {
+    test('$olderThan and $newerThan measure back from now', async () => {
+      expect((await evaluate({ 'lead.lastContactedAt': { $olderThan: '3d' } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.lastContactedAt': { $olderThan: '1w' } })).passed).toBe(false);
+      expect((await evaluate({ 'lead.lastContactedAt': { $newerThan: { value: 6, unit: 'days' } } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.lastContactedAt': { $newerThan: '48h' } })).passed).toBe(false);
+    });
+
+    test('$before and $after compare against a fixed date', async () => {
+      expect((await evaluate({ 'lead.lastContactedAt': { $after: '2026-03-01', $before: '2026-03-10' } })).passed).toBe(true);
+      expect((await evaluate({ 'lead.lastContactedAt': { $before: '2026-03-01' } })).passed).toBe(false);
+      expect((await evaluate({ 'lead.neverContacted': { $after: '2026-03-01' } })).passed).toBe(false);
+    });
+  });
+
+  describe('call history', () => {
+    const history = [
+      { outcome: 'no_answer', initiatedAt: daysAgo(1) },
+      { outcome: 'no_answer', initiatedAt: daysAgo(3) },
+      { outcome: 'voicemail', initiatedAt: daysAgo(4) },
+      { outcome: 'no_answer', createdAt: daysAgo(10).toISOString() }
+    ];
+
+    test('counts matching calls inside the window', async () => {
+      const result = await evaluate(
+        { $calls: { where: { outcome: 'no_answer' }, within: '7d', count: { $gte: 2 } } },
+        { callHistory: history }
+      );
+      expect(result.passed).toBe(true);
+      expect(result.clauses[0]).toMatchObject({ aggregate: '$calls', within: '7d', actual: 2 });
+
+      const strict = await evaluate(
+        { $calls: { where: { outcome: { $in: ['no_answer', 'voicemail'] } }, within: '2d', count: 1 } },
+        { callHistory: history }
+      );
+      expect(strict.passed).toBe(true);
+    });
+
+    test('looks back over all stored history without a window', async () => {
+      expect((await evaluate(
+        { $calls: { where: { outcome: 'no_answer' }, count: 3 } },
+        { callHistory: history }
+      )).passed).toBe(true);
+    });
+
+    describe('stored calls', () => {
+      let lead;
+
+      beforeAll(async () => {
+        await sequelize.sync({ force: true });
+        lead = await Lead.create({
+          firstName: 'Dana',
+          lastName: 'History',
+          company: 'History Co',
+          email: 'history@example.com',
+          phone: '+12125550199'
+        });
+      });
+
+      afterEach(() => {
+        callLogs.splice(0, callLogs.length, ...callLogs.filter(call => call.leadId !== lead.id));
+      });
+
+      afterAll(async () => {
+        await sequelize.close();
+      });
+
+      test('reads logged calls and the in-memory call log for the lead', async () => {
+        await CallLog.create({
+          leadId: lead.id,
+          phoneNumber: lead.phone,
+          direction: 'outbound',
+          status: 'completed',
+          outcome: 'no_answer',
+          initiatedAt: daysAgo(2)
+        });
+        callLogs.push({ id: 'history-1', leadId: lead.id, outcome: 'No Answer', createdAt: daysAgo(1).toISOString() });
+
+        const result = await conditionEvaluator.evaluate(
+          { $calls: { where: { outcome: 'no_answer' }, within: '7d', count: { $gte: 2 } } },
+          { leadId: lead.id },
+          { now: NOW }
+        );
+        expect(result.clauses[0].actual).toBe(2);
+        expect(result.passed).toBe(true);
+      });
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts well-formed conditions', () => {
+      expect(conditionEvaluator.validate({
+        outcome: 'no_answer',
+        $or: [{ 'lead.score': { $gte: 10 } }, { $not: { 'lead.email': { $regex: '@example\\.com$' } } }],
+        $calls: { where: { outcome: 'no_answer' }, within: '7d', count: { $gte: 3 } }
+      })).toEqual([]);
+    });
+
+    test('names each problem with its path', () => {
+      expect(conditionEvaluator.validate({
+        $or: [],
+        'lead.score': { $between: [1, 2] },
+        'lead.status': { $in: 'new' },
+        'lead.lastContactedAt': { $olderThan: 'soon' },
+        'lead.company': { $regex: '(' }
+      })).toEqual([
+        '$or must be a non-empty array of conditions',
+        'lead.score: unknown operator $between',
+        'lead.status: $in needs an array',
+        'lead.lastContactedAt: $olderThan needs a duration such as "3d"',
+        expect.stringMatching(/^lead\.company: invalid \$regex/)
+      ]);
+    });
+
+    test('rejects malformed and nested call aggregates', () => {
+      expect(conditionEvaluator.validate({ $calls: { within: 'a while' } })).toEqual([
+        '$calls.within must be a duration such as "7d"',
+        '$calls.count is required'
+      ]);
+      expect(conditionEvaluator.validate({
+        $calls: { where: { $calls: { count: 1 } }, count: 1 }
+      })).toEqual(['$calls.where.$calls cannot be nested inside another $calls']);
+      expect(conditionEvaluator.validate({ $xor: [] })).toEqual(['$xor is not a known group operator']);
+      expect(conditionEvaluator.validate([])).toEqual(['conditions must be an object']);
+    });
+  });
+});
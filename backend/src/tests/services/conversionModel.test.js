@@ -0,0 +1,210 @@
+/**
+ * Conversion Model Tests
+ * Logistic regression and holdout metrics, training on call history and
+ * filling Lead.conversionProbability
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Activities go to a temp file instead of the tracked src/data/leadActivities.json
+const activitiesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-activities-'));
+process.env.LEAD_ACTIVITIES_FILE = path.join(activitiesDir, 'leadActivities.json');
+
+const { sequelize, Lead, EnhancedCallLog, ConversionModel } = require('../../database/models');
+const { logLeadActivity } = require('../../services/leadTracking');
+const conversionModelService = require('../../services/conversionModelService');
+const {
+  calculateAuc,
+  evaluatePredictions,
+  buildFeatureSpec,
+  encodeRow,
+  trainLogisticRegression,
+  predictProbability
+} = require('../../services/conversionModelTrainer');
+
+const DAY = 24 * 60 * 60 * 1000;
+let sequence = 0;
+
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Lead',
+    lastName: `Number${sequence}`,
+    company: `Company ${sequence}`,
+    email: `lead${sequence}@example.com`,
+    phone: `+1555${String(sequence).padStart(7, '0')}`,
+    ...overrides
+  });
+};
+
+const logCalls = (lead, outcomes) => EnhancedCallLog.bulkCreate(outcomes.map((outcome, i) => ({
+  leadId: lead.id,
+  phoneNumber: '+15550100000',
+  direction: 'outbound',
+  status: outcome === 'voicemail' ? 'voicemail' : 'completed',
+  outcome,
+  duration: outcome === 'voicemail' ? 30 : 300,
+  talkTime: outcome === 'voicemail' ? 0 : 240,
+  initiatedAt: new Date(Date.now() - (i + 1) * DAY)
+})));
+
+/**
+ * Closed leads where meetings mostly precede a win and rejections a loss
+ */
+const seedHistory = async (count) => {
+  for (let i = 0; i < count; i++) {
+    const won = i % 2 === 0;
+    // One in ten leads goes against the pattern so the model is not perfect
+    const noisy = i % 10 === 3;
+    const lead = await createLead({
+      status: won ? 'closed_won' : 'closed_lost',
+      leadSource: i % 4 < 2 ? 'referral' : 'cold_list',
+      industry: i % 3 === 0 ? 'Technology' : 'Retail'
+    });
+    const signal = won !== noisy;
+    await logCalls(lead, signal
+      ? ['voicemail', 'connected', 'meeting_scheduled']
+      : ['voicemail', 'voicemail', 'not_interested']);
+  }
+};
+
+describe('Conversion Model', () => {
+  const defaults = {};
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    Object.assign(defaults, {
+      minTrainingLeads: conversionModelService.minTrainingLeads,
+      minAuc: conversionModelService.minAuc
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(conversionModelService, defaults);
+  });
+
+  afterAll(async () => {
+    conversionModelService.stopSchedule();
+    await sequelize.close();
+    fs.rmSync(activitiesDir, { recursive: true, force: true });
+  });
+
+  describe('trainer', () => {
+    test('computes AUC with ties and calibration bins', () => {
+      expect(calculateAuc([0.1, 0.4, 0.35, 0.8], [0, 0, 1, 1])).toBe(0.75);
+      expect(calculateAuc([0.5, 0.5], [0, 1])).toBe(0.5);
+      expect(calculateAuc([0.2, 0.3], [1, 1])).toBeNull();
+
+      const metrics = evaluatePredictions([0.05, 0.15, 0.95, 0.9], [0, 0, 1, 1]);
+      expect(metrics.auc).toBe(1);
+      expect(metrics.calibration.map(bin => bin.count)).toEqual([1, 1, 2]);
+      expect(metrics.calibration[2].observed_rate).toBe(1);
+      expect(metrics.brierScore).toBeCloseTo((0.05 ** 2 + 0.15 ** 2 + 0.05 ** 2 + 0.1 ** 2) / 4, 10);
+    });
+
+    test('learns a signal from numeric and categorical features', () => {
+      const rows = [];
+      for (let i = 0; i < 80; i++) {
+        rows.push({ features: { calls: i % 8, source: i % 2 ? 'referral' : 'list' }, label: i % 2 });
+      }
+      const spec = buildFeatureSpec(rows.map(r => r.features), [
+        { name: 'calls', type: 'numeric' },
+        { name: 'source', type: 'categorical' }
+      ]);
+      expect(spec[1].categories).toEqual(['list', 'referral', '__other__']);
+
+      const weights = trainLogisticRegression(rows.map(r => encodeRow(spec, r.features)), rows.map(r => r.label));
+      const referral = predictProbability(weights, encodeRow(spec, { calls: 3, source: 'referral' }));
+      const list = predictProbability(weights, encodeRow(spec, { calls: 3, source: 'list' }));
+      const unseen = predictProbability(weights, encodeRow(spec, { calls: null, source: 'trade_show' }));
+
+      expect(referral).toBeGreaterThan(0.7);
+      expect(list).toBeLessThan(0.3);
+      expect(unseen).toBeGreaterThan(list);
+      expect(unseen).toBeLessThan(referral);
+    });
+  });
+
+  describe('service', () => {
+    test('skips training until there are enough closed leads', async () => {
+      const result = await conversionModelService.train();
+
+      expect(result).toEqual({ trained: false, reason: 'Need at least 50 closed leads, found 0' });
+      expect(await conversionModelService.scoreLeads()).toEqual({ scored: 0, updated: 0, modelVersion: null });
+    });
+
+    test('trains on call history, reports holdout metrics and fills conversionProbability', async () => {
+      await seedHistory(160);
+      const promising = await createLead({ status: 'contacted', leadSource: 'referral' });
+      await logCalls(promising, ['connected', 'meeting_scheduled']);
+      const cold = await createLead({ status: 'contacted', leadSource: 'cold_list' });
+      await logCalls(cold, ['voicemail', 'not_interested']);
+
+      const result = await conversionModelService.runTrainingJob();
+      const { model } = result.training;
+
+      expect(model).toMatchObject({ version: 1, status: 'active', algorithm: 'logistic_regression' });
+      expect(model.trainingSize + model.holdoutSize).toBe(160);
+      expect(model.holdoutSize).toBeGreaterThan(10);
+      expect(model.positiveRate).toBeCloseTo(0.5, 5);
+      expect(model.metrics.auc).toBeGreaterThan(0.8);
+      expect(model.metrics.calibration.length).toBeGreaterThan(0);
+      expect(model.metrics.topFeatures[0]).toHaveProperty('coefficient');
+
+      expect(result.scoring).toMatchObject({ scored: 162, modelVersion: 1 });
+      await promising.reload();
+      await cold.reload();
+      expect(Number(promising.conversionProbability)).toBeGreaterThan(0.7);
+      expect(Number(cold.conversionProbability)).toBeLessThan(0.3);
+    });
+
+    test('takes training features as they stood when the lead closed', async () => {
+      const lost = await createLead({ status: 'closed_lost' });
+      // One, two and three days ago
+      await logCalls(lost, ['dnc', 'not_interested', 'voicemail']);
+      const calls = await EnhancedCallLog.findAll({ where: { leadId: lost.id } });
+      // Closed a day and a half ago, so the "dnc" call came after it
+      const closedAt = new Date(Date.now() - 1.5 * DAY);
+      const statusChanges = [{ timestamp: closedAt.toISOString(), data: { previous_status: 'contacted', new_status: 'closed_lost' } }];
+
+      const asOf = conversionModelService.getObservationTime(lost, statusChanges);
+      expect(asOf).toEqual(closedAt);
+
+      const features = conversionModelService.extractFeatures(lost, calls, asOf);
+      expect(features).toMatchObject({ callCount: 2, negativeCalls: 1, voicemailRate: 0.5 });
+      expect(features.daysSinceLastCall).toBeCloseTo(0.5, 5);
+
+      // Without a recorded change the last update stands in; stale open leads stop at the window
+      expect(conversionModelService.getObservationTime(lost, [])).toEqual(lost.updatedAt);
+      const stale = { status: 'contacted', createdAt: new Date('2024-01-01T00:00:00.000Z') };
+      expect(conversionModelService.getObservationTime(stale))
+        .toEqual(new Date(Date.parse('2024-01-01T00:00:00.000Z') + conversionModelService.conversionWindowDays * DAY));
+
+      await logLeadActivity(lost.id, 'status_changed', { previous_status: 'contacted', new_status: 'closed_lost' });
+      const seen = [];
+      await conversionModelService.forEachLeadWithCalls(async (lead, leadCalls, changes) => {
+        if (lead.id === lost.id) seen.push(changes.map(change => change.data.new_status));
+      }, { withStatusChanges: true });
+      expect(seen).toEqual([['closed_lost']]);
+
+      await EnhancedCallLog.destroy({ where: { leadId: lost.id } });
+      await lost.destroy({ force: true });
+    });
+
+    test('retires the previous version and rejects models below the AUC floor', async () => {
+      const retrained = await conversionModelService.train();
+      expect(retrained.model).toMatchObject({ version: 2, status: 'active' });
+      expect((await ConversionModel.findOne({ where: { version: 1 } })).status).toBe('retired');
+
+      conversionModelService.minAuc = 0.999;
+      const rejected = await conversionModelService.train();
+      expect(rejected.model).toMatchObject({ version: 3, status: 'rejected' });
+      expect(rejected.reason).toMatch(/below 0.999/);
+
+      expect((await conversionModelService.getActiveModel()).version).toBe(2);
+      expect((await conversionModelService.listModels()).map(m => m.version)).toEqual([3, 2, 1]);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * CRM Conflict Service Tests
+ * Per-field provenance, conflict policies and the conflict inbox
+ */
+
+const { sequelize, Lead, LeadSyncConflict, CrmFieldPolicy, CrmRecordLink } = require('../../database/models');
+const crmConflictService = require('../../services/crmConflictService');
+const crmIntegrationService = require('../../services/crmIntegrationService');
+
+const HOUR = 60 * 60 * 1000;
+
+const createLead = (overrides = {}) => Lead.create({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  company: 'Analytical Engines',
+  email: 'ada@example.com',
+  phone: '+15550100001',
+  ...overrides
+});
+
+/**
+ * Lead whose `title` was edited in the dashboard an hour after the last CRM sync
+ */
+const createLocallyEditedLead = async (lastSyncedAt) => {
+  const lead = await createLead({ title: 'CTO' });
+  const editedAt = new Date(lastSyncedAt.getTime() + HOUR);
+  await lead.update({
+    fieldProvenance: { title: { source: crmConflictService.DASHBOARD_SOURCE, updatedAt: editedAt.toISOString() } }
+  });
+  return { lead, editedAt };
+};
+
+describe('CRM Conflict Service', () => {
+  beforeAll(async () => {
+    crmIntegrationService.stopSyncProcessor();
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await LeadSyncConflict.destroy({ where: {} });
+    await CrmFieldPolicy.destroy({ where: {} });
+    await CrmRecordLink.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+  });
+
+  test('only re-stamps provenance for fields whose value changes', async () => {
+    const lead = await createLead({ title: 'CTO' });
+
+    const provenance = crmConflictService.buildProvenance(
+      lead,
+      { title: 'CTO', company: 'Difference Engines' },
+      crmConflictService.DASHBOARD_SOURCE
+    );
+
+    expect(provenance.title).toBeUndefined();
+    expect(provenance.company.source).toBe('dashboard');
+  });
+
+  test('applies CRM values for fields not edited locally since the last sync', async () => {
+    const lastSyncedAt = new Date(Date.now() - 2 * HOUR);
+    const lead = await createLead();
+
+    const result = await crmConflictService.reconcileIncoming(
+      lead, 'hubspot', { company: 'Difference Engines' }, { remoteUpdatedAt: new Date(), lastSyncedAt }
+    );
+
+    expect(result.applied).toEqual(['company']);
+    await lead.reload();
+    expect(lead.company).toBe('Difference Engines');
+    expect(lead.fieldProvenance.company.source).toBe('crm:hubspot');
+  });
+
+  test('newest_wins keeps the newer dashboard edit and takes a newer CRM edit', async () => {
+    const lastSyncedAt = new Date(Date.now() - 3 * HOUR);
+    const { lead, editedAt } = await createLocallyEditedLead(lastSyncedAt);
+
+    const older = await crmConflictService.reconcileIncoming(
+      lead, 'hubspot', { title: 'CEO' }, { remoteUpdatedAt: new Date(editedAt.getTime() - 60000), lastSyncedAt }
+    );
+    expect(older.kept).toEqual(['title']);
+    await lead.reload();
+    expect(lead.title).toBe('CTO');
+
+    const newer = await crmConflictService.reconcileIncoming(
+      lead, 'hubspot', { title: 'CEO' }, { remoteUpdatedAt: new Date(editedAt.getTime() + 60000), lastSyncedAt }
+    );
+    expect(newer.applied).toEqual(['title']);
+    await lead.reload();
+    expect(lead.title).toBe('CEO');
+  });
+
+  test('dashboard_wins and crm_wins policies override recency', async () => {
+    const lastSyncedAt = new Date(Date.now() - 3 * HOUR);
+    const { lead, editedAt } = await createLocallyEditedLead(lastSyncedAt);
+
+    await crmConflictService.setPolicy('title', 'dashboard_wins');
+    const kept = await crmConflictService.reconcileIncoming(
+      lead, 'salesforce', { title: 'CEO' }, { remoteUpdatedAt: new Date(editedAt.getTime() + HOUR), lastSyncedAt }
+    );
+    expect(kept.kept).toEqual(['title']);
+
+    await crmConflictService.setPolicy('title', 'crm_wins');
+    const applied = await crmConflictService.reconcileIncoming(
+      lead, 'salesforce', { title: 'CEO' }, { remoteUpdatedAt: new Date(editedAt.getTime() - HOUR), lastSyncedAt }
+    );
+    expect(applied.applied).toEqual(['title']);
+  });
+
+  test('manual policy opens a single conflict per field and resolves it', async () => {
+    const lastSyncedAt = new Date(Date.now() - 3 * HOUR);
+    const { lead } = await createLocallyEditedLead(lastSyncedAt);
+    await crmConflictService.setPolicy('title', 'manual');
+
+    await crmConflictService.reconcileIncoming(lead, 'pipedrive', { title: 'CEO' }, { lastSyncedAt });
+    const again = await crmConflictService.reconcileIncoming(lead, 'pipedrive', { title: 'Founder' }, { lastSyncedAt });
+
+    expect(again.conflicts).toHaveLength(1);
+    const { rows, count } = await crmConflictService.listConflicts({ leadId: lead.id });
+    expect(count).toBe(1);
+    expect(rows[0].dashboardValue).toBe('CTO');
+    expect(rows[0].crmValue).toBe('Founder');
+    expect(rows[0].lead.email).toBe('ada@example.com');
+
+    const result = await crmConflictService.resolveConflict(rows[0].id, { choice: 'custom', value: 'Co-founder', resolvedBy: 'u1' });
+
+    expect(result.pushToCrm).toBe(true);
+    expect(result.lead.title).toBe('Co-founder');
+    expect(result.conflict.status).toBe('resolved');
+    await expect(
+      crmConflictService.resolveConflict(rows[0].id, { choice: 'crm' })
+    ).rejects.toThrow('already been resolved');
+  });
+
+  test('contact fields default to manual and unknown fields are rejected', async () => {
+    const policies = await crmConflictService.listPolicies();
+
+    expect(policies.fields.find(f => f.field === 'email').policy).toBe('manual');
+    await expect(crmConflictService.setPolicy('notAField', 'crm_wins')).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'Unknown lead field: notAField'
+    });
+    await expect(crmConflictService.setPolicy('title', 'loudest_wins')).rejects.toThrow('policy must be one of');
+  });
+
+  test('outbound lead syncs update the linked CRM record instead of creating a new one', async () => {
+    const lead = await createLead();
+    await CrmRecordLink.create({ provider: 'hubspot', objectType: 'lead', remoteId: '555', localId: lead.id });
+    const push = jest.spyOn(crmIntegrationService, 'syncToHubSpot').mockResolvedValue({ success: true, crmRecordId: '555' });
+
+    await crmIntegrationService.syncLead(lead.toJSON(), 'hubspot');
+    await crmIntegrationService.processDueItems();
+
+    expect(push).toHaveBeenCalledWith(expect.objectContaining({ leadId: lead.id }), '555');
+    const link = await CrmRecordLink.findOne({ where: { localId: lead.id } });
+    expect(link.lastSyncedAt).not.toBeNull();
+  });
+});
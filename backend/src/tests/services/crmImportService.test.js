@@ -0,0 +1,365 @@
+/**
+ * CRM Import Service Tests
+ * Runs each provider's pull against a local mock HTTP server standing in for the CRM API
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { sequelize, Lead, CrmRecordLink, CrmSyncCursor, CrmFieldPolicy, LeadSyncConflict } = require('../../database/models');
+const crmImportService = require('../../services/crmImportService');
+const crmConflictService = require('../../services/crmConflictService');
+
+const readBody = (req) => new Promise(resolve => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+});
+
+describe('CRM Import Service', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let routes;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    server = http.createServer(async (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = await readBody(req);
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      const handler = routes[`${req.method} ${url.pathname}`];
+      if (!handler) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'not found' }));
+        return;
+      }
+      const payload = handler(url.searchParams);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    routes = {};
+    crmImportService.pageSize = 2;
+    await CrmRecordLink.destroy({ where: {} });
+    await CrmSyncCursor.destroy({ where: {} });
+    await CrmFieldPolicy.destroy({ where: {} });
+    await LeadSyncConflict.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+  });
+
+  test('pages through Salesforce query results and creates linked leads', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: false,
+      nextRecordsUrl: '/services/data/v52.0/query/01g-2000',
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'Ada@Example.com', Phone: '(555) 100-2000', Company: 'Engines Ltd', LastModifiedDate: '2024-03-01T10:00:00.000+0000' }
+      ]
+    });
+    routes['GET /services/data/v52.0/query/01g-2000'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q2', FirstName: 'Alan', LastName: 'Turing', Email: 'alan@example.com', Phone: '5551002001', Company: 'Bletchley', LastModifiedDate: '2024-03-02T10:00:00.000+0000' }
+      ]
+    });
+
+    const result = await crmImportService.importLeads('salesforce', { name: 'Salesforce', baseUrl }, {});
+
+    expect(result.total).toBe(2);
+    expect(result.created).toBe(2);
+
+    const ada = await Lead.findOne({ where: { email: 'ada@example.com' } });
+    expect(ada.phone).toBe('5551002000');
+    expect(ada.leadSource).toBe('Salesforce');
+
+    const link = await CrmRecordLink.findByRemoteId('salesforce', 'lead', '00Q1');
+    expect(link.localId).toBe(ada.id);
+
+    const queryRequest = requests.find(r => r.path === '/services/data/v52.0/query');
+    expect(queryRequest.headers.authorization).toBe('Bearer sf-token');
+    expect(queryRequest.query.get('q')).not.toMatch(/WHERE/);
+
+    const cursor = await CrmSyncCursor.forProvider('salesforce');
+    expect(new Date(cursor.lastSyncedAt).toISOString()).toBe('2024-03-02T10:00:00.000Z');
+  });
+
+  test('holds the cursor before the oldest record that failed to save', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Engines Ltd', LastModifiedDate: '2024-03-01T10:00:00.000+0000' },
+        { Id: '00Q2', FirstName: 'Bad', LastName: 'Email', Email: 'not-an-email', Phone: '5551002001', Company: 'Nowhere', LastModifiedDate: '2024-03-02T10:00:00.000+0000' },
+        { Id: '00Q3', FirstName: 'Alan', LastName: 'Turing', Email: 'alan@example.com', Phone: '5551002002', Company: 'Bletchley', LastModifiedDate: '2024-03-03T10:00:00.000+0000' }
+      ]
+    });
+
+    const result = await crmImportService.importLeads('salesforce', { baseUrl }, {});
+
+    expect(result.created).toBe(2);
+    expect(result.errors.map(error => error.remoteId)).toEqual(['00Q2']);
+    expect(result.cursor).toBe('2024-03-01T10:00:00.000Z');
+  });
+
+  test('stops paging once the limit is reached', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: false,
+      nextRecordsUrl: '/services/data/v52.0/query/01g-2000',
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Engines Ltd', LastModifiedDate: '2024-03-01T10:00:00.000+0000' },
+        { Id: '00Q2', FirstName: 'Alan', LastName: 'Turing', Email: 'alan@example.com', Phone: '5551002001', Company: 'Bletchley', LastModifiedDate: '2024-03-02T10:00:00.000+0000' }
+      ]
+    });
+
+    const result = await crmImportService.importLeads('salesforce', { baseUrl }, { limit: 1 });
+
+    expect(result.total).toBe(1);
+    expect(result.truncated).toBe(true);
+    expect(requests.filter(r => r.path.startsWith('/services/data'))).toHaveLength(1);
+    expect(requests[1].query.get('q')).toMatch(/LIMIT 1$/);
+  });
+
+  test('moves the cursor of a limited, oldest-first pull only past timestamps it fetched in full', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Engines Ltd', LastModifiedDate: '2024-03-01T10:00:00.000+0000' },
+        { Id: '00Q2', FirstName: 'Alan', LastName: 'Turing', Email: 'alan@example.com', Phone: '5551002001', Company: 'Bletchley', LastModifiedDate: '2024-03-02T10:00:00.000+0000' },
+        { Id: '00Q3', FirstName: 'Grace', LastName: 'Hopper', Email: 'grace@example.com', Phone: '5551002002', Company: 'Navy', LastModifiedDate: '2024-03-02T10:00:00.000+0000' }
+      ]
+    });
+
+    // 00Q3's sibling updated at the same time may not have fit under the limit
+    const result = await crmImportService.importLeads('salesforce', { baseUrl }, { limit: 3 });
+
+    expect(result.total).toBe(3);
+    expect(result.cursor).toBe('2024-03-01T10:00:00.000Z');
+  });
+
+  test('holds the cursor when a limit cuts short a pull that is not ordered by modification time', async () => {
+    routes['GET /crm/v3/objects/contacts'] = () => ({
+      results: [{ id: '502', updatedAt: '2024-04-02T00:00:00.000Z', properties: { firstname: 'Grace', lastname: 'Hopper', email: 'grace@navy.mil', company: 'Navy', phone: '5552003000' } }],
+      paging: { next: { after: '502' } }
+    });
+
+    const result = await crmImportService.importLeads('hubspot', { baseUrl, accessToken: 'hs-token' }, { limit: 1 });
+
+    expect(result.created).toBe(1);
+    expect(result.truncated).toBe(true);
+    expect(result.cursor).toBeNull();
+    const cursor = await CrmSyncCursor.forProvider('hubspot');
+    expect(cursor.lastSyncedAt).toBeNull();
+  });
+
+  test('uses the stored cursor for incremental Salesforce imports and updates linked leads', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Engines Ltd', LastModifiedDate: '2024-03-01T10:00:00.000+0000' }
+      ]
+    });
+    await crmImportService.importLeads('salesforce', { baseUrl }, {});
+
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Analytical Engines', Title: 'Countess', LastModifiedDate: '2024-03-05T10:00:00.000+0000' }
+      ]
+    });
+    requests = [];
+    const result = await crmImportService.importLeads('salesforce', { baseUrl }, {});
+
+    expect(result.incremental).toBe(true);
+    expect(result.updated).toBe(1);
+    expect(requests.find(r => r.path.endsWith('/query')).query.get('q'))
+      .toContain('WHERE LastModifiedDate > 2024-03-01T10:00:00Z');
+
+    const leads = await Lead.findAll();
+    expect(leads).toHaveLength(1);
+    expect(leads[0].company).toBe('Analytical Engines');
+    expect(leads[0].title).toBe('Countess');
+  });
+
+  test('keeps kept and conflicting fields behind the CRM across repeated imports', async () => {
+    routes['POST /services/oauth2/token'] = () => ({ access_token: 'sf-token', instance_url: baseUrl });
+    routes['GET /services/data/v52.0/query'] = () => ({
+      done: true,
+      records: [
+        { Id: '00Q1', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', Phone: '5551002000', Company: 'Engines Ltd', Title: 'Engineer', LastModifiedDate: '2024-03-01T10:00:00.000+0000' }
+      ]
+    });
+    await crmImportService.importLeads('salesforce', { baseUrl }, { incremental: false });
+
+    // Edited in the dashboard after that sync
+    const link = await CrmRecordLink.findByRemoteId('salesforce', 'lead', '00Q1');
+    await link.update({ lastSyncedAt: new Date(Date.now() - 60 * 60 * 1000) });
+    const lead = await Lead.findByPk(link.localId);
+    const edits = { title: 'Dash', email: 'ada@dash.example.com' };
+    await lead.update({ ...edits, fieldProvenance: crmConflictService.buildProvenance(lead, edits, crmConflictService.DASHBOARD_SOURCE) });
+    await crmConflictService.setPolicy('title', 'dashboard_wins');
+
+    for (let run = 0; run < 2; run++) {
+      const result = await crmImportService.importLeads('salesforce', { baseUrl }, { incremental: false });
+      expect(result.updated).toBe(1);
+      await lead.reload();
+      expect(lead.title).toBe('Dash');
+      expect(lead.email).toBe('ada@dash.example.com');
+    }
+
+    const conflicts = await LeadSyncConflict.findAll({ where: { leadId: lead.id } });
+    expect(conflicts.map(conflict => [conflict.field, conflict.status])).toEqual([['email', 'open']]);
+    await link.reload();
+    expect(Object.keys(link.fieldSyncedAt).sort()).toEqual(['email', 'title']);
+  });
+
+  test('links HubSpot contacts to existing leads by email without overwriting local values', async () => {
+    const existing = await Lead.create({
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      email: 'grace@navy.mil',
+      phone: '5552003000',
+      company: 'US Navy'
+    });
+
+    routes['GET /crm/v3/objects/contacts'] = (query) => {
+      if (!query.get('after')) {
+        return {
+          results: [{ id: '501', updatedAt: '2024-04-01T00:00:00.000Z', properties: { firstname: 'Grace', lastname: 'Hopper', email: 'GRACE@navy.mil', company: 'Navy', jobtitle: 'Rear Admiral', phone: '5552003000' } }],
+          paging: { next: { after: '501' } }
+        };
+      }
+      return {
+        results: [{ id: '502', updatedAt: '2024-04-02T00:00:00.000Z', properties: { firstname: 'Katherine', email: 'kj@nasa.gov' } }]
+      };
+    };
+
+    const result = await crmImportService.importLeads('hubspot', { baseUrl, accessToken: 'hs-token' }, {});
+
+    expect(result.linked).toBe(1);
+    expect(result.skipped).toEqual([
+      { remoteId: '502', reason: 'Missing required fields: lastName, phone, company' }
+    ]);
+
+    await existing.reload();
+    expect(existing.company).toBe('US Navy');
+    expect(existing.title).toBe('Rear Admiral');
+
+    const listRequest = requests.find(r => r.path === '/crm/v3/objects/contacts');
+    expect(listRequest.headers.authorization).toBe('Bearer hs-token');
+    expect(listRequest.query.get('properties')).toContain('jobtitle');
+  });
+
+  test('uses the HubSpot search API for changed-since imports', async () => {
+    routes['POST /crm/v3/objects/contacts/search'] = () => ({ results: [] });
+
+    const since = '2024-05-01T00:00:00.000Z';
+    const result = await crmImportService.importLeads('hubspot', { baseUrl, accessToken: 'hs-token' }, { since });
+
+    expect(result.total).toBe(0);
+    const search = JSON.parse(requests[0].body);
+    expect(search.filterGroups[0].filters[0]).toEqual({
+      propertyName: 'lastmodifieddate',
+      operator: 'GT',
+      value: String(new Date(since).getTime())
+    });
+  });
+
+  test('follows Pipedrive pagination and maps array fields', async () => {
+    routes['GET /v1/persons'] = (query) => {
+      const start = parseInt(query.get('start'));
+      if (start === 0) {
+        return {
+          data: [{ id: 7, first_name: 'Linus', last_name: 'Torvalds', email: [{ value: 'linus@kernel.org', primary: true }], phone: [{ value: '+1 555 300 4000' }, { value: '555-300-4001' }], org_name: 'Linux Foundation', update_time: '2024-06-01 12:00:00' }],
+          additional_data: { pagination: { more_items_in_collection: true, next_start: 2 } }
+        };
+      }
+      return { data: null, additional_data: { pagination: { more_items_in_collection: false } } };
+    };
+
+    const result = await crmImportService.importLeads('pipedrive', { baseUrl, apiToken: 'pd-token' }, { incremental: false });
+
+    expect(result.created).toBe(1);
+    expect(requests.map(r => r.query.get('start'))).toEqual(['0', '2']);
+    expect(requests[0].query.get('api_token')).toBe('pd-token');
+
+    const lead = await Lead.findOne({ where: { email: 'linus@kernel.org' } });
+    expect(lead.phone).toBe('+15553004000');
+    expect(lead.alternatePhone).toBe('5553004001');
+    expect(result.cursor).toBe('2024-06-01T12:00:00.000Z');
+  });
+
+  test('reads Pipedrive recents for changed-since imports', async () => {
+    routes['GET /v1/recents'] = () => ({
+      data: [
+        { item: 'person', id: 9, data: { id: 9, first_name: 'Margaret', last_name: 'Hamilton', email: [{ value: 'mh@mit.edu' }], phone: [{ value: '5554005000' }], org_name: 'MIT', update_time: '2024-06-03 08:00:00' } },
+        { item: 'deal', id: 3, data: { id: 3, title: 'Ignored' } }
+      ]
+    });
+
+    const result = await crmImportService.importLeads('pipedrive', { baseUrl, apiToken: 'pd-token' }, { since: '2024-06-02T00:00:00Z' });
+
+    expect(result.created).toBe(1);
+    expect(requests[0].query.get('since_timestamp')).toBe('2024-06-02 00:00:00');
+    expect(requests[0].query.get('items')).toBe('person');
+  });
+
+  test('refreshes a Zoho token and pages until more_records is false', async () => {
+    routes['POST /oauth/v2/token'] = () => ({ access_token: 'zoho-token' });
+    routes['GET /Leads'] = (query) => {
+      const page = parseInt(query.get('page'));
+      return {
+        data: [{ id: `z${page}`, First_Name: 'Zed', Last_Name: `Page${page}`, Email: `zed${page}@example.com`, Phone: `55550060${page}0`, Company: 'Zoho Co', Modified_Time: `2024-07-0${page}T09:00:00+00:00` }],
+        info: { more_records: page < 2 }
+      };
+    };
+
+    const result = await crmImportService.importLeads('zoho', { baseUrl, accountsUrl: baseUrl, refreshToken: 'r' }, { since: '2024-06-30T00:00:00Z' });
+
+    expect(result.created).toBe(2);
+    const leadRequest = requests.find(r => r.path === '/Leads');
+    expect(leadRequest.headers.authorization).toBe('Zoho-oauthtoken zoho-token');
+    expect(leadRequest.headers['if-modified-since']).toBe('2024-06-30T00:00:00.000Z');
+  });
+
+  test('applies caller field mapping overrides', () => {
+    const mapped = crmImportService.mapRemoteLead(
+      'salesforce',
+      { Id: '00Q9', FirstName: 'Ann', Custom_Region__c: 'EMEA', Description: 'ignored' },
+      crmImportService.getFieldMapping('salesforce', { Custom_Region__c: 'addressState', Description: null })
+    );
+
+    expect(mapped.fields).toEqual({ firstName: 'Ann', addressState: 'EMEA' });
+  });
+
+  test('rejects mappings that inject SOQL or target fields outside the allow-list', () => {
+    expect(crmImportService.validateFieldMapping({ Custom_Region__c: 'addressState', Description: null })).toEqual([]);
+    expect(crmImportService.validateFieldMapping({ 'Id FROM User --': 'notes' })).toHaveLength(1);
+    expect(crmImportService.validateFieldMapping({ OwnerId: 'assignedTo', Score__c: 'id' })).toEqual([
+      '"assignedTo" is not a lead field that can be imported',
+      '"id" is not a lead field that can be imported'
+    ]);
+    expect(() => crmImportService.getFieldMapping('salesforce', { Email: 'doNotCall' }))
+      .toThrow('Invalid field mapping');
+  });
+
+  test('rejects an invalid since timestamp', async () => {
+    await expect(crmImportService.importLeads('hubspot', { baseUrl }, { since: 'yesterday' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid since timestamp: yesterday' });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * CRM Sync Queue Tests
+ * Persistence, exponential backoff and dead-letter handling of outbound CRM syncs
+ */
+
+const { sequelize, CrmSyncItem } = require('../../database/models');
+const crmIntegrationService = require('../../services/crmIntegrationService');
+
+describe('CRM Sync Queue', () => {
+  beforeAll(async () => {
+    crmIntegrationService.stopSyncProcessor();
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await CrmSyncItem.destroy({ where: {} });
+  });
+
+  test('persists queued syncs in the database', async () => {
+    const result = await crmIntegrationService.syncLead({ id: 'lead-1', firstName: 'Ada' }, 'hubspot');
+
+    expect(result.status).toBe('queued');
+    const item = await CrmSyncItem.findByPk(result.syncItemId);
+    expect(item.status).toBe('pending');
+    expect(item.leadId).toBe('lead-1');
+    expect(item.data.firstName).toBe('Ada');
+  });
+
+  test('completes due items and records the CRM record ID', async () => {
+    jest.spyOn(crmIntegrationService, 'syncToHubSpot').mockResolvedValue({ success: true, crmRecordId: 901 });
+    const { syncItemId } = await crmIntegrationService.syncLead({ id: 'lead-2' }, 'hubspot');
+
+    const processed = await crmIntegrationService.processDueItems();
+
+    expect(processed).toBe(1);
+    const item = await CrmSyncItem.findByPk(syncItemId);
+    expect(item.status).toBe('completed');
+    expect(item.attempts).toBe(1);
+    expect(item.crmRecordId).toBe('901');
+  });
+
+  test('backs off exponentially after a failure', async () => {
+    jest.spyOn(crmIntegrationService, 'syncToHubSpot').mockResolvedValue({ success: false, error: 'rate limited' });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+    const { syncItemId } = await crmIntegrationService.syncLead({ id: 'lead-3' }, 'hubspot');
+
+    const before = Date.now();
+    await crmIntegrationService.processDueItems();
+
+    const item = await CrmSyncItem.findByPk(syncItemId);
+    expect(item.status).toBe('pending');
+    expect(item.attempts).toBe(1);
+    expect(item.lastError).toBe('rate limited');
+    expect(item.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + crmIntegrationService.retryDelay);
+
+    // Not due yet, so the next pass leaves it alone
+    expect(await crmIntegrationService.processDueItems()).toBe(0);
+
+    expect(crmIntegrationService.getRetryDelay(3)).toBe(crmIntegrationService.retryDelay * 4);
+  });
+
+  test('moves an item to dead-letter after the last allowed attempt', async () => {
+    jest.spyOn(crmIntegrationService, 'syncToPipedrive').mockResolvedValue({ success: false, error: 'invalid token' });
+    const { syncItemId } = await crmIntegrationService.syncLead({ id: 'lead-4' }, 'pipedrive');
+    await CrmSyncItem.update({ attempts: 4, maxAttempts: 5 }, { where: { id: syncItemId } });
+
+    await crmIntegrationService.processDueItems();
+
+    const item = await CrmSyncItem.findByPk(syncItemId);
+    expect(item.status).toBe('dead');
+    expect(item.attempts).toBe(5);
+    expect(item.deadLetteredAt).not.toBeNull();
+
+    const status = await crmIntegrationService.getSyncStatus(null, 'lead-4');
+    expect(status.total).toBe(1);
+    expect(status.deadLettered).toBe(1);
+    expect(status.items[0].error).toBe('invalid token');
+  });
+
+  test('retries and discards dead-lettered items', async () => {
+    const dead = await CrmSyncItem.create({ type: 'lead', provider: 'zoho', status: 'dead', attempts: 5, deadLetteredAt: new Date() });
+    const other = await CrmSyncItem.create({ type: 'lead', provider: 'zoho', status: 'dead', attempts: 5, deadLetteredAt: new Date() });
+
+    const { items, total } = await crmIntegrationService.getFailedItems({ provider: 'zoho' });
+    expect(total).toBe(2);
+    expect(items[0].data).toEqual({});
+
+    const retried = await crmIntegrationService.retrySyncItem(dead.id);
+    expect(retried.status).toBe('pending');
+    expect(retried.attempts).toBe(0);
+
+    await expect(crmIntegrationService.retrySyncItem(dead.id)).rejects.toMatchObject({
+      code: 'INVALID_STATE',
+      message: expect.stringContaining('Only dead-lettered items')
+    });
+
+    await crmIntegrationService.discardSyncItem(other.id);
+    expect(await CrmSyncItem.findByPk(other.id)).toBeNull();
+    expect(await crmIntegrationService.discardSyncItem(other.id)).toBeNull();
+  });
+
+  test('releases items stuck in processing after a restart', async () => {
+    const stuck = await CrmSyncItem.create({
+      type: 'call_log',
+      provider: 'hubspot',
+      status: 'processing',
+      lastAttemptAt: new Date(Date.now() - crmIntegrationService.staleProcessingMs - 1000)
+    });
+    jest.spyOn(crmIntegrationService, 'syncToHubSpot').mockResolvedValue({ success: true, crmRecordId: 'c-1' });
+
+    await crmIntegrationService.processDueItems();
+
+    await stuck.reload();
+    expect(stuck.status).toBe('completed');
+  });
+});
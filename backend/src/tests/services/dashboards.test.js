@@ -0,0 +1,161 @@
+/**
+ * Dashboard Builder Tests
+ * Widget validation, per-user and team access, share links and widget data
+ */
+
+const { sequelize, Team, TeamMember } = require('../../database/models');
+const authController = require('../../controllers/authController');
+const dashboardService = require('../../services/dashboardService');
+const widgetSourceService = require('../../services/widgetSourceService');
+
+const owner = { id: 1, role: 'agent' };
+const teammate = { id: 2, role: 'agent' };
+const teamManager = { id: 3, role: 'manager' };
+const outsider = { id: 4, role: 'manager' };
+const admin = { id: 5, role: 'admin' };
+const formerMember = { id: 6, role: 'agent' };
+
+const snapshotsWidget = (overrides = {}) => ({
+  type: 'table',
+  title: 'Forecast snapshots',
+  source: { endpoint: '/api/analytics/forecasting/snapshots', params: { period: 'month' } },
+  ...overrides
+});
+
+describe('Dashboard Builder', () => {
+  let east;
+  let west;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    east = await Team.create({ name: 'East' });
+    west = await Team.create({ name: 'West' });
+    await TeamMember.bulkCreate([
+      { teamId: east.id, userId: '1' },
+      { teamId: east.id, userId: '2' },
+      { teamId: east.id, userId: '3', role: 'manager' },
+      { teamId: west.id, userId: '4', role: 'manager' },
+      { teamId: east.id, userId: '6', isActive: false }
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('binds widgets to analytics and call analytics GET endpoints only', () => {
+    const endpoints = widgetSourceService.listSources().map(source => source.endpoint);
+
+    expect(endpoints).toEqual(expect.arrayContaining([
+      '/api/analytics/kpis',
+      '/api/analytics/forecasting',
+      '/api/call-analytics/performance',
+      '/api/call-analytics/agent-scorecards'
+    ]));
+    expect(endpoints).not.toContain('/api/analytics/subscriptions');
+    expect(endpoints).not.toContain('/api/analytics/exports/:type');
+    expect(endpoints).not.toContain('/api/call-analytics/export');
+  });
+
+  test('validates widgets and places those without a layout below the rest', async () => {
+    const dashboard = await dashboardService.createDashboard({
+      name: '  Team KPIs ',
+      widgets: [
+        { type: 'kpi', source: { endpoint: '/api/analytics/kpis' }, layout: { x: 0, y: 0, w: 12, h: 3 } },
+        snapshotsWidget()
+      ]
+    }, owner);
+
+    expect(dashboard).toMatchObject({ name: 'Team KPIs', ownerId: '1', visibility: 'private', teamId: null, canEdit: true });
+    expect(dashboard.widgets[0]).toMatchObject({ title: '/api/analytics/kpis', source: { params: {} }, display: {} });
+    expect(dashboard.widgets[1].layout).toEqual({ x: 0, y: 3, w: 6, h: 4 });
+    expect(dashboard.widgets[0].id).not.toBe(dashboard.widgets[1].id);
+
+    await expect(dashboardService.createDashboard({
+      name: 'Bad', widgets: [{ type: 'pie', source: { endpoint: '/api/analytics/kpis' } }]
+    }, owner)).rejects.toThrow('widgets[0].type must be one of');
+    await expect(dashboardService.createDashboard({
+      name: 'Bad', widgets: [{ type: 'kpi', source: { endpoint: '/api/leads' } }]
+    }, owner)).rejects.toThrow('widgets[0].source.endpoint');
+    await expect(dashboardService.createDashboard({
+      name: 'Bad', widgets: [snapshotsWidget({ layout: { x: 8, y: 0, w: 6, h: 4 } })]
+    }, owner)).rejects.toThrow('within 12 columns');
+    await expect(dashboardService.createDashboard({
+      name: 'Bad', widgets: [snapshotsWidget({ source: { endpoint: '/api/analytics/kpis', params: { filter: { nested: true } } } })]
+    }, owner)).rejects.toThrow('source.params values');
+  });
+
+  test('shares team dashboards with the team and lets only its managers change them', async () => {
+    const created = await dashboardService.createDashboard({ name: 'East pipeline', visibility: 'team' }, owner);
+    expect(created.teamId).toBe(east.id);
+
+    const visibleTo = async (user) => (await dashboardService.listDashboards(user)).map(item => item.name);
+    expect(await visibleTo(teammate)).toContain('East pipeline');
+    expect(await visibleTo(outsider)).not.toContain('East pipeline');
+    expect(await visibleTo(formerMember)).not.toContain('East pipeline');
+    expect(await visibleTo(admin)).toContain('East pipeline');
+    expect(await visibleTo(teammate)).not.toContain('Team KPIs');
+
+    const check = async (user, access) => (await dashboardService.findForUser(created.id, user, access)).allowed;
+    expect(await check(teammate, 'view')).toBe(true);
+    expect(await check(teammate, 'edit')).toBe(false);
+    expect(await check(teamManager, 'edit')).toBe(true);
+    expect(await check(outsider, 'view')).toBe(false);
+
+    // Making it private again takes it away from the team
+    const { dashboard } = await dashboardService.findForUser(created.id, owner, 'edit');
+    const updated = await dashboardService.updateDashboard(dashboard, { visibility: 'private' }, owner);
+    expect(updated.teamId).toBeNull();
+    expect(await check(teammate, 'view')).toBe(false);
+
+    await expect(dashboardService.createDashboard({ name: 'No team', visibility: 'team' }, admin))
+      .rejects.toThrow('teamId is required');
+    await expect(dashboardService.createDashboard({ name: 'West', visibility: 'team', teamId: west.id }, owner))
+      .rejects.toThrow('a team you belong to');
+    await expect(dashboardService.createDashboard({ name: 'Nowhere', visibility: 'team', teamId: 'team_west' }, admin))
+      .rejects.toThrow('Team not found');
+    const shared = await dashboardService.createDashboard({ name: 'West', visibility: 'team', teamId: west.id }, admin);
+    expect(shared.teamId).toBe(west.id);
+  });
+
+  test('serves read-only links until they are turned off', async () => {
+    const created = await dashboardService.createDashboard({
+      name: 'Shared forecast',
+      filters: { period: 'month' },
+      widgets: [
+        snapshotsWidget({ id: 'snapshots', source: { endpoint: '/api/analytics/forecasting/snapshots' } }),
+        snapshotsWidget({ id: 'invalid', source: { endpoint: '/api/analytics/forecasting/snapshots', params: { period: 'year' } } }),
+        { id: 'volume', type: 'line', source: { endpoint: '/api/call-analytics/volume-trends', params: { start_date: 'not-a-date' } } }
+      ]
+    }, owner);
+    const { dashboard } = await dashboardService.findForUser(created.id, owner);
+
+    const shared = await dashboardService.share(dashboard, owner);
+    expect(shared.shareToken).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect((await dashboardService.share(dashboard, owner)).shareToken).toBe(shared.shareToken);
+
+    const found = await dashboardService.findShared(shared.shareToken);
+    const view = dashboardService.serializeShared(found);
+    expect(view).toMatchObject({ name: 'Shared forecast', readOnly: true });
+    expect(view).not.toHaveProperty('ownerId');
+    expect(view).not.toHaveProperty('shareToken');
+
+    // Widgets load with the owner's own permissions
+    const findUser = jest.spyOn(authController, 'findUserById').mockReturnValue({ id: 1, role: 'agent', isActive: true });
+    expect((await dashboardService.getSharedWidgetData(found, 'snapshots')).status).toBe(403);
+    findUser.mockReturnValue({ id: 1, role: 'manager', isActive: false });
+    expect((await dashboardService.getSharedWidgetData(found, 'snapshots')).status).toBe(403);
+    findUser.mockReturnValue({ id: 1, role: 'manager', isActive: true });
+
+    // Dashboard filters reach the endpoint's service, and invalid parameters are refused as the endpoint would
+    const data = await dashboardService.getSharedWidgetData(found, 'snapshots');
+    expect(data).toEqual({ status: 200, body: expect.objectContaining({ success: true, data: [] }) });
+    expect((await dashboardService.getSharedWidgetData(found, 'invalid')).status).toBe(400);
+    expect((await dashboardService.getSharedWidgetData(found, 'volume')).status).toBe(400);
+    expect(await dashboardService.getSharedWidgetData(found, 'missing')).toBeNull();
+    findUser.mockRestore();
+
+    await dashboardService.unshare(dashboard, owner);
+    expect(await dashboardService.findShared(shared.shareToken)).toBeNull();
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Follow-up Sequence Tests
+ * Enrollment, outcome branching, wait steps and auto-exit on meetings, replies and do-not-call
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Lead, Followup, FollowupSequence, SequenceEnrollment, DoNotCallEntry } = require('../../database/models');
+const sequenceService = require('../../services/sequenceService');
+const followupService = require('../../services/followupService');
+const { addDoNotCallNumber } = require('../../services/callComplianceService');
+const sequenceRoutes = require('../../routes/sequences');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const agent = { id: 7, role: 'agent' };
+const manager = { id: 100, role: 'manager' };
+
+// 1 call -> (no answer: 3, not interested: exit) -> 2 email -> 3 wait a day -> 4 final call
+const STEPS = [
+  {
+    order: 1,
+    type: 'call',
+    title: 'Intro call with {{leadName}}',
+    branches: [
+      { outcomes: ['no_answer', 'voicemail'], goTo: 3 },
+      { outcomes: ['not_interested'], exit: true }
+    ]
+  },
+  { order: 2, type: 'email', title: 'Send the deck', timing: { delay: 2, unit: 'hours' } },
+  { order: 3, type: 'wait', timing: { delay: 1, unit: 'days' } },
+  { order: 4, type: 'call', title: 'Last try' }
+];
+
+let leadCount = 0;
+const createLead = (overrides = {}) => {
+  leadCount++;
+  return Lead.create({
+    firstName: 'Dana',
+    lastName: `Lead${leadCount}`,
+    company: `Sequence Co ${leadCount}`,
+    email: `sequence${leadCount}@example.com`,
+    phone: `+1212555${String(1000 + leadCount)}`,
+    assignedTo: '7',
+    ...overrides
+  });
+};
+
+const complete = async (enrollment, outcome) => {
+  const followup = await Followup.findByPk(enrollment.currentFollowupId);
+  await followupService.completeFollowup(followup, { outcome }, agent);
+  return enrollment.reload();
+};
+
+describe('Follow-up Sequences', () => {
+  let sequence;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await SequenceEnrollment.destroy({ where: {} });
+    await FollowupSequence.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+    await DoNotCallEntry.destroy({ where: {} });
+    sequence = await sequenceService.createSequence({ name: 'New inbound', steps: STEPS }, manager);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('enrollment', () => {
+    test('creates the first step follow-up for the lead owner', async () => {
+      const lead = await createLead();
+      const enrollment = await sequenceService.enrollLead(sequence, lead.id, { at: NOW });
+
+      expect(enrollment).toMatchObject({ status: 'active', currentStep: 1, userId: '7', leadId: lead.id });
+      const followup = await Followup.findByPk(enrollment.currentFollowupId);
+      expect(followup).toMatchObject({
+        title: `Intro call with Dana Lead${leadCount}`,
+        userId: '7',
+        sequenceId: sequence.id,
+        sequenceStep: 1,
+        createdVia: 'sequence'
+      });
+      expect(followup.scheduledFor).toEqual(NOW);
+      expect((await sequence.reload()).enrollmentCount).toBe(1);
+    });
+
+    test('refuses duplicates, do-not-call leads and inactive sequences', async () => {
+      const lead = await createLead();
+      await sequenceService.enrollLead(sequence, lead.id);
+      await expect(sequenceService.enrollLead(sequence, lead.id)).rejects.toThrow('already enrolled');
+
+      const flagged = await createLead({ doNotCall: true });
+      await expect(sequenceService.enrollLead(sequence, flagged.id)).rejects.toThrow('do-not-call');
+
+      const listed = await createLead();
+      await addDoNotCallNumber(listed.phone);
+      await expect(sequenceService.enrollLead(sequence, listed.id)).rejects.toThrow('do-not-call');
+
+      await sequence.update({ isActive: false });
+      await expect(sequenceService.enrollLead(sequence, (await createLead()).id))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('rejects steps that branch to a missing step', async () => {
+      await expect(sequenceService.createSequence({
+        name: 'Broken',
+        steps: [{ order: 1, branches: [{ outcomes: ['no_answer'], goTo: 9 }] }]
+      }, manager)).rejects.toThrow('branch target 9 does not exist');
+    });
+  });
+
+  describe('outcome branching', () => {
+    test('follows the next step by default', async () => {
+      const lead = await createLead();
+      const enrollment = await complete(await sequenceService.enrollLead(sequence, lead.id), 'successful');
+
+      expect(enrollment.currentStep).toBe(2);
+      const email = await Followup.findByPk(enrollment.currentFollowupId);
+      expect(email).toMatchObject({ type: 'email', sequenceStep: 2 });
+      expect(email.scheduledFor.getTime() - Date.now()).toBeGreaterThan(HOUR_MS);
+      expect(enrollment.history).toEqual([
+        expect.objectContaining({ step: 1, outcome: 'successful', nextStep: 2 })
+      ]);
+    });
+
+    test('jumps to the branch for the outcome and waits before the next call', async () => {
+      const lead = await createLead();
+      let enrollment = await complete(await sequenceService.enrollLead(sequence, lead.id), 'no_answer');
+
+      // Step 3 is a wait: no follow-up, just a due date
+      expect(enrollment).toMatchObject({ currentStep: 3, currentFollowupId: null });
+      const due = new Date(enrollment.nextActionAt);
+
+      expect(await sequenceService.processDueEnrollments(new Date(due.getTime() - 1000)))
+        .toEqual({ advanced: 0, exited: 0 });
+      expect(await sequenceService.processDueEnrollments(due)).toEqual({ advanced: 1, exited: 0 });
+
+      enrollment = await enrollment.reload();
+      expect(enrollment.currentStep).toBe(4);
+      expect(await Followup.findByPk(enrollment.currentFollowupId)).toMatchObject({ title: 'Last try' });
+
+      enrollment = await complete(enrollment, 'successful');
+      expect(enrollment).toMatchObject({ status: 'completed', currentFollowupId: null });
+      expect((await sequence.reload()).completionCount).toBe(1);
+    });
+
+    test('holds a step finished while paused until the enrollment resumes', async () => {
+      const lead = await createLead();
+      const enrollment = await sequenceService.setPaused(await sequenceService.enrollLead(sequence, lead.id), true);
+
+      expect(await complete(enrollment, 'successful')).toMatchObject({ status: 'paused', currentStep: 1 });
+      expect(await Followup.count({ where: { leadId: lead.id } })).toBe(1);
+
+      const resumed = await sequenceService.setPaused(enrollment, false);
+      expect(resumed).toMatchObject({ status: 'active', currentStep: 2, metadata: {} });
+      expect(await Followup.count({ where: { leadId: lead.id } })).toBe(2);
+    });
+
+    test('exits when a branch says so', async () => {
+      const lead = await createLead();
+      const enrollment = await complete(await sequenceService.enrollLead(sequence, lead.id), 'not_interested');
+
+      expect(enrollment).toMatchObject({ status: 'exited', exitReason: 'branch_exit', exitStep: 1 });
+      expect(await Followup.count({ where: { leadId: lead.id } })).toBe(1);
+    });
+  });
+
+  describe('auto-exit', () => {
+    test('leaves the sequence when a meeting is booked or an exit outcome is hit', async () => {
+      const booked = await complete(await sequenceService.enrollLead(sequence, (await createLead()).id), 'meeting_scheduled');
+      expect(booked).toMatchObject({ status: 'exited', exitReason: 'meeting_booked' });
+      expect((await sequence.reload()).conversionCount).toBe(1);
+
+      const lost = await complete(await sequenceService.enrollLead(sequence, (await createLead()).id), 'closed_lost');
+      expect(lost).toMatchObject({ status: 'exited', exitReason: 'outcome', metadata: { exitOutcome: 'closed_lost' } });
+    });
+
+    test('leaves every sequence on a reply and cancels the pending follow-up', async () => {
+      const lead = await createLead();
+      const other = await sequenceService.createSequence({ name: 'Other', steps: [{ order: 1 }] }, manager);
+      const first = await sequenceService.enrollLead(sequence, lead.id);
+      await sequenceService.enrollLead(other, lead.id);
+
+      expect(await sequenceService.handleLeadEvent(lead.id, 'replied')).toBe(2);
+      expect(await first.reload()).toMatchObject({ status: 'exited', exitReason: 'replied' });
+      expect(await Followup.findByPk(first.currentFollowupId)).toMatchObject({ status: 'cancelled' });
+      await expect(sequenceService.handleLeadEvent(lead.id, 'unsubscribed')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('drops leads that became do-not-call since their last step', async () => {
+      const flagged = await createLead();
+      const listed = await createLead();
+      const fine = await createLead();
+      const enrollments = await Promise.all([flagged, listed, fine].map(lead => sequenceService.enrollLead(sequence, lead.id)));
+
+      await flagged.update({ doNotCall: true });
+      await addDoNotCallNumber(listed.phone);
+
+      expect(await sequenceService.processDueEnrollments(NOW)).toEqual({ advanced: 0, exited: 2 });
+      const statuses = await Promise.all(enrollments.map(async enrollment => (await enrollment.reload()).exitReason));
+      expect(statuses).toEqual(['do_not_call', 'do_not_call', null]);
+    });
+  });
+
+  describe('HTTP', () => {
+    const appFor = (user) => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+      app.use('/api/sequences', sequenceRoutes);
+      return app;
+    };
+
+    test('enrolls in bulk, pauses and reports drop-off', async () => {
+      const leads = [await createLead(), await createLead({ doNotCall: true })];
+
+      const enrolled = await request(appFor(agent))
+        .post(`/api/sequences/${sequence.id}/enroll`)
+        .send({ leadIds: leads.map(lead => lead.id) });
+      expect(enrolled.status).toBe(200);
+      expect(enrolled.body.data).toMatchObject({ enrolled: 1, failed: 1 });
+
+      const [enrollment] = await SequenceEnrollment.findAll();
+      const paused = await request(appFor(agent)).put(`/api/sequences/enrollments/${enrollment.id}/pause`).send({});
+      expect(paused.body.data.status).toBe('paused');
+
+      await sequenceService.exitEnrollment(await enrollment.reload(), 'manual');
+      const stats = await request(appFor(agent)).get(`/api/sequences/${sequence.id}/stats`);
+      expect(stats.body.data).toMatchObject({ totalEnrollments: 1, exited: 1, exitReasons: { manual: 1 } });
+      expect(stats.body.data.steps[0]).toMatchObject({ order: 1, reached: 1, droppedOff: 1, dropOffRate: 1 });
+    });
+
+    test('only managers create sequences or enroll for someone else', async () => {
+      expect((await request(appFor(agent)).post('/api/sequences').send({ name: 'Mine', steps: STEPS })).status).toBe(403);
+      expect((await request(appFor(agent))
+        .post(`/api/sequences/${sequence.id}/enroll`)
+        .send({ leadId: (await createLead()).id, userId: 9 })).status).toBe(403);
+
+      const created = await request(appFor(manager)).post('/api/sequences').send({ name: 'Theirs', steps: [{ order: 1, type: 'teleport' }] });
+      expect(created.status).toBe(400);
+      expect(created.body.error.message).toContain('type must be one of');
+    });
+  });
+});
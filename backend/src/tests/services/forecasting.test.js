@@ -0,0 +1,182 @@
+/**
+ * Forecasting Tests
+ * Holt-Winters time series, stage-weighted pipeline rollups and forecast snapshot accuracy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Activities go to a temp file instead of the tracked src/data/leadActivities.json
+const activitiesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-activities-'));
+process.env.LEAD_ACTIVITIES_FILE = path.join(activitiesDir, 'leadActivities.json');
+
+const { sequelize, Lead, EnhancedCallLog } = require('../../database/models');
+const forecastingService = require('../../services/forecastingService');
+const { forecastSeries } = require('../../services/forecastModels');
+const { logLeadActivity } = require('../../services/leadTracking');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKLY_PATTERN = [30, 32, 31, 29, 28, 4, 2];
+let sequence = 0;
+
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Lead',
+    lastName: `Number${sequence}`,
+    company: `Company ${sequence}`,
+    email: `forecast${sequence}@example.com`,
+    phone: `+1555${String(sequence).padStart(7, '0')}`,
+    ...overrides
+  });
+};
+
+// Middle of the month before this one, so its whole month is over
+const lastMonth = (day) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, day, 12));
+};
+
+describe('Forecast Models', () => {
+  test('learns weekly seasonality and widens intervals further out', () => {
+    const series = Array.from({ length: 56 }, (_, t) => WEEKLY_PATTERN[t % 7] + t * 0.1);
+    const result = forecastSeries(series, { seasonLength: 7, horizon: 14 });
+
+    expect(result.method).toBe('holt_winters');
+    // Day 56 is a Monday-like day, day 61 a weekend-like day
+    expect(result.forecast[0].value).toBeGreaterThan(result.forecast[5].value + 15);
+    expect(result.forecast[0].value).toBeCloseTo(30 + 5.6, 0);
+
+    const width = (point) => point.upper95 - point.lower95;
+    expect(width(result.forecast[13])).toBeGreaterThanOrEqual(width(result.forecast[0]));
+    result.forecast.forEach(point => {
+      expect(point.lower95).toBeLessThanOrEqual(point.lower80);
+      expect(point.lower80).toBeLessThanOrEqual(point.value);
+      expect(point.upper95).toBeGreaterThanOrEqual(point.upper80);
+    });
+  });
+
+  test('falls back to a linear trend or the mean on short histories', () => {
+    const trend = forecastSeries([10, 12, 14, 16, 18, 20], { seasonLength: 7, horizon: 2 });
+    expect(trend.method).toBe('holt');
+    expect(trend.forecast[0].value).toBeGreaterThan(20);
+
+    const short = forecastSeries([4, 6], { horizon: 1 });
+    expect(short).toMatchObject({ method: 'mean', forecast: [expect.objectContaining({ value: 5 })] });
+  });
+});
+
+describe('Forecasting Service', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await createLead({ status: 'negotiation', estimatedValue: 10000, assignedTo: 'agent_a', teamId: 'team_east' });
+    await createLead({ status: 'proposal', estimatedValue: 4000, assignedTo: 'agent_a', teamId: 'team_east' });
+    await createLead({ status: 'qualified', estimatedValue: 8000, assignedTo: 'agent_b', teamId: 'team_west' });
+    await createLead({ status: 'new' });
+    const lost = await createLead({ status: 'closed_lost', estimatedValue: 50000, assignedTo: 'agent_b' });
+
+    // Won now, through the activity log
+    const wonToday = await createLead({ status: 'proposal', estimatedValue: 3000, assignedTo: 'agent_b', teamId: 'team_west' });
+    await logLeadActivity(wonToday.id, 'status_changed', { previous_status: 'proposal', new_status: 'closed_won' });
+    await wonToday.update({ status: 'closed_won' });
+
+    // Won last month, before status history was recorded
+    const wonLastMonth = await createLead({ status: 'closed_won', estimatedValue: 6000, assignedTo: 'agent_a', teamId: 'team_east' });
+    await sequelize.query('UPDATE leads SET updatedAt = ? WHERE id = ?', {
+      replacements: [lastMonth(5), wonLastMonth.id]
+    });
+
+    // Four weeks of calls on a weekday-heavy pattern
+    const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
+    for (let day = 1; day <= 28; day++) {
+      const date = new Date(today.getTime() - day * DAY);
+      const count = WEEKLY_PATTERN[(date.getUTCDay() + 6) % 7];
+      await EnhancedCallLog.bulkCreate(Array.from({ length: count }, () => ({
+        leadId: lost.id,
+        phoneNumber: '+15550100000',
+        direction: 'outbound',
+        status: 'completed',
+        initiatedAt: new Date(date.getTime() + 9 * 60 * 60 * 1000)
+      })));
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(activitiesDir, { recursive: true, force: true });
+  });
+
+  test('weights the open pipeline by stage probability with commit and best-case rollups', async () => {
+    const forecast = await forecastingService.getPipelineForecast({ period: 'month' });
+
+    expect(forecast.company).toMatchObject({
+      openLeads: 4,
+      pipelineValue: 22000,
+      weightedValue: 10000 * 0.75 + 4000 * 0.5 + 8000 * 0.25,
+      closedWonValue: 3000,
+      weightedForecast: 3000 + 11500,
+      commitForecast: 3000 + 10000,
+      bestCaseForecast: 3000 + 14000
+    });
+    expect(forecast.unvaluedLeads).toBe(1);
+
+    const agentA = forecast.agents.find(agent => agent.agentId === 'agent_a');
+    expect(agentA).toMatchObject({ openLeads: 2, commitForecast: 10000, bestCaseForecast: 14000, closedWonValue: 0 });
+    expect(forecast.agents.map(agent => agent.agentId)).toContain('unassigned');
+
+    const west = forecast.teams.find(team => team.teamId === 'team_west');
+    expect(west).toMatchObject({ closedWonValue: 3000, weightedForecast: 3000 + 2000, commitForecast: 3000 });
+
+    const negotiation = forecast.stages.find(stage => stage.stage === 'negotiation');
+    expect(negotiation).toMatchObject({ probability: 0.75, category: 'commit', leads: 1, weightedValue: 7500 });
+  });
+
+  test('forecasts daily call volume with weekly seasonality and weekly closed-won value', async () => {
+    const timeSeries = await forecastingService.getTimeSeriesForecast({ horizonDays: 14, historyDays: 28 });
+
+    const calls = timeSeries.callVolume;
+    expect(calls).toMatchObject({ interval: 'day', method: 'holt_winters', seasonLength: 7 });
+    expect(calls.history).toHaveLength(28);
+    expect(calls.forecast).toHaveLength(14);
+
+    const weekday = calls.forecast.find(point => new Date(point.date).getUTCDay() === 2);
+    const sunday = calls.forecast.find(point => new Date(point.date).getUTCDay() === 0);
+    expect(weekday.value).toBeCloseTo(32, 0);
+    expect(sunday.value).toBeLessThan(5);
+
+    expect(timeSeries.closedWonValue.interval).toBe('week');
+    expect(timeSeries.closedWonValue.history).toHaveLength(4);
+    expect(timeSeries.closedWonValue.forecast).toHaveLength(2);
+  });
+
+  test('keeps daily snapshots and reports their accuracy once the period is over', async () => {
+    const result = await forecastingService.takeSnapshot({ now: lastMonth(15) });
+    // Company, three agents (including unassigned) and two teams
+    expect(result.snapshots.month).toBe(6);
+
+    // Taking it again the same day replaces it
+    await forecastingService.takeSnapshot({ now: lastMonth(15) });
+    const snapshots = await forecastingService.listSnapshots({ period: 'month' });
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0]).toMatchObject({ closedWonValue: 6000, weighted: 6000 + 11500, commit: 16000 });
+    expect(snapshots[0].trend).toBeGreaterThanOrEqual(6000);
+
+    const accuracy = await forecastingService.getForecastAccuracy({ period: 'month' });
+    expect(accuracy.periods).toHaveLength(1);
+    const [period] = accuracy.periods;
+    expect(period).toMatchObject({ scopeId: 'all', snapshots: 1, actual: 6000 });
+    expect(period.methods.commit).toMatchObject({ firstForecast: 16000, meanAbsolutePercentError: 166.7, bias: 166.7 });
+    expect(accuracy.summary.weighted.periods).toBe(1);
+    expect(accuracy.mostAccurate).toBe('trend');
+
+    const agents = await forecastingService.getForecastAccuracy({ period: 'month', scope: 'agent', scopeId: 'agent_a' });
+    expect(agents.periods[0]).toMatchObject({ actual: 6000 });
+    expect(agents.periods[0].methods.trend).toBeUndefined();
+
+    // This quarter hasn't finished, so there is nothing to score yet
+    const quarter = await forecastingService.getForecastAccuracy({ period: 'quarter', now: lastMonth(16) });
+    expect(quarter.periods).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Inbound Routing Tests
+ * Caller lookup for the screen-pop, quick-create leads and owner/team/voicemail routing
+ */
+
+// The audit logger starts a cleanup timer on import that would keep Jest from exiting
+jest.mock('../../middleware/auditLogger', () => ({
+  auditLog: jest.fn().mockResolvedValue(undefined),
+  SEVERITY: { HIGH: 'high' },
+  EVENT_CATEGORIES: { PRIVACY_EVENT: 'privacy_event' }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Lead, CallLog, InboundRoute } = require('../../database/models');
+const inboundController = require('../../controllers/inboundController');
+const twilioRoutes = require('../../routes/twilio');
+const {
+  lookupCaller,
+  quickCreateLead,
+  buildRouteTwiml,
+  routeInboundCall,
+  createRoute
+} = require('../../services/inboundRoutingService');
+
+const HOURS_ENV = ['CALLING_HOURS_WEEKDAYS', 'CALLING_HOURS_SATURDAY', 'CALLING_HOURS_SUNDAY'];
+const savedHours = Object.fromEntries(HOURS_ENV.map(key => [key, process.env[key]]));
+
+let sequence = 0;
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Inbound',
+    lastName: `Lead${sequence}`,
+    company: `Inbound Co ${sequence}`,
+    email: `inbound${sequence}@example.com`,
+    phone: `+1312555${String(1000 + sequence)}`,
+    ...overrides
+  });
+};
+
+const route = (overrides = {}) => ({
+  steps: ['owner', 'team', 'voicemail'],
+  ringGroup: ['agent-2', 'agent-3'],
+  ownerTimeout: 20,
+  teamTimeout: 25,
+  voicemailGreeting: null,
+  ...overrides
+});
+
+describe('Inbound Routing', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await CallLog.destroy({ where: {} });
+    await Lead.destroy({ where: {} });
+    await InboundRoute.destroy({ where: {} });
+  });
+
+  afterEach(() => {
+    HOURS_ENV.forEach(key => {
+      if (savedHours[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedHours[key];
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('caller lookup', () => {
+    test('matches any caller format against phone and returns recent calls newest first', async () => {
+      const lead = await createLead({ phone: '2125550100', assignedTo: 'agent-1' });
+      await CallLog.create({ leadId: lead.id, phoneNumber: '+12125550100', direction: 'outbound', status: 'completed', initiatedAt: new Date('2026-03-01T15:00:00Z') });
+      await CallLog.create({ leadId: lead.id, phoneNumber: '+12125550100', direction: 'inbound', status: 'voicemail', initiatedAt: new Date('2026-03-05T15:00:00Z') });
+
+      const result = await lookupCaller('+1 (212) 555-0100');
+
+      expect(result.phoneNumber).toBe('+12125550100');
+      expect(result.lead).toMatchObject({ id: lead.id, name: lead.fullName, matchedOn: 'phone' });
+      expect(result.recentCalls.map(call => call.direction)).toEqual(['inbound', 'outbound']);
+    });
+
+    test('falls back to alternatePhone and ranks primary-phone matches first', async () => {
+      const alternate = await createLead({ alternatePhone: '+12125550111' });
+      expect((await lookupCaller('212-555-0111')).lead).toMatchObject({ id: alternate.id, matchedOn: 'alternatePhone' });
+
+      const primary = await createLead({ phone: '+12125550111' });
+      const result = await lookupCaller('212-555-0111');
+      expect(result.lead.id).toBe(primary.id);
+      expect(result.otherMatches.map(match => match.id)).toEqual([alternate.id]);
+    });
+
+    test('returns no lead for unknown callers', async () => {
+      expect(await lookupCaller('+14155550000')).toEqual({
+        phoneNumber: '+14155550000',
+        lead: null,
+        otherMatches: [],
+        recentCalls: []
+      });
+    });
+  });
+
+  describe('quick-create', () => {
+    test('stores the caller in E.164 and refuses numbers that already belong to a lead', async () => {
+      const lead = await quickCreateLead({
+        firstName: 'New',
+        lastName: 'Caller',
+        company: 'Walk-in LLC',
+        email: 'new.caller@example.com',
+        phone: '(415) 555-0000'
+      }, { createdBy: 'agent-9' });
+
+      expect(lead).toMatchObject({ phone: '+14155550000', leadSource: 'inbound_call', assignedTo: 'agent-9' });
+      await expect(quickCreateLead({ phone: '4155550000' })).rejects.toMatchObject({ code: 'DUPLICATE_LEAD' });
+    });
+  });
+
+  describe('routing TwiML', () => {
+    test('rings the owner first with the caller passed to the browser', () => {
+      const twiml = buildRouteTwiml(route(), { lead: { id: 'lead-1', assignedTo: 'agent-1' }, callerId: '+12125550100' });
+
+      expect(twiml).toContain('action="/api/twilio/inbound/next?step=1"');
+      expect(twiml).toContain('timeout="20"');
+      expect(twiml).toContain('<Client><Identity>user-agent-1</Identity><Parameter name="callerId" value="+12125550100"/><Parameter name="leadId" value="lead-1"/></Client>');
+    });
+
+    test('falls through to the team ring group, skipping the owner who already rang', () => {
+      const twiml = buildRouteTwiml(route({ ringGroup: ['agent-1', 'agent-2'] }), {
+        lead: { id: 'lead-1', assignedTo: 'agent-1' },
+        stepIndex: 1
+      });
+
+      expect(twiml).toContain('action="/api/twilio/inbound/next?step=2"');
+      expect(twiml).toContain('<Identity>user-agent-2</Identity>');
+      expect(twiml).not.toContain('user-agent-1');
+    });
+
+    test('skips steps with nobody to ring and ends at voicemail', () => {
+      const twiml = buildRouteTwiml(route({ ringGroup: [], voicemailGreeting: 'Leave us a message.' }), { lead: null });
+
+      expect(twiml).toContain('<Say voice="alice" language="en-US">Leave us a message.</Say><Record maxLength="180" playBeep="true"');
+      expect(twiml).not.toContain('<Dial');
+    });
+
+    test('hangs up when the route has no voicemail step and nobody answered', () => {
+      const twiml = buildRouteTwiml(route({ steps: ['owner'] }), { lead: null });
+      expect(twiml).toContain('nobody is available');
+      expect(twiml).toContain('<Hangup/>');
+    });
+
+    test('uses the rules configured for the dialed number', async () => {
+      await createLead({ phone: '+12125550100', assignedTo: 'agent-1' });
+      await createRoute({ phoneNumber: '(800) 555-0199', steps: ['team', 'owner'], ringGroup: 'agent-4, agent-5' });
+
+      const twiml = await routeInboundCall({ from: '+12125550100', to: '+18005550199' });
+      expect(twiml).toContain('<Identity>user-agent-4</Identity>');
+      expect(twiml).toContain('<Identity>user-agent-5</Identity>');
+
+      const next = await routeInboundCall({ from: '+12125550100', to: '+18005550199', stepIndex: 1 });
+      expect(next).toContain('<Identity>user-agent-1</Identity>');
+    });
+  });
+
+  describe('routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'agent-9' };
+      next();
+    });
+    app.get('/inbound/lookup', inboundController.lookupCaller);
+    app.post('/inbound/leads', inboundController.quickCreateLead);
+    app.post('/inbound/routes', inboundController.createRoute);
+
+    test('validates lookup and quick-create input and rejects duplicate routes', async () => {
+      expect((await request(app).get('/inbound/lookup')).status).toBe(400);
+      expect((await request(app).post('/inbound/leads').send({ phone: '4155550000' })).status).toBe(400);
+
+      const created = await request(app).post('/inbound/leads').send({
+        firstName: 'Quick',
+        lastName: 'Create',
+        company: 'Callers Inc',
+        email: 'quick@example.com',
+        phone: '4155550000'
+      });
+      expect(created.status).toBe(201);
+
+      const lookup = await request(app).get('/inbound/lookup').query({ phone: '+14155550000' });
+      expect(lookup.body.data.lead.id).toBe(created.body.data.id);
+
+      expect((await request(app).post('/inbound/routes').send({ phoneNumber: '8005550199', steps: ['ivr'] })).status).toBe(400);
+      expect((await request(app).post('/inbound/routes').send({ phoneNumber: '8005550199' })).status).toBe(201);
+      expect((await request(app).post('/inbound/routes').send({ phoneNumber: '+18005550199' })).status).toBe(409);
+    });
+
+    test('dials the To number for browser dials and routes only PSTN callers', async () => {
+      const voiceApp = express();
+      voiceApp.use(express.urlencoded({ extended: false }));
+      voiceApp.use('/twilio', twilioRoutes);
+      await createLead({ phone: '+14155550123', assignedTo: 'agent-1' });
+
+      // Browser dials go through the calling-hours check; keep it open whatever the clock says
+      HOURS_ENV.forEach(key => { process.env[key] = '00:00-24:00'; });
+
+      const browserDial = await request(voiceApp).post('/twilio/voice').type('form')
+        .send({ CallSid: 'CA1', Direction: 'inbound', From: 'client:agent-1', To: '+14155550123' });
+      expect(browserDial.text).toContain('<Number>+14155550123</Number>');
+      expect(browserDial.text).not.toContain('<Client>');
+
+      const pstnCaller = await request(voiceApp).post('/twilio/voice').type('form')
+        .send({ CallSid: 'CA2', Direction: 'inbound', From: '+14155550123', To: '+18005550199' });
+      expect(pstnCaller.text).toContain('<Identity>user-agent-1</Identity>');
+    });
+  });
+});
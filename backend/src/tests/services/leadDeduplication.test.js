@@ -0,0 +1,125 @@
+/**
+ * Lead Deduplication Tests
+ * Normalization, fuzzy field matching and blocked duplicate grouping
+ */
+
+const {
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  jaroWinkler,
+  compareLeads,
+  calculateLeadSimilarity,
+  detectDuplicateLeads,
+  findAllDuplicates
+} = require('../../services/leadDeduplication');
+
+const baseLead = {
+  id: 1,
+  name: 'John Smith',
+  company: 'Tech Solutions Inc.',
+  phone: '(555) 123-4567',
+  email: 'john.smith@techsolutions.com'
+};
+
+describe('Lead Deduplication', () => {
+  describe('normalization', () => {
+    test('folds email aliases and Gmail dots', () => {
+      expect(normalizeEmail('John.Smith+crm@TechSolutions.com')).toBe('john.smith@techsolutions.com');
+      expect(normalizeEmail('j.o.h.n+x@googlemail.com')).toBe('john@gmail.com');
+      expect(normalizeEmail('not-an-email')).toBeNull();
+    });
+
+    test('reduces phone numbers to national digits', () => {
+      expect(normalizePhone('+1 (555) 123-4567')).toBe('5551234567');
+      expect(normalizePhone('555.123.4567 ext. 89')).toBe('5551234567');
+      expect(normalizePhone('12')).toBeNull();
+    });
+
+    test('strips company punctuation and legal suffixes', () => {
+      expect(normalizeCompany('Tech Solutions, Inc.')).toBe('tech solutions');
+      expect(normalizeCompany('The Acme Corp LLC')).toBe('acme');
+      expect(normalizeCompany('Co')).toBe('co');
+    });
+
+    test('scores Jaro-Winkler similarity', () => {
+      expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+      expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    });
+  });
+
+  describe('compareLeads', () => {
+    test('matches across formatting differences and reports the driving fields', () => {
+      const result = compareLeads(baseLead, {
+        id: 2,
+        name: 'Jon Smith',
+        company: 'Tech Solutions LLC',
+        phone: '+1 555 123 4567',
+        email: 'John.Smith+webinar@techsolutions.com'
+      });
+
+      expect(result.score).toBeGreaterThan(0.95);
+      expect(result.matched_fields).toEqual(expect.arrayContaining(['email', 'phone', 'name', 'company']));
+    });
+
+    test('builds names from firstName/lastName and ignores token order', () => {
+      const score = calculateLeadSimilarity(
+        { firstName: 'John', lastName: 'Smith', phone: '5551234567' },
+        { name: 'Smith John', phone: '(555) 123-4567' }
+      );
+
+      expect(score).toBeGreaterThan(0.9);
+    });
+
+    test('does not treat a shared company alone as a duplicate', () => {
+      const result = compareLeads(baseLead, { id: 3, company: 'Tech Solutions' });
+
+      expect(result.score).toBeLessThan(0.5);
+      expect(result.matched_fields).toEqual(['company']);
+    });
+  });
+
+  describe('duplicate search', () => {
+    const store = [
+      baseLead,
+      { id: 2, name: 'Johnny Smith', company: 'Tech Solutions', phone: '555-123-4567', email: 'jsmith@gmail.com' },
+      { id: 3, name: 'Sarah Johnson', company: 'Digital Marketing Pro', phone: '(555) 234-5678', email: 'sarah@digitalmpro.com' },
+      { id: 4, name: 'Sarah Johnson', company: 'Digital Marketing Pro', phone: '555 234 5678', email: 'sarah@digitalmpro.com', deleted_at: '2024-01-01' }
+    ];
+
+    test('detects duplicates of a new lead against a lead list', () => {
+      const duplicates = detectDuplicateLeads(
+        { name: 'John Smith', email: 'john.smith+1@techsolutions.com', phone: '5551234567' },
+        0.8,
+        store
+      );
+
+      expect(duplicates.map(d => d.id)).toEqual([1, 2]);
+      expect(duplicates[0].matched_fields).toContain('email');
+    });
+
+    test('groups duplicates and skips deleted leads', () => {
+      const groups = findAllDuplicates(0.8, 100, store);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].primary_lead.id).toBe(1);
+      expect(groups[0].duplicates.map(d => d.id)).toEqual([2]);
+    });
+
+    test('only compares leads that share a blocking key', () => {
+      const many = Array.from({ length: 20000 }, (_, i) => ({
+        id: i + 10,
+        name: `Person ${i.toString(36)} Number${i}`,
+        company: `Company ${i}`,
+        phone: `+1 212 ${String(1000000 + i).slice(-7)}`,
+        email: `person${i}@company${i}.com`
+      }));
+      many.push({ ...many[123], id: 'dup', email: 'Person123+dup@company123.com' });
+
+      const groups = findAllDuplicates(0.9, 100, many);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].duplicates[0].id).toBe('dup');
+    });
+  });
+});
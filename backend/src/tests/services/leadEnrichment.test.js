@@ -0,0 +1,181 @@
+/**
+ * Lead Enrichment Tests
+ * Provider results with per-field source/confidence, per-key caching with TTL,
+ * the HTTP adapter and background batch jobs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { sequelize, EnrichmentCache } = require('../../database/models');
+const { leads } = require('../../data/dataStore');
+const {
+  enrichLeadData,
+  registerEnrichmentProvider,
+  resetEnrichmentProviders,
+  startEnrichmentJob,
+  getEnrichmentJob
+} = require('../../services/leadEnrichment');
+const {
+  heuristicProvider,
+  createCompanyDatasetProvider,
+  createPhoneMetadataProvider,
+  createHttpProvider,
+  normalizePhoneKey
+} = require('../../services/enrichmentProviders');
+
+const lead = {
+  id: 1,
+  name: 'John Smith',
+  company: 'Tech Solutions Inc.',
+  phone: '(212) 555-0142',
+  email: 'john@acme-robotics.com',
+  title: 'VP Engineering'
+};
+
+const waitForJob = async (jobId) => {
+  for (let i = 0; i < 100; i++) {
+    const job = getEnrichmentJob(jobId);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Enrichment job did not finish');
+};
+
+describe('Lead Enrichment', () => {
+  let datasetDir;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-'));
+    fs.writeFileSync(path.join(datasetDir, 'companies.csv'), [
+      'domain,company,industry,company_size,location',
+      'acme-robotics.com,"Acme Robotics, Inc.",Manufacturing,200-500,"Pittsburgh, PA"'
+    ].join('\n'));
+    fs.writeFileSync(path.join(datasetDir, 'phones.json'), JSON.stringify([
+      { prefix: '1212', region: 'New York, NY', timezone: 'America/New_York', carrier: 'Example Wireless' }
+    ]));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(datasetDir, { recursive: true, force: true });
+    resetEnrichmentProviders();
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EnrichmentCache.destroy({ where: {} });
+    resetEnrichmentProviders([
+      heuristicProvider,
+      createCompanyDatasetProvider({ datasetPath: path.join(datasetDir, 'companies.csv') }),
+      createPhoneMetadataProvider({ datasetPath: path.join(datasetDir, 'phones.json') })
+    ]);
+  });
+
+  test('normalizes phone lookup keys to international digits', () => {
+    expect(normalizePhoneKey('(212) 555-0142')).toBe('12125550142');
+    expect(normalizePhoneKey('+44 20 7946 0958')).toBe('442079460958');
+    expect(normalizePhoneKey('0049 30 123456')).toBe('4930123456');
+    expect(normalizePhoneKey('123')).toBeNull();
+  });
+
+  test('combines dataset and phone metadata with per-field source and confidence', async () => {
+    const enrichment = await enrichLeadData(lead);
+
+    expect(enrichment.inferred_industry).toBe('Manufacturing');
+    expect(enrichment.company_location).toBe('Pittsburgh, PA');
+    expect(enrichment.phone_region).toBe('New York, NY');
+    expect(enrichment.phone_formatted).toBe('+1 (212) 555-0142');
+    expect(enrichment.seniority_level).toBe('senior');
+
+    // The dataset outranks the heuristic guess for company size
+    expect(enrichment.enrichment_fields.inferred_company_size).toMatchObject({
+      value: '200-500',
+      source: 'company_dataset',
+      confidence: 0.85
+    });
+    expect(enrichment.enrichment_fields.phone_carrier.confidence).toBeLessThanOrEqual(0.5);
+    expect(enrichment.enrichment_source).toContain('phone_metadata');
+  });
+
+  test('caches provider results per domain until the TTL expires', async () => {
+    const lookup = jest.fn().mockResolvedValue({ inferred_industry: { value: 'Robotics', confidence: 0.95 } });
+    resetEnrichmentProviders([{ name: 'counting', keyType: 'domain', ttl: 60, lookup }]);
+
+    await enrichLeadData(lead);
+    const second = await enrichLeadData({ ...lead, id: 2, email: 'jane@acme-robotics.com' });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(second.enrichment_providers[0]).toMatchObject({ provider: 'counting', cached: true, key: 'acme-robotics.com' });
+
+    await EnrichmentCache.update({ expiresAt: new Date(Date.now() - 1000) }, { where: {} });
+    await enrichLeadData(lead);
+    expect(lookup).toHaveBeenCalledTimes(2);
+
+    await enrichLeadData(lead, { refresh: true });
+    expect(lookup).toHaveBeenCalledTimes(3);
+  });
+
+  test('skips domain providers for free-mail addresses', async () => {
+    const lookup = jest.fn().mockResolvedValue({});
+    resetEnrichmentProviders([{ name: 'counting', keyType: 'domain', lookup }]);
+
+    const enrichment = await enrichLeadData({ ...lead, email: 'john@gmail.com' });
+
+    expect(lookup).not.toHaveBeenCalled();
+    expect(enrichment.enrichment_providers[0].status).toBe('skipped');
+  });
+
+  test('maps HTTP provider responses and reports failures without aborting', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url.includes('broken')) {
+        res.writeHead(500);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ company: { category: { industry: 'Industrial Automation' } } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      resetEnrichmentProviders([heuristicProvider]);
+      registerEnrichmentProvider(createHttpProvider({
+        name: 'firmographics_api',
+        keyType: 'domain',
+        url: `${baseUrl}/companies?domain={key}`,
+        fieldMap: { inferred_industry: 'company.category.industry' },
+        confidence: 0.8
+      }));
+
+      const enrichment = await enrichLeadData(lead);
+      expect(enrichment.enrichment_fields.inferred_industry).toMatchObject({
+        value: 'Industrial Automation',
+        source: 'firmographics_api'
+      });
+
+      const failed = await enrichLeadData({ ...lead, email: 'ops@broken.example' });
+      expect(failed.enrichment_error).toContain('firmographics_api lookup failed');
+      expect(failed.seniority_level).toBe('senior');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('runs batch enrichment as a background job with progress', async () => {
+    leads.length = 0;
+    leads.push({ ...lead }, { ...lead, id: 2, email: 'amy@acme-robotics.com', phone: '+44 20 7946 0958' });
+
+    const job = startEnrichmentJob([1, 2, 999]);
+    expect(job).toMatchObject({ status: 'queued', total: 3, processed: 0 });
+
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toMatchObject({ status: 'completed', processed: 3, succeeded: 2, failed: 1, progress: 100 });
+    expect(finished.errors).toEqual([{ lead_id: 999, error: 'Lead not found' }]);
+    expect(leads[1].enrichment_data.phone_country).toBe('GB');
+    expect(leads[0].enrichment_data.inferred_industry).toBe('Manufacturing');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Lead Merge Tests
+ * Field-level previews with overrides, re-pointing related records and undo
+ * that only reverts what the merge changed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Activities go to a temp file instead of src/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-merge-'));
+process.env.LEAD_ACTIVITIES_FILE = path.join(dataDir, 'leadActivities.json');
+
+const { sequelize, Lead, Note, Followup } = require('../../database/models');
+const { leads, callLogs, leadMerges } = require('../../data/dataStore');
+const { logLeadActivity, getLeadTimeline } = require('../../services/leadTracking');
+const { previewMerge, mergeLeads, undoMerge, listMerges } = require('../../services/leadMerge');
+const { autoMergeHighConfidenceLeads } = require('../../services/leadDeduplication');
+
+const sourceId = `lead_merge_source_${Date.now()}`;
+const targetId = `lead_merge_target_${Date.now()}`;
+
+const seedLeads = () => {
+  leads.length = 0;
+  callLogs.length = 0;
+  leadMerges.length = 0;
+
+  leads.push(
+    {
+      id: targetId,
+      name: 'John Smith',
+      company: 'Tech Solutions Inc.',
+      phone: '(555) 123-4567',
+      email: 'john@techsolutions.com',
+      title: null,
+      tags: ['cloud'],
+      notes: 'Interested in cloud services',
+      call_attempts: 2,
+      next_follow_up: '2030-02-01T00:00:00.000Z',
+      deleted_at: null
+    },
+    {
+      id: sourceId,
+      name: 'Jon Smith',
+      company: 'Tech Solutions',
+      phone: '555-123-4567',
+      email: 'jsmith@gmail.com',
+      title: 'CTO',
+      tags: ['priority'],
+      notes: 'Asked for pricing',
+      call_attempts: 1,
+      next_follow_up: '2030-01-15T00:00:00.000Z',
+      deleted_at: null
+    }
+  );
+
+  callLogs.push(
+    { id: 101, leadId: sourceId, outcome: 'Voicemail' },
+    { id: 102, leadId: targetId, outcome: 'Interested' }
+  );
+};
+
+const followupFor = (leadId, title) => Followup.create({
+  leadId,
+  userId: '7',
+  title,
+  scheduledFor: new Date('2030-01-10T15:00:00.000Z')
+});
+
+describe('Lead Merge', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    seedLeads();
+    await Note.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('previews surviving values with per-field rules and overrides', async () => {
+    const preview = await previewMerge(sourceId, targetId, { email: 'source', company: { value: 'Tech Solutions Group' } });
+    const field = (name) => preview.fields.find(f => f.field === name);
+
+    expect(field('title')).toMatchObject({ merged_value: 'CTO', rule: 'source_fills_empty' });
+    expect(field('call_attempts')).toMatchObject({ merged_value: 3, rule: 'sum' });
+    expect(field('tags').merged_value).toEqual(['cloud', 'priority']);
+    expect(field('next_follow_up').merged_value).toBe('2030-01-15T00:00:00.000Z');
+    expect(field('notes')).toMatchObject({ merged_value: 'Interested in cloud services\n\nAsked for pricing', rule: 'concatenate' });
+    expect(field('email')).toMatchObject({ merged_value: 'jsmith@gmail.com', overridden: true, conflict: true });
+    expect(field('company')).toMatchObject({ merged_value: 'Tech Solutions Group', rule: 'override_value' });
+    expect(preview.related_records).toMatchObject({ call_logs: 1, notes: 0, followups: 0 });
+
+    // Nothing changes until the merge is executed
+    expect(leads.find(l => l.id === sourceId).deleted_at).toBeNull();
+  });
+
+  test('rejects invalid overrides and self-merges', async () => {
+    await expect(previewMerge(sourceId, targetId, { id: 'source' })).rejects.toThrow('cannot be overridden');
+    await expect(previewMerge(sourceId, targetId, { email: 'both' })).rejects.toThrow('Invalid override');
+    await expect(previewMerge(targetId, targetId)).rejects.toThrow('merged into itself');
+  });
+
+  test('merges and re-points call logs, activities and follow-ups to the target', async () => {
+    const activity = await logLeadActivity(sourceId, 'call_made', { description: 'Intro call' });
+    const followup = await followupFor(sourceId, 'Send pricing');
+
+    const { merge, merged_lead } = await mergeLeads(sourceId, targetId, { overrides: { email: 'source' }, userId: 'u1' });
+
+    expect(merged_lead.email).toBe('jsmith@gmail.com');
+    expect(leads.find(l => l.id === targetId).title).toBe('CTO');
+    expect(leads.find(l => l.id === sourceId)).toMatchObject({ merged_into: targetId });
+    expect(callLogs.find(log => log.id === 101).leadId).toBe(targetId);
+    expect(getLeadTimeline(targetId).some(a => a.id === activity.id)).toBe(true);
+    expect((await followup.reload()).leadId).toBe(targetId);
+    expect(merge).toMatchObject({ status: 'merged', can_undo: true, moved: { call_logs: 1, notes: 0, followups: 1 } });
+    expect(merge.moved.activities).toBeGreaterThanOrEqual(1);
+    expect(merge.source_snapshot).toBeUndefined();
+
+    await expect(mergeLeads(sourceId, targetId)).rejects.toThrow('already merged');
+  });
+
+  test('undo restores both leads and moves related records back', async () => {
+    const activity = await logLeadActivity(sourceId, 'call_made', { description: 'Intro call' });
+    const moved = await followupFor(sourceId, 'Send pricing');
+    const kept = await followupFor(targetId, 'Demo');
+    const { merge } = await mergeLeads(sourceId, targetId);
+
+    const result = await undoMerge(merge.id, { userId: 'u1' });
+
+    expect(result.merge.status).toBe('reverted');
+    expect(result.source_lead).toMatchObject({ email: 'jsmith@gmail.com', deleted_at: null });
+    expect(result.source_lead.merged_into).toBeUndefined();
+    expect(result.target_lead).toMatchObject({ title: null, call_attempts: 2 });
+    expect(callLogs.find(log => log.id === 101).leadId).toBe(sourceId);
+    expect(callLogs.find(log => log.id === 102).leadId).toBe(targetId);
+    expect((await moved.reload()).leadId).toBe(sourceId);
+    expect((await kept.reload()).leadId).toBe(targetId);
+    expect(getLeadTimeline(sourceId).some(a => a.id === activity.id)).toBe(true);
+    expect(getLeadTimeline(targetId).some(a => a.activity_type === 'merge_reverted')).toBe(true);
+
+    await expect(undoMerge(merge.id)).rejects.toThrow('already been reverted');
+  });
+
+  test('refuses to undo merges past the retention window and prunes them', async () => {
+    const { merge } = await mergeLeads(sourceId, targetId);
+    leadMerges[0].undo_expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await expect(undoMerge(merge.id)).rejects.toThrow('can only be undone within');
+    expect(await listMerges({ leadId: targetId })).toEqual([]);
+    expect(await undoMerge(merge.id)).toBeNull();
+  });
+
+  test('re-points notes of database leads and moves them back on undo', async () => {
+    const [target, source] = await Promise.all([
+      Lead.create({ firstName: 'John', lastName: 'Smith', company: 'Tech Solutions Inc.', email: 'john@techsolutions.com', phone: '+15551234567' }),
+      Lead.create({ firstName: 'Jon', lastName: 'Smith', company: 'Tech Solutions', email: 'jsmith@gmail.com', phone: '+15551234568' })
+    ]);
+    leads.push(
+      { id: target.id, name: 'John Smith', deleted_at: null },
+      { id: source.id, name: 'Jon Smith', deleted_at: null }
+    );
+    const note = await Note.create({ leadId: source.id, content: 'Budget approved for Q3' });
+    const targetNote = await Note.create({ leadId: target.id, content: 'Prefers email' });
+
+    const preview = await previewMerge(source.id, target.id);
+    expect(preview.related_records.notes).toBe(1);
+
+    const { merge } = await mergeLeads(source.id, target.id);
+    expect(merge.moved.notes).toBe(1);
+    expect((await note.reload()).leadId).toBe(target.id);
+
+    await undoMerge(merge.id);
+    expect((await note.reload()).leadId).toBe(source.id);
+    expect((await targetNote.reload()).leadId).toBe(target.id);
+  });
+
+  test('auto-merge skips duplicates that fall below the threshold against the surviving lead', async () => {
+    const shared = { name: 'John Smith', company: 'Tech Solutions', phone: '555-123-4567', deleted_at: null };
+    leads.length = 0;
+    leads.push(
+      { ...shared, id: 'auto_primary', email: null },
+      { ...shared, id: 'auto_work', email: 'john@techsolutions.com' },
+      { ...shared, id: 'auto_best', email: 'jsmith@gmail.com', title: 'CTO' }
+    );
+
+    const results = await autoMergeHighConfidenceLeads(0.9, 'u1');
+
+    // Both matched the primary exactly, but the work address is no match for the surviving lead
+    expect(results.find(r => r.source_lead_id === 'auto_primary')).toMatchObject({ success: true, target_lead_id: 'auto_best', similarity_score: 1 });
+    const skipped = results.find(r => r.source_lead_id === 'auto_work');
+    expect(skipped).toMatchObject({ success: false, skipped: true, target_lead_id: 'auto_best' });
+    expect(skipped.similarity_score).toBeLessThan(0.9);
+    expect(leads.find(l => l.id === 'auto_work').merged_into).toBeUndefined();
+  });
+
+  test('undo keeps edits the merge did not touch', async () => {
+    const { merge } = await mergeLeads(sourceId, targetId);
+    leads.find(l => l.id === targetId).status = 'Qualified';
+
+    const result = await undoMerge(merge.id);
+
+    expect(result.target_lead).toMatchObject({ status: 'Qualified', title: null, call_attempts: 2, tags: ['cloud'] });
+    expect(result.target_lead.notes).toBe('Interested in cloud services');
+  });
+
+  test('refuses to undo once a merged field has been edited', async () => {
+    const { merge } = await mergeLeads(sourceId, targetId);
+    leads.find(l => l.id === targetId).title = 'VP Engineering';
+
+    await expect(undoMerge(merge.id)).rejects.toMatchObject({
+      message: expect.stringContaining('title'),
+      details: { edited_fields: ['title'] }
+    });
+    expect(leads.find(l => l.id === sourceId).merged_into).toBe(targetId);
+    expect(leadMerges[0].status).toBe('merged');
+  });
+
+});
@@ -0,0 +1,222 @@
+/**
+ * Lead Scoring Model Tests
+ * Data-defined rules, per-campaign versions stored in the database, score history
+ * and dry runs
+ */
+
+const { sequelize, LeadScoringModel } = require('../../database/models');
+const { leads, callLogs } = require('../../data/dataStore');
+const { calculateLeadScore, getLeadScoreBreakdown } = require('../../services/leadScoring');
+const {
+  validateScoringModel,
+  loadScoringModels,
+  getScoringModel,
+  getActiveModel,
+  createScoringModel,
+  updateScoringModel,
+  activateScoringModel,
+  scoreLead,
+  rescoreLead,
+  dryRunScoringModel,
+  explainLeadScore
+} = require('../../services/leadScoringModels');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const baseLead = {
+  id: 'lead_scoring_1',
+  name: 'John Smith',
+  company: 'Tech Solutions Inc.',
+  phone: '(555) 123-4567',
+  email: 'john@techsolutions.com',
+  industry: 'Technology',
+  company_size: '200-500',
+  title: 'VP Engineering',
+  lead_source: 'Referral',
+  last_contact: daysAgo(3),
+  call_attempts: 2,
+  email_opens: 1,
+  priority: 'High',
+  status: 'Qualified',
+  tags: ['budget-approved'],
+  address: { country: 'USA', city: 'Boston' }
+};
+
+const outcomeRules = [
+  { id: 'has_phone', category: 'contact_info', type: 'condition', field: 'phone', operator: 'exists', points: 10 },
+  {
+    id: 'call_outcomes',
+    category: 'calls',
+    type: 'call_outcome',
+    outcomes: { Interested: 40, 'Not Interested': -30, Voicemail: 2 },
+    half_life_days: 14,
+    cap: 50
+  },
+  { id: 'recent_contact', category: 'engagement', type: 'recency', field: 'last_contact', max_points: 20, half_life_days: 7 }
+];
+
+describe('Lead Scoring Models', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    leads.length = 0;
+    callLogs.length = 0;
+    await LeadScoringModel.destroy({ where: {} });
+    await loadScoringModels({ reload: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('the seeded default model reproduces the legacy weights', () => {
+    // 20 contact + 23 company + 15 source + 14 engagement + 7 priority/status + 2 tags + 5 geo
+    expect(calculateLeadScore(baseLead)).toBe(86);
+
+    const breakdown = getLeadScoreBreakdown(baseLead);
+    expect(breakdown).toMatchObject({
+      contact_info: 20,
+      company_info: 23,
+      lead_source: 15,
+      engagement: 14,
+      priority_status: 7,
+      tags_bonus: 2,
+      geographic_bonus: 5,
+      total: 86
+    });
+    expect(breakdown.model).toMatchObject({ version: 1, campaign: null, status: 'active' });
+    expect(breakdown.rules.find(r => r.rule_id === 'other_title').points).toBe(0);
+  });
+
+  test('rejects invalid rule definitions', async () => {
+    expect(validateScoringModel({ rules: [] })).toEqual(['rules must be a non-empty array']);
+
+    const errors = validateScoringModel({
+      rules: [
+        { id: 'a', type: 'condition', field: 'email', operator: 'looks_like', points: 5 },
+        { id: 'a', type: 'recency', field: 'last_contact' },
+        { id: 'b', type: 'magic' }
+      ]
+    });
+    expect(errors).toEqual([
+      'Rule a: unknown operator looks_like',
+      'Rule a: duplicate id',
+      'Rule a: provide steps, or max_points with a positive half_life_days',
+      'Rule b: type must be one of condition, map, count, recency, call_outcome'
+    ]);
+
+    await expect(createScoringModel({ rules: [{ id: 'x', type: 'count' }] })).rejects.toThrow('Invalid scoring model');
+  });
+
+  test('scores call outcomes and contact recency with decay', async () => {
+    const model = await createScoringModel({ campaign: 'spring-promo', rules: outcomeRules });
+    const lead = { ...baseLead, last_contact: daysAgo(7) };
+    callLogs.push(
+      { id: 1, leadId: lead.id, outcome: 'Interested', createdAt: daysAgo(0) },
+      { id: 2, leadId: lead.id, outcome: 'Voicemail', createdAt: daysAgo(14) },
+      { id: 3, leadId: 'someone_else', outcome: 'Interested', createdAt: daysAgo(0) }
+    );
+
+    const result = scoreLead(lead, { model });
+    const points = Object.fromEntries(result.contributions.map(c => [c.rule_id, c.points]));
+
+    expect(points.call_outcomes).toBeCloseTo(41, 1);
+    expect(points.recent_contact).toBeCloseTo(10, 1);
+    expect(result.score).toBe(61);
+
+    callLogs.push({ id: 4, leadId: lead.id, outcome: 'Not Interested', createdAt: daysAgo(0) });
+    expect(scoreLead(lead, { model }).categories.calls).toBeCloseTo(11, 1);
+  });
+
+  test('activating a campaign version rescores its leads and keeps history', async () => {
+    const campaignLead = { ...baseLead, campaign: 'spring-promo' };
+    const otherLead = { ...baseLead, id: 'lead_scoring_2' };
+    leads.push(campaignLead, otherLead);
+    rescoreLead(campaignLead, { reason: 'created' });
+    rescoreLead(otherLead, { reason: 'created' });
+
+    const draft = await createScoringModel({ campaign: 'spring-promo', rules: outcomeRules });
+    expect(draft).toMatchObject({ version: 1, status: 'draft' });
+
+    const { rescored, previous_model } = await activateScoringModel(draft.id, { userId: 'ops' });
+    expect(rescored).toBe(1);
+    expect(previous_model).toBeNull();
+
+    expect(campaignLead.score_model_id).toBe(draft.id);
+    expect(campaignLead.score_history.map(h => h.reason)).toEqual(['created', 'model_activated:v1']);
+    expect(campaignLead.score_history[0].model_version).toBe(1);
+    expect(otherLead.score_history).toHaveLength(1);
+
+    // A second version retires the first; both stay explainable
+    const v2 = await createScoringModel({ campaign: 'spring-promo', based_on: draft.id });
+    await updateScoringModel(v2.id, { rules: outcomeRules.slice(0, 1) });
+    await activateScoringModel(v2.id);
+
+    expect(getActiveModel('spring-promo').version).toBe(2);
+    expect((await getScoringModel(draft.id)).status).toBe('retired');
+    await expect(updateScoringModel(draft.id, { name: 'edited' })).rejects.toThrow('Only draft scoring models can be edited');
+    expect(campaignLead.score).toBe(10);
+  });
+
+  test('explains stored scores with the version that produced them', async () => {
+    const lead = { ...baseLead };
+    leads.push(lead);
+    rescoreLead(lead);
+    const defaultVersion = lead.score_model_id;
+
+    const v2 = await createScoringModel({ rules: outcomeRules.slice(0, 1) });
+    expect(v2.version).toBe(2);
+
+    // Not yet active: the stored score is still explained by version 1
+    let explanation = explainLeadScore(lead);
+    expect(explanation.model.id).toBe(defaultVersion);
+    expect(explanation.active_model).toBeNull();
+
+    await activateScoringModel(v2.id);
+    lead.score_model_id = defaultVersion;
+    lead.score = 86;
+
+    explanation = explainLeadScore(lead);
+    expect(explanation.model.version).toBe(1);
+    expect(explanation.score).toBe(86);
+    expect(explanation.active_model).toMatchObject({ version: 2, score: 10 });
+  });
+
+  test('dry runs compare draft scores without changing leads', async () => {
+    const first = { ...baseLead };
+    const second = { ...baseLead, id: 'lead_scoring_2', phone: null, email: null };
+    leads.push(first, second);
+    rescoreLead(first);
+    rescoreLead(second);
+    const storedScores = leads.map(lead => lead.score);
+
+    const draft = await createScoringModel({ rules: outcomeRules.slice(0, 1) });
+    const result = await dryRunScoringModel(draft.id, { leadIds: [first.id, second.id, 'missing'] });
+
+    expect(result.sample_size).toBe(2);
+    expect(result.summary).toMatchObject({ decreased: 2, increased: 0 });
+    // Largest changes first
+    expect(result.leads.map(r => r.lead_id)).toEqual([first.id, second.id]);
+    expect(result.leads[1]).toMatchObject({ current_score: 70, draft_score: 0, delta: -70 });
+    expect(leads.map(lead => lead.score)).toEqual(storedScores);
+    expect((await getScoringModel(draft.id)).status).toBe('draft');
+
+    expect((await dryRunScoringModel(draft.id, { sampleSize: 1 })).sample_size).toBe(1);
+    expect(await dryRunScoringModel('00000000-0000-0000-0000-000000000000')).toBeNull();
+  });
+
+  test('keeps versions in the database across a reload', async () => {
+    const draft = await createScoringModel({ campaign: 'spring-promo', rules: outcomeRules }, { userId: 'ops' });
+    await activateScoringModel(draft.id, { userId: 'ops' });
+
+    expect(await LeadScoringModel.count()).toBe(2);
+
+    // A restart starts with nothing in memory and reads the table
+    await loadScoringModels({ reload: true });
+    expect(getActiveModel('spring-promo')).toMatchObject({ id: draft.id, version: 1, created_by: 'ops', activated_by: 'ops' });
+    expect(getActiveModel(null)).toMatchObject({ version: 1, rules: expect.any(Array) });
+    expect(await LeadScoringModel.count()).toBe(2);
+  });
+});
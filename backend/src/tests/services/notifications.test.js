@@ -0,0 +1,280 @@
+/**
+ * Notification Tests
+ * Outbox file transport, delivery retries with backoff, quiet hours and follow-up reminders
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Followup, NotificationDelivery, NotificationSetting, PushSubscription } = require('../../database/models');
+const notificationService = require('../../services/notificationService');
+const { createSmsChannel, createPushChannel, createOutboxTransport } = require('../../services/notificationChannels');
+const notificationRoutes = require('../../routes/notifications');
+
+const MINUTE_MS = 60 * 1000;
+// 02:00 in New York (EST), inside a 21:00-07:00 quiet window
+const NIGHT = new Date('2026-01-15T07:00:00.000Z');
+const MORNING = new Date('2026-01-15T12:00:00.000Z');
+const agent = { id: 7, role: 'agent', email: 'agent7@example.com' };
+
+const SUBSCRIPTION = {
+  endpoint: 'https://push.example.com/send/abc',
+  keys: { p256dh: 'p256dh-key', auth: 'auth-secret' }
+};
+
+/**
+ * Email channel that answers with the queued results in turn, then succeeds
+ */
+const scriptedEmail = (results = []) => ({
+  name: 'email',
+  sent: [],
+  async send(message) {
+    this.sent.push(message);
+    return results.shift() || { success: true, messageId: `msg-${this.sent.length}`, transport: 'smtp' };
+  }
+});
+
+describe('Notifications', () => {
+  let outboxDir;
+  let email;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await NotificationDelivery.destroy({ where: {} });
+    await NotificationSetting.destroy({ where: {} });
+    await PushSubscription.destroy({ where: {} });
+    await Followup.destroy({ where: {} });
+
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-outbox-'));
+    email = scriptedEmail();
+    notificationService.setChannels({
+      email,
+      sms: createSmsChannel({ transport: createOutboxTransport({ channel: 'sms', directory: outboxDir }) }),
+      push: createPushChannel({ transport: createOutboxTransport({ channel: 'push', directory: outboxDir }), publicKey: 'vapid-public' })
+    });
+    await NotificationSetting.create({ userId: '7', email: agent.email, phone: '+12125550100' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('outbox transport', () => {
+    test('appends one JSON line per message to the channel file', async () => {
+      const outbox = createOutboxTransport({ channel: 'sms', directory: path.join(outboxDir, 'nested') });
+      expect(await outbox.read()).toEqual([]);
+
+      const first = await outbox.send({ to: '+12125550100', body: 'one' });
+      await outbox.send({ to: '+12125550100', body: 'two' });
+
+      expect(first.messageId).toMatch(/^outbox_/);
+      const lines = fs.readFileSync(path.join(outboxDir, 'nested', 'sms.jsonl'), 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(await outbox.read()).toEqual([
+        expect.objectContaining({ id: first.messageId, channel: 'sms', message: { to: '+12125550100', body: 'one' } }),
+        expect.objectContaining({ channel: 'sms', message: { to: '+12125550100', body: 'two' } })
+      ]);
+    });
+
+    test('carries SMS deliveries end to end', async () => {
+      const delivery = await notificationService.deliver({
+        userId: '7', channel: 'sms', type: 'followup_reminder', payload: { message: 'x'.repeat(2000) }
+      });
+
+      expect(delivery).toMatchObject({ status: 'sent', transport: 'outbox', recipient: '+12125550100' });
+      const [entry] = await createOutboxTransport({ channel: 'sms', directory: outboxDir }).read();
+      expect(entry.id).toBe(delivery.providerMessageId);
+      expect(entry.message.body).toHaveLength(1600);
+    });
+  });
+
+  describe('retries', () => {
+    test('backs off 1 then 5 minutes and stops once sent', async () => {
+      email = scriptedEmail([
+        { success: false, error: 'Connection timed out', retryable: true, transport: 'smtp' },
+        { success: false, error: '421 Try again later', retryable: true, transport: 'smtp' }
+      ]);
+      notificationService.setChannels({ ...notificationService.getChannels(), email });
+
+      let delivery = await notificationService.deliver({
+        userId: '7', channel: 'email', type: 'followup_reminder', payload: { subject: 'Hi', text: 'Hello' }, at: MORNING
+      });
+      expect(delivery).toMatchObject({ status: 'retrying', attempts: 1, lastError: 'Connection timed out' });
+      expect(delivery.nextAttemptAt).toEqual(new Date(MORNING.getTime() + MINUTE_MS));
+
+      expect(await notificationService.processDueDeliveries(new Date(MORNING.getTime() + 30 * 1000))).toBe(0);
+      expect(await notificationService.processDueDeliveries(new Date(MORNING.getTime() + MINUTE_MS))).toBe(1);
+      delivery = await delivery.reload();
+      expect(delivery).toMatchObject({ status: 'retrying', attempts: 2 });
+      expect(delivery.nextAttemptAt).toEqual(new Date(MORNING.getTime() + 6 * MINUTE_MS));
+
+      await notificationService.processDueDeliveries(delivery.nextAttemptAt);
+      delivery = await delivery.reload();
+      expect(delivery).toMatchObject({ status: 'sent', attempts: 3, providerMessageId: 'msg-3', lastError: null });
+      expect(delivery.history.map(entry => entry.success)).toEqual([false, false, true]);
+      expect(email.sent[0]).toMatchObject({ to: agent.email, subject: 'Hi' });
+    });
+
+    test('fails at once on a permanent error and after the last attempt otherwise', async () => {
+      notificationService.maxAttempts = 2;
+      email = scriptedEmail([
+        { success: false, error: '550 Mailbox unavailable', retryable: false },
+        { success: false, error: 'Socket closed', retryable: true },
+        { success: false, error: 'Socket closed', retryable: true }
+      ]);
+      notificationService.setChannels({ ...notificationService.getChannels(), email });
+
+      try {
+        const permanent = await notificationService.deliver({ userId: '7', channel: 'email', type: 'test', payload: {} });
+        expect(permanent).toMatchObject({ status: 'failed', attempts: 1, nextAttemptAt: null });
+
+        const flaky = await notificationService.deliver({ userId: '7', channel: 'email', type: 'test', payload: {}, at: MORNING });
+        await notificationService.processDueDeliveries(flaky.nextAttemptAt);
+        expect(await flaky.reload()).toMatchObject({ status: 'failed', attempts: 2, lastError: 'Socket closed' });
+      } finally {
+        notificationService.maxAttempts = 4;
+      }
+    });
+
+    test('skips deliveries with nowhere to go', async () => {
+      await NotificationSetting.update({ phone: null }, { where: { userId: '7' } });
+
+      const sms = await notificationService.deliver({ userId: '7', channel: 'sms', type: 'test', payload: { message: 'Hi' } });
+      const push = await notificationService.deliver({ userId: '7', channel: 'push', type: 'test', payload: { title: 'Hi' } });
+
+      expect(sms).toMatchObject({ status: 'skipped', statusReason: 'no_recipient' });
+      expect(push).toMatchObject({ status: 'skipped', statusReason: 'no_subscriptions' });
+    });
+  });
+
+  describe('quiet hours', () => {
+    test('end at the local end time, across midnight', async () => {
+      const setting = NotificationSetting.build({
+        userId: '8', timeZone: 'America/New_York', quietHoursEnabled: true
+      });
+
+      // 02:00 local -> 07:00 local the same day
+      expect(setting.getQuietHoursEnd('sms', NIGHT)).toEqual(new Date('2026-01-15T12:00:00.000Z'));
+      // 22:30 local -> 07:00 local the next day
+      expect(setting.getQuietHoursEnd('push', new Date('2026-01-15T03:30:00.000Z')))
+        .toEqual(new Date('2026-01-15T12:00:00.000Z'));
+      expect(setting.getQuietHoursEnd('sms', MORNING)).toBeNull();
+      expect(setting.getQuietHoursEnd('email', NIGHT)).toBeNull();
+
+      setting.quietHoursStart = '12:00';
+      setting.quietHoursEnd = '13:30';
+      expect(setting.getQuietHoursEnd('sms', new Date('2026-01-15T17:15:45.000Z')))
+        .toEqual(new Date('2026-01-15T18:30:00.000Z'));
+    });
+
+    test('hold quiet channels until the window ends, then send', async () => {
+      await NotificationSetting.update(
+        { quietHoursEnabled: true, timeZone: 'America/New_York' },
+        { where: { userId: '7' } }
+      );
+
+      const sms = await notificationService.deliver({
+        userId: '7', channel: 'sms', type: 'test', payload: { message: 'Late' }, at: NIGHT
+      });
+      const mail = await notificationService.deliver({
+        userId: '7', channel: 'email', type: 'test', payload: { subject: 'Late' }, at: NIGHT
+      });
+
+      expect(sms).toMatchObject({ status: 'deferred', statusReason: 'quiet_hours', attempts: 0 });
+      expect(sms.nextAttemptAt).toEqual(MORNING);
+      expect(mail.status).toBe('sent');
+
+      expect(await notificationService.processDueDeliveries(new Date(MORNING.getTime() - MINUTE_MS))).toBe(0);
+      expect(await notificationService.processDueDeliveries(MORNING)).toBe(1);
+      expect(await sms.reload()).toMatchObject({ status: 'sent', statusReason: null, attempts: 1 });
+    });
+
+    test('reject settings that are not times or zones', async () => {
+      await expect(NotificationSetting.create({ userId: '9', quietHoursStart: '25:00' })).rejects.toThrow();
+      await expect(NotificationSetting.create({ userId: '9', timeZone: 'Mars/Base' })).rejects.toThrow('Unknown time zone');
+      await expect(NotificationSetting.create({ userId: '9', quietChannels: ['pager'] })).rejects.toThrow('quietChannels');
+    });
+  });
+
+  describe('follow-up reminders', () => {
+    test('go out once per scheduled time, within the lead time, on each reminder channel', async () => {
+      await notificationService.subscribePush('7', SUBSCRIPTION);
+      const soon = await Followup.create({
+        leadId: 'lead-1', userId: '7', title: 'Call back', scheduledFor: new Date(MORNING.getTime() + 10 * MINUTE_MS)
+      });
+      await Followup.create({
+        leadId: 'lead-2', userId: '7', title: 'Later', scheduledFor: new Date(MORNING.getTime() + 60 * MINUTE_MS)
+      });
+
+      expect(await notificationService.sendDueReminders(MORNING)).toBe(1);
+      expect(await notificationService.sendDueReminders(MORNING)).toBe(0);
+
+      const deliveries = await NotificationDelivery.findAll({ where: { followupId: soon.id } });
+      expect(deliveries.map(delivery => [delivery.channel, delivery.status]).sort())
+        .toEqual([['desktop', 'sent'], ['email', 'sent'], ['push', 'sent']]);
+      expect(email.sent[0].subject).toBe('Follow-up reminder: Call back');
+
+      const [pushed] = await createOutboxTransport({ channel: 'push', directory: outboxDir }).read();
+      expect(pushed.message.payload).toMatchObject({ title: 'Follow-up reminder', data: { followupId: soon.id } });
+
+      await soon.update({ scheduledFor: new Date(MORNING.getTime() + 12 * MINUTE_MS) });
+      expect(await notificationService.sendDueReminders(MORNING)).toBe(1);
+    });
+  });
+
+  describe('HTTP', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = agent;
+      next();
+    });
+    app.use('/api/notifications', notificationRoutes);
+
+    test('saves settings and push subscriptions for the caller', async () => {
+      await NotificationSetting.destroy({ where: {} });
+
+      const defaults = await request(app).get('/api/notifications/settings');
+      expect(defaults.body.data).toMatchObject({ userId: '7', quietHoursEnabled: false, quietChannels: ['sms', 'push'] });
+
+      const saved = await request(app).put('/api/notifications/settings').send({ quietHoursEnabled: true, quietHoursEnd: '06:30' });
+      expect(saved.status).toBe(200);
+      expect(saved.body.data).toMatchObject({ email: agent.email, quietHoursEnabled: true, quietHoursEnd: '06:30' });
+      expect((await request(app).put('/api/notifications/settings').send({ timeZone: 'Nowhere' })).status).toBe(400);
+
+      expect((await request(app).get('/api/notifications/push/public-key')).body.data).toEqual({ publicKey: 'vapid-public' });
+      const subscribed = await request(app).post('/api/notifications/push/subscriptions').send({ subscription: SUBSCRIPTION });
+      expect(subscribed.status).toBe(201);
+      expect((await request(app).post('/api/notifications/push/subscriptions').send({ subscription: {} })).status).toBe(400);
+
+      const endpoint = { endpoint: SUBSCRIPTION.endpoint };
+      expect((await request(app).delete('/api/notifications/push/subscriptions').send(endpoint)).status).toBe(200);
+      expect((await request(app).delete('/api/notifications/push/subscriptions').send(endpoint)).status).toBe(404);
+    });
+
+    test('lists deliveries without payloads and retries only failed ones', async () => {
+      email = scriptedEmail([{ success: false, error: '550 No such user', retryable: false }]);
+      notificationService.setChannels({ ...notificationService.getChannels(), email });
+      const failed = await notificationService.deliver({ userId: '7', channel: 'email', type: 'test', payload: { subject: 'A' } });
+      const sent = await notificationService.deliver({ userId: '7', channel: 'desktop', type: 'test', payload: { title: 'B' } });
+
+      const listed = await request(app).get('/api/notifications/deliveries?status=failed');
+      expect(listed.body.data).toHaveLength(1);
+      expect(listed.body.data[0]).toMatchObject({ id: failed.id, status: 'failed' });
+      expect(listed.body.data[0].payload).toBeUndefined();
+
+      expect((await request(app).post(`/api/notifications/deliveries/${sent.id}/retry`)).status).toBe(409);
+      const retried = await request(app).post(`/api/notifications/deliveries/${failed.id}/retry`);
+      expect(retried.body.data).toMatchObject({ status: 'sent', attempts: 2 });
+    });
+  });
+});
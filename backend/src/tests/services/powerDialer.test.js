@@ -0,0 +1,170 @@
+/**
+ * Power Dialer Tests
+ * Score-ordered queues, skipping ineligible leads, outcome logging and session progress
+ */
+
+const { sequelize, Lead, CallLog, EnhancedCallLog, DoNotCallEntry } = require('../../database/models');
+const { callLogs } = require('../../data/dataStore');
+const {
+  buildDialQueue,
+  createDialerSession,
+  getNextLead,
+  recordDialOutcome,
+  skipCurrentLead,
+  updateDialerSessionStatus,
+  getDialerSession
+} = require('../../services/powerDialerService');
+const { addDoNotCallNumber } = require('../../services/callComplianceService');
+
+// Calling-hours rules are covered in callCompliance.test.js; keep every hour open here
+process.env.CALLING_HOURS_WEEKDAYS = '00:00-24:00';
+process.env.CALLING_HOURS_SATURDAY = '00:00-24:00';
+process.env.CALLING_HOURS_SUNDAY = '00:00-24:00';
+
+const DAY = 24 * 60 * 60 * 1000;
+let sequence = 0;
+
+const createLead = (overrides = {}) => {
+  sequence++;
+  return Lead.create({
+    firstName: 'Lead',
+    lastName: `Number${sequence}`,
+    company: `Company ${sequence}`,
+    email: `dialer${sequence}@example.com`,
+    phone: `+1555${String(sequence).padStart(7, '0')}`,
+    status: 'contacted',
+    ...overrides
+  });
+};
+
+describe('Power Dialer', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    callLogs.length = 0;
+    await CallLog.destroy({ where: {} });
+    await EnhancedCallLog.destroy({ where: {} });
+    await DoNotCallEntry.destroy({ where: {} });
+    await Lead.destroy({ where: {}, force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('queues matching leads by score and leaves out ineligible ones', async () => {
+    const low = await createLead({ leadScore: 20, tags: ['webinar'] });
+    const high = await createLead({ leadScore: 90, tags: ['webinar'] });
+    const due = await createLead({ leadScore: 50, tags: ['webinar'], nextFollowUpDate: new Date(Date.now() - DAY) });
+    await createLead({ leadScore: 95, tags: ['webinar'], doNotCall: true });
+    await createLead({ leadScore: 95, tags: ['webinar'], archivedAt: new Date() });
+    await createLead({ leadScore: 95, tags: ['trade_show'] });
+    await createLead({ leadScore: 95, tags: ['webinar'], status: 'closed_won' });
+    const calledToday = await createLead({ leadScore: 99, tags: ['webinar'] });
+    await CallLog.create({ leadId: calledToday.id, phoneNumber: calledToday.phone, direction: 'outbound', status: 'completed' });
+    const onDncList = await createLead({ leadScore: 97, tags: ['webinar'] });
+    await addDoNotCallNumber(onDncList.phone, { reason: 'Asked not to be called' });
+
+    const queue = await buildDialQueue({ statuses: 'contacted,new', tags: ['webinar'] });
+    expect(queue.leadIds).toEqual([high.id, due.id, low.id]);
+    expect(queue.excluded).toEqual({ called_today: 1, dnc_list: 1 });
+
+    const dueOnly = await buildDialQueue({ statuses: ['contacted'], followUpDue: true });
+    expect(dueOnly.leadIds).toEqual([due.id]);
+  });
+
+  test('counts calls from every call log on the lead\'s local day', async () => {
+    // 02:00 on March 5 in Los Angeles, 10:00 UTC
+    const now = new Date('2030-03-05T10:00:00.000Z');
+    const tracked = await createLead({ leadScore: 90, timeZone: 'America/Los_Angeles' });
+    const loggedByHand = await createLead({ leadScore: 80, timeZone: 'America/Los_Angeles' });
+    const calledYesterday = await createLead({ leadScore: 70, timeZone: 'America/Los_Angeles' });
+    const calledToday = await createLead({ leadScore: 60, timeZone: 'Europe/London' });
+
+    await EnhancedCallLog.create({
+      leadId: tracked.id,
+      phoneNumber: tracked.phone,
+      direction: 'outbound',
+      status: 'completed',
+      initiatedAt: new Date('2030-03-05T09:30:00.000Z')
+    });
+    callLogs.push({ id: 1, leadId: loggedByHand.id, outcome: 'Voicemail', createdAt: '2030-03-05T09:00:00.000Z' });
+    // 23:00 on March 4 in Los Angeles, 07:00 on March 5 in London
+    const lateEvening = new Date('2030-03-05T07:00:00.000Z');
+    await CallLog.create({ leadId: calledYesterday.id, phoneNumber: calledYesterday.phone, direction: 'outbound', status: 'completed', initiatedAt: lateEvening });
+    await CallLog.create({ leadId: calledToday.id, phoneNumber: calledToday.phone, direction: 'outbound', status: 'completed', initiatedAt: lateEvening });
+
+    const queue = await buildDialQueue({ statuses: ['contacted'] }, { now });
+    expect(queue.leadIds).toEqual([calledYesterday.id]);
+    expect(queue.excluded.called_today).toBe(3);
+  });
+
+  test('walks the queue, logs outcomes and tracks progress', async () => {
+    const first = await createLead({ leadScore: 80 });
+    const second = await createLead({ leadScore: 60 });
+    const third = await createLead({ leadScore: 40 });
+
+    const { session } = await createDialerSession('agent-1', { filter: { statuses: ['contacted'] }, wrapUpSeconds: 15 });
+    expect(session.progress).toMatchObject({ total: 3, remaining: 3, dialed: 0 });
+
+    let next = await getNextLead(session.id);
+    expect(next.lead.id).toBe(first.id);
+    // Until an outcome is logged the same lead comes back
+    expect((await getNextLead(session.id)).lead.id).toBe(first.id);
+
+    await expect(recordDialOutcome(session.id, { leadId: second.id, outcome: 'connected' }))
+      .rejects.toThrow('Outcome does not match the lead currently being dialed');
+
+    const logged = await recordDialOutcome(session.id, { leadId: first.id, outcome: 'interested', duration: 180 });
+    expect(logged.callLog).toMatchObject({ leadId: first.id, outcome: 'interested', direction: 'outbound' });
+    expect(logged.nextDialAt.getTime() - Date.now()).toBeGreaterThan(14000);
+    expect(logged.session.progress).toMatchObject({ dialed: 1, connected: 1, remaining: 2 });
+    expect((await first.reload()).callAttempts).toBe(1);
+
+    // Flagged after the queue was built: skipped when its turn comes
+    await second.update({ doNotCall: true });
+    next = await getNextLead(session.id);
+    expect(next.lead.id).toBe(third.id);
+
+    await recordDialOutcome(session.id, { leadId: third.id, outcome: 'voicemail' });
+    next = await getNextLead(session.id);
+    expect(next.lead).toBeNull();
+    expect(next.session.status).toBe('completed');
+    expect(next.session.progress).toEqual({
+      total: 3,
+      dialed: 2,
+      connected: 1,
+      skipped: 1,
+      remaining: 0,
+      connectRate: 0.5,
+      outcomes: { interested: 1, voicemail: 1 },
+      currentLeadId: null
+    });
+
+    await expect(getNextLead(session.id)).rejects.toThrow('Dialer session is completed');
+  });
+
+  test('supports skipping, pausing and ending a session', async () => {
+    const first = await createLead({ leadScore: 70 });
+    await createLead({ leadScore: 30 });
+
+    const { session } = await createDialerSession('agent-2', {});
+    await getNextLead(session.id);
+
+    const skipped = await skipCurrentLead(session.id, 'wrong_contact');
+    expect(skipped.progress).toMatchObject({ skipped: 1, remaining: 1, currentLeadId: null });
+    expect((await CallLog.count({ where: { leadId: first.id } }))).toBe(0);
+
+    await updateDialerSessionStatus(session.id, 'paused');
+    await expect(getNextLead(session.id)).rejects.toThrow('Resume the dialer session before dialing');
+    await updateDialerSessionStatus(session.id, 'active');
+
+    const ended = await updateDialerSessionStatus(session.id, 'ended');
+    expect(ended.endedAt).toBeTruthy();
+    await expect(updateDialerSessionStatus(session.id, 'active')).rejects.toThrow('Cannot change a ended dialer session to active');
+
+    expect(await getDialerSession('00000000-0000-0000-0000-000000000000')).toBeNull();
+  });
+});
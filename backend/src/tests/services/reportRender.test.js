@@ -0,0 +1,94 @@
+/**
+ * Report Render Tests
+ * PDF and XLSX rendering of custom analytics reports
+ */
+
+const ExcelJS = require('exceljs');
+const reportRenderService = require('../../services/reportRenderService');
+
+const report = {
+  reportId: 'custom_1700000000000',
+  reportType: 'executive',
+  generatedAt: '2024-02-01T09:30:00.000Z',
+  dateRange: { start: '2024-01-01', end: '2024-01-31' },
+  filters: { lead_source: 'Website' },
+  sections: {
+    leads: {
+      summary: { totalLeads: 40, convertedLeads: 6, conversionRate: 15, avgCallAttempts: 2.35 },
+      distributions: {
+        leadSources: { Website: 25, Referral: 15 },
+        priorities: { High: 10, Medium: 30 },
+        industries: { Technology: 40 }
+      }
+    },
+    sources: {
+      sources: {
+        Website: { totalLeads: 25, qualified: 8, converted: 4, qualificationRate: 32, conversionRate: 16, avgQualityScore: 4.2, costPerLead: 25, roi: 3100 },
+        Referral: { totalLeads: 15, qualified: 5, converted: 2, qualificationRate: 33.3, conversionRate: 13.3, avgQualityScore: 4.6, costPerLead: 15, roi: 4344.4 }
+      },
+      recommendations: ['Focus more investment on Referral (highest ROI)']
+    }
+  },
+  summary: {
+    totalLeads: 40,
+    conversionRate: 15,
+    topPerformingSource: 'Referral',
+    recommendedActions: ['Improve lead contact strategies']
+  }
+};
+
+const countPages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+describe('Report Render Service', () => {
+  test('names files after the report type and period', () => {
+    expect(reportRenderService.getFilename(report, 'pdf')).toBe('executive-analytics-report_2024-01-01_to_2024-01-31.pdf');
+    expect(reportRenderService.getFilename({ reportType: 'Custom Ops', dateRange: 'All time' }, 'xlsx'))
+      .toBe('custom-ops-analytics-report_all-time.xlsx');
+  });
+
+  test('renders a PDF with a cover, executive summary and a page per section', async () => {
+    const pdf = await reportRenderService.renderPdf(report);
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdf)).toBe(4);
+  });
+
+  test('renders a PDF without charts when asked', async () => {
+    const withCharts = await reportRenderService.renderPdf(report, { includeCharts: true });
+    const withoutCharts = await reportRenderService.renderPdf(report, { includeCharts: false });
+
+    expect(withoutCharts.length).toBeLessThan(withCharts.length);
+  });
+
+  test('adds pages when a section table runs long', async () => {
+    const leadSources = Object.fromEntries(Array.from({ length: 80 }, (_, i) => [`Source ${i}`, i + 1]));
+    const pdf = await reportRenderService.renderPdf({
+      ...report,
+      sections: { leads: { ...report.sections.leads, distributions: { leadSources } } }
+    });
+
+    expect(countPages(pdf)).toBeGreaterThan(3);
+  });
+
+  test('renders an XLSX with one sheet per section and typed cells', async () => {
+    const xlsx = await reportRenderService.renderXlsx(report);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Lead Metrics', 'Lead Sources']);
+
+    const summary = workbook.getWorksheet('Summary');
+    const generated = summary.getColumn(1).values.indexOf('Generated');
+    expect(summary.getCell(generated, 2).value).toBeInstanceOf(Date);
+    expect(summary.getCell(generated, 2).value.toISOString()).toBe('2024-02-01T09:30:00.000Z');
+    const periodStart = summary.getColumn(1).values.indexOf('Period Start');
+    expect(summary.getCell(periodStart, 2).numFmt).toBe('yyyy-mm-dd');
+
+    const sources = workbook.getWorksheet('Lead Sources');
+    const website = sources.getColumn(1).values.indexOf('Website');
+    expect(sources.getCell(website, 2).value).toBe(25);
+    expect(sources.getCell(website, 6).value).toBe(16);
+    expect(sources.getCell(website, 6).numFmt).toBe('0.0"%"');
+    expect(sources.getCell(website, 8).numFmt).toBe('"$"#,##0.00');
+  });
+});
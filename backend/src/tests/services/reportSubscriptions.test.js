@@ -0,0 +1,164 @@
+/**
+ * Report Subscription Tests
+ * Validation, scheduling, delivery through mail transports and run history
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { sequelize } = require('../../database/models');
+const reportSubscriptionService = require('../../services/reportSubscriptionService');
+const { createFileDropTransport } = require('../../services/mailTransports');
+
+jest.mock('../../utils/dataManager', () => ({
+  loadData: jest.fn((filename) => {
+    if (filename === 'leads.json') {
+      return Promise.resolve([
+        { id: 'lead_001', status: 'Qualified', priority: 'High', industry: 'Technology', lead_source: 'Website', created_at: '2024-01-03T10:00:00Z', call_attempts: 2 },
+        { id: 'lead_002', status: 'New', priority: 'Medium', industry: 'Healthcare', lead_source: 'Referral', created_at: '2024-01-04T10:00:00Z', call_attempts: 1 }
+      ]);
+    }
+    return Promise.resolve([]);
+  })
+}));
+
+const subscriptionData = (overrides = {}) => ({
+  name: 'Weekly executive report',
+  reportType: 'executive',
+  sections: ['leads', 'sources'],
+  schedule: '0 8 * * 1',
+  timeZone: 'America/New_York',
+  recipients: 'Manager@Example.com, owner@example.com',
+  format: 'pdf',
+  ...overrides
+});
+
+const createRecordingTransport = () => {
+  const sent = [];
+  return {
+    name: 'recording',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>`, accepted: message.to };
+    }
+  };
+};
+
+describe('Report Subscription Service', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterEach(() => {
+    reportSubscriptionService.stopSchedule();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('rejects invalid schedules, time zones, recipients and formats', async () => {
+    await expect(reportSubscriptionService.createSubscription(subscriptionData({ schedule: '0 0 8 * * 1' })))
+      .rejects.toThrow('five-field cron expression');
+    await expect(reportSubscriptionService.createSubscription(subscriptionData({ timeZone: 'Mars/Olympus' })))
+      .rejects.toThrow('Unknown time zone');
+    await expect(reportSubscriptionService.createSubscription(subscriptionData({ recipients: ['not-an-email'] })))
+      .rejects.toThrow('Invalid recipients: not-an-email');
+    await expect(reportSubscriptionService.createSubscription(subscriptionData({ format: 'csv' })))
+      .rejects.toThrow('format must be one of');
+  });
+
+  test('normalises recipients and reports on the full days before the run in its time zone', async () => {
+    const subscription = await reportSubscriptionService.createSubscription(subscriptionData({ lookbackDays: 7 }));
+
+    expect(subscription.recipients).toEqual(['manager@example.com', 'owner@example.com']);
+
+    // 03:00 UTC on the 8th is still the 7th in New York
+    const period = reportSubscriptionService.getReportPeriod(subscription, new Date('2024-01-08T03:00:00Z'));
+    expect(period).toEqual({ start: '2023-12-31', end: '2024-01-06' });
+
+    expect(reportSubscriptionService.getReportPeriod({ ...subscription, lookbackDays: null })).toBeNull();
+  });
+
+  test('sends now through the transport and records a successful run', async () => {
+    const transport = createRecordingTransport();
+    reportSubscriptionService.setTransport(transport);
+    const subscription = await reportSubscriptionService.createSubscription(subscriptionData({ lookbackDays: null }));
+
+    const run = await reportSubscriptionService.sendNow(subscription.id);
+
+    expect(run).toMatchObject({ status: 'success', trigger: 'manual', transport: 'recording', messageId: '<1@test>' });
+    expect(run.filename).toBe('executive-analytics-report_all-time.pdf');
+
+    const [message] = transport.sent;
+    expect(message.to).toEqual(['manager@example.com', 'owner@example.com']);
+    expect(message.subject).toBe('Weekly executive report (all time)');
+    expect(message.text).toContain('Total leads:');
+    expect(message.attachments[0].contentType).toBe('application/pdf');
+    expect(message.attachments[0].content.slice(0, 5).toString()).toBe('%PDF-');
+
+    const updated = await reportSubscriptionService.getSubscription(subscription.id);
+    expect(updated.lastRunStatus).toBe('success');
+  });
+
+  test('records failed deliveries in the run history, newest first', async () => {
+    const subscription = await reportSubscriptionService.createSubscription(subscriptionData({ format: 'excel' }));
+
+    reportSubscriptionService.setTransport(createRecordingTransport());
+    await reportSubscriptionService.sendNow(subscription.id);
+
+    reportSubscriptionService.setTransport({
+      name: 'broken',
+      async send() {
+        throw new Error('Connection refused');
+      }
+    });
+    const failed = await reportSubscriptionService.sendNow(subscription.id);
+    expect(failed).toMatchObject({ status: 'failed', error: 'Connection refused' });
+
+    const runs = await reportSubscriptionService.listRuns(subscription.id);
+    expect(runs.map(run => run.status)).toEqual(['failed', 'success']);
+    expect(runs[1].filename).toMatch(/\.xlsx$/);
+
+    const updated = await reportSubscriptionService.getSubscription(subscription.id);
+    expect(updated.lastRunStatus).toBe('failed');
+
+    expect(await reportSubscriptionService.listRuns('00000000-0000-4000-8000-000000000000')).toBeNull();
+  });
+
+  test('drops messages into the outbox as .eml files with the report attached', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'report-outbox-'));
+    reportSubscriptionService.setTransport(createFileDropTransport({ directory }));
+    const subscription = await reportSubscriptionService.createSubscription(subscriptionData({ format: 'json' }));
+
+    const run = await reportSubscriptionService.sendNow(subscription.id);
+
+    const files = await fs.readdir(directory);
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/\.eml$/);
+    const eml = await fs.readFile(path.join(directory, files[0]), 'utf8');
+    expect(eml).toContain('To: manager@example.com, owner@example.com');
+    expect(eml).toContain(`filename=${run.filename}`);
+
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('schedules active subscriptions and reschedules them as they change', async () => {
+    await sequelize.sync({ force: true });
+    const active = await reportSubscriptionService.createSubscription(subscriptionData());
+    await reportSubscriptionService.createSubscription(subscriptionData({ name: 'Paused', active: false }));
+
+    await reportSubscriptionService.startSchedule();
+    expect([...reportSubscriptionService.jobs.keys()]).toEqual([active.id]);
+
+    await reportSubscriptionService.updateSubscription(active.id, { active: false });
+    expect(reportSubscriptionService.jobs.size).toBe(0);
+
+    const created = await reportSubscriptionService.createSubscription(subscriptionData({ name: 'Daily', schedule: '30 7 * * *' }));
+    expect(reportSubscriptionService.jobs.has(created.id)).toBe(true);
+
+    await reportSubscriptionService.deleteSubscription(created.id);
+    expect(reportSubscriptionService.jobs.size).toBe(0);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Team Assignment Tests
+ * Round-robin rotation, territory and skill matching, out-of-office, capacity limits and fallbacks
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { sequelize, Team, TeamMember, Territory, Followup } = require('../../database/models');
+const assignmentService = require('../../services/assignmentService');
+const followupService = require('../../services/followupService');
+const followupRoutes = require('../../routes/followups');
+
+const NOW = new Date('2026-03-11T15:00:00.000Z');
+const manager = { id: 100, role: 'manager' };
+
+const addMembers = (team, members) => Promise.all(members.map((member, index) => TeamMember.create({
+  teamId: team.id,
+  createdAt: new Date(NOW.getTime() - (members.length - index) * 1000),
+  ...member
+})));
+
+const pickRoundRobin = async (teamId, count) => {
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    const at = new Date(NOW.getTime() + i * 60 * 1000);
+    picked.push((await assignmentService.getRoundRobinUser(teamId, { at }))?.userId);
+  }
+  return picked;
+};
+
+describe('Team Assignment', () => {
+  let team;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    await Followup.destroy({ where: {} });
+    await Territory.destroy({ where: {} });
+    await TeamMember.destroy({ where: {} });
+    await Team.destroy({ where: {} });
+    team = await Team.create({ name: 'East', managerId: '100' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('round-robin', () => {
+    test('rotates through active members and remembers the order', async () => {
+      await addMembers(team, [{ userId: '1' }, { userId: '2' }, { userId: '3' }, { userId: '4', isActive: false }]);
+
+      expect(await pickRoundRobin(team.id, 4)).toEqual(['1', '2', '3', '1']);
+
+      // Rotation is stored on the members, so a fresh read continues where it left off
+      const members = await assignmentService.getTeamAvailability(team.id, NOW);
+      expect(members.map(member => member.userId)).toEqual(['2', '3', '1']);
+      expect(members.find(member => member.userId === '1').assignmentCount).toBe(2);
+    });
+
+    test('gives concurrent requests different members', async () => {
+      await addMembers(team, [{ userId: '1' }, { userId: '2' }, { userId: '3' }]);
+
+      const picked = await Promise.all([1, 2, 3].map(() => assignmentService.getRoundRobinUser(team.id, { at: NOW })));
+      expect(picked.map(result => result.userId).sort()).toEqual(['1', '2', '3']);
+    });
+
+    test('skips members who are out of office or at their limits', async () => {
+      await team.update({ defaultMaxOpenFollowups: 1 });
+      await addMembers(team, [
+        { userId: '1', outOfOfficeFrom: new Date('2026-03-10T00:00:00Z'), outOfOfficeReason: 'Parental leave' },
+        { userId: '2' },
+        { userId: '3', maxOpenFollowups: null, maxDailyFollowups: 1 }
+      ]);
+      await Followup.create({ leadId: 'lead-1', userId: '2', title: 'Call back', scheduledFor: NOW });
+
+      const assign = () => followupService.createFollowup({
+        leadId: 'lead-2', title: 'Call back', scheduledFor: NOW, assignment: { type: 'round_robin', teamId: team.id }
+      }, { id: 7, role: 'agent' });
+      expect(await assign()).toMatchObject({ userId: '3', assignment: { type: 'round_robin' } });
+      // Everyone is now away or full, so the team manager gets it
+      expect(await assign()).toMatchObject({ userId: '100', assignment: { type: 'fallback' } });
+
+      const availability = await assignmentService.getTeamAvailability(team.id, NOW);
+      expect(availability.find(member => member.userId === '1')).toMatchObject({ outOfOffice: true, available: false });
+      expect(availability.find(member => member.userId === '2')).toMatchObject({ openFollowups: 1, available: false });
+    });
+
+    test('falls back to the team manager, then the requesting agent', async () => {
+      expect(await assignmentService.resolveAssignee({ type: 'round_robin', teamId: team.id }, { userId: 7, at: NOW }))
+        .toEqual({ userId: '100', type: 'fallback', teamId: team.id });
+      expect(await assignmentService.resolveAssignee(
+        { type: 'round_robin', teamId: team.id, fallback: 'original_user' },
+        { userId: 7, at: NOW }
+      )).toEqual({ userId: '7', type: 'fallback', teamId: team.id });
+    });
+  });
+
+  describe('territory', () => {
+    test('routes leads to the best matching territory and falls through when it is busy', async () => {
+      await addMembers(team, [{ userId: '1' }, { userId: '2' }, { userId: '3' }]);
+      const northeast = await Territory.create({ teamId: team.id, name: 'Northeast', states: ['NY', 'MA'], userIds: ['1'] });
+      const boston = await Territory.create({ teamId: team.id, name: 'Boston', states: ['MA'], zipPrefixes: ['021'], userIds: [2] });
+      await Territory.create({ teamId: team.id, name: 'Healthcare', industries: ['Healthcare'], priority: 5, userIds: ['3'] });
+
+      // Narrower territories win ties on priority; stored values are normalised
+      expect(boston.zipPrefixes).toEqual(['021']);
+      expect(boston.userIds).toEqual(['2']);
+      expect(await assignmentService.getTerritoryUser({ id: 'a', addressState: 'MA', addressZip: '02134' }, null, { at: NOW }))
+        .toMatchObject({ userId: '2', type: 'territory', territoryId: boston.id });
+      expect(await assignmentService.getTerritoryUser({ id: 'b', address: { state: 'ny' } }, team.id, { at: NOW }))
+        .toMatchObject({ userId: '1', territoryId: northeast.id });
+      expect(await assignmentService.getTerritoryUser({ id: 'c', addressState: 'MA', industry: 'healthcare' }, null, { at: NOW }))
+        .toMatchObject({ userId: '3' });
+
+      await TeamMember.update({ outOfOfficeFrom: new Date('2026-03-01T00:00:00Z') }, { where: { userId: '2' } });
+      expect(await assignmentService.getTerritoryUser({ id: 'd', addressState: 'MA', addressZip: '02134' }, null, { at: NOW }))
+        .toMatchObject({ userId: '1', territoryId: northeast.id });
+
+      expect(await assignmentService.getTerritoryUser({ id: 'e', addressState: 'TX' }, null, { at: NOW })).toBeNull();
+    });
+  });
+
+  describe('skill-based', () => {
+    test('only picks members holding every required skill, rotating among them', async () => {
+      await addMembers(team, [
+        { userId: '1', skills: ['Demo'] },
+        { userId: '2', skills: ['demo', 'spanish'] },
+        { userId: '3', skills: ['spanish', ' DEMO '] }
+      ]);
+
+      const bySkills = async (skills) =>
+        (await assignmentService.getSkillBasedUser('demo', team.id, skills, { at: NOW }))?.userId;
+
+      expect(await bySkills(['spanish', 'demo'])).toBe('2');
+      expect(await bySkills(['Spanish', 'Demo'])).toBe('3');
+      expect(await bySkills(null)).toBe('1');
+      expect(await bySkills(['enterprise'])).toBeUndefined();
+    });
+  });
+
+  describe('follow-ups', () => {
+    test('assigns new follow-ups through the team rules', async () => {
+      await addMembers(team, [{ userId: '1', skills: ['demo'] }, { userId: '2' }]);
+
+      const followup = await followupService.createFollowup({
+        leadId: 'lead-7',
+        title: 'Product demo',
+        type: 'demo',
+        scheduledFor: '2026-03-12T15:00:00.000Z',
+        assignment: { type: 'skill_based', teamId: team.id }
+      }, { id: 5, role: 'agent' });
+
+      expect(followup).toMatchObject({ userId: '1', teamId: team.id, assignment: { type: 'skill_based' }, createdBy: '5' });
+
+      await expect(followupService.createFollowup({
+        leadId: 'lead-7', title: 'Call', scheduledFor: NOW, assignment: { type: 'alphabetical' }
+      }, manager)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(followupService.createFollowup({
+        leadId: 'lead-7', title: 'Call', scheduledFor: NOW, userId: 9
+      }, { id: 5, role: 'agent' })).rejects.toThrow('Only managers');
+    });
+
+    test('shows agents only their own follow-ups over HTTP', async () => {
+      await Followup.create({ leadId: 'lead-1', userId: '1', title: 'Mine', scheduledFor: NOW });
+      await Followup.create({ leadId: 'lead-2', userId: '2', title: 'Theirs', scheduledFor: NOW });
+
+      const appFor = (user) => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+          req.user = user;
+          next();
+        });
+        app.use('/api/followups', followupRoutes);
+        return app;
+      };
+
+      const agentList = await request(appFor({ id: 1, role: 'agent' })).get('/api/followups');
+      expect(agentList.status).toBe(200);
+      expect(agentList.body.data.map(item => item.title)).toEqual(['Mine']);
+
+      const theirs = await Followup.findOne({ where: { userId: '2' } });
+      expect((await request(appFor({ id: 1, role: 'agent' })).get(`/api/followups/${theirs.id}`)).status).toBe(404);
+
+      const managerList = await request(appFor(manager)).get('/api/followups');
+      expect(managerList.body.pagination.total).toBe(2);
+
+      const completed = await request(appFor({ id: 2, role: 'agent' }))
+        .put(`/api/followups/${theirs.id}/complete`)
+        .send({ outcome: 'no_answer' });
+      expect(completed.status).toBe(200);
+      expect(completed.body.data).toMatchObject({ status: 'completed', outcome: 'no_answer', completedBy: '2' });
+    });
+  });
+});
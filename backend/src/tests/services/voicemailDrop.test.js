@@ -0,0 +1,249 @@
+/**
+ * Voicemail Drop Tests
+ * Clip lookup and signed audio URLs, drops on Twilio and SIP calls, and AMD auto-drops
+ */
+
+// The real audit logger starts a flush timer that keeps Jest alive
+jest.mock('../../middleware/auditLogger', () => ({
+  auditLog: jest.fn().mockResolvedValue(undefined),
+  SEVERITY: { HIGH: 'high' },
+  EVENT_CATEGORIES: { PRIVACY_EVENT: 'privacy_event' }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const twilio = require('twilio');
+const { sequelize } = require('../../database/models');
+const TwilioService = require('../../services/twilioService');
+const audioFileModel = require('../../models/audioFileModel');
+const { callLogs } = require('../../data/dataStore');
+const voicemailDropController = require('../../controllers/voicemailDropController');
+const twilioRoutes = require('../../routes/twilio');
+const {
+  getVoicemailClip,
+  verifyAudioSignature,
+  dropVoicemail,
+  buildMachineDetectionOptions,
+  handleMachineDetection
+} = require('../../services/voicemailDropService');
+
+const UPLOAD = {
+  id: '5b0e8a2e-5f1c-4a4e-9d7b-0c6f3f1f2a11',
+  originalName: 'spring-promo-voicemail.mp3',
+  category: 'voicemail',
+  metadata: { duration: 21 },
+  path: '/tmp/spring-promo-voicemail.mp3',
+  mimetype: 'audio/mpeg'
+};
+
+let sequence = 0;
+const createCall = (overrides = {}) => {
+  sequence++;
+  return {
+    id: 9500 + sequence,
+    phone: '+12125550100',
+    agentId: 'agent-7',
+    status: 'connected',
+    startTime: '2026-03-11T13:00:00.000Z',
+    ...overrides
+  };
+};
+
+describe('Voicemail Drop', () => {
+  const originalWebhookUrl = process.env.TWILIO_VOICE_WEBHOOK_URL;
+
+  beforeEach(() => {
+    process.env.TWILIO_VOICE_WEBHOOK_URL = 'https://calls.example.com/api/twilio/voice';
+    jest.spyOn(TwilioService, 'updateCall').mockResolvedValue({ success: true, call: { sid: 'CA-prospect' } });
+    jest.spyOn(audioFileModel, 'findById').mockImplementation(async (id) => (id === UPLOAD.id ? UPLOAD : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env.TWILIO_VOICE_WEBHOOK_URL = originalWebhookUrl;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('clips', () => {
+    test('finds library clips and signs uploaded files for playback', async () => {
+      expect(await getVoicemailClip(10)).toMatchObject({
+        id: '10',
+        source: 'library',
+        playbackUrl: '/audio/voicemail-quick-callback.mp3'
+      });
+
+      const upload = await getVoicemailClip(UPLOAD.id);
+      expect(upload).toMatchObject({ name: 'spring-promo-voicemail.mp3', source: 'upload', duration: 21 });
+
+      const url = new URL(upload.playbackUrl, 'https://calls.example.com');
+      const query = Object.fromEntries(url.searchParams);
+      expect(url.pathname).toBe(`/api/twilio/voicemail-audio/${UPLOAD.id}`);
+      expect(verifyAudioSignature(UPLOAD.id, query)).toBe(true);
+      expect(verifyAudioSignature('another-file', query)).toBe(false);
+      expect(verifyAudioSignature(UPLOAD.id, query, Number(query.expires) + 1)).toBe(false);
+
+      expect(await getVoicemailClip('missing')).toBeNull();
+    });
+  });
+
+  describe('drops', () => {
+    test('plays the clip into the Twilio prospect leg, releases the agent and logs Voicemail', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      const drop = await dropVoicemail(call, await getVoicemailClip(10), { requestedBy: 'agent-7' });
+
+      const [callSid, options] = TwilioService.updateCall.mock.calls[0];
+      expect(callSid).toBe('CA-prospect');
+      expect(options.twiml).toContain('<Play>https://calls.example.com/audio/voicemail-quick-callback.mp3</Play><Hangup/>');
+      expect(drop).toMatchObject({ clipId: '10', trigger: 'manual', provider: 'twilio', requestedBy: 'agent-7' });
+      expect(call).toMatchObject({ outcome: 'Voicemail', disposition: 'voicemail_drop', status: 'ended' });
+      expect(call.legs.map(leg => [leg.role, leg.status, leg.endReason])).toEqual([
+        ['agent', 'completed', 'voicemail_drop'],
+        ['prospect', 'active', null]
+      ]);
+
+      await expect(dropVoicemail(call, await getVoicemailClip(11))).rejects.toThrow('already dropped');
+    });
+
+    test('records browser SIP drops without touching Twilio', async () => {
+      const call = createCall();
+
+      const drop = await dropVoicemail(call, await getVoicemailClip(UPLOAD.id));
+
+      expect(TwilioService.updateCall).not.toHaveBeenCalled();
+      expect(drop).toMatchObject({ clipId: UPLOAD.id, provider: 'sip' });
+      expect(call.handedOffAt).toBeTruthy();
+    });
+
+    test('leaves the call alone when Twilio refuses the update', async () => {
+      TwilioService.updateCall.mockResolvedValue({ success: false, error: 'Call is not in-progress' });
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      await expect(dropVoicemail(call, await getVoicemailClip(10))).rejects.toMatchObject({ code: 'PROVIDER_ERROR' });
+      expect(call.voicemailDrop).toBeUndefined();
+      expect(call.status).toBe('connected');
+    });
+  });
+
+  describe('answering-machine detection', () => {
+    test('requests async DetectMessageEnd with a callback for the call', () => {
+      expect(buildMachineDetectionOptions(42)).toEqual({
+        machineDetection: 'DetectMessageEnd',
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: 'https://calls.example.com/api/twilio/amd?callId=42',
+        asyncAmdStatusCallbackMethod: 'POST'
+      });
+
+      delete process.env.TWILIO_VOICE_WEBHOOK_URL;
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(buildMachineDetectionOptions(42)).toEqual({});
+    });
+
+    test('auto-drops the configured clip after the beep but never on a human', async () => {
+      const human = createCall({ twilioCallSid: 'CA-human', amd: { autoDropClipId: '10' } });
+      expect((await handleMachineDetection(human, { answeredBy: 'human' })).drop).toBeNull();
+      expect(human.amd.answeredBy).toBe('human');
+
+      const machine = createCall({ twilioCallSid: 'CA-machine', amd: { autoDropClipId: '10' } });
+      const { drop } = await handleMachineDetection(machine, { answeredBy: 'machine_end_beep', detectionMs: 8200 });
+
+      expect(drop).toMatchObject({ clipId: '10', trigger: 'amd', answeredBy: 'machine_end_beep' });
+      expect(TwilioService.updateCall).toHaveBeenCalledTimes(1);
+      expect(TwilioService.updateCall.mock.calls[0][0]).toBe('CA-machine');
+    });
+
+    test('only records the result when no auto-drop clip was chosen', async () => {
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+
+      const { amd, drop } = await handleMachineDetection(call, { answeredBy: 'machine_end_silence' });
+
+      expect(drop).toBeNull();
+      expect(amd).toMatchObject({ answeredBy: 'machine_end_silence', autoDropClipId: null });
+    });
+  });
+
+  describe('routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.get('/calls/voicemail-clips', voicemailDropController.listVoicemailClips);
+    app.post('/calls/:id/voicemail-drop', voicemailDropController.dropVoicemail);
+
+    test('lists voicemail clips and maps missing calls and clips, bad input and state errors', async () => {
+      jest.spyOn(audioFileModel, 'findWithFilters').mockResolvedValue([UPLOAD]);
+      const clips = await request(app).get('/calls/voicemail-clips');
+      expect(clips.body.data.map(clip => clip.id)).toEqual(['10', '11', UPLOAD.id]);
+
+      const call = createCall({ twilioCallSid: 'CA-prospect' });
+      callLogs.push(call);
+
+      expect((await request(app).post('/calls/missing/voicemail-drop').send({ clipId: '10' })).status).toBe(404);
+      expect((await request(app).post(`/calls/${call.id}/voicemail-drop`).send({})).status).toBe(400);
+      expect((await request(app).post(`/calls/${call.id}/voicemail-drop`).send({ clipId: '10', trigger: 'robot' })).status).toBe(400);
+      expect((await request(app).post(`/calls/${call.id}/voicemail-drop`).send({ clipId: 'missing' })).status).toBe(404);
+
+      const dropped = await request(app).post(`/calls/${call.id}/voicemail-drop`).send({ clipId: '10' });
+      expect(dropped.status).toBe(200);
+      expect(dropped.body.data.drop.clipId).toBe('10');
+      expect((await request(app).post(`/calls/${call.id}/voicemail-drop`).send({ clipId: '10' })).status).toBe(409);
+
+      callLogs.splice(callLogs.indexOf(call), 1);
+    });
+
+    describe('Twilio AMD callback', () => {
+      const webhookApp = express();
+      webhookApp.use(express.urlencoded({ extended: false }));
+      webhookApp.use('/api/twilio', twilioRoutes);
+
+      const originalAuthToken = TwilioService.authToken;
+      const sign = (path, params) =>
+        twilio.getExpectedTwilioSignature('amd-test-token', `https://calls.example.com${path}`, params);
+      const postAmd = (call, params, signature = sign(`/api/twilio/amd?callId=${call.id}`, params)) =>
+        request(webhookApp)
+          .post(`/api/twilio/amd?callId=${call.id}`)
+          .set('X-Twilio-Signature', signature)
+          .type('form')
+          .send(params);
+
+      beforeEach(() => {
+        TwilioService.authToken = 'amd-test-token';
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        TwilioService.authToken = originalAuthToken;
+      });
+
+      test('rejects callbacks without a valid Twilio signature', async () => {
+        const call = createCall({ twilioCallSid: 'CA-signed', amd: { autoDropClipId: '10' } });
+        callLogs.push(call);
+        const params = { CallSid: 'CA-signed', AnsweredBy: 'machine_end_beep' };
+
+        expect((await postAmd(call, params, 'forged')).status).toBe(403);
+        expect((await request(webhookApp).post(`/api/twilio/amd?callId=${call.id}`).type('form').send(params)).status).toBe(403);
+        // Signed for another call's URL
+        expect((await postAmd(call, params, sign('/api/twilio/amd?callId=1', params))).status).toBe(403);
+        expect(call.voicemailDrop).toBeUndefined();
+
+        callLogs.splice(callLogs.indexOf(call), 1);
+      });
+
+      test('acts only when CallSid is the stored call\'s Twilio call', async () => {
+        const call = createCall({ twilioCallSid: 'CA-signed', amd: { autoDropClipId: '10' } });
+        callLogs.push(call);
+
+        expect((await postAmd(call, { CallSid: 'CA-other', AnsweredBy: 'machine_end_beep' })).status).toBe(200);
+        expect(call.amd.answeredBy).toBeUndefined();
+        expect(TwilioService.updateCall).not.toHaveBeenCalled();
+
+        expect((await postAmd(call, { CallSid: 'CA-signed', AnsweredBy: 'machine_end_beep' })).status).toBe(200);
+        expect(call.voicemailDrop).toMatchObject({ clipId: '10', trigger: 'amd' });
+        expect(TwilioService.updateCall.mock.calls[0][0]).toBe('CA-signed');
+
+        callLogs.splice(callLogs.indexOf(call), 1);
+      });
+    });
+  });
+});
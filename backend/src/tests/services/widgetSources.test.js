@@ -0,0 +1,46 @@
+/**
+ * Widget Source Tests
+ * Widget data comes from the endpoint's service with the endpoint's parameter checks
+ */
+
+const analyticsService = require('../../services/analyticsService');
+const callAnalyticsModel = require('../../models/callAnalyticsModel');
+const widgetSourceService = require('../../services/widgetSourceService');
+
+describe('Widget sources', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('loads data from the service behind the endpoint', async () => {
+    const kpis = jest.spyOn(analyticsService, 'getKPIs').mockResolvedValue({ lead_generation: { value: 12 } });
+
+    const result = await widgetSourceService.fetchSource('/api/analytics/kpis', { start_date: '2024-01-01', end_date: '2024-03-31' });
+
+    expect(kpis).toHaveBeenCalledWith({ start: '2024-01-01', end: '2024-03-31' });
+    expect(result).toEqual({ status: 200, body: expect.objectContaining({ success: true, data: { lead_generation: { value: 12 } } }) });
+  });
+
+  test('passes filters through and picks the part of the call analytics the endpoint returns', async () => {
+    const performance = jest.spyOn(callAnalyticsModel, 'getCallPerformanceAnalytics')
+      .mockResolvedValue({ connectionAnalysis: { rate: 71 }, volumeAnalysis: { total: 40 } });
+
+    const result = await widgetSourceService.fetchSource('/api/call-analytics/connection-rates', { agent_id: 7, outcome: 'Busy' });
+
+    expect(performance).toHaveBeenCalledWith(null, { agent_id: '7' });
+    expect(result.body.data).toEqual({ rate: 71 });
+  });
+
+  test('answers invalid parameters and failed loads without throwing', async () => {
+    const invalid = await widgetSourceService.fetchSource('/api/analytics/kpis', { start_date: '2024-03-01', end_date: '2024-01-01' });
+    expect(invalid).toEqual({ status: 400, body: { success: false, error: { message: 'start_date must be before end_date', status: 400 } } });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(analyticsService, 'getKPIs').mockRejectedValue(new Error('boom'));
+    const failed = await widgetSourceService.fetchSource('/api/analytics/kpis', {});
+    expect(failed.status).toBe(500);
+    expect(failed.body.error.message).toBe('Failed to load widget data');
+
+    expect((await widgetSourceService.fetchSource('/api/leads', {})).status).toBe(400);
+  });
+});
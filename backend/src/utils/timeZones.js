@@ -0,0 +1,68 @@
+/**
+ * Wall-clock times in IANA time zones, using Intl so no time zone data has to be bundled
+ */
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(date)).reduce((fields, part) => {
+    fields[part.type] = part.value;
+    return fields;
+  }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at an instant
+const offsetAt = (time, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(time, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time happens in a time zone. A time skipped by a DST jump lands
+ * after the jump.
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second }
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Correct by the offset at the first guess, then again in case that crossed a DST change
+  const guess = wallClock - offsetAt(wallClock, timeZone);
+  return new Date(wallClock - offsetAt(guess, timeZone));
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc
+};
@@ -2,7 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 
 // Import page components
-import { MakeCalls, ManageLeads, Analytics, Settings } from './pages';
+import { MakeCalls, ManageLeads, Analytics, Dashboards, Settings, BookMeeting, SharedDashboard } from './pages';
 
 // Import Layout and ErrorBoundary
 import Layout from './components/Layout';
@@ -35,6 +35,12 @@ function App() {
               <ErrorBoundary>
                 <Router>
                   <Routes>
+                    {/* Public booking page for prospects */}
+                    <Route path="/book/:slug" element={<BookMeeting />} />
+
+                    {/* Public read-only dashboard links */}
+                    <Route path="/shared/dashboards/:token" element={<SharedDashboard />} />
+
                     {/* Protected Routes */}
                     <Route path="/" element={
                       <ProtectedRoute>
@@ -57,6 +63,13 @@ function App() {
                         </Layout>
                       </ProtectedRoute>
                     } />
+                    <Route path="/dashboards" element={
+                      <ProtectedRoute>
+                        <Layout>
+                          <Dashboards />
+                        </Layout>
+                      </ProtectedRoute>
+                    } />
                     <Route path="/settings" element={
                       <ProtectedRoute>
                         <Layout>
@@ -3,7 +3,7 @@ import { useTheme } from '../contexts/ThemeContext';
 
 /**
  * CallControls Component - Professional VOIP call control panel
- * Provides mute, hold, volume, transfer, and conference call controls
+ * Provides mute, hold, volume, transfer (blind or warm), three-way conference and voicemail drop controls
  */
 
 const CallControls = ({ 
@@ -14,18 +14,28 @@ const CallControls = ({
   onMuteToggle,
   onHoldToggle,
   onVolumeChange,
-  onTransfer,
-  onConference,
+  onTransfer, // (target, 'blind'|'attended')
+  onCompleteTransfer,
+  onCancelTransfer,
+  onConference, // (target) to dial a third party in; no target merges the consultation
+  onDropVoicemail, // (clipId) plays the clip into the call and frees the agent
+  voicemailClips = [],
   onRecord,
   isRecording = false,
   connectionQuality = 'excellent',
   callDuration = 0,
-  callState = 'idle' // Added call state for better button control
+  callState = 'idle', // Added call state for better button control
+  transferState = null, // consulting, conference
+  transferTarget = null
 }) => {
   const { themeClasses, isDarkMode } = useTheme();
   const [showVolumeSlider, setShowVolumeSlider] = useState(false);
-  const [showTransferDialog, setShowTransferDialog] = useState(false);
+  const [dialogMode, setDialogMode] = useState(null); // transfer, conference, voicemail
   const [transferNumber, setTransferNumber] = useState('');
+  const [voicemailClipId, setVoicemailClipId] = useState('');
+  const [transferType, setTransferType] = useState('blind');
+  const isConsulting = transferState === 'consulting';
+  const isConference = transferState === 'conference';
 
   // Format call duration into MM:SS
   const formatDuration = (seconds) => {
@@ -52,11 +62,36 @@ const CallControls = ({
 
   const connectionStatus = getConnectionStatus();
 
+  const closeDialog = () => {
+    setTransferNumber('');
+    setVoicemailClipId('');
+    setDialogMode(null);
+  };
+
+  const handleDropVoicemail = () => {
+    if (voicemailClipId) {
+      onDropVoicemail?.(voicemailClipId);
+      closeDialog();
+    }
+  };
+
   const handleTransfer = () => {
     if (transferNumber.trim()) {
-      onTransfer?.(transferNumber);
-      setTransferNumber('');
-      setShowTransferDialog(false);
+      if (dialogMode === 'conference') {
+        onConference?.(transferNumber.trim());
+      } else {
+        onTransfer?.(transferNumber.trim(), transferType);
+      }
+      closeDialog();
+    }
+  };
+
+  // While consulting, Conference merges the target in instead of dialing someone new
+  const handleConferenceClick = () => {
+    if (isConsulting) {
+      onConference?.();
+    } else {
+      setDialogMode('conference');
     }
   };
 
@@ -206,8 +241,8 @@ const CallControls = ({
       <div className="grid grid-cols-2 gap-1">
         {/* Transfer - Works during call or hold */}
         <button
-          onClick={() => setShowTransferDialog(true)}
-          disabled={false} // Transfer should be available during hold
+          onClick={() => setDialogMode('transfer')}
+          disabled={isConsulting || isConference}
           className={`flex items-center justify-center p-2 rounded-lg border-2 transition-all duration-200 hover:shadow-md active:scale-95 focus:outline-none focus:ring-2 focus:ring-offset-2 ${
             `${themeClasses.buttonSecondary} focus:ring-blue-500 ${
               isDarkMode ? 'hover:bg-gray-700 focus:ring-offset-gray-900' : 'hover:bg-gray-100 focus:ring-offset-white'
@@ -221,28 +256,142 @@ const CallControls = ({
 
         {/* Conference - Works during call or hold */}
         <button
-          onClick={onConference}
-          disabled={false} // Conference should be available during hold
+          onClick={handleConferenceClick}
+          disabled={isConference}
           className={`flex items-center justify-center p-2 rounded-lg border-2 transition-all duration-200 hover:shadow-md active:scale-95 focus:outline-none focus:ring-2 focus:ring-offset-2 ${
             `${themeClasses.buttonSecondary} focus:ring-blue-500 ${
               isDarkMode ? 'hover:bg-gray-700 focus:ring-offset-gray-900' : 'hover:bg-gray-100 focus:ring-offset-white'
             }`
           }`}
-          title="Start conference call"
+          title={isConsulting ? 'Merge everyone into a three-way call' : 'Add a third party to the call'}
         >
           <span className="mr-2">👥</span>
-          <span className="text-sm font-medium">Conference</span>
+          <span className="text-sm font-medium">{isConsulting ? 'Merge 3-Way' : 'Conference'}</span>
         </button>
       </div>
 
+      {/* Voicemail Drop - leave a recorded message and move on */}
+      {onDropVoicemail && (
+        <button
+          onClick={() => setDialogMode('voicemail')}
+          disabled={isConsulting || isConference || voicemailClips.length === 0}
+          className={`w-full mt-1 flex items-center justify-center p-2 rounded-lg border-2 transition-all duration-200 hover:shadow-md active:scale-95 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+            `${themeClasses.buttonSecondary} focus:ring-blue-500 ${
+              isDarkMode ? 'hover:bg-gray-700 focus:ring-offset-gray-900' : 'hover:bg-gray-100 focus:ring-offset-white'
+            }`
+          }`}
+          title={voicemailClips.length === 0 ? 'No voicemail clips in the audio library' : 'Play a recorded voicemail and hang up'}
+        >
+          <span className="mr-2">📼</span>
+          <span className="text-sm font-medium">Drop Voicemail</span>
+        </button>
+      )}
+
+      {/* Warm Transfer Controls - prospect is on hold while the agent consults */}
+      {isConsulting && (
+        <div className={`mt-3 p-3 rounded-lg border ${
+          isDarkMode ? 'bg-blue-900/30 border-blue-700' : 'bg-blue-50 border-blue-200'
+        }`}>
+          <p className={`text-xs text-center mb-2 ${isDarkMode ? 'text-blue-200' : 'text-blue-700'}`}>
+            Consulting {transferTarget || 'transfer target'} - prospect is on hold
+          </p>
+          <div className="grid grid-cols-2 gap-1">
+            <button
+              onClick={onCompleteTransfer}
+              className="p-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-green-500"
+              title="Connect the prospect to the target and leave the call"
+            >
+              ✅ Complete Transfer
+            </button>
+            <button
+              onClick={onCancelTransfer}
+              className={`p-2 rounded-lg text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500 ${themeClasses.buttonSecondary}`}
+              title="Hang up on the target and return to the prospect"
+            >
+              ↩️ Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Voicemail Clip Picker */}
+      {dialogMode === 'voicemail' && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className={`${themeClasses.cardBg} rounded-lg p-6 max-w-sm mx-4 shadow-2xl`}>
+            <h4 className={`text-lg font-semibold mb-1 ${themeClasses.textPrimary}`}>Drop Voicemail</h4>
+            <p className={`text-xs mb-4 ${themeClasses.textSecondary}`}>
+              The clip plays to the prospect and you are free for the next call
+            </p>
+            <div className="space-y-1 mb-4 max-h-60 overflow-y-auto">
+              {voicemailClips.map(clip => (
+                <button
+                  key={clip.id}
+                  onClick={() => setVoicemailClipId(clip.id)}
+                  className={`w-full flex justify-between p-2 rounded-lg border-2 text-sm text-left transition-colors ${
+                    voicemailClipId === clip.id
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : `${themeClasses.buttonSecondary}`
+                  }`}
+                >
+                  <span className="font-medium">{clip.name}</span>
+                  {clip.duration && <span className="text-xs opacity-80">{clip.duration}</span>}
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2 justify-end">
+              <button
+                onClick={closeDialog}
+                className={`px-4 py-2 ${themeClasses.textSecondary} hover:${themeClasses.textPrimary} transition-colors rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 ${
+                  isDarkMode ? 'focus:ring-offset-gray-800' : 'focus:ring-offset-white'
+                }`}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDropVoicemail}
+                disabled={!voicemailClipId}
+                className={`${themeClasses.buttonPrimary} px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 ${
+                  isDarkMode ? 'focus:ring-offset-gray-800' : 'focus:ring-offset-white'
+                }`}
+              >
+                Drop & Hang Up
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Transfer Dialog */}
-      {showTransferDialog && (
+      {dialogMode && dialogMode !== 'voicemail' && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className={`${themeClasses.cardBg} rounded-lg p-6 max-w-sm mx-4 shadow-2xl`}>
-            <h4 className={`text-lg font-semibold mb-4 ${themeClasses.textPrimary}`}>Transfer Call</h4>
+            <h4 className={`text-lg font-semibold mb-4 ${themeClasses.textPrimary}`}>
+              {dialogMode === 'conference' ? 'Add to Call' : 'Transfer Call'}
+            </h4>
+            {dialogMode === 'transfer' && (
+              <div className="grid grid-cols-2 gap-1 mb-4">
+                {[
+                  { value: 'blind', label: 'Blind', hint: 'Hand off now' },
+                  { value: 'attended', label: 'Warm', hint: 'Consult first' }
+                ].map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => setTransferType(option.value)}
+                    className={`p-2 rounded-lg border-2 text-sm transition-colors ${
+                      transferType === option.value
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : `${themeClasses.buttonSecondary}`
+                    }`}
+                  >
+                    <span className="block font-medium">{option.label}</span>
+                    <span className="block text-xs opacity-80">{option.hint}</span>
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="mb-4">
               <label className={`block text-sm font-medium ${themeClasses.textSecondary} mb-2`}>
-                Transfer to number:
+                {dialogMode === 'conference' ? 'Number to add:' : 'Transfer to number or extension:'}
               </label>
               <input
                 type="tel"
@@ -255,7 +404,7 @@ const CallControls = ({
             </div>
             <div className="flex gap-2 justify-end">
               <button
-                onClick={() => setShowTransferDialog(false)}
+                onClick={closeDialog}
                 className={`px-4 py-2 ${themeClasses.textSecondary} hover:${themeClasses.textPrimary} transition-colors rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 ${
                   isDarkMode ? 'focus:ring-offset-gray-800' : 'focus:ring-offset-white'
                 }`}
@@ -269,7 +418,7 @@ const CallControls = ({
                   isDarkMode ? 'focus:ring-offset-gray-800' : 'focus:ring-offset-white'
                 }`}
               >
-                Transfer
+                {dialogMode === 'conference' ? 'Call & Add' : transferType === 'attended' ? 'Call Target' : 'Transfer'}
               </button>
             </div>
           </div>
@@ -277,7 +426,7 @@ const CallControls = ({
       )}
 
       {/* Status Indicators */}
-      {(isMuted || isOnHold || isRecording) && (
+      {(isMuted || isOnHold || isRecording || isConference) && (
         <div className={`mt-3 pt-3 border-t ${themeClasses.border}`}>
           <div className="flex flex-wrap gap-2 justify-center">
             {isMuted && (
@@ -298,6 +447,15 @@ const CallControls = ({
                 ⏸️ On Hold - All Controls Active
               </span>
             )}
+            {isConference && (
+              <span className={`text-xs px-2 py-1 rounded-full ${
+                isDarkMode 
+                  ? 'bg-blue-900/40 text-blue-200 border border-blue-700'
+                  : 'bg-blue-100 text-blue-700'
+              }`}>
+                👥 3-Way Conference
+              </span>
+            )}
             {isRecording && (
               <span className={`text-xs px-2 py-1 rounded-full animate-pulse ${
                 isDarkMode 
@@ -0,0 +1,436 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { dashboardService } from '../services';
+import { useTheme } from '../contexts/ThemeContext';
+import { useWidgetData } from '../hooks/useWidgetData';
+import DashboardGrid from './DashboardGrid';
+import DashboardWidget from './DashboardWidget';
+import { WIDGET_TYPES, nextLayout, updateWidgetLayout } from '../utils/dashboardLayout';
+
+const EMPTY_DASHBOARD = { name: 'Untitled dashboard', description: '', visibility: 'private', teamId: '', widgets: [], filters: {} };
+
+const FORMATS = [
+  { value: '', label: 'Number' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'percent', label: 'Percent' }
+];
+
+// Widget params are edited as one key=value per line
+const paramsToText = (params = {}) => Object.entries(params).map(([key, value]) => `${key}=${value}`).join('\n');
+
+const textToParams = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.includes('='))
+  .reduce((params, line) => {
+    const index = line.indexOf('=');
+    params[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    return params;
+  }, {});
+
+const shareUrl = (token) => `${window.location.origin}/shared/dashboards/${token}`;
+
+/**
+ * WidgetEditor - Type, endpoint, params and display settings for one widget, with a live preview
+ */
+const WidgetEditor = ({ widget, sources, onSave, onCancel, themeClasses, isDarkMode, filters }) => {
+  const [draft, setDraft] = useState(widget);
+  const [paramsText, setParamsText] = useState(paramsToText(widget.source.params));
+  const [preview, setPreview] = useState({ loading: false, data: null, error: null });
+
+  const display = draft.display || {};
+  const setDisplay = (field, value) => setDraft(current => ({ ...current, display: { ...current.display, [field]: value } }));
+
+  const loadPreview = async () => {
+    setPreview({ loading: true, data: null, error: null });
+    const response = await dashboardService.getWidgetData({ ...draft.source, params: textToParams(paramsText) }, filters);
+    setPreview(response.success
+      ? { loading: false, data: response.data, error: null }
+      : { loading: false, data: null, error: response.message });
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    onSave({ ...draft, source: { ...draft.source, params: textToParams(paramsText) } });
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${themeClasses.input}`;
+  const labelClass = `block text-xs font-medium mb-1 ${themeClasses.textSecondary}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSave} className={`${themeClasses.cardBg} rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-auto`}>
+        <div className={`px-6 py-4 border-b ${themeClasses.border}`}>
+          <h2 className={`text-lg font-semibold ${themeClasses.textPrimary}`}>{widget.isNew ? 'Add widget' : 'Edit widget'}</h2>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+          <div className="space-y-4">
+            <div>
+              <label className={labelClass}>Title</label>
+              <input className={inputClass} value={draft.title} onChange={(event) => setDraft({ ...draft, title: event.target.value })} />
+            </div>
+            <div>
+              <label className={labelClass}>Widget</label>
+              <select className={inputClass} value={draft.type} onChange={(event) => setDraft({ ...draft, type: event.target.value })}>
+                {WIDGET_TYPES.map(item => <option key={item.type} value={item.type}>{item.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Endpoint</label>
+              <select
+                className={inputClass}
+                value={draft.source.endpoint}
+                onChange={(event) => setDraft({ ...draft, source: { ...draft.source, endpoint: event.target.value } })}
+              >
+                {['analytics', 'call-analytics'].map(group => (
+                  <optgroup key={group} label={group === 'analytics' ? 'Analytics' : 'Call analytics'}>
+                    {sources.filter(source => source.group === group).map(source => (
+                      <option key={source.endpoint} value={source.endpoint}>{source.endpoint}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Filters (one key=value per line, e.g. lead_source=Website)</label>
+              <textarea className={`${inputClass} font-mono`} rows={3} value={paramsText} onChange={(event) => setParamsText(event.target.value)} />
+            </div>
+            <div>
+              <label className={labelClass}>Data path in the response (e.g. summary.totalCalls or sources)</label>
+              <input className={inputClass} value={display.dataPath || ''} onChange={(event) => setDisplay('dataPath', event.target.value)} />
+            </div>
+            {draft.type !== 'kpi' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className={labelClass}>Label field</label>
+                  <input className={inputClass} value={display.labelKey || ''} placeholder="auto" onChange={(event) => setDisplay('labelKey', event.target.value)} />
+                </div>
+                <div>
+                  <label className={labelClass}>{draft.type === 'table' ? 'Columns (comma separated)' : 'Value field(s)'}</label>
+                  {draft.type === 'table' ? (
+                    <input className={inputClass} value={display.columns || ''} placeholder="auto" onChange={(event) => setDisplay('columns', event.target.value)} />
+                  ) : (
+                    <input className={inputClass} value={display.valueKey || ''} placeholder="auto" onChange={(event) => setDisplay('valueKey', event.target.value)} />
+                  )}
+                </div>
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Format</label>
+                <select className={inputClass} value={display.format || ''} onChange={(event) => setDisplay('format', event.target.value)}>
+                  {FORMATS.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+                </select>
+              </div>
+              {draft.type === 'kpi' ? (
+                <div>
+                  <label className={labelClass}>Caption</label>
+                  <input className={inputClass} value={display.caption || ''} onChange={(event) => setDisplay('caption', event.target.value)} />
+                </div>
+              ) : (
+                <div>
+                  <label className={labelClass}>Row limit</label>
+                  <input type="number" min="1" className={inputClass} value={display.limit || ''} onChange={(event) => setDisplay('limit', event.target.value)} />
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-col">
+            <div className="flex items-center justify-between mb-2">
+              <span className={labelClass}>Preview</span>
+              <button type="button" onClick={loadPreview} className="text-sm text-blue-600 hover:underline">Load preview</button>
+            </div>
+            <div className={`flex-1 min-h-[16rem] border rounded-lg p-4 overflow-auto ${themeClasses.border}`}>
+              <DashboardWidget widget={draft} {...preview} isDarkMode={isDarkMode} themeClasses={themeClasses} />
+            </div>
+            {preview.data && (
+              <details className={`mt-2 text-xs ${themeClasses.textSecondary}`}>
+                <summary className="cursor-pointer">Response data</summary>
+                <pre className="max-h-48 overflow-auto">{JSON.stringify(preview.data, null, 2)}</pre>
+              </details>
+            )}
+          </div>
+        </div>
+        <div className={`px-6 py-4 border-t flex justify-end gap-3 ${themeClasses.border}`}>
+          <button type="button" onClick={onCancel} className={`px-4 py-2 rounded-lg text-sm ${themeClasses.textSecondary}`}>Cancel</button>
+          <button type="submit" className={`px-4 py-2 rounded-lg text-sm ${themeClasses.buttonPrimary}`}>
+            {widget.isNew ? 'Add widget' : 'Apply'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * DashboardBuilder - Build dashboards from analytics widgets, arrange them by dragging and
+ * resizing, save them for yourself or your team and share read-only links
+ */
+const DashboardBuilder = () => {
+  const { isDarkMode, themeClasses } = useTheme();
+  const [dashboards, setDashboards] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [editorWidget, setEditorWidget] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadDashboards = useCallback(async (selectId) => {
+    const response = await dashboardService.getDashboards();
+    const list = response.data || [];
+    setDashboards(list);
+    setDraft(current => {
+      const selected = list.find(item => item.id === (selectId || current?.id)) || list[0];
+      return selected ? { ...selected, teamId: selected.teamId || '' } : current;
+    });
+  }, []);
+
+  useEffect(() => {
+    loadDashboards();
+    dashboardService.getSources().then(response => setSources(response.data || []));
+  }, [loadDashboards]);
+
+  const filters = draft?.filters;
+  const loadWidget = useCallback((widget) => dashboardService.getWidgetData(widget.source, filters), [filters]);
+  const { results, refresh } = useWidgetData(draft?.widgets || [], loadWidget, filters);
+
+  const change = (updates) => {
+    setDraft(current => ({ ...current, ...updates }));
+    setDirty(true);
+  };
+
+  const handleLayoutChange = useCallback((id, layout) => {
+    setDraft(current => ({ ...current, widgets: updateWidgetLayout(current.widgets, id, layout) }));
+    setDirty(true);
+  }, []);
+
+  const selectDashboard = (id) => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    const selected = dashboards.find(item => item.id === id);
+    setDraft({ ...selected, teamId: selected.teamId || '' });
+    setDirty(false);
+    setEditing(false);
+  };
+
+  const newDashboard = () => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    setDraft({ ...EMPTY_DASHBOARD, canEdit: true });
+    setDirty(true);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    const payload = {
+      name: draft.name,
+      description: draft.description,
+      visibility: draft.visibility,
+      widgets: draft.widgets,
+      filters: draft.filters
+    };
+    if (draft.visibility === 'team' && draft.teamId) payload.teamId = draft.teamId;
+
+    const response = draft.id
+      ? await dashboardService.updateDashboard(draft.id, payload)
+      : await dashboardService.createDashboard(payload);
+    setSaving(false);
+
+    if (!response.success) {
+      setMessage({ type: 'error', text: response.message });
+      return;
+    }
+    setDirty(false);
+    setMessage({ type: 'success', text: 'Dashboard saved' });
+    await loadDashboards(response.data.id);
+  };
+
+  const handleDelete = async () => {
+    if (!draft.id || !window.confirm(`Delete "${draft.name}"?`)) return;
+    const response = await dashboardService.deleteDashboard(draft.id);
+    if (!response.success) {
+      setMessage({ type: 'error', text: response.message });
+      return;
+    }
+    setDraft(null);
+    setDirty(false);
+    setEditing(false);
+    await loadDashboards();
+  };
+
+  const handleShare = async () => {
+    const response = draft.shareToken
+      ? await dashboardService.unshareDashboard(draft.id)
+      : await dashboardService.shareDashboard(draft.id);
+    if (!response.success) {
+      setMessage({ type: 'error', text: response.message });
+      return;
+    }
+    setDraft(current => ({ ...current, shareToken: response.data.shareToken, sharedAt: response.data.sharedAt }));
+    setDashboards(current => current.map(item => (item.id === draft.id ? { ...item, shareToken: response.data.shareToken } : item)));
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(draft.shareToken));
+      setMessage({ type: 'success', text: 'Link copied' });
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Copy the link from the box instead' });
+    }
+  };
+
+  const addWidget = () => {
+    const type = WIDGET_TYPES[0];
+    setEditorWidget({
+      id: `widget-${Date.now()}`,
+      isNew: true,
+      type: type.type,
+      title: 'New widget',
+      source: { endpoint: sources[0]?.endpoint || '/api/analytics/kpis', params: {} },
+      display: {},
+      layout: nextLayout(draft.widgets, type.size)
+    });
+  };
+
+  const saveWidget = (widget) => {
+    const { isNew, ...saved } = widget;
+    change({
+      widgets: isNew
+        ? [...draft.widgets, saved]
+        : draft.widgets.map(item => (item.id === saved.id ? saved : item))
+    });
+    setEditorWidget(null);
+  };
+
+  const removeWidget = (id) => change({ widgets: draft.widgets.filter(widget => widget.id !== id) });
+
+  const setFilter = (key, value) => {
+    const next = { ...draft.filters };
+    if (value) next[key] = value;
+    else delete next[key];
+    change({ filters: next });
+  };
+
+  const inputClass = `px-3 py-2 rounded-lg border text-sm ${themeClasses.input}`;
+  const buttonClass = `px-3 py-2 rounded-lg text-sm border ${themeClasses.buttonSecondary}`;
+  const canEdit = draft?.canEdit !== false;
+
+  return (
+    <div className="space-y-6">
+      <div className={`${themeClasses.cardBg} rounded-xl shadow-sm border ${themeClasses.border} p-4 space-y-4`}>
+        <div className="flex flex-wrap items-center gap-3">
+          <select className={inputClass} value={draft?.id || ''} onChange={(event) => selectDashboard(event.target.value)}>
+            {!draft?.id && <option value="">{draft ? 'Unsaved dashboard' : 'No dashboards yet'}</option>}
+            {dashboards.map(item => (
+              <option key={item.id} value={item.id}>{item.name}{item.visibility === 'team' ? ' (team)' : ''}</option>
+            ))}
+          </select>
+          <button type="button" className={buttonClass} onClick={newDashboard}>New dashboard</button>
+          {draft && (
+            <>
+              <button type="button" className={buttonClass} onClick={refresh}>Refresh</button>
+              {canEdit && (
+                <button type="button" className={buttonClass} onClick={() => setEditing(!editing)}>
+                  {editing ? 'Done editing' : 'Edit layout'}
+                </button>
+              )}
+              {canEdit && dirty && (
+                <button type="button" disabled={saving} onClick={handleSave} className={`px-3 py-2 rounded-lg text-sm ${themeClasses.buttonPrimary} disabled:opacity-50`}>
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              )}
+              {canEdit && draft.id && (
+                <button type="button" className={buttonClass} onClick={handleShare}>
+                  {draft.shareToken ? 'Disable link' : 'Share read-only link'}
+                </button>
+              )}
+              {canEdit && draft.id && (
+                <button type="button" className="px-3 py-2 rounded-lg text-sm text-red-600 hover:underline" onClick={handleDelete}>Delete</button>
+              )}
+            </>
+          )}
+        </div>
+
+        {draft && editing && (
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className={`block text-xs mb-1 ${themeClasses.textSecondary}`}>Name</label>
+              <input className={inputClass} value={draft.name} onChange={(event) => change({ name: event.target.value })} />
+            </div>
+            <div>
+              <label className={`block text-xs mb-1 ${themeClasses.textSecondary}`}>Visible to</label>
+              <select className={inputClass} value={draft.visibility} onChange={(event) => change({ visibility: event.target.value })}>
+                <option value="private">Only me</option>
+                <option value="team">My team</option>
+              </select>
+            </div>
+            {draft.visibility === 'team' && (
+              <div>
+                <label className={`block text-xs mb-1 ${themeClasses.textSecondary}`}>Team ID</label>
+                <input className={inputClass} value={draft.teamId} placeholder="Your team, if you are on one" onChange={(event) => change({ teamId: event.target.value })} />
+              </div>
+            )}
+            <div>
+              <label className={`block text-xs mb-1 ${themeClasses.textSecondary}`}>From</label>
+              <input type="date" className={inputClass} value={draft.filters.start_date || ''} onChange={(event) => setFilter('start_date', event.target.value)} />
+            </div>
+            <div>
+              <label className={`block text-xs mb-1 ${themeClasses.textSecondary}`}>To</label>
+              <input type="date" className={inputClass} value={draft.filters.end_date || ''} onChange={(event) => setFilter('end_date', event.target.value)} />
+            </div>
+            <button type="button" onClick={addWidget} className="px-3 py-2 rounded-lg text-sm bg-green-600 text-white hover:bg-green-700">Add widget</button>
+          </div>
+        )}
+
+        {draft?.shareToken && (
+          <div className="flex items-center gap-3">
+            <input readOnly className={`${inputClass} flex-1`} value={shareUrl(draft.shareToken)} onFocus={(event) => event.target.select()} />
+            <button type="button" className={buttonClass} onClick={copyShareLink}>Copy link</button>
+          </div>
+        )}
+
+        {message && (
+          <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message.text}</p>
+        )}
+      </div>
+
+      {draft && draft.widgets.length === 0 && (
+        <div className={`text-center py-16 ${themeClasses.textSecondary}`}>
+          {canEdit ? 'Choose "Edit layout" and "Add widget" to start building this dashboard.' : 'This dashboard has no widgets yet.'}
+        </div>
+      )}
+
+      {draft && draft.widgets.length > 0 && (
+        <DashboardGrid
+          widgets={draft.widgets}
+          editable={editing}
+          onLayoutChange={handleLayoutChange}
+          renderWidget={(widget) => (
+            <DashboardWidget widget={widget} {...(results[widget.id] || { loading: true })} isDarkMode={isDarkMode} themeClasses={themeClasses} />
+          )}
+          renderActions={editing ? (widget) => (
+            <>
+              <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => setEditorWidget(widget)}>Edit</button>
+              <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => removeWidget(widget.id)}>Remove</button>
+            </>
+          ) : null}
+        />
+      )}
+
+      {editorWidget && (
+        <WidgetEditor
+          widget={editorWidget}
+          sources={sources}
+          filters={draft.filters}
+          onSave={saveWidget}
+          onCancel={() => setEditorWidget(null)}
+          themeClasses={themeClasses}
+          isDarkMode={isDarkMode}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DashboardBuilder;
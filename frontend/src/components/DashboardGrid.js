@@ -0,0 +1,116 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { GRID_COLUMNS, ROW_HEIGHT, updateWidgetLayout } from '../utils/dashboardLayout';
+
+const GAP = 16;
+
+/**
+ * DashboardGrid - Widgets on a 12-column grid. When editable, drag a widget by its title bar
+ * and resize it from the corner; the arrow keys on a focused title bar move it, and with
+ * Shift held resize it. Other widgets move down out of the way while dragging.
+ */
+const DashboardGrid = ({ widgets, editable = false, onLayoutChange, renderWidget, renderActions }) => {
+  const { themeClasses } = useTheme();
+  const containerRef = useRef(null);
+  const [interaction, setInteraction] = useState(null);
+
+  // Pointer moves in whole grid cells from where the drag started
+  useEffect(() => {
+    if (!interaction) return undefined;
+
+    const cellWidth = (containerRef.current.clientWidth + GAP) / GRID_COLUMNS;
+    const cellHeight = ROW_HEIGHT + GAP;
+
+    const handleMove = (event) => {
+      const columns = Math.round((event.clientX - interaction.pointerX) / cellWidth);
+      const rows = Math.round((event.clientY - interaction.pointerY) / cellHeight);
+      const start = interaction.start;
+      const layout = interaction.mode === 'move'
+        ? { ...start, x: start.x + columns, y: start.y + rows }
+        : { ...start, w: start.w + columns, h: start.h + rows };
+      setInteraction(current => ({ ...current, layout }));
+    };
+    const handleUp = () => {
+      if (interaction.layout) onLayoutChange(interaction.id, interaction.layout);
+      setInteraction(null);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [interaction, onLayoutChange]);
+
+  const startInteraction = (event, widget, mode) => {
+    if (!editable || event.button !== 0) return;
+    event.preventDefault();
+    setInteraction({ id: widget.id, mode, start: widget.layout, pointerX: event.clientX, pointerY: event.clientY, layout: null });
+  };
+
+  const handleKeyDown = (event, widget) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!editable || !moves[event.key]) return;
+    event.preventDefault();
+    const [dx, dy] = moves[event.key];
+    const { layout } = widget;
+    onLayoutChange(widget.id, event.shiftKey
+      ? { ...layout, w: layout.w + dx, h: layout.h + dy }
+      : { ...layout, x: layout.x + dx, y: layout.y + dy });
+  };
+
+  const placed = interaction?.layout ? updateWidgetLayout(widgets, interaction.id, interaction.layout) : widgets;
+
+  return (
+    <div
+      ref={containerRef}
+      className="grid select-none"
+      style={{ gridTemplateColumns: `repeat(${GRID_COLUMNS}, minmax(0, 1fr))`, gridAutoRows: `${ROW_HEIGHT}px`, gap: `${GAP}px` }}
+    >
+      {placed.map(widget => {
+        const { x, y, w, h } = widget.layout;
+        const active = interaction?.id === widget.id;
+        return (
+          <div
+            key={widget.id}
+            className={`${themeClasses.cardBg} rounded-xl shadow-sm border ${active ? 'border-blue-500 ring-2 ring-blue-200' : themeClasses.border} flex flex-col overflow-hidden relative`}
+            style={{ gridColumn: `${x + 1} / span ${w}`, gridRow: `${y + 1} / span ${h}` }}
+          >
+            <div
+              className={`flex items-center justify-between px-4 py-2 border-b ${themeClasses.border} ${editable ? 'cursor-move' : ''}`}
+              onPointerDown={(event) => startInteraction(event, widget, 'move')}
+              onKeyDown={(event) => handleKeyDown(event, widget)}
+              tabIndex={editable ? 0 : undefined}
+              role={editable ? 'button' : undefined}
+              aria-label={editable ? `Move ${widget.title}; arrow keys move, Shift and arrow keys resize` : undefined}
+            >
+              <h3 className={`text-sm font-semibold truncate ${themeClasses.textPrimary}`}>{widget.title}</h3>
+              {renderActions && (
+                <div className="flex gap-2" onPointerDown={(event) => event.stopPropagation()}>
+                  {renderActions(widget)}
+                </div>
+              )}
+            </div>
+            <div className="flex-1 p-4 overflow-auto">
+              {renderWidget(widget)}
+            </div>
+            {editable && (
+              <div
+                className="absolute bottom-0 right-0 w-4 h-4 cursor-se-resize"
+                onPointerDown={(event) => startInteraction(event, widget, 'resize')}
+                aria-hidden="true"
+              >
+                <svg viewBox="0 0 16 16" className="w-4 h-4 text-gray-400">
+                  <path d="M14 6v8H6" fill="none" stroke="currentColor" strokeWidth="2" />
+                </svg>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DashboardGrid;
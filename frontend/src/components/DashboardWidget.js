@@ -0,0 +1,202 @@
+import React from 'react';
+import { getPath, toRows, guessKey, formatValue } from '../utils/dashboardLayout';
+
+const SERIES_COLORS = ['#3b82f6', '#10b981', '#f97316', '#8b5cf6', '#ef4444', '#6b7280'];
+
+/**
+ * Rows, label key and value keys for a chart or table from the widget's display settings,
+ * guessing the keys when they aren't set
+ */
+const readRows = (data, display) => {
+  const rows = toRows(getPath(data, display.dataPath));
+  const limited = display.limit ? rows.slice(0, Number(display.limit)) : rows;
+  const labelKey = display.labelKey || guessKey(rows, 'label');
+  const valueKeys = display.valueKey
+    ? String(display.valueKey).split(',').map(key => key.trim()).filter(Boolean)
+    : [guessKey(rows, 'value')];
+  return { rows: limited, labelKey, valueKeys };
+};
+
+const numberAt = (row, key) => Number(getPath(row, key)) || 0;
+
+const KpiTile = ({ data, display, themeClasses }) => {
+  const value = getPath(data, display.dataPath);
+  return (
+    <div className="h-full flex flex-col justify-center">
+      <p className={`text-3xl font-bold ${themeClasses.textPrimary}`}>{formatValue(value, display.format)}</p>
+      {display.caption && <p className={`text-sm mt-1 ${themeClasses.textSecondary}`}>{display.caption}</p>}
+    </div>
+  );
+};
+
+/**
+ * LineChart / BarChart - One series per value key, labels along the bottom
+ */
+const SeriesChart = ({ data, display, kind, isDarkMode }) => {
+  const { rows, labelKey, valueKeys } = readRows(data, display);
+  const width = 480;
+  const height = 220;
+  const padding = 32;
+  const max = Math.max(1, ...rows.flatMap(row => valueKeys.map(key => numberAt(row, key))));
+  const step = (width - padding * 2) / Math.max(rows.length - (kind === 'line' ? 1 : 0), 1);
+  const x = (index) => padding + index * step + (kind === 'bar' ? step / 2 : 0);
+  const y = (value) => height - padding - (value / max) * (height - padding * 2);
+  const axisColor = isDarkMode ? '#4b5563' : '#d1d5db';
+  const labelColor = isDarkMode ? '#9ca3af' : '#6b7280';
+  const labelEvery = Math.ceil(rows.length / 8);
+  const barWidth = Math.max(2, (step * 0.8) / valueKeys.length);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-full" preserveAspectRatio="none">
+      <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke={axisColor} />
+      <line x1={padding} y1={padding} x2={padding} y2={height - padding} stroke={axisColor} />
+      <text x={padding - 4} y={padding + 4} textAnchor="end" fontSize="10" fill={labelColor}>{formatValue(max, display.format)}</text>
+      <text x={padding - 4} y={height - padding} textAnchor="end" fontSize="10" fill={labelColor}>0</text>
+      {rows.map((row, index) => (index % labelEvery === 0 ? (
+        <text key={index} x={x(index)} y={height - padding + 14} textAnchor="middle" fontSize="10" fill={labelColor}>
+          {String(getPath(row, labelKey) ?? '').slice(0, 10)}
+        </text>
+      ) : null))}
+      {kind === 'line' && valueKeys.map((key, series) => (
+        <polyline
+          key={key}
+          fill="none"
+          stroke={SERIES_COLORS[series % SERIES_COLORS.length]}
+          strokeWidth="2"
+          points={rows.map((row, index) => `${x(index)},${y(numberAt(row, key))}`).join(' ')}
+        />
+      ))}
+      {kind === 'bar' && rows.map((row, index) => valueKeys.map((key, series) => (
+        <rect
+          key={`${index}-${key}`}
+          x={x(index) - (barWidth * valueKeys.length) / 2 + series * barWidth}
+          y={y(numberAt(row, key))}
+          width={barWidth}
+          height={height - padding - y(numberAt(row, key))}
+          fill={SERIES_COLORS[series % SERIES_COLORS.length]}
+        >
+          <title>{`${getPath(row, labelKey)} ${key}: ${formatValue(numberAt(row, key), display.format)}`}</title>
+        </rect>
+      )))}
+    </svg>
+  );
+};
+
+/**
+ * FunnelChart - Centred bars narrowing with each stage, with the share of the first stage
+ */
+const FunnelChart = ({ data, display, themeClasses }) => {
+  const { rows, labelKey, valueKeys } = readRows(data, display);
+  const first = numberAt(rows[0], valueKeys[0]) || 1;
+  const max = Math.max(1, ...rows.map(row => numberAt(row, valueKeys[0])));
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row, index) => {
+        const value = numberAt(row, valueKeys[0]);
+        return (
+          <div key={index}>
+            <div className={`flex justify-between text-xs ${themeClasses.textSecondary}`}>
+              <span>{String(getPath(row, labelKey) ?? '')}</span>
+              <span>{formatValue(value, display.format)} · {((value / first) * 100).toFixed(0)}%</span>
+            </div>
+            <div className="flex justify-center">
+              <div className="h-4 rounded bg-blue-500" style={{ width: `${Math.max(2, (value / max) * 100)}%`, opacity: 1 - index * 0.08 }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const DataTable = ({ data, display, themeClasses }) => {
+  const { rows } = readRows(data, display);
+  const columns = display.columns
+    ? String(display.columns).split(',').map(column => column.trim()).filter(Boolean)
+    : Object.keys(rows[0] || {}).slice(0, 6);
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className={`text-left ${themeClasses.textSecondary}`}>
+          {columns.map(column => <th key={column} className="py-1 pr-3 font-medium">{column}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index} className={`border-t ${themeClasses.border} ${themeClasses.textPrimary}`}>
+            {columns.map(column => (
+              <td key={column} className="py-1 pr-3">{formatValue(getPath(row, column), typeof getPath(row, column) === 'number' ? display.format : undefined)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Leaderboard - Rows ranked by the value key, highest first
+ */
+const Leaderboard = ({ data, display, themeClasses }) => {
+  const { labelKey, valueKeys } = readRows(data, { ...display, limit: undefined });
+  const ranked = toRows(getPath(data, display.dataPath))
+    .sort((a, b) => numberAt(b, valueKeys[0]) - numberAt(a, valueKeys[0]))
+    .slice(0, Number(display.limit) || 10);
+  const top = numberAt(ranked[0], valueKeys[0]) || 1;
+
+  return (
+    <ol className="space-y-2">
+      {ranked.map((row, index) => (
+        <li key={index} className="flex items-center gap-3">
+          <span className={`w-6 text-right text-sm font-semibold ${index < 3 ? 'text-yellow-500' : themeClasses.textSecondary}`}>{index + 1}</span>
+          <div className="flex-1">
+            <div className={`flex justify-between text-sm ${themeClasses.textPrimary}`}>
+              <span>{String(getPath(row, labelKey) ?? '')}</span>
+              <span className="font-medium">{formatValue(numberAt(row, valueKeys[0]), display.format)}</span>
+            </div>
+            <div className="h-1.5 mt-1 rounded bg-gray-200 dark:bg-gray-700">
+              <div className="h-1.5 rounded bg-green-500" style={{ width: `${(numberAt(row, valueKeys[0]) / top) * 100}%` }} />
+            </div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+/**
+ * DashboardWidget - Renders one widget's endpoint data as a KPI tile, chart, table or leaderboard
+ */
+const DashboardWidget = ({ widget, data, loading, error, isDarkMode, themeClasses }) => {
+  const display = widget.display || {};
+
+  if (loading) {
+    return <div className={`h-full flex items-center justify-center text-sm ${themeClasses.textSecondary}`}>Loading...</div>;
+  }
+  if (error) {
+    return <div className="h-full flex items-center justify-center text-sm text-red-600">{error}</div>;
+  }
+  if (data === null || data === undefined) {
+    return <div className={`h-full flex items-center justify-center text-sm ${themeClasses.textSecondary}`}>No data</div>;
+  }
+
+  switch (widget.type) {
+    case 'kpi':
+      return <KpiTile data={data} display={display} themeClasses={themeClasses} />;
+    case 'line':
+    case 'bar':
+      return <SeriesChart data={data} display={display} kind={widget.type} isDarkMode={isDarkMode} />;
+    case 'funnel':
+      return <FunnelChart data={data} display={display} themeClasses={themeClasses} />;
+    case 'table':
+      return <DataTable data={data} display={display} themeClasses={themeClasses} />;
+    case 'leaderboard':
+      return <Leaderboard data={data} display={display} themeClasses={themeClasses} />;
+    default:
+      return null;
+  }
+};
+
+export default DashboardWidget;
@@ -16,6 +16,7 @@ const DialPad = () => {
   const [isCalling, setIsCalling] = useState(false);
   const [callStartTime, setCallStartTime] = useState(null);
   const [callSessionId, setCallSessionId] = useState(null);
+  const [callLogId, setCallLogId] = useState(null); // Server call log; transfers record their legs on it
   const [callState, setCallState] = useState('idle'); // idle, connecting, ringing, active, hold, ended
   const [leadData, setLeadData] = useState(null);
   
@@ -27,6 +28,10 @@ const DialPad = () => {
   const [showDTMFKeypad, setShowDTMFKeypad] = useState(false);
   const [connectionQuality, setConnectionQuality] = useState('excellent');
   const [sipRegistered, setSipRegistered] = useState(true); // Demo: always registered
+  const [transferState, setTransferState] = useState(null); // consulting, conference
+  const [transferTarget, setTransferTarget] = useState(null);
+  const [voicemailClips, setVoicemailClips] = useState([]);
+  const [autoDropClipId, setAutoDropClipId] = useState(''); // Dropped after the beep when a machine answers
   
   // API Integration State
   const [isLogging, setIsLogging] = useState(false);
@@ -61,6 +66,13 @@ const DialPad = () => {
     }
   }, [location.state]);
 
+  // Load the voicemail clips agents can drop
+  useEffect(() => {
+    callsService.getVoicemailClips().then(response => {
+      if (response.success) setVoicemailClips(response.data);
+    });
+  }, []);
+
   // This function runs when someone clicks a number button
   const handleNumberClick = (number) => {
     // Handle special case for + key - only allow at the beginning
@@ -98,6 +110,10 @@ const DialPad = () => {
       const callSessionData = {
         phoneNumber: phoneNumber,
         timestamp: startTime.toISOString(),
+        ...(autoDropClipId && {
+          detectVoicemail: true,
+          voicemailClipId: autoDropClipId
+        }),
         ...(leadData && {
           leadId: leadData.id,
           leadName: leadData.name,
@@ -111,6 +127,7 @@ const DialPad = () => {
       
       if (sessionResponse.success) {
         setCallSessionId(sessionResponse.data.sessionId);
+        setCallLogId(sessionResponse.data.call?.id || null);
         console.log('✅ Call session started:', sessionResponse.data.sessionId);
       } else {
         console.warn('⚠️ Call session tracking failed, continuing without tracking');
@@ -176,17 +193,79 @@ const DialPad = () => {
     console.log(`🔴 Recording ${!isRecording ? 'started' : 'stopped'}`);
   };
 
-  const handleTransfer = (transferNumber) => {
-    console.log(`📞 Transferring call to: ${transferNumber}`);
-    // Simulate call transfer
-    setError('Call transfer feature coming soon');
+  // Transfers, conferences and voicemail drops move the server-side (Twilio) legs and record them on the call log
+  const requireCallLog = (action = 'transferred') => {
+    if (callLogId) return true;
+    setError(`This call is not tracked by the server, so it cannot be ${action}`);
     setTimeout(() => setError(null), 3000);
+    return false;
+  };
+
+  const handleTransfer = async (transferNumber, type = 'blind') => {
+    if (!requireCallLog()) return;
+    console.log(`📞 ${type === 'attended' ? 'Consulting' : 'Transferring call to'}: ${transferNumber}`);
+
+    const response = await callsService.transferCall(callLogId, { target: transferNumber, type });
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+
+    if (type === 'attended') {
+      setTransferState('consulting');
+      setTransferTarget(transferNumber);
+      setIsOnHold(true);
+    } else {
+      handleHangUp('Transferred', `Blind transfer to ${transferNumber}`);
+    }
+  };
+
+  const handleCompleteTransfer = async () => {
+    const response = await callsService.completeTransfer(callLogId);
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+    handleHangUp('Transferred', `Warm transfer to ${transferTarget}`);
   };
 
-  const handleConference = () => {
+  const handleCancelTransfer = async () => {
+    const response = await callsService.cancelTransfer(callLogId);
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+    setTransferState(null);
+    setTransferTarget(null);
+    setIsOnHold(false);
+  };
+
+  const handleConference = async (participantNumber) => {
+    if (!requireCallLog()) return;
     console.log('👥 Starting conference call');
-    setError('Conference call feature coming soon');
-    setTimeout(() => setError(null), 3000);
+
+    const response = await callsService.startConference(
+      callLogId,
+      participantNumber ? { target: participantNumber } : {}
+    );
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+    setTransferState('conference');
+    setIsOnHold(false);
+  };
+
+  const handleDropVoicemail = async (clipId) => {
+    if (!requireCallLog('dropped to voicemail')) return;
+    console.log(`📼 Dropping voicemail clip: ${clipId}`);
+
+    const response = await callsService.dropVoicemail(callLogId, clipId);
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+    handleHangUp('Voicemail', `Dropped voicemail: ${response.data.clip.name}`);
   };
 
   const handleDTMFKeyPress = (key) => {
@@ -255,6 +334,9 @@ const DialPad = () => {
       setIsCalling(false);
       setCallStartTime(null);
       setCallSessionId(null);
+      setCallLogId(null);
+      setTransferState(null);
+      setTransferTarget(null);
       setIsLogging(false);
       setCallState('idle');
       setIsMuted(false);
@@ -433,6 +515,24 @@ const DialPad = () => {
         ))}
       </div>
 
+      {/* Answering-machine detection - drop a clip after the beep without the agent */}
+      {!isCalling && voicemailClips.length > 0 && (
+        <div className="mb-3 flex items-center gap-2 text-sm text-gray-600">
+          <label htmlFor="auto-drop-clip" className="whitespace-nowrap">📼 Auto-drop on machine:</label>
+          <select
+            id="auto-drop-clip"
+            value={autoDropClipId}
+            onChange={(e) => setAutoDropClipId(e.target.value)}
+            className="input-field flex-1 text-sm py-1"
+          >
+            <option value="">Off</option>
+            {voicemailClips.map(clip => (
+              <option key={clip.id} value={clip.id}>{clip.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Call/Hang up buttons */}
       <div className="space-y-3">
         {!isCalling ? (
@@ -593,11 +693,17 @@ const DialPad = () => {
         onHoldToggle={handleHoldToggle}
         onVolumeChange={handleVolumeChange}
         onTransfer={handleTransfer}
+        onCompleteTransfer={handleCompleteTransfer}
+        onCancelTransfer={handleCancelTransfer}
         onConference={handleConference}
+        onDropVoicemail={handleDropVoicemail}
+        voicemailClips={voicemailClips}
         onRecord={handleRecord}
         isRecording={isRecording}
         connectionQuality={connectionQuality}
         callDuration={callStartTime ? Math.floor((new Date() - callStartTime) / 1000) : 0}
+        transferState={transferState}
+        transferTarget={transferTarget}
       />
 
       {/* DTMF Keypad Overlay */}
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { inboundService } from '../services';
+import LeadDetailModal from './LeadDetailModal';
+
+/**
+ * InboundScreenPop Component - Opens the caller's lead when an inbound call rings
+ * Matched callers open in LeadDetailModal on their recent calls; unknown callers
+ * get a quick-create form. Pass a caller already looked up, or just the phone number.
+ */
+
+const EMPTY_FORM = { firstName: '', lastName: '', company: '', email: '', phone: '' };
+
+// LeadDetailModal reads the legacy lead shape; inbound matches come from the Lead table
+const toModalLead = (lead) => ({
+  ...lead,
+  lead_source: lead.leadSource,
+  company_size: lead.companySize,
+  address: {
+    street: lead.addressStreet,
+    city: lead.addressCity,
+    state: lead.addressState,
+    zip: lead.addressZip,
+    country: lead.addressCountry
+  }
+});
+
+const InboundScreenPop = ({ phoneNumber, caller: callerProp = null, isOpen, onClose }) => {
+  const { isDarkMode, themeClasses } = useTheme();
+  const [caller, setCaller] = useState(callerProp);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setError(null);
+    setForm({ ...EMPTY_FORM, phone: callerProp?.phoneNumber || phoneNumber || '' });
+    if (callerProp) {
+      setCaller(callerProp);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setCaller(null);
+    if (phoneNumber) {
+      inboundService.lookupCaller(phoneNumber).then(response => {
+        if (!cancelled && response.success) setCaller(response.data);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [isOpen, phoneNumber, callerProp]);
+
+  if (!isOpen || !caller) return null;
+
+  if (caller.lead) {
+    return (
+      <LeadDetailModal
+        lead={toModalLead(caller.lead)}
+        recentCalls={caller.recentCalls || []}
+        initialTab="calls"
+        isOpen={isOpen}
+        onClose={onClose}
+        readOnly
+      />
+    );
+  }
+
+  const handleChange = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    const response = await inboundService.quickCreateLead(form);
+    setIsSaving(false);
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+
+    const lead = response.data;
+    setCaller({ ...caller, lead: { ...lead, name: `${lead.firstName} ${lead.lastName}` }, recentCalls: [] });
+  };
+
+  const inputClass = `w-full px-3 py-2 border rounded-md ${themeClasses.cardBg} ${themeClasses.textPrimary} ${
+    isDarkMode ? 'border-gray-600' : 'border-gray-300'
+  } focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500`;
+
+  const fields = [
+    { id: 'firstName', label: 'First Name', type: 'text' },
+    { id: 'lastName', label: 'Last Name', type: 'text' },
+    { id: 'company', label: 'Company', type: 'text' },
+    { id: 'email', label: 'Email', type: 'email' },
+    { id: 'phone', label: 'Phone', type: 'tel' }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form
+        onSubmit={handleCreate}
+        className={`${themeClasses.cardBg} rounded-lg shadow-2xl w-full max-w-md border ${themeClasses.border}`}
+      >
+        <div className={`${isDarkMode ? 'bg-blue-700' : 'bg-blue-600'} text-white p-4 rounded-t-lg flex justify-between items-center`}>
+          <div>
+            <h2 className="text-lg font-bold">📲 Unknown Caller</h2>
+            <p className={`${isDarkMode ? 'text-blue-200' : 'text-blue-100'} text-sm`}>
+              {caller.phoneNumber || phoneNumber} is not on any lead
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="text-white text-2xl font-bold">×</button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          {error && (
+            <div className={`p-3 border rounded-md text-sm ${
+              isDarkMode ? 'bg-red-900/30 border-red-700 text-red-300' : 'bg-red-50 border-red-200 text-red-800'
+            }`}>
+              {error}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            {fields.map(field => (
+              <div key={field.id} className={field.id === 'email' || field.id === 'phone' ? 'col-span-2' : ''}>
+                <label className={`block text-sm font-medium ${themeClasses.textSecondary} mb-1`}>
+                  {field.label} *
+                </label>
+                <input
+                  type={field.type}
+                  value={form[field.id]}
+                  onChange={(e) => handleChange(field.id, e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className={`border-t ${themeClasses.border} p-4 flex justify-end space-x-3`}>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Skip
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving ? 'Creating...' : 'Create Lead'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default InboundScreenPop;
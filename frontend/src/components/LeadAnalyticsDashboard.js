@@ -1,7 +1,58 @@
 import React, { useState, useEffect } from 'react';
-import { leadsService } from '../services';
+import { leadsService, analyticsService } from '../services';
 import { useTheme } from '../contexts/ThemeContext';
 
+const CURVE_COLORS = ['#3b82f6', '#10b981', '#f97316', '#8b5cf6', '#ef4444', '#6b7280'];
+
+const ATTRIBUTION_MODELS = [
+  { key: 'first_touch', label: 'First touch' },
+  { key: 'last_touch', label: 'Last touch' },
+  { key: 'linear', label: 'Linear' },
+  { key: 'time_decay', label: 'Time decay' }
+];
+
+const formatStatus = (status) => (status || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * ConversionCurveChart - Cumulative conversion rate by week since creation, one line per source
+ */
+const ConversionCurveChart = ({ sources, maxWeeks, isDarkMode }) => {
+  const width = 480;
+  const height = 200;
+  const padding = 32;
+  const maxRate = Math.max(10, ...sources.flatMap(source => source.curve.map(point => point.rate)));
+  const x = (week) => padding + (week / Math.max(maxWeeks - 1, 1)) * (width - padding * 2);
+  const y = (rate) => height - padding - (rate / maxRate) * (height - padding * 2);
+  const axisColor = isDarkMode ? '#4b5563' : '#d1d5db';
+  const labelColor = isDarkMode ? '#9ca3af' : '#6b7280';
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-52">
+      <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke={axisColor} />
+      <line x1={padding} y1={padding} x2={padding} y2={height - padding} stroke={axisColor} />
+      <text x={padding - 4} y={padding + 4} textAnchor="end" fontSize="10" fill={labelColor}>{maxRate.toFixed(0)}%</text>
+      <text x={padding - 4} y={height - padding} textAnchor="end" fontSize="10" fill={labelColor}>0%</text>
+      {Array.from({ length: maxWeeks }, (_, week) => (
+        <text key={week} x={x(week)} y={height - padding + 14} textAnchor="middle" fontSize="10" fill={labelColor}>
+          W{week}
+        </text>
+      ))}
+      {sources.map((source, index) => (
+        <polyline
+          key={source.source}
+          fill="none"
+          stroke={CURVE_COLORS[index % CURVE_COLORS.length]}
+          strokeWidth="2"
+          points={source.curve.map(point => `${x(point.week)},${y(point.rate)}`).join(' ')}
+        />
+      ))}
+    </svg>
+  );
+};
+
 /**
  * LeadAnalyticsDashboard - Comprehensive analytics and insights
  * Features: Funnel visualization, source attribution, performance metrics, real-time feed
@@ -35,6 +86,29 @@ const LeadAnalyticsDashboard = () => {
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState('30'); // days
   const [refreshInterval, setRefreshInterval] = useState(null);
+  const [cohorts, setCohorts] = useState({ cohorts: [], sources: [], maxWeeks: 8 });
+  const [attribution, setAttribution] = useState({ channels: [], conversions: 0, averageTouches: 0 });
+  const [journeys, setJourneys] = useState({ paths: [], finalSteps: [], wonLeads: 0, averageDaysToWin: 0 });
+  const [attributionModel, setAttributionModel] = useState('linear');
+
+  // Cohort, attribution and journey analytics are computed server-side and skip the 30s auto-refresh
+  const loadAdvancedAnalytics = async () => {
+    const today = new Date();
+    const params = {
+      start_date: new Date(today.getTime() - (parseInt(dateRange) * 24 * 60 * 60 * 1000)).toISOString().split('T')[0],
+      end_date: today.toISOString().split('T')[0]
+    };
+
+    const [cohortResponse, attributionResponse, journeyResponse] = await Promise.all([
+      analyticsService.getCohorts({ ...params, max_weeks: 8 }),
+      analyticsService.getAttribution(params),
+      analyticsService.getJourneys({ ...params, limit: 5 })
+    ]);
+
+    if (cohortResponse.success) setCohorts(cohortResponse.data);
+    if (attributionResponse.success) setAttribution(attributionResponse.data);
+    if (journeyResponse.success) setJourneys(journeyResponse.data);
+  };
 
   // Load analytics data
   const loadAnalytics = async () => {
@@ -200,6 +274,7 @@ const LeadAnalyticsDashboard = () => {
   // Initial load
   useEffect(() => {
     loadAnalytics();
+    loadAdvancedAnalytics();
   }, [dateRange]);
 
   // Auto-refresh setup
@@ -316,7 +391,10 @@ const LeadAnalyticsDashboard = () => {
             <option value="365">Last year</option>
           </select>
           <button
-            onClick={loadAnalytics}
+            onClick={() => {
+              loadAnalytics();
+              loadAdvancedAnalytics();
+            }}
             className={`px-4 py-2 ${themeClasses.buttonPrimary} rounded-lg`}
           >
             🔄 Refresh
@@ -535,6 +613,171 @@ const LeadAnalyticsDashboard = () => {
           </div>
         </div>
       </div>
+
+      {/* Cohorts */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className={`${themeClasses.cardBg} p-6 rounded-lg shadow-sm ${themeClasses.border} border`}>
+          <h3 className={`text-lg font-semibold ${themeClasses.textPrimary} mb-1`}>Conversion Curves by Source</h3>
+          <p className={`text-xs ${themeClasses.textMuted} mb-4`}>Cumulative win rate by week since the lead was created</p>
+          {cohorts.sources.length === 0 ? (
+            <p className={`text-sm ${themeClasses.textSecondary}`}>No leads in this period</p>
+          ) : (
+            <>
+              <ConversionCurveChart
+                sources={cohorts.sources.slice(0, CURVE_COLORS.length)}
+                maxWeeks={cohorts.maxWeeks}
+                isDarkMode={isDarkMode}
+              />
+              <div className="flex flex-wrap gap-4 mt-2">
+                {cohorts.sources.slice(0, CURVE_COLORS.length).map((source, index) => (
+                  <div key={source.source} className="flex items-center text-xs">
+                    <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: CURVE_COLORS[index] }}></span>
+                    <span className={themeClasses.textSecondary}>
+                      {source.source} ({source.converted}/{source.size})
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className={`${themeClasses.cardBg} p-6 rounded-lg shadow-sm ${themeClasses.border} border`}>
+          <h3 className={`text-lg font-semibold ${themeClasses.textPrimary} mb-1`}>Weekly Cohorts</h3>
+          <p className={`text-xs ${themeClasses.textMuted} mb-4`}>Cumulative win rate per creation week and source</p>
+          <div className="overflow-x-auto max-h-72 overflow-y-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className={themeClasses.textMuted}>
+                  <th className="text-left py-1 pr-3">Week of</th>
+                  <th className="text-left py-1 pr-3">Source</th>
+                  <th className="text-right py-1 pr-3">Leads</th>
+                  {Array.from({ length: cohorts.maxWeeks }, (_, week) => (
+                    <th key={week} className="text-center py-1 px-1">W{week}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {cohorts.cohorts.map(cohort => (
+                  <tr key={`${cohort.cohort}-${cohort.source}`} className={themeClasses.textSecondary}>
+                    <td className="py-1 pr-3 whitespace-nowrap">{cohort.cohort}</td>
+                    <td className="py-1 pr-3 whitespace-nowrap">{cohort.source}</td>
+                    <td className="py-1 pr-3 text-right">{cohort.size}</td>
+                    {Array.from({ length: cohorts.maxWeeks }, (_, week) => {
+                      const point = cohort.curve[week];
+                      return (
+                        <td key={week} className="py-1 px-1 text-center">
+                          {point ? (
+                            <span
+                              className={`inline-block w-10 rounded ${themeClasses.textPrimary}`}
+                              style={{ backgroundColor: `rgba(16, 185, 129, ${Math.min(point.rate / 100, 1) * 0.8 + 0.05})` }}
+                            >
+                              {point.rate.toFixed(0)}%
+                            </span>
+                          ) : null}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Attribution and Journeys */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className={`${themeClasses.cardBg} p-6 rounded-lg shadow-sm ${themeClasses.border} border`}>
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className={`text-lg font-semibold ${themeClasses.textPrimary}`}>Attribution</h3>
+              <p className={`text-xs ${themeClasses.textMuted}`}>
+                {attribution.conversions} wins · {attribution.averageTouches} touches per win
+              </p>
+            </div>
+            <select
+              value={attributionModel}
+              onChange={(e) => setAttributionModel(e.target.value)}
+              className={`px-3 py-1 text-sm ${themeClasses.input} rounded-lg`}
+            >
+              {ATTRIBUTION_MODELS.map(model => (
+                <option key={model.key} value={model.key}>{model.label}</option>
+              ))}
+            </select>
+          </div>
+          {attribution.channels.length === 0 ? (
+            <p className={`text-sm ${themeClasses.textSecondary}`}>No wins in this period</p>
+          ) : (
+            <div className="space-y-3">
+              {[...attribution.channels]
+                .sort((a, b) => b.share[attributionModel] - a.share[attributionModel])
+                .map(channel => (
+                  <div key={channel.channel}>
+                    <div className="flex items-center justify-between mb-1">
+                      <span className={`text-sm font-medium ${themeClasses.textSecondary}`}>{channel.channel}</span>
+                      <span className={`text-sm ${themeClasses.textMuted}`}>
+                        {channel.conversions[attributionModel].toFixed(1)} ({channel.share[attributionModel].toFixed(1)}%)
+                      </span>
+                    </div>
+                    <div className={`w-full ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-full h-2`}>
+                      <div
+                        className={`h-2 rounded-full ${
+                          channel.type === 'source' ? 'bg-blue-500' : channel.type === 'call' ? 'bg-green-500' : 'bg-orange-500'
+                        } transition-all duration-500`}
+                        style={{ width: `${channel.share[attributionModel]}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                ))}
+            </div>
+          )}
+        </div>
+
+        <div className={`${themeClasses.cardBg} p-6 rounded-lg shadow-sm ${themeClasses.border} border`}>
+          <h3 className={`text-lg font-semibold ${themeClasses.textPrimary} mb-1`}>Paths to Closed Won</h3>
+          <p className={`text-xs ${themeClasses.textMuted} mb-4`}>
+            {journeys.wonLeads} tracked wins · {journeys.averageDaysToWin} days on average
+          </p>
+          {journeys.paths.length === 0 ? (
+            <p className={`text-sm ${themeClasses.textSecondary}`}>No status history for wins in this period</p>
+          ) : (
+            <div className="space-y-3">
+              {journeys.paths.map(journey => (
+                <div key={journey.path.join('>')} className="flex items-center justify-between gap-3">
+                  <div className="flex flex-wrap items-center gap-1 text-xs">
+                    {journey.path.map((status, index) => (
+                      <React.Fragment key={`${status}-${index}`}>
+                        {index > 0 && <span className={themeClasses.textMuted}>→</span>}
+                        <span className={`px-2 py-0.5 rounded-full ${
+                          status === 'closed_won'
+                            ? (isDarkMode ? 'bg-green-900/50 text-green-200' : 'bg-green-100 text-green-700')
+                            : (isDarkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700')
+                        }`}>
+                          {formatStatus(status)}
+                        </span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <div className={`text-sm font-semibold ${themeClasses.textPrimary}`}>{journey.count}</div>
+                    <div className={`text-xs ${themeClasses.textMuted}`}>{journey.share.toFixed(1)}%</div>
+                  </div>
+                </div>
+              ))}
+              <div className={`pt-3 border-t ${themeClasses.border}`}>
+                <p className={`text-xs font-medium ${themeClasses.textSecondary} mb-2`}>Last step before the win</p>
+                {journeys.finalSteps.map(step => (
+                  <div key={step.from} className="flex items-center justify-between text-xs">
+                    <span className={themeClasses.textSecondary}>{formatStatus(step.from)} → Closed Won</span>
+                    <span className={themeClasses.textMuted}>{step.count} ({step.share.toFixed(1)}%)</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -5,6 +5,8 @@ import { useTheme } from '../contexts/ThemeContext';
 /**
  * LeadDetailModal - Comprehensive lead management modal
  * Features: Complete lead information, timeline, editing capabilities
+ * Pass recentCalls to add a Calls tab, and readOnly for screen-pops of leads
+ * that are not in the editable lead list
  */
 const LeadDetailModal = ({ 
   lead, 
@@ -12,7 +14,10 @@ const LeadDetailModal = ({
   onClose, 
   onSave, 
   onDelete,
-  isNewLead = false 
+  isNewLead = false,
+  recentCalls = null,
+  initialTab = 'details',
+  readOnly = false
 }) => {
   const { isDarkMode, themeClasses } = useTheme();
   const [formData, setFormData] = useState({
@@ -41,7 +46,7 @@ const LeadDetailModal = ({
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [errors, setErrors] = useState({});
-  const [activeTab, setActiveTab] = useState('details');
+  const [activeTab, setActiveTab] = useState(initialTab);
   const [newTag, setNewTag] = useState('');
 
   // Initialize form data when lead changes
@@ -69,12 +74,14 @@ const LeadDetailModal = ({
         }
       });
 
+      setActiveTab(initialTab);
+
       // Load timeline if existing lead
       if (!isNewLead && lead.id) {
         loadTimeline(lead.id);
       }
     }
-  }, [lead, isOpen, isNewLead]);
+  }, [lead, isOpen, isNewLead, initialTab]);
 
   // Load lead activity timeline
   const loadTimeline = async (leadId) => {
@@ -240,7 +247,7 @@ const LeadDetailModal = ({
         {/* Tabs */}
         <div className={`border-b ${themeClasses.border}`}>
           <nav className="flex space-x-8 px-6">
-            {['details', 'timeline', 'notes'].map(tab => (
+            {['details', ...(recentCalls ? ['calls'] : []), 'timeline', 'notes'].map(tab => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -252,6 +259,11 @@ const LeadDetailModal = ({
                       : 'border-transparent text-gray-500 hover:text-gray-700'
                 }`}
               >
+                {tab === 'calls' && recentCalls.length > 0 && (
+                  <span className={`${isDarkMode ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-800'} text-xs rounded-full px-2 py-1 ml-2`}>
+                    {recentCalls.length}
+                  </span>
+                )}
                 {tab === 'timeline' && !isNewLead && timeline.length > 0 && (
                   <span className={`${isDarkMode ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-800'} text-xs rounded-full px-2 py-1 ml-2`}>
                     {timeline.length}
@@ -264,7 +276,7 @@ const LeadDetailModal = ({
         </div>
 
         {/* Content */}
-        <div className="p-6 overflow-y-auto max-h-[60vh]">
+        <fieldset disabled={readOnly} className="min-w-0 p-6 overflow-y-auto max-h-[60vh]">
           {/* Error message */}
           {errors.general && (
             <div className={`mb-6 p-4 ${isDarkMode ? 'bg-red-900/30 border-red-700' : 'bg-red-50 border-red-200'} border rounded-md`}>
@@ -574,6 +586,39 @@ const LeadDetailModal = ({
             </div>
           )}
 
+          {/* Recent Calls Tab */}
+          {activeTab === 'calls' && recentCalls && (
+            <div className="space-y-3">
+              {recentCalls.length > 0 ? (
+                recentCalls.map(call => (
+                  <div key={call.id} className={`flex items-start justify-between p-4 rounded-lg ${
+                    isDarkMode ? 'bg-gray-800 border border-gray-700' : 'bg-gray-50'
+                  }`}>
+                    <div>
+                      <h4 className={`font-medium capitalize ${themeClasses.textPrimary}`}>
+                        {call.direction === 'inbound' ? '📲' : '📞'} {call.direction} · {(call.outcome || call.status || '').replace(/_/g, ' ')}
+                      </h4>
+                      {call.notes && (
+                        <p className={`text-sm ${themeClasses.textSecondary} mt-1`}>{call.notes}</p>
+                      )}
+                      <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-400'} mt-2`}>
+                        {new Date(call.initiatedAt).toLocaleString()}
+                        {call.agentName && ` · ${call.agentName}`}
+                      </p>
+                    </div>
+                    <span className={`text-sm ${themeClasses.textSecondary}`}>
+                      {Math.floor((call.duration || 0) / 60)}:{String((call.duration || 0) % 60).padStart(2, '0')}
+                    </span>
+                  </div>
+                ))
+              ) : (
+                <div className="text-center py-8">
+                  <p className={`${themeClasses.textSecondary}`}>No previous calls with this lead</p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Notes Tab */}
           {activeTab === 'notes' && (
             <div>
@@ -588,12 +633,12 @@ const LeadDetailModal = ({
               />
             </div>
           )}
-        </div>
+        </fieldset>
 
         {/* Footer */}
         <div className={`border-t ${themeClasses.border} ${isDarkMode ? 'bg-gray-800' : 'bg-gray-50'} p-6 flex justify-between`}>
           <div>
-            {!isNewLead && (
+            {!isNewLead && !readOnly && (
               <button
                 onClick={handleDelete}
                 disabled={isSaving}
@@ -608,15 +653,17 @@ const LeadDetailModal = ({
               onClick={onClose}
               className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
             >
-              Cancel
-            </button>
-            <button
-              onClick={handleSave}
-              disabled={isSaving}
-              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
-            >
-              {isSaving ? 'Saving...' : isNewLead ? 'Create Lead' : 'Save Changes'}
+              {readOnly ? 'Close' : 'Cancel'}
             </button>
+            {!readOnly && (
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : isNewLead ? 'Create Lead' : 'Save Changes'}
+              </button>
+            )}
           </div>
         </div>
       </div>
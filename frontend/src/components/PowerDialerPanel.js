@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useCall } from '../contexts/CallContext';
+import { dialerService } from '../services';
+
+/**
+ * PowerDialerPanel Component - Works through a server-side dial queue
+ * Dials the next lead, logs the outcome, then auto-advances after the wrap-up time
+ */
+
+const OUTCOMES = [
+  { id: 'connected', label: 'Connected' },
+  { id: 'interested', label: 'Interested' },
+  { id: 'not_interested', label: 'Not Interested' },
+  { id: 'callback_requested', label: 'Callback' },
+  { id: 'meeting_scheduled', label: 'Meeting Set' },
+  { id: 'voicemail', label: 'Voicemail' },
+  { id: 'no_answer', label: 'No Answer' },
+  { id: 'busy', label: 'Busy' }
+];
+
+const STATUS_OPTIONS = ['new', 'contacted', 'qualified', 'proposal', 'negotiation', 'nurturing'];
+const PRIORITY_OPTIONS = ['urgent', 'high', 'medium', 'low'];
+
+const PowerDialerPanel = () => {
+  const { isDarkMode, themeClasses } = useTheme();
+  const { initiateCall, endCall, isCallActive } = useCall();
+
+  // Queue filter and settings
+  const [statuses, setStatuses] = useState(['new', 'contacted']);
+  const [priorities, setPriorities] = useState([]);
+  const [tags, setTags] = useState('');
+  const [followUpDue, setFollowUpDue] = useState(false);
+  const [wrapUpSeconds, setWrapUpSeconds] = useState(10);
+
+  // Session state
+  const [session, setSession] = useState(null);
+  const [currentLead, setCurrentLead] = useState(null);
+  const [callStartedAt, setCallStartedAt] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [countdown, setCountdown] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const countdownRef = useRef(null);
+
+  useEffect(() => () => clearInterval(countdownRef.current), []);
+
+  const progress = session?.progress || { total: 0, dialed: 0, connected: 0, skipped: 0, remaining: 0 };
+  const isRunning = session && ['active', 'paused'].includes(session.status);
+
+  const toggleValue = (list, setList, value) => {
+    setList(list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+  };
+
+  const dialLead = async (lead) => {
+    setCurrentLead(lead);
+    setNotes('');
+    setCallStartedAt(new Date());
+    // Dialer leads use UUIDs, which the legacy call session endpoint cannot link
+    await initiateCall({
+      phoneNumber: lead.phone,
+      leadData: {
+        name: `${lead.firstName} ${lead.lastName}`,
+        company: lead.company,
+        notes: lead.notes,
+        priority: lead.priority
+      },
+      source: 'power_dialer'
+    });
+  };
+
+  const advance = async (sessionId) => {
+    clearInterval(countdownRef.current);
+    setCountdown(null);
+
+    const response = await dialerService.getNextLead(sessionId);
+    if (!response.success) {
+      setError(response.message || 'Failed to get next lead');
+      return;
+    }
+
+    setSession(response.data.session);
+    if (response.data.lead) {
+      await dialLead(response.data.lead);
+    } else {
+      setCurrentLead(null);
+    }
+  };
+
+  const startWrapUp = (sessionId, seconds) => {
+    if (seconds <= 0) {
+      advance(sessionId);
+      return;
+    }
+
+    setCountdown(seconds);
+    countdownRef.current = setInterval(() => {
+      setCountdown(prev => {
+        if (prev <= 1) {
+          clearInterval(countdownRef.current);
+          advance(sessionId);
+          return null;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+  };
+
+  const startSession = async () => {
+    setIsBusy(true);
+    setError(null);
+
+    const response = await dialerService.startSession({
+      filter: {
+        statuses,
+        priorities,
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        followUpDue
+      },
+      wrapUpSeconds
+    });
+
+    setIsBusy(false);
+    if (!response.success) {
+      setError(response.message || 'Failed to start dialer session');
+      return;
+    }
+
+    setSession(response.data.session);
+    if (response.data.session.status === 'active') {
+      await advance(response.data.session.id);
+    }
+  };
+
+  const logOutcome = async (outcome) => {
+    if (!currentLead) return;
+    setIsBusy(true);
+
+    if (isCallActive) {
+      await endCall();
+    }
+
+    const duration = callStartedAt ? Math.round((new Date() - callStartedAt) / 1000) : 0;
+    const response = await dialerService.recordOutcome(session.id, {
+      leadId: currentLead.id,
+      outcome,
+      duration,
+      notes: notes || undefined
+    });
+
+    setIsBusy(false);
+    if (!response.success) {
+      setError(response.message || 'Failed to log outcome');
+      return;
+    }
+
+    setSession(response.data.session);
+    setCurrentLead(null);
+    // A paused session waits for Resume instead of auto-advancing
+    if (response.data.session.status === 'active') {
+      startWrapUp(session.id, response.data.session.wrapUpSeconds);
+    }
+  };
+
+  const skipLead = async () => {
+    const response = await dialerService.skipLead(session.id);
+    if (!response.success) {
+      setError(response.message || 'Failed to skip lead');
+      return;
+    }
+    setSession(response.data);
+    await advance(session.id);
+  };
+
+  const changeStatus = async (status) => {
+    clearInterval(countdownRef.current);
+    setCountdown(null);
+
+    const response = await dialerService.updateStatus(session.id, status);
+    if (!response.success) {
+      setError(response.message || 'Failed to update dialer session');
+      return;
+    }
+
+    setSession(response.data);
+    if (status === 'ended') {
+      if (isCallActive) await endCall();
+      setCurrentLead(null);
+    } else if (status === 'active' && !currentLead) {
+      await advance(session.id);
+    }
+  };
+
+  const chipClass = (selected) => `px-2 py-1 rounded-full text-xs font-medium border transition-colors ${
+    selected
+      ? 'bg-blue-600 border-blue-600 text-white'
+      : isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="text-xs text-red-500 bg-red-50 px-2 py-1 rounded">{error}</div>
+      )}
+
+      {/* Progress */}
+      <div className="grid grid-cols-4 gap-2 text-center">
+        {[
+          ['Dialed', progress.dialed],
+          ['Connected', progress.connected],
+          ['Skipped', progress.skipped],
+          ['Remaining', progress.remaining]
+        ].map(([label, value]) => (
+          <div key={label} className={`p-2 rounded-lg border ${themeClasses.border}`}>
+            <div className={`text-lg font-bold ${themeClasses.textPrimary}`}>{value}</div>
+            <div className={`text-xs ${themeClasses.textSecondary}`}>{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {!isRunning ? (
+        /* Queue filter */
+        <div className="space-y-3">
+          <div>
+            <span className={`text-xs font-medium ${themeClasses.textSecondary} block mb-1`}>Status</span>
+            <div className="flex flex-wrap gap-1">
+              {STATUS_OPTIONS.map(status => (
+                <button key={status} type="button" className={chipClass(statuses.includes(status))}
+                  onClick={() => toggleValue(statuses, setStatuses, status)}>
+                  {status}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className={`text-xs font-medium ${themeClasses.textSecondary} block mb-1`}>Priority</span>
+            <div className="flex flex-wrap gap-1">
+              {PRIORITY_OPTIONS.map(priority => (
+                <button key={priority} type="button" className={chipClass(priorities.includes(priority))}
+                  onClick={() => toggleValue(priorities, setPriorities, priority)}>
+                  {priority}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags (comma separated)"
+            className={`w-full px-3 py-2 text-sm rounded-lg border ${themeClasses.border} ${isDarkMode ? 'bg-gray-900 text-gray-100' : 'bg-white'}`}
+          />
+
+          <div className="flex items-center justify-between">
+            <label className={`flex items-center space-x-2 text-sm ${themeClasses.textPrimary}`}>
+              <input type="checkbox" checked={followUpDue} onChange={(e) => setFollowUpDue(e.target.checked)} />
+              <span>Follow-up due only</span>
+            </label>
+            <label className={`flex items-center space-x-2 text-sm ${themeClasses.textPrimary}`}>
+              <span>Wrap-up</span>
+              <input
+                type="number"
+                min="0"
+                max="600"
+                value={wrapUpSeconds}
+                onChange={(e) => setWrapUpSeconds(parseInt(e.target.value) || 0)}
+                className={`w-16 px-2 py-1 text-sm rounded border ${themeClasses.border} ${isDarkMode ? 'bg-gray-900 text-gray-100' : 'bg-white'}`}
+              />
+              <span>s</span>
+            </label>
+          </div>
+
+          <button
+            type="button"
+            onClick={startSession}
+            disabled={isBusy}
+            className="w-full py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-medium disabled:opacity-50"
+          >
+            {session?.status === 'completed' ? 'Start New Session' : 'Start Dialing'}
+          </button>
+
+          {session?.status === 'completed' && (
+            <div className={`text-sm text-center ${themeClasses.textSecondary}`}>
+              Queue complete - {progress.connected} of {progress.dialed} calls connected
+            </div>
+          )}
+        </div>
+      ) : (
+        /* Active session */
+        <div className="space-y-3">
+          {currentLead ? (
+            <div className={`p-3 rounded-lg border ${themeClasses.border}`}>
+              <div className={`font-medium ${themeClasses.textPrimary}`}>
+                {currentLead.firstName} {currentLead.lastName}
+              </div>
+              <div className={`text-sm ${themeClasses.textSecondary}`}>
+                {currentLead.company} · {currentLead.phone} · Score {currentLead.leadScore}
+              </div>
+            </div>
+          ) : (
+            <div className={`text-sm text-center py-3 ${themeClasses.textSecondary}`}>
+              {countdown !== null ? `Next call in ${countdown}s` : session.status === 'paused' ? 'Paused' : 'Loading next lead...'}
+            </div>
+          )}
+
+          {currentLead && (
+            <>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Call notes"
+                rows={2}
+                className={`w-full px-3 py-2 text-sm rounded-lg border ${themeClasses.border} ${isDarkMode ? 'bg-gray-900 text-gray-100' : 'bg-white'}`}
+              />
+              <div className="grid grid-cols-2 gap-2">
+                {OUTCOMES.map(outcome => (
+                  <button
+                    key={outcome.id}
+                    type="button"
+                    onClick={() => logOutcome(outcome.id)}
+                    disabled={isBusy}
+                    className={`py-1.5 text-sm rounded-lg border ${themeClasses.border} ${isDarkMode ? 'hover:bg-gray-800 text-gray-200' : 'hover:bg-gray-100 text-gray-700'} disabled:opacity-50`}
+                  >
+                    {outcome.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="flex space-x-2">
+            {countdown !== null && (
+              <button type="button" onClick={() => advance(session.id)}
+                className="flex-1 py-1.5 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white">
+                Dial Now
+              </button>
+            )}
+            {currentLead && (
+              <button type="button" onClick={skipLead} disabled={isBusy || isCallActive}
+                className={`flex-1 py-1.5 text-sm rounded-lg border ${themeClasses.border} ${themeClasses.textPrimary} disabled:opacity-50`}>
+                Skip
+              </button>
+            )}
+            <button type="button" onClick={() => changeStatus(session.status === 'paused' ? 'active' : 'paused')}
+              className="flex-1 py-1.5 text-sm rounded-lg bg-yellow-500 hover:bg-yellow-600 text-white">
+              {session.status === 'paused' ? 'Resume' : 'Pause'}
+            </button>
+            <button type="button" onClick={() => changeStatus('ended')}
+              className="flex-1 py-1.5 text-sm rounded-lg bg-red-600 hover:bg-red-700 text-white">
+              End
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PowerDialerPanel;
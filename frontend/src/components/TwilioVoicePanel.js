@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import TwilioVoiceManager from '../services/TwilioVoiceManager';
+import InboundScreenPop from './InboundScreenPop';
 
 const TwilioVoicePanel = ({ onCallStateChange, leadData }) => {
   const [isInitialized, setIsInitialized] = useState(false);
@@ -12,6 +13,8 @@ const TwilioVoicePanel = ({ onCallStateChange, leadData }) => {
   const [isOnHold, setIsOnHold] = useState(false);
   const [error, setError] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [incomingCaller, setIncomingCaller] = useState(null);
+  const [screenPopNumber, setScreenPopNumber] = useState(null);
 
   const twilioManager = useRef(null);
   const durationInterval = useRef(null);
@@ -55,6 +58,8 @@ const TwilioVoicePanel = ({ onCallStateChange, leadData }) => {
 
       twilioManager.current.on('incoming', (data) => {
         setCallStatus('incoming');
+        // Inbound routing passes the normalized caller number as a custom parameter
+        setIncomingCaller(data.call.customParameters?.get('callerId') || data.call.parameters.From);
         addLog(`Incoming call from ${data.call.parameters.From}`, 'info');
       });
 
@@ -163,6 +168,7 @@ const TwilioVoicePanel = ({ onCallStateChange, leadData }) => {
   const acceptCall = () => {
     if (twilioManager.current?.acceptCall()) {
       addLog('Call accepted', 'success');
+      setScreenPopNumber(incomingCaller);
     }
   };
 
@@ -402,6 +408,12 @@ const TwilioVoicePanel = ({ onCallStateChange, leadData }) => {
           )}
         </div>
       </div>
+
+      <InboundScreenPop
+        phoneNumber={screenPopNumber}
+        isOpen={Boolean(screenPopNumber)}
+        onClose={() => setScreenPopNumber(null)}
+      />
     </div>
   );
 };
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { voipService } from '../services';
+import voipService from '../services/VOIPService';
+import InboundScreenPop from './InboundScreenPop';
 
 // VOIPDialPad - Enhanced DialPad with SIP.js integration
 // Real WebRTC calling functionality with comprehensive call management
@@ -31,6 +32,8 @@ const VOIPDialPad = () => {
   const [showConfig, setShowConfig] = useState(false);
   const [callHistory, setCallHistory] = useState([]);
   const [incomingCall, setIncomingCall] = useState(null);
+  const [incomingCaller, setIncomingCaller] = useState(null);
+  const [screenPopCaller, setScreenPopCaller] = useState(null);
   
   // Initialize VOIP service on component mount
   useEffect(() => {
@@ -57,6 +60,7 @@ const VOIPDialPad = () => {
       callEnded: handleCallEnded,
       callFailed: handleCallFailed,
       incomingCall: handleIncomingCall,
+      callerIdentified: handleCallerIdentified,
       qualityUpdate: handleQualityUpdate,
       muteStatusChanged: handleMuteChanged,
       volumeChanged: handleVolumeChanged,
@@ -219,6 +223,12 @@ const VOIPDialPad = () => {
   const handleIncomingCall = (data) => {
     console.log('Incoming call:', data);
     setIncomingCall(data);
+    setIncomingCaller(null);
+  };
+  
+  // Lead lookup for the ringing call; the screen-pop opens once it is answered
+  const handleCallerIdentified = (data) => {
+    setIncomingCaller(data);
   };
   
   const handleQualityUpdate = (data) => {
@@ -316,6 +326,9 @@ const VOIPDialPad = () => {
       setPhoneNumber(incomingCall.from);
       setIncomingCall(null);
       setIsCalling(true);
+      setScreenPopCaller(incomingCaller?.sessionId === incomingCall.sessionId
+        ? incomingCaller
+        : { phoneNumber: incomingCall.from });
       
     } catch (error) {
       console.error('Failed to answer call:', error);
@@ -633,6 +646,14 @@ const VOIPDialPad = () => {
         </div>
       )}
       
+      {/* Caller screen-pop */}
+      <InboundScreenPop
+        phoneNumber={screenPopCaller?.phoneNumber}
+        caller={screenPopCaller?.lead !== undefined ? screenPopCaller : null}
+        isOpen={Boolean(screenPopCaller)}
+        onClose={() => setScreenPopCaller(null)}
+      />
+      
       {/* Incoming Call Modal */}
       {incomingCall && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -642,6 +663,13 @@ const VOIPDialPad = () => {
               <p className="text-gray-600 mb-4">
                 {incomingCall.displayName || formatPhoneNumber(incomingCall.from)}
               </p>
+              {incomingCaller?.sessionId === incomingCall.sessionId && (
+                <p className="text-sm text-gray-500 -mt-3 mb-4">
+                  {incomingCaller.lead
+                    ? `${incomingCaller.lead.name} · ${incomingCaller.lead.company}`
+                    : 'Unknown caller'}
+                </p>
+              )}
               <div className="flex space-x-3">
                 <button
                   onClick={answerCall}
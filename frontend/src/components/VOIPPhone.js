@@ -36,6 +36,9 @@ const VOIPPhone = ({
   const [isOnHold, setIsOnHold] = useState(false);
   const [volume, setVolume] = useState(50);
   const [isRecording, setIsRecording] = useState(false);
+  const [transferState, setTransferState] = useState(null); // consulting, conference
+  const [transferTarget, setTransferTarget] = useState(null);
+  const pendingMergeRef = useRef(false); // Conference once the added party answers
   
   // Connection state
   const [sipRegistered, setSipRegistered] = useState(false);
@@ -108,6 +111,10 @@ const VOIPPhone = ({
     sip.on('muteChanged', handleMuteChanged);
     sip.on('dtmfSent', handleDTMFSent);
     sip.on('audioFeedback', handleAudioFeedback);
+    sip.on('consultConnected', handleConsultConnected);
+    sip.on('conferenceStarted', handleConferenceStarted);
+    sip.on('transferCancelled', handleTransferCancelled);
+    sip.on('transferFailed', handleTransferFailed);
 
     // Auto-register for demo
     setTimeout(() => {
@@ -202,6 +209,9 @@ const VOIPPhone = ({
       setIsOnHold(false);
       setIsRecording(false);
       setShowDTMFKeypad(false);
+      setTransferState(null);
+      setTransferTarget(null);
+      pendingMergeRef.current = false;
       
       // Final state reset
       audioFeedbackRef.current?.onCallStateChange('idle');
@@ -231,6 +241,29 @@ const VOIPPhone = ({
     setCurrentCall(callSession);
   };
 
+  const handleConsultConnected = () => {
+    if (pendingMergeRef.current) {
+      pendingMergeRef.current = false;
+      sipManagerRef.current?.mergeConference();
+    }
+  };
+
+  const handleConferenceStarted = () => {
+    setTransferState('conference');
+    setIsOnHold(false);
+    setCallState('active');
+  };
+
+  const handleTransferCancelled = () => {
+    setTransferState(null);
+    setTransferTarget(null);
+  };
+
+  const handleTransferFailed = ({ error }) => {
+    setError(`Transfer failed: ${error}`);
+    setTimeout(() => setError(null), 3000);
+  };
+
   const handleMuteChanged = ({ muted }) => {
     setIsMuted(muted);
   };
@@ -342,18 +375,51 @@ const VOIPPhone = ({
     }
   };
 
-  const handleTransfer = (transferNumber) => {
-    console.log(`📞 Transferring call to: ${transferNumber}`);
-    // In a real implementation, this would perform call transfer
-    setError('Call transfer feature coming soon');
-    setTimeout(() => setError(null), 3000);
+  // Blind transfer sends REFER; warm transfer holds the call and consults the target first
+  const handleTransfer = async (transferNumber, type = 'blind') => {
+    const sip = sipManagerRef.current;
+    if (!sip) return;
+
+    if (type === 'attended') {
+      const result = await sip.startAttendedTransfer(transferNumber);
+      if (result.success) {
+        setTransferState('consulting');
+        setTransferTarget(transferNumber);
+        setCallState('hold');
+      }
+    } else {
+      await sip.blindTransfer(transferNumber);
+    }
   };
 
-  const handleConference = () => {
-    console.log('👥 Starting conference call');
-    // In a real implementation, this would start conference
-    setError('Conference call feature coming soon');
-    setTimeout(() => setError(null), 3000);
+  // REFER with Replaces hands the prospect to the consulted target
+  const handleCompleteTransfer = async () => {
+    await sipManagerRef.current?.completeAttendedTransfer();
+  };
+
+  const handleCancelTransfer = async () => {
+    const result = await sipManagerRef.current?.cancelAttendedTransfer();
+    if (result?.success) {
+      setCallState('active');
+    }
+  };
+
+  // Merge the consultation, or call a new party and merge once they answer
+  const handleConference = async (participantNumber) => {
+    const sip = sipManagerRef.current;
+    if (!sip) return;
+
+    if (transferState === 'consulting') {
+      await sip.mergeConference();
+      return;
+    }
+
+    const result = await sip.startAttendedTransfer(participantNumber);
+    if (result.success) {
+      pendingMergeRef.current = true;
+      setTransferTarget(participantNumber);
+      setCallState('hold');
+    }
   };
 
   const handleRecord = () => {
@@ -422,7 +488,7 @@ const VOIPPhone = ({
     try {
       const callData = {
         phone: callSession.number,
-        outcome: reason === 'user_hangup' ? 'Connected' : 'Failed',
+        outcome: reason === 'user_hangup' ? 'Connected' : reason === 'transferred' ? 'Transferred' : 'Failed',
         duration: formatDuration(callSession.duration || 0),
         notes: `VOIP call ${reason}`,
         timestamp: callSession.startTime?.toISOString(),
@@ -603,12 +669,16 @@ const VOIPPhone = ({
         onHoldToggle={handleHoldToggle}
         onVolumeChange={handleVolumeChange}
         onTransfer={handleTransfer}
+        onCompleteTransfer={handleCompleteTransfer}
+        onCancelTransfer={handleCancelTransfer}
         onConference={handleConference}
         onRecord={handleRecord}
         isRecording={isRecording}
         connectionQuality={connectionQuality}
         callDuration={currentCall?.duration || 0}
         callState={callState}
+        transferState={transferState}
+        transferTarget={transferTarget}
       />
 
       {/* Call History */}
@@ -205,6 +205,7 @@ export const CallProvider = ({ children }) => {
         leadId: callData.leadData?.id ? parseInt(callData.leadData.id) : undefined, // Backend expects positive integer or undefined
         source: callData.source || 'manual',
         timestamp: startTime.toISOString(),
+        ...(callData.complianceOverride && { complianceOverride: callData.complianceOverride }),
         ...(callData.leadData && {
           leadName: callData.leadData.name,
           company: callData.leadData.company,
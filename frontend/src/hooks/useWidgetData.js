@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Load each widget's data, again only when its source or the dashboard filters change
+ * @param {Array<Object>} widgets - Dashboard widgets
+ * @param {Function} loadWidget - (widget) => Promise<{ success, data, message }>
+ * @param {Object} filters - Dashboard filters
+ * @returns {Object} { results: { [widgetId]: { loading, data, error } }, refresh }
+ */
+export const useWidgetData = (widgets, loadWidget, filters) => {
+  const [results, setResults] = useState({});
+  const [version, setVersion] = useState(0);
+  const requested = useRef({});
+  const filtersKey = JSON.stringify(filters || {});
+
+  useEffect(() => {
+    widgets.forEach(widget => {
+      const key = `${version}|${JSON.stringify(widget.source)}|${filtersKey}`;
+      if (requested.current[widget.id] === key) return;
+      requested.current[widget.id] = key;
+
+      setResults(current => ({ ...current, [widget.id]: { ...current[widget.id], loading: true, error: null } }));
+      loadWidget(widget).then(response => {
+        // A newer request for this widget has started since
+        if (requested.current[widget.id] !== key) return;
+        setResults(current => ({
+          ...current,
+          [widget.id]: response.success
+            ? { loading: false, data: response.data, error: null }
+            : { loading: false, data: null, error: response.message }
+        }));
+      });
+    });
+  }, [widgets, loadWidget, filtersKey, version]);
+
+  const refresh = useCallback(() => setVersion(current => current + 1), []);
+
+  return { results, refresh };
+};
+
+export default useWidgetData;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { useTheme } from '../contexts/ThemeContext';
+import bookingService from '../services/bookingService';
+
+const browserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// Slot days are already in the prospect's zone; noon UTC keeps the label on the same date
+const formatDay = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatDateTime = (iso, timeZone) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short', timeZone });
+
+// Public booking page: /book/:slug
+function BookMeeting() {
+  const { slug } = useParams();
+  const { themeClasses } = useTheme();
+  const [timeZone] = useState(browserTimeZone);
+  const [page, setPage] = useState(null);
+  const [days, setDays] = useState([]);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [form, setForm] = useState({ name: '', email: '', phone: '', company: '' });
+  const [answers, setAnswers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [confirmation, setConfirmation] = useState(null);
+
+  const loadSlots = useCallback(async () => {
+    const response = await bookingService.getSlots(slug, { timeZone });
+    const loadedDays = response.data?.days || [];
+    setDays(loadedDays);
+    setSelectedDate(current => (loadedDays.some(day => day.date === current) ? current : loadedDays[0]?.date || null));
+  }, [slug, timeZone]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      const response = await bookingService.getPublicPage(slug);
+      if (response.success) {
+        setPage(response.data);
+        await loadSlots();
+      }
+      setLoading(false);
+    };
+    load();
+  }, [slug, loadSlots]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setErrors([]);
+
+    const response = await bookingService.book(slug, {
+      ...form,
+      start: selectedSlot.start,
+      timeZone,
+      answers
+    });
+
+    setSubmitting(false);
+
+    if (response.success) {
+      setConfirmation(response.data);
+      return;
+    }
+
+    setErrors(response.details?.length ? response.details : [response.message]);
+    if (response.status === 409) {
+      setSelectedSlot(null);
+      await loadSlots();
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 border rounded-md ${themeClasses.input}`;
+  const labelClass = `block text-sm font-medium ${themeClasses.textPrimary} mb-1`;
+
+  if (loading) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center ${themeClasses.bg}`}>
+        <p className={themeClasses.textSecondary}>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!page) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center ${themeClasses.bg}`}>
+        <p className={themeClasses.textSecondary}>This booking link is not available.</p>
+      </div>
+    );
+  }
+
+  const daySlots = days.find(day => day.date === selectedDate)?.slots || [];
+
+  return (
+    <div className={`min-h-screen ${themeClasses.bg} py-10 px-4`}>
+      <div className={`max-w-3xl mx-auto rounded-lg border shadow-sm p-6 ${themeClasses.cardBg} ${themeClasses.border}`}>
+        <h1 className={`text-2xl font-semibold ${themeClasses.textPrimary}`}>{page.title}</h1>
+        <p className={`text-sm mt-1 ${themeClasses.textSecondary}`}>
+          {page.durationMinutes} minutes · times shown in {timeZone}
+        </p>
+        {page.description && <p className={`mt-3 ${themeClasses.textSecondary}`}>{page.description}</p>}
+
+        {confirmation ? (
+          <div className="mt-6">
+            <h2 className={`text-lg font-medium ${themeClasses.textPrimary}`}>You're booked</h2>
+            <p className={`mt-2 ${themeClasses.textSecondary}`}>{formatDateTime(confirmation.start, timeZone)}</p>
+            <p className={`mt-2 ${themeClasses.textSecondary}`}>
+              {confirmation.confirmationSent
+                ? 'A calendar invitation is on its way to your inbox.'
+                : 'Your meeting is booked; the confirmation email may take a little longer.'}
+            </p>
+            {confirmation.confirmationMessage && (
+              <p className={`mt-2 ${themeClasses.textSecondary}`}>{confirmation.confirmationMessage}</p>
+            )}
+          </div>
+        ) : (
+          <>
+            {errors.length > 0 && (
+              <div className="mt-4 p-3 rounded-md bg-red-50 text-red-700 text-sm">
+                {errors.map(error => <p key={error}>{error}</p>)}
+              </div>
+            )}
+
+            {!selectedSlot ? (
+              <div className="mt-6">
+                {days.length === 0 ? (
+                  <p className={themeClasses.textSecondary}>No times are available right now. Please check back later.</p>
+                ) : (
+                  <>
+                    <div className="flex flex-wrap gap-2">
+                      {days.map(day => (
+                        <button
+                          key={day.date}
+                          type="button"
+                          onClick={() => setSelectedDate(day.date)}
+                          className={`px-3 py-2 rounded-md border text-sm ${
+                            day.date === selectedDate ? themeClasses.buttonPrimary : themeClasses.buttonSecondary
+                          }`}
+                        >
+                          {formatDay(day.date)}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 mt-4">
+                      {daySlots.map(slot => (
+                        <button
+                          key={slot.start}
+                          type="button"
+                          onClick={() => setSelectedSlot(slot)}
+                          className={`px-3 py-2 rounded-md border text-sm ${themeClasses.buttonSecondary}`}
+                        >
+                          {slot.label}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+                <div className={`flex items-center justify-between ${themeClasses.textPrimary}`}>
+                  <span>{formatDateTime(selectedSlot.start, timeZone)}</span>
+                  <button type="button" onClick={() => setSelectedSlot(null)} className="text-sm text-blue-600">
+                    Change time
+                  </button>
+                </div>
+
+                <div>
+                  <label className={labelClass}>Name *</label>
+                  <input className={inputClass} required value={form.name}
+                    onChange={event => setForm({ ...form, name: event.target.value })} />
+                </div>
+                <div>
+                  <label className={labelClass}>Email *</label>
+                  <input className={inputClass} type="email" required value={form.email}
+                    onChange={event => setForm({ ...form, email: event.target.value })} />
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className={labelClass}>Phone *</label>
+                    <input className={inputClass} type="tel" required value={form.phone}
+                      onChange={event => setForm({ ...form, phone: event.target.value })} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Company</label>
+                    <input className={inputClass} value={form.company}
+                      onChange={event => setForm({ ...form, company: event.target.value })} />
+                  </div>
+                </div>
+
+                {(page.questions || []).map(question => (
+                  <div key={question.id}>
+                    <label className={labelClass}>{question.label}{question.required ? ' *' : ''}</label>
+                    {question.type === 'select' ? (
+                      <select className={inputClass} required={question.required} value={answers[question.id] || ''}
+                        onChange={event => setAnswers({ ...answers, [question.id]: event.target.value })}>
+                        <option value="">Select...</option>
+                        {(question.options || []).map(option => <option key={option} value={option}>{option}</option>)}
+                      </select>
+                    ) : question.type === 'textarea' ? (
+                      <textarea className={inputClass} rows={3} required={question.required} value={answers[question.id] || ''}
+                        onChange={event => setAnswers({ ...answers, [question.id]: event.target.value })} />
+                    ) : (
+                      <input className={inputClass} required={question.required} value={answers[question.id] || ''}
+                        type={question.type === 'email' ? 'email' : question.type === 'phone' ? 'tel' : 'text'}
+                        onChange={event => setAnswers({ ...answers, [question.id]: event.target.value })} />
+                    )}
+                  </div>
+                ))}
+
+                <button type="submit" disabled={submitting}
+                  className={`w-full py-2 rounded-md ${themeClasses.buttonPrimary} disabled:opacity-50`}>
+                  {submitting ? 'Booking...' : 'Book meeting'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BookMeeting;
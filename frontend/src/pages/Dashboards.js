@@ -0,0 +1,21 @@
+import React from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import DashboardBuilder from '../components/DashboardBuilder';
+
+function Dashboards() {
+  const { themeClasses } = useTheme();
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <div>
+        <h1 className={`text-2xl font-bold ${themeClasses.textPrimary}`}>Dashboards</h1>
+        <p className={`mt-1 ${themeClasses.textSecondary}`}>
+          Build your own view of the KPIs you track from any analytics endpoint
+        </p>
+      </div>
+      <DashboardBuilder />
+    </div>
+  );
+}
+
+export default Dashboards;
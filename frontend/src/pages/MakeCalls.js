@@ -6,6 +6,7 @@ import AudioClipPlayer from '../components/AudioClipPlayer';
 import ScriptDisplay from '../components/ScriptDisplay';
 import LeadPanel from '../components/LeadPanel';
 import CallStatus from '../components/CallStatus';
+import PowerDialerPanel from '../components/PowerDialerPanel';
 
 // Import contexts
 import { useTheme } from '../contexts/ThemeContext';
@@ -28,6 +29,7 @@ function MakeCalls() {
   const [loading, setLoading] = useState(true);
   const [apiHealthy, setApiHealthy] = useState(false);
   const [error, setError] = useState(null);
+  const [dialMode, setDialMode] = useState('manual'); // manual, power
 
   // Load dashboard data on component mount or when mock data setting changes
   useEffect(() => {
@@ -137,6 +139,23 @@ function MakeCalls() {
           </div>
           
           <div className="flex items-center space-x-4">
+            {/* Dial Mode Toggle */}
+            <div className={`flex rounded-lg border ${themeClasses.border} overflow-hidden`}>
+              {[['manual', 'Manual'], ['power', 'Power Dialer']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setDialMode(mode)}
+                  className={`px-3 py-1 text-sm font-medium transition-colors ${
+                    dialMode === mode
+                      ? 'bg-blue-600 text-white'
+                      : isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             {/* API Status Indicator */}
             <div className="flex items-center space-x-2">
               <div className={`w-2 h-2 rounded-full ${
@@ -195,14 +214,21 @@ function MakeCalls() {
 
         {/* Center Column (4 cols) - DialPad, Call History & Performance */}
         <div className="lg:col-span-4 space-y-6 h-full flex flex-col">
-          {/* Dial Pad Card - Top of center column */}
+          {/* Dial Pad Card - Top of center column; the power dialer replaces it in power mode */}
           <div className={`${isDarkMode ? 'bg-black border-gray-700' : themeClasses.cardBg} rounded-xl shadow-sm border ${themeClasses.border} transition-colors duration-200`}>
-            <div className="p-6">
-              <h2 className={`text-lg font-semibold mb-4 text-center ${themeClasses.textPrimary}`}>Phone Dialer</h2>
-              <div className="flex justify-center items-center">
-                <DialPad />
+            {dialMode === 'power' ? (
+              <div className="p-4">
+                <h2 className={`text-lg font-semibold mb-4 ${themeClasses.textPrimary}`}>Power Dialer</h2>
+                <PowerDialerPanel />
               </div>
-            </div>
+            ) : (
+              <div className="p-6">
+                <h2 className={`text-lg font-semibold mb-4 text-center ${themeClasses.textPrimary}`}>Phone Dialer</h2>
+                <div className="flex justify-center items-center">
+                  <DialPad />
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Call History Card - Second position in center column */}
@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { useTheme } from '../contexts/ThemeContext';
+import dashboardService from '../services/dashboardService';
+import { useWidgetData } from '../hooks/useWidgetData';
+import DashboardGrid from '../components/DashboardGrid';
+import DashboardWidget from '../components/DashboardWidget';
+
+const NO_WIDGETS = [];
+
+// Public read-only dashboard: /shared/dashboards/:token
+function SharedDashboard() {
+  const { token } = useParams();
+  const { isDarkMode, themeClasses } = useTheme();
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      const response = await dashboardService.getSharedDashboard(token);
+      if (response.success) {
+        setDashboard(response.data);
+      } else {
+        setError(response.message);
+      }
+      setLoading(false);
+    };
+    load();
+  }, [token]);
+
+  const loadWidget = useCallback((widget) => dashboardService.getSharedWidgetData(token, widget.id), [token]);
+  const { results, refresh } = useWidgetData(dashboard?.widgets || NO_WIDGETS, loadWidget, dashboard?.filters);
+
+  if (loading) {
+    return <div className={`min-h-screen flex items-center justify-center ${themeClasses.bg} ${themeClasses.textSecondary}`}>Loading dashboard...</div>;
+  }
+
+  if (error) {
+    return <div className={`min-h-screen flex items-center justify-center ${themeClasses.bg} ${themeClasses.textSecondary}`}>{error}</div>;
+  }
+
+  const { start_date: from, end_date: to } = dashboard.filters || {};
+
+  return (
+    <div className={`min-h-screen ${themeClasses.bg}`}>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className={`text-2xl font-bold ${themeClasses.textPrimary}`}>{dashboard.name}</h1>
+            {dashboard.description && <p className={`mt-1 ${themeClasses.textSecondary}`}>{dashboard.description}</p>}
+            {(from || to) && <p className={`mt-1 text-sm ${themeClasses.textMuted}`}>{from || '…'} to {to || 'today'}</p>}
+          </div>
+          <button type="button" onClick={refresh} className={`px-3 py-2 rounded-lg text-sm border ${themeClasses.buttonSecondary}`}>Refresh</button>
+        </div>
+        <DashboardGrid
+          widgets={dashboard.widgets}
+          renderWidget={(widget) => (
+            <DashboardWidget widget={widget} {...(results[widget.id] || { loading: true })} isDarkMode={isDarkMode} themeClasses={themeClasses} />
+          )}
+        />
+        <p className={`text-xs text-center ${themeClasses.textMuted}`}>Read-only view</p>
+      </div>
+    </div>
+  );
+}
+
+export default SharedDashboard;
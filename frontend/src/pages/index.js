@@ -2,4 +2,7 @@
 export { default as MakeCalls } from './MakeCalls';
 export { default as ManageLeads } from './ManageLeads';
 export { default as Analytics } from './Analytics';
-export { default as Settings } from './Settings';
\ No newline at end of file
+export { default as Settings } from './Settings';
+export { default as BookMeeting } from './BookMeeting';
+export { default as Dashboards } from './Dashboards';
+export { default as SharedDashboard } from './SharedDashboard';
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * AnsweringMachineDetector - Audio-energy answering-machine detection for SIP calls
+ * Twilio detects machines server-side; browser SIP calls listen to the remote stream
+ * and report the same AnsweredBy values (human, machine_end_beep, machine_end_silence,
+ * machine_end_other, unknown) so the backend can auto-drop a voicemail.
+ *
+ * A person answers with a short greeting and waits; a machine talks for several
+ * seconds, then plays a narrow-band beep. Each frame is classified by RMS energy and
+ * how much of the spectrum sits in the loudest band.
+ */
+
+const DEFAULT_OPTIONS = {
+  frameMs: 50,
+  speechThreshold: 0.02,      // RMS above this counts as sound
+  pauseToleranceMs: 400,      // Gaps shorter than this don't end a greeting
+  humanMaxGreetingMs: 1800,   // "Hello, this is Sam" and then silence
+  humanSilenceMs: 800,
+  machineGreetingMs: 2500,    // Talking this long without a pause is a recording
+  beepMinMs: 150,
+  beepMinHz: 700,
+  beepMaxHz: 2200,
+  beepTonality: 0.6,          // Share of energy around the peak frequency
+  endSilenceMs: 1500,         // Greeting over, but no beep
+  noAnswerMs: 5000,           // Nothing said at all
+  timeoutMs: 30000
+};
+
+class AnsweringMachineDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.onResult = options.onResult || (() => {});
+
+    this.audioContext = null;
+    this.analyser = null;
+    this.frameInterval = null;
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'listening'; // listening, greeting, awaiting_beep, done
+    this.elapsedMs = 0;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.toneMs = 0;
+    this.result = null;
+  }
+
+  /**
+   * Listen to the remote party's audio
+   * @param {MediaStream} stream - Remote audio stream
+   */
+  start(stream) {
+    this.stop();
+    this.reset();
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.audioContext.createMediaStreamSource(stream).connect(this.analyser);
+
+    const timeData = new Float32Array(this.analyser.fftSize);
+    const frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+    const binHz = this.audioContext.sampleRate / this.analyser.fftSize;
+
+    this.frameInterval = setInterval(() => {
+      this.analyser.getFloatTimeDomainData(timeData);
+      this.analyser.getFloatFrequencyData(frequencyData);
+      this.processFrame(measureFrame(timeData, frequencyData, binHz));
+    }, this.options.frameMs);
+
+    console.log('🤖 Answering-machine detection started');
+  }
+
+  stop() {
+    if (this.frameInterval) {
+      clearInterval(this.frameInterval);
+      this.frameInterval = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+      this.analyser = null;
+    }
+  }
+
+  /**
+   * Advance the detector by one frame
+   * @param {Object} frame - { rms, peakHz, tonality }
+   * @returns {Object|null} { answeredBy, detectionMs } once decided
+   */
+  processFrame({ rms, peakHz, tonality }) {
+    if (this.state === 'done') return this.result;
+
+    const { frameMs } = this.options;
+    const isSound = rms >= this.options.speechThreshold;
+    this.elapsedMs += frameMs;
+
+    if (this.elapsedMs >= this.options.timeoutMs) {
+      return this.finish(this.state === 'awaiting_beep' ? 'machine_end_other' : 'unknown');
+    }
+
+    if (this.state === 'awaiting_beep') {
+      const isBeep = isSound
+        && tonality >= this.options.beepTonality
+        && peakHz >= this.options.beepMinHz
+        && peakHz <= this.options.beepMaxHz;
+
+      if (isBeep) {
+        this.toneMs += frameMs;
+        this.silenceMs = 0;
+        return null;
+      }
+      // Drop the voicemail once the beep has finished, not while it is still sounding
+      if (this.toneMs >= this.options.beepMinMs) {
+        return this.finish('machine_end_beep');
+      }
+      this.toneMs = 0;
+      this.silenceMs = isSound ? 0 : this.silenceMs + frameMs;
+      return this.silenceMs >= this.options.endSilenceMs ? this.finish('machine_end_silence') : null;
+    }
+
+    if (isSound) {
+      const pauseMs = this.state === 'greeting' && this.silenceMs < this.options.pauseToleranceMs ? this.silenceMs : 0;
+      this.state = 'greeting';
+      this.speechMs += frameMs + pauseMs;
+      this.silenceMs = 0;
+
+      if (this.speechMs >= this.options.machineGreetingMs) {
+        this.state = 'awaiting_beep';
+      }
+      return null;
+    }
+
+    this.silenceMs += frameMs;
+    if (this.state === 'listening') {
+      return this.silenceMs >= this.options.noAnswerMs ? this.finish('unknown') : null;
+    }
+
+    if (this.silenceMs >= this.options.humanSilenceMs && this.speechMs <= this.options.humanMaxGreetingMs) {
+      return this.finish('human');
+    }
+    // A longer greeting that stopped without reaching the machine threshold - still a person talking
+    if (this.silenceMs >= this.options.endSilenceMs) {
+      return this.finish('human');
+    }
+    return null;
+  }
+
+  finish(answeredBy) {
+    this.state = 'done';
+    this.result = { answeredBy, detectionMs: this.elapsedMs };
+    this.stop();
+    this.onResult(this.result);
+    console.log(`🤖 Answered by: ${answeredBy} (${this.elapsedMs}ms)`);
+    return this.result;
+  }
+}
+
+// RMS energy, loudest frequency and the share of spectral power within two bins of it
+const measureFrame = (timeData, frequencyData, binHz) => {
+  let sumSquares = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    sumSquares += timeData[i] * timeData[i];
+  }
+
+  let peakBin = 0;
+  let totalPower = 0;
+  const power = new Float32Array(frequencyData.length);
+  for (let i = 0; i < frequencyData.length; i++) {
+    power[i] = Math.pow(10, frequencyData[i] / 10);
+    totalPower += power[i];
+    if (power[i] > power[peakBin]) peakBin = i;
+  }
+
+  let peakPower = 0;
+  for (let i = Math.max(0, peakBin - 2); i <= Math.min(power.length - 1, peakBin + 2); i++) {
+    peakPower += power[i];
+  }
+
+  return {
+    rms: Math.sqrt(sumSquares / timeData.length),
+    peakHz: peakBin * binHz,
+    tonality: totalPower > 0 ? peakPower / totalPower : 0
+  };
+};
+
+export default AnsweringMachineDetector;
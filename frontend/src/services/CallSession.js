@@ -14,6 +14,8 @@ class CallSession {
     this.displayName = options.displayName || null;
     this.direction = options.direction || 'outbound'; // outbound, inbound
     this.leadId = options.leadId || null;
+    this.callLogId = options.callLogId || null; // Backend call log that records transfer legs
+    this.voicemailClip = options.voicemailClip || null; // Dropped automatically when a machine answers
     
     // Timestamps
     this.createdAt = new Date();
@@ -25,6 +27,9 @@ class CallSession {
     this.state = 'initializing'; // initializing, ringing, connecting, connected, held, ending, ended, failed
     this.previousState = null;
     this.sipState = null;
+    this.transferState = null; // consulting, transferred, conference
+    this.answeredBy = null; // human, machine_end_beep, machine_end_silence, ... when AMD ran
+    this.voicemailDrop = null;
     
     // Call quality metrics
     this.qualityMetrics = {
@@ -69,6 +74,7 @@ class CallSession {
   // Bind methods to maintain context
   bindMethods() {
     this.handleSIPStateChange = this.handleSIPStateChange.bind(this);
+    this.handleMachineDetection = this.handleMachineDetection.bind(this);
     this.handleMediaUpdate = this.handleMediaUpdate.bind(this);
     this.handleQualityUpdate = this.handleQualityUpdate.bind(this);
     this.updateCallTimer = this.updateCallTimer.bind(this);
@@ -85,6 +91,7 @@ class CallSession {
     // Set up SIP event listeners
     if (this.sipManager) {
       this.sipManager.on('sessionStateChange', this.handleSIPStateChange);
+      this.sipManager.on('machineDetection', this.handleMachineDetection);
       this.sipManager.on('callEstablished', this.handleCallEstablished.bind(this));
       this.sipManager.on('callTerminated', this.handleCallTerminated.bind(this));
       this.sipManager.on('remoteStreamReceived', this.handleRemoteStream.bind(this));
@@ -319,6 +326,199 @@ class CallSession {
     }
   }
   
+  // Transfer call - 'blind' hands off at once, 'attended' holds the call and consults the target first
+  async transferCall(target, type = 'blind') {
+    try {
+      const result = type === 'attended'
+        ? await this.sipManager.startAttendedTransfer(target)
+        : await this.sipManager.blindTransfer(target);
+      
+      if (result.success) {
+        this.transferState = type === 'attended' ? 'consulting' : 'transferred';
+        if (type === 'attended') {
+          this.mediaState.isOnHold = true;
+          this.setState('held');
+        }
+        
+        this.logEvent(type === 'attended' ? 'consult_started' : 'call_transferred', { 
+          type,
+          target,
+          consultCallId: result.consultCall?.id || null,
+          timestamp: new Date().toISOString()
+        });
+        
+        this.emit(type === 'attended' ? 'consultStarted' : 'callTransferred', { 
+          sessionId: this.sessionId,
+          type,
+          target,
+          consultCallId: result.consultCall?.id || null,
+          timestamp: new Date().toISOString()
+        });
+        
+        return { success: true, type, consultCallId: result.consultCall?.id || null };
+      } else {
+        throw new Error(result.error || 'Failed to transfer call');
+      }
+      
+    } catch (error) {
+      this.logEvent('transfer_failed', { 
+        type,
+        target,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      throw error;
+    }
+  }
+  
+  // Complete a warm transfer (REFER with Replaces)
+  async completeTransfer() {
+    try {
+      const result = await this.sipManager.completeAttendedTransfer();
+      
+      if (result.success) {
+        this.transferState = 'transferred';
+        
+        this.logEvent('call_transferred', { 
+          type: 'attended',
+          timestamp: new Date().toISOString()
+        });
+        
+        this.emit('callTransferred', { 
+          sessionId: this.sessionId,
+          type: 'attended',
+          timestamp: new Date().toISOString()
+        });
+        
+        return { success: true };
+      } else {
+        throw new Error(result.error || 'Failed to complete transfer');
+      }
+      
+    } catch (error) {
+      this.logEvent('transfer_failed', { 
+        type: 'attended',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      throw error;
+    }
+  }
+  
+  // Cancel a warm transfer and return to the held call
+  async cancelTransfer() {
+    try {
+      const result = await this.sipManager.cancelAttendedTransfer();
+      
+      if (result.success) {
+        this.transferState = null;
+        this.mediaState.isOnHold = false;
+        this.setState('connected');
+        
+        this.logEvent('transfer_cancelled', { 
+          timestamp: new Date().toISOString()
+        });
+        
+        this.emit('transferCancelled', { 
+          sessionId: this.sessionId,
+          timestamp: new Date().toISOString()
+        });
+        
+        return { success: true };
+      } else {
+        throw new Error(result.error || 'Failed to cancel transfer');
+      }
+      
+    } catch (error) {
+      this.logEvent('transfer_cancel_failed', { 
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      throw error;
+    }
+  }
+  
+  // Merge the consult leg into a three-way conference
+  async startConference() {
+    try {
+      const result = await this.sipManager.mergeConference();
+      
+      if (result.success) {
+        this.transferState = 'conference';
+        this.mediaState.isOnHold = false;
+        this.setState('connected');
+        
+        this.logEvent('conference_started', { 
+          participants: result.participants,
+          timestamp: new Date().toISOString()
+        });
+        
+        this.emit('conferenceStarted', { 
+          sessionId: this.sessionId,
+          participants: result.participants,
+          timestamp: new Date().toISOString()
+        });
+        
+        return { success: true, participants: result.participants };
+      } else {
+        throw new Error(result.error || 'Failed to start conference');
+      }
+      
+    } catch (error) {
+      this.logEvent('conference_failed', { 
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      throw error;
+    }
+  }
+  
+  // Play a voicemail clip into the call and release the agent
+  async dropVoicemail(clip, trigger = 'manual') {
+    try {
+      const result = await this.sipManager.dropVoicemail(clip.playbackUrl);
+      
+      if (result.success) {
+        if (!this.endedAt) {
+          this.endedAt = new Date();
+        }
+        this.voicemailDrop = { clipId: clip.id, clipName: clip.name, trigger };
+        this.setState('ended');
+        this.cleanup();
+        
+        this.logEvent('voicemail_dropped', { 
+          clipId: clip.id,
+          trigger,
+          timestamp: this.endedAt.toISOString()
+        });
+        
+        this.emit('voicemailDropped', { 
+          sessionId: this.sessionId,
+          clipId: clip.id,
+          trigger,
+          timestamp: this.endedAt.toISOString()
+        });
+        
+        return { success: true, duration: result.duration };
+      } else {
+        throw new Error(result.error || 'Failed to drop voicemail');
+      }
+      
+    } catch (error) {
+      this.logEvent('voicemail_drop_failed', { 
+        clipId: clip.id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      throw error;
+    }
+  }
+  
   // Send DTMF tone
   async sendDTMF(tone) {
     try {
@@ -479,6 +679,24 @@ class CallSession {
     });
   }
   
+  // Handle an answering-machine result from the audio heuristic
+  handleMachineDetection(data) {
+    this.answeredBy = data.answeredBy;
+    
+    this.logEvent('machine_detection', { 
+      answeredBy: data.answeredBy,
+      detectionMs: data.detectionMs,
+      timestamp: new Date().toISOString()
+    });
+    
+    this.emit('machineDetected', { 
+      sessionId: this.sessionId,
+      answeredBy: data.answeredBy,
+      detectionMs: data.detectionMs,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   // Handle remote stream
   handleRemoteStream(data) {
     this.mediaState.remoteAudio = true;
@@ -705,6 +923,7 @@ class CallSession {
       leadId: this.leadId,
       state: this.state,
       sipState: this.sipState,
+      transferState: this.transferState,
       
       // Timestamps
       createdAt: this.createdAt,
@@ -760,6 +979,7 @@ class CallSession {
     // Remove SIP event listeners
     if (this.sipManager) {
       this.sipManager.off('sessionStateChange', this.handleSIPStateChange);
+      this.sipManager.off('machineDetection', this.handleMachineDetection);
     }
   }
   
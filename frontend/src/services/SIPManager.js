@@ -1,3 +1,6 @@
+import { UserAgent } from 'sip.js';
+import AnsweringMachineDetector from './AnsweringMachineDetector';
+
 /**
  * SIPManager - WebRTC SIP Client for VOIP functionality
  * Handles SIP registration, call management, and real-time communication
@@ -8,6 +11,8 @@ class SIPManager {
   constructor() {
     this.sipUser = null;
     this.currentCall = null;
+    this.consultCall = null; // Second leg during a warm transfer or three-way conference
+    this.machineDetector = null;
     this.isRegistered = false;
     this.registrationRetries = 0;
     this.maxRetries = 3;
@@ -245,6 +250,9 @@ class SIPManager {
             });
             
             this.emit('callConnected', { callSession });
+            if (options.detectMachine) {
+              this.startMachineDetection();
+            }
           } else {
             this.emit('audioFeedback', { 
               type: 'failed', 
@@ -309,6 +317,18 @@ class SIPManager {
       }
 
       const callSession = this.currentCall;
+
+      // Hanging up on a consultation or conference drops the other leg too
+      if (this.consultCall) {
+        if (this.consultCall.sipSession) {
+          await this.consultCall.sipSession.bye();
+        }
+        this.consultCall.state = 'ended';
+        this.consultCall.endTime = new Date();
+        this.consultCall.endReason = reason;
+        this.consultCall = null;
+      }
+
       this.handleCallEnded(callSession, reason);
       
       return true;
@@ -337,6 +357,13 @@ class SIPManager {
       }
     }
 
+    if (this.conferenceAudioContext) {
+      this.conferenceAudioContext.close();
+      this.conferenceAudioContext = null;
+    }
+
+    this.stopMachineDetection();
+
     // Clean up media streams
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => track.stop());
@@ -417,6 +444,391 @@ class SIPManager {
     }
   }
 
+  /**
+   * Build the SIP URI for a transfer target (number, extension or sip: URI)
+   * @param {string} target - Transfer target
+   * @returns {string} SIP URI
+   */
+  buildTargetUri(target) {
+    if (/^sips?:/i.test(target)) {
+      return target;
+    }
+
+    const domain = (this.sipConfig.uri || '').split('@')[1] || 'localhost';
+    return `sip:${String(target).replace(/[^\d+*#]/g, '')}@${domain}`;
+  }
+
+  /**
+   * Blind (cold) transfer - REFER the remote party to the target and drop out
+   * @param {string} target - Number, extension or SIP URI to transfer to
+   * @returns {Promise<Object>} { success, referTo }
+   */
+  async blindTransfer(target) {
+    try {
+      if (!this.currentCall || this.currentCall.state !== 'connected') {
+        throw new Error('No connected call to transfer');
+      }
+
+      if (this.consultCall) {
+        throw new Error('Finish the warm transfer or conference in progress first');
+      }
+
+      const referTo = this.buildTargetUri(target);
+
+      if (this.currentCall.sipSession) {
+        const uri = UserAgent.makeURI(referTo);
+        if (!uri) {
+          throw new Error(`Invalid transfer target: ${target}`);
+        }
+        await this.currentCall.sipSession.refer(uri);
+      }
+
+      const callSession = this.currentCall;
+      callSession.transfer = { type: 'blind', target, referTo, timestamp: new Date() };
+
+      console.log(`↪️ Call transferred to ${referTo}`);
+      this.emit('callTransferred', { callSession, type: 'blind', target });
+      this.handleCallEnded(callSession, 'transferred');
+
+      return { success: true, referTo };
+
+    } catch (error) {
+      console.error('❌ Failed to transfer call:', error);
+      this.emit('transferFailed', { error: error.message, target });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Warm (attended) transfer - hold the prospect and call the target to consult first
+   * @param {string} target - Number, extension or SIP URI to consult
+   * @returns {Promise<Object>} { success, consultCall }
+   */
+  async startAttendedTransfer(target) {
+    try {
+      if (!this.currentCall || this.currentCall.state !== 'connected') {
+        throw new Error('No connected call to transfer');
+      }
+
+      if (this.consultCall) {
+        throw new Error('A consultation is already in progress');
+      }
+
+      if (!this.currentCall.isOnHold) {
+        await this.holdCall();
+      }
+
+      const consultCall = {
+        id: `call-${Date.now()}-consult`,
+        number: target,
+        referTo: this.buildTargetUri(target),
+        direction: 'outgoing',
+        role: 'consult',
+        state: 'connecting',
+        startTime: new Date(),
+        sipSession: null // Populated when a real user agent places the consult INVITE
+      };
+
+      this.consultCall = consultCall;
+      this.emit('consultProgress', { callSession: consultCall, state: 'connecting' });
+
+      // Simulate the consult leg answering
+      setTimeout(() => {
+        if (this.consultCall?.id === consultCall.id) {
+          consultCall.state = 'connected';
+          consultCall.answerTime = new Date();
+
+          // Hold muted the shared microphone; the agent talks to the target now
+          if (this.localStream) {
+            this.localStream.getAudioTracks().forEach(track => {
+              track.enabled = !this.currentCall?.isMuted;
+            });
+          }
+
+          this.emit('consultConnected', { callSession: consultCall });
+        }
+      }, 1500);
+
+      return { success: true, consultCall };
+
+    } catch (error) {
+      console.error('❌ Failed to start warm transfer:', error);
+      this.emit('transferFailed', { error: error.message, target });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Complete a warm transfer - REFER with Replaces so the prospect INVITEs the target,
+   * replacing the consult dialog, and both of our legs drop
+   * @returns {Promise<Object>} { success }
+   */
+  async completeAttendedTransfer() {
+    try {
+      if (!this.currentCall || !this.consultCall || this.consultCall.role !== 'consult') {
+        throw new Error('No warm transfer in progress');
+      }
+
+      if (this.consultCall.state !== 'connected') {
+        throw new Error('Wait for the transfer target to answer');
+      }
+
+      const callSession = this.currentCall;
+      const consultCall = this.consultCall;
+
+      if (callSession.sipSession && consultCall.sipSession) {
+        // SIP.js sends REFER with a Replaces header when given the session to replace
+        await callSession.sipSession.refer(consultCall.sipSession);
+      }
+
+      consultCall.state = 'ended';
+      consultCall.endTime = new Date();
+      consultCall.endReason = 'replaced';
+      this.consultCall = null;
+
+      callSession.transfer = { type: 'attended', target: consultCall.number, referTo: consultCall.referTo, timestamp: new Date() };
+
+      console.log(`↪️ Warm transfer completed to ${consultCall.referTo}`);
+      this.emit('callTransferred', { callSession, type: 'attended', target: consultCall.number, consultCall });
+      this.handleCallEnded(callSession, 'transferred');
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Failed to complete warm transfer:', error);
+      this.emit('transferFailed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel a warm transfer - hang up on the target and take the prospect off hold
+   * @returns {Promise<Object>} { success }
+   */
+  async cancelAttendedTransfer() {
+    try {
+      if (!this.consultCall || this.consultCall.role !== 'consult') {
+        throw new Error('No warm transfer in progress');
+      }
+
+      const consultCall = this.consultCall;
+      if (consultCall.sipSession) {
+        await consultCall.sipSession.bye();
+      }
+
+      consultCall.state = 'ended';
+      consultCall.endTime = new Date();
+      consultCall.endReason = 'cancelled';
+      this.consultCall = null;
+
+      await this.resumeCall();
+
+      this.emit('transferCancelled', { callSession: this.currentCall, consultCall });
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Failed to cancel warm transfer:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Three-way conference - merge the consult leg with the held call, mixing audio locally
+   * @returns {Promise<Object>} { success, participants }
+   */
+  async mergeConference() {
+    try {
+      if (!this.currentCall || !this.consultCall || this.consultCall.role !== 'consult') {
+        throw new Error('Call the third party before merging');
+      }
+
+      if (this.consultCall.state !== 'connected') {
+        throw new Error('Wait for the third party to answer');
+      }
+
+      const callSession = this.currentCall;
+      const conferenceCall = this.consultCall;
+
+      if (callSession.sipSession && conferenceCall.sipSession) {
+        this.bridgeConferenceAudio(callSession, conferenceCall);
+      }
+
+      conferenceCall.role = 'conference';
+      callSession.isOnHold = false;
+      if (this.localStream) {
+        this.localStream.getAudioTracks().forEach(track => {
+          track.enabled = !callSession.isMuted;
+        });
+      }
+
+      callSession.conference = {
+        participants: [callSession.number, conferenceCall.number],
+        startedAt: new Date()
+      };
+
+      this.emit('audioFeedback', {
+        type: 'resume',
+        message: 'Conference started'
+      });
+
+      this.emit('conferenceStarted', { callSession, conferenceCall });
+      return { success: true, participants: callSession.conference.participants };
+
+    } catch (error) {
+      console.error('❌ Failed to start conference:', error);
+      this.emit('transferFailed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send each leg the agent's microphone mixed with the other leg's audio
+   * @param {Object} firstCall - Call session with a SIP.js session
+   * @param {Object} secondCall - Call session with a SIP.js session
+   */
+  bridgeConferenceAudio(firstCall, secondCall) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const legs = [firstCall, secondCall].map(call => call.sipSession.sessionDescriptionHandler.peerConnection);
+
+    const remoteStreams = legs.map(peerConnection => new MediaStream(
+      peerConnection.getReceivers()
+        .map(receiver => receiver.track)
+        .filter(track => track && track.kind === 'audio')
+    ));
+
+    legs.forEach((peerConnection, index) => {
+      const mix = audioContext.createMediaStreamDestination();
+      if (this.localStream) {
+        audioContext.createMediaStreamSource(this.localStream).connect(mix);
+      }
+      audioContext.createMediaStreamSource(remoteStreams[1 - index]).connect(mix);
+
+      const sender = peerConnection.getSenders().find(entry => entry.track && entry.track.kind === 'audio');
+      if (sender) {
+        sender.replaceTrack(mix.stream.getAudioTracks()[0]);
+      }
+    });
+
+    this.conferenceAudioContext = audioContext;
+  }
+
+  /**
+   * Drop a pre-recorded voicemail - play the clip to the remote party and free the agent
+   * The SIP leg stays up until the clip finishes and then hangs up by itself
+   * @param {string} clipUrl - Clip the browser can fetch
+   * @returns {Promise<Object>} { success, duration }
+   */
+  async dropVoicemail(clipUrl) {
+    try {
+      if (!this.currentCall || this.currentCall.state !== 'connected') {
+        throw new Error('No connected call to drop a voicemail on');
+      }
+
+      if (this.consultCall) {
+        throw new Error('Finish the warm transfer or conference in progress first');
+      }
+
+      const callSession = this.currentCall;
+      this.stopMachineDetection();
+
+      const duration = callSession.sipSession
+        ? await this.playClipIntoCall(callSession.sipSession, clipUrl)
+        : null;
+
+      callSession.voicemailDrop = { clipUrl, duration, timestamp: new Date() };
+
+      console.log('📼 Voicemail dropped');
+      this.emit('voicemailDropped', { callSession, clipUrl });
+      this.handleCallEnded(callSession, 'voicemail_drop');
+
+      return { success: true, duration };
+
+    } catch (error) {
+      console.error('❌ Failed to drop voicemail:', error);
+      this.emit('voicemailDropFailed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a clip down the call in place of the microphone and hang up when it ends
+   * @param {Object} sipSession - SIP.js session
+   * @param {string} clipUrl - Clip the browser can fetch
+   * @returns {Promise<number>} Clip length in seconds
+   */
+  async playClipIntoCall(sipSession, clipUrl) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    try {
+      const response = await fetch(clipUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load voicemail clip (${response.status})`);
+      }
+      const buffer = await audioContext.decodeAudioData(await response.arrayBuffer());
+
+      const source = audioContext.createBufferSource();
+      const destination = audioContext.createMediaStreamDestination();
+      source.buffer = buffer;
+      source.connect(destination);
+
+      const peerConnection = sipSession.sessionDescriptionHandler.peerConnection;
+      const sender = peerConnection.getSenders().find(entry => entry.track && entry.track.kind === 'audio');
+      if (sender) {
+        await sender.replaceTrack(destination.stream.getAudioTracks()[0]);
+      }
+
+      source.onended = () => {
+        audioContext.close();
+        sipSession.bye().catch(error => console.warn('⚠️ Failed to hang up after voicemail drop:', error));
+      };
+      source.start();
+
+      return Math.round(buffer.duration);
+
+    } catch (error) {
+      audioContext.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to the remote party for an answering machine
+   * Emits 'machineDetection' with { callSession, answeredBy, detectionMs }
+   * @returns {boolean} False when the call has no remote audio to listen to
+   */
+  startMachineDetection() {
+    const callSession = this.currentCall;
+    if (!callSession?.sipSession) {
+      return false;
+    }
+
+    const peerConnection = callSession.sipSession.sessionDescriptionHandler.peerConnection;
+    const remoteStream = new MediaStream(
+      peerConnection.getReceivers()
+        .map(receiver => receiver.track)
+        .filter(track => track && track.kind === 'audio')
+    );
+
+    this.stopMachineDetection();
+    this.machineDetector = new AnsweringMachineDetector({
+      onResult: (result) => {
+        this.machineDetector = null;
+        callSession.answeredBy = result.answeredBy;
+        this.emit('machineDetection', { callSession, ...result });
+      }
+    });
+    this.machineDetector.start(remoteStream);
+
+    return true;
+  }
+
+  stopMachineDetection() {
+    if (this.machineDetector) {
+      this.machineDetector.stop();
+      this.machineDetector = null;
+    }
+  }
+
   /**
    * Mute/unmute microphone
    * @param {boolean} mute - Mute state
@@ -3,6 +3,9 @@ import MediaManager from './MediaManager';
 import CallSession from './CallSession';
 import SIPConfigManager from './SIPConfigManager';
 import webrtcUtils from '../utils/webrtcUtils';
+import complianceService from './complianceService';
+import callsService from './callsService';
+import inboundService from './inboundService';
 
 // VOIPService - Main VOIP service orchestrator
 // Integrates SIP.js, WebRTC media, call management, and configuration
@@ -287,6 +290,15 @@ class VOIPService {
         throw new Error('Another call is already in progress');
       }
       
+      // SIP calls bypass the backend, so clear DNC and calling-hours rules first
+      const clearance = await complianceService.authorizeCall(phoneNumber, {
+        leadId: options.leadId,
+        complianceOverride: options.complianceOverride
+      });
+      if (!clearance.success) {
+        throw new Error(clearance.message || 'Call blocked by compliance rules');
+      }
+      
       // Get user media first
       const stream = await this.mediaManager.getUserMedia();
       
@@ -301,8 +313,11 @@ class VOIPService {
       // Set up session event listeners
       this.setupSessionEventListeners(session);
       
-      // Start the call
-      const result = await session.startCall(phoneNumber, options);
+      // Start the call; a voicemail clip turns on answering-machine detection
+      const result = await session.startCall(phoneNumber, {
+        ...options,
+        detectMachine: Boolean(options.detectVoicemail || options.voicemailClip)
+      });
       
       if (result.success) {
         this.activeSessions.set(sessionId, session);
@@ -356,11 +371,34 @@ class VOIPService {
       
       console.log(`📲 Incoming call: ${event.from}`);
       
+      // Ring right away; the screen-pop follows once the caller is matched
+      this.identifyCaller(session, event.from);
+      
     } catch (error) {
       console.error('❌ Failed to handle incoming call:', error);
     }
   }
   
+  // Match an inbound caller to a lead (phone or alternate phone) for the screen-pop
+  async identifyCaller(session, phoneNumber) {
+    const response = await inboundService.lookupCaller(phoneNumber);
+    if (!response.success || !this.activeSessions.has(session.sessionId)) return;
+    
+    const { lead, recentCalls, otherMatches } = response.data;
+    if (lead) {
+      session.leadId = lead.id;
+      session.displayName = session.displayName || lead.name;
+    }
+    
+    this.emit('callerIdentified', {
+      sessionId: session.sessionId,
+      phoneNumber: response.data.phoneNumber || phoneNumber,
+      lead,
+      recentCalls,
+      otherMatches
+    });
+  }
+  
   // Answer incoming call
   async answerCall(sessionId) {
     try {
@@ -507,6 +545,203 @@ class VOIPService {
     }
   }
   
+  // Transfer call - 'blind' (REFER) or 'attended' (consult first, then REFER with Replaces)
+  async transferCall(target, { type = 'blind', sessionId = null } = {}) {
+    try {
+      const session = this.getSessionOrThrow(sessionId);
+      
+      const result = await session.transferCall(target, type);
+      
+      // Browser SIP calls never reach the server, so report the legs to the call log
+      if (session.callLogId) {
+        await callsService.transferCall(session.callLogId, {
+          target,
+          type,
+          consultCallSid: result.consultCallId
+        });
+      }
+      
+      if (type === 'blind') {
+        this.releaseSession(session.sessionId);
+      }
+      
+      this.emit(type === 'blind' ? 'callTransferred' : 'consultStarted', {
+        sessionId: session.sessionId,
+        type,
+        target,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log(`↪️ ${type === 'blind' ? 'Call transferred' : 'Consulting'}: ${target}`);
+      return { success: true, type, consultCallId: result.consultCallId };
+      
+    } catch (error) {
+      console.error('❌ Failed to transfer call:', error);
+      throw error;
+    }
+  }
+  
+  // Complete a warm transfer
+  async completeTransfer(sessionId = null) {
+    try {
+      const session = this.getSessionOrThrow(sessionId);
+      
+      await session.completeTransfer();
+      if (session.callLogId) {
+        await callsService.completeTransfer(session.callLogId);
+      }
+      
+      this.releaseSession(session.sessionId);
+      
+      this.emit('callTransferred', {
+        sessionId: session.sessionId,
+        type: 'attended',
+        timestamp: new Date().toISOString()
+      });
+      
+      return { success: true };
+      
+    } catch (error) {
+      console.error('❌ Failed to complete transfer:', error);
+      throw error;
+    }
+  }
+  
+  // Cancel a warm transfer and return to the held call
+  async cancelTransfer(sessionId = null) {
+    try {
+      const session = this.getSessionOrThrow(sessionId);
+      
+      await session.cancelTransfer();
+      if (session.callLogId) {
+        await callsService.cancelTransfer(session.callLogId);
+      }
+      
+      this.emit('transferCancelled', {
+        sessionId: session.sessionId,
+        timestamp: new Date().toISOString()
+      });
+      
+      return { success: true };
+      
+    } catch (error) {
+      console.error('❌ Failed to cancel transfer:', error);
+      throw error;
+    }
+  }
+  
+  // Merge the consult leg into a three-way conference
+  async startConference(sessionId = null) {
+    try {
+      const session = this.getSessionOrThrow(sessionId);
+      
+      const result = await session.startConference();
+      if (session.callLogId) {
+        await callsService.startConference(session.callLogId);
+      }
+      
+      this.emit('conferenceStarted', {
+        sessionId: session.sessionId,
+        participants: result.participants,
+        timestamp: new Date().toISOString()
+      });
+      
+      return { success: true, participants: result.participants };
+      
+    } catch (error) {
+      console.error('❌ Failed to start conference:', error);
+      throw error;
+    }
+  }
+  
+  // Play a pre-recorded voicemail into the call and free the agent for the next one
+  async dropVoicemail(clip, { sessionId = null, trigger = 'manual' } = {}) {
+    try {
+      const session = this.getSessionOrThrow(sessionId);
+      
+      // The server logs the outcome as Voicemail with the clip ID
+      if (session.callLogId) {
+        const response = await callsService.dropVoicemail(session.callLogId, clip.id, trigger);
+        if (!response.success) {
+          throw new Error(response.message);
+        }
+      }
+      
+      return await this.playVoicemailDrop(session, clip, trigger);
+      
+    } catch (error) {
+      console.error('❌ Failed to drop voicemail:', error);
+      throw error;
+    }
+  }
+  
+  // Report the answering-machine result and drop the voicemail after the beep
+  async handleMachineDetected(session, { answeredBy, detectionMs }) {
+    try {
+      let clip = null;
+      
+      if (session.callLogId) {
+        // The server decides on the drop and logs it; it returns the clip to play
+        const response = await callsService.reportMachineDetection(session.callLogId, { answeredBy, detectionMs });
+        clip = response.success ? response.data.clip : null;
+      } else if (answeredBy.startsWith('machine_end')) {
+        clip = session.voicemailClip;
+      }
+      
+      this.emit('machineDetected', {
+        sessionId: session.sessionId,
+        answeredBy,
+        detectionMs,
+        timestamp: new Date().toISOString()
+      });
+      
+      if (clip) {
+        await this.playVoicemailDrop(session, clip, 'amd');
+      }
+      
+    } catch (error) {
+      console.error('❌ Failed to handle answering-machine result:', error);
+    }
+  }
+  
+  async playVoicemailDrop(session, clip, trigger) {
+    const result = await session.dropVoicemail(clip, trigger);
+    this.releaseSession(session.sessionId);
+    
+    this.emit('voicemailDropped', {
+      sessionId: session.sessionId,
+      clipId: clip.id,
+      trigger,
+      timestamp: new Date().toISOString()
+    });
+    
+    console.log(`📼 Voicemail dropped: ${clip.name}`);
+    return { success: true, duration: result.duration };
+  }
+  
+  // Look up a session, defaulting to the current call
+  getSessionOrThrow(sessionId = null) {
+    const targetSessionId = sessionId || (this.currentSession?.sessionId);
+    if (!targetSessionId) {
+      throw new Error('No active call');
+    }
+    
+    const session = this.activeSessions.get(targetSessionId);
+    if (!session) {
+      throw new Error('Call session not found');
+    }
+    
+    return session;
+  }
+  
+  // Forget a session whose call has been handed off
+  releaseSession(sessionId) {
+    this.activeSessions.delete(sessionId);
+    if (this.currentSession?.sessionId === sessionId) {
+      this.currentSession = null;
+    }
+  }
+  
   // Send DTMF tone
   async sendDTMF(tone, sessionId = null) {
     try {
@@ -614,12 +849,16 @@ class VOIPService {
     const events = [
       'callStarted', 'callAnswered', 'callRejected', 'callEnded',
       'callHeld', 'callUnheld', 'dtmfSent', 'muteChanged',
-      'volumeChanged', 'stateChanged', 'qualityUpdate'
+      'volumeChanged', 'stateChanged', 'qualityUpdate',
+      'consultStarted', 'callTransferred', 'transferCancelled', 'conferenceStarted',
+      'voicemailDropped', 'machineDetected'
     ];
     
     events.forEach(event => {
       session.on(event, (data) => this.handleSessionEvent(session.sessionId, { type: event, ...data }));
     });
+    
+    session.on('machineDetected', (data) => this.handleMachineDetected(session, data));
   }
   
   // Start quality monitoring
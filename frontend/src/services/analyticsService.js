@@ -0,0 +1,173 @@
+/**
+ * Analytics Service
+ * Handles API calls for cohort, attribution and lead journey analytics, revenue forecasts and scheduled report subscriptions
+ */
+
+import api from './api.js';
+
+const toQuery = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `?${query}` : '';
+};
+
+// Analytics service for the lead analytics dashboard
+export const analyticsService = {
+
+  /**
+   * Get lead cohorts by creation week and source with cumulative conversion curves
+   * @param {Object} params - { start_date, end_date, max_weeks }
+   * @returns {Promise<Object>} { cohorts, sources, maxWeeks, totalLeads }
+   */
+  getCohorts: async (params) => {
+    try {
+      return await api.get(`/analytics/cohorts${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch cohort analytics:', error);
+      return { success: false, data: { cohorts: [], sources: [] }, message: 'Failed to load cohort analytics' };
+    }
+  },
+
+  /**
+   * Get first-touch, last-touch, linear and time-decay attribution of won leads
+   * @param {Object} params - { start_date, end_date, half_life_days }
+   * @returns {Promise<Object>} { models, channels, conversions, averageTouches }
+   */
+  getAttribution: async (params) => {
+    try {
+      return await api.get(`/analytics/attribution${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch attribution analytics:', error);
+      return { success: false, data: { models: [], channels: [] }, message: 'Failed to load attribution analytics' };
+    }
+  },
+
+  /**
+   * Get the most common status paths and transitions to closed_won
+   * @param {Object} params - { start_date, end_date, limit }
+   * @returns {Promise<Object>} { paths, finalSteps, transitions, wonLeads, averageDaysToWin }
+   */
+  getJourneys: async (params) => {
+    try {
+      return await api.get(`/analytics/journeys${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch journey analytics:', error);
+      return { success: false, data: { paths: [], finalSteps: [], transitions: [] }, message: 'Failed to load journey analytics' };
+    }
+  },
+
+  /**
+   * Get the weighted pipeline forecast with agent and team rollups and call volume / closed-won time series
+   * @param {Object} params - { period, forecast_period, history_days }
+   * @returns {Promise<Object>} { pipelineForecast, timeSeries, ... }
+   */
+  getForecast: async (params) => {
+    try {
+      return await api.get(`/analytics/forecasting${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch forecast:', error);
+      return { success: false, data: null, message: 'Failed to load forecast' };
+    }
+  },
+
+  /**
+   * Get how close stored forecasts came to what was won in finished periods
+   * @param {Object} params - { period, scope, scope_id }
+   * @returns {Promise<Object>} { periods, summary, mostAccurate }
+   */
+  getForecastAccuracy: async (params) => {
+    try {
+      return await api.get(`/analytics/forecasting/accuracy${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch forecast accuracy:', error);
+      return { success: false, data: { periods: [], summary: {} }, message: 'Failed to load forecast accuracy' };
+    }
+  },
+
+  /**
+   * Get stored daily forecast snapshots, newest first
+   * @param {Object} params - { period, scope, scope_id, limit }
+   */
+  getForecastSnapshots: async (params) => {
+    try {
+      return await api.get(`/analytics/forecasting/snapshots${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch forecast snapshots:', error);
+      return { success: false, data: [], message: 'Failed to load forecast snapshots' };
+    }
+  },
+
+  /**
+   * Get scheduled report subscriptions
+   * @param {Object} params - { active }
+   * @returns {Promise<Array>} Subscriptions with lastRunAt and lastRunStatus
+   */
+  getSubscriptions: async (params) => {
+    try {
+      return await api.get(`/analytics/subscriptions${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch report subscriptions:', error);
+      return { success: false, data: [], message: 'Failed to load report subscriptions' };
+    }
+  },
+
+  /**
+   * Subscribe recipients to a report emailed on a cron schedule
+   * @param {Object} subscription - { name, reportType, sections, filters, lookbackDays, schedule, timeZone, recipients, format, includeCharts }
+   */
+  createSubscription: async (subscription) => {
+    try {
+      return await api.post('/analytics/subscriptions', subscription);
+    } catch (error) {
+      console.error('❌ Failed to create report subscription:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to create report subscription' };
+    }
+  },
+
+  updateSubscription: async (id, updates) => {
+    try {
+      return await api.put(`/analytics/subscriptions/${id}`, updates);
+    } catch (error) {
+      console.error('❌ Failed to update report subscription:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to update report subscription' };
+    }
+  },
+
+  deleteSubscription: async (id) => {
+    try {
+      return await api.delete(`/analytics/subscriptions/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to delete report subscription:', error);
+      return { success: false, message: 'Failed to delete report subscription' };
+    }
+  },
+
+  /**
+   * Build and email a subscription's report now
+   * @returns {Promise<Object>} The recorded run
+   */
+  sendSubscriptionNow: async (id) => {
+    try {
+      return await api.post(`/analytics/subscriptions/${id}/send`);
+    } catch (error) {
+      console.error('❌ Failed to send report:', error);
+      return { success: false, data: error.response?.data?.error?.details || null, message: error.response?.data?.error?.message || 'Failed to send report' };
+    }
+  },
+
+  /**
+   * Get a subscription's delivery history, newest first
+   * @param {Object} params - { limit }
+   */
+  getSubscriptionRuns: async (id, params) => {
+    try {
+      return await api.get(`/analytics/subscriptions/${id}/runs${toQuery(params)}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch report runs:', error);
+      return { success: false, data: [], message: 'Failed to load report runs' };
+    }
+  }
+};
+
+export default analyticsService;
@@ -0,0 +1,119 @@
+/**
+ * Booking Service
+ * Handles booking page management and the public self-service booking flow
+ */
+
+import api from './api.js';
+
+// Booking service for booking pages and public bookings
+export const bookingService = {
+
+  /**
+   * Get booking pages
+   * @param {Object} params - { isActive, userId, teamId }
+   * @returns {Promise<Object>} Booking pages
+   */
+  getPages: async (params = {}) => {
+    try {
+      return await api.get('/booking/pages', { params }, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch booking pages:', error);
+      return { success: false, data: [], message: 'Failed to load booking pages' };
+    }
+  },
+
+  /**
+   * Create a booking page
+   * @param {Object} page - { slug, title, assignment, userId | teamId, weeklyHours, durationMinutes, ... }
+   * @returns {Promise<Object>} Created page
+   */
+  createPage: async (page) => {
+    try {
+      return await api.post('/booking/pages', page);
+    } catch (error) {
+      console.error('❌ Failed to create booking page:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to create booking page' };
+    }
+  },
+
+  /**
+   * Update a booking page
+   * @param {string} id - Booking page ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated page
+   */
+  updatePage: async (id, updates) => {
+    try {
+      return await api.put(`/booking/pages/${id}`, updates);
+    } catch (error) {
+      console.error('❌ Failed to update booking page:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to update booking page' };
+    }
+  },
+
+  /**
+   * Deactivate a booking page
+   * @param {string} id - Booking page ID
+   */
+  deletePage: async (id) => {
+    try {
+      return await api.delete(`/booking/pages/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to deactivate booking page:', error);
+      return { success: false, message: 'Failed to deactivate booking page' };
+    }
+  },
+
+  /**
+   * Public page details
+   * @param {string} slug - Booking page slug
+   * @returns {Promise<Object>} { title, description, durationMinutes, timeZone, questions }
+   */
+  getPublicPage: async (slug) => {
+    try {
+      return await api.get(`/booking/public/${slug}`, {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch booking page:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Booking page not found' };
+    }
+  },
+
+  /**
+   * Open slots grouped by day in the given time zone
+   * @param {string} slug - Booking page slug
+   * @param {Object} params - { from, to, timeZone }
+   * @returns {Promise<Object>} { timeZone, durationMinutes, days: [{ date, slots }] }
+   */
+  getSlots: async (slug, params = {}) => {
+    try {
+      return await api.get(`/booking/public/${slug}/slots`, { params }, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch available times:', error);
+      return { success: false, data: { days: [] }, message: 'Failed to load available times' };
+    }
+  },
+
+  /**
+   * Book a slot
+   * @param {string} slug - Booking page slug
+   * @param {Object} booking - { start, timeZone, name, email, phone, company, answers }; phone is required
+   * @returns {Promise<Object>} { bookingId, start, durationMinutes, timeZone, confirmationSent, confirmationMessage }
+   */
+  book: async (slug, booking) => {
+    try {
+      return await api.post(`/booking/public/${slug}/bookings`, booking);
+    } catch (error) {
+      console.error('❌ Failed to book meeting:', error);
+      const data = error.response?.data;
+      return {
+        success: false,
+        data: null,
+        status: error.response?.status,
+        message: data?.error?.message || 'Failed to book meeting',
+        details: Array.isArray(data?.error?.details) ? data.error.details : []
+      };
+    }
+  }
+};
+
+export default bookingService;
@@ -0,0 +1,107 @@
+/**
+ * Calendar Service
+ * Handles ICS subscription feeds, calendar availability and meeting invites for follow-ups
+ */
+
+import api from './api.js';
+
+// Calendar service for feeds, availability and invites
+export const calendarService = {
+
+  /**
+   * Get active feeds (the URL itself is only shown when a feed is created)
+   * @returns {Promise<Object>} Feeds
+   */
+  getFeeds: async () => {
+    try {
+      return await api.get('/calendar/feeds', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch calendar feeds:', error);
+      return { success: false, data: [], message: 'Failed to load calendar feeds' };
+    }
+  },
+
+  /**
+   * Create a subscription feed of your open follow-ups for Google Calendar, Outlook or Apple Calendar
+   * @param {Object} options - { name }
+   * @returns {Promise<Object>} Feed with its one-time url
+   */
+  createFeed: async (options = {}) => {
+    try {
+      return await api.post('/calendar/feeds', options);
+    } catch (error) {
+      console.error('❌ Failed to create calendar feed:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to create calendar feed' };
+    }
+  },
+
+  /**
+   * Revoke a feed; calendars subscribed to it stop updating
+   * @param {string} id - Feed ID
+   */
+  revokeFeed: async (id) => {
+    try {
+      return await api.delete(`/calendar/feeds/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to revoke calendar feed:', error);
+      return { success: false, message: 'Failed to revoke calendar feed' };
+    }
+  },
+
+  /**
+   * Busy periods on the team calendar
+   * @param {Object} params - { start, end }
+   * @returns {Promise<Object>} { provider, start, end, busy }
+   */
+  getAvailability: async (params) => {
+    try {
+      return await api.get('/calendar/availability', { params });
+    } catch (error) {
+      console.error('❌ Failed to fetch calendar availability:', error);
+      return { success: false, data: { provider: null, busy: [] }, message: 'Failed to load availability' };
+    }
+  },
+
+  /**
+   * Invites sent for a follow-up with their RSVP status
+   * @param {string} followupId - Follow-up ID
+   */
+  getInvites: async (followupId) => {
+    try {
+      return await api.get(`/calendar/followups/${followupId}/invites`);
+    } catch (error) {
+      console.error('❌ Failed to fetch meeting invites:', error);
+      return { success: false, data: [], message: 'Failed to load meeting invites' };
+    }
+  },
+
+  /**
+   * Email a follow-up to its lead as a calendar invite
+   * @param {string} followupId - Follow-up ID
+   * @param {Object} invite - { attendeeEmail, attendeeName, location, message }; defaults to the lead
+   */
+  sendInvite: async (followupId, invite = {}) => {
+    try {
+      return await api.post(`/calendar/followups/${followupId}/invites`, invite);
+    } catch (error) {
+      console.error('❌ Failed to send meeting invite:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.details || error.response?.data?.error?.message || 'Failed to send meeting invite' };
+    }
+  },
+
+  /**
+   * Cancel an invite; the lead gets a cancellation for their calendar
+   * @param {string} followupId - Follow-up ID
+   * @param {string} inviteId - Invite ID
+   */
+  cancelInvite: async (followupId, inviteId) => {
+    try {
+      return await api.delete(`/calendar/followups/${followupId}/invites/${inviteId}`);
+    } catch (error) {
+      console.error('❌ Failed to cancel meeting invite:', error);
+      return { success: false, data: null, message: 'Failed to cancel meeting invite' };
+    }
+  }
+};
+
+export default calendarService;
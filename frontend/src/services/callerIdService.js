@@ -0,0 +1,116 @@
+/**
+ * Caller ID Service
+ * Handles API calls for the outbound caller-ID pool: numbers, caps, flags and purchases
+ */
+
+import api from './api.js';
+
+// Caller ID service for managing the local-presence number pool
+export const callerIdService = {
+
+  /**
+   * Get pool numbers with today's calls, answer rate and rest state
+   * @param {string} status - Optional filter: active, resting or retired
+   * @returns {Promise<Object>} { numbers, settings }
+   */
+  getNumbers: async (status) => {
+    try {
+      const query = status ? `?status=${encodeURIComponent(status)}` : '';
+      return await api.get(`/caller-ids${query}`, {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch caller IDs:', error);
+      return { success: false, data: { numbers: [], settings: null }, message: 'Failed to load caller IDs' };
+    }
+  },
+
+  /**
+   * Add a number the account already owns
+   * @param {Object} numberData - { phoneNumber, friendlyName, state, dailyCap }
+   * @returns {Promise<Object>} Added number; 409 when it is already in the pool
+   */
+  addNumber: async (numberData) => {
+    try {
+      return await api.post('/caller-ids', numberData);
+    } catch (error) {
+      console.error('❌ Failed to add caller ID:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to add caller ID' };
+    }
+  },
+
+  /**
+   * Change a number's cap or details; status active clears a rest or flag
+   * @param {string} id - Pool number ID
+   * @param {Object} numberData - { friendlyName, locality, state, dailyCap, status }
+   * @returns {Promise<Object>} Updated number
+   */
+  updateNumber: async (id, numberData) => {
+    try {
+      return await api.put(`/caller-ids/${id}`, numberData);
+    } catch (error) {
+      console.error('❌ Failed to update caller ID:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to update caller ID' };
+    }
+  },
+
+  /**
+   * Rest a spam-labelled or blocked number until it is reactivated
+   * @param {string} id - Pool number ID
+   * @param {string} reason - Optional note, e.g. carrier label
+   * @returns {Promise<Object>} Flagged number
+   */
+  flagNumber: async (id, reason) => {
+    try {
+      return await api.post(`/caller-ids/${id}/flag`, { reason });
+    } catch (error) {
+      console.error('❌ Failed to flag caller ID:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to flag caller ID' };
+    }
+  },
+
+  /**
+   * Remove a number from the pool
+   * @param {string} id - Pool number ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  deleteNumber: async (id) => {
+    try {
+      return await api.delete(`/caller-ids/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to remove caller ID:', error);
+      return { success: false, message: 'Failed to remove caller ID' };
+    }
+  },
+
+  /**
+   * Search numbers for sale
+   * @param {Object} params - { areaCode, state, contains, limit }
+   * @returns {Promise<Object>} Available numbers, each marked inPool
+   */
+  searchAvailable: async (params = {}) => {
+    try {
+      const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+      ).toString();
+      return await api.get(`/caller-ids/available?${query}`);
+    } catch (error) {
+      console.error('❌ Failed to search caller IDs:', error);
+      return { success: false, data: [], message: error.response?.data?.error?.message || 'Failed to search numbers' };
+    }
+  },
+
+  /**
+   * Buy a number from a search result and add it to the pool
+   * @param {Object} result - { phoneNumber, region, locality }
+   * @returns {Promise<Object>} Added number
+   */
+  purchaseNumber: async (result) => {
+    try {
+      return await api.post('/caller-ids/purchase', result);
+    } catch (error) {
+      console.error('❌ Failed to purchase caller ID:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to purchase number' };
+    }
+  }
+};
+
+export default callerIdService;
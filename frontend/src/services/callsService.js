@@ -4,6 +4,7 @@
  */
 
 import api from './api.js';
+import { getComplianceBlock } from './complianceService.js';
 
 // Calls service for managing call logs and statistics
 export const callsService = {
@@ -242,12 +243,22 @@ export const callsService = {
    * @param {Object} sessionData - Call session info
    * @param {string|number} sessionData.leadId - Lead being called
    * @param {string} sessionData.phone - Phone number
-   * @returns {Promise<Object>} Call session ID
+   * @param {Object} sessionData.complianceOverride - { reason } to dial despite a DNC/calling-hours block
+   * @returns {Promise<Object>} Call session ID, or compliance details when the call is blocked
    */
   startCallSession: async (sessionData) => {
     try {
       return await api.post('/calls/start', sessionData, {}, false);
     } catch (error) {
+      const block = getComplianceBlock(error);
+      if (block) {
+        return {
+          success: false,
+          data: null,
+          compliance: block,
+          message: block.violations.map(violation => violation.message).join('; ')
+        };
+      }
       console.error('❌ Failed to start call session:', error);
       return {
         success: false,
@@ -276,6 +287,122 @@ export const callsService = {
     }
   },
   
+  /**
+   * Transfer a call - blind hands off at once, attended holds the prospect while the agent consults
+   * @param {string|number} callId - Call log ID
+   * @param {Object} transfer - { target, type: 'blind'|'attended', consultCallSid }
+   * @returns {Promise<Object>} Updated call, the transfer and (Twilio) the room the agent joins
+   */
+  transferCall: async (callId, transfer) => {
+    try {
+      return await api.post(`/calls/${callId}/transfer`, transfer);
+    } catch (error) {
+      console.error('❌ Failed to transfer call:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to transfer call' };
+    }
+  },
+
+  /**
+   * Complete a warm transfer - connect the prospect to the consulted target
+   * @param {string|number} callId - Call log ID
+   * @returns {Promise<Object>} Updated call and the completed transfer
+   */
+  completeTransfer: async (callId) => {
+    try {
+      return await api.post(`/calls/${callId}/transfer/complete`);
+    } catch (error) {
+      console.error('❌ Failed to complete transfer:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to complete transfer' };
+    }
+  },
+
+  /**
+   * Cancel a warm transfer - hang up on the target and take the prospect off hold
+   * @param {string|number} callId - Call log ID
+   * @returns {Promise<Object>} Updated call and the cancelled transfer
+   */
+  cancelTransfer: async (callId) => {
+    try {
+      return await api.post(`/calls/${callId}/transfer/cancel`);
+    } catch (error) {
+      console.error('❌ Failed to cancel transfer:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to cancel transfer' };
+    }
+  },
+
+  /**
+   * Start a three-way conference
+   * @param {string|number} callId - Call log ID
+   * @param {Object} options - { target, participantCallSid }; omit target to merge a warm-transfer consultation
+   * @returns {Promise<Object>} Updated call and the conference
+   */
+  startConference: async (callId, options = {}) => {
+    try {
+      return await api.post(`/calls/${callId}/conference`, options);
+    } catch (error) {
+      console.error('❌ Failed to start conference:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to start conference' };
+    }
+  },
+
+  /**
+   * Get every leg, participant, transfer and conference on a call
+   * @param {string|number} callId - Call log ID
+   * @returns {Promise<Object>} { legs, participants, transfers, conference }
+   */
+  getCallLegs: async (callId) => {
+    try {
+      return await api.get(`/calls/${callId}/legs`, {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch call legs:', error);
+      return { success: false, data: null, message: 'Failed to load call legs' };
+    }
+  },
+
+  /**
+   * Get the voicemail clips agents can drop
+   * @returns {Promise<Object>} List of { id, name, duration, source, playbackUrl }
+   */
+  getVoicemailClips: async () => {
+    try {
+      return await api.get('/calls/voicemail-clips', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch voicemail clips:', error);
+      return { success: false, data: [], message: 'Failed to load voicemail clips' };
+    }
+  },
+
+  /**
+   * Drop a pre-recorded voicemail - plays the clip, releases the agent and logs Voicemail
+   * @param {string|number} callId - Call log ID
+   * @param {string} clipId - Audio clip or uploaded file ID
+   * @param {string} trigger - 'manual' or 'amd'
+   * @returns {Promise<Object>} Updated call, the drop and the clip
+   */
+  dropVoicemail: async (callId, clipId, trigger = 'manual') => {
+    try {
+      return await api.post(`/calls/${callId}/voicemail-drop`, { clipId, trigger });
+    } catch (error) {
+      console.error('❌ Failed to drop voicemail:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to drop voicemail' };
+    }
+  },
+
+  /**
+   * Report a browser answering-machine result; the server auto-drops when the call has a clip
+   * @param {string|number} callId - Call log ID
+   * @param {Object} result - { answeredBy, detectionMs }
+   * @returns {Promise<Object>} Updated call, the AMD result and any drop with its clip
+   */
+  reportMachineDetection: async (callId, result) => {
+    try {
+      return await api.post(`/calls/${callId}/amd`, result);
+    } catch (error) {
+      console.error('❌ Failed to report answering-machine result:', error);
+      return { success: false, data: null, message: 'Failed to report answering-machine result' };
+    }
+  },
+
   /**
    * Search call logs by notes or lead name
    * @param {string} searchTerm - Search query
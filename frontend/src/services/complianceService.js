@@ -0,0 +1,132 @@
+/**
+ * Compliance Service
+ * Handles API calls for the do-not-call list and outbound call compliance checks
+ */
+
+import api from './api.js';
+
+// Pull the violations out of a 403 compliance block
+const getComplianceBlock = (error) => {
+  const details = error.response?.data?.error?.details;
+  return details?.code === 'CALL_COMPLIANCE_BLOCKED' ? details : null;
+};
+
+// Compliance service for DNC and calling-hours rules
+export const complianceService = {
+
+  /**
+   * Check whether a number may be dialed now, without dialing it
+   * @param {string} phoneNumber - Number to dial
+   * @param {string} leadId - Optional lead ID
+   * @returns {Promise<Object>} { allowed, violations, timeZone, localTime }
+   */
+  checkCall: async (phoneNumber, leadId) => {
+    try {
+      return await api.post('/compliance/check', { phoneNumber, leadId });
+    } catch (error) {
+      console.error('❌ Failed to check call compliance:', error);
+      return { success: false, data: null, message: 'Failed to check call compliance' };
+    }
+  },
+
+  /**
+   * Clear a call placed outside the server (browser SIP); overrides need a reason and are audited
+   * @param {string} phoneNumber - Number to dial
+   * @param {Object} options - { leadId, complianceOverride: { reason } }
+   * @returns {Promise<Object>} success false with compliance details when blocked
+   */
+  authorizeCall: async (phoneNumber, options = {}) => {
+    try {
+      return await api.post('/compliance/authorize', { phoneNumber, ...options });
+    } catch (error) {
+      const block = getComplianceBlock(error);
+      if (block) {
+        return {
+          success: false,
+          data: null,
+          compliance: block,
+          message: block.violations.map(violation => violation.message).join('; ')
+        };
+      }
+      console.error('❌ Failed to authorize call:', error);
+      return { success: false, data: null, message: 'Failed to authorize call' };
+    }
+  },
+
+  /**
+   * Get the configured local calling windows
+   * @returns {Promise<Object>} { weekdays, saturday, sunday, defaultTimeZone }
+   */
+  getCallingWindows: async () => {
+    try {
+      return await api.get('/compliance/calling-windows', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch calling windows:', error);
+      return { success: false, data: null, message: 'Failed to load calling windows' };
+    }
+  },
+
+  /**
+   * Get the internal do-not-call list
+   * @param {Object} params - { search, limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  getDoNotCallList: async (params = {}) => {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const url = queryString ? `/compliance/dnc?${queryString}` : '/compliance/dnc';
+      return await api.get(url, {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch do-not-call list:', error);
+      return { success: false, data: { entries: [], total: 0 }, message: 'Failed to load do-not-call list' };
+    }
+  },
+
+  /**
+   * Add a number to the do-not-call list
+   * @param {string} phoneNumber - Number to block
+   * @param {Object} options - { reason, source, expiresAt }
+   * @returns {Promise<Object>} Created entry
+   */
+  addToDoNotCall: async (phoneNumber, options = {}) => {
+    try {
+      return await api.post('/compliance/dnc', { phoneNumber, ...options });
+    } catch (error) {
+      console.error('❌ Failed to add do-not-call number:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to add number' };
+    }
+  },
+
+  /**
+   * Remove a number from the do-not-call list
+   * @param {string} phoneNumber - Number to unblock
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  removeFromDoNotCall: async (phoneNumber) => {
+    try {
+      return await api.delete(`/compliance/dnc/${encodeURIComponent(phoneNumber)}`);
+    } catch (error) {
+      console.error('❌ Failed to remove do-not-call number:', error);
+      return { success: false, message: 'Failed to remove number' };
+    }
+  },
+
+  /**
+   * Import do-not-call numbers from CSV text
+   * @param {string} csv - CSV content (header row optional)
+   * @param {string} reason - Reason for rows without a reason column
+   * @returns {Promise<Object>} { total, imported, updated, invalid }
+   */
+  importDoNotCallCsv: async (csv, reason) => {
+    try {
+      return await api.post('/compliance/dnc/import', { csv, reason });
+    } catch (error) {
+      console.error('❌ Failed to import do-not-call list:', error);
+      return { success: false, data: null, message: 'Failed to import do-not-call list' };
+    }
+  }
+};
+
+export { getComplianceBlock };
+
+export default complianceService;
@@ -0,0 +1,137 @@
+/**
+ * Dashboard Service
+ * Handles custom dashboard layouts, widget data and read-only shared dashboards
+ */
+
+import api from './api.js';
+
+// Widget endpoints are stored with the /api prefix; the client's base URL already has it
+const toClientPath = (endpoint) => endpoint.replace(/^\/api/, '');
+
+// Dashboard service for the dashboard builder
+export const dashboardService = {
+
+  /**
+   * Get the analytics endpoints widgets can be bound to
+   * @returns {Promise<Object>} [{ endpoint, group }]
+   */
+  getSources: async () => {
+    try {
+      return await api.get('/dashboards/sources', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch widget sources:', error);
+      return { success: false, data: [], message: 'Failed to load widget sources' };
+    }
+  },
+
+  /**
+   * Get the current user's dashboards and their team's
+   * @returns {Promise<Object>} Dashboards, each with canEdit
+   */
+  getDashboards: async () => {
+    try {
+      return await api.get('/dashboards');
+    } catch (error) {
+      console.error('❌ Failed to fetch dashboards:', error);
+      return { success: false, data: [], message: 'Failed to load dashboards' };
+    }
+  },
+
+  /**
+   * Create a dashboard
+   * @param {Object} dashboard - { name, description, visibility, teamId, widgets, filters }
+   * @returns {Promise<Object>} Created dashboard
+   */
+  createDashboard: async (dashboard) => {
+    try {
+      return await api.post('/dashboards', dashboard);
+    } catch (error) {
+      console.error('❌ Failed to create dashboard:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to create dashboard' };
+    }
+  },
+
+  /**
+   * Save changes to a dashboard
+   * @param {string} id - Dashboard ID
+   * @param {Object} updates - Any of name, description, visibility, teamId, widgets, filters
+   * @returns {Promise<Object>} Updated dashboard
+   */
+  updateDashboard: async (id, updates) => {
+    try {
+      return await api.put(`/dashboards/${id}`, updates);
+    } catch (error) {
+      console.error('❌ Failed to update dashboard:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to save dashboard' };
+    }
+  },
+
+  deleteDashboard: async (id) => {
+    try {
+      return await api.delete(`/dashboards/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to delete dashboard:', error);
+      return { success: false, message: error.response?.data?.error?.message || 'Failed to delete dashboard' };
+    }
+  },
+
+  /**
+   * Turn on a dashboard's read-only link
+   * @returns {Promise<Object>} Dashboard with shareToken
+   */
+  shareDashboard: async (id) => {
+    try {
+      return await api.post(`/dashboards/${id}/share`);
+    } catch (error) {
+      console.error('❌ Failed to share dashboard:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to share dashboard' };
+    }
+  },
+
+  unshareDashboard: async (id) => {
+    try {
+      return await api.delete(`/dashboards/${id}/share`);
+    } catch (error) {
+      console.error('❌ Failed to disable dashboard link:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to disable dashboard link' };
+    }
+  },
+
+  /**
+   * Load a widget's data straight from its endpoint, so unsaved widgets can be previewed
+   * @param {Object} source - { endpoint, params }
+   * @param {Object} filters - Dashboard filters; the widget's own params win
+   */
+  getWidgetData: async (source, filters = {}) => {
+    try {
+      return await api.get(toClientPath(source.endpoint), { params: { ...filters, ...(source.params || {}) } });
+    } catch (error) {
+      console.error('❌ Failed to load widget data:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || error.response?.data?.message || 'Failed to load widget data' };
+    }
+  },
+
+  /**
+   * Get a shared dashboard without logging in
+   * @param {string} token - Share token from the link
+   */
+  getSharedDashboard: async (token) => {
+    try {
+      return await api.get(`/shared-dashboards/${token}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch shared dashboard:', error);
+      return { success: false, data: null, message: 'Dashboard not found or no longer shared' };
+    }
+  },
+
+  getSharedWidgetData: async (token, widgetId) => {
+    try {
+      return await api.get(`/shared-dashboards/${token}/widgets/${widgetId}/data`);
+    } catch (error) {
+      console.error('❌ Failed to load shared widget data:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || error.response?.data?.message || 'Failed to load widget data' };
+    }
+  }
+};
+
+export default dashboardService;
@@ -0,0 +1,115 @@
+/**
+ * Dialer Service
+ * Handles all API calls for power dialer sessions
+ */
+
+import api from './api.js';
+
+// Dialer service for working through a queued lead list
+export const dialerService = {
+
+  /**
+   * Preview how many leads a filter would queue
+   * @param {Object} filter - { statuses, priorities, tags, followUpDue, assignedTo, minScore }
+   * @returns {Promise<Object>} Queue size and excluded counts
+   */
+  previewQueue: async (filter = {}) => {
+    try {
+      return await api.post('/dialer/queue/preview', { filter });
+    } catch (error) {
+      console.error('❌ Failed to preview dial queue:', error);
+      return { success: false, data: null, message: error.message || 'Failed to preview dial queue' };
+    }
+  },
+
+  /**
+   * Start a dialer session
+   * @param {Object} options - { name, filter, wrapUpSeconds, limit }
+   * @returns {Promise<Object>} Created session with progress
+   */
+  startSession: async (options = {}) => {
+    try {
+      return await api.post('/dialer/sessions', options);
+    } catch (error) {
+      console.error('❌ Failed to start dialer session:', error);
+      return { success: false, data: null, message: error.message || 'Failed to start dialer session' };
+    }
+  },
+
+  /**
+   * Get the current agent's sessions
+   * @param {Object} params - { status }
+   * @returns {Promise<Object>} Sessions, newest first
+   */
+  getSessions: async (params = {}) => {
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const url = queryString ? `/dialer/sessions?${queryString}` : '/dialer/sessions';
+      return await api.get(url, {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch dialer sessions:', error);
+      return { success: false, data: [], message: 'Failed to load dialer sessions' };
+    }
+  },
+
+  /**
+   * Get the next lead to dial; the same lead is returned until its outcome is logged
+   * @param {string} sessionId - Dialer session ID
+   * @returns {Promise<Object>} { session, lead }
+   */
+  getNextLead: async (sessionId) => {
+    try {
+      return await api.post(`/dialer/sessions/${sessionId}/next`);
+    } catch (error) {
+      console.error('❌ Failed to get next lead:', error);
+      return { success: false, data: null, message: error.message || 'Failed to get next lead' };
+    }
+  },
+
+  /**
+   * Log the outcome of the current call
+   * @param {string} sessionId - Dialer session ID
+   * @param {Object} outcomeData - { leadId, outcome, duration, talkTime, notes }
+   * @returns {Promise<Object>} { session, callLog, nextDialAt }
+   */
+  recordOutcome: async (sessionId, outcomeData) => {
+    try {
+      return await api.post(`/dialer/sessions/${sessionId}/outcome`, outcomeData);
+    } catch (error) {
+      console.error('❌ Failed to log dialer outcome:', error);
+      return { success: false, data: null, message: error.message || 'Failed to log outcome' };
+    }
+  },
+
+  /**
+   * Skip the current lead without calling
+   * @param {string} sessionId - Dialer session ID
+   * @param {string} reason - Optional skip reason
+   * @returns {Promise<Object>} Updated session
+   */
+  skipLead: async (sessionId, reason) => {
+    try {
+      return await api.post(`/dialer/sessions/${sessionId}/skip`, { reason });
+    } catch (error) {
+      console.error('❌ Failed to skip lead:', error);
+      return { success: false, data: null, message: error.message || 'Failed to skip lead' };
+    }
+  },
+
+  /**
+   * Pause, resume or end a session
+   * @param {string} sessionId - Dialer session ID
+   * @param {string} status - paused|active|ended
+   * @returns {Promise<Object>} Updated session
+   */
+  updateStatus: async (sessionId, status) => {
+    try {
+      return await api.put(`/dialer/sessions/${sessionId}/status`, { status });
+    } catch (error) {
+      console.error('❌ Failed to update dialer session:', error);
+      return { success: false, data: null, message: error.message || 'Failed to update dialer session' };
+    }
+  }
+};
+
+export default dialerService;
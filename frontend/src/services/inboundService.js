@@ -0,0 +1,100 @@
+/**
+ * Inbound Service
+ * Handles API calls for caller screen-pops, quick-create leads and inbound routing rules
+ */
+
+import api from './api.js';
+
+// Inbound service for screen-pops and per-number routing
+export const inboundService = {
+
+  /**
+   * Match a caller to a lead by phone or alternate phone
+   * @param {string} phone - Caller's number in any format
+   * @returns {Promise<Object>} { phoneNumber, lead, otherMatches, recentCalls } - lead is null for unknown callers
+   */
+  lookupCaller: async (phone) => {
+    try {
+      return await api.get(`/inbound/lookup?phone=${encodeURIComponent(phone)}`);
+    } catch (error) {
+      console.error('❌ Failed to look up caller:', error);
+      return { success: false, data: null, message: 'Failed to look up caller' };
+    }
+  },
+
+  /**
+   * Create a lead for an unknown caller
+   * @param {Object} leadData - { firstName, lastName, company, email, phone, title, notes }
+   * @returns {Promise<Object>} Created lead; 409 details carry the existing leadId
+   */
+  quickCreateLead: async (leadData) => {
+    try {
+      return await api.post('/inbound/leads', leadData);
+    } catch (error) {
+      console.error('❌ Failed to create lead for caller:', error);
+      return {
+        success: false,
+        data: null,
+        message: error.response?.data?.error?.message || 'Failed to create lead'
+      };
+    }
+  },
+
+  /**
+   * Get the routing rules for every inbound number
+   * @returns {Promise<Object>} List of inbound routes
+   */
+  getRoutes: async () => {
+    try {
+      return await api.get('/inbound/routes', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch inbound routes:', error);
+      return { success: false, data: [], message: 'Failed to load inbound routes' };
+    }
+  },
+
+  /**
+   * Add routing rules for an inbound number
+   * @param {Object} routeData - { phoneNumber, name, steps, ringGroup, ownerTimeout, teamTimeout, voicemailGreeting }
+   * @returns {Promise<Object>} Created route
+   */
+  createRoute: async (routeData) => {
+    try {
+      return await api.post('/inbound/routes', routeData);
+    } catch (error) {
+      console.error('❌ Failed to create inbound route:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to create route' };
+    }
+  },
+
+  /**
+   * Update routing rules
+   * @param {string} id - Route ID
+   * @param {Object} routeData - Fields to change
+   * @returns {Promise<Object>} Updated route
+   */
+  updateRoute: async (id, routeData) => {
+    try {
+      return await api.put(`/inbound/routes/${id}`, routeData);
+    } catch (error) {
+      console.error('❌ Failed to update inbound route:', error);
+      return { success: false, data: null, message: error.response?.data?.error?.message || 'Failed to update route' };
+    }
+  },
+
+  /**
+   * Remove routing rules; the number falls back to the default route
+   * @param {string} id - Route ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  deleteRoute: async (id) => {
+    try {
+      return await api.delete(`/inbound/routes/${id}`);
+    } catch (error) {
+      console.error('❌ Failed to delete inbound route:', error);
+      return { success: false, message: 'Failed to delete route' };
+    }
+  }
+};
+
+export default inboundService;
@@ -5,4 +5,13 @@ export { default as leadsService } from './leadsService';
 export { default as callsService } from './callsService';
 export { default as scriptsService } from './scriptsService';
 export { default as audioService } from './audioService';
-export { default as notesService } from './notesService';
\ No newline at end of file
+export { default as notesService } from './notesService';
+export { default as dialerService } from './dialerService';
+export { default as complianceService } from './complianceService';
+export { default as inboundService } from './inboundService';
+export { default as callerIdService } from './callerIdService';
+export { default as notificationService } from './notificationService';
+export { default as calendarService } from './calendarService';
+export { default as bookingService } from './bookingService';
+export { default as analyticsService } from './analyticsService';
+export { default as dashboardService } from './dashboardService';
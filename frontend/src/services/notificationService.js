@@ -0,0 +1,137 @@
+/**
+ * Notification Service
+ * Handles Web Push subscription for the service worker, quiet hours and reminder delivery history
+ */
+
+import api from './api.js';
+
+// VAPID keys are URL-safe base64; pushManager.subscribe() wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const isPushSupported = () =>
+  typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window;
+
+// Notification service for push subscriptions and delivery settings
+export const notificationService = {
+
+  isPushSupported,
+
+  /**
+   * Ask for permission and subscribe this browser to follow-up reminders
+   * @returns {Promise<Object>} { success, message }
+   */
+  enablePush: async () => {
+    if (!isPushSupported()) {
+      return { success: false, message: 'This browser does not support push notifications' };
+    }
+
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        return { success: false, message: 'Notification permission was not granted' };
+      }
+
+      const { data } = await api.get('/notifications/push/public-key');
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      await navigator.serviceWorker.ready;
+
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(data.publicKey)
+        });
+
+      return await api.post('/notifications/push/subscriptions', { subscription: subscription.toJSON() });
+    } catch (error) {
+      console.error('❌ Failed to enable push notifications:', error);
+      return { success: false, message: error.response?.data?.error || 'Failed to enable push notifications' };
+    }
+  },
+
+  /**
+   * Unsubscribe this browser
+   * @returns {Promise<Object>} { success, message }
+   */
+  disablePush: async () => {
+    if (!isPushSupported()) {
+      return { success: true, message: 'Push notifications are not enabled' };
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration('/sw.js');
+      const subscription = registration && await registration.pushManager.getSubscription();
+      if (!subscription) {
+        return { success: true, message: 'Push notifications are not enabled' };
+      }
+
+      await subscription.unsubscribe();
+      return await api.delete('/notifications/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+    } catch (error) {
+      console.error('❌ Failed to disable push notifications:', error);
+      return { success: false, message: 'Failed to disable push notifications' };
+    }
+  },
+
+  /**
+   * Get reminder channels and quiet hours
+   * @returns {Promise<Object>} { email, phone, reminderChannels, reminderLeadMinutes, timeZone,
+   *   quietHoursEnabled, quietHoursStart, quietHoursEnd, quietChannels }
+   */
+  getSettings: async () => {
+    try {
+      return await api.get('/notifications/settings', {}, true);
+    } catch (error) {
+      console.error('❌ Failed to fetch notification settings:', error);
+      return { success: false, data: null, message: 'Failed to load notification settings' };
+    }
+  },
+
+  /**
+   * Update reminder channels and quiet hours; SMS and push on the quiet channels wait until the window ends
+   * @param {Object} settings - Any of the fields getSettings returns
+   * @returns {Promise<Object>} Saved settings
+   */
+  updateSettings: async (settings) => {
+    try {
+      return await api.put('/notifications/settings', settings);
+    } catch (error) {
+      console.error('❌ Failed to update notification settings:', error);
+      return { success: false, data: null, message: error.response?.data?.error || 'Failed to update notification settings' };
+    }
+  },
+
+  /**
+   * Get reminder deliveries with their status and attempts
+   * @param {Object} params - { channel, status, followupId, page, limit }
+   * @returns {Promise<Object>} Deliveries and pagination
+   */
+  getDeliveries: async (params = {}) => {
+    try {
+      return await api.get('/notifications/deliveries', { params });
+    } catch (error) {
+      console.error('❌ Failed to fetch notification deliveries:', error);
+      return { success: false, data: [], message: 'Failed to load notification deliveries' };
+    }
+  },
+
+  /**
+   * Retry a failed or skipped delivery
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} { type, success, status, deliveryId }
+   */
+  retryDelivery: async (id) => {
+    try {
+      return await api.post(`/notifications/deliveries/${id}/retry`);
+    } catch (error) {
+      console.error('❌ Failed to retry notification delivery:', error);
+      return { success: false, data: null, message: error.response?.data?.error || 'Failed to retry delivery' };
+    }
+  }
+};
+
+export default notificationService;
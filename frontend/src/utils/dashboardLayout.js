@@ -0,0 +1,128 @@
+/**
+ * Dashboard Layout Utilities
+ * Grid placement for dashboard widgets and reading endpoint responses into widget rows
+ */
+
+export const GRID_COLUMNS = 12;
+export const ROW_HEIGHT = 80;
+export const MAX_WIDGET_HEIGHT = 12;
+
+export const WIDGET_TYPES = [
+  { type: 'kpi', label: 'KPI tile', size: { w: 3, h: 2 } },
+  { type: 'line', label: 'Line chart', size: { w: 6, h: 4 } },
+  { type: 'bar', label: 'Bar chart', size: { w: 6, h: 4 } },
+  { type: 'funnel', label: 'Funnel', size: { w: 4, h: 4 } },
+  { type: 'table', label: 'Table', size: { w: 6, h: 4 } },
+  { type: 'leaderboard', label: 'Leaderboard', size: { w: 4, h: 4 } }
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+/**
+ * Keep a layout on the grid: whole cells, inside the columns, at least one cell big
+ * @param {Object} layout - { x, y, w, h }
+ * @returns {Object} Clamped layout
+ */
+export const clampLayout = ({ x, y, w, h }) => {
+  const width = clamp(Math.round(w), 1, GRID_COLUMNS);
+  return {
+    x: clamp(Math.round(x), 0, GRID_COLUMNS - width),
+    y: Math.max(0, Math.round(y)),
+    w: width,
+    h: clamp(Math.round(h), 1, MAX_WIDGET_HEIGHT)
+  };
+};
+
+/**
+ * Push widgets down until none overlap, keeping the moved widget where it was dropped
+ * @param {Array<Object>} widgets - Widgets with layout
+ * @param {string} fixedId - Widget that keeps its place
+ * @returns {Array<Object>} Widgets with updated layouts
+ */
+export const resolveCollisions = (widgets, fixedId) => {
+  const fixed = widgets.find(widget => widget.id === fixedId);
+  const others = widgets
+    .filter(widget => widget.id !== fixedId)
+    .sort((a, b) => a.layout.y - b.layout.y || a.layout.x - b.layout.x);
+  const placed = fixed ? [fixed] : [];
+
+  others.forEach(widget => {
+    const layout = { ...widget.layout };
+    let blocker = placed.find(item => overlaps(layout, item.layout));
+    while (blocker) {
+      layout.y = blocker.layout.y + blocker.layout.h;
+      blocker = placed.find(item => overlaps(layout, item.layout));
+    }
+    placed.push({ ...widget, layout });
+  });
+
+  // Keep the caller's order so React keys and the saved order stay stable
+  const byId = new Map(placed.map(widget => [widget.id, widget]));
+  return widgets.map(widget => byId.get(widget.id));
+};
+
+/**
+ * Move or resize one widget and make room for it
+ * @param {Array<Object>} widgets - Widgets with layout
+ * @param {string} id - Widget to change
+ * @param {Object} layout - Its new { x, y, w, h }
+ */
+export const updateWidgetLayout = (widgets, id, layout) => resolveCollisions(
+  widgets.map(widget => (widget.id === id ? { ...widget, layout: clampLayout(layout) } : widget)),
+  id
+);
+
+/**
+ * Where a new widget of this size goes: the first row below every other widget
+ */
+export const nextLayout = (widgets, size) => ({
+  x: 0,
+  y: widgets.reduce((bottom, widget) => Math.max(bottom, widget.layout.y + widget.layout.h), 0),
+  ...size
+});
+
+/**
+ * Read a dot path such as "summary.totalCalls" or "agents.0.name"
+ */
+export const getPath = (value, path) => {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+};
+
+/**
+ * Turn the value at a widget's data path into rows: arrays stay as they are and objects
+ * become { label, value } rows, so { new: 5, qualified: 2 } charts without configuration
+ */
+export const toRows = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(item => (item !== null && typeof item === 'object' ? item : { label: '', value: item }));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).map(([label, item]) => (
+      item !== null && typeof item === 'object' ? { label, ...item } : { label, value: item }
+    ));
+  }
+  return [];
+};
+
+/**
+ * First key of a row whose values look like labels, or numbers
+ */
+export const guessKey = (rows, kind) => {
+  const sample = rows.find(row => row && typeof row === 'object');
+  if (!sample) return kind === 'label' ? 'label' : 'value';
+  const keys = Object.keys(sample);
+  const match = keys.find(key => (kind === 'label' ? typeof sample[key] === 'string' : typeof sample[key] === 'number'));
+  return match || (kind === 'label' ? keys[0] : keys[1] || keys[0]);
+};
+
+export const formatValue = (value, format) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value !== 'number') return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (format === 'currency') return value.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+  if (format === 'percent') return `${value.toFixed(1)}%`;
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};